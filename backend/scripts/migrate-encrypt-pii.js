@@ -0,0 +1,201 @@
+/**
+ * NON-DESTRUCTIVE Migration: Encrypt PANs and KYC documents at rest
+ *
+ * This script:
+ * 1. Encrypts plain PANs in Donation / RecurringDonation donor.idNumber,
+ *    User collectorProfile.panNumber and AnnualCertificate.pan, and writes
+ *    their blind index (donor.idNumberHash / panNumberHash / panHash)
+ * 2. Replaces the old { financialYear, pan } certificate index with { financialYear, panHash }
+ * 3. Encrypts plain KYC files in private_storage/kyc in place (file keys do not change)
+ * 4. Logs all changes for audit (record IDs only - never the PAN)
+ *
+ * SAFE TO RUN MULTIPLE TIMES (idempotent) - encrypted values and files are skipped
+ * DOES NOT DELETE any existing data
+ *
+ * Requires PII_ENCRYPTION_KEY and PII_BLIND_INDEX_KEY - the same values the
+ * server runs with. Back up the keys: without them the data cannot be read.
+ *
+ * Usage:
+ *   node scripts/migrate-encrypt-pii.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Preview changes without writing to database or disk
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Donation = require("../src/models/Donation");
+const RecurringDonation = require("../src/models/RecurringDonation");
+const User = require("../src/models/User");
+const AnnualCertificate = require("../src/models/AnnualCertificate");
+const {
+  encryptField,
+  panBlindIndex,
+  isEncryptedBuffer,
+  encryptBuffer,
+} = require("../src/utils/fieldEncryption");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const KYC_DIR = path.join(__dirname, "../private_storage/kyc");
+const OLD_CERTIFICATE_INDEX = "financialYear_1_pan_1";
+
+// Collections and the PAN field to encrypt in each
+const TARGETS = [
+  { label: "Donation", Model: Donation, path: "donor.idNumber", hashPath: "donor.idNumberHash" },
+  { label: "RecurringDonation", Model: RecurringDonation, path: "donor.idNumber", hashPath: "donor.idNumberHash" },
+  { label: "User", Model: User, path: "collectorProfile.panNumber", hashPath: "collectorProfile.panNumberHash" },
+  { label: "AnnualCertificate", Model: AnnualCertificate, path: "pan", hashPath: "panHash" },
+];
+
+/**
+ * Encrypt the plain PANs of one collection
+ * @returns {Promise<Object>} { migrated, errors, total }
+ */
+async function migrateField({ label, Model, path: fieldPath, hashPath }) {
+  console.log(`\n${label}.${fieldPath}`);
+
+  // Plain values only - encrypted ones start with "enc:v1:"
+  const records = await Model.find({
+    [fieldPath]: { $exists: true, $nin: [null, ""], $not: /^enc:v1:/ },
+  }).select(fieldPath).lean();
+
+  console.log(`  Found ${records.length} records to encrypt`);
+
+  let migrated = 0;
+  let errors = 0;
+
+  for (const record of records) {
+    try {
+      const plain = fieldPath.split(".").reduce((value, key) => value?.[key], record);
+      // Certificates store the upper-case PAN; other records keep what was entered
+      const value = label === "AnnualCertificate" ? plain.trim().toUpperCase() : plain;
+
+      console.log(`  ${DRY_RUN ? "[DRY]" : "UPDATE"} ${record._id}`);
+
+      if (!DRY_RUN) {
+        await Model.updateOne(
+          { _id: record._id },
+          { $set: { [fieldPath]: encryptField(value), [hashPath]: panBlindIndex(value) } }
+        );
+      }
+
+      migrated++;
+    } catch (err) {
+      console.error(`  ERROR ${record._id}: ${err.message}`);
+      errors++;
+    }
+  }
+
+  return { migrated, errors, total: records.length };
+}
+
+/**
+ * Swap the unique certificate index from the plain PAN to its blind index
+ */
+async function migrateCertificateIndex() {
+  console.log("\nAnnualCertificate indexes");
+
+  const indexes = await AnnualCertificate.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === OLD_CERTIFICATE_INDEX)) {
+    console.log(`  ${DRY_RUN ? "[DRY]" : "DROP"} ${OLD_CERTIFICATE_INDEX}`);
+    if (!DRY_RUN) await AnnualCertificate.collection.dropIndex(OLD_CERTIFICATE_INDEX);
+  }
+
+  if (!DRY_RUN) {
+    await AnnualCertificate.createIndexes();
+    console.log("  Created { financialYear, panHash } index");
+  }
+}
+
+/**
+ * Encrypt plain KYC files in place
+ * @returns {Promise<Object>} { migrated, errors, total }
+ */
+async function migrateKycFiles() {
+  console.log(`\nKYC files in ${KYC_DIR}`);
+
+  if (!fs.existsSync(KYC_DIR)) {
+    console.log("  Directory not found - nothing to do");
+    return { migrated: 0, errors: 0, total: 0 };
+  }
+
+  const fileKeys = fs.readdirSync(KYC_DIR).filter((name) => name.startsWith("kyc_"));
+
+  let migrated = 0;
+  let errors = 0;
+
+  for (const fileKey of fileKeys) {
+    const fullPath = path.join(KYC_DIR, fileKey);
+    try {
+      const buffer = fs.readFileSync(fullPath);
+      if (isEncryptedBuffer(buffer)) continue;
+
+      console.log(`  ${DRY_RUN ? "[DRY]" : "ENCRYPT"} ${fileKey}`);
+
+      if (!DRY_RUN) {
+        // Write next to the original, then swap, so a crash never leaves a half-written file
+        const tempPath = `${fullPath}.tmp`;
+        fs.writeFileSync(tempPath, encryptBuffer(buffer));
+        fs.renameSync(tempPath, fullPath);
+      }
+
+      migrated++;
+    } catch (err) {
+      console.error(`  ERROR ${fileKey}: ${err.message}`);
+      errors++;
+    }
+  }
+
+  return { migrated, errors, total: fileKeys.length };
+}
+
+async function migrate() {
+  console.log("=".repeat(60));
+  console.log(`MIGRATION: Encrypt PANs and KYC documents at rest`);
+  console.log(`MODE: ${DRY_RUN ? "DRY RUN (no changes will be written)" : "LIVE"}`);
+  console.log(`DATE: ${new Date().toISOString()}`);
+  console.log("=".repeat(60));
+
+  const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!MONGO_URI) {
+    console.error("ERROR: MONGO_URI not found in environment");
+    process.exit(1);
+  }
+
+  // Fail before touching anything if the keys are missing or malformed
+  try {
+    encryptField("check");
+    panBlindIndex("check");
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGO_URI);
+  console.log("Connected to MongoDB");
+
+  const results = [];
+  for (const target of TARGETS) {
+    results.push({ label: `${target.label}.${target.path}`, ...(await migrateField(target)) });
+  }
+  await migrateCertificateIndex();
+  results.push({ label: "KYC files", ...(await migrateKycFiles()) });
+
+  console.log("\n" + "=".repeat(60));
+  console.log("MIGRATION COMPLETE");
+  for (const r of results) {
+    console.log(`  ${r.label}: ${r.migrated} encrypted, ${r.errors} errors (${r.total} checked)`);
+  }
+  console.log("=".repeat(60));
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
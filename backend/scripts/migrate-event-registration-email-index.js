@@ -0,0 +1,75 @@
+/**
+ * NON-DESTRUCTIVE Migration: One active event registration per email
+ *
+ * This script:
+ * 1. Lists events where an email has more than one active registration
+ *    (PENDING_PAYMENT, CONFIRMED, WAITLISTED) - these must be resolved by an
+ *    admin (cancel the extra registration) before the index can be built
+ * 2. Replaces the old { event, email } index with the unique partial one
+ *
+ * SAFE TO RUN MULTIPLE TIMES (idempotent)
+ * DOES NOT DELETE any registrations
+ *
+ * Usage:
+ *   node scripts/migrate-event-registration-email-index.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Preview changes without writing to the database
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const EventRegistration = require("../src/models/EventRegistration");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const OLD_INDEX = "event_1_email_1";
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("Connected to MongoDB");
+
+  const duplicates = await EventRegistration.aggregate([
+    { $match: { status: { $in: EventRegistration.ACTIVE_STATUSES } } },
+    {
+      $group: {
+        _id: { event: "$event", email: "$email" },
+        registrations: { $push: "$registrationNumber" },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  if (duplicates.length > 0) {
+    console.log("\nDuplicate active registrations - cancel the extra ones and run again:");
+    duplicates.forEach(({ _id, registrations }) => {
+      console.log(`  Event ${_id.event}: ${registrations.join(", ")}`);
+    });
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const indexes = await EventRegistration.collection.indexes().catch(() => []);
+  const old = indexes.find((index) => index.name === OLD_INDEX);
+  if (old && !old.unique) {
+    console.log(`  ${DRY_RUN ? "[DRY]" : "DROP"} ${OLD_INDEX}`);
+    if (!DRY_RUN) await EventRegistration.collection.dropIndex(OLD_INDEX);
+  }
+
+  if (!DRY_RUN) {
+    await EventRegistration.createIndexes();
+    console.log("  Created unique { event, email } index for active registrations");
+  }
+
+  console.log("\n" + "=".repeat(60));
+  console.log(DRY_RUN ? "DRY RUN COMPLETE" : "MIGRATION COMPLETE");
+  console.log("=".repeat(60));
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+migrate().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+/**
+ * Rebuild donation head goal totals from the Donation collection
+ *
+ * Recomputes DonationHead.currentAmount / donationCount and the per sub-cause
+ * totals from counted donations (SUCCESS, PARTIALLY_REFUNDED), net of refunds.
+ * Use after importing donations or if the running totals have drifted, and
+ * once after upgrading to fill in donationCount (previously donorCount).
+ * The same rebuild also runs nightly as the donation-head-totals job.
+ *
+ * SAFE TO RUN MULTIPLE TIMES (idempotent)
+ *
+ * Usage:
+ *   node scripts/rebuild-donation-head-totals.js
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const {
+  rebuildDonationHeadTotals,
+} = require("../src/services/donationHeadTotals.service");
+
+async function rebuild() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("Connected to MongoDB");
+
+  const result = await rebuildDonationHeadTotals();
+
+  console.log("\n" + "=".repeat(60));
+  console.log("REBUILD COMPLETE");
+  console.log(`  Heads:      ${result.heads}`);
+  console.log(`  Donations:  ${result.donations}`);
+  console.log(`  Unmatched:  ${result.unmatchedDonations}`);
+  console.log(`  Skipped:    ${result.skippedHeads} (changed during the rebuild - run again)`);
+  console.log("=".repeat(60));
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+rebuild().catch((err) => {
+  console.error("Rebuild failed:", err);
+  process.exit(1);
+});
@@ -4,6 +4,8 @@ require("dotenv").config();
 const requiredEnvVars = [
   "MONGO_URI",
   "JWT_SECRET",
+  "PII_ENCRYPTION_KEY",
+  "PII_BLIND_INDEX_KEY",
   "RAZORPAY_KEY_ID",
   "RAZORPAY_KEY_SECRET",
   "RAZORPAY_WEBHOOK_SECRET",
@@ -30,8 +32,16 @@ if (process.env.JWT_SECRET && process.env.JWT_SECRET.length < 32) {
   );
 }
 
+// PAN encryption key must be 32 bytes (see src/utils/fieldEncryption.js)
+if (!/^[0-9a-fA-F]{64}$/.test(process.env.PII_ENCRYPTION_KEY)) {
+  console.error(
+    "❌ PII_ENCRYPTION_KEY must be 64 hex characters (openssl rand -hex 32)",
+  );
+  process.exit(1);
+}
+
 const app = require("./src/app");
-const { startCleanupScheduler } = require("./src/utils/cleanup");
+const { startScheduler } = require("./src/services/scheduler.service");
 const mongoose = require("mongoose");
 
 const PORT = process.env.PORT || 5000;
@@ -39,8 +49,8 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
 
-  // Start cleanup scheduler (runs every 6 hours)
-  startCleanupScheduler(6);
+  // Start maintenance job scheduler (cleanup, event/announcement rollover)
+  startScheduler();
 });
 
 // Production hardening: Graceful shutdown handler
@@ -21,6 +21,7 @@ const corsOptions = {
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: ["Content-Disposition", "X-Validation-Errors"],
 };
 app.use(cors(corsOptions));
 
@@ -31,9 +32,6 @@ app.use(
 );
 app.use(express.json({ limit: "1mb" }));
 
-// Serve receipts as static files
-app.use("/receipts", express.static(path.join(__dirname, "../receipts")));
-
 // Serve uploaded gallery images as static files
 // Images stored in backend/uploads/gallery/ and backend/uploads/gallery/thumbnails/
 app.use(
@@ -54,9 +52,10 @@ app.use("/api/user", require("./routes/user.routes"));
 app.use("/api/collector", require("./routes/collector.routes")); // Collector KYC and dashboard
 app.use("/api/referral", require("./routes/referral.routes")); // Referral code validation
 app.use("/api/leaderboard", require("./routes/leaderboard.routes")); // Public leaderboard
+app.use("/api/check-in", require("./routes/checkIn.routes")); // Event gate check-in
 app.use("/api/admin/website", require("./routes/admin.website.routes"));
 app.use("/api/admin/system", require("./routes/admin.system.routes"));
 app.use("/api/auth", authRoutes);
-// app.use("/api/products", require("./routes/product.routes"));
-// app.use("/api/orders", require("./routes/order.routes"));
+// Shop products are served by public.routes (/api/public/products)
+app.use("/api/orders", require("./routes/order.routes")); // Shop checkout
 module.exports = app;
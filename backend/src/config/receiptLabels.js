@@ -0,0 +1,76 @@
+/**
+ * Receipt Labels
+ * Donation receipt text per receipt language (Donation.receiptLanguage).
+ *
+ * The letterhead, exemption order and registration stamp stay in English
+ * on every receipt - only the donor-facing text is translated.
+ * {{placeholders}} are filled in by receipt.service.
+ */
+
+const RECEIPT_LABELS = {
+  en: {
+    title: "Donation Receipt",
+    receiptNo: "Receipt No.",
+    date: "Date",
+    donorName: "Donor Name",
+    anonymousDonor: "Anonymous Donor",
+    mobile: "Mobile",
+    address: "Address",
+    pan: "PAN",
+    onAccountOf: "On Account of",
+    paymentMode: "Payment Mode",
+    donationAmount: "Donation Amount",
+    refunded: "Refunded",
+    refundedValue: "Rs {{refunded}} of Rs {{amount}} originally paid",
+    currency: "Rs",
+    scanToVerify: "Scan to verify this receipt, or visit",
+    code: "Code",
+    thankYou: "Thank you for your generous contribution. May your seva be blessed.",
+    transactionId: "Transaction ID",
+    paymentModes: { ONLINE: "Online", CASH: "Cash", UPI: "UPI", CHEQUE: "Cheque" },
+  },
+  hi: {
+    title: "दान रसीद",
+    receiptNo: "रसीद क्र.",
+    date: "दिनांक",
+    donorName: "दानदाता का नाम",
+    anonymousDonor: "गुप्त दानदाता",
+    mobile: "मोबाइल",
+    address: "पता",
+    pan: "पैन",
+    onAccountOf: "दान का उद्देश्य",
+    paymentMode: "भुगतान का माध्यम",
+    donationAmount: "दान राशि",
+    refunded: "लौटाई गई राशि",
+    refundedValue: "मूल भुगतान रु. {{amount}} में से रु. {{refunded}}",
+    currency: "रु.",
+    scanToVerify: "इस रसीद की पुष्टि के लिए स्कैन करें, या देखें",
+    code: "कोड",
+    thankYou: "आपके उदार योगदान के लिए धन्यवाद। आपकी सेवा सफल हो।",
+    transactionId: "लेनदेन आईडी",
+    paymentModes: { ONLINE: "ऑनलाइन", CASH: "नकद", UPI: "UPI", CHEQUE: "चेक" },
+  },
+  mr: {
+    title: "देणगी पावती",
+    receiptNo: "पावती क्र.",
+    date: "दिनांक",
+    donorName: "देणगीदाराचे नाव",
+    anonymousDonor: "गुप्त देणगीदार",
+    mobile: "मोबाईल",
+    address: "पत्ता",
+    pan: "पॅन",
+    onAccountOf: "देणगीचा उद्देश",
+    paymentMode: "पेमेंट पद्धत",
+    donationAmount: "देणगी रक्कम",
+    refunded: "परत केलेली रक्कम",
+    refundedValue: "मूळ भरलेल्या रु. {{amount}} पैकी रु. {{refunded}}",
+    currency: "रु.",
+    scanToVerify: "ही पावती पडताळण्यासाठी स्कॅन करा, किंवा भेट द्या",
+    code: "कोड",
+    thankYou: "आपल्या उदार योगदानाबद्दल धन्यवाद. आपली सेवा सफल होवो.",
+    transactionId: "व्यवहार आयडी",
+    paymentModes: { ONLINE: "ऑनलाइन", CASH: "रोख", UPI: "UPI", CHEQUE: "धनादेश" },
+  },
+};
+
+module.exports = { RECEIPT_LABELS };
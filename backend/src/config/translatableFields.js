@@ -10,7 +10,7 @@ const SUPPORTED_LANGUAGES = ["en", "hi", "mr"];
 const DEFAULT_LANGUAGE = "en";
 
 const translatableFields = {
-  Event: ["title", "description", "location"],
+  Event: ["title", "description", "location", "registrationQuestions.label"],
 
   Activity: [
     "title",
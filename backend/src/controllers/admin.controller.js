@@ -1,12 +1,30 @@
+const mongoose = require("mongoose");
 const Donation = require("../models/Donation");
 const User = require("../models/User");
+const DonationHead = require("../models/DonationHead");
 const path = require("path");
-const fs = require("fs");
-const { generateDonationReceipt, getReceiptPublicUrl } = require("../services/receipt.service");
+const {
+  generateDonationReceipt,
+  getReceiptPublicUrl,
+  resolveReceiptLanguage,
+} = require("../services/receipt.service");
 const { sendDonationReceiptEmail } = require("../services/email.service");
-const { getKycDocumentPath, deleteKycDocuments } = require("../services/kyc.service");
+const { getSignedReceiptUrl } = require("../services/receiptLink.service");
+const { recordDonationTotals } = require("../services/donationHeadTotals.service");
+const { linkDonationToDonor } = require("../services/donorRegistry.service");
+const { readKycDocument, deleteKycDocuments } = require("../services/kyc.service");
 const { assignReferralCode } = require("../services/collector.service");
-const { logCollectorApproval, logCollectorRejection } = require("../services/audit.service");
+const {
+  logCollectorApproval,
+  logCollectorRejection,
+  logCollectorRevocation,
+  logCollectorToggle,
+  logKycDocumentView,
+  logOfflineDonation,
+  logDonationRefund,
+  logVolunteerRoleChange,
+} = require("../services/audit.service");
+const { refundDonation } = require("../services/refund.service");
 
 /**
  * Helper: Validate PAN number
@@ -47,40 +65,133 @@ const validateAge = (dob) => {
 };
 
 /**
- * Get all donations with optional filters
+ * Build a Donation filter from admin list/report query params
+ * Query: status, paymentMethod (comma-separated), donationHead (name or id),
+ *        collector (user ID), startDate, endDate,
+ *        search (donor name / mobile / receipt number)
+ * @returns {Object} { filter } or { error }
+ */
+const buildDonationFilter = (query) => {
+  const { paymentMethod, status, donationHead, collector, startDate, endDate, search } = query;
+
+  const filter = {};
+  const and = [];
+
+  if (paymentMethod) filter.paymentMethod = { $in: String(paymentMethod).split(",") };
+  if (status) filter.status = { $in: String(status).split(",") };
+
+  // Donation records identify their head by name (older ones) or id
+  if (donationHead) {
+    and.push({
+      $or: [{ "donationHead.name": donationHead }, { "donationHead.id": donationHead }],
+    });
+  }
+
+  if (collector) {
+    if (!mongoose.Types.ObjectId.isValid(collector)) {
+      return { error: "Invalid collector ID" };
+    }
+    filter.collectorId = collector;
+  }
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      if (isNaN(start)) return { error: "Invalid startDate" };
+      filter.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      if (isNaN(endOfDay)) return { error: "Invalid endDate" };
+      endOfDay.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = endOfDay;
+    }
+  }
+
+  if (search && String(search).trim()) {
+    const term = String(search).trim();
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const or = [
+      { "donor.name": { $regex: escaped, $options: "i" } },
+      { receiptNumber: { $regex: escaped, $options: "i" } },
+    ];
+    // Mobiles are stored as digits - ignore spaces, dashes and +91 typed in the box
+    const digits = term.replace(/^\+91/, "").replace(/\D/g, "");
+    if (digits.length >= 3) {
+      or.push({ "donor.mobile": { $regex: digits } });
+    }
+    and.push({ $or: or });
+  }
+
+  if (and.length > 0) filter.$and = and;
+  return { filter };
+};
+
+/**
+ * Cursor for the donation list: last item's createdAt and _id, base64url encoded
+ */
+const encodeDonationCursor = (donation) =>
+  Buffer.from(`${donation.createdAt.toISOString()}|${donation._id}`).toString("base64url");
+
+const decodeDonationCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), "base64url").toString().split("|");
+  const date = new Date(createdAt);
+  if (isNaN(date) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { createdAt: date, id };
+};
+
+/**
+ * Get donations, newest first, one page at a time
  * GET /api/admin/system/donations
+ * Query: filters from buildDonationFilter, limit (max 200), cursor (nextCursor of the previous page)
+ * Returns: { donations, nextCursor, hasMore, total } - total only on the first page
  */
 exports.getAllDonations = async (req, res) => {
   try {
-    const { paymentMethod, status, startDate, endDate } = req.query;
+    const { cursor, limit = 50 } = req.query;
 
-    const filter = {};
-    if (paymentMethod) {
-      // Support comma-separated methods for future flexibility
-      if (paymentMethod.includes(",")) {
-        filter.paymentMethod = { $in: paymentMethod.split(",") };
-      } else {
-        filter.paymentMethod = paymentMethod;
-      }
+    const { filter, error } = buildDonationFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
-    if (status) filter.status = status;
-    if (startDate || endDate) {
-      filter.createdAt = {};
-      if (startDate) filter.createdAt.$gte = new Date(startDate);
-      if (endDate) {
-        const endOfDay = new Date(endDate);
-        endOfDay.setHours(23, 59, 59, 999);
-        filter.createdAt.$lte = endOfDay;
+
+    const pageFilter = { ...filter, $and: [...(filter.$and || [])] };
+    if (cursor) {
+      const after = decodeDonationCursor(cursor);
+      if (!after) {
+        return res.status(400).json({ message: "Invalid cursor" });
       }
+      pageFilter.$and.push({
+        $or: [
+          { createdAt: { $lt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $lt: after.id } },
+        ],
+      });
     }
+    if (pageFilter.$and.length === 0) delete pageFilter.$and;
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [donations, total] = await Promise.all([
+      Donation.find(pageFilter)
+        .populate("user", "fullName email mobile")
+        .populate("addedBy", "fullName")
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limitNum + 1),
+      cursor ? Promise.resolve(undefined) : Donation.countDocuments(filter),
+    ]);
 
-    const donations = await Donation.find(filter)
-      .populate("user", "fullName email mobile")
-      .populate("addedBy", "fullName")
-      .sort({ createdAt: -1 });
+    const hasMore = donations.length > limitNum;
+    const page = hasMore ? donations.slice(0, limitNum) : donations;
 
     // Return donations with actual PAN numbers (no masking)
-    res.json(donations);
+    res.json({
+      donations: page,
+      nextCursor: hasMore ? encodeDonationCursor(page[page.length - 1]) : null,
+      hasMore,
+      total,
+    });
   } catch (error) {
     console.error("Get donations error:", error);
     res.status(500).json({ message: "Server error" });
@@ -95,7 +206,15 @@ exports.getAllDonations = async (req, res) => {
  */
 exports.createCashDonation = async (req, res) => {
   try {
-    const { donor, donationHead, amount, paymentDate, paymentMethod, paymentDetails } = req.body;
+    const {
+      donor,
+      donationHead,
+      amount,
+      paymentDate,
+      paymentMethod,
+      paymentDetails,
+      receiptLanguage,
+    } = req.body;
 
     // Validate required fields
     if (!donor || !donationHead || !amount || amount <= 0) {
@@ -150,6 +269,11 @@ exports.createCashDonation = async (req, res) => {
       return res.status(400).json({ message: "Invalid donation head format" });
     }
 
+    const subCause = await DonationHead.resolveSubCauseKey(donationHead.id, donationHead.subCauseKey);
+    if (!subCause.valid) {
+      return res.status(400).json({ message: "Invalid sub-cause for this donation head" });
+    }
+
     // Validate government ID
     const idValidation = validateGovtId(idType, idNumber);
     if (!idValidation.valid) {
@@ -222,7 +346,9 @@ exports.createCashDonation = async (req, res) => {
       donationHead: {
         id: String(donationHead.id),
         name: donationHead.name,
+        subCauseKey: subCause.subCauseKey,
       },
+      receiptLanguage: resolveReceiptLanguage(receiptLanguage),
       amount,
       status: "SUCCESS",
       paymentMethod: effectiveMethod,
@@ -233,11 +359,17 @@ exports.createCashDonation = async (req, res) => {
       createdAt: paymentDate ? new Date(paymentDate) : new Date(),
     });
 
+    await recordDonationTotals(donation);
+    await linkDonationToDonor(donation);
+
     // Generate receipt number first
     const receiptNumber = `GDA-${Date.now()}-${donation._id.toString().slice(-6).toUpperCase()}`;
     donation.receiptNumber = receiptNumber;
     await donation.save();
 
+    // Audit log: offline donation entered by admin
+    logOfflineDonation(donation, req.user, req.ip);
+
     try {
       // Generate receipt PDF (function uses donation.receiptNumber)
       const receiptPath = await generateDonationReceipt(donation);
@@ -247,16 +379,17 @@ exports.createCashDonation = async (req, res) => {
       // Send email if email is provided and valid
       if (email && email.includes("@")) {
         try {
-          await sendDonationReceiptEmail(
-            email,
-            name,
-            receiptPath,
-            receiptNumber,
+          const emailSent = await sendDonationReceiptEmail({
+            to: email,
+            donorName: name,
             amount,
-            donationHead.name
-          );
-          donation.emailSent = true;
-          await donation.save();
+            receiptUrl: receiptPath,
+            downloadUrl: getSignedReceiptUrl(donation._id),
+          });
+          if (emailSent) {
+            donation.emailSent = true;
+            await donation.save();
+          }
         } catch (emailError) {
           console.error("Failed to send receipt email:", emailError);
           // Don't fail the request if email fails
@@ -271,7 +404,7 @@ exports.createCashDonation = async (req, res) => {
       message: `${effectiveMethod} donation recorded successfully`,
       donationId: donation._id,
       receiptNumber: donation.receiptNumber,
-      receiptUrl: donation.receiptUrl,
+      receiptGenerated: Boolean(donation.receiptUrl),
       transactionRef: donation.transactionRef,
       paymentMethod: effectiveMethod,
       status: donation.status,
@@ -282,74 +415,161 @@ exports.createCashDonation = async (req, res) => {
   }
 };
 
-exports.getAllDonors = async (req, res) => {
+/**
+ * Refund a donation (Admin only)
+ * POST /api/admin/system/donations/:id/refund
+ * Body: { amount?, reason, reference? }
+ * - amount defaults to the full refundable balance (whole rupees)
+ * - ONLINE donations are refunded via Razorpay (confirmed by refund.processed webhook)
+ * - CASH/UPI/CHEQUE refunds are recorded manually; reference = UTR/cheque number
+ */
+exports.refundDonation = async (req, res) => {
   try {
-    const donors = await User.find({ role: "USER" }).select(
-      "fullName email mobile createdAt"
+    const { amount, reason, reference } = req.body;
+
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({ message: "Donation not found" });
+    }
+
+    const result = await refundDonation(
+      donation,
+      { amount, reason, reference },
+      req.user.id,
     );
 
-    res.json(donors);
+    if (!result.success) {
+      return res
+        .status(result.razorpayError ? 502 : 400)
+        .json({ message: result.message });
+    }
+
+    logDonationRefund(result.donation, result.refund, req.user, req.ip);
+
+    res.json({
+      message:
+        result.refund.status === "PROCESSED"
+          ? "Refund recorded successfully"
+          : "Refund initiated with Razorpay",
+      status: result.donation.status,
+      refundedAmount: result.donation.refundedAmount,
+      refund: result.refund,
+    });
   } catch (error) {
-    console.error("Get donors error:", error);
+    console.error("Refund donation error:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * Donation summaries for the admin dashboard and reports
+ * GET /api/admin/system/reports
+ * Query: the same filters as GET /donations (buildDonationFilter)
+ *
+ * Amounts count SUCCESS and PARTIALLY_REFUNDED donations at the amount kept
+ * after refunds; byStatus and donorCount cover every status.
+ */
 exports.getReports = async (req, res) => {
   try {
-    const { startDate, endDate, paymentMethod } = req.query;
-
-    const matchFilter = { status: "SUCCESS" };
-    if (paymentMethod) matchFilter.paymentMethod = paymentMethod;
-    if (startDate || endDate) {
-      matchFilter.createdAt = {};
-      if (startDate) matchFilter.createdAt.$gte = new Date(startDate);
-      if (endDate) {
-        const endOfDay = new Date(endDate);
-        endOfDay.setHours(23, 59, 59, 999);
-        matchFilter.createdAt.$lte = endOfDay;
-      }
+    const { status } = req.query;
+
+    const { filter: baseFilter, error } = buildDonationFilter({ ...req.query, status: undefined });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    // Total amount
-    const totalAmount = await Donation.aggregate([
-      { $match: matchFilter },
-      { $group: { _id: null, sum: { $sum: "$amount" }, count: { $sum: 1 } } },
-    ]);
+    // Partially refunded donations count at the amount kept
+    const requested = status ? String(status).split(",") : null;
+    const countedStatuses = requested
+      ? Donation.COUNTED_STATUSES.filter((s) => requested.includes(s))
+      : Donation.COUNTED_STATUSES;
+    const matchFilter = { ...baseFilter, status: { $in: countedStatuses } };
 
-    // By payment method
-    const byPaymentMethod = await Donation.aggregate([
-      { $match: { status: "SUCCESS" } },
-      {
-        $group: {
-          _id: "$paymentMethod",
-          sum: { $sum: "$amount" },
-          count: { $sum: 1 },
-        },
-      },
-    ]);
+    const sumAndCount = { sum: { $sum: Donation.NET_AMOUNT_EXPR }, count: { $sum: 1 } };
 
-    // By donation head
-    const byDonationHead = await Donation.aggregate([
-      { $match: matchFilter },
-      {
-        $group: {
-          _id: "$donationHead.name",
-          sum: { $sum: "$amount" },
-          count: { $sum: 1 },
+    const [
+      totalAmount,
+      byPaymentMethod,
+      byDonationHead,
+      byMonth,
+      byVisibility,
+      byStatus,
+      donorCount,
+      refunded,
+    ] = await Promise.all([
+      Donation.aggregate([
+        { $match: matchFilter },
+        { $group: { _id: null, ...sumAndCount } },
+      ]),
+      Donation.aggregate([
+        { $match: matchFilter },
+        { $group: { _id: "$paymentMethod", ...sumAndCount } },
+      ]),
+      Donation.aggregate([
+        { $match: matchFilter },
+        { $group: { _id: "$donationHead.name", ...sumAndCount } },
+        { $sort: { sum: -1 } },
+      ]),
+      // Last 12 months with donations, by Indian calendar month
+      Donation.aggregate([
+        { $match: matchFilter },
+        {
+          $group: {
+            _id: {
+              $dateToString: { format: "%Y-%m", date: "$createdAt", timezone: "Asia/Kolkata" },
+            },
+            ...sumAndCount,
+          },
         },
-      },
-      { $sort: { sum: -1 } },
+        { $sort: { _id: -1 } },
+        { $limit: 12 },
+      ]),
+      Donation.aggregate([
+        { $match: matchFilter },
+        {
+          $group: {
+            _id: { $eq: ["$donor.anonymousDisplay", true] },
+            ...sumAndCount,
+          },
+        },
+      ]),
+      Donation.aggregate([
+        { $match: requested ? { ...baseFilter, status: { $in: requested } } : baseFilter },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      Donation.aggregate([
+        { $match: baseFilter },
+        { $group: { _id: "$donor.name" } },
+        { $count: "count" },
+      ]),
+      // Refunds processed against donations in the same range
+      Donation.aggregate([
+        { $match: { ...baseFilter, status: { $in: ["PARTIALLY_REFUNDED", "REFUNDED"] } } },
+        { $group: { _id: null, sum: { $sum: "$refundedAmount" }, count: { $sum: 1 } } },
+      ]),
     ]);
 
+    const anonymous = byVisibility.find((v) => v._id === true);
+    const named = byVisibility.find((v) => v._id === false);
+
     res.json({
       totalAmount: totalAmount[0]?.sum || 0,
       totalCount: totalAmount[0]?.count || 0,
+      refundedAmount: refunded[0]?.sum || 0,
+      refundedCount: refunded[0]?.count || 0,
+      donorCount: donorCount[0]?.count || 0,
+      byStatus: byStatus.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {}),
       byPaymentMethod: byPaymentMethod.reduce((acc, item) => {
         acc[item._id || "ONLINE"] = { amount: item.sum, count: item.count };
         return acc;
       }, {}),
       byDonationHead,
+      byMonth: byMonth.map((m) => ({ month: m._id, amount: m.sum, count: m.count })),
+      anonymous: { amount: anonymous?.sum || 0, count: anonymous?.count || 0 },
+      named: { amount: named?.sum || 0, count: named?.count || 0 },
     });
   } catch (error) {
     console.error("Get reports error:", error);
@@ -374,13 +594,13 @@ exports.getAllCollectors = async (req, res) => {
         $match: {
           hasCollectorAttribution: true, // Only explicit attributions
           collectorId: { $ne: null },
-          status: "SUCCESS",
+          status: { $in: Donation.COUNTED_STATUSES },
         },
       },
       {
         $group: {
           _id: "$collectorId",
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
           donationCount: { $sum: 1 },
           collectorName: { $last: "$collectorName" },
         },
@@ -393,7 +613,7 @@ exports.getAllCollectors = async (req, res) => {
     // Get total count for pagination
     // BUG FIX: Only count donations with explicit hasCollectorAttribution flag
     const totalCollectors = await Donation.aggregate([
-      { $match: { hasCollectorAttribution: true, collectorId: { $ne: null }, status: "SUCCESS" } },
+      { $match: { hasCollectorAttribution: true, collectorId: { $ne: null }, status: { $in: Donation.COUNTED_STATUSES } } },
       { $group: { _id: "$collectorId" } },
       { $count: "total" },
     ]);
@@ -457,11 +677,11 @@ exports.getCollectorDetails = async (req, res) => {
     // Get collector stats
     // BUG FIX: Only count donations with explicit hasCollectorAttribution flag
     const stats = await Donation.aggregate([
-      { $match: { hasCollectorAttribution: true, collectorId: user._id, status: "SUCCESS" } },
+      { $match: { hasCollectorAttribution: true, collectorId: user._id, status: { $in: Donation.COUNTED_STATUSES } } },
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
           donationCount: { $sum: 1 },
         },
       },
@@ -472,9 +692,9 @@ exports.getCollectorDetails = async (req, res) => {
     const donations = await Donation.find({
       hasCollectorAttribution: true,
       collectorId: user._id,
-      status: "SUCCESS",
+      status: { $in: Donation.COUNTED_STATUSES },
     })
-      .select("_id createdAt amount donationHead status")
+      .select("_id createdAt amount refundedAmount donationHead status")
       .sort({ createdAt: -1 })
       .limit(100)
       .lean();
@@ -483,7 +703,7 @@ exports.getCollectorDetails = async (req, res) => {
     const formattedDonations = donations.map((d) => ({
       donationId: d._id,
       date: d.createdAt,
-      amount: d.amount,
+      amount: d.amount - (d.refundedAmount || 0),
       cause: d.donationHead?.name || "General",
       status: d.status,
     }));
@@ -531,10 +751,13 @@ exports.toggleCollectorStatus = async (req, res) => {
     await user.save();
 
     // Audit log with admin ID, collector ID, and action
-    console.log(
-      `[ADMIN AUDIT] CollectorToggle | Admin: ${req.user.id} | Collector: ${user._id} (${user.fullName}) | Action: ${
-        user.collectorDisabled ? "DISABLED" : "ENABLED"
-      } | Previous: ${previousState ? "DISABLED" : "ENABLED"} | Reason: ${reason || "Not specified"}`
+    logCollectorToggle(
+      user._id,
+      user.fullName,
+      user.collectorDisabled,
+      req.user,
+      reason,
+      req.ip
     );
 
     res.json({
@@ -560,7 +783,7 @@ exports.getCollectorSummary = async (req, res) => {
     // Total active collectors (users with at least 1 donation attributed)
     // BUG FIX: Only count donations with explicit hasCollectorAttribution flag
     const activeCollectors = await Donation.aggregate([
-      { $match: { hasCollectorAttribution: true, collectorId: { $ne: null }, status: "SUCCESS" } },
+      { $match: { hasCollectorAttribution: true, collectorId: { $ne: null }, status: { $in: Donation.COUNTED_STATUSES } } },
       { $group: { _id: "$collectorId" } },
       { $count: "total" },
     ]);
@@ -568,12 +791,12 @@ exports.getCollectorSummary = async (req, res) => {
     // Donations with vs without referral
     // BUG FIX: Use hasCollectorAttribution flag instead of collectorId null check
     const referralStats = await Donation.aggregate([
-      { $match: { status: "SUCCESS" } },
+      { $match: { status: { $in: Donation.COUNTED_STATUSES } } },
       {
         $group: {
           _id: { $cond: [{ $eq: ["$hasCollectorAttribution", true] }, "with_referral", "without_referral"] },
           count: { $sum: 1 },
-          amount: { $sum: "$amount" },
+          amount: { $sum: Donation.NET_AMOUNT_EXPR },
         },
       },
     ]);
@@ -706,7 +929,7 @@ exports.approveCollectorApplication = async (req, res) => {
     }
 
     // Audit log: Collector approved
-    logCollectorApproval(user._id, user.collectorProfile.fullName, req.user.id);
+    logCollectorApproval(user._id, user.collectorProfile.fullName, req.user, req.ip);
 
     res.status(200).json({
       success: true,
@@ -775,7 +998,13 @@ exports.rejectCollectorApplication = async (req, res) => {
     await user.save();
 
     // Audit log: Collector rejected
-    logCollectorRejection(user._id, user.collectorProfile.fullName, req.user.id, reason.trim());
+    logCollectorRejection(
+      user._id,
+      user.collectorProfile.fullName,
+      req.user,
+      reason.trim(),
+      req.ip
+    );
 
     res.status(200).json({
       success: true,
@@ -843,35 +1072,26 @@ exports.viewKycDocument = async (req, res) => {
       });
     }
 
-    // Get the file path securely
-    const filePath = getKycDocumentPath(document.fileKey);
-    if (!filePath) {
+    // Read and decrypt the file (path is validated by the KYC service)
+    const image = await readKycDocument(document.fileKey);
+    if (!image) {
       return res.status(404).json({
         success: false,
         message: "Document file not found on server",
       });
     }
 
-    // Stream the file with proper headers
+    // Audit log: every KYC document view is recorded
+    logKycDocumentView(user._id, user.collectorProfile.fullName || user.fullName, type, req.user, req.ip);
+
+    // Send the file with proper headers
     res.setHeader("Content-Type", "image/webp");
     res.setHeader("Content-Disposition", `inline; filename="aadhar_${type}.webp"`);
     res.setHeader("Cache-Control", "private, no-cache, no-store, must-revalidate");
     res.setHeader("Pragma", "no-cache");
     res.setHeader("Expires", "0");
 
-    // Create read stream and pipe to response
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.on("error", (err) => {
-      console.error("File stream error:", err);
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          message: "Error reading document file",
-        });
-      }
-    });
-
-    fileStream.pipe(res);
+    res.send(image);
   } catch (error) {
     console.error("View KYC document error:", error);
     res.status(500).json({
@@ -922,6 +1142,15 @@ exports.revokeCollectorStatus = async (req, res) => {
 
     await user.save();
 
+    // Audit log: Collector revoked
+    logCollectorRevocation(
+      user._id,
+      user.collectorProfile.fullName || user.fullName,
+      req.user,
+      reason.trim(),
+      req.ip
+    );
+
     res.status(200).json({
       success: true,
       message: "Collector status revoked successfully",
@@ -939,3 +1168,134 @@ exports.revokeCollectorStatus = async (req, res) => {
     });
   }
 };
+
+// ==================== EVENT VOLUNTEERS ====================
+
+/**
+ * List event volunteers
+ * GET /api/admin/system/volunteers
+ */
+exports.getVolunteers = async (req, res) => {
+  try {
+    const volunteers = await User.find({ role: "EVENT_VOLUNTEER" })
+      .select("fullName email mobile createdAt updatedAt")
+      .sort({ fullName: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: volunteers,
+    });
+  } catch (error) {
+    console.error("Get volunteers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch volunteers",
+    });
+  }
+};
+
+/**
+ * POST /api/admin/system/volunteers
+ * Body: { identifier } - registered mobile number or email
+ *
+ * Grants EVENT_VOLUNTEER (gate check-in) to a regular user.
+ * Collectors and admins keep their role - a user has one role.
+ */
+exports.addVolunteer = async (req, res) => {
+  try {
+    const identifier = String(req.body.identifier || "").trim();
+
+    if (!identifier) {
+      return res.status(400).json({
+        success: false,
+        message: "Mobile number or email is required",
+      });
+    }
+
+    // Emails are stored as typed at signup - match them case-insensitively
+    const user = identifier.includes("@")
+      ? await User.findOne({
+          email: new RegExp(`^${identifier.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i"),
+        })
+      : await User.findOne({ mobile: identifier.replace(/\D/g, "").slice(-10) });
+
+    if (!user || user.erasedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "No registered user with this mobile number or email",
+      });
+    }
+
+    if (user.role === "EVENT_VOLUNTEER") {
+      return res.status(400).json({
+        success: false,
+        message: "User is already an event volunteer",
+      });
+    }
+
+    if (user.role !== "USER") {
+      return res.status(400).json({
+        success: false,
+        message: `User has the ${user.role} role and cannot be made a volunteer`,
+      });
+    }
+
+    user.role = "EVENT_VOLUNTEER";
+    await user.save();
+
+    logVolunteerRoleChange(user._id, user.fullName, true, req.user, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: "Volunteer added",
+      data: {
+        userId: user._id,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Add volunteer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add volunteer",
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/system/volunteers/:userId
+ * Returns an event volunteer to a regular user
+ */
+exports.removeVolunteer = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user || user.role !== "EVENT_VOLUNTEER") {
+      return res.status(404).json({
+        success: false,
+        message: "Volunteer not found",
+      });
+    }
+
+    user.role = "USER";
+    await user.save();
+
+    logVolunteerRoleChange(user._id, user.fullName, false, req.user, req.ip);
+
+    res.status(200).json({
+      success: true,
+      message: "Volunteer removed",
+      data: {
+        userId: user._id,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Remove volunteer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove volunteer",
+    });
+  }
+};
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { csvValue } = require("../utils/csv");
+
+/**
+ * AUDIT LOG CONTROLLER
+ * Read-only search over the persistent audit trail (System Admin only).
+ * Entries are written by audit.service.js - there is no create/update/delete API.
+ */
+
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Helper: Build AuditLog query from request filters
+ * Filters: action (comma-separated), actor (user ID, or name/email/mobile search),
+ * targetType, targetId, from, to (dates, inclusive)
+ * @returns {Promise<Object>} { filter } or { error }
+ */
+const buildAuditFilter = async (query) => {
+  const { action, actor, targetType, targetId, from, to } = query;
+  const filter = {};
+
+  if (action) {
+    const actions = String(action)
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean);
+    if (actions.length > 0) filter.action = { $in: actions };
+  }
+
+  if (actor && String(actor).trim()) {
+    const actorQuery = String(actor).trim();
+    if (mongoose.Types.ObjectId.isValid(actorQuery)) {
+      filter["actor.id"] = actorQuery;
+    } else {
+      const escaped = actorQuery.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const users = await User.find({
+        $or: [
+          { fullName: { $regex: escaped, $options: "i" } },
+          { email: { $regex: escaped, $options: "i" } },
+          { mobile: { $regex: escaped } },
+        ],
+      })
+        .select("_id")
+        .limit(100)
+        .lean();
+      filter["actor.id"] = { $in: users.map((u) => u._id) };
+    }
+  }
+
+  if (targetType) filter["target.type"] = targetType;
+  if (targetId) filter["target.id"] = String(targetId);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate.getTime())) return { error: "Invalid 'from' date" };
+      filter.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate.getTime())) return { error: "Invalid 'to' date" };
+      // Date-only values include the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+        toDate.setHours(23, 59, 59, 999);
+      }
+      filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * Search audit logs
+ * GET /api/admin/system/audit-logs
+ * Query: action, actor, targetType, targetId, from, to, page, limit
+ *        format=csv - download all matching entries (up to 10,000) as CSV
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, format } = req.query;
+
+    const { filter, error } = await buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (format === "csv") {
+      const logs = await AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .populate("actor.id", "fullName email")
+        .lean();
+
+      const header = [
+        "Timestamp",
+        "Action",
+        "Actor",
+        "Actor Email",
+        "Actor Role",
+        "IP",
+        "Target Type",
+        "Target ID",
+        "Target",
+        "Message",
+        "Severity",
+        "Details",
+      ];
+      const rows = logs.map((log) =>
+        [
+          log.createdAt.toISOString(),
+          log.action,
+          log.actor?.id?.fullName,
+          log.actor?.id?.email,
+          log.actor?.role,
+          log.ip,
+          log.target?.type,
+          log.target?.id,
+          log.target?.label,
+          log.message,
+          log.severity,
+          log.details && Object.keys(log.details).length > 0 ? log.details : "",
+        ]
+          .map(csvValue)
+          .join(","),
+      );
+
+      const filename = `audit_log_${new Date().toISOString().split("T")[0]}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send([header.join(","), ...rows].join("\n"));
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate("actor.id", "fullName email")
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    res.status(500).json({ message: "Failed to fetch audit logs" });
+  }
+};
+
+/**
+ * List distinct audit actions (for the filter dropdown)
+ * GET /api/admin/system/audit-logs/actions
+ */
+exports.getAuditActions = async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct("action");
+    res.json({ actions: actions.sort() });
+  } catch (error) {
+    console.error("Get audit actions error:", error);
+    res.status(500).json({ message: "Failed to fetch audit actions" });
+  }
+};
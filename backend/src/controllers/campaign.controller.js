@@ -0,0 +1,311 @@
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const DonationHead = require("../models/DonationHead");
+const User = require("../models/User");
+const { assignReferralCode } = require("../services/collector.service");
+const {
+  generateCampaignSlug,
+  getCampaignTotals,
+  getCampaignProgress,
+  getCampaignSupporters,
+} = require("../services/campaign.service");
+
+/**
+ * CAMPAIGN CONTROLLER
+ * Collector fundraising campaigns - collectors manage their own campaigns,
+ * anyone can view a campaign page by its slug.
+ */
+
+const MAX_GOAL_AMOUNT = 10000000; // Rs 1 crore
+const MAX_CAMPAIGN_DAYS = 365;
+
+/**
+ * Helper: Validate editable campaign fields
+ * @param {Object} body - { title?, story?, goalAmount?, deadline? }
+ * @param {boolean} isCreate - Title, goal and deadline are required on create
+ * @returns {Object} { valid, updates, message? }
+ */
+const validateCampaignFields = (body, isCreate) => {
+  const updates = {};
+
+  if (body.title !== undefined || isCreate) {
+    const title = String(body.title || "").trim();
+    if (!title) return { valid: false, message: "Campaign title is required" };
+    if (title.length > 120) {
+      return { valid: false, message: "Title cannot exceed 120 characters" };
+    }
+    updates.title = title;
+  }
+
+  if (body.story !== undefined) {
+    const story = String(body.story || "").trim();
+    if (story.length > 2000) {
+      return { valid: false, message: "Story cannot exceed 2000 characters" };
+    }
+    updates.story = story;
+  }
+
+  if (body.goalAmount !== undefined || isCreate) {
+    const goalAmount = Number(body.goalAmount);
+    if (!Number.isInteger(goalAmount) || goalAmount < 100 || goalAmount > MAX_GOAL_AMOUNT) {
+      return {
+        valid: false,
+        message: `Goal must be a whole amount between Rs 100 and Rs ${MAX_GOAL_AMOUNT.toLocaleString("en-IN")}`,
+      };
+    }
+    updates.goalAmount = goalAmount;
+  }
+
+  if (body.deadline !== undefined || isCreate) {
+    const deadline = new Date(body.deadline);
+    const latest = new Date(Date.now() + MAX_CAMPAIGN_DAYS * 24 * 60 * 60 * 1000);
+    if (!body.deadline || isNaN(deadline) || deadline <= new Date() || deadline > latest) {
+      return {
+        valid: false,
+        message: `Deadline must be in the future and within ${MAX_CAMPAIGN_DAYS} days`,
+      };
+    }
+    updates.deadline = deadline;
+  }
+
+  return { valid: true, updates };
+};
+
+/**
+ * Helper: Shape a campaign for the collector's own list
+ */
+const formatOwnCampaign = (campaign, totals) => ({
+  _id: campaign._id,
+  slug: campaign.slug,
+  title: campaign.title,
+  story: campaign.story,
+  donationHead: campaign.donationHead,
+  goalAmount: campaign.goalAmount,
+  deadline: campaign.deadline,
+  status: campaign.status,
+  isOpen: campaign.status === "ACTIVE" && new Date(campaign.deadline) > new Date(),
+  progress: getCampaignProgress(campaign, totals),
+  createdAt: campaign.createdAt,
+});
+
+// ==================== COLLECTOR ROUTES ====================
+
+/**
+ * Get the current collector's campaigns
+ * GET /api/collector/campaigns
+ */
+exports.getMyCampaigns = async (req, res) => {
+  try {
+    const campaigns = await Campaign.find({ collector: req.user.id })
+      .populate("donationHead", "name key")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const totals = await getCampaignTotals(campaigns.map((c) => c._id));
+
+    res.status(200).json({
+      success: true,
+      data: campaigns.map((c) => formatOwnCampaign(c, totals.get(String(c._id)))),
+    });
+  } catch (error) {
+    console.error("Get campaigns error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch campaigns",
+    });
+  }
+};
+
+/**
+ * Create a campaign
+ * POST /api/collector/campaigns
+ * Body: { title, story?, donationHeadId, goalAmount, deadline }
+ */
+exports.createCampaign = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "fullName collectorProfile.fullName collectorDisabled referralCode",
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    if (user.collectorDisabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Your collector account is disabled",
+      });
+    }
+    if (!user.fullName && !user.collectorProfile?.fullName) {
+      return res.status(400).json({
+        success: false,
+        message: "Please add your name to your profile before creating a campaign",
+      });
+    }
+
+    const validation = validateCampaignFields(req.body, true);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, message: validation.message });
+    }
+
+    const { donationHeadId } = req.body;
+    const donationHead = mongoose.Types.ObjectId.isValid(donationHeadId)
+      ? await DonationHead.findOne({ _id: donationHeadId, isActive: true }).select("_id")
+      : null;
+    if (!donationHead) {
+      return res.status(400).json({
+        success: false,
+        message: "Please select a valid donation cause",
+      });
+    }
+
+    // Campaign donations are attributed like referral donations
+    if (!user.referralCode) {
+      await assignReferralCode(user._id);
+    }
+
+    const campaign = await Campaign.create({
+      collector: user._id,
+      slug: await generateCampaignSlug(validation.updates.title),
+      donationHead: donationHead._id,
+      ...validation.updates,
+    });
+
+    await campaign.populate("donationHead", "name key");
+
+    res.status(201).json({
+      success: true,
+      message: "Campaign created",
+      data: formatOwnCampaign(campaign.toObject()),
+    });
+  } catch (error) {
+    console.error("Create campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create campaign",
+    });
+  }
+};
+
+/**
+ * Update or close one of the collector's campaigns
+ * PATCH /api/collector/campaigns/:id
+ * Body: { title?, story?, goalAmount?, deadline?, status?: "CLOSED" }
+ * The cause cannot change, and a closed campaign cannot be edited or reopened.
+ */
+exports.updateCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({
+      _id: req.params.id,
+      collector: req.user.id,
+    });
+    if (!campaign) {
+      return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+    if (campaign.status === "CLOSED") {
+      return res.status(400).json({
+        success: false,
+        message: "Closed campaigns cannot be changed",
+      });
+    }
+
+    const { status, ...fields } = req.body;
+    if (status !== undefined && status !== "CLOSED") {
+      return res.status(400).json({
+        success: false,
+        message: "A campaign can only be closed",
+      });
+    }
+
+    const validation = validateCampaignFields(fields, false);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, message: validation.message });
+    }
+
+    Object.assign(campaign, validation.updates);
+    if (status === "CLOSED") {
+      campaign.status = "CLOSED";
+      campaign.closedAt = new Date();
+    }
+    await campaign.save();
+
+    await campaign.populate("donationHead", "name key");
+    const totals = await getCampaignTotals([campaign._id]);
+
+    res.status(200).json({
+      success: true,
+      message: status === "CLOSED" ? "Campaign closed" : "Campaign updated",
+      data: formatOwnCampaign(campaign.toObject(), totals.get(String(campaign._id))),
+    });
+  } catch (error) {
+    console.error("Update campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update campaign",
+    });
+  }
+};
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * Get a campaign page by slug
+ * GET /api/public/campaigns/:slug
+ *
+ * Returns the campaign with live progress and latest supporters.
+ * referralCode is the collector's public code, used to show attribution on the donate page.
+ */
+exports.getCampaignBySlug = async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ slug: String(req.params.slug).toLowerCase() })
+      .populate("donationHead", "name key isActive")
+      .populate("collector", "fullName collectorProfile.fullName collectorDisabled referralCode")
+      .lean();
+
+    if (!campaign || !campaign.collector || campaign.collector.collectorDisabled) {
+      return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+
+    const [totals, supporters] = await Promise.all([
+      getCampaignTotals([campaign._id]),
+      getCampaignSupporters(campaign._id),
+    ]);
+
+    const isOpen =
+      campaign.status === "ACTIVE" &&
+      new Date(campaign.deadline) > new Date() &&
+      Boolean(campaign.donationHead?.isActive);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: campaign._id,
+        slug: campaign.slug,
+        title: campaign.title,
+        story: campaign.story,
+        goalAmount: campaign.goalAmount,
+        deadline: campaign.deadline,
+        status: campaign.status,
+        isOpen,
+        donationHead: campaign.donationHead
+          ? {
+              _id: campaign.donationHead._id,
+              name: campaign.donationHead.name,
+              key: campaign.donationHead.key,
+            }
+          : null,
+        collectorName:
+          campaign.collector.fullName || campaign.collector.collectorProfile?.fullName,
+        referralCode: campaign.collector.referralCode || null,
+        progress: getCampaignProgress(campaign, totals.get(String(campaign._id))),
+        supporters,
+        createdAt: campaign.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch campaign",
+    });
+  }
+};
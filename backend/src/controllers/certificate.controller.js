@@ -0,0 +1,249 @@
+const AnnualCertificate = require("../models/AnnualCertificate");
+const {
+  buildDonorCopy,
+  issueCertificatesForYear,
+  getUserCertificateYears,
+  streamCertificatesPdf,
+} = require("../services/certificate.service");
+const {
+  getFinancialYear,
+  parseFinancialYear,
+  isFinancialYearClosed,
+} = require("../utils/financialYear");
+const maskId = require("../utils/maskId");
+const { panBlindIndex } = require("../utils/fieldEncryption");
+const { logCertificateBatch } = require("../services/audit.service");
+
+/**
+ * CERTIFICATE CONTROLLER
+ * Annual consolidated 80G certificates - donor self-service and System Admin batch.
+ * Certificates are only issued once the financial year has ended (after 31 March).
+ */
+
+/**
+ * Validate a financial year param that must already be closed
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateClosedYear = (financialYear) => {
+  if (!parseFinancialYear(financialYear)) {
+    return "Financial year must look like 2025-26";
+  }
+  if (!isFinancialYearClosed(financialYear)) {
+    return `Certificates for ${financialYear} are available after 31 March`;
+  }
+  return null;
+};
+
+const sendPdfHeaders = (res, fileName) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+};
+
+// ==================== DONOR ====================
+
+/**
+ * List the logged-in user's 80G certificates by financial year and PAN
+ * GET /api/user/certificates
+ * PANs are masked; panLast4 identifies the PAN when downloading.
+ */
+exports.getMyCertificates = async (req, res) => {
+  try {
+    const years = await getUserCertificateYears(req.user.id);
+
+    res.json({
+      currentFinancialYear: getFinancialYear(),
+      certificates: years.map((y) => ({
+        financialYear: y.financialYear,
+        pan: maskId("PAN", y.pan),
+        panLast4: y.pan.slice(-4),
+        donationCount: y.donationCount,
+        totalAmount: y.totalAmount,
+        available: isFinancialYearClosed(y.financialYear),
+      })),
+    });
+  } catch (error) {
+    console.error("Get my certificates error:", error);
+    res.status(500).json({ message: "Failed to fetch certificates" });
+  }
+};
+
+/**
+ * Download the logged-in user's certificate for a financial year
+ * GET /api/user/certificates/:financialYear/download?panLast4=234F
+ * Issues the certificate on first download. Only PANs the user donated under can be
+ * used, and the copy lists only the user's own donations under that PAN.
+ */
+exports.downloadMyCertificate = async (req, res) => {
+  try {
+    const { financialYear } = req.params;
+    const yearError = validateClosedYear(financialYear);
+    if (yearError) {
+      return res.status(400).json({ message: yearError });
+    }
+
+    const years = await getUserCertificateYears(req.user.id);
+    const matches = years.filter(
+      (y) =>
+        y.financialYear === financialYear &&
+        (!req.query.panLast4 || y.pan.endsWith(String(req.query.panLast4).toUpperCase())),
+    );
+
+    if (matches.length === 0) {
+      return res
+        .status(404)
+        .json({ message: "No 80G-eligible donations found for this financial year" });
+    }
+    if (matches.length > 1) {
+      return res.status(400).json({ message: "Specify panLast4 to choose a PAN" });
+    }
+
+    const certificate = await buildDonorCopy(financialYear, matches[0].pan, req.user.id);
+    if (!certificate) {
+      return res
+        .status(404)
+        .json({ message: "No 80G-eligible donations found for this financial year" });
+    }
+
+    sendPdfHeaders(res, `80G-certificate-${financialYear}.pdf`);
+    streamCertificatesPdf([certificate], res);
+  } catch (error) {
+    console.error("Download my certificate error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Failed to generate certificate" });
+    }
+  }
+};
+
+// ==================== SYSTEM ADMIN ====================
+
+/**
+ * Issue certificates for every eligible PAN in a financial year
+ * POST /api/admin/system/certificates/80g/batch
+ * Body: { financialYear } - e.g. "2025-26"
+ */
+exports.issueCertificateBatch = async (req, res) => {
+  try {
+    const { financialYear } = req.body;
+    const yearError = validateClosedYear(financialYear);
+    if (yearError) {
+      return res.status(400).json({ message: yearError });
+    }
+
+    const result = await issueCertificatesForYear(financialYear, req.user.id);
+
+    logCertificateBatch(financialYear, result, req.user, req.ip);
+
+    res.json({
+      message: `${result.issued} certificates issued for ${financialYear}`,
+      issued: result.issued,
+      failed: result.failed.length,
+    });
+  } catch (error) {
+    console.error("Issue certificate batch error:", error);
+    res.status(500).json({ message: "Failed to issue certificates" });
+  }
+};
+
+/**
+ * List issued certificates
+ * GET /api/admin/system/certificates/80g
+ * Query: financialYear, search (name / full PAN / certificate no), page, limit
+ * PANs are encrypted, so a PAN search must be the full PAN.
+ */
+exports.getCertificates = async (req, res) => {
+  try {
+    const { financialYear, search, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (financialYear) filter.financialYear = financialYear;
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { "donor.name": { $regex: escaped, $options: "i" } },
+        { panHash: panBlindIndex(search) },
+        { certificateNumber: { $regex: escaped, $options: "i" } },
+      ];
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [certificates, total] = await Promise.all([
+      AnnualCertificate.find(filter)
+        .select("-donations -users")
+        .sort({ financialYear: -1, certificateNumber: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AnnualCertificate.countDocuments(filter),
+    ]);
+
+    res.json({
+      certificates,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get certificates error:", error);
+    res.status(500).json({ message: "Failed to fetch certificates" });
+  }
+};
+
+/**
+ * Download every issued certificate for a financial year as one PDF
+ * GET /api/admin/system/certificates/80g/download?financialYear=2025-26
+ */
+exports.downloadCertificateBatch = async (req, res) => {
+  try {
+    const { financialYear } = req.query;
+    if (!parseFinancialYear(financialYear)) {
+      return res.status(400).json({ message: "Financial year must look like 2025-26" });
+    }
+
+    const certificates = await AnnualCertificate.find({ financialYear })
+      .sort({ certificateNumber: 1 })
+      .lean();
+
+    if (certificates.length === 0) {
+      return res
+        .status(404)
+        .json({ message: "No certificates issued for this financial year yet" });
+    }
+
+    sendPdfHeaders(res, `80G-certificates-${financialYear}.pdf`);
+    streamCertificatesPdf(certificates, res);
+  } catch (error) {
+    console.error("Download certificate batch error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Failed to generate certificates" });
+    }
+  }
+};
+
+/**
+ * Download a single issued certificate
+ * GET /api/admin/system/certificates/80g/:id/download
+ */
+exports.downloadCertificate = async (req, res) => {
+  try {
+    const certificate = await AnnualCertificate.findById(req.params.id).lean();
+    if (!certificate) {
+      return res.status(404).json({ message: "Certificate not found" });
+    }
+
+    sendPdfHeaders(
+      res,
+      `80G-certificate-${certificate.financialYear}-${certificate.pan}.pdf`,
+    );
+    streamCertificatesPdf([certificate], res);
+  } catch (error) {
+    console.error("Download certificate error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Failed to generate certificate" });
+    }
+  }
+};
@@ -0,0 +1,144 @@
+const Event = require("../models/Event");
+const EventRegistration = require("../models/EventRegistration");
+const {
+  getCheckInEvents,
+  checkInRegistration,
+  getAttendanceCounts,
+} = require("../services/eventRegistration.service");
+
+/**
+ * CHECK-IN CONTROLLER
+ * Gate check-in of event registrations by EVENT_VOLUNTEER users (and admins).
+ * Volunteers only see what the gate needs - no emails or mobile numbers.
+ */
+
+/**
+ * Helper: Attendee as shown to the volunteer at the gate
+ */
+const toGateAttendee = (registration) => ({
+  name: registration.name,
+  registrationNumber: registration.registrationNumber,
+  status: registration.status,
+  answers: registration.answers,
+  checkedInAt: registration.checkedInAt,
+});
+
+/**
+ * GET /api/check-in/events
+ * Events with registration that are happening now or coming up
+ */
+exports.getEvents = async (req, res) => {
+  try {
+    const events = await getCheckInEvents();
+
+    res.json({
+      success: true,
+      data: events,
+    });
+  } catch (error) {
+    console.error("Error fetching check-in events:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch events",
+    });
+  }
+};
+
+/**
+ * GET /api/check-in/events/:id/attendance
+ * Live attendance counts and the latest check-ins - polled by the gate page
+ */
+exports.getAttendance = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select("title date endDate time location")
+      .lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const [counts, recent] = await Promise.all([
+      getAttendanceCounts(event._id),
+      EventRegistration.find({ event: event._id, checkedInAt: { $ne: null } })
+        .select("name registrationNumber checkedInAt checkedInBy")
+        .populate("checkedInBy", "fullName")
+        .sort({ checkedInAt: -1 })
+        .limit(10)
+        .lean(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        event,
+        counts,
+        recent: recent.map((registration) => ({
+          name: registration.name,
+          registrationNumber: registration.registrationNumber,
+          checkedInAt: registration.checkedInAt,
+          checkedInBy: registration.checkedInBy?.fullName || null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching attendance:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch attendance",
+    });
+  }
+};
+
+/**
+ * POST /api/check-in/events/:id
+ * Check an attendee in
+ * Body: { code } - scanned QR content or typed registration number
+ */
+exports.checkIn = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !String(code).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Pass code or registration number is required",
+      });
+    }
+
+    const event = await Event.findById(req.params.id).select("_id").lean();
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const result = await checkInRegistration(event._id, code, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: result.registration ? toGateAttendee(result.registration) : null,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.registration.name} checked in`,
+      data: {
+        attendee: toGateAttendee(result.registration),
+        counts: await getAttendanceCounts(event._id),
+      },
+    });
+  } catch (error) {
+    console.error("Check-in error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check in",
+    });
+  }
+};
@@ -1,6 +1,9 @@
 const User = require("../models/User");
 const { saveKycDocument, deleteKycDocuments } = require("../services/kyc.service");
-const { getCollectorDashboard } = require("../services/collector.service");
+const {
+  getCollectorDashboard,
+  resolveLeaderboardWindow,
+} = require("../services/collector.service");
 const { logCollectorApplication } = require("../services/audit.service");
 
 /**
@@ -339,14 +342,22 @@ exports.reapplyForCollector = async (req, res) => {
  * - totalAmount: Total donation amount attributed to this collector
  * - donationCount: Number of donations attributed
  * - top5Collectors: Leaderboard of top 5 collectors
+ * - myRank: { rank, totalAmount, donationCount, totalCollectors } in the same window
+ *
+ * Query: period, from, to, donationHeadId - leaderboard window (see GET /api/leaderboard/top)
  * - recentDonations: Last 10 donations attributed to this collector
  */
 exports.getDashboard = async (req, res) => {
   try {
     const userId = req.user.id;
 
+    const { window, error } = await resolveLeaderboardWindow(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
     // Get dashboard data from service
-    const dashboardData = await getCollectorDashboard(userId);
+    const dashboardData = await getCollectorDashboard(userId, window);
 
     if (!dashboardData) {
       return res.status(500).json({
@@ -366,6 +377,7 @@ exports.getDashboard = async (req, res) => {
         totalAmount: dashboardData.totalAmount,
         donationCount: dashboardData.donationCount,
         top5Collectors: dashboardData.top5Collectors,
+        myRank: dashboardData.myRank,
         recentDonations: dashboardData.recentDonations,
       },
     });
@@ -1,3 +1,4 @@
+const mongoose = require("mongoose");
 const Donation = require("../models/Donation");
 const razorpay = require("../config/razorpay");
 const { v4: uuidv4 } = require("uuid");
@@ -8,15 +9,31 @@ const User = require("../models/User");
 const {
   generateDonationReceipt,
   getReceiptPublicUrl,
+  resolveReceiptLanguage,
 } = require("../services/receipt.service");
 const { sendDonationReceiptEmail } = require("../services/email.service");
+const {
+  createReceiptToken,
+  verifyReceiptToken,
+} = require("../services/receiptLink.service");
 const {
   resolveCollector,
   getTopCollectors,
+  resolveLeaderboardWindow,
   getCollectorStats,
   validateReferralCode,
 } = require("../services/collector.service");
+const { resolveCampaign } = require("../services/campaign.service");
 const { logDonationAttribution } = require("../services/audit.service");
+const RecurringDonation = require("../models/RecurringDonation");
+const DonationHead = require("../models/DonationHead");
+const {
+  DEFAULT_TOTAL_COUNT,
+  MAX_TOTAL_COUNT,
+  getOrCreatePlan,
+  createSubscription,
+  applyDonorAction,
+} = require("../services/recurringDonation.service");
 
 /**
  * Helper: Validate PAN number
@@ -56,89 +73,178 @@ const validateAge = (dob) => {
   return { valid: true };
 };
 
+/**
+ * Helper: Validate donation amount against production limits
+ */
+const validateDonationAmount = (amount) => {
+  const MIN_DONATION = 10; // ₹10 minimum
+  const MAX_DONATION = 10000000; // ₹1 crore maximum
+  const numericAmount = Number(amount);
+
+  if (!Number.isFinite(numericAmount) || numericAmount < MIN_DONATION) {
+    return { valid: false, message: `Minimum donation amount is ₹${MIN_DONATION}` };
+  }
+  if (numericAmount > MAX_DONATION) {
+    return {
+      valid: false,
+      message: `Maximum donation amount is ₹${MAX_DONATION.toLocaleString("en-IN")}`,
+    };
+  }
+
+  return { valid: true, amount: numericAmount };
+};
+
+/**
+ * Helper: Validate donor details and build the stored donor snapshot
+ * Address can come as legacy string OR structured addressObj - both are stored
+ */
+const buildDonorSnapshot = (donor) => {
+  const {
+    name,
+    mobile,
+    email,
+    emailOptIn,
+    emailVerified,
+    address,
+    addressObj,
+    anonymousDisplay,
+    dob,
+    idType,
+    idNumber,
+  } = donor || {};
+
+  const hasAddress =
+    address || (addressObj && (addressObj.line || addressObj.city));
+  if (!name || !mobile || !hasAddress || !dob || !idType || !idNumber) {
+    return { valid: false, message: "Missing required donor details" };
+  }
+
+  // Validate government ID
+  const idValidation = validateGovtId(idType, idNumber);
+  if (!idValidation.valid) return idValidation;
+
+  // Validate age
+  const ageValidation = validateAge(dob);
+  if (!ageValidation.valid) return ageValidation;
+
+  // Build structured address if provided by new frontend
+  const structuredAddress = addressObj
+    ? {
+        line: addressObj.line || "",
+        city: addressObj.city || "",
+        state: addressObj.state || "",
+        country: addressObj.country || "India",
+        pincode: addressObj.pincode || "",
+      }
+    : undefined;
+
+  // Build legacy address string for backward compatibility
+  const legacyAddress =
+    address ||
+    (structuredAddress
+      ? [
+          structuredAddress.line,
+          structuredAddress.city,
+          structuredAddress.state,
+          structuredAddress.country,
+          structuredAddress.pincode,
+        ]
+          .filter(Boolean)
+          .join(", ")
+      : "");
+
+  return {
+    valid: true,
+    donor: {
+      name,
+      mobile,
+      email: email || undefined,
+      emailOptIn: emailOptIn || false,
+      emailVerified: emailVerified || false,
+      address: legacyAddress,
+      addressObj: structuredAddress || undefined,
+      anonymousDisplay: anonymousDisplay || false,
+      dob: new Date(dob),
+      idType,
+      idNumber,
+    },
+  };
+};
+
+/**
+ * Helper: Resolve optional referral code to a collector
+ * An invalid code is rejected rather than silently ignored
+ */
+const resolveReferralCode = async (referralCode) => {
+  if (!referralCode || !referralCode.trim()) {
+    return { valid: true, collector: null, hasCollectorAttribution: false };
+  }
+
+  const validation = await validateReferralCode(referralCode);
+  if (!validation.valid) {
+    return { valid: false, message: validation.error || "Invalid referral code" };
+  }
+
+  return {
+    valid: true,
+    collector: {
+      collectorId: validation.collectorId,
+      collectorName: validation.collectorName,
+    },
+    hasCollectorAttribution: true,
+  };
+};
+
+/**
+ * Helper: Resolve collector attribution from a campaign or a referral code
+ * A campaign wins over a referral code - its collector gets the attribution.
+ * @returns {Object} { valid, collector, hasCollectorAttribution, campaignId, message? }
+ */
+const resolveAttribution = async ({ campaignId, referralCode, donationHeadId }) => {
+  if (campaignId) {
+    const campaign = await resolveCampaign(campaignId, donationHeadId);
+    if (!campaign.valid) {
+      return { valid: false, message: campaign.message };
+    }
+    return {
+      valid: true,
+      collector: campaign.collector,
+      hasCollectorAttribution: true,
+      campaignId: campaign.campaign._id,
+    };
+  }
+
+  const referral = await resolveReferralCode(referralCode);
+  return { ...referral, campaignId: null };
+};
+
 /**
  * Create donation record
  * POST /donations/create
  * Accepts full donor object and stores snapshot
- * Optional referralCode for collector attribution
+ * Optional referralCode or campaignId for collector attribution
+ * Optional receiptLanguage (en/hi/mr) - the receipt is rendered in it
  */
 exports.createDonation = async (req, res) => {
   try {
     // FIX 1: Removed otpVerified from destructuring - never trust client input
-    const { donor, donationHead, amount, referralCode } = req.body;
+    const { donor, donationHead, amount, referralCode, campaignId, receiptLanguage } = req.body;
 
     // Validate required fields
     if (!donor || !donationHead || !amount || amount <= 0) {
       return res.status(400).json({ message: "Invalid donation data" });
     }
 
-    // Production hardening: Donation amount limits
-    const MIN_DONATION = 10; // ₹10 minimum
-    const MAX_DONATION = 10000000; // ₹1 crore maximum
-    const numericAmount = Number(amount);
-
-    if (!Number.isFinite(numericAmount) || numericAmount < MIN_DONATION) {
-      return res
-        .status(400)
-        .json({ message: `Minimum donation amount is ₹${MIN_DONATION}` });
-    }
-    if (numericAmount > MAX_DONATION) {
-      return res
-        .status(400)
-        .json({
-          message: `Maximum donation amount is ₹${MAX_DONATION.toLocaleString("en-IN")}`,
-        });
+    const amountValidation = validateDonationAmount(amount);
+    if (!amountValidation.valid) {
+      return res.status(400).json({ message: amountValidation.message });
     }
 
-    // Validate donor object
-    const {
-      name,
-      mobile,
-      email,
-      emailOptIn,
-      emailVerified,
-      address,
-      addressObj,
-      anonymousDisplay,
-      dob,
-      idType,
-      idNumber,
-    } = donor;
-
-    // Address can come as legacy string OR structured addressObj
-    const hasAddress =
-      address || (addressObj && (addressObj.line || addressObj.city));
-    if (!name || !mobile || !hasAddress || !dob || !idType || !idNumber) {
-      return res
-        .status(400)
-        .json({ message: "Missing required donor details" });
-    }
-
-    // Build structured address if provided by new frontend
-    const structuredAddress = addressObj
-      ? {
-          line: addressObj.line || "",
-          city: addressObj.city || "",
-          state: addressObj.state || "",
-          country: addressObj.country || "India",
-          pincode: addressObj.pincode || "",
-        }
-      : undefined;
-
-    // Build legacy address string for backward compatibility
-    const legacyAddress =
-      address ||
-      (structuredAddress
-        ? [
-            structuredAddress.line,
-            structuredAddress.city,
-            structuredAddress.state,
-            structuredAddress.country,
-            structuredAddress.pincode,
-          ]
-            .filter(Boolean)
-            .join(", ")
-        : "");
+    // Validate donor object and build the stored snapshot
+    const donorValidation = buildDonorSnapshot(donor);
+    if (!donorValidation.valid) {
+      return res.status(400).json({ message: donorValidation.message });
+    }
 
     // Validate donationHead object - must have valid id and name (not empty, not "null" string)
     if (
@@ -155,35 +261,24 @@ exports.createDonation = async (req, res) => {
         .json({ message: "Please select a valid donation cause" });
     }
 
-    // Validate government ID
-    const idValidation = validateGovtId(idType, idNumber);
-    if (!idValidation.valid) {
-      return res.status(400).json({ message: idValidation.message });
-    }
-
-    // Validate age
-    const ageValidation = validateAge(dob);
-    if (!ageValidation.valid) {
-      return res.status(400).json({ message: ageValidation.message });
+    const subCause = await DonationHead.resolveSubCauseKey(
+      donationHead.id,
+      donationHead.subCauseKey,
+    );
+    if (!subCause.valid) {
+      return res.status(400).json({ message: "Please select a valid sub-cause" });
     }
 
-    // Validate referral code if provided - REJECT on invalid
-    let collector = null;
-    let hasCollectorAttribution = false;
-
-    if (referralCode && referralCode.trim()) {
-      const validation = await validateReferralCode(referralCode);
-      if (!validation.valid) {
-        return res.status(400).json({
-          message: validation.error || "Invalid referral code",
-        });
-      }
-      collector = {
-        collectorId: validation.collectorId,
-        collectorName: validation.collectorName,
-      };
-      hasCollectorAttribution = true;
+    // Validate campaign / referral code if provided - REJECT on invalid
+    const attribution = await resolveAttribution({
+      campaignId,
+      referralCode,
+      donationHeadId: donationHead.id,
+    });
+    if (!attribution.valid) {
+      return res.status(400).json({ message: attribution.message });
     }
+    const { collector, hasCollectorAttribution } = attribution;
 
     // Create donation with donor snapshot
 
@@ -193,23 +288,14 @@ exports.createDonation = async (req, res) => {
       collectorId: collector?.collectorId || null,
       collectorName: collector?.collectorName || null,
       hasCollectorAttribution,
-      donor: {
-        name,
-        mobile,
-        email: email || undefined,
-        emailOptIn: emailOptIn || false,
-        emailVerified: emailVerified || false,
-        address: legacyAddress,
-        addressObj: structuredAddress || undefined,
-        anonymousDisplay: anonymousDisplay || false,
-        dob: new Date(dob),
-        idType,
-        idNumber,
-      },
+      campaignId: attribution.campaignId,
+      donor: donorValidation.donor,
       donationHead: {
         id: donationHead.id,
         name: donationHead.name,
+        subCauseKey: subCause.subCauseKey,
       },
+      receiptLanguage: resolveReceiptLanguage(receiptLanguage),
       amount,
       paymentMethod: "ONLINE",
       // FIX 1: Always false - only set true server-side after OTP verification
@@ -230,6 +316,8 @@ exports.createDonation = async (req, res) => {
     res.status(201).json({
       message: "Donation initiated",
       donationId: donation._id,
+      // Signed token for status polling and the receipt on Step5Success
+      receiptToken: createReceiptToken(donation._id),
       status: donation.status,
     });
   } catch (error) {
@@ -324,9 +412,36 @@ exports.getUserDonations = async (req, res) => {
   }
 };
 
+/**
+ * Check access to a donation's status or receipt
+ * Allowed with a valid signed token (?token=), or for the logged-in donor
+ * who owns the donation, or a System Admin.
+ *
+ * @returns {Object|null} null if allowed, otherwise { status, body } to send
+ */
+const checkReceiptAccess = (req, donation) => {
+  if (req.user) {
+    if (req.user.role === "SYSTEM_ADMIN") return null;
+    if (donation.user && String(donation.user) === String(req.user.id)) return null;
+  }
+
+  if (req.query.token) {
+    const { valid, expired } = verifyReceiptToken(donation._id, req.query.token);
+    if (valid) return null;
+    if (expired) {
+      return {
+        status: 403,
+        body: { message: "This receipt link has expired", expired: true },
+      };
+    }
+  }
+
+  return { status: 403, body: { message: "Not authorized to view this donation" } };
+};
+
 /**
  * Get donation status
- * PUBLIC endpoint - no auth required
+ * Signed token or owner/System Admin login (see checkReceiptAccess)
  * Used by Step5Success polling for both guest and logged-in users
  * Safe: only returns status, no sensitive data
  */
@@ -340,13 +455,18 @@ exports.getDonationStatus = async (req, res) => {
     }
 
     const donation = await Donation.findById(id).select(
-      "status donationHead amount receiptNumber",
+      "status donationHead amount receiptNumber user",
     );
 
     if (!donation) {
       return res.status(404).json({ status: "NOT_FOUND" });
     }
 
+    const denied = checkReceiptAccess(req, donation);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
     res.json({
       status: donation.status,
       donationHead: donation.donationHead,
@@ -361,10 +481,11 @@ exports.getDonationStatus = async (req, res) => {
 
 /**
  * Download donation receipt
- * PUBLIC endpoint - accessible via donationId (acts as access token)
+ * Signed token (email link, Step5Success) or owner/System Admin login (see checkReceiptAccess)
  * ALWAYS regenerates the PDF using the current template so that
  * both "just after payment" and "My Donations" downloads are identical.
- * Only returns receipt if donation.status === "SUCCESS"
+ * Only returns receipt if donation.status is SUCCESS or PARTIALLY_REFUNDED
+ * (a partially refunded receipt shows the amount kept); refunded receipts are cancelled
  */
 exports.downloadReceipt = async (req, res) => {
   try {
@@ -381,8 +502,20 @@ exports.downloadReceipt = async (req, res) => {
       return res.status(404).json({ message: "Donation not found" });
     }
 
+    const denied = checkReceiptAccess(req, donation);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    if (donation.status === "REFUNDED") {
+      return res.status(410).json({
+        message: "Receipt cancelled - this donation has been refunded",
+        receiptCancelledAt: donation.receiptCancelledAt,
+      });
+    }
+
     // Check if donation is successful
-    if (donation.status !== "SUCCESS") {
+    if (!Donation.COUNTED_STATUSES.includes(donation.status)) {
       return res
         .status(403)
         .json({ message: "Receipt not available for this donation" });
@@ -503,11 +636,17 @@ exports.getLastDonorProfile = async (req, res) => {
  * Get top collectors leaderboard
  * GET /donations/leaderboard
  * Returns top 5 collectors ranked by total donation amount
+ * Query: period, from, to, donationHeadId (see GET /api/leaderboard/top), limit
  */
 exports.getLeaderboard = async (req, res) => {
   try {
+    const { window, error } = await resolveLeaderboardWindow(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
     const limit = Math.min(parseInt(req.query.limit) || 5, 20); // Cap at 20
-    const leaderboard = await getTopCollectors(limit);
+    const leaderboard = await getTopCollectors(limit, window);
     res.json({ leaderboard });
   } catch (error) {
     console.error("Leaderboard error:", error);
@@ -537,3 +676,205 @@ exports.getMyCollectorStats = async (req, res) => {
     res.status(500).json({ message: "Failed to fetch collector stats" });
   }
 };
+
+// ==================== RECURRING (MONTHLY) DONATIONS ====================
+
+/**
+ * Start a monthly donation
+ * POST /donations/recurring
+ * Body: { donor, donationHeadId, subCauseKey?, amount, months?, referralCode?, campaignId?, receiptLanguage? }
+ * Requires authentication - the donor manages the mandate from My Donations
+ *
+ * Returns the Razorpay subscription ID for checkout. Nothing is charged here:
+ * each monthly charge arrives as a subscription.charged webhook, which
+ * creates a regular Donation with its own receipt.
+ */
+exports.createRecurringDonation = async (req, res) => {
+  try {
+    const {
+      donor,
+      donationHeadId,
+      subCauseKey,
+      amount,
+      months,
+      referralCode,
+      campaignId,
+      receiptLanguage,
+    } = req.body;
+
+    const amountValidation = validateDonationAmount(amount);
+    if (!amountValidation.valid) {
+      return res.status(400).json({ message: amountValidation.message });
+    }
+
+    const totalCount = months ? Number(months) : DEFAULT_TOTAL_COUNT;
+    if (!Number.isInteger(totalCount) || totalCount < 1 || totalCount > MAX_TOTAL_COUNT) {
+      return res
+        .status(400)
+        .json({ message: `Months must be between 1 and ${MAX_TOTAL_COUNT}` });
+    }
+
+    const donorValidation = buildDonorSnapshot(donor);
+    if (!donorValidation.valid) {
+      return res.status(400).json({ message: donorValidation.message });
+    }
+
+    if (!donationHeadId || !mongoose.Types.ObjectId.isValid(donationHeadId)) {
+      return res
+        .status(400)
+        .json({ message: "Please select a valid donation cause" });
+    }
+    const donationHead = await DonationHead.findOne({
+      _id: donationHeadId,
+      isActive: true,
+    });
+    if (!donationHead) {
+      return res
+        .status(400)
+        .json({ message: "Please select a valid donation cause" });
+    }
+
+    const subCause = await DonationHead.resolveSubCauseKey(donationHead._id, subCauseKey);
+    if (!subCause.valid) {
+      return res.status(400).json({ message: "Please select a valid sub-cause" });
+    }
+
+    const attribution = await resolveAttribution({
+      campaignId,
+      referralCode,
+      donationHeadId: donationHead._id,
+    });
+    if (!attribution.valid) {
+      return res.status(400).json({ message: attribution.message });
+    }
+    const { collector, hasCollectorAttribution } = attribution;
+
+    // Donation records store the English name, same as one-off donations
+    const headName = donationHead.name?.en || donationHead.key;
+
+    let razorpayPlanId;
+    try {
+      razorpayPlanId = await getOrCreatePlan(
+        donationHead,
+        headName,
+        amountValidation.amount,
+      );
+    } catch (razorpayError) {
+      console.error("Razorpay plan creation failed:", razorpayError);
+      return res.status(502).json({ message: "Failed to create Razorpay plan" });
+    }
+
+    const recurring = await RecurringDonation.create({
+      user: req.user.id,
+      collectorId: collector?.collectorId || null,
+      collectorName: collector?.collectorName || null,
+      hasCollectorAttribution,
+      campaignId: attribution.campaignId,
+      donor: donorValidation.donor,
+      donationHeadRef: donationHead._id,
+      donationHead: {
+        id: donationHead._id.toString(),
+        name: headName,
+        subCauseKey: subCause.subCauseKey,
+      },
+      receiptLanguage: resolveReceiptLanguage(receiptLanguage),
+      amount: amountValidation.amount,
+      totalCount,
+      razorpayPlanId,
+      status: "CREATED",
+    });
+
+    let subscription;
+    try {
+      subscription = await createSubscription(recurring);
+    } catch (razorpayError) {
+      console.error("Razorpay subscription creation failed:", razorpayError);
+      recurring.status = "CANCELLED";
+      recurring.cancelledAt = new Date();
+      await recurring.save();
+      return res
+        .status(502)
+        .json({ message: "Failed to create Razorpay subscription" });
+    }
+
+    res.status(201).json({
+      message: "Monthly donation initiated",
+      recurringDonationId: recurring._id,
+      razorpaySubscriptionId: subscription.id,
+      amount: Math.round(recurring.amount * 100), // Amount in paise for Razorpay
+      currency: "INR",
+      key: process.env.RAZORPAY_KEY_ID,
+    });
+  } catch (error) {
+    console.error("Create recurring donation error:", error);
+    res.status(500).json({ message: "Failed to start monthly donation" });
+  }
+};
+
+/**
+ * Get logged-in user's monthly donations
+ * GET /donations/recurring/my
+ */
+exports.getMyRecurringDonations = async (req, res) => {
+  try {
+    const recurring = await RecurringDonation.find({
+      user: req.user.id,
+      // Mandates the donor never authorised are noise in the list
+      $or: [{ status: { $ne: "CANCELLED" } }, { paidCount: { $gt: 0 } }],
+    })
+      .select(
+        "donationHead amount totalCount status paidCount totalCollected lastChargedAt nextChargeAt pausedAt cancelledAt createdAt",
+      )
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(recurring);
+  } catch (error) {
+    console.error("Get recurring donations error:", error);
+    res.status(500).json({ message: "Failed to fetch monthly donations" });
+  }
+};
+
+/**
+ * Pause, resume or cancel a monthly donation
+ * POST /donations/recurring/:id/pause | /resume | /cancel
+ * Only the owner can change their own mandate
+ */
+const changeRecurringStatus = (action) => async (req, res) => {
+  try {
+    const recurring = await RecurringDonation.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!recurring) {
+      return res.status(404).json({ message: "Monthly donation not found" });
+    }
+
+    let result;
+    try {
+      result = await applyDonorAction(recurring, action);
+    } catch (razorpayError) {
+      console.error(`Razorpay subscription ${action} failed:`, razorpayError);
+      return res
+        .status(502)
+        .json({ message: `Failed to ${action} monthly donation` });
+    }
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({
+      message: `Monthly donation ${result.recurring.status.toLowerCase()}`,
+      status: result.recurring.status,
+    });
+  } catch (error) {
+    console.error(`Recurring donation ${action} error:`, error);
+    res.status(500).json({ message: `Failed to ${action} monthly donation` });
+  }
+};
+
+exports.pauseRecurringDonation = changeRecurringStatus("pause");
+exports.resumeRecurringDonation = changeRecurringStatus("resume");
+exports.cancelRecurringDonation = changeRecurringStatus("cancel");
@@ -1,6 +1,7 @@
 const DonationHead = require("../models/DonationHead");
 const Donation = require("../models/Donation");
 const imageService = require("../services/image.service");
+const { getProgress } = require("../services/donationHeadTotals.service");
 
 /**
  * DONATION HEAD CONTROLLER
@@ -25,7 +26,7 @@ exports.getActiveDonationHeads = async (req, res) => {
 
     res.json({
       success: true,
-      data: donationHeads,
+      data: donationHeads.map((head) => ({ ...head, progress: getProgress(head) })),
     });
   } catch (error) {
     console.error("Error fetching donation heads:", error);
@@ -50,12 +51,12 @@ exports.getFeaturedDonationHeads = async (req, res) => {
     })
       .sort({ order: 1 })
       .limit(parseInt(limit))
-      .select("key name description imageUrl iconKey minAmount goalAmount currentAmount")
+      .select("key name description imageUrl iconKey minAmount goalAmount currentAmount donationCount")
       .lean();
 
     res.json({
       success: true,
-      data: donationHeads,
+      data: donationHeads.map((head) => ({ ...head, progress: getProgress(head) })),
     });
   } catch (error) {
     console.error("Error fetching featured donation heads:", error);
@@ -69,6 +70,7 @@ exports.getFeaturedDonationHeads = async (req, res) => {
 /**
  * GET /api/public/donation-heads/:key
  * Get single donation head by key (for cause detail page)
+ * Includes progress: { goalAmount, currentAmount, donationCount, percentage, subCauses }
  */
 exports.getDonationHeadByKey = async (req, res) => {
   try {
@@ -88,7 +90,7 @@ exports.getDonationHeadByKey = async (req, res) => {
 
     res.json({
       success: true,
-      data: donationHead,
+      data: { ...donationHead, progress: getProgress(donationHead) },
     });
   } catch (error) {
     console.error("Error fetching donation head:", error);
@@ -117,33 +119,17 @@ exports.getDonationHeadStats = async (req, res) => {
       });
     }
 
-    // Get donation stats from Donation collection
-    const stats = await Donation.aggregate([
-      {
-        $match: {
-          "donationHead.name": donationHead.name,
-          status: "SUCCESS",
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          totalAmount: { $sum: "$amount" },
-          donorCount: { $sum: 1 },
-        },
-      },
-    ]);
+    // Running totals kept by donationHeadTotals.service.js
+    const progress = getProgress(donationHead);
 
     res.json({
       success: true,
       data: {
         name: donationHead.name,
-        goalAmount: donationHead.goalAmount,
-        currentAmount: stats[0]?.totalAmount || 0,
-        donorCount: stats[0]?.donorCount || 0,
-        percentageReached: donationHead.goalAmount
-          ? Math.min(100, Math.round(((stats[0]?.totalAmount || 0) / donationHead.goalAmount) * 100))
-          : null,
+        goalAmount: progress.goalAmount,
+        currentAmount: progress.currentAmount,
+        donationCount: progress.donationCount,
+        percentageReached: progress.percentage,
       },
     });
   } catch (error) {
@@ -179,34 +165,12 @@ exports.getAllDonationHeads = async (req, res) => {
 
     const total = await DonationHead.countDocuments(filter);
 
-    // Get donation counts for each head
-    const headNames = donationHeads.map((h) => h.name);
-    const donationCounts = await Donation.aggregate([
-      {
-        $match: {
-          "donationHead.name": { $in: headNames },
-          status: "SUCCESS",
-        },
-      },
-      {
-        $group: {
-          _id: "$donationHead.name",
-          count: { $sum: 1 },
-          total: { $sum: "$amount" },
-        },
-      },
-    ]);
-
-    // Merge counts with donation heads
-    const countsMap = donationCounts.reduce((acc, c) => {
-      acc[c._id] = { count: c.count, total: c.total };
-      return acc;
-    }, {});
-
+    // Donation counts and totals come from the running totals on each head
     const enrichedHeads = donationHeads.map((head) => ({
       ...head,
-      donationCount: countsMap[head.name]?.count || 0,
-      totalDonated: countsMap[head.name]?.total || 0,
+      donationCount: head.donationCount || 0,
+      totalDonated: head.currentAmount || 0,
+      progress: getProgress(head),
     }));
 
     res.json({
@@ -247,7 +211,7 @@ exports.getDonationHeadById = async (req, res) => {
 
     res.json({
       success: true,
-      data: donationHead,
+      data: { ...donationHead, progress: getProgress(donationHead) },
     });
   } catch (error) {
     console.error("Error fetching donation head:", error);
@@ -312,9 +276,9 @@ exports.createDonationHead = async (req, res) => {
       });
     }
 
-    // Process sub-causes
+    // Process sub-causes (totals start at zero - only donations move them)
     const processedSubCauses = subCauses
-      ? subCauses.map((sc) => ({
+      ? subCauses.map(({ currentAmount, donationCount, ...sc }) => ({
           ...sc,
           key:
             sc.key ||
@@ -427,17 +391,29 @@ exports.updateDonationHead = async (req, res) => {
     if (is80GEligible !== undefined) donationHead.is80GEligible = is80GEligible;
     if (goalAmount !== undefined) donationHead.goalAmount = goalAmount;
 
-    // Update sub-causes if provided
+    // Update sub-causes if provided - running totals are kept per key,
+    // whatever the client sends
     if (subCauses !== undefined) {
-      donationHead.subCauses = subCauses.map((sc) => ({
-        ...sc,
-        key:
+      const existingTotals = new Map(
+        donationHead.subCauses.map((sc) => [
+          sc.key,
+          { currentAmount: sc.currentAmount || 0, donationCount: sc.donationCount || 0 },
+        ]),
+      );
+
+      donationHead.subCauses = subCauses.map(({ currentAmount, donationCount, ...sc }) => {
+        const subCauseKey =
           sc.key ||
           sc.name
             .toLowerCase()
             .replace(/[^a-z0-9]+/g, "-")
-            .replace(/(^-|-$)/g, ""),
-      }));
+            .replace(/(^-|-$)/g, "");
+        return {
+          ...sc,
+          key: subCauseKey,
+          ...(existingTotals.get(subCauseKey) || { currentAmount: 0, donationCount: 0 }),
+        };
+      });
     }
 
     donationHead.updatedBy = req.user.id;
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const {
+  listDonors,
+  getDonorProfile,
+  findMergeSuggestions,
+  mergeDonors,
+  dismissMergeSuggestion,
+} = require("../services/donorRegistry.service");
+const { logDonorMerge } = require("../services/audit.service");
+
+/**
+ * DONOR CONTROLLER
+ * System Admin view of the de-duplicated donor registry: donor list and
+ * profiles, duplicate suggestions and the merge tool.
+ */
+
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(String(id || ""));
+
+/**
+ * List registry donors with lifetime giving, most recently active first
+ * GET /api/admin/system/donors
+ * Query: search (name, mobile, email or full PAN), page, limit
+ */
+exports.getDonors = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const { donors, total } = await listDonors({ search, page: pageNum, limit: limitNum });
+
+    res.json({
+      donors,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get donors error:", error);
+    res.status(500).json({ message: "Failed to fetch donors" });
+  }
+};
+
+/**
+ * Donor profile: lifetime giving, first / last gift, causes, linked account, donations
+ * GET /api/admin/system/donors/:id
+ */
+exports.getDonor = async (req, res) => {
+  try {
+    const donor = await getDonorProfile(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ message: "Donor not found" });
+    }
+
+    res.json({ donor });
+  } catch (error) {
+    console.error("Get donor error:", error);
+    res.status(500).json({ message: "Failed to fetch donor" });
+  }
+};
+
+/**
+ * Likely duplicate donors, best match first
+ * GET /api/admin/system/donors/merge-suggestions
+ * Query: limit (default 50)
+ */
+exports.getMergeSuggestions = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const suggestions = await findMergeSuggestions(limit);
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error("Get merge suggestions error:", error);
+    res.status(500).json({ message: "Failed to find duplicate donors" });
+  }
+};
+
+/**
+ * Merge donors into one
+ * POST /api/admin/system/donors/merge
+ * Body: { targetId, sourceIds } - targetId is kept, sourceIds are merged into it
+ */
+exports.mergeDonors = async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body || {};
+    if (!isObjectId(targetId) || !Array.isArray(sourceIds) || !sourceIds.every(isObjectId)) {
+      return res.status(400).json({ message: "targetId and sourceIds are required" });
+    }
+
+    const result = await mergeDonors(targetId, sourceIds, req.user.id);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    logDonorMerge(result, req.user, req.ip);
+
+    res.json({
+      message: `Merged ${result.merged.length} donor(s) into ${result.donor.name}`,
+      donorId: result.donor._id,
+      donationsMoved: result.donationsMoved,
+      conflictingUsers: result.conflictingUsers,
+    });
+  } catch (error) {
+    console.error("Merge donors error:", error);
+    res.status(500).json({ message: "Failed to merge donors" });
+  }
+};
+
+/**
+ * Mark a suggested pair as different people
+ * POST /api/admin/system/donors/merge-suggestions/dismiss
+ * Body: { donorId, otherId }
+ */
+exports.dismissMergeSuggestion = async (req, res) => {
+  try {
+    const { donorId, otherId } = req.body || {};
+    if (!isObjectId(donorId) || !isObjectId(otherId)) {
+      return res.status(400).json({ message: "donorId and otherId are required" });
+    }
+
+    const dismissed = await dismissMergeSuggestion(donorId, otherId);
+    if (!dismissed) {
+      return res.status(404).json({ message: "Donor not found" });
+    }
+
+    res.json({ message: "Suggestion dismissed" });
+  } catch (error) {
+    console.error("Dismiss merge suggestion error:", error);
+    res.status(500).json({ message: "Failed to dismiss suggestion" });
+  }
+};
@@ -1,5 +1,17 @@
 const Event = require("../models/Event");
 const imageService = require("../services/image.service");
+const EventRegistration = require("../models/EventRegistration");
+const {
+  rolloverEventStatuses,
+  expandUpcomingEvents,
+} = require("../services/event.service");
+const { buildCalendar, getFeedFilter } = require("../services/eventCalendar.service");
+const { isRecurring } = require("../utils/recurrence");
+const {
+  SEATED_STATUSES,
+  getRegistrationSummary,
+  promoteWaitlist,
+} = require("../services/eventRegistration.service");
 
 /**
  * EVENT CONTROLLER
@@ -8,6 +20,55 @@ const imageService = require("../services/image.service");
 
 // ==================== PUBLIC ROUTES ====================
 
+/**
+ * Helper: Apply native registration settings from a request body
+ * seatsTaken is never taken from the client.
+ */
+const applyRegistrationSettings = (event, registration, registrationQuestions) => {
+  if (registration) {
+    const { enabled, capacity, deadline, fee, waitlistEnabled } = registration;
+    if (enabled !== undefined) event.set("registration.enabled", enabled === true);
+    if (capacity !== undefined) {
+      event.set(
+        "registration.capacity",
+        capacity === null || capacity === "" ? null : Number(capacity),
+      );
+    }
+    if (deadline !== undefined) {
+      event.set("registration.deadline", deadline ? new Date(deadline) : null);
+    }
+    if (fee !== undefined) event.set("registration.fee", Number(fee) || 0);
+    if (waitlistEnabled !== undefined) {
+      event.set("registration.waitlistEnabled", waitlistEnabled !== false);
+    }
+  }
+  if (registrationQuestions !== undefined) {
+    event.registrationQuestions = registrationQuestions || [];
+  }
+};
+
+/**
+ * Helper: Apply a recurrence rule from a request body
+ * null (or frequency "none" without extra dates) makes it a single event.
+ */
+const applyRecurrence = (event, recurrence) => {
+  if (recurrence === undefined) return;
+
+  const toDates = (dates) => (dates || []).filter(Boolean).map((d) => new Date(d));
+  event.recurrence = recurrence
+    ? {
+        frequency: recurrence.frequency || "none",
+        interval: Number(recurrence.interval) || 1,
+        weekdays: (recurrence.weekdays || []).map(Number),
+        monthlyBy: recurrence.monthlyBy || "dayOfMonth",
+        weekOfMonth: recurrence.weekOfMonth ? Number(recurrence.weekOfMonth) : null,
+        until: recurrence.until ? new Date(recurrence.until) : null,
+        exceptions: toDates(recurrence.exceptions),
+        additionalDates: toDates(recurrence.additionalDates),
+      }
+    : { frequency: "none" };
+};
+
 /**
  * GET /api/public/events
  * Get published events (supports filtering by status)
@@ -53,24 +114,25 @@ exports.getPublishedEvents = async (req, res) => {
 
 /**
  * GET /api/public/events/upcoming
- * Get upcoming events only
+ * Get upcoming events only - one entry per session of recurring series
  */
 exports.getUpcomingEvents = async (req, res) => {
   try {
     const { limit = 5 } = req.query;
 
+    // Recurring series can have sessions before later single events, so
+    // every upcoming event is expanded before the limit is applied
     const events = await Event.find({
       isPublished: true,
       status: { $in: ["upcoming", "ongoing"] },
     })
       .sort({ date: 1 })
-      .limit(parseInt(limit))
       .select("-createdBy -updatedBy -__v")
       .lean();
 
     res.json({
       success: true,
-      data: events,
+      data: expandUpcomingEvents(events, { limit: parseInt(limit) || 5 }),
     });
   } catch (error) {
     console.error("Error fetching upcoming events:", error);
@@ -133,7 +195,16 @@ exports.getEventByIdPublic = async (req, res) => {
 
     res.json({
       success: true,
-      data: event,
+      data: {
+        ...event,
+        registration: getRegistrationSummary(event),
+        upcomingSessions: isRecurring(event)
+          ? expandUpcomingEvents([event], { limit: 6 }).map((session) => ({
+              date: session.date,
+              endDate: session.endDate,
+            }))
+          : [],
+      },
     });
   } catch (error) {
     console.error("Error fetching event:", error);
@@ -144,6 +215,65 @@ exports.getEventByIdPublic = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/public/events/:id/calendar.ics
+ * "Add to calendar" download (recurring series as one repeating entry)
+ * Query: lang
+ */
+exports.getEventCalendarFile = async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      _id: req.params.id,
+      isPublished: true,
+    }).lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="event-${event._id}.ics"`,
+    );
+    res.send(buildCalendar([event], req.lang));
+  } catch (error) {
+    console.error("Error building event calendar file:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build calendar file",
+    });
+  }
+};
+
+/**
+ * GET /api/public/events.ics
+ * Subscribable iCalendar feed of published events
+ * Query: lang - titles, descriptions and locations in that language
+ */
+exports.getEventsFeed = async (req, res) => {
+  try {
+    const events = await Event.find(getFeedFilter())
+      .sort({ date: 1 })
+      .limit(500)
+      .lean();
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="events.ics"');
+    res.setHeader("Cache-Control", "public, max-age=900");
+    res.send(buildCalendar(events, req.lang, { feed: true }));
+  } catch (error) {
+    console.error("Error building events feed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build events feed",
+    });
+  }
+};
+
 // ==================== ADMIN ROUTES ====================
 
 /**
@@ -237,6 +367,9 @@ exports.createEvent = async (req, res) => {
       isFeatured,
       registrationUrl,
       tags,
+      registration,
+      registrationQuestions,
+      recurrence,
     } = req.body;
 
     // Validation
@@ -276,6 +409,8 @@ exports.createEvent = async (req, res) => {
       tags: tags || [],
       createdBy: req.user.id,
     });
+    applyRegistrationSettings(event, registration, registrationQuestions);
+    applyRecurrence(event, recurrence);
 
     await event.save();
 
@@ -325,6 +460,9 @@ exports.updateEvent = async (req, res) => {
       isFeatured,
       registrationUrl,
       tags,
+      registration,
+      registrationQuestions,
+      recurrence,
     } = req.body;
 
     const event = await Event.findById(req.params.id);
@@ -349,11 +487,18 @@ exports.updateEvent = async (req, res) => {
     if (isFeatured !== undefined) event.isFeatured = isFeatured;
     if (registrationUrl !== undefined) event.registrationUrl = registrationUrl;
     if (tags !== undefined) event.tags = tags;
+    applyRegistrationSettings(event, registration, registrationQuestions);
+    applyRecurrence(event, recurrence);
 
     event.updatedBy = req.user.id;
 
     await event.save();
 
+    // Raised capacity (or an unlimited one) may free seats for the waitlist
+    if (registration?.capacity !== undefined) {
+      await promoteWaitlist(event._id);
+    }
+
     res.json({
       success: true,
       message: "Event updated successfully",
@@ -387,6 +532,19 @@ exports.updateEvent = async (req, res) => {
  */
 exports.deleteEvent = async (req, res) => {
   try {
+    // Attendees holding seats must be cancelled first (paid ones may need refunds)
+    const seated = await EventRegistration.exists({
+      event: req.params.id,
+      status: { $in: SEATED_STATUSES },
+    });
+    if (seated) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This event has registered attendees - cancel their registrations or mark the event cancelled instead",
+      });
+    }
+
     const event = await Event.findByIdAndDelete(req.params.id);
 
     if (!event) {
@@ -480,39 +638,16 @@ exports.toggleEventFeatured = async (req, res) => {
 /**
  * POST /api/admin/website/events/update-status
  * Bulk update event statuses based on dates
+ * (also runs hourly as the event-status-rollover scheduled job)
  */
 exports.updateEventStatuses = async (req, res) => {
   try {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-    // Update past events
-    const pastResult = await Event.updateMany(
-      {
-        status: { $ne: "cancelled" },
-        date: { $lt: today },
-        $or: [{ endDate: null }, { endDate: { $lt: today } }],
-      },
-      { $set: { status: "past" } }
-    );
-
-    // Update ongoing events (with endDate in future)
-    const ongoingResult = await Event.updateMany(
-      {
-        status: { $ne: "cancelled" },
-        date: { $lte: now },
-        endDate: { $gte: now },
-      },
-      { $set: { status: "ongoing" } }
-    );
+    const data = await rolloverEventStatuses();
 
     res.json({
       success: true,
       message: "Event statuses updated",
-      data: {
-        pastUpdated: pastResult.modifiedCount,
-        ongoingUpdated: ongoingResult.modifiedCount,
-      },
+      data,
     });
   } catch (error) {
     console.error("Error updating event statuses:", error);
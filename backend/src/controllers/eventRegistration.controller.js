@@ -0,0 +1,407 @@
+const Event = require("../models/Event");
+const EventRegistration = require("../models/EventRegistration");
+const {
+  isRegistrationOpen,
+  getRegistrationSummary,
+  buildAnswers,
+  createPaymentOrder,
+  registerForEvent,
+  promoteRegistration,
+  cancelRegistration,
+  getRegistrationCounts,
+  buildRegistrationsCsv,
+} = require("../services/eventRegistration.service");
+
+/**
+ * EVENT REGISTRATION CONTROLLER
+ * Native event registration with optional Razorpay fee.
+ * Paid registrations are confirmed by the webhook, never here.
+ */
+
+/**
+ * Helper: Validate attendee details
+ */
+const validateAttendee = ({ name, email, mobile }) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const mobileRegex = /^[6-9]\d{9}$/;
+
+  if (!name?.trim()) {
+    return { valid: false, message: "Name is required" };
+  }
+  if (name.trim().length > 100) {
+    return { valid: false, message: "Name cannot exceed 100 characters" };
+  }
+  if (!email || !emailRegex.test(String(email).trim())) {
+    return { valid: false, message: "Valid email is required" };
+  }
+
+  // Mobile is optional, but must be valid when given
+  const digits = String(mobile || "").replace(/\D/g, "").slice(-10);
+  if (digits && !mobileRegex.test(digits)) {
+    return { valid: false, message: "Valid 10-digit mobile number is required" };
+  }
+
+  return {
+    valid: true,
+    attendee: {
+      name: name.trim(),
+      email: String(email).trim().toLowerCase(),
+      mobile: digits || null,
+    },
+  };
+};
+
+/**
+ * Helper: Public view of a registration - no attendee details
+ */
+const toPublicRegistration = (registration, event) => ({
+  registrationNumber: registration.registrationNumber,
+  status: registration.status,
+  fee: registration.fee,
+  holdExpiresAt: registration.holdExpiresAt,
+  paymentIssue: Boolean(registration.paymentIssue),
+  event: event
+    ? { _id: event._id, title: event.title, date: event.date, time: event.time }
+    : registration.event,
+});
+
+// ==================== PUBLIC ROUTES ====================
+
+/**
+ * POST /api/public/events/:id/register
+ * Register for an event
+ * Body: { name, email, mobile?, answers: { [questionKey]: value } }
+ * Optional auth - registration is linked to the user when logged in
+ */
+exports.register = async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, isPublished: true });
+
+    if (!event || !event.registration?.enabled) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    if (!isRegistrationOpen(event)) {
+      return res.status(400).json({
+        success: false,
+        message: "Registration for this event is closed",
+      });
+    }
+
+    const attendee = validateAttendee(req.body);
+    if (!attendee.valid) {
+      return res.status(400).json({ success: false, message: attendee.message });
+    }
+
+    const answers = buildAnswers(event.registrationQuestions, req.body.answers);
+    if (!answers.valid) {
+      return res.status(400).json({ success: false, message: answers.message });
+    }
+
+    const result = await registerForEvent(
+      event,
+      { ...attendee.attendee, answers: answers.answers },
+      { userId: req.user?.id, language: req.lang },
+    );
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message:
+        result.registration.status === "WAITLISTED"
+          ? "The event is full - you have been added to the waitlist"
+          : "Registration received",
+      data: {
+        ...toPublicRegistration(result.registration, event),
+        payment: result.payment || null,
+      },
+    });
+  } catch (error) {
+    console.error("Event registration error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to register for event",
+    });
+  }
+};
+
+/**
+ * GET /api/public/event-registrations/:registrationNumber
+ * Registration status - polled by the event page after Razorpay checkout
+ * Safe: only returns status and event, no attendee details
+ */
+exports.getRegistrationStatus = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOne({
+      registrationNumber: String(req.params.registrationNumber).toUpperCase(),
+    }).lean();
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: "Registration not found",
+      });
+    }
+
+    const event = await Event.findById(registration.event)
+      .select("title date time")
+      .lean();
+
+    res.json({
+      success: true,
+      data: toPublicRegistration(registration, event),
+    });
+  } catch (error) {
+    console.error("Get registration status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch registration",
+    });
+  }
+};
+
+/**
+ * POST /api/public/event-registrations/:registrationNumber/pay
+ * Razorpay order for a registration awaiting payment - used to retry a
+ * closed checkout and by the payment link emailed on waitlist promotion
+ */
+exports.startPayment = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findOne({
+      registrationNumber: String(req.params.registrationNumber).toUpperCase(),
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: "Registration not found",
+      });
+    }
+
+    if (
+      registration.status !== "PENDING_PAYMENT" ||
+      !registration.holdExpiresAt ||
+      registration.holdExpiresAt < new Date()
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "This registration is not awaiting payment",
+      });
+    }
+
+    let payment;
+    try {
+      payment = await createPaymentOrder(registration);
+    } catch (razorpayError) {
+      console.error("Razorpay order creation failed:", razorpayError);
+      return res.status(502).json({
+        success: false,
+        message: "Failed to create Razorpay order",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...toPublicRegistration(registration),
+        payment,
+      },
+    });
+  } catch (error) {
+    console.error("Start registration payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start payment",
+    });
+  }
+};
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * GET /api/admin/website/events/:id/registrations
+ * Attendee list and waitlist of an event
+ * Query: status (optional), search (name, email, mobile or registration number)
+ */
+exports.getEventRegistrations = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const filter = { event: event._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.search?.trim()) {
+      const pattern = new RegExp(
+        req.query.search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i",
+      );
+      filter.$or = [
+        { name: pattern },
+        { email: pattern },
+        { mobile: pattern },
+        { registrationNumber: pattern },
+      ];
+    }
+
+    const [registrations, counts] = await Promise.all([
+      EventRegistration.find(filter)
+        .select("-passCode")
+        .populate("cancelledBy", "fullName")
+        .sort({ createdAt: 1 })
+        .lean(),
+      getRegistrationCounts(event._id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        registrations,
+        counts,
+        summary: getRegistrationSummary(event),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching event registrations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch registrations",
+    });
+  }
+};
+
+/**
+ * GET /api/admin/website/events/:id/registrations/export
+ * Attendee list as CSV
+ * Query: status (optional)
+ */
+exports.exportEventRegistrations = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Event not found",
+      });
+    }
+
+    const filter = { event: event._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const registrations = await EventRegistration.find(filter)
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="registrations_${event._id}.csv"`,
+    );
+    res.send(buildRegistrationsCsv(event, registrations));
+  } catch (error) {
+    console.error("Error exporting event registrations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export registrations",
+    });
+  }
+};
+
+/**
+ * Helper: Load an event and one of its registrations from route params
+ */
+const loadRegistration = async (req, res) => {
+  const [event, registration] = await Promise.all([
+    Event.findById(req.params.id),
+    EventRegistration.findOne({ _id: req.params.registrationId, event: req.params.id }),
+  ]);
+
+  if (!event || !registration) {
+    res.status(404).json({ success: false, message: "Registration not found" });
+    return null;
+  }
+
+  return { event, registration };
+};
+
+/**
+ * POST /api/admin/website/events/:id/registrations/:registrationId/cancel
+ * Cancel a registration - its seat goes to the waitlist
+ */
+exports.cancelRegistration = async (req, res) => {
+  try {
+    const loaded = await loadRegistration(req, res);
+    if (!loaded) return;
+
+    const result = await cancelRegistration(loaded.registration, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.registration.paidAt
+        ? "Registration cancelled - refund the fee in Razorpay if due"
+        : "Registration cancelled",
+      data: result.registration,
+    });
+  } catch (error) {
+    console.error("Error cancelling registration:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel registration",
+    });
+  }
+};
+
+/**
+ * POST /api/admin/website/events/:id/registrations/:registrationId/promote
+ * Give a waitlisted attendee a seat
+ */
+exports.promoteRegistration = async (req, res) => {
+  try {
+    const loaded = await loadRegistration(req, res);
+    if (!loaded) return;
+
+    const result = await promoteRegistration(loaded.registration, loaded.event);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        result.registration.status === "PENDING_PAYMENT"
+          ? "Seat offered - the attendee has been emailed a payment link"
+          : "Registration confirmed - entry pass emailed",
+      data: result.registration,
+    });
+  } catch (error) {
+    console.error("Error promoting registration:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to promote registration",
+    });
+  }
+};
@@ -0,0 +1,41 @@
+const { buildForm10BD, toForm10BDCsv } = require("../services/form10bd.service");
+const { parseFinancialYear } = require("../utils/financialYear");
+const { logForm10BDExport } = require("../services/audit.service");
+
+/**
+ * FORM 10BD CONTROLLER
+ * Donee statement of 80G donations for income-tax filing (System Admin only).
+ */
+
+/**
+ * Export the Form 10BD statement for a financial year
+ * GET /api/admin/system/exports/10bd?fy=2025-26
+ * Query: format=json - preview rows, validation errors and summary instead of the CSV
+ *
+ * The CSV only contains valid donations; the X-Validation-Errors header carries
+ * the number of problems found so the admin knows to check the preview.
+ */
+exports.exportForm10BD = async (req, res) => {
+  try {
+    const { fy, format } = req.query;
+    if (!parseFinancialYear(fy)) {
+      return res.status(400).json({ message: "Financial year must look like 2025-26" });
+    }
+
+    const { rows, errors, summary } = await buildForm10BD(fy);
+
+    if (format === "json") {
+      return res.json({ rows, errors, summary });
+    }
+
+    logForm10BDExport(fy, summary, req.user, req.ip);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="form10bd_${fy}.csv"`);
+    res.setHeader("X-Validation-Errors", String(errors.length));
+    res.send(toForm10BDCsv(rows));
+  } catch (error) {
+    console.error("Form 10BD export error:", error);
+    res.status(500).json({ message: "Failed to build Form 10BD" });
+  }
+};
@@ -0,0 +1,132 @@
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+const { JOBS, getJobDefinition, runJob } = require("../services/scheduler.service");
+const { logScheduledJobAction } = require("../services/audit.service");
+
+/**
+ * SCHEDULED JOBS CONTROLLER
+ * System Admin view of the in-process maintenance jobs: status, run history,
+ * manual runs and pausing.
+ */
+
+/**
+ * List jobs with their schedule and last outcome
+ * GET /api/admin/system/jobs
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.find({ name: { $in: JOBS.map((job) => job.name) } })
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error("Get scheduled jobs error:", error);
+    res.status(500).json({ message: "Failed to fetch scheduled jobs" });
+  }
+};
+
+/**
+ * Run history, newest first
+ * GET /api/admin/system/jobs/runs
+ * Query: job (name), status, limit (default 50, max 200)
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.find(filter)
+      .populate("startedBy", "fullName email")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .lean();
+
+    res.json({ runs });
+  } catch (error) {
+    console.error("Get job runs error:", error);
+    res.status(500).json({ message: "Failed to fetch job runs" });
+  }
+};
+
+/**
+ * Run a job now, whether or not it is due or enabled
+ * POST /api/admin/system/jobs/:name/run
+ */
+exports.runJobNow = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!getJobDefinition(name)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const result = await runJob(name, { trigger: "MANUAL", startedBy: req.user.id });
+
+    if (!result.run) {
+      return res.status(409).json({ message: result.message });
+    }
+
+    logScheduledJobAction(
+      "SCHEDULED_JOB_RUN",
+      name,
+      { status: result.run.status, message: `Job ${name} run manually (${result.run.status.toLowerCase()})` },
+      req.user,
+      req.ip,
+    );
+
+    if (!result.success) {
+      return res.status(500).json({ message: `Job failed: ${result.run.error}`, run: result.run });
+    }
+
+    res.json({ message: "Job completed", run: result.run });
+  } catch (error) {
+    console.error("Run job error:", error);
+    res.status(500).json({ message: "Failed to run job" });
+  }
+};
+
+/**
+ * Pause or resume a job's schedule (manual runs still work while paused)
+ * PATCH /api/admin/system/jobs/:name
+ * Body: { enabled: boolean }
+ */
+exports.updateJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { enabled } = req.body;
+
+    if (!getJobDefinition(name)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ message: "enabled must be true or false" });
+    }
+
+    const job = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { enabled } },
+      { new: true },
+    ).lean();
+
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    logScheduledJobAction(
+      enabled ? "SCHEDULED_JOB_RESUMED" : "SCHEDULED_JOB_PAUSED",
+      name,
+      { message: `Job ${name} ${enabled ? "resumed" : "paused"}` },
+      req.user,
+      req.ip,
+    );
+
+    res.json({ message: `Job ${enabled ? "resumed" : "paused"}`, job });
+  } catch (error) {
+    console.error("Update job error:", error);
+    res.status(500).json({ message: "Failed to update job" });
+  }
+};
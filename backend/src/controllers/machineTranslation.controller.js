@@ -0,0 +1,200 @@
+const {
+  TRANSLATABLE_MODELS,
+  getTranslationProvider,
+  draftTranslations,
+  markTranslationsReviewed,
+  getTranslationReport,
+} = require("../services/machineTranslation.service");
+
+/**
+ * MACHINE TRANSLATION CONTROLLER
+ * Draft missing Hindi / Marathi content from English, mark drafts
+ * reviewed, and report content with missing or unreviewed translations.
+ * :model is a model name from TRANSLATABLE_MODELS, e.g. "Event".
+ */
+
+const getModelConfig = (req, res) => {
+  const config = TRANSLATABLE_MODELS[req.params.model];
+  if (!config) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown content type: ${req.params.model}`,
+    });
+    return null;
+  }
+  return config;
+};
+
+const getProviderOrReject = (res) => {
+  const provider = getTranslationProvider();
+  if (!provider) {
+    res.status(503).json({
+      success: false,
+      message: "Machine translation is not configured (set TRANSLATION_PROVIDER)",
+    });
+    return null;
+  }
+  return provider;
+};
+
+const sendDraftError = (res, error) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)
+        .map((e) => e.message)
+        .join(", "),
+    });
+  }
+
+  console.error("Draft translations error:", error);
+  // Anything else comes from the provider (network, quota, bad key)
+  res.status(502).json({
+    success: false,
+    message: "Translation provider failed - please try again later",
+  });
+};
+
+/**
+ * GET /api/admin/website/translations/report
+ * Content with missing or unreviewed translations, per model
+ */
+exports.getTranslationReport = async (req, res) => {
+  try {
+    const models = await getTranslationReport();
+
+    res.json({
+      success: true,
+      data: {
+        provider: getTranslationProvider()?.name || null,
+        models,
+      },
+    });
+  } catch (error) {
+    console.error("Error building translation report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build translation report",
+    });
+  }
+};
+
+/**
+ * POST /api/admin/website/translations/:model/:id/draft
+ * Draft every missing translation of one item
+ */
+exports.draftItemTranslations = async (req, res) => {
+  const config = getModelConfig(req, res);
+  if (!config) return;
+  const provider = getProviderOrReject(res);
+  if (!provider) return;
+
+  try {
+    const doc = await config.model.findById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: "Content not found",
+      });
+    }
+
+    const drafted = await draftTranslations(doc, req.params.model, provider);
+    if (drafted > 0) {
+      doc.updatedBy = req.user.id;
+      await doc.save();
+    }
+
+    res.json({
+      success: true,
+      message: drafted > 0 ? `Drafted ${drafted} translations` : "Nothing to translate",
+      data: {
+        drafted,
+        machineTranslated: doc.machineTranslated,
+      },
+    });
+  } catch (error) {
+    sendDraftError(res, error);
+  }
+};
+
+/**
+ * POST /api/admin/website/translations/:model/draft
+ * Draft missing translations for every item of a model
+ */
+exports.draftModelTranslations = async (req, res) => {
+  const config = getModelConfig(req, res);
+  if (!config) return;
+  const provider = getProviderOrReject(res);
+  if (!provider) return;
+
+  try {
+    const docs = await config.model.find();
+
+    let drafted = 0;
+    let items = 0;
+    // One item at a time - providers rate-limit bursts
+    for (const doc of docs) {
+      const count = await draftTranslations(doc, req.params.model, provider);
+      if (count === 0) continue;
+
+      doc.updatedBy = req.user.id;
+      await doc.save();
+      drafted += count;
+      items++;
+    }
+
+    res.json({
+      success: true,
+      message: `Drafted ${drafted} translations across ${items} items`,
+      data: { drafted, items },
+    });
+  } catch (error) {
+    sendDraftError(res, error);
+  }
+};
+
+/**
+ * POST /api/admin/website/translations/:model/:id/review
+ * Mark machine-translated values as reviewed
+ * Body: { paths? } - e.g. ["title.hi"]; all drafts of the item if omitted
+ */
+exports.markItemReviewed = async (req, res) => {
+  const config = getModelConfig(req, res);
+  if (!config) return;
+
+  try {
+    const { paths } = req.body || {};
+    if (paths !== undefined && !Array.isArray(paths)) {
+      return res.status(400).json({
+        success: false,
+        message: "paths must be an array",
+      });
+    }
+
+    const doc = await config.model.findById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: "Content not found",
+      });
+    }
+
+    const reviewed = markTranslationsReviewed(doc, paths);
+    if (reviewed > 0) {
+      doc.updatedBy = req.user.id;
+      await doc.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Marked ${reviewed} translations as reviewed`,
+      data: { reviewed },
+    });
+  } catch (error) {
+    console.error("Error marking translations reviewed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark translations as reviewed",
+    });
+  }
+};
@@ -0,0 +1,373 @@
+const Order = require("../models/Order");
+const razorpay = require("../config/razorpay");
+const {
+  calculateShipping,
+  generateOrderNumber,
+  validateCartItems,
+  updateFulfilmentStatus,
+  buildTrackingTimeline,
+} = require("../services/order.service");
+
+/**
+ * ORDER CONTROLLER
+ * Shop checkout backed by Razorpay.
+ * Stock is NOT touched here - it is lowered by the webhook once payment is captured.
+ */
+
+/**
+ * Helper: Validate buyer and shipping details
+ */
+const validateCheckoutDetails = (customer, shippingAddress) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const mobileRegex = /^[6-9]\d{9}$/;
+  const pincodeRegex = /^\d{6}$/;
+
+  if (!customer || !customer.name?.trim()) {
+    return { valid: false, message: "Name is required" };
+  }
+  if (!customer.email || !emailRegex.test(customer.email.trim())) {
+    return { valid: false, message: "Valid email is required" };
+  }
+  const mobile = String(customer.mobile || "").replace(/\D/g, "").slice(-10);
+  if (!mobileRegex.test(mobile)) {
+    return { valid: false, message: "Valid 10-digit mobile number is required" };
+  }
+
+  if (
+    !shippingAddress ||
+    !shippingAddress.line?.trim() ||
+    !shippingAddress.city?.trim() ||
+    !shippingAddress.state?.trim()
+  ) {
+    return { valid: false, message: "Complete shipping address is required" };
+  }
+  if (!pincodeRegex.test(String(shippingAddress.pincode || "").trim())) {
+    return { valid: false, message: "Pincode must be 6 digits" };
+  }
+
+  return { valid: true, mobile };
+};
+
+/**
+ * Create order and Razorpay order from cart
+ * POST /api/orders/checkout
+ * Body: { customer, shippingAddress, items: [{ productId, quantity, price }] }
+ * Optional auth - order is linked to the user when logged in
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const { customer, shippingAddress, items } = req.body;
+
+    const detailsValidation = validateCheckoutDetails(customer, shippingAddress);
+    if (!detailsValidation.valid) {
+      return res.status(400).json({ message: detailsValidation.message });
+    }
+
+    // Re-price and stock-check every cart line against Product
+    const cart = await validateCartItems(items);
+    if (!cart.valid) {
+      return res.status(409).json({
+        message: "Some items in your cart need attention",
+        errors: cart.errors,
+      });
+    }
+
+    const shippingCharge = calculateShipping(cart.subtotal);
+    const totalAmount = cart.subtotal + shippingCharge;
+
+    const order = await Order.create({
+      orderNumber: await generateOrderNumber(),
+      user: req.user?.id || null,
+      customer: {
+        name: customer.name.trim(),
+        email: customer.email.trim(),
+        mobile: detailsValidation.mobile,
+      },
+      shippingAddress: {
+        line: shippingAddress.line.trim(),
+        city: shippingAddress.city.trim(),
+        state: shippingAddress.state.trim(),
+        country: shippingAddress.country?.trim() || "India",
+        pincode: String(shippingAddress.pincode).trim(),
+      },
+      items: cart.items,
+      subtotal: cart.subtotal,
+      shippingCharge,
+      totalAmount,
+      status: "PLACED",
+      statusHistory: [{ status: "PLACED" }],
+    });
+
+    let razorpayOrder;
+    try {
+      razorpayOrder = await razorpay.orders.create({
+        amount: Math.round(totalAmount * 100),
+        currency: "INR",
+        receipt: order.orderNumber,
+        notes: { type: "shop_order", orderNumber: order.orderNumber },
+      });
+    } catch (razorpayError) {
+      console.error("Razorpay order creation failed:", razorpayError);
+      order.status = "CANCELLED";
+      order.failureReason = "Payment gateway unavailable";
+      order.statusHistory.push({ status: "CANCELLED", note: order.failureReason });
+      await order.save();
+      return res.status(502).json({ message: "Failed to create Razorpay order" });
+    }
+
+    order.razorpayOrderId = razorpayOrder.id;
+    await order.save();
+
+    res.status(201).json({
+      message: "Order placed",
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      subtotal: order.subtotal,
+      shippingCharge: order.shippingCharge,
+      totalAmount: order.totalAmount,
+      razorpayOrderId: razorpayOrder.id,
+      amount: razorpayOrder.amount, // Amount in paise for Razorpay
+      currency: "INR",
+      key: process.env.RAZORPAY_KEY_ID,
+    });
+  } catch (error) {
+    console.error("Checkout error:", error);
+    res.status(500).json({ message: "Failed to place order" });
+  }
+};
+
+/**
+ * Get order payment status
+ * GET /api/orders/:orderNumber/status
+ * PUBLIC endpoint - polled by the confirmation page after Razorpay checkout
+ * Safe: only returns status and totals, no buyer details
+ */
+exports.getOrderStatus = async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: String(req.params.orderNumber).toUpperCase(),
+    })
+      .select("orderNumber status totalAmount createdAt")
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({ status: "NOT_FOUND" });
+    }
+
+    res.json({
+      orderNumber: order.orderNumber,
+      status: order.status,
+      totalAmount: order.totalAmount,
+      createdAt: order.createdAt,
+    });
+  } catch (error) {
+    console.error("Get order status error:", error);
+    res.status(500).json({ message: "Failed to fetch order status" });
+  }
+};
+
+/**
+ * Get logged-in user's orders
+ * GET /api/orders/my
+ */
+exports.getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ user: req.user.id })
+      .select("orderNumber items subtotal shippingCharge totalAmount status createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(orders);
+  } catch (error) {
+    console.error("Get my orders error:", error);
+    res.status(500).json({ message: "Failed to fetch orders" });
+  }
+};
+
+// ==================== PUBLIC TRACKING ====================
+
+/**
+ * Track an order
+ * GET /api/public/orders/:orderId/track?contact=<mobile or email>
+ *
+ * The order number alone is not enough - the buyer must also supply the
+ * mobile number or email used at checkout. Mismatches return the same 404
+ * as unknown orders so order numbers cannot be probed.
+ */
+exports.trackOrder = async (req, res) => {
+  try {
+    const orderNumber = String(req.params.orderId || "").trim().toUpperCase();
+    const contact = String(req.query.contact || "").trim().toLowerCase();
+
+    if (!orderNumber || !contact) {
+      return res.status(400).json({
+        success: false,
+        message: "Order ID and mobile number or email are required",
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber })
+      .select("orderNumber status statusHistory shipment customer items totalAmount createdAt")
+      .lean();
+
+    const contactDigits = contact.replace(/\D/g, "").slice(-10);
+    const matches =
+      order &&
+      (contact === order.customer?.email ||
+        (contactDigits.length === 10 && contactDigits === order.customer?.mobile));
+
+    if (!matches) {
+      return res.status(404).json({
+        success: false,
+        message: "No order found for these details",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.orderNumber,
+        currentStatus: order.status.toLowerCase(),
+        placedAt: order.createdAt,
+        totalAmount: order.totalAmount,
+        itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+        shipment:
+          order.shipment?.trackingNumber
+            ? {
+                courierName: order.shipment.courierName,
+                trackingNumber: order.shipment.trackingNumber,
+              }
+            : null,
+        statuses: buildTrackingTimeline(order),
+      },
+    });
+  } catch (error) {
+    console.error("Track order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to track order",
+    });
+  }
+};
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * GET /api/admin/website/orders
+ * List orders with optional status filter and search (order number, mobile, name)
+ */
+exports.getAllOrders = async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (search && search.trim()) {
+      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { orderNumber: { $regex: escaped, $options: "i" } },
+        { "customer.mobile": { $regex: escaped } },
+        { "customer.name": { $regex: escaped, $options: "i" } },
+      ];
+    }
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit))
+      .select("-__v")
+      .lean();
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching orders:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch orders",
+    });
+  }
+};
+
+/**
+ * GET /api/admin/website/orders/:id
+ * Get single order with full history
+ */
+exports.getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate("statusHistory.changedBy", "fullName")
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order",
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/website/orders/:id/status
+ * Move an order along the fulfilment flow
+ * Body: { status, courierName?, trackingNumber?, note? }
+ */
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const result = await updateFulfilmentStatus(order, req.body, req.user.id);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Order marked ${result.order.status}`,
+      data: {
+        _id: result.order._id,
+        status: result.order.status,
+        shipment: result.order.shipment,
+        statusHistory: result.order.statusHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating order status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update order status",
+    });
+  }
+};
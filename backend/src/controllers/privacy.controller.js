@@ -0,0 +1,295 @@
+const ErasureRequest = require("../models/ErasureRequest");
+const User = require("../models/User");
+const {
+  buildDataExport,
+  streamDataExportPdf,
+  countOpenMandates,
+  eraseUserData,
+} = require("../services/privacy.service");
+const {
+  logDataExport,
+  logErasureRequestResolved,
+} = require("../services/audit.service");
+
+/**
+ * PRIVACY CONTROLLER
+ * Donor "Download my data" export and erasure requests; System Admin queue
+ * to review and complete erasure requests.
+ */
+
+const OPEN_MANDATES_MESSAGE =
+  "Please cancel your monthly donations before requesting erasure";
+
+// ==================== USER ====================
+
+/**
+ * Download all personal data we hold for the logged-in user
+ * GET /api/user/privacy/export?format=json|pdf
+ */
+exports.exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format === "pdf" ? "pdf" : "json";
+
+    const data = await buildDataExport(req.user.id);
+    if (!data) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    logDataExport(req.user.id, format, req.ip);
+
+    const date = new Date().toISOString().split("T")[0];
+    res.setHeader("Cache-Control", "private, no-store");
+
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="my-data-${date}.pdf"`);
+      return streamDataExportPdf(data, res);
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="my-data-${date}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error("Export my data error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Failed to export your data" });
+    }
+  }
+};
+
+/**
+ * The logged-in user's erasure requests, newest first
+ * GET /api/user/privacy/erasure
+ */
+exports.getMyErasureRequests = async (req, res) => {
+  try {
+    const requests = await ErasureRequest.find({ user: req.user.id })
+      .select("status reason resolutionNote resolvedAt createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ requests });
+  } catch (error) {
+    console.error("Get erasure requests error:", error);
+    res.status(500).json({ message: "Failed to fetch erasure requests" });
+  }
+};
+
+/**
+ * Ask for the logged-in user's personal data to be erased
+ * POST /api/user/privacy/erasure
+ * Body: { reason? }
+ */
+exports.requestErasure = async (req, res) => {
+  try {
+    const reason = String(req.body.reason || "").trim();
+    if (reason.length > 1000) {
+      return res.status(400).json({ message: "Reason cannot exceed 1000 characters" });
+    }
+
+    const user = await User.findById(req.user.id).select("fullName mobile role");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (["WEBSITE_ADMIN", "SYSTEM_ADMIN"].includes(user.role)) {
+      return res.status(403).json({ message: "Admin accounts cannot request erasure" });
+    }
+
+    if (await countOpenMandates(user._id)) {
+      return res.status(409).json({ message: OPEN_MANDATES_MESSAGE });
+    }
+
+    // The unique index only covers PENDING - an erasure may be running
+    if (await ErasureRequest.exists({ user: user._id, status: "PROCESSING" })) {
+      return res.status(409).json({ message: "Your data is being erased" });
+    }
+
+    const request = await ErasureRequest.create({
+      user: user._id,
+      userName: user.fullName || null,
+      userMobile: user.mobile,
+      reason,
+    });
+
+    res.status(201).json({
+      message: "Erasure request submitted",
+      request: {
+        _id: request._id,
+        status: request.status,
+        reason: request.reason,
+        createdAt: request.createdAt,
+      },
+    });
+  } catch (error) {
+    // Unique partial index: one PENDING request per user
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "You already have a pending erasure request" });
+    }
+    console.error("Request erasure error:", error);
+    res.status(500).json({ message: "Failed to submit erasure request" });
+  }
+};
+
+/**
+ * Withdraw the logged-in user's pending erasure request
+ * POST /api/user/privacy/erasure/:id/cancel
+ */
+exports.cancelErasureRequest = async (req, res) => {
+  try {
+    const request = await ErasureRequest.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, status: "PENDING" },
+      { $set: { status: "CANCELLED", resolvedAt: new Date() } },
+      { new: true },
+    );
+
+    if (!request) {
+      return res.status(404).json({ message: "No pending erasure request found" });
+    }
+
+    res.json({ message: "Erasure request withdrawn" });
+  } catch (error) {
+    console.error("Cancel erasure request error:", error);
+    res.status(500).json({ message: "Failed to withdraw erasure request" });
+  }
+};
+
+// ==================== SYSTEM ADMIN ====================
+
+/**
+ * List erasure requests
+ * GET /api/admin/system/privacy/erasure-requests
+ * Query: status (default PENDING, "all" for every status), page, limit
+ */
+exports.getErasureRequests = async (req, res) => {
+  try {
+    const { status = "PENDING", page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status !== "all") filter.status = status;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [requests, total, pendingCount] = await Promise.all([
+      ErasureRequest.find(filter)
+        .populate("resolvedBy", "fullName")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ErasureRequest.countDocuments(filter),
+      ErasureRequest.countDocuments({ status: "PENDING" }),
+    ]);
+
+    res.json({
+      requests,
+      pendingCount,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get erasure requests error:", error);
+    res.status(500).json({ message: "Failed to fetch erasure requests" });
+  }
+};
+
+/**
+ * Complete an erasure request: anonymise and remove the user's personal data
+ * POST /api/admin/system/privacy/erasure-requests/:id/complete
+ * Body: { note? }
+ */
+exports.completeErasureRequest = async (req, res) => {
+  try {
+    const pending = await ErasureRequest.findById(req.params.id).select("user status").lean();
+    if (!pending) {
+      return res.status(404).json({ message: "Erasure request not found" });
+    }
+    if (pending.status !== "PENDING") {
+      return res.status(409).json({ message: "Erasure request is already resolved" });
+    }
+
+    // A mandate started after the request would copy the donor snapshot again
+    if (await countOpenMandates(pending.user)) {
+      return res.status(409).json({
+        message: "The donor still has active monthly donations - they must be cancelled first",
+      });
+    }
+
+    // Claim atomically so two admins (or a double click) cannot erase twice
+    const request = await ErasureRequest.findOneAndUpdate(
+      { _id: req.params.id, status: "PENDING" },
+      { $set: { status: "PROCESSING", resolvedBy: req.user.id } },
+      { new: true },
+    );
+    if (!request) {
+      return res.status(409).json({ message: "Erasure request is already resolved" });
+    }
+
+    try {
+      request.summary = await eraseUserData(request.user);
+    } catch (error) {
+      // Erasure can be run again - let an admin retry
+      await ErasureRequest.updateOne(
+        { _id: request._id, status: "PROCESSING" },
+        { $set: { status: "PENDING", resolvedBy: null } },
+      );
+      throw error;
+    }
+    request.status = "COMPLETED";
+    request.resolvedAt = new Date();
+    request.resolutionNote = String(req.body.note || "").trim() || null;
+    await request.save();
+
+    logErasureRequestResolved(request, req.user, req.ip);
+
+    res.json({ message: "Personal data erased", request });
+  } catch (error) {
+    console.error("Complete erasure request error:", error);
+    res.status(500).json({ message: "Failed to complete erasure request" });
+  }
+};
+
+/**
+ * Reject an erasure request
+ * POST /api/admin/system/privacy/erasure-requests/:id/reject
+ * Body: { note } - required, shown to the user
+ */
+exports.rejectErasureRequest = async (req, res) => {
+  try {
+    const note = String(req.body.note || "").trim();
+    if (!note) {
+      return res.status(400).json({ message: "A note explaining the rejection is required" });
+    }
+
+    const request = await ErasureRequest.findOneAndUpdate(
+      { _id: req.params.id, status: "PENDING" },
+      {
+        $set: {
+          status: "REJECTED",
+          resolvedBy: req.user.id,
+          resolvedAt: new Date(),
+          resolutionNote: note,
+        },
+      },
+      { new: true },
+    );
+
+    if (!request) {
+      const exists = await ErasureRequest.exists({ _id: req.params.id });
+      if (!exists) {
+        return res.status(404).json({ message: "Erasure request not found" });
+      }
+      return res.status(409).json({ message: "Erasure request is already resolved" });
+    }
+
+    logErasureRequestResolved(request, req.user, req.ip);
+
+    res.json({ message: "Erasure request rejected" });
+  } catch (error) {
+    console.error("Reject erasure request error:", error);
+    res.status(500).json({ message: "Failed to reject erasure request" });
+  }
+};
@@ -1,5 +1,7 @@
 const Donation = require("../models/Donation");
 const { resolveCollector } = require("../services/collector.service");
+const { normalizeVerificationCode } = require("../services/receiptVerification.service");
+const maskId = require("../utils/maskId");
 
 /**
  * PUBLIC API: Validate Referral Code
@@ -100,7 +102,7 @@ exports.getTopDonors = async (req, res) => {
       // Stage 1: Filter successful, non-anonymous donations
       {
         $match: {
-          status: "SUCCESS",
+          status: { $in: Donation.COUNTED_STATUSES },
           "donor.anonymousDisplay": { $ne: true },
         },
       },
@@ -108,7 +110,7 @@ exports.getTopDonors = async (req, res) => {
       {
         $group: {
           _id: "$donor.name",
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
           donationCount: { $sum: 1 },
         },
       },
@@ -194,3 +196,60 @@ function extractCity(address) {
 
   return "India";
 }
+
+// Receipt states shown on the verification page
+const RECEIPT_VERIFY_STATUS = {
+  SUCCESS: "VALID",
+  PARTIALLY_REFUNDED: "PARTIALLY_REFUNDED",
+  REFUNDED: "CANCELLED",
+};
+
+/**
+ * PUBLIC API: Verify a Donation Receipt
+ * GET /api/public/receipts/verify/:code
+ *
+ * Confirms a receipt from the verification code / QR printed on it.
+ * Only returns what is printed on the receipt itself, never the donor's
+ * name, contact details or full PAN.
+ * No authentication required.
+ *
+ * Response: { valid: true, receipt: { receiptNumber, date, amount, pan, cause, status, ... } }
+ *           or 404 { valid: false, message }
+ */
+exports.verifyReceipt = async (req, res) => {
+  try {
+    const code = normalizeVerificationCode(req.params.code);
+    if (!code) {
+      return res.status(404).json({ valid: false, message: "Receipt not found" });
+    }
+
+    const donation = await Donation.findOne({
+      verificationCode: code,
+      status: { $in: Object.keys(RECEIPT_VERIFY_STATUS) },
+    })
+      .select("receiptNumber createdAt amount refundedAmount donor.idType donor.idNumber donationHead.name status receiptCancelledAt")
+      .lean();
+
+    if (!donation) {
+      return res.status(404).json({ valid: false, message: "Receipt not found" });
+    }
+
+    res.json({
+      valid: true,
+      receipt: {
+        receiptNumber: donation.receiptNumber,
+        date: donation.createdAt,
+        // Amount printed on the receipt - what the trust kept after refunds
+        amount: donation.amount - (donation.refundedAmount || 0),
+        refundedAmount: donation.refundedAmount || 0,
+        pan: maskId(donation.donor?.idType, donation.donor?.idNumber),
+        cause: donation.donationHead?.name,
+        status: RECEIPT_VERIFY_STATUS[donation.status],
+        cancelledAt: donation.receiptCancelledAt || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error verifying receipt:", error);
+    res.status(500).json({ valid: false, message: "Failed to verify receipt" });
+  }
+};
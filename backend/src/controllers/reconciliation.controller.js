@@ -0,0 +1,194 @@
+const ReconciliationRun = require("../models/ReconciliationRun");
+const PaymentDiscrepancy = require("../models/PaymentDiscrepancy");
+const {
+  parseRange,
+  runReconciliation,
+  fixDiscrepancy,
+} = require("../services/reconciliation.service");
+const {
+  logReconciliationRun,
+  logDiscrepancyResolved,
+} = require("../services/audit.service");
+
+/**
+ * RECONCILIATION CONTROLLER
+ * System Admin report comparing Razorpay payments/settlements with donations.
+ */
+
+/**
+ * Start a reconciliation run for a date range
+ * POST /api/admin/system/reconciliation/runs
+ * Body: { from, to } - dates (YYYY-MM-DD or ISO), at most 31 days apart
+ */
+exports.createRun = async (req, res) => {
+  try {
+    const range = parseRange(req.body.from, req.body.to);
+    if (!range.valid) {
+      return res.status(400).json({ message: range.message });
+    }
+
+    const result = await runReconciliation(range.from, range.to, {
+      trigger: "MANUAL",
+      startedBy: req.user.id,
+    });
+
+    if (!result.run) {
+      return res.status(409).json({ message: result.message });
+    }
+
+    logReconciliationRun(result.run, req.user, req.ip);
+
+    if (!result.success) {
+      return res.status(502).json({ message: result.message, run: result.run });
+    }
+
+    res.status(201).json({ message: "Reconciliation completed", run: result.run });
+  } catch (error) {
+    console.error("Reconciliation run error:", error);
+    res.status(500).json({ message: "Failed to run reconciliation" });
+  }
+};
+
+/**
+ * List recent reconciliation runs
+ * GET /api/admin/system/reconciliation/runs
+ * Query: limit (default 20, max 100)
+ */
+exports.getRuns = async (req, res) => {
+  try {
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const runs = await ReconciliationRun.find()
+      .populate("startedBy", "fullName email")
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .lean();
+
+    res.json({ runs });
+  } catch (error) {
+    console.error("Get reconciliation runs error:", error);
+    res.status(500).json({ message: "Failed to fetch reconciliation runs" });
+  }
+};
+
+/**
+ * List discrepancies
+ * GET /api/admin/system/reconciliation/discrepancies
+ * Query: status (default OPEN, "all" for every status), type, page, limit
+ */
+exports.getDiscrepancies = async (req, res) => {
+  try {
+    const { status = "OPEN", type, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status !== "all") filter.status = status;
+    if (type) filter.type = type;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [discrepancies, total, openCounts] = await Promise.all([
+      PaymentDiscrepancy.find(filter)
+        .populate("donation", "donor.name amount status receiptNumber createdAt")
+        .populate("order", "orderNumber status totalAmount paymentIssue")
+        .populate("resolvedBy", "fullName")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PaymentDiscrepancy.countDocuments(filter),
+      PaymentDiscrepancy.aggregate([
+        { $match: { status: "OPEN" } },
+        { $group: { _id: "$type", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.json({
+      discrepancies,
+      openByType: openCounts.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {}),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get discrepancies error:", error);
+    res.status(500).json({ message: "Failed to fetch discrepancies" });
+  }
+};
+
+/**
+ * Fix a captured-but-PENDING donation: mark it SUCCESS and generate its receipt
+ * POST /api/admin/system/reconciliation/discrepancies/:id/fix
+ */
+exports.fixDiscrepancy = async (req, res) => {
+  try {
+    const discrepancy = await PaymentDiscrepancy.findById(req.params.id);
+    if (!discrepancy) {
+      return res.status(404).json({ message: "Discrepancy not found" });
+    }
+
+    const result = await fixDiscrepancy(discrepancy, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    logDiscrepancyResolved(discrepancy, req.user, req.ip);
+
+    res.json({
+      message: "Donation confirmed and receipt generated",
+      receiptNumber: result.donation.receiptNumber,
+      receiptUrl: result.donation.receiptUrl,
+    });
+  } catch (error) {
+    console.error("Fix discrepancy error:", error);
+    res.status(500).json({ message: "Failed to fix discrepancy" });
+  }
+};
+
+/**
+ * Dismiss a discrepancy after checking it by hand
+ * POST /api/admin/system/reconciliation/discrepancies/:id/dismiss
+ * Body: { note } - required
+ */
+exports.dismissDiscrepancy = async (req, res) => {
+  try {
+    const note = String(req.body.note || "").trim();
+    if (!note) {
+      return res.status(400).json({ message: "A note explaining the dismissal is required" });
+    }
+
+    const discrepancy = await PaymentDiscrepancy.findOneAndUpdate(
+      { _id: req.params.id, status: "OPEN" },
+      {
+        $set: {
+          status: "DISMISSED",
+          resolvedBy: req.user.id,
+          resolvedAt: new Date(),
+          resolutionNote: note,
+        },
+      },
+      { new: true },
+    );
+
+    if (!discrepancy) {
+      const exists = await PaymentDiscrepancy.exists({ _id: req.params.id });
+      if (!exists) {
+        return res.status(404).json({ message: "Discrepancy not found" });
+      }
+      return res.status(409).json({ message: "Discrepancy is already resolved" });
+    }
+
+    logDiscrepancyResolved(discrepancy, req.user, req.ip);
+
+    res.json({ message: "Discrepancy dismissed" });
+  } catch (error) {
+    console.error("Dismiss discrepancy error:", error);
+    res.status(500).json({ message: "Failed to dismiss discrepancy" });
+  }
+};
@@ -0,0 +1,711 @@
+const SevaInterest = require("../models/SevaInterest");
+const SevaShift = require("../models/SevaShift");
+const SevaSignup = require("../models/SevaSignup");
+const {
+  getShiftHours,
+  resolveTarget,
+  withTargetTitles,
+  claimShift,
+  cancelSignup,
+  cancelShift,
+  getVolunteerHours,
+} = require("../services/seva.service");
+const { toCsv } = require("../utils/csv");
+
+/**
+ * SEVA CONTROLLER
+ * Volunteer (sevadar) interests and seva shifts.
+ * Users register interest and claim shifts; website admins schedule shifts,
+ * keep the roster and see hour totals.
+ */
+
+// Open shifts shown to volunteers
+const SHIFT_LOOKAHEAD_DAYS = 60;
+// Past signups shown on a volunteer's own list
+const MY_SHIFTS_HISTORY_DAYS = 90;
+const MAX_INTEREST_NOTE_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: Shift as shown to volunteers - no roster details
+ */
+const toPublicShift = (shift) => ({
+  _id: shift._id,
+  activity: shift.activity,
+  subitem: shift.subitem,
+  event: shift.event,
+  sevaTitle: shift.sevaTitle,
+  activityTitle: shift.activityTitle,
+  startsAt: shift.startsAt,
+  endsAt: shift.endsAt,
+  hours: getShiftHours(shift),
+  location: shift.location,
+  notes: shift.notes,
+  status: shift.status,
+  slots: shift.slots,
+  slotsLeft: Math.max(0, shift.slots - shift.slotsTaken),
+});
+
+/**
+ * Helper: Parse an optional date query parameter
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+const parseDateParam = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Helper: Respond with a mongoose ValidationError, or rethrow
+ */
+const sendValidationError = (res, error) => {
+  if (error.name !== "ValidationError") throw error;
+  return res.status(400).json({
+    success: false,
+    message: Object.values(error.errors)
+      .map((e) => e.message)
+      .join(", "),
+  });
+};
+
+// ==================== USER ROUTES ====================
+
+/**
+ * GET /api/user/seva/interests
+ * Sevas and events the user has offered to help with
+ */
+exports.getMyInterests = async (req, res) => {
+  try {
+    const interests = await SevaInterest.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: await withTargetTitles(interests),
+    });
+  } catch (error) {
+    console.error("Error fetching seva interests:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seva interests",
+    });
+  }
+};
+
+/**
+ * POST /api/user/seva/interests
+ * Offer to volunteer for an activity seva or an event
+ * Body: { activityId, subitemId } or { eventId }, plus optional note
+ */
+exports.addInterest = async (req, res) => {
+  try {
+    const { activityId, subitemId, eventId } = req.body;
+    const note = String(req.body.note || "").trim();
+
+    if (note.length > MAX_INTEREST_NOTE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Note cannot exceed ${MAX_INTEREST_NOTE_LENGTH} characters`,
+      });
+    }
+
+    const resolved = await resolveTarget({ activityId, subitemId, eventId });
+    if (!resolved.success) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message,
+      });
+    }
+
+    // Offering again updates the note
+    const interest = await SevaInterest.findOneAndUpdate(
+      { user: req.user.id, ...resolved.target },
+      { $set: { note } },
+      { new: true, upsert: true, runValidators: true },
+    ).lean();
+
+    const [data] = await withTargetTitles([interest]);
+    res.status(201).json({
+      success: true,
+      message: "Thank you for offering your seva",
+      data,
+    });
+  } catch (error) {
+    console.error("Error saving seva interest:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save seva interest",
+    });
+  }
+};
+
+/**
+ * DELETE /api/user/seva/interests/:id
+ * Withdraw an interest
+ */
+exports.removeInterest = async (req, res) => {
+  try {
+    const interest = await SevaInterest.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!interest) {
+      return res.status(404).json({
+        success: false,
+        message: "Interest not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Interest withdrawn",
+    });
+  } catch (error) {
+    console.error("Error removing seva interest:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove seva interest",
+    });
+  }
+};
+
+/**
+ * GET /api/user/seva/shifts
+ * Open shifts of the next SHIFT_LOOKAHEAD_DAYS
+ * `claimed` marks the user's own shifts, `interested` the sevas they offered to help with.
+ */
+exports.getOpenShifts = async (req, res) => {
+  try {
+    const now = new Date();
+    const [shifts, interests, signups] = await Promise.all([
+      SevaShift.find({
+        status: "OPEN",
+        startsAt: { $gt: now, $lte: new Date(now.getTime() + SHIFT_LOOKAHEAD_DAYS * DAY_MS) },
+      })
+        .sort({ startsAt: 1 })
+        .limit(200)
+        .lean(),
+      SevaInterest.find({ user: req.user.id }).lean(),
+      SevaSignup.find({ user: req.user.id, status: "CLAIMED" }).select("shift").lean(),
+    ]);
+
+    const targetKey = (item) =>
+      item.event ? `event:${item.event}` : `activity:${item.activity}:${item.subitem}`;
+    const interestKeys = new Set(interests.map(targetKey));
+    const claimedIds = new Set(signups.map((s) => String(s.shift)));
+
+    const titled = await withTargetTitles(shifts);
+    res.json({
+      success: true,
+      data: titled.map((shift) => ({
+        ...toPublicShift(shift),
+        claimed: claimedIds.has(String(shift._id)),
+        interested: interestKeys.has(targetKey(shift)),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching seva shifts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seva shifts",
+    });
+  }
+};
+
+/**
+ * GET /api/user/seva/my-shifts
+ * The user's upcoming and recent shifts, with their hours served
+ */
+exports.getMyShifts = async (req, res) => {
+  try {
+    const signups = await SevaSignup.find({ user: req.user.id, status: "CLAIMED" })
+      .populate("shift")
+      .lean();
+
+    const since = new Date(Date.now() - MY_SHIFTS_HISTORY_DAYS * DAY_MS);
+    const recent = signups
+      .filter((signup) => signup.shift && signup.shift.endsAt >= since)
+      .sort((a, b) => a.shift.startsAt - b.shift.startsAt);
+    const titled = await withTargetTitles(recent.map((signup) => signup.shift));
+
+    const [totals] = await getVolunteerHours({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: {
+        shifts: titled.map((shift, index) => ({
+          ...toPublicShift(shift),
+          attendance: recent[index].attendance,
+          hoursCredited:
+            recent[index].attendance === "PRESENT"
+              ? (recent[index].hours ?? getShiftHours(shift))
+              : null,
+        })),
+        totals: {
+          shifts: totals?.shifts || 0,
+          hours: totals?.hours || 0,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching my seva shifts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch your seva shifts",
+    });
+  }
+};
+
+/**
+ * POST /api/user/seva/shifts/:id/claim
+ * Take a slot of a shift
+ * Body: { language? } - language for reminder emails
+ */
+exports.claimShift = async (req, res) => {
+  try {
+    const result = await claimShift(req.params.id, req.user.id, req.body?.language);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const [shift] = await withTargetTitles([result.shift.toObject()]);
+    res.status(201).json({
+      success: true,
+      message: "You have signed up for this shift",
+      data: { ...toPublicShift(shift), claimed: true },
+    });
+  } catch (error) {
+    console.error("Error claiming seva shift:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sign up for the shift",
+    });
+  }
+};
+
+/**
+ * POST /api/user/seva/shifts/:id/cancel
+ * Give up a claimed slot before the shift starts
+ */
+exports.cancelClaim = async (req, res) => {
+  try {
+    const result = await cancelSignup(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Your signup has been cancelled",
+    });
+  } catch (error) {
+    console.error("Error cancelling seva signup:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel the signup",
+    });
+  }
+};
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * GET /api/admin/website/seva/shifts
+ * Shifts starting in a date range (default: from 7 days ago)
+ * Query: from, to (dates)
+ */
+exports.getShifts = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    const filter = {
+      startsAt: { $gte: from || new Date(Date.now() - 7 * DAY_MS) },
+    };
+    if (to) filter.startsAt.$lt = to;
+
+    const shifts = await SevaShift.find(filter).sort({ startsAt: 1 }).limit(500).lean();
+    const titled = await withTargetTitles(shifts);
+
+    res.json({
+      success: true,
+      data: titled.map((shift) => ({
+        ...shift,
+        hours: getShiftHours(shift),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching seva shifts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seva shifts",
+    });
+  }
+};
+
+/**
+ * POST /api/admin/website/seva/shifts
+ * Schedule a shift
+ * Body: { activityId, subitemId } or { eventId }, startsAt, endsAt, slots, location?, notes?
+ */
+exports.createShift = async (req, res) => {
+  try {
+    const { activityId, subitemId, eventId, startsAt, endsAt, slots, location, notes } =
+      req.body;
+
+    const resolved = await resolveTarget({ activityId, subitemId, eventId });
+    if (!resolved.success) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message,
+      });
+    }
+
+    if (startsAt && new Date(startsAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "A new shift must start in the future",
+      });
+    }
+
+    const shift = new SevaShift({
+      ...resolved.target,
+      startsAt,
+      endsAt,
+      slots,
+      location,
+      notes,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+
+    try {
+      await shift.save();
+    } catch (error) {
+      return sendValidationError(res, error);
+    }
+
+    const [data] = await withTargetTitles([shift.toObject()]);
+    res.status(201).json({
+      success: true,
+      message: "Shift created",
+      data,
+    });
+  } catch (error) {
+    console.error("Error creating seva shift:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create shift",
+    });
+  }
+};
+
+/**
+ * PUT /api/admin/website/seva/shifts/:id
+ * Update the time, slots, location or notes of an open shift
+ * The target cannot change once volunteers may have claimed it.
+ */
+exports.updateShift = async (req, res) => {
+  try {
+    const shift = await SevaShift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: "Shift not found",
+      });
+    }
+
+    if (shift.status === "CANCELLED") {
+      return res.status(400).json({
+        success: false,
+        message: "Cancelled shifts cannot be edited",
+      });
+    }
+
+    const { startsAt, endsAt, slots, location, notes } = req.body;
+    if (startsAt !== undefined) shift.startsAt = startsAt;
+    if (endsAt !== undefined) shift.endsAt = endsAt;
+    if (slots !== undefined) shift.slots = slots;
+    if (location !== undefined) shift.location = location;
+    if (notes !== undefined) shift.notes = notes;
+    const rescheduled = shift.isModified("startsAt");
+    shift.updatedBy = req.user.id;
+
+    try {
+      await shift.save();
+    } catch (error) {
+      return sendValidationError(res, error);
+    }
+
+    // A new start time gets a new reminder
+    if (rescheduled) {
+      await SevaSignup.updateMany(
+        { shift: shift._id, status: "CLAIMED" },
+        { $set: { reminderSentAt: null } },
+      );
+    }
+
+    const [data] = await withTargetTitles([shift.toObject()]);
+    res.json({
+      success: true,
+      message: "Shift updated",
+      data,
+    });
+  } catch (error) {
+    console.error("Error updating seva shift:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update shift",
+    });
+  }
+};
+
+/**
+ * POST /api/admin/website/seva/shifts/:id/cancel
+ * Cancel a shift - volunteers who claimed it are emailed
+ */
+exports.cancelShift = async (req, res) => {
+  try {
+    const result = await cancelShift(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Shift cancelled - ${result.notified} volunteer(s) emailed`,
+      data: result.shift,
+    });
+  } catch (error) {
+    console.error("Error cancelling seva shift:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel shift",
+    });
+  }
+};
+
+/**
+ * GET /api/admin/website/seva/shifts/:id/roster
+ * Volunteers of a shift with their attendance
+ */
+exports.getRoster = async (req, res) => {
+  try {
+    const shift = await SevaShift.findById(req.params.id).lean();
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: "Shift not found",
+      });
+    }
+
+    const [signups, [titled]] = await Promise.all([
+      SevaSignup.find({ shift: shift._id })
+        .populate("user", "fullName mobile email")
+        .sort({ status: 1, claimedAt: 1 })
+        .lean(),
+      withTargetTitles([shift]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        shift: { ...titled, hours: getShiftHours(shift) },
+        signups,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching seva roster:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch roster",
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/website/seva/shifts/:id/roster/:signupId
+ * Mark attendance once the shift has started
+ * Body: { attendance: "PRESENT" | "ABSENT" | null, hours?: number | null }
+ */
+exports.markAttendance = async (req, res) => {
+  try {
+    const { attendance, hours } = req.body;
+
+    if (![null, "PRESENT", "ABSENT"].includes(attendance ?? null)) {
+      return res.status(400).json({
+        success: false,
+        message: "Attendance must be PRESENT, ABSENT or empty",
+      });
+    }
+    const parsedHours = hours === null || hours === undefined || hours === "" ? null : Number(hours);
+    if (parsedHours !== null && !(parsedHours >= 0 && parsedHours <= 24)) {
+      return res.status(400).json({
+        success: false,
+        message: "Hours must be between 0 and 24",
+      });
+    }
+
+    const shift = await SevaShift.findById(req.params.id).lean();
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: "Shift not found",
+      });
+    }
+    if (shift.startsAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Attendance can be marked once the shift has started",
+      });
+    }
+
+    const signup = await SevaSignup.findOneAndUpdate(
+      { _id: req.params.signupId, shift: shift._id, status: "CLAIMED" },
+      {
+        $set: {
+          attendance: attendance ?? null,
+          hours: attendance === "PRESENT" ? parsedHours : null,
+          markedBy: req.user.id,
+        },
+      },
+      { new: true },
+    ).populate("user", "fullName mobile email");
+
+    if (!signup) {
+      return res.status(404).json({
+        success: false,
+        message: "Signup not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Attendance saved",
+      data: signup,
+    });
+  } catch (error) {
+    console.error("Error marking seva attendance:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save attendance",
+    });
+  }
+};
+
+/**
+ * GET /api/admin/website/seva/interests
+ * Volunteers who offered to help, grouped by seva or event
+ */
+exports.getInterests = async (req, res) => {
+  try {
+    const interests = await SevaInterest.find()
+      .populate("user", "fullName mobile email")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const groups = new Map();
+    for (const interest of await withTargetTitles(interests)) {
+      const key = interest.event
+        ? `event:${interest.event}`
+        : `activity:${interest.activity}:${interest.subitem}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          activity: interest.activity,
+          subitem: interest.subitem,
+          event: interest.event,
+          sevaTitle: interest.sevaTitle,
+          activityTitle: interest.activityTitle,
+          volunteers: [],
+        });
+      }
+      groups.get(key).volunteers.push({
+        _id: interest._id,
+        user: interest.user,
+        note: interest.note,
+        createdAt: interest.createdAt,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: [...groups.values()],
+    });
+  } catch (error) {
+    console.error("Error fetching seva interests:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seva interests",
+    });
+  }
+};
+
+/**
+ * GET /api/admin/website/seva/hours
+ * Hours served per volunteer, for shifts starting in a date range
+ * Query: from, to (dates), format=csv
+ */
+exports.getHours = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    const rows = await getVolunteerHours({ from, to });
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="seva_hours.csv"');
+      return res.send(
+        toCsv(
+          ["Name", "Mobile", "Email", "Shifts Attended", "Absences", "Hours"],
+          rows.map((row) => [
+            row.user.fullName || "",
+            row.user.mobile || "",
+            row.user.email || "",
+            row.shifts,
+            row.absences,
+            row.hours,
+          ]),
+        ),
+      );
+    }
+
+    res.json({
+      success: true,
+      data: rows,
+    });
+  } catch (error) {
+    console.error("Error fetching seva hours:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch seva hours",
+    });
+  }
+};
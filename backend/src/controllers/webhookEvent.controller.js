@@ -0,0 +1,118 @@
+const WebhookEvent = require("../models/WebhookEvent");
+const {
+  claimEventForReplay,
+  runLedgerEntry,
+} = require("../services/webhookEvent.service");
+const { logWebhookReplay } = require("../services/audit.service");
+
+/**
+ * WEBHOOK EVENT CONTROLLER
+ * System Admin view of the Razorpay webhook ledger, with replay for failed events.
+ */
+
+/**
+ * List webhook events
+ * GET /api/admin/system/webhook-events
+ * Query: status, event, receiptFailed ("true": receipt or email failed), page, limit
+ * Payloads are left out of the list - fetch a single event to see one
+ */
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (req.query.receiptFailed === "true") filter.receiptError = { $ne: null };
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get webhook events error:", error);
+    res.status(500).json({ message: "Failed to fetch webhook events" });
+  }
+};
+
+/**
+ * Get a single webhook event with its payload
+ * GET /api/admin/system/webhook-events/:id
+ */
+exports.getWebhookEventById = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate("lastReplayedBy", "fullName email")
+      .lean();
+
+    if (!event) {
+      return res.status(404).json({ message: "Webhook event not found" });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error("Get webhook event error:", error);
+    res.status(500).json({ message: "Failed to fetch webhook event" });
+  }
+};
+
+/**
+ * Replay a failed webhook event through the same handler
+ * POST /api/admin/system/webhook-events/:id/replay
+ * Only FAILED events (or runs stuck in PROCESSING) can be replayed
+ */
+exports.replayWebhookEvent = async (req, res) => {
+  try {
+    const ledgerEntry = await claimEventForReplay(req.params.id, req.user.id);
+
+    if (!ledgerEntry) {
+      const exists = await WebhookEvent.exists({ _id: req.params.id });
+      if (!exists) {
+        return res.status(404).json({ message: "Webhook event not found" });
+      }
+      return res
+        .status(409)
+        .json({ message: "Only failed events, or events whose receipt failed, can be replayed" });
+    }
+
+    const outcome = await runLedgerEntry(ledgerEntry);
+
+    logWebhookReplay(ledgerEntry, outcome.success, req.user, req.ip);
+
+    if (!outcome.success) {
+      return res.status(422).json({
+        message: "Replay failed",
+        error: outcome.error,
+        status: ledgerEntry.status,
+        attempts: ledgerEntry.attempts,
+      });
+    }
+
+    res.json({
+      message: "Webhook event replayed",
+      status: ledgerEntry.status,
+      attempts: ledgerEntry.attempts,
+    });
+  } catch (error) {
+    console.error("Replay webhook event error:", error);
+    res.status(500).json({ message: "Failed to replay webhook event" });
+  }
+};
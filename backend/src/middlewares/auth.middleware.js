@@ -13,13 +13,15 @@ const authMiddleware = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     const user = await User.findById(decoded.userId);
-    if (!user) {
+    // Erased accounts are locked - see privacy.service eraseUserData
+    if (!user || user.erasedAt) {
       return res.status(401).json({ message: "User not found" });
     }
 
+    // Role comes from the account, not the token, so role changes apply at once
     req.user = {
       id: decoded.userId,
-      role: decoded.role,
+      role: user.role,
     };
 
     next();
@@ -26,7 +26,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
       if (user) {
         req.user = {
           id: decoded.userId,
-          role: decoded.role,
+          role: user.role,
         };
       } else {
         req.user = null;
@@ -50,3 +50,16 @@ exports.collectorApplyLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+/**
+ * Shop checkout rate limiter
+ * 10 requests per minute per IP
+ * Purpose: Prevent order spam and Razorpay order flooding
+ */
+exports.orderCreateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+  message: { message: "Too many checkout attempts. Please wait a moment." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const {
   multilingualField,
   multilingualFieldRequired,
+  machineTranslatedPlugin,
 } = require("../utils/multilingualField");
 
 /**
@@ -90,6 +91,9 @@ const activitySchema = new mongoose.Schema(
   },
 );
 
+// Machine-translated drafts awaiting review (see services/machineTranslation)
+activitySchema.plugin(machineTranslatedPlugin);
+
 // Indexes
 activitySchema.index({ isVisible: 1, order: 1 });
 activitySchema.index({ category: 1 });
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const {
   multilingualField,
   multilingualFieldRequired,
+  machineTranslatedPlugin,
 } = require("../utils/multilingualField");
 
 /**
@@ -60,6 +61,9 @@ const announcementSchema = new mongoose.Schema(
   },
 );
 
+// Machine-translated drafts awaiting review (see services/machineTranslation)
+announcementSchema.plugin(machineTranslatedPlugin);
+
 // Index for efficient querying of active announcements
 announcementSchema.index({ isActive: 1, priority: -1 });
 announcementSchema.index({ startDate: 1, endDate: 1 });
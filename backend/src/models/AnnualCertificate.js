@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const { encryptedFieldsPlugin } = require("../utils/fieldEncryption");
+
+/**
+ * Annual Certificate Schema
+ * Consolidated 80G certificate (Form 10BE style) - one per donor PAN per
+ * financial year, covering only donations to 80G-eligible donation heads.
+ *
+ * The record is the issued certificate: its number never changes, while the
+ * donation list and totals are refreshed whenever it is re-issued (e.g. after
+ * a refund). The PDF is always rendered from this record on download.
+ *
+ * pan is encrypted at rest; one certificate per PAN is keyed on panHash
+ * (panBlindIndex of the upper-case PAN).
+ */
+const certificateDonationSchema = new mongoose.Schema(
+  {
+    donation: { type: mongoose.Schema.Types.ObjectId, ref: "Donation" },
+    receiptNumber: String,
+    date: Date,
+    amount: Number, // Rs, net of refunds
+    paymentMethod: String,
+    donationHead: String,
+  },
+  { _id: false },
+);
+
+const annualCertificateSchema = new mongoose.Schema(
+  {
+    financialYear: { type: String, required: true }, // e.g. "2025-26"
+    pan: { type: String, required: true }, // Upper-case PAN, encrypted on save
+    panHash: { type: String, select: false },
+    certificateNumber: { type: String, required: true, unique: true }, // e.g. 80G/2025-26/000042
+
+    // Donor snapshot from the most recent donation in the year
+    donor: {
+      name: String,
+      address: String,
+      mobile: String,
+      email: String,
+    },
+    // Registered users who donated under this PAN (for self-service download)
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    donations: { type: [certificateDonationSchema], default: [] },
+    totalAmount: { type: Number, default: 0 },
+    // Cash above Rs 2,000 is not deductible u/s 80G
+    deductibleAmount: { type: Number, default: 0 },
+
+    issuedAt: { type: Date, default: Date.now },
+    lastIssuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null when issued on donor download
+    },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+// Note: certificateNumber already has unique index from field definition
+annualCertificateSchema.index(
+  { financialYear: 1, panHash: 1 },
+  { unique: true, partialFilterExpression: { panHash: { $type: "string" } } },
+);
+annualCertificateSchema.index({ users: 1, financialYear: -1 });
+
+annualCertificateSchema.plugin(encryptedFieldsPlugin, {
+  fields: [{ path: "pan", hashPath: "panHash" }],
+});
+
+module.exports = mongoose.model("AnnualCertificate", annualCertificateSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+/**
+ * Audit Log Schema
+ * Persistent trail of security-sensitive actions (collector approvals,
+ * KYC document views, offline donation entries, revocations, ...).
+ *
+ * Written only through audit.service.js - never updated or deleted by the app.
+ * Action-specific data that does not fit actor/target goes into `details`.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. COLLECTOR_APPROVED, KYC_DOCUMENT_VIEWED, OFFLINE_DONATION_RECORDED
+    action: { type: String, required: true, trim: true },
+
+    // Who performed the action (null for system/webhook actions)
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      role: { type: String, default: null },
+    },
+    ip: { type: String, default: null },
+
+    // What the action was performed on
+    target: {
+      type: { type: String, default: null }, // Model name, e.g. "User", "Donation"
+      id: { type: String, default: null },
+      label: { type: String, default: null }, // Human-readable snapshot (name, receipt no)
+    },
+
+    message: { type: String, default: null },
+    severity: {
+      type: String,
+      enum: ["INFO", "WARN", "HIGH"],
+      default: "INFO",
+    },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+// Indexes - match the admin search filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.id": 1, createdAt: -1 });
+auditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
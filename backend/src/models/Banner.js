@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
-const { multilingualField, multilingualFieldRequired } = require("../utils/multilingualField");
+const {
+  multilingualField,
+  multilingualFieldRequired,
+  machineTranslatedPlugin,
+} = require("../utils/multilingualField");
 
 /**
  * Banner Schema
@@ -44,6 +48,9 @@ const bannerSchema = new mongoose.Schema(
   },
 );
 
+// Machine-translated drafts awaiting review (see services/machineTranslation)
+bannerSchema.plugin(machineTranslatedPlugin);
+
 // Index for efficient querying of active banners sorted by order
 bannerSchema.index({ isActive: 1, order: 1 });
 
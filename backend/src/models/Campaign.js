@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+/**
+ * Campaign Schema
+ * A collector's personal fundraising page, e.g. "Help me raise Rs 50,000 for
+ * Annadan this Navratri". Tied to one DonationHead, with a goal and deadline.
+ *
+ * Donations made through the campaign link store campaignId and are
+ * attributed to the campaign's collector. Raised amount and supporters are
+ * aggregated from those donations when the page is read, so they are always live.
+ *
+ * Status:
+ * - ACTIVE: accepting donations until the deadline
+ * - CLOSED: closed early by the collector; the page stays visible
+ */
+const campaignSchema = new mongoose.Schema(
+  {
+    collector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Public URL key: /campaigns/:slug
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Campaign title is required"],
+      trim: true,
+      maxlength: [120, "Title cannot exceed 120 characters"],
+    },
+    story: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Story cannot exceed 2000 characters"],
+      default: "",
+    },
+    donationHead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DonationHead",
+      required: true,
+    },
+    goalAmount: {
+      type: Number,
+      required: [true, "Goal amount is required"],
+      min: [100, "Goal must be at least Rs 100"],
+    },
+    deadline: {
+      type: Date,
+      required: [true, "Deadline is required"],
+    },
+    status: {
+      type: String,
+      enum: ["ACTIVE", "CLOSED"],
+      default: "ACTIVE",
+    },
+    closedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+/**
+ * Whether the campaign can take donations right now
+ */
+campaignSchema.methods.isOpen = function () {
+  return this.status === "ACTIVE" && this.deadline > new Date();
+};
+
+module.exports = mongoose.model("Campaign", campaignSchema);
@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const { encryptedFieldsPlugin } = require("../utils/fieldEncryption");
+const {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+} = require("../config/translatableFields");
 
 /**
  * Donation Schema
@@ -8,6 +13,7 @@ const mongoose = require("mongoose");
  * Collector fields:
  * - collectorId: Reference to User who referred the donation (nullable)
  * - collectorName: Snapshot of collector's name at donation time (for receipts)
+ * - campaignId: Collector campaign the donation came through (nullable)
  * 
  * MIGRATION NOTES (v2 - Structured Address & Unified Payment):
  * - donor.address: Old field kept for backward compatibility (plain string)
@@ -15,7 +21,47 @@ const mongoose = require("mongoose");
  * - payment: New unified payment sub-document
  * - Old paymentMethod/paymentId/razorpayOrderId/transactionRef kept for backward compat
  * - Virtuals and helpers provide unified access regardless of data format
+ *
+ * Refunds:
+ * - refundedAmount: Sum of PROCESSED refunds (Rs)
+ * - refunds[]: One entry per refund - Razorpay (online) or MANUAL (cash/UPI/cheque)
+ * - status becomes PARTIALLY_REFUNDED, then REFUNDED once fully refunded
+ * - Totals count SUCCESS + PARTIALLY_REFUNDED at amount - refundedAmount
+ *   (see COUNTED_STATUSES / NET_AMOUNT_EXPR statics)
+ *
+ * PAN (donor.idNumber) is encrypted at rest - see utils/fieldEncryption.
+ * Look donations up by PAN through donor.idNumberHash (panBlindIndex).
+ *
+ * donorId links the snapshot to the de-duplicated Donor registry once the
+ * donation counts (see services/donorRegistry.service).
+ *
+ * Erasure: an ErasureRequest anonymises the donor snapshot (donor.erasedAt)
+ * but keeps amount, receipt number and PAN.
  */
+/**
+ * Refund sub-document
+ * Razorpay refunds start PENDING and are confirmed by the refund.processed
+ * webhook; manual refunds are recorded as PROCESSED straight away.
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: ["RAZORPAY", "MANUAL"], required: true },
+    amount: { type: Number, required: true },
+    razorpayRefundId: { type: String, default: null },
+    reference: { type: String }, // UTR / cheque number for manual refunds
+    reason: { type: String },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSED", "FAILED"],
+      default: "PENDING",
+    },
+    failureReason: { type: String },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
 const donationSchema = new mongoose.Schema(
   {
     // Optional reference to registered user (the donor)
@@ -39,6 +85,12 @@ const donationSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Set when donated through a collector campaign link (collector fields are set too)
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      default: null,
+    },
 
     // === DONOR SNAPSHOT (captured at donation time) ===
     donor: {
@@ -58,15 +110,32 @@ const donationSchema = new mongoose.Schema(
         pincode: { type: String },
       },
       anonymousDisplay: { type: Boolean, default: false },
-      dob: { type: Date, required: true },
+      // Not kept once the donor's data is erased (erasedAt)
+      dob: {
+        type: Date,
+        required: function () {
+          return !this.donor?.erasedAt;
+        },
+      },
       idType: { type: String, enum: ["PAN"], default: "PAN", required: true },
-      idNumber: { type: String, required: true }, // PAN number stored as-is
+      idNumber: { type: String, required: true }, // PAN, encrypted on save
+      idNumberHash: { type: String, select: false }, // Blind index of the PAN
+      erasedAt: { type: Date, default: null }, // Anonymised on an erasure request
+    },
+
+    // Registry donor this snapshot was matched to (set once the donation counts)
+    donorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Donor",
+      default: null,
     },
 
     // === DONATION DETAILS ===
     donationHead: {
       id: { type: String, required: true },
       name: { type: String, required: true },
+      // Optional DonationHead.subCauses[].key the donor chose
+      subCauseKey: { type: String, default: null },
     },
     amount: { type: Number, required: true },
 
@@ -80,7 +149,7 @@ const donationSchema = new mongoose.Schema(
     paymentId: String,
     status: {
       type: String,
-      enum: ["PENDING", "SUCCESS", "FAILED"],
+      enum: ["PENDING", "SUCCESS", "FAILED", "PARTIALLY_REFUNDED", "REFUNDED"],
       default: "PENDING",
     },
     transactionRef: String,
@@ -94,7 +163,7 @@ const donationSchema = new mongoose.Schema(
       },
       status: {
         type: String,
-        enum: ["PENDING", "SUCCESS", "FAILED"],
+        enum: ["PENDING", "SUCCESS", "FAILED", "PARTIALLY_REFUNDED", "REFUNDED"],
       },
       utrNumber: { type: String },       // For UPI payments
       chequeNumber: { type: String },     // For cheque payments
@@ -106,12 +175,33 @@ const donationSchema = new mongoose.Schema(
     receiptUrl: String,
     receiptNumber: String,
     emailSent: { type: Boolean, default: false },
+    // Last receipt/email failure after payment (cleared once both succeed)
+    receiptError: { type: String, default: null },
+    receiptCancelledAt: { type: Date, default: null }, // Set when fully refunded
+    verificationCode: { type: String, default: null }, // Printed with a QR for public verification
+    // Language the donor chose - receipts are rendered in it (see config/receiptLabels)
+    receiptLanguage: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      default: DEFAULT_LANGUAGE,
+    },
+
+    // === REFUNDS ===
+    refundedAmount: { type: Number, default: 0 },
+    refunds: { type: [refundSchema], default: [] },
 
     // === OTP VERIFICATION ===
     otpVerified: { type: Boolean, default: false },
 
     // === ADMIN INFO (for cash/upi/cheque donations) ===
     addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // === RECURRING (set when created by a subscription.charged webhook) ===
+    recurringDonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RecurringDonation",
+      default: null,
+    },
   },
   { timestamps: true },
 );
@@ -175,14 +265,40 @@ function extractCityFromString(address) {
 // Export helper for use in public controller
 donationSchema.statics.extractCityFromString = extractCityFromString;
 
+// Statuses that still count towards totals (partial refunds keep the remainder)
+donationSchema.statics.COUNTED_STATUSES = ["SUCCESS", "PARTIALLY_REFUNDED"];
+
+// Aggregation expression: amount kept after refunds
+donationSchema.statics.NET_AMOUNT_EXPR = {
+  $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+};
+
 // Index for user donations lookup
 donationSchema.index({ user: 1, createdAt: -1 });
 donationSchema.index({ user: 1, status: 1, createdAt: -1 }); // last-profile: find latest successful donation per user
 donationSchema.index({ collectorId: 1, createdAt: -1 }); // Leaderboard & collector stats
 donationSchema.index({ hasCollectorAttribution: 1, status: 1 }); // BUG FIX: Optimized collector queries
+donationSchema.index({ campaignId: 1, createdAt: -1 }, { sparse: true }); // Campaign progress & supporters
 donationSchema.index({ "donor.mobile": 1 });
+donationSchema.index({ "donor.idNumberHash": 1 }); // 80G certificates by PAN
+donationSchema.index({ donorId: 1, createdAt: -1 }); // Donor registry profiles
 donationSchema.index({ status: 1 });
 donationSchema.index({ paymentMethod: 1 });
 donationSchema.index({ createdAt: -1 });
+donationSchema.index({ recurringDonation: 1, createdAt: -1 });
+donationSchema.index({ "refunds.razorpayRefundId": 1 }, { sparse: true });
+donationSchema.index(
+  { verificationCode: 1 },
+  { unique: true, partialFilterExpression: { verificationCode: { $type: "string" } } },
+);
+// One Donation per Razorpay payment - makes subscription.charged replays idempotent
+donationSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $type: "string" } } },
+);
+
+donationSchema.plugin(encryptedFieldsPlugin, {
+  fields: [{ path: "donor.idNumber", hashPath: "donor.idNumberHash" }],
+});
 
 module.exports = mongoose.model("Donation", donationSchema);
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const {
   multilingualField,
   multilingualFieldRequired,
+  machineTranslatedPlugin,
 } = require("../utils/multilingualField");
 
 /**
@@ -27,6 +28,17 @@ const subCauseSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Running totals for donations to this sub-cause (see donationHeadTotals.service.js)
+    currentAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    donationCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
   },
   { _id: true },
 );
@@ -118,11 +130,25 @@ const donationHeadSchema = new mongoose.Schema(
       min: 0,
       default: null,
     },
+    // Running totals of counted donations, net of refunds - maintained by
+    // donationHeadTotals.service.js, never edited by hand
     currentAmount: {
       type: Number,
       min: 0,
       default: 0,
     },
+    // Number of counted donations (a fully refunded donation stops counting)
+    donationCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Bumped by every running-totals update, so a rebuild can tell that a
+    // head changed while it was aggregating
+    totalsVersion: {
+      type: Number,
+      default: 0,
+    },
     // Audit trail
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -138,6 +164,9 @@ const donationHeadSchema = new mongoose.Schema(
   },
 );
 
+// Machine-translated drafts awaiting review (see services/machineTranslation)
+donationHeadSchema.plugin(machineTranslatedPlugin);
+
 // Indexes
 donationHeadSchema.index({ isActive: 1, order: 1 });
 donationHeadSchema.index({ isFeatured: 1 });
@@ -152,6 +181,26 @@ donationHeadSchema.virtual("collectedPercentage").get(function () {
   );
 });
 
+/**
+ * Check a donor-chosen sub-cause key against a head
+ * @param {string} headId - DonationHead _id
+ * @param {string} [subCauseKey]
+ * @returns {Promise<Object>} { valid, subCauseKey } - subCauseKey null when none was given
+ */
+donationHeadSchema.statics.resolveSubCauseKey = async function (headId, subCauseKey) {
+  if (!subCauseKey) return { valid: true, subCauseKey: null };
+
+  const key = String(subCauseKey).toLowerCase().trim();
+  const exists = mongoose.Types.ObjectId.isValid(headId)
+    ? await this.exists({
+        _id: headId,
+        subCauses: { $elemMatch: { key, isActive: true } },
+      })
+    : null;
+
+  return exists ? { valid: true, subCauseKey: key } : { valid: false, subCauseKey: null };
+};
+
 // Enable virtuals in JSON
 donationHeadSchema.set("toJSON", { virtuals: true });
 donationHeadSchema.set("toObject", { virtuals: true });
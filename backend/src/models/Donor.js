@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+/**
+ * Donor Schema
+ * One record per real-world donor, built from the donor snapshots on
+ * counted donations (see services/donorRegistry.service.js).
+ *
+ * A donation is matched to a donor by PAN (blind index), then by normalised
+ * mobile. Merging two donors unions their PANs, mobiles, emails and names,
+ * so later donations under any of them land on the merged record.
+ *
+ * Lifetime giving, first / last gift and causes supported are aggregated from
+ * Donation.donorId when a profile is read, so refunds are always reflected.
+ *
+ * Erasure: eraseUserData clears the contact details of donors linked to the
+ * user (erasedAt); PAN hashes stay so 80G records keep matching.
+ */
+const donorSchema = new mongoose.Schema(
+  {
+    // Latest name seen - names[] keeps every spelling
+    name: { type: String, required: true, trim: true },
+    names: { type: [String], default: [] },
+
+    // Blind indexes of every PAN seen (panBlindIndex) - a PAN belongs to one donor
+    panHashes: { type: [String], default: [] },
+    // Last 4 characters of the latest PAN, for display
+    panLast4: { type: String, default: null },
+
+    // Normalised 10-digit mobiles and lower-case emails
+    mobiles: { type: [String], default: [] },
+    emails: { type: [String], default: [] },
+
+    city: { type: String, default: null },
+
+    // Registered account the donor donated from (Donation.user)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Pairs an admin marked as different people - never suggested again
+    notDuplicateOf: [{ type: mongoose.Schema.Types.ObjectId, ref: "Donor" }],
+
+    // Donors merged into this one (ids no longer exist)
+    mergedFrom: [
+      {
+        _id: false,
+        donorId: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String },
+        mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        mergedAt: { type: Date },
+      },
+    ],
+
+    erasedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+donorSchema.index(
+  { panHashes: 1 },
+  { unique: true, partialFilterExpression: { panHashes: { $type: "string" } } },
+);
+donorSchema.index({ mobiles: 1 });
+donorSchema.index({ emails: 1 });
+donorSchema.index({ user: 1 });
+donorSchema.index({ name: 1 });
+
+module.exports = mongoose.model("Donor", donorSchema);
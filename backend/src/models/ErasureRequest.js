@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+/**
+ * Erasure Request Schema
+ * A donor's request to remove their personal data, reviewed by a System Admin.
+ *
+ * Completing a request anonymises the donor snapshots on the user's donations
+ * and monthly mandates, deletes their testimonials and KYC documents, and
+ * clears the account (see privacy.service eraseUserData). Amount, receipt
+ * number and PAN are kept - they must be retained for 80G / Form 10BD.
+ *
+ * Status:
+ * - PENDING: waiting for admin review (at most one per user)
+ * - PROCESSING: claimed by an admin, erasure running (back to PENDING if it fails)
+ * - COMPLETED: data erased - summary holds the counts
+ * - REJECTED: declined by the admin - resolutionNote explains why
+ * - CANCELLED: withdrawn by the user before review
+ */
+const erasureRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Snapshot so the queue stays readable after the account is cleared
+    userName: { type: String, default: null },
+    userMobile: { type: String, default: null },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Reason cannot exceed 1000 characters"],
+      default: "",
+    },
+
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "COMPLETED", "REJECTED", "CANCELLED"],
+      default: "PENDING",
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: null },
+
+    // Filled in when COMPLETED
+    summary: {
+      donations: { type: Number, default: 0 },
+      recurringDonations: { type: Number, default: 0 },
+      testimonials: { type: Number, default: 0 },
+      certificates: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+erasureRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "PENDING" } },
+);
+erasureRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ErasureRequest", erasureRequestSchema);
@@ -2,13 +2,50 @@ const mongoose = require("mongoose");
 const {
   multilingualField,
   multilingualFieldRequired,
+  machineTranslatedPlugin,
 } = require("../utils/multilingualField");
+const {
+  isRecurring,
+  getSeriesEnd,
+  validateRecurrence,
+} = require("../utils/recurrence");
 
 /**
  * Event Schema
  * For managing upcoming and past events
  * Supports status tracking and visibility control
  */
+
+/**
+ * Custom question asked on the registration form
+ * Answers are stored on EventRegistration.answers by key.
+ */
+const registrationQuestionSchema = new mongoose.Schema(
+  {
+    // Stable identifier for answers, e.g. "tshirt_size"
+    key: {
+      type: String,
+      required: [true, "Question key is required"],
+      trim: true,
+      match: [/^[a-z0-9_]+$/, "Question key may only contain a-z, 0-9 and _"],
+      maxlength: 40,
+    },
+    label: multilingualFieldRequired(200, "Question label is required"),
+    type: {
+      type: String,
+      enum: {
+        values: ["text", "textarea", "select", "checkbox", "number"],
+        message: "Question type must be text, textarea, select, checkbox, or number",
+      },
+      default: "text",
+    },
+    // Choices for select questions
+    options: [{ type: String, trim: true }],
+    required: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
 const eventSchema = new mongoose.Schema(
   {
     title: multilingualFieldRequired(200, "Event title is required"),
@@ -31,6 +68,42 @@ const eventSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Repeating series (see utils/recurrence.js). `date` is the first
+    // session; every session shares `time` and the date -> endDate length.
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: {
+          values: ["none", "weekly", "monthly"],
+          message: "Repeat must be none, weekly, or monthly",
+        },
+        default: "none",
+      },
+      // Every N weeks / months
+      interval: {
+        type: Number,
+        min: [1, "Repeat interval must be at least 1"],
+        max: [12, "Repeat interval cannot exceed 12"],
+        default: 1,
+      },
+      // Weekly: days of the week (0 = Sunday) - defaults to the weekday of `date`
+      weekdays: [{ type: Number, min: 0, max: 6 }],
+      // Monthly: same day of the month as `date`, or the nth weekday (e.g. 2nd Sunday)
+      monthlyBy: {
+        type: String,
+        enum: ["dayOfMonth", "nthWeekday"],
+        default: "dayOfMonth",
+      },
+      // nthWeekday: 1-4, or -1 for the last - derived from `date` when not set
+      weekOfMonth: { type: Number, enum: [1, 2, 3, 4, -1], default: null },
+      // Last day of the series - null repeats indefinitely
+      until: { type: Date, default: null },
+      // Session days that are skipped (e.g. the week of Guru Purnima)
+      exceptions: [{ type: Date }],
+      // Extra one-off sessions - e.g. Ekadashi dates from the panchang,
+      // or the sessions of a multi-session course
+      additionalDates: [{ type: Date }],
+    },
     location: multilingualField({ default: "" }),
     // Image URL (stored on filesystem/CDN, not binary)
     imageUrl: {
@@ -56,12 +129,51 @@ const eventSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    // Optional registration URL
+    // Optional external registration URL
     registrationUrl: {
       type: String,
       trim: true,
       default: null,
     },
+    // Native registration (see services/eventRegistration.service.js)
+    registration: {
+      enabled: { type: Boolean, default: false },
+      // Seats available - null means unlimited
+      capacity: {
+        type: Number,
+        min: [1, "Capacity must be at least 1"],
+        default: null,
+      },
+      // Registrations close at this time (defaults to the event start)
+      deadline: { type: Date, default: null },
+      // Fee in Rs, paid through Razorpay - 0 means free
+      fee: {
+        type: Number,
+        min: [0, "Fee cannot be negative"],
+        default: 0,
+      },
+      // When full, further registrations join the waitlist
+      waitlistEnabled: { type: Boolean, default: true },
+      // Seats held by CONFIRMED and PENDING_PAYMENT registrations.
+      // Only changed atomically by eventRegistration.service.
+      seatsTaken: { type: Number, default: 0, min: 0 },
+    },
+    registrationQuestions: {
+      type: [registrationQuestionSchema],
+      default: [],
+      validate: [
+        {
+          validator: (questions) =>
+            new Set(questions.map((q) => q.key)).size === questions.length,
+          message: "Registration question keys must be unique",
+        },
+        {
+          validator: (questions) =>
+            questions.every((q) => q.type !== "select" || q.options.length > 0),
+          message: "Select questions need at least one option",
+        },
+      ],
+    },
     // Optional tags for filtering
     tags: [
       {
@@ -85,11 +197,30 @@ const eventSchema = new mongoose.Schema(
   },
 );
 
+// Machine-translated drafts awaiting review (see services/machineTranslation)
+eventSchema.plugin(machineTranslatedPlugin);
+
 // Indexes for efficient querying
 eventSchema.index({ date: -1 });
 eventSchema.index({ status: 1, isPublished: 1 });
 eventSchema.index({ isFeatured: 1 });
 
+// Recurring series: the rule must match the first session, and seats are
+// counted per event, so native registration is for single events only
+eventSchema.pre("validate", function () {
+  if (!isRecurring(this)) return;
+
+  const recurrenceError = validateRecurrence(this);
+  if (recurrenceError) this.invalidate("recurrence", recurrenceError);
+
+  if (this.registration?.enabled) {
+    this.invalidate(
+      "registration.enabled",
+      "Registration is not available for recurring events - create a separate event per session",
+    );
+  }
+});
+
 // Pre-save middleware to auto-update status based on date
 eventSchema.pre("save", function () {
   const now = new Date();
@@ -97,7 +228,11 @@ eventSchema.pre("save", function () {
 
   // Only auto-update if not manually set to cancelled
   if (this.status !== "cancelled") {
-    if (this.endDate) {
+    if (isRecurring(this)) {
+      // A series stays upcoming until its last session has ended
+      const seriesEnd = getSeriesEnd(this);
+      this.status = seriesEnd && now > seriesEnd ? "past" : "upcoming";
+    } else if (this.endDate) {
       const endDate = new Date(this.endDate);
       if (now > endDate) {
         this.status = "past";
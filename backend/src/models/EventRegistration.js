@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+
+/**
+ * Event Registration Schema
+ * One registration per attendee for events with native registration enabled
+ * (Event.registration.enabled).
+ *
+ * Lifecycle:
+ * - PENDING_PAYMENT: paid event, seat held while the Razorpay checkout is open
+ * - CONFIRMED: free registration, or the webhook confirmed payment.captured
+ * - WAITLISTED: event was full - promoted to a seat by an admin (or
+ *   automatically for free events when a seat frees up)
+ * - PAYMENT_FAILED: webhook reported payment.failed (seat released)
+ * - EXPIRED: payment not completed by holdExpiresAt (seat released)
+ * - CANCELLED: cancelled by an admin (seat released)
+ *
+ * CONFIRMED registrations are checked in at the gate by scanning the entry
+ * pass (checkedInAt is set once, never cleared).
+ *
+ * The webhook is the ONLY authority that confirms a paid registration.
+ * Seats are counted on Event.registration.seatsTaken, see
+ * services/eventRegistration.service.js.
+ */
+const eventRegistrationSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Event",
+      required: true,
+    },
+
+    // Human-readable registration number shown to attendees (e.g., REG-LX2K9A-4F7Q)
+    registrationNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Optional reference to registered user
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // === ATTENDEE SNAPSHOT ===
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    mobile: { type: String, trim: true, default: null },
+    // Language the attendee registered in - used for emails
+    language: { type: String, enum: ["en", "hi", "mr"], default: "en" },
+
+    // Answers to Event.registrationQuestions - label copied so later
+    // question edits never change what the attendee answered
+    answers: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        label: { type: String, default: "" },
+        value: { type: String, default: "" },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: [
+        "PENDING_PAYMENT",
+        "CONFIRMED",
+        "WAITLISTED",
+        "PAYMENT_FAILED",
+        "EXPIRED",
+        "CANCELLED",
+      ],
+      required: true,
+    },
+
+    // === PAYMENT (paid events) ===
+    fee: { type: Number, default: 0, min: 0 }, // ₹, copied from the event
+    razorpayOrderId: String,
+    paymentId: String,
+    paidAt: Date,
+    // PENDING_PAYMENT seats are released after this time (expiry job)
+    holdExpiresAt: { type: Date, default: null },
+    failureReason: String,
+    // Payment captured after the seat was lost (needs a refund by an admin)
+    paymentIssue: { type: String, default: null },
+
+    // === ENTRY PASS ===
+    // Random code encoded in the QR entry pass - set on confirmation
+    passCode: { type: String, default: undefined },
+    confirmedAt: { type: Date, default: null },
+    confirmationEmailSent: { type: Boolean, default: false },
+
+    // === CHECK-IN ===
+    checkedInAt: { type: Date, default: null },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true },
+);
+
+// Registrations that still count for the event - one per email
+eventRegistrationSchema.statics.ACTIVE_STATUSES = ["PENDING_PAYMENT", "CONFIRMED", "WAITLISTED"];
+
+// Indexes
+// Note: registrationNumber already has unique index from field definition
+eventRegistrationSchema.index({ event: 1, status: 1, createdAt: 1 });
+// Enforces one active registration per email, even for concurrent sign-ups
+// ($in in a partial index needs MongoDB 6.0+; existing databases: run
+// scripts/migrate-event-registration-email-index.js)
+eventRegistrationSchema.index(
+  { event: 1, email: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: eventRegistrationSchema.statics.ACTIVE_STATUSES },
+    },
+  },
+);
+eventRegistrationSchema.index({ razorpayOrderId: 1 });
+eventRegistrationSchema.index({ status: 1, holdExpiresAt: 1 });
+eventRegistrationSchema.index({ event: 1, checkedInAt: -1 });
+eventRegistrationSchema.index(
+  { passCode: 1 },
+  { unique: true, partialFilterExpression: { passCode: { $type: "string" } } },
+);
+
+module.exports = mongoose.model("EventRegistration", eventRegistrationSchema);
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 const {
   multilingualField,
   multilingualFieldRequired,
+  machineTranslatedPlugin,
 } = require("../utils/multilingualField");
 
 /**
@@ -92,6 +93,9 @@ const galleryCategorySchema = new mongoose.Schema(
   },
 );
 
+// Machine-translated drafts awaiting review (see services/machineTranslation)
+galleryCategorySchema.plugin(machineTranslatedPlugin);
+
 // Indexes
 galleryCategorySchema.index({ isVisible: 1, order: 1 });
 // Note: slug already has unique index from field definition
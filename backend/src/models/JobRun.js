@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+/**
+ * Job Run Schema
+ * History of ScheduledJob runs, newest first in the admin Jobs page.
+ * Kept for 90 days (TTL index on createdAt).
+ *
+ * Status:
+ * - RUNNING: handler in progress
+ * - SUCCESS: result filled in
+ * - FAILED: handler threw - see error
+ */
+const JOB_RUN_RETENTION_DAYS = 90;
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true }, // ScheduledJob.name
+    trigger: {
+      type: String,
+      enum: ["SCHEDULED", "MANUAL"],
+      default: "SCHEDULED",
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for scheduled runs
+    },
+
+    status: {
+      type: String,
+      enum: ["RUNNING", "SUCCESS", "FAILED"],
+      default: "RUNNING",
+    },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+jobRunSchema.index({ job: 1, createdAt: -1 });
+jobRunSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+
+/**
+ * Order Line Schema (embedded)
+ * Snapshot of the product at checkout time - price and name are copied
+ * so that later product edits never change what the buyer paid for
+ */
+const orderItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    name: { type: String, required: true },
+    sku: { type: String, default: null },
+    imageUrl: { type: String, default: null },
+    price: { type: Number, required: true, min: 0 }, // Unit price in ₹
+    quantity: { type: Number, required: true, min: 1 },
+    lineTotal: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+/**
+ * Status History Entry (embedded)
+ * One entry per status change - drives the public tracking timeline
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    note: { type: String, trim: true, default: null },
+    // Admin who made the change (null for system/webhook changes)
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { _id: false },
+);
+
+/**
+ * Fulfilment flow after payment, in order.
+ * Admins may only move an order forward along this list.
+ */
+const FULFILMENT_FLOW = ["PAID", "PROCESSING", "DISPATCHED", "DELIVERED"];
+
+/**
+ * Order Schema
+ * Shop orders paid through Razorpay
+ *
+ * Payment lifecycle mirrors Donation:
+ * - PLACED: order created, Razorpay order issued, awaiting payment
+ * - PAID: webhook confirmed payment.captured (stock is lowered here)
+ * - FAILED: webhook reported payment.failed
+ * - CANCELLED: abandoned or cancelled by admin
+ *
+ * Fulfilment (admin-driven): PAID -> PROCESSING -> DISPATCHED -> DELIVERED
+ *
+ * The webhook is the ONLY authority that moves an order to PAID. A capture
+ * that arrives after the order was CANCELLED or FAILED is still accepted if
+ * stock allows; otherwise paymentIssue flags it for a refund.
+ */
+const orderSchema = new mongoose.Schema(
+  {
+    // Human-readable order number shown to buyers (e.g., ORD-LX2K9A-4F7Q)
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Optional reference to registered user (the buyer)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // === BUYER SNAPSHOT ===
+    customer: {
+      name: { type: String, required: true, trim: true },
+      email: { type: String, required: true, trim: true, lowercase: true },
+      mobile: { type: String, required: true, trim: true },
+    },
+    shippingAddress: {
+      line: { type: String, required: true },
+      city: { type: String, required: true },
+      state: { type: String, required: true },
+      country: { type: String, default: "India" },
+      pincode: { type: String, required: true },
+    },
+
+    // === ITEMS & TOTALS (all amounts in ₹, computed server-side) ===
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length > 0,
+        message: "Order must contain at least one item",
+      },
+    },
+    subtotal: { type: Number, required: true, min: 0 },
+    shippingCharge: { type: Number, required: true, min: 0, default: 0 },
+    totalAmount: { type: Number, required: true, min: 0 },
+
+    // === PAYMENT ===
+    status: {
+      type: String,
+      enum: [
+        "PLACED",
+        "PAID",
+        "PROCESSING",
+        "DISPATCHED",
+        "DELIVERED",
+        "FAILED",
+        "CANCELLED",
+      ],
+      default: "PLACED",
+    },
+    statusHistory: [statusHistorySchema],
+    razorpayOrderId: String,
+    paymentId: String,
+    paidAt: Date,
+    failureReason: String,
+    // Set when a payment arrived after the order was CANCELLED / FAILED and
+    // could not be accepted (stock ran out) - the buyer needs a refund
+    paymentIssue: { type: String, default: null },
+
+    // === SHIPMENT (recorded when the order is dispatched) ===
+    shipment: {
+      courierName: { type: String, trim: true, default: null },
+      trackingNumber: { type: String, trim: true, default: null },
+    },
+
+    // === INVENTORY ===
+    // True once stock has been lowered for every line of this order
+    stockDeducted: { type: Boolean, default: false },
+    // Lines that could not be fulfilled from stock after payment (needs admin attention)
+    stockShortfall: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: String,
+        requested: Number,
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true },
+);
+
+// Indexes
+// Note: orderNumber already has unique index from field definition
+orderSchema.index({ razorpayOrderId: 1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ "customer.mobile": 1 });
+
+orderSchema.statics.FULFILMENT_FLOW = FULFILMENT_FLOW;
+
+module.exports = mongoose.model("Order", orderSchema);
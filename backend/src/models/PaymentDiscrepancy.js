@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+/**
+ * Payment Discrepancy Schema
+ * A mismatch between Razorpay and our Donation records, found by a
+ * reconciliation run.
+ *
+ * Types:
+ * - CAPTURED_NOT_CONFIRMED: Razorpay captured the payment but the donation is
+ *   still PENDING (usually a missed payment.captured webhook) - can be fixed
+ * - CAPTURED_WITHOUT_DONATION: captured payment with no donation or shop order
+ * - SUCCESS_WITHOUT_CAPTURE: donation marked SUCCESS but Razorpay has no
+ *   captured payment for it
+ * - AMOUNT_MISMATCH: captured amount differs from the donation amount
+ * - ORDER_NOT_PAID: captured payment for a shop order that is not PAID, or
+ *   was paid too late and is flagged for a refund (order.paymentIssue)
+ *
+ * key is the Razorpay payment ID (or donation ID when there is no payment),
+ * unique per type - later runs update lastSeenAt instead of adding duplicates.
+ */
+const paymentDiscrepancySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "CAPTURED_NOT_CONFIRMED",
+        "CAPTURED_WITHOUT_DONATION",
+        "SUCCESS_WITHOUT_CAPTURE",
+        "AMOUNT_MISMATCH",
+        "ORDER_NOT_PAID",
+      ],
+      required: true,
+    },
+    key: { type: String, required: true },
+
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Donation",
+      default: null,
+    },
+    // Shop order (ORDER_NOT_PAID only)
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderStatus: { type: String, default: null },
+    orderAmount: { type: Number, default: null }, // Rs
+    razorpayOrderId: { type: String, default: null },
+    razorpayPaymentId: { type: String, default: null },
+    razorpayStatus: { type: String, default: null }, // captured, failed, ... or "not_found"
+    donationStatus: { type: String, default: null },
+    donationAmount: { type: Number, default: null }, // Rs
+    razorpayAmount: { type: Number, default: null }, // Rs
+
+    status: {
+      type: String,
+      enum: ["OPEN", "FIXED", "DISMISSED"],
+      default: "OPEN",
+    },
+    firstRun: { type: mongoose.Schema.Types.ObjectId, ref: "ReconciliationRun" },
+    lastRun: { type: mongoose.Schema.Types.ObjectId, ref: "ReconciliationRun" },
+    lastSeenAt: { type: Date, default: Date.now },
+
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+paymentDiscrepancySchema.index({ type: 1, key: 1 }, { unique: true });
+paymentDiscrepancySchema.index({ status: 1, createdAt: -1 });
+paymentDiscrepancySchema.index({ donation: 1 });
+
+module.exports = mongoose.model("PaymentDiscrepancy", paymentDiscrepancySchema);
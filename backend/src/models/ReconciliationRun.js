@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Reconciliation Run Schema
+ * One pass comparing Razorpay payments and settlements for a date range
+ * against Donation records. Discrepancies found are stored separately in
+ * PaymentDiscrepancy so overlapping runs do not flag the same payment twice.
+ *
+ * Status:
+ * - RUNNING: fetching from Razorpay / matching
+ * - COMPLETED: summary filled in
+ * - FAILED: Razorpay or DB error - see error
+ */
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    trigger: {
+      type: String,
+      enum: ["SCHEDULED", "MANUAL"],
+      default: "MANUAL",
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for scheduled runs
+    },
+
+    status: {
+      type: String,
+      enum: ["RUNNING", "COMPLETED", "FAILED"],
+      default: "RUNNING",
+    },
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+
+    // Amounts in Rs
+    summary: {
+      paymentsFetched: { type: Number, default: 0 },
+      capturedCount: { type: Number, default: 0 },
+      capturedAmount: { type: Number, default: 0 },
+      donationsChecked: { type: Number, default: 0 },
+      settlementsCount: { type: Number, default: 0 },
+      settledAmount: { type: Number, default: 0 },
+      settlementFees: { type: Number, default: 0 },
+      discrepanciesFound: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+reconciliationRunSchema.index({ createdAt: -1 });
+reconciliationRunSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ReconciliationRun", reconciliationRunSchema);
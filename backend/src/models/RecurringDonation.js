@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const { encryptedFieldsPlugin } = require("../utils/fieldEncryption");
+const {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+} = require("../config/translatableFields");
+
+/**
+ * Recurring Donation Schema
+ * A monthly donation mandate backed by a Razorpay plan + subscription.
+ *
+ * This document is the mandate only - every successful monthly charge
+ * (subscription.charged webhook) creates a regular Donation record with its
+ * own receipt, linked back here through Donation.recurringDonation.
+ *
+ * Lifecycle (mirrors Razorpay subscription states):
+ * - CREATED: subscription created, donor has not completed the mandate yet
+ * - ACTIVE: mandate authorised, charged every month
+ * - PAUSED: paused by the donor, no charges until resumed
+ * - HALTED: Razorpay stopped retrying after repeated charge failures
+ * - CANCELLED: cancelled by the donor (terminal)
+ * - COMPLETED: all billing cycles charged (terminal)
+ *
+ * Status changes are driven by the webhook; donor pause/resume/cancel
+ * calls Razorpay first and only then updates this record.
+ */
+const recurringDonationSchema = new mongoose.Schema(
+  {
+    // Owner - recurring donations require a logged-in donor
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // === COLLECTOR/REFERRAL (copied onto every monthly Donation) ===
+    collectorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    collectorName: { type: String, default: null },
+    hasCollectorAttribution: { type: Boolean, default: false },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      default: null,
+    },
+
+    // === DONOR SNAPSHOT (same shape as Donation.donor) ===
+    donor: {
+      name: { type: String, required: true },
+      mobile: { type: String, required: true },
+      email: { type: String },
+      emailOptIn: { type: Boolean, default: false },
+      emailVerified: { type: Boolean, default: false },
+      address: { type: String },
+      addressObj: {
+        line: { type: String },
+        city: { type: String },
+        state: { type: String },
+        country: { type: String, default: "India" },
+        pincode: { type: String },
+      },
+      anonymousDisplay: { type: Boolean, default: false },
+      // Not kept once the donor's data is erased (erasedAt)
+      dob: {
+        type: Date,
+        required: function () {
+          return !this.donor?.erasedAt;
+        },
+      },
+      idType: { type: String, enum: ["PAN"], default: "PAN", required: true },
+      idNumber: { type: String, required: true }, // PAN, encrypted on save
+      idNumberHash: { type: String, select: false },
+      erasedAt: { type: Date, default: null }, // Anonymised on an erasure request
+    },
+
+    // === CAUSE ===
+    donationHeadRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DonationHead",
+      required: true,
+    },
+    // Snapshot in the same shape Donation uses, so charges can be copied as-is
+    donationHead: {
+      id: { type: String, required: true },
+      name: { type: String, required: true },
+      subCauseKey: { type: String, default: null },
+    },
+    // Copied to each charge's Donation - receipts are rendered in it
+    receiptLanguage: {
+      type: String,
+      enum: SUPPORTED_LANGUAGES,
+      default: DEFAULT_LANGUAGE,
+    },
+
+    // Monthly amount in ₹
+    amount: { type: Number, required: true, min: 1 },
+    // Number of monthly charges authorised in the mandate
+    totalCount: { type: Number, required: true, min: 1 },
+
+    // === RAZORPAY ===
+    razorpayPlanId: { type: String, required: true },
+    razorpaySubscriptionId: { type: String, default: null },
+
+    status: {
+      type: String,
+      enum: ["CREATED", "ACTIVE", "PAUSED", "HALTED", "CANCELLED", "COMPLETED"],
+      default: "CREATED",
+    },
+
+    // === CHARGE TRACKING (updated by subscription.charged) ===
+    paidCount: { type: Number, default: 0 },
+    totalCollected: { type: Number, default: 0 },
+    lastChargedAt: { type: Date, default: null },
+    nextChargeAt: { type: Date, default: null },
+
+    pausedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+recurringDonationSchema.index(
+  { razorpaySubscriptionId: 1 },
+  { unique: true, partialFilterExpression: { razorpaySubscriptionId: { $type: "string" } } },
+);
+recurringDonationSchema.index({ user: 1, createdAt: -1 });
+recurringDonationSchema.index({ status: 1 });
+// Plan reuse lookup: one Razorpay plan per cause + monthly amount
+recurringDonationSchema.index({ donationHeadRef: 1, amount: 1 });
+
+recurringDonationSchema.plugin(encryptedFieldsPlugin, {
+  fields: [{ path: "donor.idNumber", hashPath: "donor.idNumberHash" }],
+});
+
+module.exports = mongoose.model("RecurringDonation", recurringDonationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+/**
+ * Scheduled Job Schema
+ * Registry of in-process maintenance jobs (see scheduler.service.js).
+ * One document per job name; the job definitions themselves live in code and
+ * are synced here on startup. Holds the schedule, the run lock and the
+ * outcome of the last run. Each run is also stored in JobRun.
+ *
+ * lastStatus:
+ * - null: never run
+ * - SUCCESS: last run finished
+ * - FAILED: last run threw - see lastError
+ */
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: "" },
+    intervalMinutes: { type: Number, required: true, min: 1 },
+    enabled: { type: Boolean, default: true },
+
+    nextRunAt: { type: Date, default: null },
+    // Run lock - set while a run is in progress (on any server instance)
+    runningSince: { type: Date, default: null },
+
+    lastRunAt: { type: Date, default: null },
+    lastStatus: {
+      type: String,
+      enum: ["SUCCESS", "FAILED", null],
+      default: null,
+    },
+    lastResult: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: null },
+    lastDurationMs: { type: Number, default: null },
+    // Consecutive failed runs, reset by a successful run
+    consecutiveFailures: { type: Number, default: 0 },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+/**
+ * Seva Interest Schema
+ * A logged-in user offering to volunteer (seva) for an Activity subitem
+ * (e.g. Annadan, Goushala) or for an event. Admins use the list to find
+ * sevadars when they schedule shifts (see SevaShift).
+ *
+ * Exactly one target: `activity` + `subitem`, or `event`.
+ */
+const sevaInterestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // === TARGET ===
+    activity: { type: mongoose.Schema.Types.ObjectId, ref: "Activity", default: null },
+    // _id of the subitem within activity.subitems
+    subitem: { type: mongoose.Schema.Types.ObjectId, default: null },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", default: null },
+
+    // Skills, availability etc. from the volunteer
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { timestamps: true },
+);
+
+sevaInterestSchema.pre("validate", function () {
+  const hasActivity = Boolean(this.activity || this.subitem);
+  if (hasActivity === Boolean(this.event)) {
+    this.invalidate("activity", "Choose either an activity seva or an event");
+  } else if (hasActivity && !(this.activity && this.subitem)) {
+    this.invalidate("subitem", "Choose a seva of the activity");
+  }
+});
+
+// One interest per user and target
+sevaInterestSchema.index({ user: 1, activity: 1, subitem: 1, event: 1 }, { unique: true });
+sevaInterestSchema.index({ activity: 1, subitem: 1 });
+sevaInterestSchema.index({ event: 1 });
+
+module.exports = mongoose.model("SevaInterest", sevaInterestSchema);
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * Seva Shift Schema
+ * A volunteering slot scheduled by an admin for an Activity subitem or an
+ * event, e.g. "Annadan, Sunday 11:00-14:00, 6 sevadars". Volunteers claim
+ * shifts from the Seva page (see SevaSignup).
+ *
+ * The shift is named after its target (activity subitem or event title, in
+ * the reader's language); `notes` holds instructions in the admin's words.
+ *
+ * Slots: slotsTaken counts CLAIMED signups. It is only changed through the
+ * conditional updates in services/seva.service.js so it never exceeds slots.
+ *
+ * Status:
+ * - OPEN: shown to volunteers, can be claimed until it starts
+ * - CANCELLED: cancelled by an admin (volunteers are emailed)
+ */
+const sevaShiftSchema = new mongoose.Schema(
+  {
+    // === TARGET ===
+    activity: { type: mongoose.Schema.Types.ObjectId, ref: "Activity", default: null },
+    // _id of the subitem within activity.subitems
+    subitem: { type: mongoose.Schema.Types.ObjectId, default: null },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", default: null },
+
+    startsAt: { type: Date, required: [true, "Start time is required"] },
+    endsAt: { type: Date, required: [true, "End time is required"] },
+    location: { type: String, trim: true, maxlength: 200, default: "" },
+    notes: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    slots: {
+      type: Number,
+      required: [true, "Number of slots is required"],
+      min: [1, "A shift needs at least one slot"],
+      max: [500, "A shift cannot have more than 500 slots"],
+    },
+    slotsTaken: { type: Number, default: 0, min: 0 },
+
+    status: {
+      type: String,
+      enum: ["OPEN", "CANCELLED"],
+      default: "OPEN",
+    },
+    cancelledAt: { type: Date, default: null },
+
+    // Audit trail
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+sevaShiftSchema.pre("validate", function () {
+  const hasActivity = Boolean(this.activity || this.subitem);
+  if (hasActivity === Boolean(this.event)) {
+    this.invalidate("activity", "Choose either an activity seva or an event");
+  } else if (hasActivity && !(this.activity && this.subitem)) {
+    this.invalidate("subitem", "Choose a seva of the activity");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End time must be after the start time");
+  }
+  if (this.slots < this.slotsTaken) {
+    this.invalidate("slots", `${this.slotsTaken} volunteers already signed up - slots cannot be fewer`);
+  }
+});
+
+sevaShiftSchema.index({ status: 1, startsAt: 1 });
+sevaShiftSchema.index({ activity: 1, subitem: 1, startsAt: 1 });
+sevaShiftSchema.index({ event: 1, startsAt: 1 });
+
+module.exports = mongoose.model("SevaShift", sevaShiftSchema);
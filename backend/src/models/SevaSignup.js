@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+/**
+ * Seva Signup Schema
+ * A volunteer's claim on a SevaShift. One document per shift and user -
+ * claiming again after cancelling reuses it.
+ *
+ * Status:
+ * - CLAIMED: holds a slot of the shift
+ * - CANCELLED: cancelled by the volunteer before the shift (slot released)
+ *
+ * After the shift an admin marks attendance on the roster. PRESENT signups
+ * count towards the volunteer's hours: `hours` when set, otherwise the
+ * length of the shift.
+ */
+const sevaSignupSchema = new mongoose.Schema(
+  {
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SevaShift",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["CLAIMED", "CANCELLED"],
+      default: "CLAIMED",
+    },
+    claimedAt: { type: Date, default: Date.now },
+    // Language the volunteer signed up in - used for emails
+    language: { type: String, enum: ["en", "hi", "mr"], default: "en" },
+    cancelledAt: { type: Date, default: null },
+
+    // === ATTENDANCE (marked by an admin) ===
+    attendance: {
+      type: String,
+      enum: ["PRESENT", "ABSENT", null],
+      default: null,
+    },
+    // Hours credited - null means the length of the shift
+    hours: { type: Number, min: 0, max: 24, default: null },
+    markedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Set once the reminder job has handled this signup (also when the
+    // volunteer has no email), so each signup is reminded at most once
+    reminderSentAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+sevaSignupSchema.index({ shift: 1, user: 1 }, { unique: true });
+sevaSignupSchema.index({ user: 1, status: 1 });
+sevaSignupSchema.index({ status: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model("SevaSignup", sevaSignupSchema);
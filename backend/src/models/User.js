@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { encryptedFieldsPlugin } = require("../utils/fieldEncryption");
 
 /**
  * User Schema
@@ -19,7 +20,15 @@ const userSchema = new mongoose.Schema(
     address: String,
     role: {
       type: String,
-      enum: ["USER", "COLLECTOR_PENDING", "COLLECTOR_APPROVED", "WEBSITE_ADMIN", "SYSTEM_ADMIN"],
+      // EVENT_VOLUNTEER: gate check-in of event registrations only
+      enum: [
+        "USER",
+        "COLLECTOR_PENDING",
+        "COLLECTOR_APPROVED",
+        "EVENT_VOLUNTEER",
+        "WEBSITE_ADMIN",
+        "SYSTEM_ADMIN",
+      ],
       default: "USER",
     },
     // Collector/Referral system - permanent, human-readable code
@@ -31,6 +40,8 @@ const userSchema = new mongoose.Schema(
       // for existing users who don't have one yet. Code is still effectively
       // immutable since assignReferralCode() checks if it already exists.
     },
+    // Set when the account was cleared on an erasure request - it can no longer log in
+    erasedAt: { type: Date, default: null },
     // Admin can disable a collector's referral code (soft-disable)
     collectorDisabled: {
       type: Boolean,
@@ -40,7 +51,8 @@ const userSchema = new mongoose.Schema(
     collectorProfile: {
       fullName: String,
       address: String,
-      panNumber: String,
+      panNumber: String, // Encrypted on save
+      panNumberHash: { type: String, select: false },
       aadharFront: {
         fileKey: String,
         uploadedAt: Date,
@@ -66,4 +78,8 @@ userSchema.index({ role: 1 });
 userSchema.index({ referralCode: 1 }); // Fast lookup for donation attribution
 userSchema.index({ "collectorProfile.status": 1 }); // Fast lookup for pending applications
 
+userSchema.plugin(encryptedFieldsPlugin, {
+  fields: [{ path: "collectorProfile.panNumber", hashPath: "collectorProfile.panNumberHash" }],
+});
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Webhook Event Schema
+ * Ledger of every signature-verified Razorpay webhook.
+ *
+ * - eventId is Razorpay's x-razorpay-event-id header and is unique, so a
+ *   redelivered event is recognised and skipped once it has been processed.
+ * - FAILED events keep the error and can be retried, either by Razorpay's own
+ *   redelivery or by a System Admin replay (same handler, same payload).
+ *
+ * Status:
+ * - PROCESSING: claimed by a handler run
+ * - PROCESSED: handler finished
+ * - IGNORED: event type we do not act on
+ * - FAILED: handler threw - see lastError
+ *
+ * receiptError: the payment was recorded but the donation's receipt or email
+ * failed. The event still counts as PROCESSED (Razorpay gets a 2xx) and can be
+ * replayed to resend.
+ */
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: "razorpay" },
+    eventId: { type: String, required: true, unique: true },
+    event: { type: String, required: true }, // e.g. payment.captured
+    // Full parsed event body - replays run against exactly what Razorpay sent
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    status: {
+      type: String,
+      enum: ["PROCESSING", "PROCESSED", "IGNORED", "FAILED"],
+      default: "PROCESSING",
+    },
+    attempts: { type: Number, default: 1 },
+    lastError: { type: String, default: null },
+    receiptError: { type: String, default: null },
+    processedAt: { type: Date, default: null },
+
+    // Set when a System Admin replays the event
+    lastReplayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    lastReplayedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+// Indexes
+// Note: eventId already has unique index from field definition
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
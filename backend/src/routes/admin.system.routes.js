@@ -3,6 +3,15 @@ const router = express.Router();
 const auth = require("../middlewares/auth.middleware");
 const { authorize } = require("../middlewares/authorize");
 const adminController = require("../controllers/admin.controller");
+const auditLogController = require("../controllers/auditLog.controller");
+const webhookEventController = require("../controllers/webhookEvent.controller");
+const reconciliationController = require("../controllers/reconciliation.controller");
+const certificateController = require("../controllers/certificate.controller");
+const form10bdController = require("../controllers/form10bd.controller");
+const jobController = require("../controllers/job.controller");
+const privacyController = require("../controllers/privacy.controller");
+const donorController = require("../controllers/donor.controller");
+const validateObjectId = require("../middlewares/validateObjectId");
 
 router.get(
   "/donations",
@@ -26,11 +35,13 @@ router.post(
   adminController.createCashDonation
 );
 
-router.get(
-  "/donors",
+// Refund a donation (Razorpay for online, manual record for CASH/UPI/CHEQUE)
+router.post(
+  "/donations/:id/refund",
   auth,
   authorize("SYSTEM_ADMIN"),
-  adminController.getAllDonors
+  validateObjectId("id"),
+  adminController.refundDonation
 );
 
 router.get(
@@ -111,4 +122,256 @@ router.post(
   adminController.revokeCollectorStatus
 );
 
+// ==================== EVENT VOLUNTEERS ====================
+
+router.get(
+  "/volunteers",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  adminController.getVolunteers
+);
+
+// Grant gate check-in access - body: { identifier } (mobile or email)
+router.post(
+  "/volunteers",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  adminController.addVolunteer
+);
+
+router.delete(
+  "/volunteers/:userId",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("userId"),
+  adminController.removeVolunteer
+);
+
+// ==================== AUDIT LOG ====================
+
+// Distinct actions for the filter dropdown (must be above /audit-logs)
+router.get(
+  "/audit-logs/actions",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  auditLogController.getAuditActions
+);
+
+// Search audit trail (?format=csv to export)
+router.get(
+  "/audit-logs",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  auditLogController.getAuditLogs
+);
+
+// ==================== WEBHOOK LEDGER ====================
+
+router.get(
+  "/webhook-events",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  webhookEventController.getWebhookEvents
+);
+
+router.get(
+  "/webhook-events/:id",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  webhookEventController.getWebhookEventById
+);
+
+// Replay a failed event through the same handler as live deliveries
+router.post(
+  "/webhook-events/:id/replay",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  webhookEventController.replayWebhookEvent
+);
+
+// ==================== RECONCILIATION ====================
+
+router.get(
+  "/reconciliation/runs",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  reconciliationController.getRuns
+);
+
+// Compare Razorpay payments/settlements with donations for a date range
+router.post(
+  "/reconciliation/runs",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  reconciliationController.createRun
+);
+
+router.get(
+  "/reconciliation/discrepancies",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  reconciliationController.getDiscrepancies
+);
+
+// One-click fix: confirm a captured-but-PENDING donation and generate its receipt
+router.post(
+  "/reconciliation/discrepancies/:id/fix",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  reconciliationController.fixDiscrepancy
+);
+
+router.post(
+  "/reconciliation/discrepancies/:id/dismiss",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  reconciliationController.dismissDiscrepancy
+);
+
+// ==================== 80G CERTIFICATES ====================
+
+router.get(
+  "/certificates/80g",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  certificateController.getCertificates
+);
+
+// Issue certificates for every eligible PAN in a closed financial year
+router.post(
+  "/certificates/80g/batch",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  certificateController.issueCertificateBatch
+);
+
+// All certificates of a financial year as one PDF
+router.get(
+  "/certificates/80g/download",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  certificateController.downloadCertificateBatch
+);
+
+router.get(
+  "/certificates/80g/:id/download",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  certificateController.downloadCertificate
+);
+
+// ==================== TAX EXPORTS ====================
+
+// Form 10BD donee statement as the e-filing portal CSV (format=json to preview errors)
+router.get(
+  "/exports/10bd",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  form10bdController.exportForm10BD
+);
+
+// ==================== SCHEDULED JOBS ====================
+
+router.get(
+  "/jobs",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  jobController.getJobs
+);
+
+router.get(
+  "/jobs/runs",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  jobController.getJobRuns
+);
+
+// Run a maintenance job now (cleanup, event/announcement rollover)
+router.post(
+  "/jobs/:name/run",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  jobController.runJobNow
+);
+
+// Pause/resume a job's schedule - body: { enabled }
+router.patch(
+  "/jobs/:name",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  jobController.updateJob
+);
+
+// ==================== DONOR REGISTRY ====================
+
+// Query: search (name, mobile, email or PAN), page, limit
+router.get(
+  "/donors",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  donorController.getDonors
+);
+
+router.get(
+  "/donors/merge-suggestions",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  donorController.getMergeSuggestions
+);
+
+// Body: { donorId, otherId } - the two are different people
+router.post(
+  "/donors/merge-suggestions/dismiss",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  donorController.dismissMergeSuggestion
+);
+
+// Body: { targetId, sourceIds } - sources' donations move to the target
+router.post(
+  "/donors/merge",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  donorController.mergeDonors
+);
+
+router.get(
+  "/donors/:id",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  donorController.getDonor
+);
+
+// ==================== PRIVACY / ERASURE REQUESTS ====================
+
+router.get(
+  "/privacy/erasure-requests",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  privacyController.getErasureRequests
+);
+
+// Anonymise donor snapshots and clear the account (amount, receipt no. and PAN are kept)
+router.post(
+  "/privacy/erasure-requests/:id/complete",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  privacyController.completeErasureRequest
+);
+
+router.post(
+  "/privacy/erasure-requests/:id/reject",
+  auth,
+  authorize("SYSTEM_ADMIN"),
+  validateObjectId("id"),
+  privacyController.rejectErasureRequest
+);
+
 module.exports = router;
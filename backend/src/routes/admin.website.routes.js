@@ -20,11 +20,15 @@ const announcementController = require("../controllers/announcement.controller")
 const bannerController = require("../controllers/banner.controller");
 const activityController = require("../controllers/activity.controller");
 const eventController = require("../controllers/event.controller");
+const eventRegistrationController = require("../controllers/eventRegistration.controller");
+const sevaController = require("../controllers/seva.controller");
 const testimonialController = require("../controllers/testimonial.controller");
 const donationHeadController = require("../controllers/donationHead.controller");
 const galleryController = require("../controllers/gallery.controller");
 const productController = require("../controllers/product.controller");
+const orderController = require("../controllers/order.controller");
 const siteConfigController = require("../controllers/siteConfig.controller");
+const machineTranslationController = require("../controllers/machineTranslation.controller");
 
 // All routes require auth and WEBSITE_ADMIN or SYSTEM_ADMIN role
 const adminAuth = [auth, authorize("WEBSITE_ADMIN", "SYSTEM_ADMIN")];
@@ -179,6 +183,47 @@ router.post(
   eventController.uploadImage,
 );
 
+// Event registrations (attendee list, waitlist, CSV export)
+router.get(
+  "/events/:id/registrations",
+  adminAuthWithId,
+  eventRegistrationController.getEventRegistrations,
+);
+router.get(
+  "/events/:id/registrations/export",
+  adminAuthWithId,
+  eventRegistrationController.exportEventRegistrations,
+);
+router.post(
+  "/events/:id/registrations/:registrationId/cancel",
+  adminAuthWithId,
+  validateObjectId("registrationId"),
+  eventRegistrationController.cancelRegistration,
+);
+router.post(
+  "/events/:id/registrations/:registrationId/promote",
+  adminAuthWithId,
+  validateObjectId("registrationId"),
+  eventRegistrationController.promoteRegistration,
+);
+
+// ==================== SEVA (Volunteer shifts) ====================
+
+router.get("/seva/shifts", adminAuth, sevaController.getShifts);
+router.post("/seva/shifts", adminAuth, sevaController.createShift);
+router.put("/seva/shifts/:id", adminAuthWithId, sevaController.updateShift);
+router.post("/seva/shifts/:id/cancel", adminAuthWithId, sevaController.cancelShift);
+router.get("/seva/shifts/:id/roster", adminAuthWithId, sevaController.getRoster);
+router.patch(
+  "/seva/shifts/:id/roster/:signupId",
+  adminAuthWithId,
+  validateObjectId("signupId"),
+  sevaController.markAttendance,
+);
+router.get("/seva/interests", adminAuth, sevaController.getInterests);
+// Hours served per volunteer (?format=csv to download)
+router.get("/seva/hours", adminAuth, sevaController.getHours);
+
 // ==================== TESTIMONIALS ====================
 
 router.get(
@@ -421,6 +466,41 @@ router.delete(
   productController.deleteCategory,
 );
 
+// ==================== ORDERS (Shop) ====================
+
+router.get("/orders", adminAuth, orderController.getAllOrders);
+router.get("/orders/:id", adminAuthWithId, orderController.getOrderById);
+router.patch(
+  "/orders/:id/status",
+  adminAuthWithId,
+  orderController.updateOrderStatus,
+);
+
+// ==================== TRANSLATIONS ====================
+
+// Content with missing or machine-translated (unreviewed) values
+router.get(
+  "/translations/report",
+  adminAuth,
+  machineTranslationController.getTranslationReport,
+);
+// :model is a content model name, e.g. Event, DonationHead
+router.post(
+  "/translations/:model/draft",
+  adminAuth,
+  machineTranslationController.draftModelTranslations,
+);
+router.post(
+  "/translations/:model/:id/draft",
+  adminAuthWithId,
+  machineTranslationController.draftItemTranslations,
+);
+router.post(
+  "/translations/:model/:id/review",
+  adminAuthWithId,
+  machineTranslationController.markItemReviewed,
+);
+
 // ==================== SITE CONFIG ====================
 
 // GET /api/admin/website/site-config - Get site config
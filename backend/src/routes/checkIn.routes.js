@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middlewares/auth.middleware");
+const { authorize } = require("../middlewares/authorize");
+const checkInController = require("../controllers/checkIn.controller");
+const validateObjectId = require("../middlewares/validateObjectId");
+
+/**
+ * CHECK-IN ROUTES
+ * Gate check-in of event registrations
+ * Event volunteers, plus admins who can stand in at the gate
+ */
+
+const gateAuth = [auth, authorize("EVENT_VOLUNTEER", "WEBSITE_ADMIN", "SYSTEM_ADMIN")];
+
+// GET /api/check-in/events
+router.get("/events", gateAuth, checkInController.getEvents);
+
+// GET /api/check-in/events/:id/attendance
+router.get(
+  "/events/:id/attendance",
+  gateAuth,
+  validateObjectId("id"),
+  checkInController.getAttendance
+);
+
+// POST /api/check-in/events/:id - body: { code }
+router.post(
+  "/events/:id",
+  gateAuth,
+  validateObjectId("id"),
+  checkInController.checkIn
+);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const {
   handleKycUploadError,
 } = require("../middlewares/kyc.middleware");
 const collectorController = require("../controllers/collector.controller");
+const campaignController = require("../controllers/campaign.controller");
+const validateObjectId = require("../middlewares/validateObjectId");
 
 /**
  * COLLECTOR ROUTES
@@ -51,4 +53,29 @@ router.get(
   collectorController.getDashboard
 );
 
+// Fundraising campaigns of the current collector
+// GET /api/collector/campaigns
+router.get(
+  "/campaigns",
+  auth,
+  campaignController.getMyCampaigns
+);
+
+// Create a campaign
+// POST /api/collector/campaigns
+router.post(
+  "/campaigns",
+  auth,
+  campaignController.createCampaign
+);
+
+// Update or close a campaign
+// PATCH /api/collector/campaigns/:id
+router.patch(
+  "/campaigns/:id",
+  auth,
+  validateObjectId("id"),
+  campaignController.updateCampaign
+);
+
 module.exports = router;
@@ -11,6 +11,11 @@ const {
   getLeaderboard,
   getMyCollectorStats,
   getLastDonorProfile,
+  createRecurringDonation,
+  getMyRecurringDonations,
+  pauseRecurringDonation,
+  resumeRecurringDonation,
+  cancelRecurringDonation,
 } = require("../controllers/donation.controller");
 
 // Donation creation - uses optional auth (works for both guests and logged-in users)
@@ -29,6 +34,33 @@ router.post(
   createDonationOrder,
 );
 
+// Monthly (recurring) donations - login required so the donor can manage the mandate
+router.post(
+  "/recurring",
+  donationCreateLimiter,
+  authMiddleware,
+  createRecurringDonation,
+);
+router.get("/recurring/my", authMiddleware, getMyRecurringDonations);
+router.post(
+  "/recurring/:id/pause",
+  authMiddleware,
+  validateObjectId("id"),
+  pauseRecurringDonation,
+);
+router.post(
+  "/recurring/:id/resume",
+  authMiddleware,
+  validateObjectId("id"),
+  resumeRecurringDonation,
+);
+router.post(
+  "/recurring/:id/cancel",
+  authMiddleware,
+  validateObjectId("id"),
+  cancelRecurringDonation,
+);
+
 // Collector/Leaderboard endpoints
 router.get("/leaderboard", getLeaderboard); // Public - top collectors
 router.get("/my-collector-stats", authMiddleware, getMyCollectorStats); // Requires auth
@@ -36,8 +68,18 @@ router.get("/my-collector-stats", authMiddleware, getMyCollectorStats); // Requi
 // Donor profile auto-fill (must be above /:id routes to avoid path collision)
 router.get("/me/last-profile", authMiddleware, getLastDonorProfile);
 
-// Public endpoints - no auth required (donationId acts as access token)
-router.get("/:id/status", validateObjectId("id"), getDonationStatus);
-router.get("/:id/receipt", validateObjectId("id"), downloadReceipt);
+// Signed ?token= link, or logged-in owner / System Admin
+router.get(
+  "/:id/status",
+  optionalAuthMiddleware,
+  validateObjectId("id"),
+  getDonationStatus,
+);
+router.get(
+  "/:id/receipt",
+  optionalAuthMiddleware,
+  validateObjectId("id"),
+  downloadReceipt,
+);
 
 module.exports = router;
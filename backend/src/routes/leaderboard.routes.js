@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
-const { getTopCollectors } = require("../services/collector.service");
+const {
+  getTopCollectors,
+  resolveLeaderboardWindow,
+} = require("../services/collector.service");
 
 /**
  * LEADERBOARD ROUTES
@@ -11,12 +14,19 @@ const { getTopCollectors } = require("../services/collector.service");
  * Get top collectors leaderboard
  * GET /api/leaderboard/top
  * 
- * Returns top 5 collectors by total donation amount
+ * Returns top collectors by donation amount in a time window
  * Only includes SUCCESS donations with hasCollectorAttribution = true
+ *
+ * Query:
+ * - period: "all" (default) | "month" | "quarter" | "fy" | "custom"
+ * - from, to: YYYY-MM-DD, required for "custom" (to is inclusive)
+ * - donationHeadId: optional, rank by one cause only
+ * - limit: default 5, max 20
  * 
  * Response:
  * {
  *   success: true,
+ *   period: { period, start, end, donationHeadId },
  *   data: [
  *     {
  *       rank: 1,
@@ -31,10 +41,18 @@ const { getTopCollectors } = require("../services/collector.service");
  */
 router.get("/top", async (req, res) => {
   try {
-    const topCollectors = await getTopCollectors(5);
+    const { window, error } = await resolveLeaderboardWindow(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, data: [] });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    const topCollectors = await getTopCollectors(limit, window);
+    const { match, ...period } = window;
 
     res.status(200).json({
       success: true,
+      period,
       data: topCollectors,
     });
   } catch (error) {
@@ -0,0 +1,21 @@
+const router = require("express").Router();
+const authMiddleware = require("../middlewares/auth.middleware");
+const optionalAuthMiddleware = require("../middlewares/optionalAuth.middleware");
+const { orderCreateLimiter } = require("../middlewares/rateLimit");
+const {
+  checkout,
+  getOrderStatus,
+  getMyOrders,
+} = require("../controllers/order.controller");
+
+// Checkout - uses optional auth (works for both guests and logged-in users)
+// Creates the Order and its Razorpay order in one call
+router.post("/checkout", orderCreateLimiter, optionalAuthMiddleware, checkout);
+
+// Logged-in user's order history (must be above /:orderNumber routes)
+router.get("/my", authMiddleware, getMyOrders);
+
+// Public - polled after Razorpay checkout (orderNumber acts as access token)
+router.get("/:orderNumber/status", getOrderStatus);
+
+module.exports = router;
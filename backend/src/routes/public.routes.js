@@ -12,6 +12,7 @@ const {
   getRecentDonations,
   getTopDonors,
   validateReferralCode,
+  verifyReceipt,
 } = require("../controllers/public.controller");
 
 const announcementController = require("../controllers/announcement.controller");
@@ -22,6 +23,9 @@ const testimonialController = require("../controllers/testimonial.controller");
 const donationHeadController = require("../controllers/donationHead.controller");
 const galleryController = require("../controllers/gallery.controller");
 const productController = require("../controllers/product.controller");
+const orderController = require("../controllers/order.controller");
+const eventRegistrationController = require("../controllers/eventRegistration.controller");
+const campaignController = require("../controllers/campaign.controller");
 
 // Optional auth middleware for authenticated public submissions
 const optionalAuth = require("../middlewares/optionalAuth.middleware");
@@ -32,6 +36,8 @@ const { publicApiLimiter } = require("../middlewares/rateLimit");
 // Language middleware for multilingual content
 const langMiddleware = require("../middlewares/lang.middleware");
 
+const validateObjectId = require("../middlewares/validateObjectId");
+
 // ==================== DONATION DATA ====================
 
 // GET /api/public/donations/recent - Last 10 successful donations
@@ -40,12 +46,23 @@ router.get("/donations/recent", getRecentDonations);
 // GET /api/public/donations/top - Top 5 donors by total amount
 router.get("/donations/top", getTopDonors);
 
+// ==================== RECEIPT VERIFICATION ====================
+
+// GET /api/public/receipts/verify/:code - Confirm a receipt from the code / QR printed on it
+router.get("/receipts/verify/:code", publicApiLimiter, verifyReceipt);
+
 // ==================== REFERRAL ====================
 
 // GET /api/public/referral/:code - Validate referral code and get collector name
 // FIX 2: Rate limited to prevent brute-force guessing (30/min per IP)
 router.get("/referral/:code", publicApiLimiter, validateReferralCode);
 
+// ==================== CAMPAIGNS ====================
+
+// GET /api/public/campaigns/:slug - Collector campaign page with progress and supporters
+// Rate limited - the page runs a donation aggregate per request
+router.get("/campaigns/:slug", publicApiLimiter, campaignController.getCampaignBySlug);
+
 // ==================== SITE CONFIG ====================
 
 // GET /api/public/site-config/live-link - Get active live link
@@ -80,6 +97,9 @@ router.get("/activities/:id", langMiddleware, activityController.getActivityById
 // GET /api/public/events - Get published events
 router.get("/events", langMiddleware, eventController.getPublishedEvents);
 
+// GET /api/public/events.ics - Subscribable iCalendar feed (?lang=)
+router.get("/events.ics", langMiddleware, eventController.getEventsFeed);
+
 // GET /api/public/events/upcoming - Get upcoming events
 router.get("/events/upcoming", langMiddleware, eventController.getUpcomingEvents);
 
@@ -89,6 +109,38 @@ router.get("/events/featured", langMiddleware, eventController.getFeaturedEvents
 // GET /api/public/events/:id - Get single event
 router.get("/events/:id", langMiddleware, eventController.getEventByIdPublic);
 
+// GET /api/public/events/:id/calendar.ics - "Add to calendar" download (?lang=)
+router.get(
+  "/events/:id/calendar.ics",
+  validateObjectId("id"),
+  langMiddleware,
+  eventController.getEventCalendarFile
+);
+
+// POST /api/public/events/:id/register - Register for an event (optional auth)
+router.post(
+  "/events/:id/register",
+  publicApiLimiter,
+  validateObjectId("id"),
+  optionalAuth,
+  langMiddleware,
+  eventRegistrationController.register,
+);
+
+// GET /api/public/event-registrations/:registrationNumber - Registration status (no attendee details)
+router.get(
+  "/event-registrations/:registrationNumber",
+  publicApiLimiter,
+  eventRegistrationController.getRegistrationStatus,
+);
+
+// POST /api/public/event-registrations/:registrationNumber/pay - Razorpay order for a pending registration
+router.post(
+  "/event-registrations/:registrationNumber/pay",
+  publicApiLimiter,
+  eventRegistrationController.startPayment,
+);
+
 // ==================== TESTIMONIALS ====================
 
 // GET /api/public/testimonials - Get approved testimonials
@@ -151,4 +203,9 @@ router.get("/products/categories", productController.getVisibleCategories);
 // GET /api/public/products/:slug - Get product by slug
 router.get("/products/:slug", productController.getProductBySlug);
 
+// ==================== ORDERS (Shop) ====================
+
+// GET /api/public/orders/:orderId/track?contact= - Track order (buyer mobile or email required)
+router.get("/orders/:orderId/track", publicApiLimiter, orderController.trackOrder);
+
 module.exports = router;
@@ -3,14 +3,61 @@ const router = express.Router();
 const authMiddleware = require("../middlewares/auth.middleware");
 const donationController = require("../controllers/donation.controller");
 const userController = require("../controllers/user.controller");
+const certificateController = require("../controllers/certificate.controller");
+const privacyController = require("../controllers/privacy.controller");
+const sevaController = require("../controllers/seva.controller");
+const validateObjectId = require("../middlewares/validateObjectId");
 
 // User donations - requires auth, any authenticated user can view their own
 router.get("/donations", authMiddleware, donationController.getUserDonations);
 
+// Annual 80G certificates (one per PAN per financial year)
+router.get("/certificates", authMiddleware, certificateController.getMyCertificates);
+router.get(
+  "/certificates/:financialYear/download",
+  authMiddleware,
+  certificateController.downloadMyCertificate
+);
+
 // User profile routes
 router.get("/profile", authMiddleware, userController.getProfile);
 router.put("/profile", authMiddleware, userController.updateProfile);
 
+// Privacy: "Download my data" (?format=json|pdf) and erasure requests
+router.get("/privacy/export", authMiddleware, privacyController.exportMyData);
+router.get("/privacy/erasure", authMiddleware, privacyController.getMyErasureRequests);
+router.post("/privacy/erasure", authMiddleware, privacyController.requestErasure);
+router.post(
+  "/privacy/erasure/:id/cancel",
+  authMiddleware,
+  validateObjectId("id"),
+  privacyController.cancelErasureRequest
+);
+
+// Seva volunteering: interests in activity sevas / events, and shift signups
+router.get("/seva/interests", authMiddleware, sevaController.getMyInterests);
+router.post("/seva/interests", authMiddleware, sevaController.addInterest);
+router.delete(
+  "/seva/interests/:id",
+  authMiddleware,
+  validateObjectId("id"),
+  sevaController.removeInterest
+);
+router.get("/seva/shifts", authMiddleware, sevaController.getOpenShifts);
+router.get("/seva/my-shifts", authMiddleware, sevaController.getMyShifts);
+router.post(
+  "/seva/shifts/:id/claim",
+  authMiddleware,
+  validateObjectId("id"),
+  sevaController.claimShift
+);
+router.post(
+  "/seva/shifts/:id/cancel",
+  authMiddleware,
+  validateObjectId("id"),
+  sevaController.cancelClaim
+);
+
 // BUG FIX: On-demand referral code generation for users missing one
 router.post("/generate-referral-code", authMiddleware, userController.generateReferralCode);
 
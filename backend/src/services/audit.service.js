@@ -1,7 +1,11 @@
+const AuditLog = require("../models/AuditLog");
+
 /**
  * Audit Service
  * Structured logging for security-sensitive operations
- * Production-ready: Can be connected to external logging service (ELK, CloudWatch, etc.)
+ * Events are written to the AuditLog collection (searchable by System Admin)
+ * and echoed to stdout as an [AUDIT] JSON line for external log shipping.
+ * Helpers for staff actions take the acting user as req.user ({ id, role }).
  */
 
 const LOG_LEVELS = {
@@ -12,11 +16,9 @@ const LOG_LEVELS = {
 };
 
 /**
- * Log an audit event (security-sensitive action)
- * @param {string} action - The action being performed
- * @param {Object} details - Action-specific details
+ * Echo an audit event to stdout as an [AUDIT] JSON line
  */
-const logAudit = (action, details = {}) => {
+const printAudit = (action, details) => {
   const logEntry = {
     timestamp: new Date().toISOString(),
     level: LOG_LEVELS.AUDIT,
@@ -24,18 +26,65 @@ const logAudit = (action, details = {}) => {
     ...details,
   };
 
-  // In production, replace with structured logging to external service
   console.log(`[AUDIT] ${JSON.stringify(logEntry)}`);
 };
 
+/**
+ * Actor fields for an action taken by a signed-in user
+ * @param {Object} actor - req.user ({ id, role })
+ */
+const actorFields = (actor) => ({
+  actorId: actor?.id || null,
+  actorRole: actor?.role || null,
+});
+
+/**
+ * Log an audit event (security-sensitive action)
+ * Fire-and-forget: callers never await this, and a failed write is logged
+ * but never breaks the request that triggered it.
+ *
+ * Reserved detail keys are stored as structured fields:
+ * - actorId, actorRole: who performed the action
+ * - ip: request IP
+ * - target: { type, id, label } - entity acted on
+ * - message, severity
+ * Any other keys are kept in AuditLog.details.
+ *
+ * @param {string} action - The action being performed
+ * @param {Object} details - Action-specific details
+ */
+const logAudit = (action, details = {}) => {
+  printAudit(action, details);
+
+  const { actorId, actorRole, ip, target, message, severity, ...rest } = details;
+
+  AuditLog.create({
+    action,
+    actor: { id: actorId || null, role: actorRole || null },
+    ip: ip || null,
+    target: target
+      ? {
+          type: target.type || null,
+          id: target.id ? String(target.id) : null,
+          label: target.label || null,
+        }
+      : undefined,
+    message: message || null,
+    severity: severity || "INFO",
+    details: rest,
+  }).catch((err) => {
+    console.error("[AUDIT] Failed to persist audit log:", err.message);
+  });
+};
+
 /**
  * Log collector application event
  */
 const logCollectorApplication = (userId, fullName, ip) => {
   logAudit("COLLECTOR_APPLICATION", {
-    userId,
-    fullName,
+    actorId: userId,
     ip,
+    target: { type: "User", id: userId, label: fullName },
     message: "User submitted collector application",
   });
 };
@@ -43,11 +92,11 @@ const logCollectorApplication = (userId, fullName, ip) => {
 /**
  * Log collector approval event
  */
-const logCollectorApproval = (collectorId, collectorName, approvedBy) => {
+const logCollectorApproval = (collectorId, collectorName, approvedBy, ip) => {
   logAudit("COLLECTOR_APPROVED", {
-    collectorId,
-    collectorName,
-    approvedBy,
+    ...actorFields(approvedBy),
+    ip,
+    target: { type: "User", id: collectorId, label: collectorName },
     message: "Collector application approved",
   });
 };
@@ -55,24 +104,80 @@ const logCollectorApproval = (collectorId, collectorName, approvedBy) => {
 /**
  * Log collector rejection event
  */
-const logCollectorRejection = (collectorId, collectorName, rejectedBy, reason) => {
+const logCollectorRejection = (collectorId, collectorName, rejectedBy, reason, ip) => {
   logAudit("COLLECTOR_REJECTED", {
-    collectorId,
-    collectorName,
-    rejectedBy,
+    ...actorFields(rejectedBy),
+    ip,
+    target: { type: "User", id: collectorId, label: collectorName },
     reason,
     message: "Collector application rejected",
   });
 };
 
+/**
+ * Log collector revocation event
+ */
+const logCollectorRevocation = (collectorId, collectorName, revokedBy, reason, ip) => {
+  logAudit("COLLECTOR_REVOKED", {
+    ...actorFields(revokedBy),
+    ip,
+    target: { type: "User", id: collectorId, label: collectorName },
+    reason,
+    message: "Collector status revoked",
+    severity: "WARN",
+  });
+};
+
+/**
+ * Log collector enable/disable toggle
+ */
+const logCollectorToggle = (collectorId, collectorName, disabled, toggledBy, reason, ip) => {
+  logAudit(disabled ? "COLLECTOR_DISABLED" : "COLLECTOR_ENABLED", {
+    ...actorFields(toggledBy),
+    ip,
+    target: { type: "User", id: collectorId, label: collectorName },
+    reason: reason || null,
+    message: `Collector ${disabled ? "disabled" : "enabled"}`,
+  });
+};
+
+/**
+ * Log KYC document view (Aadhar images are sensitive personal data)
+ */
+const logKycDocumentView = (userId, userName, documentType, viewedBy, ip) => {
+  logAudit("KYC_DOCUMENT_VIEWED", {
+    ...actorFields(viewedBy),
+    ip,
+    target: { type: "User", id: userId, label: userName },
+    documentType,
+    message: `Viewed Aadhar ${documentType} document`,
+  });
+};
+
+/**
+ * Log offline (cash/UPI/cheque) donation entry by an admin
+ */
+const logOfflineDonation = (donation, addedBy, ip) => {
+  logAudit("OFFLINE_DONATION_RECORDED", {
+    ...actorFields(addedBy),
+    ip,
+    target: { type: "Donation", id: donation._id, label: donation.receiptNumber },
+    amount: donation.amount,
+    paymentMethod: donation.paymentMethod,
+    message: `${donation.paymentMethod} donation recorded`,
+  });
+};
+
 /**
  * Log referral code validation (for abuse detection)
+ * Console only - anonymous checks are too frequent for the AuditLog collection.
  */
 const logReferralValidation = (code, valid, ip) => {
-  logAudit("REFERRAL_VALIDATION", {
+  printAudit("REFERRAL_VALIDATION", {
     code: code ? code.substring(0, 4) + "***" : "N/A", // Partial code for privacy
     valid,
     ip,
+    severity: valid ? "INFO" : "WARN",
   });
 };
 
@@ -81,7 +186,7 @@ const logReferralValidation = (code, valid, ip) => {
  */
 const logDonationAttribution = (donationId, collectorId, collectorName, amount) => {
   logAudit("DONATION_ATTRIBUTED", {
-    donationId,
+    target: { type: "Donation", id: donationId },
     collectorId,
     collectorName,
     amount,
@@ -89,6 +194,173 @@ const logDonationAttribution = (donationId, collectorId, collectorName, amount)
   });
 };
 
+/**
+ * Log System Admin replay of a webhook event
+ */
+const logWebhookReplay = (webhookEvent, succeeded, replayedBy, ip) => {
+  logAudit("WEBHOOK_REPLAYED", {
+    ...actorFields(replayedBy),
+    ip,
+    target: { type: "WebhookEvent", id: webhookEvent._id, label: webhookEvent.event },
+    eventId: webhookEvent.eventId,
+    succeeded,
+    message: succeeded ? "Webhook event replayed" : "Webhook event replay failed",
+    severity: succeeded ? "INFO" : "WARN",
+  });
+};
+
+/**
+ * Log donation refund initiated by an admin
+ */
+const logDonationRefund = (donation, refund, refundedBy, ip) => {
+  logAudit("DONATION_REFUNDED", {
+    ...actorFields(refundedBy),
+    ip,
+    target: { type: "Donation", id: donation._id, label: donation.receiptNumber },
+    amount: refund.amount,
+    method: refund.method,
+    razorpayRefundId: refund.razorpayRefundId,
+    reason: refund.reason,
+    message: `Rs ${refund.amount} ${refund.method === "MANUAL" ? "manual" : "Razorpay"} refund of Rs ${donation.amount} donation`,
+    severity: "WARN",
+  });
+};
+
+/**
+ * Log a manually started reconciliation run
+ */
+const logReconciliationRun = (run, startedBy, ip) => {
+  logAudit("RECONCILIATION_RUN", {
+    ...actorFields(startedBy),
+    ip,
+    target: { type: "ReconciliationRun", id: run._id },
+    from: run.from,
+    to: run.to,
+    status: run.status,
+    discrepanciesFound: run.summary?.discrepanciesFound || 0,
+    message: `Reconciliation ${run.status.toLowerCase()} for ${run.from.toISOString().split("T")[0]} to ${run.to.toISOString().split("T")[0]}`,
+  });
+};
+
+/**
+ * Log a payment discrepancy fixed or dismissed by an admin
+ */
+const logDiscrepancyResolved = (discrepancy, resolvedBy, ip) => {
+  logAudit(
+    discrepancy.status === "FIXED" ? "PAYMENT_DISCREPANCY_FIXED" : "PAYMENT_DISCREPANCY_DISMISSED",
+    {
+      ...actorFields(resolvedBy),
+      ip,
+      target: discrepancy.donation
+        ? { type: "Donation", id: discrepancy.donation, label: discrepancy.razorpayPaymentId }
+        : { type: "Payment", id: discrepancy.razorpayPaymentId },
+      discrepancyType: discrepancy.type,
+      note: discrepancy.resolutionNote,
+      message: `${discrepancy.type} ${discrepancy.status.toLowerCase()}`,
+      severity: "WARN",
+    },
+  );
+};
+
+/**
+ * Log an 80G certificate batch issued by an admin
+ */
+const logCertificateBatch = (financialYear, result, issuedBy, ip) => {
+  logAudit("CERTIFICATES_80G_ISSUED", {
+    ...actorFields(issuedBy),
+    ip,
+    target: { type: "AnnualCertificate", label: financialYear },
+    issued: result.issued,
+    failed: result.failed.length,
+    message: `${result.issued} annual 80G certificates issued for ${financialYear}`,
+  });
+};
+
+/**
+ * Log a Form 10BD statement export
+ */
+const logForm10BDExport = (financialYear, summary, exportedBy, ip) => {
+  logAudit("FORM_10BD_EXPORTED", {
+    ...actorFields(exportedBy),
+    ip,
+    target: { type: "Donation", label: `Form 10BD ${financialYear}` },
+    rowCount: summary.rowCount,
+    totalAmount: summary.totalAmount,
+    donationsExcluded: summary.donationsExcluded,
+    message: `Form 10BD for ${financialYear} exported (${summary.rowCount} rows, ${summary.donationsExcluded} donations with errors)`,
+  });
+};
+
+/**
+ * Log a scheduled job run or setting change made by an admin
+ */
+const logScheduledJobAction = (action, jobName, details, actor, ip) => {
+  logAudit(action, {
+    ...actorFields(actor),
+    ip,
+    target: { type: "ScheduledJob", label: jobName },
+    ...details,
+  });
+};
+
+/**
+ * Log a donor's "Download my data" export
+ */
+const logDataExport = (userId, format, ip) => {
+  logAudit("PERSONAL_DATA_EXPORTED", {
+    actorId: userId,
+    ip,
+    target: { type: "User", id: userId },
+    format,
+    message: `Personal data exported as ${format.toUpperCase()}`,
+  });
+};
+
+/**
+ * Log an erasure request completed or rejected by an admin
+ */
+const logErasureRequestResolved = (request, resolvedBy, ip) => {
+  const completed = request.status === "COMPLETED";
+  logAudit(completed ? "PERSONAL_DATA_ERASED" : "ERASURE_REQUEST_REJECTED", {
+    ...actorFields(resolvedBy),
+    ip,
+    target: { type: "User", id: request.user },
+    erasureRequestId: request._id,
+    summary: completed ? request.summary : undefined,
+    note: request.resolutionNote,
+    message: completed
+      ? `Personal data erased (${request.summary.donations} donations anonymised)`
+      : "Erasure request rejected",
+    severity: "WARN",
+  });
+};
+
+/**
+ * Log donor registry records merged by an admin
+ */
+const logDonorMerge = (result, mergedBy, ip) => {
+  logAudit("DONORS_MERGED", {
+    ...actorFields(mergedBy),
+    ip,
+    target: { type: "Donor", id: result.donor._id, label: result.donor.name },
+    merged: result.merged.map((donor) => ({ id: String(donor._id), name: donor.name })),
+    donationsMoved: result.donationsMoved,
+    message: `${result.merged.length} donor record(s) merged (${result.donationsMoved} donations moved)`,
+  });
+};
+
+/**
+ * Log EVENT_VOLUNTEER role granted or removed
+ */
+const logVolunteerRoleChange = (userId, userName, granted, changedBy, ip) => {
+  logAudit(granted ? "VOLUNTEER_ROLE_GRANTED" : "VOLUNTEER_ROLE_REMOVED", {
+    ...actorFields(changedBy),
+    ip,
+    target: { type: "User", id: userId, label: userName },
+    message: `Event volunteer role ${granted ? "granted" : "removed"}`,
+  });
+};
+
 /**
  * Log suspicious activity
  */
@@ -105,6 +377,21 @@ module.exports = {
   logCollectorApplication,
   logCollectorApproval,
   logCollectorRejection,
+  logCollectorRevocation,
+  logCollectorToggle,
+  logKycDocumentView,
+  logOfflineDonation,
+  logWebhookReplay,
+  logDonationRefund,
+  logReconciliationRun,
+  logDiscrepancyResolved,
+  logCertificateBatch,
+  logForm10BDExport,
+  logScheduledJobAction,
+  logDataExport,
+  logErasureRequestResolved,
+  logDonorMerge,
+  logVolunteerRoleChange,
   logReferralValidation,
   logDonationAttribution,
   logSuspiciousActivity,
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const Donation = require("../models/Donation");
+const User = require("../models/User");
+
+/**
+ * Campaign Service
+ * Collector fundraising campaigns: slugs, live progress, supporters and
+ * resolving a campaign at donation time.
+ */
+
+// Supporters shown on the public campaign page
+const SUPPORTER_LIMIT = 20;
+
+/**
+ * Generate a unique URL slug from the title
+ * Format: "annadan-this-navratri-k3f9" - titles in other scripts give just the suffix part
+ */
+const generateCampaignSlug = async (title) => {
+  const base = String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+    .replace(/-+$/, "");
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const suffix = crypto.randomBytes(3).toString("hex");
+    const slug = base ? `${base}-${suffix}` : `campaign-${suffix}`;
+    const exists = await Campaign.exists({ slug });
+    if (!exists) return slug;
+  }
+
+  return `campaign-${Date.now().toString(36)}`;
+};
+
+/**
+ * Raised amount and supporter count per campaign, from counted donations
+ * @param {Array} campaignIds
+ * @returns {Promise<Map>} campaignId string -> { raisedAmount, donorCount }
+ */
+const getCampaignTotals = async (campaignIds) => {
+  const totals = await Donation.aggregate([
+    {
+      $match: {
+        campaignId: { $in: campaignIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+        status: { $in: Donation.COUNTED_STATUSES },
+      },
+    },
+    {
+      $group: {
+        _id: "$campaignId",
+        raisedAmount: { $sum: Donation.NET_AMOUNT_EXPR },
+        donorCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(
+    totals.map((t) => [
+      String(t._id),
+      { raisedAmount: t.raisedAmount, donorCount: t.donorCount },
+    ]),
+  );
+};
+
+/**
+ * Progress-bar data for a campaign
+ * @param {Object} campaign - Campaign (lean or document)
+ * @param {Object} [totals] - { raisedAmount, donorCount } from getCampaignTotals
+ */
+const getCampaignProgress = (campaign, totals) => {
+  const raisedAmount = totals?.raisedAmount || 0;
+  return {
+    goalAmount: campaign.goalAmount,
+    raisedAmount,
+    donorCount: totals?.donorCount || 0,
+    percentage: Math.min(100, Math.round((raisedAmount / campaign.goalAmount) * 100)),
+  };
+};
+
+/**
+ * Latest supporters of a campaign (anonymous donors stay anonymous)
+ * @returns {Promise<Array>} [{ name, amount, date }]
+ */
+const getCampaignSupporters = async (campaignId, limit = SUPPORTER_LIMIT) => {
+  const donations = await Donation.find({
+    campaignId,
+    status: { $in: Donation.COUNTED_STATUSES },
+  })
+    .select("donor.name donor.anonymousDisplay amount refundedAmount createdAt")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  return donations.map((d) => ({
+    name: d.donor?.anonymousDisplay ? "Anonymous" : d.donor?.name || "Anonymous",
+    amount: d.amount - (d.refundedAmount || 0),
+    date: d.createdAt,
+  }));
+};
+
+/**
+ * Resolve an optional campaign ID at donation time
+ * The campaign must be open, belong to an active collector, and be for the
+ * cause being donated to. Its collector gets the attribution.
+ *
+ * @param {string} campaignId
+ * @param {string} donationHeadId - Head the donation is for
+ * @returns {Promise<Object>} { valid, campaign, collector: { collectorId, collectorName }, message? }
+ */
+const resolveCampaign = async (campaignId, donationHeadId) => {
+  if (!campaignId) {
+    return { valid: true, campaign: null, collector: null };
+  }
+
+  const INVALID = { valid: false, message: "This campaign is not accepting donations" };
+
+  if (!mongoose.Types.ObjectId.isValid(campaignId)) return INVALID;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign || !campaign.isOpen()) return INVALID;
+
+  if (String(campaign.donationHead) !== String(donationHeadId)) {
+    return { valid: false, message: "This campaign is for a different cause" };
+  }
+
+  const collector = await User.findById(campaign.collector)
+    .select("fullName collectorProfile.fullName collectorDisabled")
+    .lean();
+  const collectorName = collector?.fullName || collector?.collectorProfile?.fullName;
+  if (!collector || collector.collectorDisabled || !collectorName) return INVALID;
+
+  return {
+    valid: true,
+    campaign,
+    collector: { collectorId: collector._id, collectorName },
+  };
+};
+
+module.exports = {
+  SUPPORTER_LIMIT,
+  generateCampaignSlug,
+  getCampaignTotals,
+  getCampaignProgress,
+  getCampaignSupporters,
+  resolveCampaign,
+};
@@ -0,0 +1,302 @@
+const PDFDocument = require("pdfkit");
+const Donation = require("../models/Donation");
+const DonationHead = require("../models/DonationHead");
+const AnnualCertificate = require("../models/AnnualCertificate");
+const { renderAnnualCertificate } = require("./receipt.service");
+const { panBlindIndex } = require("../utils/fieldEncryption");
+const {
+  getFinancialYear,
+  parseFinancialYear,
+} = require("../utils/financialYear");
+
+/**
+ * Certificate Service
+ * Consolidated annual 80G certificates (Form 10BE style), one per donor PAN
+ * per financial year.
+ *
+ * Only donations to donation heads with is80GEligible are included, at the
+ * amount kept after refunds. Issuing is idempotent: re-issuing refreshes the
+ * donation list and totals but keeps the certificate number.
+ */
+
+// Cash above this amount (Rs) is not deductible u/s 80G
+const CASH_DEDUCTION_LIMIT = 2000;
+
+/**
+ * Donation filter for counted donations with a PAN to 80G-eligible heads
+ * Donation records identify their head by id (newer ones) or by the head's
+ * English name, stored as a plain string.
+ *
+ * @returns {Promise<Object>} Mongo filter
+ */
+const buildEligibleMatch = async () => {
+  const heads = await DonationHead.find({ is80GEligible: true })
+    .select("_id name")
+    .lean();
+  // Heads not yet migrated to multilingual names still hold a plain string
+  const headNames = heads
+    .map((h) => (typeof h.name === "string" ? h.name : h.name?.en))
+    .filter(Boolean);
+
+  return {
+    status: { $in: Donation.COUNTED_STATUSES },
+    "donor.idType": "PAN",
+    $or: [
+      { "donationHead.name": { $in: headNames } },
+      { "donationHead.id": { $in: heads.map((h) => String(h._id)) } },
+    ],
+  };
+};
+
+/**
+ * Eligible donation filter limited to a financial year
+ * @param {Object} fy - Parsed financial year { start, end }
+ */
+const buildEligibleFilter = async (fy) => ({
+  ...(await buildEligibleMatch()),
+  createdAt: { $gte: fy.start, $lt: fy.end },
+});
+
+/**
+ * Donor address as one line - structured addressObj first, legacy text otherwise
+ */
+const formatAddress = (donor) => {
+  const addr = donor?.addressObj;
+  if (addr && (addr.line || addr.city)) {
+    return [addr.line, addr.city, addr.state, addr.country, addr.pincode]
+      .filter(Boolean)
+      .join(", ");
+  }
+  return donor?.address || "";
+};
+
+/**
+ * Next certificate number for a financial year, e.g. 80G/2025-26/000042
+ */
+const nextCertificateNumber = async (financialYear) => {
+  const count = await AnnualCertificate.countDocuments({ financialYear });
+  return `80G/${financialYear}/${String(count + 1).padStart(6, "0")}`;
+};
+
+/**
+ * Eligible donations for one PAN (blind index) in a financial year, oldest first
+ * @param {Object} filter - From buildEligibleFilter
+ * @param {string} panHash
+ * @param {Object} [extra] - Further conditions, e.g. { user }
+ */
+const findPanDonations = (filter, panHash, extra = {}) =>
+  Donation.find({ ...filter, ...extra, "donor.idNumberHash": panHash })
+    .select("user donor amount refundedAmount receiptNumber paymentMethod payment.method donationHead createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+/**
+ * Certificate lines, totals and donor details for a set of donations
+ * Donor details come from the latest donation.
+ */
+const summariseDonations = (donations) => {
+  const lines = donations.map((d) => ({
+    donation: d._id,
+    receiptNumber: d.receiptNumber,
+    date: d.createdAt,
+    amount: d.amount - (d.refundedAmount || 0),
+    paymentMethod: d.payment?.method || d.paymentMethod || "ONLINE",
+    donationHead: d.donationHead?.name,
+  }));
+  const totalAmount = lines.reduce((sum, l) => sum + l.amount, 0);
+  const deductibleAmount = lines
+    .filter((l) => !(l.paymentMethod === "CASH" && l.amount > CASH_DEDUCTION_LIMIT))
+    .reduce((sum, l) => sum + l.amount, 0);
+
+  const latest = donations[donations.length - 1].donor;
+  return {
+    donor: {
+      name: latest.name,
+      address: formatAddress(latest),
+      mobile: latest.mobile,
+      email: latest.email,
+    },
+    donations: lines,
+    totalAmount,
+    deductibleAmount,
+  };
+};
+
+/**
+ * Issue (or refresh) the certificate for one PAN and financial year
+ * Donations and the certificate are matched on the PAN's blind index, across
+ * every user who donated under the PAN - for the System Admin batch and
+ * records, not for handing to a single donor (see buildDonorCopy).
+ *
+ * @param {string} financialYear - e.g. "2025-26"
+ * @param {string} pan - Donor PAN (plain)
+ * @param {Object} [options] - { issuedBy, filter } - filter from buildEligibleFilter, for batches
+ * @returns {Promise<Object|null>} AnnualCertificate, or null if no eligible donations
+ */
+const issueCertificate = async (financialYear, pan, { issuedBy = null, filter } = {}) => {
+  const fy = parseFinancialYear(financialYear);
+  if (!fy) throw new Error(`Invalid financial year: ${financialYear}`);
+
+  const panHash = panBlindIndex(pan);
+  const donations = await findPanDonations(filter || (await buildEligibleFilter(fy)), panHash);
+
+  if (donations.length === 0) return null;
+
+  const update = {
+    ...summariseDonations(donations),
+    users: [...new Set(donations.map((d) => d.user && String(d.user)).filter(Boolean))],
+    issuedAt: new Date(),
+    lastIssuedBy: issuedBy,
+  };
+
+  // Retry on the rare certificate number collision from a concurrent issue
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const existing = await AnnualCertificate.findOne({ financialYear, panHash });
+      if (existing) {
+        existing.set(update);
+        return await existing.save();
+      }
+
+      return await AnnualCertificate.create({
+        ...update,
+        financialYear,
+        pan: pan.trim().toUpperCase(),
+        certificateNumber: await nextCertificateNumber(financialYear),
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt === 2) throw err;
+    }
+  }
+};
+
+/**
+ * A donor's own copy of the certificate for one PAN and financial year
+ * Several people can donate under one PAN (a relative's, an employer's), so
+ * the copy lists only the requesting user's donations and their own donor
+ * details; the consolidated certificate stays with the System Admin batch.
+ * The certificate is issued first so the copy carries its number.
+ *
+ * @param {string} financialYear - e.g. "2025-26"
+ * @param {string} pan - Donor PAN (plain)
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object|null>} Certificate-shaped object for streamCertificatesPdf, or null
+ */
+const buildDonorCopy = async (financialYear, pan, userId) => {
+  const fy = parseFinancialYear(financialYear);
+  if (!fy) throw new Error(`Invalid financial year: ${financialYear}`);
+
+  const donations = await findPanDonations(await buildEligibleFilter(fy), panBlindIndex(pan), {
+    user: userId,
+  });
+  if (donations.length === 0) return null;
+
+  const certificate = await issueCertificate(financialYear, pan);
+  if (!certificate) return null;
+
+  return {
+    financialYear,
+    pan: certificate.pan,
+    certificateNumber: certificate.certificateNumber,
+    issuedAt: certificate.issuedAt,
+    ...summariseDonations(donations),
+  };
+};
+
+/**
+ * Issue certificates for every PAN with eligible donations in a financial year
+ * (System Admin batch). PANs are processed one at a time.
+ *
+ * @param {string} financialYear - e.g. "2025-26"
+ * @param {string} adminId - User ID of the System Admin
+ * @returns {Promise<Object>} { issued, failed }
+ */
+const issueCertificatesForYear = async (financialYear, adminId) => {
+  const fy = parseFinancialYear(financialYear);
+  if (!fy) throw new Error(`Invalid financial year: ${financialYear}`);
+
+  const filter = await buildEligibleFilter(fy);
+  // PANs are encrypted, so collect them from the (decrypted) donations
+  const donations = await Donation.find(filter).select("donor.idNumber").lean();
+  const pans = [...new Set(donations.map((d) => d.donor.idNumber.trim().toUpperCase()))];
+
+  let issued = 0;
+  const failed = [];
+
+  for (const pan of pans) {
+    try {
+      if (await issueCertificate(financialYear, pan, { issuedBy: adminId, filter })) {
+        issued++;
+      }
+    } catch (err) {
+      console.error(`80G certificate failed for ${financialYear}:`, err.message);
+      failed.push(pan);
+    }
+  }
+
+  console.log(`80G certificates ${financialYear}: ${issued} issued, ${failed.length} failed`);
+  return { issued, failed };
+};
+
+/**
+ * Financial years and PANs a user has eligible donations for
+ *
+ * @param {string} userId
+ * @returns {Promise<Array>} [{ financialYear, pan, donationCount, totalAmount }]
+ */
+const getUserCertificateYears = async (userId) => {
+  const donations = await Donation.find({
+    ...(await buildEligibleMatch()),
+    user: userId,
+  })
+    .select("donor.idNumber amount refundedAmount createdAt")
+    .lean();
+
+  const groups = new Map();
+  donations.forEach((d) => {
+    const financialYear = getFinancialYear(d.createdAt);
+    const pan = d.donor.idNumber.trim().toUpperCase();
+    const key = `${financialYear}|${pan}`;
+    const group = groups.get(key) || {
+      financialYear,
+      pan,
+      donationCount: 0,
+      totalAmount: 0,
+    };
+    group.donationCount++;
+    group.totalAmount += d.amount - (d.refundedAmount || 0);
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].sort((a, b) =>
+    b.financialYear.localeCompare(a.financialYear),
+  );
+};
+
+/**
+ * Stream one or more certificates as a single PDF (one certificate per page set)
+ *
+ * @param {Array} certificates - AnnualCertificate documents
+ * @param {Writable} stream - e.g. Express response
+ */
+const streamCertificatesPdf = (certificates, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  certificates.forEach((certificate, index) => {
+    if (index > 0) doc.addPage();
+    renderAnnualCertificate(doc, certificate);
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  buildEligibleFilter,
+  formatAddress,
+  issueCertificate,
+  buildDonorCopy,
+  issueCertificatesForYear,
+  getUserCertificateYears,
+  streamCertificatesPdf,
+};
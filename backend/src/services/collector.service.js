@@ -1,5 +1,8 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Donation = require("../models/Donation");
+const DonationHead = require("../models/DonationHead");
+const { getPeriodRange, parseIstDate } = require("../utils/financialYear");
 
 /**
  * Collector Service
@@ -181,11 +184,11 @@ const validateReferralCode = async (referralCode) => {
 /**
  * Get collector dashboard data
  * @param {string} userId - Collector's user ID
- * @returns {Object} Dashboard data with stats, leaderboard, recent donations
+ * @param {Object} [window] - Leaderboard window from resolveLeaderboardWindow (default: lifetime)
+ * @returns {Object} Dashboard data with stats, leaderboard, own rank, recent donations
  */
-const getCollectorDashboard = async (userId) => {
+const getCollectorDashboard = async (userId, window = null) => {
   try {
-    const mongoose = require("mongoose");
     const userObjectId = new mongoose.Types.ObjectId(userId);
 
     // Get collector's stats
@@ -194,28 +197,29 @@ const getCollectorDashboard = async (userId) => {
         $match: {
           hasCollectorAttribution: true,
           collectorId: userObjectId,
-          status: "SUCCESS",
+          status: { $in: Donation.COUNTED_STATUSES },
         },
       },
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
           donationCount: { $sum: 1 },
         },
       },
     ]);
 
-    // Get top 5 collectors for leaderboard
-    const top5Collectors = await getTopCollectors(5);
+    // Top 5 collectors for the leaderboard, plus this collector's place in it
+    const top5Collectors = await getTopCollectors(5, window);
+    const myRank = await getCollectorRank(userObjectId, window);
 
     // Get recent 10 donations for this collector
     const recentDonations = await Donation.find({
       hasCollectorAttribution: true,
       collectorId: userObjectId,
-      status: "SUCCESS",
+      status: { $in: Donation.COUNTED_STATUSES },
     })
-      .select("donor.name donor.anonymousDisplay amount donationHead.name createdAt")
+      .select("donor.name donor.anonymousDisplay amount refundedAmount donationHead.name createdAt")
       .sort({ createdAt: -1 })
       .limit(10)
       .lean();
@@ -223,7 +227,7 @@ const getCollectorDashboard = async (userId) => {
     // Format recent donations
     const formattedDonations = recentDonations.map((d) => ({
       donorName: d.donor?.anonymousDisplay ? "Anonymous" : d.donor?.name || "Unknown",
-      amount: d.amount,
+      amount: d.amount - (d.refundedAmount || 0),
       cause: d.donationHead?.name || "General",
       date: d.createdAt,
     }));
@@ -232,6 +236,7 @@ const getCollectorDashboard = async (userId) => {
       totalAmount: stats[0]?.totalAmount || 0,
       donationCount: stats[0]?.donationCount || 0,
       top5Collectors,
+      myRank,
       recentDonations: formattedDonations,
     };
   } catch (error) {
@@ -240,37 +245,108 @@ const getCollectorDashboard = async (userId) => {
   }
 };
 
+// ==================== LEADERBOARD ====================
+
+const LEADERBOARD_PERIODS = ["all", "month", "quarter", "fy", "custom"];
+
+/**
+ * Resolve leaderboard query params into a window
+ * @param {Object} query - { period?, from?, to?, donationHeadId? }
+ *   period: "all" (default) | "month" | "quarter" | "fy" | "custom" (from/to as YYYY-MM-DD, to inclusive)
+ * @returns {Promise<Object>} { window } or { error } for invalid params
+ *   window: { period, start, end, donationHeadId, match } - match is extra Donation filter
+ */
+const resolveLeaderboardWindow = async ({ period = "all", from, to, donationHeadId } = {}) => {
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    return { error: `period must be one of: ${LEADERBOARD_PERIODS.join(", ")}` };
+  }
+
+  const match = {};
+  let range = null;
+
+  if (period === "custom") {
+    const start = parseIstDate(from);
+    const lastDay = parseIstDate(to);
+    if (!start || !lastDay) {
+      return { error: "from and to dates (YYYY-MM-DD) are required for a custom period" };
+    }
+    if (lastDay < start) {
+      return { error: "from date must be on or before to date" };
+    }
+    range = { start, end: new Date(lastDay.getTime() + 24 * 60 * 60 * 1000) };
+  } else if (period !== "all") {
+    range = getPeriodRange(period);
+  }
+
+  if (range) {
+    match.createdAt = { $gte: range.start, $lt: range.end };
+  }
+
+  if (donationHeadId) {
+    if (!mongoose.Types.ObjectId.isValid(donationHeadId)) {
+      return { error: "Invalid donation head ID" };
+    }
+    const head = await DonationHead.findById(donationHeadId).select("name.en").lean();
+    if (!head) {
+      return { error: "Donation head not found" };
+    }
+    // Older donations only carry the head's English name
+    match.$or = [
+      { "donationHead.id": String(head._id) },
+      { "donationHead.name": head.name?.en },
+    ];
+  }
+
+  return {
+    window: {
+      period,
+      start: range?.start || null,
+      end: range?.end || null,
+      donationHeadId: donationHeadId || null,
+      match,
+    },
+  };
+};
+
+/**
+ * Donation filter for collector-attributed, counted donations in a window
+ * Only donations that explicitly had a referral code count - historical
+ * donations without hasCollectorAttribution are excluded.
+ */
+const leaderboardMatch = (window) => ({
+  hasCollectorAttribution: true,
+  collectorId: { $ne: null },
+  status: { $in: Donation.COUNTED_STATUSES },
+  ...(window?.match || {}),
+});
+
 /**
  * Get top collectors by total donation amount
  * Uses MongoDB aggregation for efficiency
  * @param {number} limit - Number of top collectors to return (default: 5)
+ * @param {Object} [window] - From resolveLeaderboardWindow (default: lifetime, all causes)
  * @returns {Array} Ranked list of collectors with totalAmount and donationCount
+ *   Equal totals share a rank (1, 2, 2, 4)
  */
-const getTopCollectors = async (limit = 5) => {
+const getTopCollectors = async (limit = 5, window = null) => {
   try {
     const leaderboard = await Donation.aggregate([
-      // BUG FIX: Only count donations that explicitly had a referral code
-      // Historical donations without hasCollectorAttribution field are excluded
       {
-        $match: {
-          hasCollectorAttribution: true, // Only explicit attributions
-          collectorId: { $ne: null },
-          status: "SUCCESS",
-        },
+        $match: leaderboardMatch(window),
       },
       // Group by collector
       {
         $group: {
           _id: "$collectorId",
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
           donationCount: { $sum: 1 },
           // Keep the most recent collector name snapshot
           collectorName: { $last: "$collectorName" },
         },
       },
-      // Sort by total amount descending
+      // Sort by total amount descending (ties in a stable order)
       {
-        $sort: { totalAmount: -1 },
+        $sort: { totalAmount: -1, _id: 1 },
       },
       // Limit results
       {
@@ -290,16 +366,67 @@ const getTopCollectors = async (limit = 5) => {
     ]);
 
     // Add rank
-    return leaderboard.map((entry, index) => ({
-      rank: index + 1,
-      ...entry,
-    }));
+    let previous = null;
+    return leaderboard.map((entry, index) => {
+      const rank =
+        previous && previous.totalAmount === entry.totalAmount ? previous.rank : index + 1;
+      previous = { rank, totalAmount: entry.totalAmount };
+      return { rank, ...entry };
+    });
   } catch (error) {
     console.error("[CollectorService] getTopCollectors error:", error);
     return [];
   }
 };
 
+/**
+ * Get one collector's rank in a leaderboard window
+ * Works outside the top N: rank = 1 + collectors with a higher total.
+ * @param {string|ObjectId} collectorId
+ * @param {Object} [window] - From resolveLeaderboardWindow (default: lifetime, all causes)
+ * @returns {Object} { rank, totalAmount, donationCount, totalCollectors } - rank is null
+ *   if the collector has no donations in the window
+ */
+const getCollectorRank = async (collectorId, window = null) => {
+  try {
+    const collectorObjectId = new mongoose.Types.ObjectId(String(collectorId));
+
+    const [result] = await Donation.aggregate([
+      { $match: leaderboardMatch(window) },
+      {
+        $group: {
+          _id: "$collectorId",
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
+          donationCount: { $sum: 1 },
+        },
+      },
+      {
+        $facet: {
+          mine: [{ $match: { _id: collectorObjectId } }],
+          totals: [{ $project: { _id: 0, totalAmount: 1 } }],
+        },
+      },
+    ]);
+
+    const mine = result?.mine?.[0];
+    const totals = result?.totals || [];
+
+    if (!mine) {
+      return { rank: null, totalAmount: 0, donationCount: 0, totalCollectors: totals.length };
+    }
+
+    return {
+      rank: 1 + totals.filter((t) => t.totalAmount > mine.totalAmount).length,
+      totalAmount: mine.totalAmount,
+      donationCount: mine.donationCount,
+      totalCollectors: totals.length,
+    };
+  } catch (error) {
+    console.error("[CollectorService] getCollectorRank error:", error);
+    return null;
+  }
+};
+
 /**
  * Get collector stats for a specific user
  * @param {string} userId - User's MongoDB ObjectId
@@ -315,13 +442,13 @@ const getCollectorStats = async (userId) => {
         $match: {
           hasCollectorAttribution: true, // BUG FIX: Only explicit attributions
           collectorId: user._id,
-          status: "SUCCESS",
+          status: { $in: Donation.COUNTED_STATUSES },
         },
       },
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: "$amount" },
+          totalAmount: { $sum: Donation.NET_AMOUNT_EXPR },
           donationCount: { $sum: 1 },
         },
       },
@@ -344,7 +471,10 @@ module.exports = {
   assignReferralCode,
   resolveCollector,
   validateReferralCode,
+  LEADERBOARD_PERIODS,
+  resolveLeaderboardWindow,
   getTopCollectors,
+  getCollectorRank,
   getCollectorStats,
   getCollectorDashboard,
 };
@@ -0,0 +1,237 @@
+const mongoose = require("mongoose");
+const Donation = require("../models/Donation");
+const DonationHead = require("../models/DonationHead");
+
+/**
+ * Donation Head Totals Service
+ * Keeps DonationHead.currentAmount / donationCount (and the same per sub-cause)
+ * in step with counted donations, net of refunds.
+ *
+ * Totals are adjusted with $inc-style updates when a donation becomes SUCCESS
+ * or a refund is applied, and can be recomputed from scratch with
+ * rebuildDonationHeadTotals() (scripts/rebuild-donation-head-totals.js and the
+ * nightly donation-head-totals job) if they ever drift.
+ */
+
+/**
+ * DonationHead filter for a donation's head snapshot
+ * Newer donations store the head's _id; older ones only its (English) name.
+ */
+const headFilterFor = (donationHead) => {
+  if (mongoose.Types.ObjectId.isValid(donationHead?.id)) {
+    return { _id: donationHead.id };
+  }
+  if (donationHead?.name) {
+    return { "name.en": donationHead.name };
+  }
+  return null;
+};
+
+// Pipeline expression: field + delta, never below zero
+const addClamped = (field, delta) => ({
+  $max: [0, { $add: [{ $ifNull: [field, 0] }, delta] }],
+});
+
+/**
+ * Add to (or subtract from) a head's totals and its sub-cause's totals
+ *
+ * @param {Object} donationHead - Donation.donationHead snapshot { id, name, subCauseKey }
+ * @param {number} amount - Rs to add (negative to subtract)
+ * @param {number} donors - Donation count to add (-1, 0 or 1)
+ */
+const adjustTotals = async (donationHead, amount, donors) => {
+  const filter = headFilterFor(donationHead);
+  if (!filter || (!amount && !donors)) return;
+
+  const $set = {
+    currentAmount: addClamped("$currentAmount", amount),
+    donationCount: addClamped("$donationCount", donors),
+    totalsVersion: { $add: [{ $ifNull: ["$totalsVersion", 0] }, 1] },
+  };
+
+  if (donationHead.subCauseKey) {
+    $set.subCauses = {
+      $map: {
+        input: { $ifNull: ["$subCauses", []] },
+        as: "sc",
+        in: {
+          $cond: [
+            { $eq: ["$$sc.key", donationHead.subCauseKey] },
+            {
+              $mergeObjects: [
+                "$$sc",
+                {
+                  currentAmount: addClamped("$$sc.currentAmount", amount),
+                  donationCount: addClamped("$$sc.donationCount", donors),
+                },
+              ],
+            },
+            "$$sc",
+          ],
+        },
+      },
+    };
+  }
+
+  await DonationHead.updateOne(filter, [{ $set }], { updatePipeline: true });
+};
+
+/**
+ * Count a donation that just became SUCCESS
+ * Call once per donation, right after the status change that made it count.
+ * Errors are logged, not thrown - a missed update is fixed by the rebuild.
+ *
+ * @param {Object} donation - Donation document
+ */
+const recordDonationTotals = async (donation) => {
+  try {
+    await adjustTotals(
+      donation.donationHead,
+      donation.amount - (donation.refundedAmount || 0),
+      1,
+    );
+  } catch (err) {
+    console.error(`Donation head totals update failed for ${donation._id}:`, err.message);
+  }
+};
+
+/**
+ * Take an applied refund off the totals
+ *
+ * @param {Object} donation - Donation after the refund was added to refundedAmount
+ * @param {number} refundAmount - Rs refunded by this entry
+ */
+const recordRefundTotals = async (donation, refundAmount) => {
+  // Only the refund that crosses the full amount stops the donation counting
+  const wasCounted = donation.refundedAmount - refundAmount < donation.amount;
+  const nowRefunded = donation.refundedAmount >= donation.amount;
+
+  try {
+    await adjustTotals(donation.donationHead, -refundAmount, wasCounted && nowRefunded ? -1 : 0);
+  } catch (err) {
+    console.error(`Donation head totals update failed for ${donation._id}:`, err.message);
+  }
+};
+
+/**
+ * Recompute every head's totals from the Donation collection
+ * Heads are read before the aggregate and written only if their
+ * totalsVersion is unchanged, so a donation counted while the rebuild runs
+ * is never overwritten - that head is skipped until the next rebuild.
+ *
+ * @returns {Promise<Object>} { heads, donations, unmatchedDonations, skippedHeads }
+ */
+const rebuildDonationHeadTotals = async () => {
+  const heads = await DonationHead.find()
+    .select("_id name.en subCauses._id subCauses.key totalsVersion")
+    .lean();
+
+  const groups = await Donation.aggregate([
+    { $match: { status: { $in: Donation.COUNTED_STATUSES } } },
+    {
+      $group: {
+        _id: {
+          id: "$donationHead.id",
+          name: "$donationHead.name",
+          subCauseKey: "$donationHead.subCauseKey",
+        },
+        amount: { $sum: Donation.NET_AMOUNT_EXPR },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const byId = new Map(heads.map((h) => [String(h._id), h]));
+  const byName = new Map(heads.map((h) => [h.name?.en, h]));
+
+  // headId -> { amount, count, subCauses: Map(key -> { amount, count }) }
+  const totals = new Map(
+    heads.map((h) => [String(h._id), { amount: 0, count: 0, subCauses: new Map() }]),
+  );
+  let donations = 0;
+  let unmatchedDonations = 0;
+
+  groups.forEach(({ _id, amount, count }) => {
+    const head = byId.get(_id.id) || byName.get(_id.name);
+    if (!head) {
+      unmatchedDonations += count;
+      return;
+    }
+
+    const total = totals.get(String(head._id));
+    total.amount += amount;
+    total.count += count;
+    donations += count;
+
+    if (_id.subCauseKey) {
+      const sub = total.subCauses.get(_id.subCauseKey) || { amount: 0, count: 0 };
+      sub.amount += amount;
+      sub.count += count;
+      total.subCauses.set(_id.subCauseKey, sub);
+    }
+  });
+
+  const operations = heads.map((head) => {
+    const total = totals.get(String(head._id));
+    const $set = { currentAmount: total.amount, donationCount: total.count };
+    const arrayFilters = [];
+
+    // Sub-causes are matched by _id - positions can change if an admin
+    // edits the list while the rebuild runs
+    (head.subCauses || []).forEach((sc, index) => {
+      const sub = total.subCauses.get(sc.key) || { amount: 0, count: 0 };
+      $set[`subCauses.$[sc${index}].currentAmount`] = sub.amount;
+      $set[`subCauses.$[sc${index}].donationCount`] = sub.count;
+      arrayFilters.push({ [`sc${index}._id`]: sc._id });
+    });
+
+    return {
+      updateOne: {
+        filter: { _id: head._id, totalsVersion: head.totalsVersion ?? null },
+        update: { $set },
+        ...(arrayFilters.length > 0 ? { arrayFilters } : {}),
+      },
+    };
+  });
+
+  let skippedHeads = 0;
+  if (operations.length > 0) {
+    const result = await DonationHead.bulkWrite(operations, { ordered: false });
+    skippedHeads = heads.length - result.matchedCount;
+  }
+
+  console.log(
+    `Donation head totals rebuilt: ${heads.length} heads, ${donations} donations (${unmatchedDonations} unmatched, ${skippedHeads} heads changed during the rebuild and were skipped)`,
+  );
+  return { heads: heads.length, donations, unmatchedDonations, skippedHeads };
+};
+
+/**
+ * Public progress-bar data for a head (lean object)
+ * @returns {Object} { goalAmount, currentAmount, donationCount, percentage, subCauses }
+ */
+const getProgress = (head) => {
+  const percentage = (amount, goal) =>
+    goal ? Math.min(100, Math.round((amount / goal) * 100)) : null;
+
+  return {
+    goalAmount: head.goalAmount || null,
+    currentAmount: head.currentAmount || 0,
+    donationCount: head.donationCount || 0,
+    percentage: percentage(head.currentAmount || 0, head.goalAmount),
+    subCauses: (head.subCauses || [])
+      .filter((sc) => sc.isActive !== false)
+      .map((sc) => ({
+        key: sc.key,
+        currentAmount: sc.currentAmount || 0,
+        donationCount: sc.donationCount || 0,
+      })),
+  };
+};
+
+module.exports = {
+  recordDonationTotals,
+  recordRefundTotals,
+  rebuildDonationHeadTotals,
+  getProgress,
+};
@@ -0,0 +1,705 @@
+const mongoose = require("mongoose");
+const Donor = require("../models/Donor");
+const Donation = require("../models/Donation");
+const { panBlindIndex, decryptField } = require("../utils/fieldEncryption");
+
+/**
+ * Donor Registry Service
+ * De-duplicates the donor snapshots on donations into Donor records.
+ *
+ * Matching is automatic only on unambiguous keys:
+ * 1. PAN (blind index) - the same PAN is always the same donor
+ * 2. Normalised mobile - only when one side has no PAN, so family members
+ *    sharing a phone but donating under their own PAN stay separate
+ * Everything fuzzier (similar names, a shared mobile or email under
+ * different PANs) is offered to an admin as a merge suggestion.
+ *
+ * Donations are linked when they first count (SUCCESS), next to
+ * recordDonationTotals. linkUnregisteredDonations() picks up anything missed
+ * and backfills older donations (nightly donor-registry job and
+ * scripts/build-donor-registry.js).
+ */
+
+// Below this, two names are not offered as a merge on name alone
+const NAME_ONLY_THRESHOLD = 0.9;
+// Reported as a similar name from here
+const SIMILAR_NAME_THRESHOLD = 0.85;
+// Below this, names are too different even with a shared mobile / email / account
+const SHARED_KEY_THRESHOLD = 0.6;
+// Name blocks larger than this (very common names) are not paired exhaustively
+const MAX_BLOCK_SIZE = 50;
+
+const HONORIFICS = new Set([
+  "mr", "mrs", "ms", "miss", "dr", "shri", "shree", "sri", "smt", "kum", "kumari", "late",
+]);
+
+/**
+ * Normalise an Indian mobile number to its 10 digits
+ * "+91 98765-43210", "098765 43210" -> "9876543210"; placeholders -> null
+ * @param {string} mobile
+ * @returns {string|null}
+ */
+const normaliseMobile = (mobile) => {
+  const digits = String(mobile || "").replace(/\D/g, "");
+  const local =
+    digits.length === 12 && digits.startsWith("91")
+      ? digits.slice(2)
+      : digits.length === 11 && digits.startsWith("0")
+        ? digits.slice(1)
+        : digits;
+
+  if (!/^[6-9]\d{9}$/.test(local) || /^(\d)\1{9}$/.test(local)) return null;
+  return local;
+};
+
+const normaliseEmail = (email) => {
+  const value = String(email || "").trim().toLowerCase();
+  return value.includes("@") ? value : null;
+};
+
+/**
+ * Name in comparable form: lower case, no punctuation or honorifics
+ * "Shri. Ramesh  K. Patil" -> "ramesh k patil"
+ */
+const normaliseName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((token) => token && !HONORIFICS.has(token))
+    .join(" ");
+
+/**
+ * Blocking key for candidate pairs: tokens sorted, vowels after the first
+ * letter and doubled letters dropped - "Ramesh Patil", "Patil Ramesh" and
+ * "Ramesh Paatil" share "pt rmsh"
+ */
+const nameKey = (name) =>
+  normaliseName(name)
+    .split(" ")
+    .filter(Boolean)
+    .map((token) => token[0] + token.slice(1).replace(/[aeiouy]/g, "").replace(/(.)\1+/g, "$1"))
+    .sort()
+    .join(" ");
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const ratio = (a, b) => (a || b ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 0);
+
+// Initials match full words: "r patil" ~ "ramesh patil", "r k patil" ~ "ramesh kumar patil"
+const INITIALS_SIMILARITY = 0.9;
+
+const matchesWithInitials = (na, nb) => {
+  const ta = na.split(" ");
+  const tb = nb.split(" ");
+  if (ta.length !== tb.length) return false;
+
+  let fullMatches = 0;
+  const compatible = ta.every((token, i) => {
+    const other = tb[i];
+    if (token === other) return token.length > 1 ? ++fullMatches : true;
+    return (token.length === 1 && other[0] === token) || (other.length === 1 && token[0] === other);
+  });
+  return compatible && fullMatches > 0;
+};
+
+/**
+ * Name similarity from 0 to 1, ignoring word order, honorifics and initials
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+  const na = normaliseName(a);
+  const nb = normaliseName(b);
+  if (!na || !nb) return 0;
+
+  const sorted = (name) => name.split(" ").sort().join(" ");
+  const similarity = Math.max(ratio(na, nb), ratio(sorted(na), sorted(nb)));
+  return matchesWithInitials(na, nb) ? Math.max(similarity, INITIALS_SIMILARITY) : similarity;
+};
+
+/**
+ * Registry keys from a donation's donor snapshot
+ */
+const snapshotIdentity = (donor) => {
+  const pan = decryptField(donor.idNumber || "");
+  return {
+    name: String(donor.name || "").trim(),
+    panHash: donor.idNumberHash || panBlindIndex(pan),
+    panLast4: pan && pan.length > 4 ? pan.slice(-4).toUpperCase() : null,
+    mobile: normaliseMobile(donor.mobile),
+    email: normaliseEmail(donor.email),
+    city: donor.addressObj?.city?.trim() || null,
+  };
+};
+
+const findDonorFor = async (identity) => {
+  if (identity.panHash) {
+    const byPan = await Donor.findOne({ panHashes: identity.panHash });
+    if (byPan) return byPan;
+  }
+  if (identity.mobile) {
+    return Donor.findOne({
+      mobiles: identity.mobile,
+      erasedAt: null,
+      // A donor with a PAN only takes mobile matches that have no PAN
+      ...(identity.panHash ? { panHashes: { $size: 0 } } : {}),
+    }).sort({ updatedAt: -1 });
+  }
+  return null;
+};
+
+const addToSetEach = (identity) => {
+  const $addToSet = {};
+  if (identity.name) $addToSet.names = identity.name;
+  if (identity.panHash) $addToSet.panHashes = identity.panHash;
+  if (identity.mobile) $addToSet.mobiles = identity.mobile;
+  if (identity.email) $addToSet.emails = identity.email;
+  return $addToSet;
+};
+
+/**
+ * Link a counted donation to its Donor, creating the donor if needed
+ * Call once a donation becomes SUCCESS. Errors are logged, not thrown -
+ * a missed link is picked up by linkUnregisteredDonations.
+ *
+ * @param {Object} donation - Donation document (the donor.idNumberHash select is optional)
+ * @returns {Promise<Object|null>} The Donor, or null if not linked
+ */
+const linkDonationToDonor = async (donation) => {
+  if (donation.donorId || !donation.donor || donation.donor.erasedAt) return null;
+
+  try {
+    const identity = snapshotIdentity(donation.donor);
+    if (!identity.name || (!identity.panHash && !identity.mobile)) return null;
+
+    let donor = await findDonorFor(identity);
+    if (!donor) {
+      try {
+        donor = await Donor.create({
+          name: identity.name,
+          names: [identity.name],
+          panHashes: identity.panHash ? [identity.panHash] : [],
+          panLast4: identity.panLast4,
+          mobiles: identity.mobile ? [identity.mobile] : [],
+          emails: identity.email ? [identity.email] : [],
+          city: identity.city,
+          user: donation.user || null,
+        });
+      } catch (err) {
+        // Another request registered the same PAN first
+        if (err.code !== 11000) throw err;
+        donor = await findDonorFor(identity);
+        if (!donor) throw err;
+      }
+    }
+
+    const $set = { name: identity.name, erasedAt: null };
+    if (identity.panLast4) $set.panLast4 = identity.panLast4;
+    if (identity.city) $set.city = identity.city;
+
+    await Donor.updateOne({ _id: donor._id }, { $set, $addToSet: addToSetEach(identity) });
+    if (donation.user) {
+      await Donor.updateOne({ _id: donor._id, user: null }, { $set: { user: donation.user } });
+    }
+
+    await Donation.updateOne({ _id: donation._id }, { $set: { donorId: donor._id } });
+    donation.donorId = donor._id;
+    return donor;
+  } catch (err) {
+    console.error(`Donor registry link failed for donation ${donation._id}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Link every counted donation that has no donor yet, oldest first
+ * (so each donor ends up with their latest name). Anonymised snapshots are skipped.
+ *
+ * @returns {Promise<Object>} { linked, skipped }
+ */
+const linkUnregisteredDonations = async () => {
+  const cursor = Donation.find({
+    donorId: null,
+    status: { $in: Donation.COUNTED_STATUSES },
+    "donor.erasedAt": null,
+  })
+    .select("+donor.idNumberHash user donor donorId")
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  let linked = 0;
+  let skipped = 0;
+  for await (const donation of cursor) {
+    if (await linkDonationToDonor(donation)) linked++;
+    else skipped++;
+  }
+
+  return { linked, skipped };
+};
+
+/**
+ * Lifetime giving per donor, net of refunds
+ * @param {ObjectId[]} donorIds
+ * @returns {Promise<Map>} donorId -> { lifetimeAmount, donationCount, firstGiftAt, lastGiftAt }
+ */
+const getDonorStats = async (donorIds) => {
+  const stats = await Donation.aggregate([
+    { $match: { donorId: { $in: donorIds }, status: { $in: Donation.COUNTED_STATUSES } } },
+    {
+      $group: {
+        _id: "$donorId",
+        lifetimeAmount: { $sum: Donation.NET_AMOUNT_EXPR },
+        donationCount: { $sum: 1 },
+        firstGiftAt: { $min: "$createdAt" },
+        lastGiftAt: { $max: "$createdAt" },
+      },
+    },
+  ]);
+
+  return new Map(stats.map(({ _id, ...rest }) => [String(_id), rest]));
+};
+
+const EMPTY_STATS = { lifetimeAmount: 0, donationCount: 0, firstGiftAt: null, lastGiftAt: null };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Registry filter for an admin search: PAN, mobile, email or name
+ */
+const buildSearchFilter = (search) => {
+  const term = String(search || "").trim();
+  if (!term) return {};
+
+  if (/^[A-Z]{5}[0-9]{4}[A-Z]$/i.test(term)) {
+    return { panHashes: panBlindIndex(term) };
+  }
+  const mobile = normaliseMobile(term);
+  if (mobile) return { mobiles: mobile };
+
+  const pattern = new RegExp(escapeRegex(term), "i");
+  return { $or: [{ names: pattern }, { emails: pattern }, { mobiles: pattern }] };
+};
+
+/**
+ * One page of donors with their giving stats
+ *
+ * @param {Object} options - { search, page, limit }
+ * @returns {Promise<Object>} { donors, total }
+ */
+const listDonors = async ({ search, page = 1, limit = 50 }) => {
+  const filter = { erasedAt: null, ...buildSearchFilter(search) };
+
+  const [donors, total] = await Promise.all([
+    Donor.find(filter)
+      .select("name names panLast4 mobiles emails city user createdAt updatedAt")
+      .populate("user", "fullName mobile")
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Donor.countDocuments(filter),
+  ]);
+
+  const stats = await getDonorStats(donors.map((d) => d._id));
+  return {
+    donors: donors.map((donor) => ({ ...donor, ...(stats.get(String(donor._id)) || EMPTY_STATS) })),
+    total,
+  };
+};
+
+/**
+ * Full donor profile: giving stats, causes supported and donation history
+ *
+ * @param {string} donorId
+ * @returns {Promise<Object|null>}
+ */
+const getDonorProfile = async (donorId) => {
+  const donor = await Donor.findById(donorId)
+    .select("-panHashes -notDuplicateOf")
+    .populate("user", "fullName mobile email role createdAt")
+    .lean();
+  if (!donor) return null;
+
+  const id = new mongoose.Types.ObjectId(String(donorId));
+  const [stats, causes, donations] = await Promise.all([
+    getDonorStats([id]),
+    Donation.aggregate([
+      { $match: { donorId: id, status: { $in: Donation.COUNTED_STATUSES } } },
+      {
+        $group: {
+          _id: "$donationHead.name",
+          amount: { $sum: Donation.NET_AMOUNT_EXPR },
+          count: { $sum: 1 },
+          lastGiftAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { amount: -1 } },
+      { $project: { _id: 0, name: "$_id", amount: 1, count: 1, lastGiftAt: 1 } },
+    ]),
+    Donation.find({ donorId: id })
+      .select(
+        "donor.name donor.mobile donationHead amount refundedAmount status paymentMethod receiptNumber createdAt",
+      )
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean(),
+  ]);
+
+  return {
+    ...donor,
+    ...(stats.get(String(id)) || EMPTY_STATS),
+    causes,
+    donations,
+  };
+};
+
+/**
+ * Likely duplicate donors for admin review, best match first
+ *
+ * Candidate pairs share a mobile, email, linked account or name key, and are
+ * scored on name similarity plus the keys they share. Pairs an admin marked
+ * as different people (notDuplicateOf) are left out.
+ *
+ * @param {number} limit
+ * @returns {Promise<Array>} [{ score, reasons, donors: [a, b] }]
+ */
+const findMergeSuggestions = async (limit = 50) => {
+  const donors = await Donor.find({ erasedAt: null })
+    .select("name names panLast4 mobiles emails city user notDuplicateOf updatedAt")
+    .lean();
+  const byId = new Map(donors.map((d) => [String(d._id), d]));
+
+  // block key -> donor ids
+  const blocks = new Map();
+  const addToBlock = (key, id) => {
+    if (!blocks.has(key)) blocks.set(key, new Set());
+    blocks.get(key).add(id);
+  };
+  donors.forEach((donor) => {
+    const id = String(donor._id);
+    donor.mobiles.forEach((mobile) => addToBlock(`m:${mobile}`, id));
+    donor.emails.forEach((email) => addToBlock(`e:${email}`, id));
+    if (donor.user) addToBlock(`u:${donor.user}`, id);
+    new Set(donor.names.map(nameKey)).forEach((key) => key && addToBlock(`n:${key}`, id));
+  });
+
+  const seen = new Set();
+  const suggestions = [];
+
+  blocks.forEach((ids, blockKey) => {
+    if (ids.size < 2 || (blockKey.startsWith("n:") && ids.size > MAX_BLOCK_SIZE)) return;
+    const list = [...ids];
+
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const pairKey = [list[i], list[j]].sort().join(":");
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const a = byId.get(list[i]);
+        const b = byId.get(list[j]);
+        if (a.notDuplicateOf.some((id) => String(id) === list[j])) continue;
+        if (b.notDuplicateOf.some((id) => String(id) === list[i])) continue;
+
+        const similarity = Math.max(
+          ...a.names.flatMap((na) => b.names.map((nb) => nameSimilarity(na, nb))),
+        );
+        const reasons = [];
+        if (a.mobiles.some((m) => b.mobiles.includes(m))) reasons.push("SAME_MOBILE");
+        if (a.emails.some((e) => b.emails.includes(e))) reasons.push("SAME_EMAIL");
+        if (a.user && String(a.user) === String(b.user)) reasons.push("SAME_ACCOUNT");
+
+        if (reasons.length > 0) {
+          if (similarity < SHARED_KEY_THRESHOLD) continue;
+        } else {
+          // Name alone: near-identical, and not in different cities
+          const differentCity =
+            a.city && b.city && a.city.toLowerCase() !== b.city.toLowerCase();
+          if (similarity < NAME_ONLY_THRESHOLD || differentCity) continue;
+        }
+        if (similarity >= SIMILAR_NAME_THRESHOLD) reasons.push("SIMILAR_NAME");
+
+        const score =
+          similarity * 0.5 +
+          (reasons.includes("SAME_MOBILE") ? 0.25 : 0) +
+          (reasons.includes("SAME_EMAIL") ? 0.15 : 0) +
+          (reasons.includes("SAME_ACCOUNT") ? 0.25 : 0);
+
+        suggestions.push({
+          score: Math.min(1, Math.round(score * 100) / 100),
+          similarity: Math.round(similarity * 100) / 100,
+          reasons,
+          donors: [a, b].map(({ notDuplicateOf, ...donor }) => donor),
+        });
+      }
+    }
+  });
+
+  suggestions.sort((x, y) => y.score - x.score);
+  const top = suggestions.slice(0, limit);
+
+  const stats = await getDonorStats(
+    [...new Set(top.flatMap((s) => s.donors.map((d) => String(d._id))))].map(
+      (id) => new mongoose.Types.ObjectId(id),
+    ),
+  );
+  top.forEach((suggestion) => {
+    suggestion.donors = suggestion.donors.map((donor) => ({
+      ...donor,
+      ...(stats.get(String(donor._id)) || EMPTY_STATS),
+    }));
+  });
+
+  return top;
+};
+
+/**
+ * Merge donors into a target donor
+ * The sources' donations move to the target, their PANs, mobiles, emails and
+ * names are added to it, and the source records are deleted (recorded in
+ * target.mergedFrom).
+ *
+ * @param {string} targetId - Donor to keep
+ * @param {string[]} sourceIds - Donors merged into it
+ * @param {string} mergedBy - Admin user id
+ * @returns {Promise<Object>} { success, message?, donor?, donationsMoved? }
+ */
+const mergeDonors = async (targetId, sourceIds, mergedBy) => {
+  const uniqueSources = [...new Set(sourceIds.map(String))].filter((id) => id !== String(targetId));
+  if (uniqueSources.length === 0) {
+    return { success: false, message: "Select at least one other donor to merge" };
+  }
+
+  const [target, sources] = await Promise.all([
+    Donor.findById(targetId),
+    Donor.find({ _id: { $in: uniqueSources } }),
+  ]);
+  if (!target || sources.length !== uniqueSources.length) {
+    return { success: false, message: "Donor not found" };
+  }
+  if ([target, ...sources].some((donor) => donor.erasedAt)) {
+    return { success: false, message: "Erased donors cannot be merged" };
+  }
+
+  const union = (field) => [...new Set([target, ...sources].flatMap((donor) => donor[field]))];
+  const linkedUsers = new Set(
+    [target, ...sources].filter((donor) => donor.user).map((donor) => String(donor.user)),
+  );
+  const sourceObjectIds = sources.map((donor) => donor._id);
+
+  // No transaction: every step leaves a state a repeated merge can finish.
+  // The target is saved first with everything but the sources' PANs (a PAN
+  // can only be on one donor - unique index), then donations move, then the
+  // PANs move, and the sources are deleted last.
+  target.names = union("names");
+  target.mobiles = union("mobiles");
+  target.emails = union("emails");
+  target.panLast4 = target.panLast4 || sources.find((donor) => donor.panLast4)?.panLast4 || null;
+  target.city = target.city || sources.find((donor) => donor.city)?.city || null;
+  target.user = target.user || sources.find((donor) => donor.user)?.user || null;
+  target.notDuplicateOf = [
+    ...new Set([target, ...sources].flatMap((donor) => donor.notDuplicateOf.map(String))),
+  ].filter((id) => !uniqueSources.includes(id));
+  const alreadyMerged = new Set(target.mergedFrom.map((entry) => String(entry.donorId)));
+  target.mergedFrom.push(
+    ...sources
+      .filter((donor) => !alreadyMerged.has(String(donor._id)))
+      .map((donor) => ({
+        donorId: donor._id,
+        name: donor.name,
+        mergedBy,
+        mergedAt: new Date(),
+      })),
+  );
+  await target.save();
+
+  const moved = await Donation.updateMany(
+    { donorId: { $in: sourceObjectIds } },
+    { $set: { donorId: target._id } },
+  );
+
+  const sourcePanHashes = [...new Set(sources.flatMap((donor) => donor.panHashes))];
+  if (sourcePanHashes.length > 0) {
+    await Donor.updateMany({ _id: { $in: sourceObjectIds } }, { $set: { panHashes: [] } });
+    await Donor.updateOne(
+      { _id: target._id },
+      { $addToSet: { panHashes: { $each: sourcePanHashes } } },
+    );
+    target.panHashes = union("panHashes");
+  }
+
+  await Donor.deleteMany({ _id: { $in: sourceObjectIds } });
+
+  // Anyone who marked a source as "not a duplicate" now points at the target
+  await Donor.updateMany(
+    { notDuplicateOf: { $in: sourceObjectIds } },
+    { $addToSet: { notDuplicateOf: target._id } },
+  );
+  await Donor.updateMany(
+    { notDuplicateOf: { $in: sourceObjectIds } },
+    { $pull: { notDuplicateOf: { $in: sourceObjectIds } } },
+  );
+
+  return {
+    success: true,
+    donor: target,
+    merged: sources.map((donor) => ({ _id: donor._id, name: donor.name })),
+    donationsMoved: moved.modifiedCount,
+    // More than one account - the target keeps its own, the others stay unlinked
+    conflictingUsers: linkedUsers.size > 1,
+  };
+};
+
+/**
+ * Record that two donors are different people, so they are not suggested again
+ * @returns {Promise<boolean>} false if either donor does not exist
+ */
+const dismissMergeSuggestion = async (donorId, otherId) => {
+  const found = await Donor.countDocuments({ _id: { $in: [donorId, otherId] } });
+  if (String(donorId) === String(otherId) || found !== 2) return false;
+
+  await Promise.all([
+    Donor.updateOne({ _id: donorId }, { $addToSet: { notDuplicateOf: otherId } }),
+    Donor.updateOne({ _id: otherId }, { $addToSet: { notDuplicateOf: donorId } }),
+  ]);
+  return true;
+};
+
+/**
+ * Remove what a user's donations added to donors that other people's
+ * (or guest) donations also point to: names, mobiles and emails not seen on
+ * any other donation are pulled, and the account link is cleared.
+ */
+const unlinkUserFromSharedDonors = async (userId, donorIds) => {
+  const [own, others] = await Promise.all([
+    Donation.find({ user: userId, donorId: { $in: donorIds } })
+      .select("donor.name donor.mobile donor.email donorId")
+      .lean(),
+    Donation.find({ user: { $ne: userId }, donorId: { $in: donorIds } })
+      .select("donor.name donor.mobile donor.email donorId")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const valuesByDonor = (donations) => {
+    const map = new Map();
+    donations.forEach((donation) => {
+      const key = String(donation.donorId);
+      if (!map.has(key)) map.set(key, { names: new Set(), mobiles: new Set(), emails: new Set() });
+      const values = map.get(key);
+      const name = String(donation.donor?.name || "").trim();
+      const mobile = normaliseMobile(donation.donor?.mobile);
+      const email = normaliseEmail(donation.donor?.email);
+      if (name) values.names.add(name);
+      if (mobile) values.mobiles.add(mobile);
+      if (email) values.emails.add(email);
+    });
+    return map;
+  };
+
+  const ownValues = valuesByDonor(own);
+  const otherValues = valuesByDonor(others);
+
+  for (const donorId of donorIds) {
+    const mine = ownValues.get(String(donorId));
+    const theirs = otherValues.get(String(donorId));
+    const $pull = {};
+    if (mine) {
+      ["names", "mobiles", "emails"].forEach((field) => {
+        const onlyMine = [...mine[field]].filter((value) => !theirs?.[field].has(value));
+        if (onlyMine.length > 0) $pull[field] = { $in: onlyMine };
+      });
+    }
+    if (Object.keys($pull).length > 0) {
+      await Donor.updateOne({ _id: donorId }, { $pull });
+    }
+
+    // The display name comes from the latest donation that stays linked
+    const latestOther = others.find((donation) => String(donation.donorId) === String(donorId));
+    const latestName = String(latestOther?.donor?.name || "").trim();
+    if (latestName) {
+      await Donor.updateOne({ _id: donorId }, { $set: { name: latestName } });
+    }
+
+    await Donor.updateOne({ _id: donorId, user: userId }, { $set: { user: null } });
+  }
+};
+
+/**
+ * Clear the contact details of a user's donors (erasure request)
+ * Only donors whose donations all come from this user are erased; donors
+ * shared with other donations keep them and lose just this user's details.
+ * PAN hashes and donation links stay, as on the anonymised donations.
+ *
+ * @param {string} userId
+ * @param {Date} erasedAt
+ * @param {string} erasedName - Name shown instead
+ * @returns {Promise<number>} Donors erased
+ */
+const eraseDonorsOfUser = async (userId, erasedAt, erasedName) => {
+  const ownDonationDonorIds = await Donation.find({ user: userId, donorId: { $ne: null } }).distinct(
+    "donorId",
+  );
+  const donorIds = await Donor.find({
+    $or: [{ user: userId }, { _id: { $in: ownDonationDonorIds } }],
+  }).distinct("_id");
+
+  // Donors that someone else's donation (or a guest donation) also points to
+  const sharedIds = new Set(
+    (await Donation.find({ donorId: { $in: donorIds }, user: { $ne: userId } }).distinct("donorId")).map(
+      String,
+    ),
+  );
+  const exclusiveIds = donorIds.filter((id) => !sharedIds.has(String(id)));
+
+  const result = await Donor.updateMany(
+    { _id: { $in: exclusiveIds } },
+    {
+      $set: {
+        name: erasedName,
+        names: [],
+        mobiles: [],
+        emails: [],
+        city: null,
+        user: null,
+        erasedAt,
+      },
+    },
+  );
+
+  await unlinkUserFromSharedDonors(
+    userId,
+    donorIds.filter((id) => sharedIds.has(String(id))),
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  normaliseMobile,
+  nameSimilarity,
+  linkDonationToDonor,
+  linkUnregisteredDonations,
+  listDonors,
+  getDonorProfile,
+  findMergeSuggestions,
+  mergeDonors,
+  dismissMergeSuggestion,
+  eraseDonorsOfUser,
+};
@@ -107,9 +107,10 @@ exports.sendEmailVerificationEmail = async (toEmail, verificationToken) => {
  * @param {string} params.donorName - Donor's name for personalization
  * @param {number} params.amount - Donation amount
  * @param {string} params.receiptUrl - Full filesystem path to the receipt PDF
+ * @param {string} [params.downloadUrl] - Signed, expiring link to download the receipt again
  * @returns {Promise<boolean>} - true if email sent successfully
  */
-exports.sendDonationReceiptEmail = async ({ to, donorName, amount, receiptUrl }) => {
+exports.sendDonationReceiptEmail = async ({ to, donorName, amount, receiptUrl, downloadUrl }) => {
   try {
     // For backward compatibility: support old signature (toEmail, receiptPath)
     let email = to;
@@ -162,6 +163,15 @@ exports.sendDonationReceiptEmail = async ({ to, donorName, amount, receiptUrl })
               <p style="color: #4b5563; line-height: 1.6;">
                 Please find your official donation receipt attached to this email for your records.
               </p>
+              ${downloadUrl ? `
+              <div style="text-align: center; margin: 25px 0;">
+                <a href="${downloadUrl}" style="background-color: #d97706; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                  Download Receipt
+                </a>
+              </div>
+              <p style="color: #9ca3af; font-size: 12px; text-align: center;">
+                This download link is valid for 30 days.
+              </p>` : ""}
               <div style="background-color: #fef3c7; border-left: 4px solid #d97706; padding: 15px; margin: 20px 0;">
                 <p style="color: #92400e; margin: 0; font-size: 14px;">
                   <strong>Note:</strong> This receipt can be used for tax exemption purposes under Section 80G of the Income Tax Act.
@@ -177,7 +187,7 @@ exports.sendDonationReceiptEmail = async ({ to, donorName, amount, receiptUrl })
         </body>
         </html>
       `,
-      text: `Thank you for your donation${name ? `, ${name}` : ""}!\n\n${formattedAmount ? `Amount: ${formattedAmount}\n\n` : ""}Please find your donation receipt attached.\n\nMay you be blessed with peace and prosperity.\n\n- Shri Gurudev Ashram`,
+      text: `Thank you for your donation${name ? `, ${name}` : ""}!\n\n${formattedAmount ? `Amount: ${formattedAmount}\n\n` : ""}Please find your donation receipt attached.\n\n${downloadUrl ? `Download it again (link valid for 30 days): ${downloadUrl}\n\n` : ""}May you be blessed with peace and prosperity.\n\n- Shri Gurudev Ashram`,
       attachments: [
         {
           filename: "Donation_Receipt.pdf",
@@ -193,6 +203,207 @@ exports.sendDonationReceiptEmail = async ({ to, donorName, amount, receiptUrl })
   }
 };
 
+/* ---------------- Event Registration Email ---------------- */
+
+/**
+ * Send an event registration email
+ * - confirmed: confirmation with the QR entry pass
+ * - waitlisted: the event was full, attendee is on the waitlist
+ * - payment_due: promoted from the waitlist of a paid event, pay to confirm
+ * @param {Object} params
+ * @param {"confirmed"|"waitlisted"|"payment_due"} params.kind
+ * @param {string} params.to - Attendee email address
+ * @param {string} params.name - Attendee name
+ * @param {string} params.eventTitle - Event title in the attendee's language
+ * @param {string} params.eventWhen - Formatted event date and time
+ * @param {string} [params.location] - Event location
+ * @param {string} params.registrationNumber - e.g. REG-LX2K9A-4F7Q
+ * @param {Buffer} [params.passQr] - QR entry pass PNG (confirmed only)
+ * @param {string} [params.paymentUrl] - Page to complete payment (payment_due only)
+ * @returns {Promise<boolean>} - true if email sent successfully
+ */
+exports.sendEventRegistrationEmail = async ({
+  kind,
+  to,
+  name,
+  eventTitle,
+  eventWhen,
+  location,
+  registrationNumber,
+  passQr,
+  paymentUrl,
+}) => {
+  try {
+    const content = {
+      confirmed: {
+        subject: "Registration Confirmed",
+        heading: `You're registered, ${name}!`,
+        intro: "Your registration is confirmed. Please show the QR entry pass below at the venue.",
+      },
+      waitlisted: {
+        subject: "Waitlisted",
+        heading: `You're on the waitlist, ${name}`,
+        intro: "The event is currently full, so you have been added to the waitlist. We will email you if a seat becomes available.",
+      },
+      payment_due: {
+        subject: "A Seat Is Available",
+        heading: `A seat is available, ${name}!`,
+        intro: "A seat has opened up for you. Please complete the registration fee payment within 48 hours to confirm it.",
+      },
+    }[kind];
+    const attachPass = kind === "confirmed" && passQr;
+
+    await transporter.sendMail({
+      from: getFromAddress(),
+      to,
+      subject: `${content.subject}: ${eventTitle} - Gurudev Ashram`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f9fafb;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="background: linear-gradient(135deg, #d97706, #b45309); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+              <h1 style="color: white; margin: 0; font-size: 24px;">Gurudev Ashram</h1>
+            </div>
+            <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+              <h2 style="color: #92400e; margin-top: 0;">${content.heading}</h2>
+              <p style="color: #4b5563; line-height: 1.6;">${content.intro}</p>
+              <div style="background-color: #fef3c7; border-left: 4px solid #d97706; padding: 15px; margin: 20px 0;">
+                <p style="color: #92400e; margin: 0 0 6px 0; font-size: 16px;"><strong>${eventTitle}</strong></p>
+                <p style="color: #92400e; margin: 0; font-size: 14px;">${eventWhen}${location ? `<br>${location}` : ""}</p>
+              </div>
+              ${attachPass ? `
+              <div style="text-align: center; margin: 25px 0;">
+                <img src="cid:entry-pass" alt="Entry pass QR code" width="240" height="240" style="display: inline-block;">
+              </div>` : ""}
+              ${kind === "payment_due" && paymentUrl ? `
+              <div style="text-align: center; margin: 25px 0;">
+                <a href="${paymentUrl}" style="background-color: #d97706; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                  Complete Payment
+                </a>
+              </div>` : ""}
+              <p style="color: #4b5563; text-align: center; font-size: 14px;">
+                Registration number: <strong>${registrationNumber}</strong>
+              </p>
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+              <p style="color: #9ca3af; font-size: 12px; text-align: center; margin: 0;">
+                © ${new Date().getFullYear()} Shri Gurudev Ashram, Palaskhed (Sapkal)<br>
+                May you be blessed with peace and prosperity.
+              </p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `${content.heading}\n\n${content.intro}\n\n${eventTitle}\n${eventWhen}${location ? `\n${location}` : ""}\n\n${kind === "payment_due" && paymentUrl ? `Complete payment: ${paymentUrl}\n\n` : ""}Registration number: ${registrationNumber}\n\n- Shri Gurudev Ashram`,
+      attachments: attachPass
+        ? [{ filename: "Entry_Pass.png", content: passQr, cid: "entry-pass" }]
+        : [],
+    });
+
+    return true;
+  } catch (error) {
+    console.error("Event registration email failed:", error.message);
+    return false;
+  }
+};
+
+/* ---------------- Seva Shift Email ---------------- */
+
+/**
+ * Send a seva shift email to a volunteer
+ * - reminder: the shift starts within a day
+ * - cancelled: an admin cancelled the shift
+ * @param {Object} params
+ * @param {"reminder"|"cancelled"} params.kind
+ * @param {string} params.to - Volunteer email address
+ * @param {string} params.name - Volunteer name
+ * @param {string} params.sevaTitle - Activity seva or event title
+ * @param {string} params.shiftWhen - Formatted shift date and time
+ * @param {string} [params.location] - Where to report
+ * @param {string} [params.notes] - Instructions from the admin
+ * @param {string} params.sevaUrl - Seva page (shifts and cancellation)
+ * @returns {Promise<boolean>} - true if email sent successfully
+ */
+exports.sendSevaShiftEmail = async ({
+  kind,
+  to,
+  name,
+  sevaTitle,
+  shiftWhen,
+  location,
+  notes,
+  sevaUrl,
+}) => {
+  try {
+    const content = {
+      reminder: {
+        subject: "Seva Reminder",
+        heading: `See you soon, ${name}!`,
+        intro: "This is a reminder of the seva shift you signed up for. If you can no longer come, please cancel it on the Seva page so another sevadar can take it.",
+      },
+      cancelled: {
+        subject: "Seva Shift Cancelled",
+        heading: `Shift cancelled, ${name}`,
+        intro: "The seva shift below has been cancelled by the ashram. Thank you for offering your time - other shifts are open on the Seva page.",
+      },
+    }[kind];
+    const details = [shiftWhen, location].filter(Boolean).join("<br>");
+
+    await transporter.sendMail({
+      from: getFromAddress(),
+      to,
+      subject: `${content.subject}: ${sevaTitle} - Gurudev Ashram`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f9fafb;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <div style="background: linear-gradient(135deg, #d97706, #b45309); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+              <h1 style="color: white; margin: 0; font-size: 24px;">Gurudev Ashram</h1>
+            </div>
+            <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+              <h2 style="color: #92400e; margin-top: 0;">${content.heading}</h2>
+              <p style="color: #4b5563; line-height: 1.6;">${content.intro}</p>
+              <div style="background-color: #fef3c7; border-left: 4px solid #d97706; padding: 15px; margin: 20px 0;">
+                <p style="color: #92400e; margin: 0 0 6px 0; font-size: 16px;"><strong>${sevaTitle}</strong></p>
+                <p style="color: #92400e; margin: 0; font-size: 14px;">${details}</p>
+              </div>
+              ${kind === "reminder" && notes ? `
+              <p style="color: #4b5563; line-height: 1.6; white-space: pre-line;">${notes}</p>` : ""}
+              <div style="text-align: center; margin: 25px 0;">
+                <a href="${sevaUrl}" style="background-color: #d97706; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                  Open Seva Page
+                </a>
+              </div>
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+              <p style="color: #9ca3af; font-size: 12px; text-align: center; margin: 0;">
+                © ${new Date().getFullYear()} Shri Gurudev Ashram, Palaskhed (Sapkal)<br>
+                May you be blessed with peace and prosperity.
+              </p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `${content.heading}\n\n${content.intro}\n\n${sevaTitle}\n${shiftWhen}${location ? `\n${location}` : ""}\n\n${kind === "reminder" && notes ? `${notes}\n\n` : ""}Seva page: ${sevaUrl}\n\n- Shri Gurudev Ashram`,
+    });
+
+    return true;
+  } catch (error) {
+    console.error("Seva shift email failed:", error.message);
+    return false;
+  }
+};
+
 /* ---------------- Contact Us Email ---------------- */
 
 exports.sendContactEmail = async ({ name, email, phone, subject, message }) => {
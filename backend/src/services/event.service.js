@@ -0,0 +1,107 @@
+const Event = require("../models/Event");
+const { DAY_MS, isRecurring, getOccurrences, getSeriesEnd } = require("../utils/recurrence");
+
+// How far ahead open-ended series are expanded for "upcoming" lists
+const UPCOMING_HORIZON_DAYS = 180;
+
+// Events with a repeat rule or extra sessions - their status follows the
+// last session of the series, not `date`/`endDate`
+const RECURRING_FILTER = [
+  { "recurrence.frequency": { $in: ["weekly", "monthly"] } },
+  { "recurrence.additionalDates.0": { $exists: true } },
+];
+
+/**
+ * Event Service
+ * Date-driven event status changes shared by the admin endpoint and the
+ * event-status-rollover scheduled job.
+ */
+
+/**
+ * Move events to "past" or "ongoing" based on their dates
+ * Cancelled events are never touched. Recurring series only move to "past"
+ * once their last session has ended.
+ *
+ * @returns {Promise<Object>} { pastUpdated, ongoingUpdated }
+ */
+const rolloverEventStatuses = async () => {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  // Update past events
+  const pastResult = await Event.updateMany(
+    {
+      status: { $ne: "cancelled" },
+      date: { $lt: today },
+      $or: [{ endDate: null }, { endDate: { $lt: today } }],
+      $nor: RECURRING_FILTER,
+    },
+    { $set: { status: "past" } },
+  );
+
+  // Update ongoing events (with endDate in future)
+  const ongoingResult = await Event.updateMany(
+    {
+      status: { $ne: "cancelled" },
+      date: { $lte: now },
+      endDate: { $gte: now },
+      $nor: RECURRING_FILTER,
+    },
+    { $set: { status: "ongoing" } },
+  );
+
+  // Finished series (open-ended series never finish)
+  const series = await Event.find({
+    status: { $nin: ["cancelled", "past"] },
+    $or: RECURRING_FILTER,
+  })
+    .select("date endDate recurrence")
+    .lean();
+  const finishedIds = series
+    .filter((event) => {
+      const seriesEnd = getSeriesEnd(event);
+      return seriesEnd && seriesEnd < now;
+    })
+    .map((event) => event._id);
+  const seriesResult = finishedIds.length
+    ? await Event.updateMany({ _id: { $in: finishedIds } }, { $set: { status: "past" } })
+    : { modifiedCount: 0 };
+
+  return {
+    pastUpdated: pastResult.modifiedCount + seriesResult.modifiedCount,
+    ongoingUpdated: ongoingResult.modifiedCount,
+  };
+};
+
+/**
+ * Expand events into their upcoming sessions
+ * Recurring series become one entry per session (same _id, with that
+ * session's date/endDate); single events pass through if not yet over.
+ *
+ * @param {Array} events - Lean events
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max sessions returned
+ * @param {Date} [options.from] - Defaults to now
+ * @returns {Array} Sessions, earliest first
+ */
+const expandUpcomingEvents = (events, { limit = Infinity, from = new Date() } = {}) => {
+  const to = new Date(from.getTime() + UPCOMING_HORIZON_DAYS * DAY_MS);
+
+  return events
+    .flatMap((event) => {
+      const recurring = isRecurring(event);
+      return getOccurrences(event, { from, to, limit }).map(({ start, end }) => ({
+        ...event,
+        date: start,
+        endDate: end,
+        isRecurring: recurring,
+      }));
+    })
+    .sort((a, b) => a.date - b.date)
+    .slice(0, limit);
+};
+
+module.exports = {
+  rolloverEventStatuses,
+  expandUpcomingEvents,
+};
@@ -0,0 +1,250 @@
+const { resolveTranslation } = require("./translation.service");
+const {
+  DAY_MS,
+  startOfUtcDay,
+  isRecurring,
+  toRRule,
+} = require("../utils/recurrence");
+
+/**
+ * Event Calendar Service
+ * iCalendar (RFC 5545) output for "Add to calendar" downloads and the
+ * public subscribable feed (/api/public/events.ics).
+ *
+ * Event.time is free text ("6:00 AM", "6 - 8 PM"). When a start time can be
+ * read from it the event is written in IST (converted to UTC); otherwise it
+ * is an all-day event. Recurring series are written as one VEVENT with
+ * RRULE / EXDATE / RDATE so calendar apps keep them as a series.
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+// Length of a timed event whose time text has no end time
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+const FEED_HISTORY_DAYS = 90;
+
+const CALENDAR_NAMES = {
+  en: "Shri Gurudev Ashram - Events",
+  hi: "श्री गुरुदेव आश्रम - कार्यक्रम",
+  mr: "श्री गुरुदेव आश्रम - कार्यक्रम",
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || "https://shrigurudevashram.org";
+
+/**
+ * Read start and end times from Event.time
+ * A number only counts as a time with minutes or AM/PM ("6 - 8 PM" takes
+ * PM from the end time).
+ *
+ * @param {string} time
+ * @returns {Object|null} { start, end } in minutes after midnight (end may be null)
+ */
+const parseTimeRange = (time) => {
+  const pattern = /(\d{1,2})(?:[:.](\d{2}))?(?:\s*([ap])\.?\s*m\b\.?)?/gi;
+  const tokens = [];
+  let match;
+  while ((match = pattern.exec(String(time || ""))) && tokens.length < 2) {
+    tokens.push({
+      hours: parseInt(match[1], 10),
+      minutes: match[2] ? parseInt(match[2], 10) : null,
+      meridiem: match[3] ? match[3].toLowerCase() : null,
+    });
+  }
+  if (tokens.length === 0) return null;
+
+  // "6 - 8 PM": the start takes the end's meridiem
+  if (tokens[1] && !tokens[0].meridiem && tokens[1].meridiem) {
+    tokens[0].meridiem = tokens[0].hours <= tokens[1].hours ? tokens[1].meridiem : "a";
+  }
+
+  const toMinutes = ({ hours, minutes, meridiem }) => {
+    if (minutes === null && !meridiem) return null;
+    if (minutes !== null && minutes > 59) return null;
+    let h = hours;
+    if (meridiem) {
+      if (h < 1 || h > 12) return null;
+      if (meridiem === "p" && h !== 12) h += 12;
+      if (meridiem === "a" && h === 12) h = 0;
+    } else if (h > 23) {
+      return null;
+    }
+    return h * 60 + (minutes || 0);
+  };
+
+  const start = toMinutes(tokens[0]);
+  if (start === null) return null;
+  const end = tokens[1] ? toMinutes(tokens[1]) : null;
+  return { start, end };
+};
+
+/**
+ * Start and end of the first session
+ * @returns {Object} { allDay, start, end } - timestamps; all-day end is exclusive
+ */
+const getTiming = (event) => {
+  const firstDay = startOfUtcDay(event.date);
+  const lastDay = event.endDate ? startOfUtcDay(event.endDate) : firstDay;
+  const range = parseTimeRange(event.time);
+
+  if (!range) {
+    return { allDay: true, start: firstDay, end: lastDay + DAY_MS };
+  }
+
+  const start = firstDay + range.start * 60 * 1000 - IST_OFFSET_MS;
+  let end =
+    range.end !== null
+      ? lastDay + range.end * 60 * 1000 - IST_OFFSET_MS
+      : lastDay === firstDay
+        ? start + DEFAULT_DURATION_MS
+        : lastDay + range.start * 60 * 1000 - IST_OFFSET_MS + DEFAULT_DURATION_MS;
+  if (end <= start) end = start + DEFAULT_DURATION_MS;
+
+  return { allDay: false, start, end };
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatDateValue = (ms) => {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+const formatDateTimeValue = (ms) => {
+  const d = new Date(ms);
+  return `${formatDateValue(ms)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ * (Devanagari characters are 3 octets each)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const max = parts.length === 0 ? 75 : 74;
+    if (bytes + size > max) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * VEVENT lines of an event
+ * @param {Object} event - Lean event
+ * @param {string} lang
+ * @returns {Array<string>}
+ */
+const buildVEvent = (event, lang) => {
+  const timing = getTiming(event);
+  const firstDay = startOfUtcDay(event.date);
+  const format = timing.allDay ? formatDateValue : formatDateTimeValue;
+  const valueType = timing.allDay ? ";VALUE=DATE" : "";
+  // Session start on another day, at the same time as the first session
+  const sessionStart = (date) => startOfUtcDay(date) + (timing.start - firstDay);
+
+  const frontendUrl = getFrontendUrl();
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:event-${event._id}@${new URL(frontendUrl).host}`,
+    `DTSTAMP:${formatDateTimeValue(new Date(event.updatedAt || Date.now()).getTime())}`,
+    `DTSTART${valueType}:${format(timing.start)}`,
+    `DTEND${valueType}:${format(timing.end)}`,
+  ];
+
+  if (isRecurring(event)) {
+    const recurrence = event.recurrence;
+    const until = recurrence.until ? format(sessionStart(recurrence.until)) : null;
+    const rrule = toRRule(event, until);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+
+    if (rrule && recurrence.exceptions?.length) {
+      lines.push(`EXDATE${valueType}:${recurrence.exceptions.map((d) => format(sessionStart(d))).join(",")}`);
+    }
+    if (recurrence.additionalDates?.length) {
+      lines.push(`RDATE${valueType}:${recurrence.additionalDates.map((d) => format(sessionStart(d))).join(",")}`);
+    }
+  }
+
+  const description = resolveTranslation(event.description, lang);
+  const location = resolveTranslation(event.location, lang);
+  lines.push(`SUMMARY:${escapeText(resolveTranslation(event.title, lang))}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push(
+    `URL:${frontendUrl}/events/${event._id}`,
+    `STATUS:${event.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  );
+
+  return lines;
+};
+
+/**
+ * iCalendar text for a list of events
+ * @param {Array} events - Lean events
+ * @param {string} lang - en | hi | mr
+ * @param {Object} [options]
+ * @param {boolean} [options.feed] - Add calendar name and refresh hints for subscriptions
+ * @returns {string}
+ */
+const buildCalendar = (events, lang, { feed = false } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Shri Gurudev Ashram//Events//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (feed) {
+    lines.push(
+      `X-WR-CALNAME:${escapeText(CALENDAR_NAMES[lang] || CALENDAR_NAMES.en)}`,
+      "X-WR-TIMEZONE:Asia/Kolkata",
+      "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+      "X-PUBLISHED-TTL:PT6H",
+    );
+  }
+  events.forEach((event) => lines.push(...buildVEvent(event, lang)));
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * Filter for events in the public feed: upcoming series and events, plus
+ * the last FEED_HISTORY_DAYS so recent (and cancelled) events stay visible
+ */
+const getFeedFilter = (now = new Date()) => {
+  const since = new Date(now.getTime() - FEED_HISTORY_DAYS * DAY_MS);
+  return {
+    isPublished: true,
+    $or: [
+      { status: { $in: ["upcoming", "ongoing"] } },
+      { date: { $gte: since } },
+      { endDate: { $gte: since } },
+    ],
+  };
+};
+
+module.exports = {
+  parseTimeRange,
+  buildCalendar,
+  getFeedFilter,
+};
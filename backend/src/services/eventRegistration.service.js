@@ -0,0 +1,872 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const Event = require("../models/Event");
+const EventRegistration = require("../models/EventRegistration");
+const razorpay = require("../config/razorpay");
+const { resolveTranslation } = require("./translation.service");
+const { sendEventRegistrationEmail } = require("./email.service");
+const { toCsv } = require("../utils/csv");
+
+/**
+ * Event Registration Service
+ * Native event registration: seats, waitlist, payment and entry passes.
+ * Shared by the registration controller, the Razorpay webhook and the
+ * registration-expiry scheduled job.
+ *
+ * Seats: Event.registration.seatsTaken counts CONFIRMED and PENDING_PAYMENT
+ * registrations. It is only changed through claimSeat / releaseSeat, whose
+ * conditional updates keep it within capacity under concurrent requests.
+ *
+ * Waitlist: free events promote the oldest waitlisted registration whenever
+ * a seat frees up. Paid events are promoted by an admin - the attendee is
+ * emailed a payment link and the seat is held for PROMOTION_HOLD_HOURS.
+ */
+
+// Seat hold while the Razorpay checkout is open
+const PAYMENT_HOLD_MINUTES = 30;
+// Seat hold after an admin promotes a waitlisted attendee of a paid event
+const PROMOTION_HOLD_HOURS = 48;
+
+// Registrations that still count for the event (one per email - unique index)
+const { ACTIVE_STATUSES } = EventRegistration;
+// Registrations holding a seat
+const SEATED_STATUSES = ["PENDING_PAYMENT", "CONFIRMED"];
+
+const MAX_ANSWER_LENGTH = 1000;
+
+const DUPLICATE_EMAIL_MESSAGE = "This email address is already registered for the event";
+
+/**
+ * Generate a unique, human-readable registration number
+ * Format: REG-<base36 timestamp>-<4 random chars> (e.g., REG-LX2K9A1B-4F7Q)
+ */
+const generateRegistrationNumber = async () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluded O, 0, I, 1 for readability
+  const maxAttempts = 5;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    let suffix = "";
+    for (let i = 0; i < 4; i++) {
+      suffix += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    const registrationNumber = `REG-${Date.now().toString(36).toUpperCase()}-${suffix}`;
+
+    const exists = await EventRegistration.exists({ registrationNumber });
+    if (!exists) return registrationNumber;
+  }
+
+  throw new Error("Could not generate a unique registration number");
+};
+
+// Random code encoded in the QR entry pass
+const generatePassCode = () => crypto.randomBytes(16).toString("hex");
+
+/**
+ * When registration closes: the deadline, or the end of the event's first day
+ * @param {Object} event
+ * @returns {Date}
+ */
+const getRegistrationClosesAt = (event) => {
+  if (event.registration?.deadline) return new Date(event.registration.deadline);
+  const closesAt = new Date(event.date);
+  closesAt.setDate(closesAt.getDate() + 1);
+  return closesAt;
+};
+
+/**
+ * Whether an event currently accepts registrations
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isRegistrationOpen = (event, now = new Date()) =>
+  Boolean(event.registration?.enabled) &&
+  event.isPublished &&
+  !["past", "cancelled"].includes(event.status) &&
+  now <= getRegistrationClosesAt(event);
+
+/**
+ * Public registration details of an event
+ * @param {Object} event
+ * @returns {Object} { enabled, open, fee, capacity, spotsLeft, waitlistEnabled, closesAt }
+ */
+const getRegistrationSummary = (event) => {
+  const registration = event.registration || {};
+  const capacity = registration.capacity ?? null;
+  return {
+    enabled: Boolean(registration.enabled),
+    open: isRegistrationOpen(event),
+    fee: registration.fee || 0,
+    capacity,
+    // null = unlimited
+    spotsLeft:
+      capacity === null ? null : Math.max(0, capacity - (registration.seatsTaken || 0)),
+    waitlistEnabled: registration.waitlistEnabled !== false,
+    closesAt: registration.enabled ? getRegistrationClosesAt(event) : null,
+  };
+};
+
+/**
+ * Validate answers to an event's registration questions
+ * @param {Array} questions - Event.registrationQuestions
+ * @param {Object} rawAnswers - { [key]: value } from the registration form
+ * @returns {Object} { valid: true, answers } or { valid: false, message }
+ */
+const buildAnswers = (questions, rawAnswers = {}) => {
+  const answers = [];
+
+  for (const question of questions || []) {
+    const label = resolveTranslation(question.label, "en");
+    const raw = rawAnswers?.[question.key];
+    let value;
+
+    if (question.type === "checkbox") {
+      const checked = raw === true || raw === "true";
+      if (question.required && !checked) {
+        return { valid: false, message: `"${label}" must be checked` };
+      }
+      value = checked ? "Yes" : "No";
+    } else {
+      value = raw === undefined || raw === null ? "" : String(raw).trim();
+      if (!value) {
+        if (question.required) {
+          return { valid: false, message: `"${label}" is required` };
+        }
+      } else if (question.type === "number" && !Number.isFinite(Number(value))) {
+        return { valid: false, message: `"${label}" must be a number` };
+      } else if (question.type === "select" && !question.options.includes(value)) {
+        return { valid: false, message: `"${label}" must be one of the listed options` };
+      } else if (value.length > MAX_ANSWER_LENGTH) {
+        return {
+          valid: false,
+          message: `"${label}" cannot exceed ${MAX_ANSWER_LENGTH} characters`,
+        };
+      }
+    }
+
+    answers.push({ key: question.key, label, value });
+  }
+
+  return { valid: true, answers };
+};
+
+/**
+ * Take a seat if the event has one free
+ * @param {string} eventId
+ * @returns {Promise<boolean>} true if a seat was taken
+ */
+const claimSeat = async (eventId) => {
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { "registration.capacity": null },
+        { $expr: { $lt: ["$registration.seatsTaken", "$registration.capacity"] } },
+      ],
+    },
+    { $inc: { "registration.seatsTaken": 1 } },
+    { new: true },
+  );
+  return Boolean(event);
+};
+
+/**
+ * Give a seat back
+ * @param {string} eventId
+ */
+const releaseSeat = async (eventId) => {
+  await Event.updateOne(
+    { _id: eventId, "registration.seatsTaken": { $gt: 0 } },
+    { $inc: { "registration.seatsTaken": -1 } },
+  );
+};
+
+/**
+ * QR entry pass image for a pass code
+ * @param {string} passCode
+ * @returns {Promise<Buffer>} PNG
+ */
+const buildPassQr = (passCode) => QRCode.toBuffer(passCode, { margin: 1, width: 240 });
+
+/**
+ * Public page where an attendee can check a registration and pay
+ */
+const getRegistrationPageUrl = (registration) => {
+  const frontendUrl = process.env.FRONTEND_URL || "https://shrigurudevashram.org";
+  return `${frontendUrl}/events/${registration.event}/registration/${registration.registrationNumber}`;
+};
+
+const formatEventWhen = (event, lang) => {
+  const date = new Date(event.date).toLocaleDateString(`${lang}-IN`, {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "Asia/Kolkata",
+  });
+  return event.time ? `${date}, ${event.time}` : date;
+};
+
+/**
+ * Email an attendee about their registration
+ * Never throws - a failed email must not undo the registration.
+ *
+ * @param {Object} registration - EventRegistration document
+ * @param {Object} event - Event document
+ * @param {"confirmed"|"waitlisted"|"payment_due"} kind
+ * @returns {Promise<boolean>} true if sent
+ */
+const sendRegistrationEmail = async (registration, event, kind) => {
+  try {
+    const lang = registration.language || "en";
+    const sent = await sendEventRegistrationEmail({
+      kind,
+      to: registration.email,
+      name: registration.name,
+      eventTitle: resolveTranslation(event.title, lang),
+      eventWhen: formatEventWhen(event, lang),
+      location: resolveTranslation(event.location, lang),
+      registrationNumber: registration.registrationNumber,
+      passQr: kind === "confirmed" ? await buildPassQr(registration.passCode) : undefined,
+      paymentUrl: kind === "payment_due" ? getRegistrationPageUrl(registration) : undefined,
+    });
+
+    if (sent && kind === "confirmed") {
+      await EventRegistration.updateOne(
+        { _id: registration._id },
+        { $set: { confirmationEmailSent: true } },
+      );
+    }
+    return sent;
+  } catch (error) {
+    console.error("[EventRegistration] Email failed:", registration.registrationNumber, error.message);
+    return false;
+  }
+};
+
+/**
+ * Confirm a registration and issue its entry pass
+ * Atomic status transition prevents double confirmation.
+ *
+ * @param {string} registrationId
+ * @param {Array<string>} fromStatuses - Statuses the registration may be confirmed from
+ * @param {Object} [extra] - Additional fields to set (e.g. payment details)
+ * @returns {Promise<Object|null>} Confirmed registration, or null if its status changed
+ */
+const confirmRegistration = (registrationId, fromStatuses, extra = {}) =>
+  EventRegistration.findOneAndUpdate(
+    { _id: registrationId, status: { $in: fromStatuses } },
+    {
+      $set: {
+        status: "CONFIRMED",
+        passCode: generatePassCode(),
+        confirmedAt: new Date(),
+        holdExpiresAt: null,
+        ...extra,
+      },
+    },
+    { new: true },
+  );
+
+/**
+ * Issue (or reuse) the Razorpay order for a PENDING_PAYMENT registration
+ * Throws if Razorpay is unavailable - callers decide what to do with the seat.
+ *
+ * @param {Object} registration - EventRegistration document
+ * @returns {Promise<Object>} { razorpayOrderId, amount, currency, key }
+ */
+const createPaymentOrder = async (registration) => {
+  const amount = Math.round(registration.fee * 100); // paise
+
+  if (!registration.razorpayOrderId) {
+    const razorpayOrder = await razorpay.orders.create({
+      amount,
+      currency: "INR",
+      receipt: registration.registrationNumber,
+      notes: {
+        type: "event_registration",
+        registrationNumber: registration.registrationNumber,
+      },
+    });
+    registration.razorpayOrderId = razorpayOrder.id;
+    await registration.save();
+  }
+
+  return {
+    razorpayOrderId: registration.razorpayOrderId,
+    amount,
+    currency: "INR",
+    key: process.env.RAZORPAY_KEY_ID,
+  };
+};
+
+/**
+ * Promote waitlisted registrations of a free event into free seats
+ * Oldest first. Paid events are promoted by an admin (promoteRegistration).
+ *
+ * @param {string} eventId
+ * @returns {Promise<number>} Number of registrations promoted
+ */
+const promoteWaitlist = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (
+    !event ||
+    !event.registration?.enabled ||
+    event.registration.fee > 0 ||
+    ["past", "cancelled"].includes(event.status)
+  ) {
+    return 0;
+  }
+
+  let promoted = 0;
+  for (;;) {
+    const next = await EventRegistration.findOne({ event: eventId, status: "WAITLISTED" })
+      .sort({ createdAt: 1 })
+      .select("_id");
+    if (!next || !(await claimSeat(eventId))) break;
+
+    const registration = await confirmRegistration(next._id, ["WAITLISTED"]);
+    if (!registration) {
+      // Cancelled or promoted by someone else meanwhile
+      await releaseSeat(eventId);
+      continue;
+    }
+
+    await sendRegistrationEmail(registration, event, "confirmed");
+    promoted++;
+  }
+
+  return promoted;
+};
+
+/**
+ * Register an attendee for an event
+ * The caller checks isRegistrationOpen and validates the details.
+ *
+ * - Seat free, free event: CONFIRMED with entry pass
+ * - Seat free, paid event: PENDING_PAYMENT with a Razorpay order
+ * - Event full: WAITLISTED (or rejected if the waitlist is off)
+ *
+ * @param {Object} event - Event document
+ * @param {Object} details - { name, email, mobile, answers } (answers from buildAnswers)
+ * @param {Object} context - { userId, language }
+ * @returns {Promise<Object>} { success: true, registration, payment? } or { success: false, status, message }
+ */
+const registerForEvent = async (event, details, { userId, language }) => {
+  const duplicate = await EventRegistration.exists({
+    event: event._id,
+    email: details.email,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (duplicate) {
+    return { success: false, status: 409, message: DUPLICATE_EMAIL_MESSAGE };
+  }
+
+  const seated = await claimSeat(event._id);
+  if (!seated && !event.registration.waitlistEnabled) {
+    return { success: false, status: 409, message: "This event is full" };
+  }
+
+  const fee = event.registration.fee || 0;
+  const now = new Date();
+  let status = "WAITLISTED";
+  if (seated) status = fee > 0 ? "PENDING_PAYMENT" : "CONFIRMED";
+
+  let registration;
+  try {
+    registration = await EventRegistration.create({
+      event: event._id,
+      registrationNumber: await generateRegistrationNumber(),
+      user: userId || null,
+      name: details.name,
+      email: details.email,
+      mobile: details.mobile || null,
+      language,
+      answers: details.answers,
+      status,
+      fee,
+      holdExpiresAt:
+        status === "PENDING_PAYMENT"
+          ? new Date(now.getTime() + PAYMENT_HOLD_MINUTES * 60 * 1000)
+          : null,
+      passCode: status === "CONFIRMED" ? generatePassCode() : undefined,
+      confirmedAt: status === "CONFIRMED" ? now : null,
+    });
+  } catch (error) {
+    if (seated) await releaseSeat(event._id);
+    // Unique partial index: a concurrent sign-up with the same email won
+    if (error.code === 11000 && error.keyPattern?.email) {
+      return { success: false, status: 409, message: DUPLICATE_EMAIL_MESSAGE };
+    }
+    throw error;
+  }
+
+  if (status === "PENDING_PAYMENT") {
+    try {
+      const payment = await createPaymentOrder(registration);
+      return { success: true, registration, payment };
+    } catch (razorpayError) {
+      console.error("Razorpay order creation failed:", razorpayError);
+      registration.status = "PAYMENT_FAILED";
+      registration.failureReason = "Payment gateway unavailable";
+      registration.holdExpiresAt = null;
+      await registration.save();
+      await releaseSeat(event._id);
+      return { success: false, status: 502, message: "Failed to create Razorpay order" };
+    }
+  }
+
+  await sendRegistrationEmail(
+    registration,
+    event,
+    status === "CONFIRMED" ? "confirmed" : "waitlisted",
+  );
+  return { success: true, registration };
+};
+
+/**
+ * Confirm a paid registration after payment.captured
+ * A capture can arrive after the seat was released (hold expired, or an
+ * earlier attempt on the same Razorpay order failed). The seat is then
+ * claimed again; if the event has filled up meanwhile the payment is
+ * flagged for a refund.
+ *
+ * @param {string} razorpayOrderId - Razorpay order ID from payment entity
+ * @param {string} paymentId - Razorpay payment ID
+ * @returns {Promise<Object|null>} Updated registration, or null if not found / already processed
+ */
+const finalizeRegistrationPayment = async (razorpayOrderId, paymentId) => {
+  const now = new Date();
+
+  let registration = await EventRegistration.findOneAndUpdate(
+    { razorpayOrderId, status: "PENDING_PAYMENT" },
+    {
+      $set: {
+        status: "CONFIRMED",
+        paymentId,
+        paidAt: now,
+        passCode: generatePassCode(),
+        confirmedAt: now,
+        holdExpiresAt: null,
+      },
+    },
+    { new: true },
+  );
+
+  if (!registration) {
+    // Record the payment first so a duplicate webhook cannot claim a second seat
+    const late = await EventRegistration.findOneAndUpdate(
+      { razorpayOrderId, status: { $in: ["EXPIRED", "PAYMENT_FAILED"] }, paidAt: null },
+      { $set: { paymentId, paidAt: now } },
+      { new: true },
+    );
+    if (!late) {
+      console.log("Registration not found or already processed for order:", razorpayOrderId);
+      return null;
+    }
+
+    if (!(await claimSeat(late.event))) {
+      late.paymentIssue = "Paid after the seat was released and the event is full - refund required";
+      await late.save();
+      console.error(
+        `[EventRegistration] Payment for ${late.registrationNumber} needs a refund: event is full`,
+      );
+      return late;
+    }
+
+    try {
+      registration = await confirmRegistration(late._id, ["EXPIRED", "PAYMENT_FAILED"]);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // The same email registered again after this one lapsed
+      await releaseSeat(late.event);
+      late.paymentIssue = "Paid after the email was registered again - refund required";
+      await late.save();
+      console.error(
+        `[EventRegistration] Payment for ${late.registrationNumber} needs a refund: email registered again`,
+      );
+      return late;
+    }
+    if (!registration) {
+      await releaseSeat(late.event);
+      return null;
+    }
+  }
+
+  const event = await Event.findById(registration.event);
+  if (event) await sendRegistrationEmail(registration, event, "confirmed");
+
+  return registration;
+};
+
+/**
+ * Mark a paid registration as PAYMENT_FAILED after payment.failed
+ * The seat is released (and offered to the waitlist of free events).
+ *
+ * @param {string} razorpayOrderId - Razorpay order ID
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object|null>} Updated registration or null
+ */
+const markRegistrationPaymentFailed = async (razorpayOrderId, payment) => {
+  const registration = await EventRegistration.findOneAndUpdate(
+    { razorpayOrderId, status: "PENDING_PAYMENT" },
+    {
+      $set: {
+        status: "PAYMENT_FAILED",
+        failureReason:
+          payment.error_description || payment.error_reason || "Payment failed",
+        holdExpiresAt: null,
+      },
+    },
+    { new: true },
+  );
+
+  if (!registration) return null;
+
+  await releaseSeat(registration.event);
+  console.log("Registration marked PAYMENT_FAILED:", registration.registrationNumber);
+  return registration;
+};
+
+/**
+ * Release seats of PENDING_PAYMENT registrations whose hold has expired
+ * Runs as the event-registration-expiry scheduled job.
+ *
+ * @returns {Promise<Object>} { expired, promoted }
+ */
+const expireStaleRegistrations = async () => {
+  const stale = await EventRegistration.find({
+    status: "PENDING_PAYMENT",
+    holdExpiresAt: { $lt: new Date() },
+  })
+    .select("_id event")
+    .lean();
+
+  let expired = 0;
+  const eventIds = new Set();
+  for (const { _id, event } of stale) {
+    const result = await EventRegistration.updateOne(
+      { _id, status: "PENDING_PAYMENT" },
+      {
+        $set: {
+          status: "EXPIRED",
+          failureReason: "Payment not completed in time",
+          holdExpiresAt: null,
+        },
+      },
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await releaseSeat(event);
+    eventIds.add(String(event));
+    expired++;
+  }
+
+  let promoted = 0;
+  for (const eventId of eventIds) {
+    promoted += await promoteWaitlist(eventId);
+  }
+
+  return { expired, promoted };
+};
+
+/**
+ * Give a waitlisted attendee a seat (admin action)
+ * Free events: confirmed immediately. Paid events: PENDING_PAYMENT with a
+ * PROMOTION_HOLD_HOURS hold and a payment link emailed to the attendee.
+ *
+ * @param {Object} registration - EventRegistration document
+ * @param {Object} event - Event document
+ * @returns {Promise<Object>} { success: true, registration } or { success: false, status, message }
+ */
+const promoteRegistration = async (registration, event) => {
+  if (registration.status !== "WAITLISTED") {
+    return {
+      success: false,
+      status: 400,
+      message: "Only waitlisted registrations can be promoted",
+    };
+  }
+
+  if (!(await claimSeat(event._id))) {
+    return {
+      success: false,
+      status: 409,
+      message: "The event is full - raise the capacity or cancel a registration first",
+    };
+  }
+
+  const fee = event.registration.fee || 0;
+  const updated =
+    fee > 0
+      ? await EventRegistration.findOneAndUpdate(
+          { _id: registration._id, status: "WAITLISTED" },
+          {
+            $set: {
+              status: "PENDING_PAYMENT",
+              fee,
+              holdExpiresAt: new Date(Date.now() + PROMOTION_HOLD_HOURS * 60 * 60 * 1000),
+            },
+          },
+          { new: true },
+        )
+      : await confirmRegistration(registration._id, ["WAITLISTED"]);
+
+  if (!updated) {
+    await releaseSeat(event._id);
+    return {
+      success: false,
+      status: 409,
+      message: "Registration was changed meanwhile - please refresh",
+    };
+  }
+
+  await sendRegistrationEmail(updated, event, fee > 0 ? "payment_due" : "confirmed");
+  return { success: true, registration: updated };
+};
+
+/**
+ * Cancel a registration (admin action)
+ * Seated registrations give their seat back to the waitlist.
+ * Refunds of paid registrations are made separately in Razorpay.
+ *
+ * @param {Object} registration - EventRegistration document
+ * @param {string} adminId
+ * @returns {Promise<Object>} { success: true, registration } or { success: false, status, message }
+ */
+const cancelRegistration = async (registration, adminId) => {
+  if (!ACTIVE_STATUSES.includes(registration.status)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Registration is already ${registration.status.toLowerCase().replace("_", " ")}`,
+    };
+  }
+
+  const updated = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: registration.status },
+    {
+      $set: {
+        status: "CANCELLED",
+        cancelledAt: new Date(),
+        cancelledBy: adminId,
+        holdExpiresAt: null,
+      },
+    },
+    { new: true },
+  );
+
+  if (!updated) {
+    return {
+      success: false,
+      status: 409,
+      message: "Registration was changed meanwhile - please refresh",
+    };
+  }
+
+  if (SEATED_STATUSES.includes(registration.status)) {
+    await releaseSeat(registration.event);
+    await promoteWaitlist(registration.event);
+  }
+
+  return { success: true, registration: updated };
+};
+
+/**
+ * Registration counts of an event by status
+ * @param {string} eventId
+ * @returns {Promise<Object>} { CONFIRMED: n, WAITLISTED: n, ... }
+ */
+const getRegistrationCounts = async (eventId) => {
+  const rows = await EventRegistration.aggregate([
+    { $match: { event: eventId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+};
+
+/**
+ * Attendee list CSV
+ * One column per registration question (current questions first, then any
+ * answered questions that have since been removed).
+ *
+ * @param {Object} event - Event document
+ * @param {Array} registrations - EventRegistration documents, in list order
+ * @returns {string}
+ */
+const buildRegistrationsCsv = (event, registrations) => {
+  const columns = (event.registrationQuestions || []).map((q) => ({
+    key: q.key,
+    label: resolveTranslation(q.label, "en"),
+  }));
+  registrations.forEach((r) =>
+    r.answers.forEach((answer) => {
+      if (!columns.some((c) => c.key === answer.key)) {
+        columns.push({ key: answer.key, label: answer.label || answer.key });
+      }
+    }),
+  );
+
+  const header = [
+    "Registration No",
+    "Name",
+    "Email",
+    "Mobile",
+    "Status",
+    "Fee",
+    "Paid At",
+    "Payment ID",
+    "Registered At",
+    "Checked In At",
+    ...columns.map((c) => c.label),
+  ];
+  const rows = registrations.map((r) => [
+    r.registrationNumber,
+    r.name,
+    r.email,
+    r.mobile,
+    r.status,
+    r.fee,
+    r.paidAt ? new Date(r.paidAt).toISOString() : "",
+    r.paymentId,
+    new Date(r.createdAt).toISOString(),
+    r.checkedInAt ? new Date(r.checkedInAt).toISOString() : "",
+    ...columns.map((c) => r.answers.find((a) => a.key === c.key)?.value ?? ""),
+  ]);
+
+  return toCsv(header, rows);
+};
+
+/**
+ * Events open for gate check-in: registration enabled, not cancelled, and
+ * not finished more than a day ago (late arrivals of the previous evening)
+ * @returns {Promise<Array>} Events, soonest first
+ */
+const getCheckInEvents = () => {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  return Event.find({
+    "registration.enabled": true,
+    status: { $ne: "cancelled" },
+    $or: [{ endDate: { $gte: since } }, { endDate: null, date: { $gte: since } }],
+  })
+    .select("title date endDate time location registration.capacity")
+    .sort({ date: 1 })
+    .limit(20)
+    .lean();
+};
+
+/**
+ * Find a registration by the code read at the gate
+ * The QR entry pass encodes the passCode; attendees without their pass can
+ * give the registration number from their confirmation email instead.
+ *
+ * @param {string} code
+ * @returns {Promise<Object|null>} EventRegistration document
+ */
+const findByEntryCode = async (code) => {
+  const value = String(code || "").trim();
+  if (!value) return null;
+  if (/^[0-9a-f]{32}$/i.test(value)) {
+    return EventRegistration.findOne({ passCode: value.toLowerCase() });
+  }
+  return EventRegistration.findOne({ registrationNumber: value.toUpperCase() });
+};
+
+/**
+ * Check an attendee in at the gate
+ * Only CONFIRMED registrations of this event are admitted, and the atomic
+ * checkedInAt: null guard admits each pass once even when two volunteers
+ * scan it at the same moment.
+ *
+ * @param {string} eventId
+ * @param {string} code - passCode from the QR, or the registration number
+ * @param {string} volunteerId
+ * @returns {Promise<Object>} { success: true, registration } or
+ *   { success: false, status, message, registration? }
+ */
+const checkInRegistration = async (eventId, code, volunteerId) => {
+  const registration = await findByEntryCode(code);
+
+  if (!registration) {
+    return { success: false, status: 404, message: "No registration found for this code" };
+  }
+
+  if (String(registration.event) !== String(eventId)) {
+    return {
+      success: false,
+      status: 400,
+      message: "This pass is for a different event",
+      registration,
+    };
+  }
+
+  if (registration.status !== "CONFIRMED") {
+    return {
+      success: false,
+      status: 400,
+      message: `Registration is ${registration.status.toLowerCase().replace("_", " ")} - not admitted`,
+      registration,
+    };
+  }
+
+  const updated = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: "CONFIRMED", checkedInAt: null },
+    { $set: { checkedInAt: new Date(), checkedInBy: volunteerId } },
+    { new: true },
+  );
+
+  if (!updated) {
+    const current = await EventRegistration.findById(registration._id);
+    return {
+      success: false,
+      status: 409,
+      message: current?.checkedInAt
+        ? "Already checked in"
+        : "Registration was changed meanwhile - please scan again",
+      registration: current,
+    };
+  }
+
+  return { success: true, registration: updated };
+};
+
+/**
+ * Live attendance of an event
+ * @param {string} eventId
+ * @returns {Promise<Object>} { confirmed, checkedIn }
+ */
+const getAttendanceCounts = async (eventId) => {
+  const [confirmed, checkedIn] = await Promise.all([
+    EventRegistration.countDocuments({ event: eventId, status: "CONFIRMED" }),
+    EventRegistration.countDocuments({
+      event: eventId,
+      status: "CONFIRMED",
+      checkedInAt: { $ne: null },
+    }),
+  ]);
+  return { confirmed, checkedIn };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  SEATED_STATUSES,
+  getRegistrationClosesAt,
+  isRegistrationOpen,
+  getRegistrationSummary,
+  buildAnswers,
+  claimSeat,
+  releaseSeat,
+  buildPassQr,
+  createPaymentOrder,
+  promoteWaitlist,
+  registerForEvent,
+  finalizeRegistrationPayment,
+  markRegistrationPaymentFailed,
+  expireStaleRegistrations,
+  promoteRegistration,
+  cancelRegistration,
+  getRegistrationCounts,
+  buildRegistrationsCsv,
+  getCheckInEvents,
+  checkInRegistration,
+  getAttendanceCounts,
+};
@@ -0,0 +1,189 @@
+const Donation = require("../models/Donation");
+const { buildEligibleFilter, formatAddress } = require("./certificate.service");
+const { parseFinancialYear } = require("../utils/financialYear");
+const { toCsv } = require("../utils/csv");
+
+/**
+ * Form 10BD Service
+ * Statement of donations received (section 80G) for a financial year, in the
+ * CSV template accepted by the income-tax e-filing portal.
+ *
+ * Uses the same donations as the annual 80G certificates: counted donations to
+ * 80G-eligible heads, at the amount kept after refunds. One row per donor PAN
+ * and mode of receipt. Donations with a bad PAN, name or address are left out
+ * of the CSV and reported as validation errors so they can be corrected first.
+ */
+
+// Column order of the e-filing portal's Form 10BD CSV template
+const FORM_10BD_COLUMNS = [
+  "Sr. No.",
+  "Pre Acknowledgement Number",
+  "ID Code",
+  "Unique Identification Number",
+  "Section Code",
+  "Unique Registration Number (URN)",
+  "Date of Issuance of Unique Registration Number",
+  "Name of donor",
+  "Address of donor",
+  "Donation Type",
+  "Mode of receipt",
+  "Amount of donation (Indian rupees)",
+];
+
+// Code values as listed in the portal's drop-downs
+const ID_CODE_PAN = "Permanent Account Number";
+const SECTION_CODE_80G = "Section 80G";
+const DONATION_TYPE_OTHERS = "Others";
+
+// Donation.paymentMethod -> "Mode of receipt"
+const MODE_OF_RECEIPT = {
+  CASH: "Cash",
+  ONLINE: "Electronic modes including account payee cheque/draft",
+  UPI: "Electronic modes including account payee cheque/draft",
+  CHEQUE: "Electronic modes including account payee cheque/draft",
+};
+
+const PAN_REGEX = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const MIN_ADDRESS_LENGTH = 10;
+
+/**
+ * Validate the donor details Form 10BD needs
+ * @returns {Array<Object>} [{ field, message }] - empty if valid
+ */
+const validateDonor = ({ pan, name, address }) => {
+  const problems = [];
+
+  if (!pan) {
+    problems.push({ field: "pan", message: "PAN is missing" });
+  } else if (!PAN_REGEX.test(pan)) {
+    problems.push({ field: "pan", message: `"${pan}" is not a valid PAN` });
+  }
+
+  if (!name) {
+    problems.push({ field: "name", message: "Donor name is missing" });
+  }
+
+  if (!address) {
+    problems.push({ field: "address", message: "Address is missing" });
+  } else if (address.length < MIN_ADDRESS_LENGTH) {
+    problems.push({ field: "address", message: `Address "${address}" is incomplete` });
+  }
+
+  return problems;
+};
+
+/**
+ * Build the Form 10BD statement for a financial year
+ *
+ * @param {string} financialYear - e.g. "2025-26"
+ * @returns {Promise<Object>} { rows, errors, summary }
+ */
+const buildForm10BD = async (financialYear) => {
+  const fy = parseFinancialYear(financialYear);
+  if (!fy) throw new Error(`Invalid financial year: ${financialYear}`);
+
+  const donations = await Donation.find(await buildEligibleFilter(fy))
+    .select("donor amount refundedAmount receiptNumber paymentMethod payment.method createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const groups = new Map();
+  const errors = [];
+
+  donations.forEach((d) => {
+    const amount = d.amount - (d.refundedAmount || 0);
+    if (amount <= 0) return;
+
+    const pan = (d.donor?.idNumber || "").trim().toUpperCase();
+    const name = (d.donor?.name || "").trim();
+    const address = formatAddress(d.donor).replace(/\s+/g, " ").trim();
+    const paymentMethod = d.payment?.method || d.paymentMethod || "ONLINE";
+
+    const problems = validateDonor({ pan, name, address });
+    if (problems.length > 0) {
+      problems.forEach((p) =>
+        errors.push({
+          donation: d._id,
+          receiptNumber: d.receiptNumber,
+          date: d.createdAt,
+          donorName: name,
+          amount,
+          ...p,
+        }),
+      );
+      return;
+    }
+
+    const mode = MODE_OF_RECEIPT[paymentMethod] || MODE_OF_RECEIPT.ONLINE;
+    const key = `${pan}|${mode}`;
+    const group = groups.get(key) || { pan, mode, amount: 0, donationCount: 0 };
+
+    // Sorted oldest first, so the latest donor details win
+    group.name = name;
+    group.address = address;
+    group.amount += amount;
+    group.donationCount++;
+    groups.set(key, group);
+  });
+
+  const rows = [...groups.values()]
+    .sort((a, b) => a.name.localeCompare(b.name) || a.pan.localeCompare(b.pan))
+    .map((g, index) => ({
+      srNo: index + 1,
+      idCode: ID_CODE_PAN,
+      pan: g.pan,
+      sectionCode: SECTION_CODE_80G,
+      name: g.name,
+      address: g.address,
+      donationType: DONATION_TYPE_OTHERS,
+      mode: g.mode,
+      amount: g.amount,
+      donationCount: g.donationCount,
+    }));
+
+  const invalidDonations = new Set(errors.map((e) => String(e.donation))).size;
+
+  return {
+    rows,
+    errors,
+    summary: {
+      financialYear,
+      donorCount: new Set(rows.map((r) => r.pan)).size,
+      rowCount: rows.length,
+      totalAmount: rows.reduce((sum, r) => sum + r.amount, 0),
+      donationsIncluded: rows.reduce((sum, r) => sum + r.donationCount, 0),
+      donationsExcluded: invalidDonations,
+    },
+  };
+};
+
+/**
+ * Form 10BD rows as CSV text in the portal's template layout
+ * Pre-acknowledgement number and URN columns are left blank, as the portal expects.
+ *
+ * @param {Array<Object>} rows - From buildForm10BD
+ * @returns {string}
+ */
+const toForm10BDCsv = (rows) =>
+  toCsv(
+    FORM_10BD_COLUMNS,
+    rows.map((r) => [
+      r.srNo,
+      "",
+      r.idCode,
+      r.pan,
+      r.sectionCode,
+      "",
+      "",
+      r.name,
+      r.address,
+      r.donationType,
+      r.mode,
+      r.amount,
+    ]),
+  );
+
+module.exports = {
+  buildForm10BD,
+  toForm10BDCsv,
+};
@@ -2,6 +2,7 @@ const sharp = require("sharp");
 const path = require("path");
 const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
+const { encryptBuffer, decryptBuffer } = require("../utils/fieldEncryption");
 
 /**
  * KYC SERVICE
@@ -9,7 +10,8 @@ const { v4: uuidv4 } = require("uuid");
  * 
  * SECURITY:
  * - Files stored in private_storage/kyc/ (NOT publicly accessible)
- * - Files converted to WebP format
+ * - Files converted to WebP format, then encrypted with PII_ENCRYPTION_KEY
+ *   (files saved before encryption are read as-is until migrated)
  * - UUID-based filenames to prevent guessing
  * - No direct file path exposure
  */
@@ -32,7 +34,7 @@ ensureDirectory();
 
 /**
  * Process and save KYC document
- * Converts to WebP and saves with secure filename
+ * Converts to WebP, encrypts and saves with secure filename
  * 
  * @param {Buffer} buffer - Raw image buffer from multer
  * @param {string} userId - User ID for filename prefix
@@ -42,20 +44,22 @@ exports.saveKycDocument = async (buffer, userId) => {
   try {
     ensureDirectory();
 
-    // Generate secure filename: kyc_<userId>_<uuid>.webp
+    // Generate secure filename: kyc_<userId>_<uuid>.webp.enc
     const uniqueId = uuidv4();
-    const fileKey = `kyc_${userId}_${uniqueId}.webp`;
+    const fileKey = `kyc_${userId}_${uniqueId}.webp.enc`;
     const fullPath = path.join(PRIVATE_STORAGE_DIR, fileKey);
 
     // Convert to WebP with moderate compression
     // Keep reasonable quality for document verification
-    await sharp(buffer)
+    const webp = await sharp(buffer)
       .resize(1200, null, {
         withoutEnlargement: true,
         fit: "inside",
       })
       .webp({ quality: 85 })
-      .toFile(fullPath);
+      .toBuffer();
+
+    await fs.promises.writeFile(fullPath, encryptBuffer(webp));
 
     return { fileKey };
   } catch (error) {
@@ -90,6 +94,20 @@ exports.getKycDocumentPath = (fileKey) => {
   return fullPath;
 };
 
+/**
+ * Read and decrypt a KYC document
+ * Used for streaming to admin
+ *
+ * @param {string} fileKey - The stored file key
+ * @returns {Promise<Buffer|null>} - WebP image or null if not found
+ */
+exports.readKycDocument = async (fileKey) => {
+  const fullPath = exports.getKycDocumentPath(fileKey);
+  if (!fullPath) return null;
+
+  return decryptBuffer(await fs.promises.readFile(fullPath));
+};
+
 /**
  * Delete KYC documents for a user
  * Used when application is rejected and user wants to reapply
@@ -0,0 +1,215 @@
+const axios = require("axios");
+const Event = require("../models/Event");
+const Activity = require("../models/Activity");
+const DonationHead = require("../models/DonationHead");
+const GalleryCategory = require("../models/GalleryCategory");
+const Announcement = require("../models/Announcement");
+const Banner = require("../models/Banner");
+const {
+  translatableFields,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+} = require("../config/translatableFields");
+const { collectTranslatableValues } = require("./translation.service");
+
+/**
+ * Machine Translation Service
+ * Drafts missing Hindi / Marathi values of admin content from the English
+ * text. Drafted values are recorded in the document's machineTranslated[]
+ * (see machineTranslatedPlugin) and shown as "needs review" until an admin
+ * edits them or marks them reviewed.
+ *
+ * Providers are pluggable - TRANSLATION_PROVIDER selects one:
+ * - stub: offline, prefixes the English text with the language code
+ * - google: Google Cloud Translation (GOOGLE_TRANSLATE_API_KEY)
+ * Other providers can be added with registerTranslationProvider.
+ */
+
+// Content models with multilingual fields, and the field used to name an item
+const TRANSLATABLE_MODELS = {
+  Event: { model: Event, labelField: "title" },
+  Activity: { model: Activity, labelField: "title" },
+  DonationHead: { model: DonationHead, labelField: "name" },
+  GalleryCategory: { model: GalleryCategory, labelField: "name" },
+  Announcement: { model: Announcement, labelField: "text" },
+  Banner: { model: Banner, labelField: "title" },
+};
+
+const TARGET_LANGUAGES = SUPPORTED_LANGUAGES.filter((lang) => lang !== DEFAULT_LANGUAGE);
+
+// Google Translation API accepts at most 128 strings per request
+const GOOGLE_BATCH_SIZE = 100;
+
+/**
+ * Provider interface:
+ *   translate(texts: string[], targetLang: string, sourceLang: string)
+ *     => Promise<string[]> (same order and length as texts)
+ */
+const providers = {
+  stub: {
+    translate: async (texts, targetLang) => texts.map((text) => `[${targetLang}] ${text}`),
+  },
+
+  google: {
+    translate: async (texts, targetLang, sourceLang) => {
+      const apiKey = process.env.GOOGLE_TRANSLATE_API_KEY;
+      if (!apiKey) {
+        throw new Error("GOOGLE_TRANSLATE_API_KEY is not set");
+      }
+
+      const translated = [];
+      for (let i = 0; i < texts.length; i += GOOGLE_BATCH_SIZE) {
+        const response = await axios.post(
+          "https://translation.googleapis.com/language/translate/v2",
+          {
+            q: texts.slice(i, i + GOOGLE_BATCH_SIZE),
+            source: sourceLang,
+            target: targetLang,
+            format: "text",
+          },
+          { params: { key: apiKey }, timeout: 15000 },
+        );
+        translated.push(...response.data.data.translations.map((t) => t.translatedText));
+      }
+      return translated;
+    },
+  },
+};
+
+/**
+ * Add or replace a translation provider
+ * @param {string} name - Value of TRANSLATION_PROVIDER that selects it
+ * @param {{ translate: Function }} provider
+ */
+const registerTranslationProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * The configured provider, or null if TRANSLATION_PROVIDER is unset or unknown
+ * @returns {{ name: string, translate: Function } | null}
+ */
+const getTranslationProvider = () => {
+  const name = process.env.TRANSLATION_PROVIDER;
+  return name && providers[name] ? { name, ...providers[name] } : null;
+};
+
+const hasText = (value) => typeof value === "string" && value.trim().length > 0;
+
+// machineTranslated entries whose drafted text is still in place
+const activeDrafts = (doc) =>
+  (doc.machineTranslated || []).filter((entry) => {
+    const value = entry.path.split(".").reduce((obj, key) => obj?.[key], doc);
+    return value === entry.text;
+  });
+
+/**
+ * Fill missing translations of a document from its English text
+ * Does not save - the caller saves the document.
+ *
+ * @param {Document} doc - Mongoose document of a TRANSLATABLE_MODELS model
+ * @param {string} modelName
+ * @param {Object} provider - From getTranslationProvider
+ * @returns {Promise<number>} Number of values drafted
+ */
+const draftTranslations = async (doc, modelName, provider) => {
+  const values = collectTranslatableValues(doc.toObject(), modelName);
+  let drafted = 0;
+
+  for (const lang of TARGET_LANGUAGES) {
+    const missing = values.filter(({ value }) => hasText(value.en) && !hasText(value[lang]));
+    if (missing.length === 0) continue;
+
+    const translated = await provider.translate(
+      missing.map(({ value }) => value.en.trim()),
+      lang,
+      DEFAULT_LANGUAGE,
+    );
+
+    missing.forEach(({ path }, i) => {
+      if (!hasText(translated[i])) return;
+
+      const langPath = `${path}.${lang}`;
+      doc.set(langPath, translated[i].trim());
+      doc.machineTranslated = doc.machineTranslated.filter((e) => e.path !== langPath);
+      doc.machineTranslated.push({
+        path: langPath,
+        text: doc.get(langPath),
+        provider: provider.name,
+        translatedAt: new Date(),
+      });
+      drafted++;
+    });
+  }
+
+  return drafted;
+};
+
+/**
+ * Mark machine-translated values as reviewed
+ * @param {Document} doc
+ * @param {string[]} [paths] - e.g. ["title.hi"]; all drafts if omitted
+ * @returns {number} Number of drafts marked reviewed
+ */
+const markTranslationsReviewed = (doc, paths) => {
+  const before = doc.machineTranslated.length;
+  doc.machineTranslated = paths?.length
+    ? doc.machineTranslated.filter((entry) => !paths.includes(entry.path))
+    : [];
+  return before - doc.machineTranslated.length;
+};
+
+/**
+ * Content with missing or unreviewed translations, per model
+ * An English value with an empty hi / mr counts as missing.
+ *
+ * @returns {Promise<Array>} [{ model, total, items: [{ _id, label, missing, machineTranslated }] }]
+ */
+const getTranslationReport = async () => {
+  const report = [];
+
+  for (const [modelName, { model, labelField }] of Object.entries(TRANSLATABLE_MODELS)) {
+    const rootFields = [
+      ...new Set(translatableFields[modelName].map((field) => field.split(".")[0])),
+    ];
+    const docs = await model
+      .find()
+      .select([...rootFields, "machineTranslated"].join(" "))
+      .lean();
+
+    const items = [];
+    for (const doc of docs) {
+      const missing = [];
+      collectTranslatableValues(doc, modelName).forEach(({ path, value }) => {
+        if (!hasText(value.en)) return;
+        TARGET_LANGUAGES.forEach((lang) => {
+          if (!hasText(value[lang])) missing.push(`${path}.${lang}`);
+        });
+      });
+      const drafts = activeDrafts(doc).map((entry) => entry.path);
+
+      if (missing.length > 0 || drafts.length > 0) {
+        const label = doc[labelField];
+        items.push({
+          _id: doc._id,
+          label: typeof label === "string" ? label : label?.en || "",
+          missing,
+          machineTranslated: drafts,
+        });
+      }
+    }
+
+    report.push({ model: modelName, total: docs.length, items });
+  }
+
+  return report;
+};
+
+module.exports = {
+  TRANSLATABLE_MODELS,
+  registerTranslationProvider,
+  getTranslationProvider,
+  draftTranslations,
+  markTranslationsReviewed,
+  getTranslationReport,
+};
@@ -0,0 +1,446 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+
+/**
+ * Order Service
+ * Cart validation, order numbering and payment finalisation for the shop.
+ * Shared by the order controller (checkout) and the Razorpay webhook.
+ */
+
+// Shipping rule - must match the summary shown on CheckoutPage.jsx
+const FREE_SHIPPING_THRESHOLD = 500; // ₹
+const FLAT_SHIPPING_CHARGE = 50; // ₹
+const MAX_QUANTITY_PER_LINE = 50;
+const MAX_LINES_PER_ORDER = 50;
+
+/**
+ * Calculate shipping charge for a subtotal
+ * @param {number} subtotal - Order subtotal in ₹
+ * @returns {number} Shipping charge in ₹
+ */
+const calculateShipping = (subtotal) =>
+  subtotal > FREE_SHIPPING_THRESHOLD ? 0 : FLAT_SHIPPING_CHARGE;
+
+/**
+ * Generate a unique, human-readable order number
+ * Format: ORD-<base36 timestamp>-<4 random chars> (e.g., ORD-LX2K9A1B-4F7Q)
+ */
+const generateOrderNumber = async () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // Excluded O, 0, I, 1 for readability
+  const maxAttempts = 5;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    let suffix = "";
+    for (let i = 0; i < 4; i++) {
+      suffix += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    const orderNumber = `ORD-${Date.now().toString(36).toUpperCase()}-${suffix}`;
+
+    const exists = await Order.exists({ orderNumber });
+    if (!exists) return orderNumber;
+  }
+
+  throw new Error("Could not generate a unique order number");
+};
+
+/**
+ * Validate cart lines against current Product price and stock
+ * Never trusts client prices: every line is re-priced from the database.
+ * If the client sent a price that no longer matches, the line is rejected
+ * so the buyer can review the new price before paying.
+ *
+ * @param {Array} cartItems - [{ productId, quantity, price? }] from CartContext
+ * @returns {Promise<Object>} { valid: true, items, subtotal } or { valid: false, errors }
+ */
+const validateCartItems = async (cartItems) => {
+  if (!Array.isArray(cartItems) || cartItems.length === 0) {
+    return { valid: false, errors: [{ message: "Cart is empty" }] };
+  }
+
+  if (cartItems.length > MAX_LINES_PER_ORDER) {
+    return {
+      valid: false,
+      errors: [{ message: `Maximum ${MAX_LINES_PER_ORDER} items per order` }],
+    };
+  }
+
+  // Merge duplicate product lines so stock checks see the full quantity
+  const quantities = new Map();
+  const clientPrices = new Map();
+  const errors = [];
+
+  for (const line of cartItems) {
+    const productId = String(line?.productId || "");
+    const quantity = Number(line?.quantity);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push({ productId, message: "Invalid product" });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ productId, message: "Invalid quantity" });
+      continue;
+    }
+
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    if (line.price !== undefined) clientPrices.set(productId, Number(line.price));
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } })
+    .select("name sku imageUrl price stock trackInventory isActive")
+    .lean();
+
+  const productMap = products.reduce((acc, p) => {
+    acc[p._id.toString()] = p;
+    return acc;
+  }, {});
+
+  const items = [];
+
+  for (const [productId, quantity] of quantities) {
+    const product = productMap[productId];
+
+    if (!product || !product.isActive) {
+      errors.push({ productId, message: "Product is no longer available" });
+      continue;
+    }
+
+    if (quantity > MAX_QUANTITY_PER_LINE) {
+      errors.push({
+        productId,
+        name: product.name,
+        message: `Maximum ${MAX_QUANTITY_PER_LINE} units per product`,
+      });
+      continue;
+    }
+
+    if (clientPrices.has(productId) && clientPrices.get(productId) !== product.price) {
+      errors.push({
+        productId,
+        name: product.name,
+        message: "Price has changed",
+        currentPrice: product.price,
+      });
+      continue;
+    }
+
+    if (product.trackInventory && product.stock < quantity) {
+      errors.push({
+        productId,
+        name: product.name,
+        message: product.stock > 0 ? `Only ${product.stock} left in stock` : "Out of stock",
+        available: product.stock,
+      });
+      continue;
+    }
+
+    items.push({
+      product: product._id,
+      name: product.name,
+      sku: product.sku || null,
+      imageUrl: product.imageUrl || null,
+      price: product.price,
+      quantity,
+      lineTotal: product.price * quantity,
+    });
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  return { valid: true, items, subtotal };
+};
+
+/**
+ * Lower stock for every tracked line of an order
+ * Each decrement only matches while { stock: { $gte: qty } }, so stock can
+ * never go negative; untracked products are matched but left unchanged. If any line cannot be fulfilled, lines already decremented
+ * are restored and the shortfall is recorded on the order for admin follow-up.
+ *
+ * @param {Object} order - Order document (already PAID)
+ * @returns {Promise<Array>} Shortfall lines (empty if stock was lowered)
+ */
+const deductStockForOrder = async (order) => {
+  const decremented = [];
+  const shortfall = [];
+
+  for (const item of order.items) {
+    const result = await Product.updateOne(
+      {
+        _id: item.product,
+        $or: [{ trackInventory: false }, { stock: { $gte: item.quantity } }],
+      },
+      [
+        {
+          $set: {
+            stock: {
+              $cond: [
+                "$trackInventory",
+                { $subtract: ["$stock", item.quantity] },
+                "$stock",
+              ],
+            },
+          },
+        },
+      ],
+      { updatePipeline: true },
+    );
+
+    if (result.matchedCount === 1) {
+      decremented.push(item);
+    } else {
+      shortfall.push({
+        product: item.product,
+        name: item.name,
+        requested: item.quantity,
+      });
+    }
+  }
+
+  if (shortfall.length > 0) {
+    // Compensate: put back what we already took so stock stays consistent
+    for (const item of decremented) {
+      await Product.updateOne(
+        { _id: item.product, trackInventory: true },
+        { $inc: { stock: item.quantity } },
+      );
+    }
+  }
+
+  return shortfall;
+};
+
+/**
+ * Lower stock for a paid order and record the outcome on it (not saved)
+ * @returns {Promise<Array>} Shortfall lines (empty if stock was lowered)
+ */
+const applyStockForPaidOrder = async (order) => {
+  const shortfall = await deductStockForOrder(order);
+  if (shortfall.length > 0) {
+    order.stockShortfall = shortfall;
+  } else {
+    order.stockDeducted = true;
+  }
+  return shortfall;
+};
+
+/**
+ * Accept a payment captured after the order was CANCELLED (stale checkout
+ * cleanup, admin) or FAILED (the buyer retried the same Razorpay order)
+ * The payment is recorded first so a duplicate webhook cannot take stock
+ * twice. The order becomes PAID if every line is still in stock; otherwise
+ * it keeps its status and paymentIssue flags it for a refund.
+ *
+ * @returns {Promise<Object|null>} Order, or null if not found / already processed
+ */
+const acceptLateOrderPayment = async (razorpayOrderId, paymentId) => {
+  const order = await Order.findOneAndUpdate(
+    { razorpayOrderId, status: { $in: ["CANCELLED", "FAILED"] }, paidAt: null },
+    { $set: { paymentId, paidAt: new Date() } },
+    { new: true },
+  );
+
+  if (!order) {
+    console.log("Order not found or already processed for order:", razorpayOrderId);
+    return null;
+  }
+
+  const previousStatus = order.status;
+  const shortfall = await applyStockForPaidOrder(order);
+
+  if (shortfall.length > 0) {
+    order.paymentIssue = `Paid after the order was ${previousStatus} and stock ran out - refund required`;
+    order.statusHistory.push({ status: previousStatus, note: order.paymentIssue });
+    console.error(
+      `[OrderService] Late payment for ${previousStatus} order ${order.orderNumber} needs a refund:`,
+      shortfall.map((s) => `${s.name} x${s.requested}`).join(", "),
+    );
+  } else {
+    order.status = "PAID";
+    order.failureReason = null;
+    order.statusHistory.push({
+      status: "PAID",
+      note: `Payment received after the order was ${previousStatus}`,
+    });
+  }
+  await order.save();
+
+  return order;
+};
+
+/**
+ * Finalise a captured payment for a shop order
+ * Atomic PLACED -> PAID transition prevents double processing on duplicate webhooks.
+ * Late captures (order already CANCELLED / FAILED) go through acceptLateOrderPayment.
+ *
+ * @param {string} razorpayOrderId - Razorpay order ID from payment entity
+ * @param {string} paymentId - Razorpay payment ID
+ * @returns {Promise<Object|null>} Updated order, or null if not found / already processed
+ */
+const finalizeOrderPayment = async (razorpayOrderId, paymentId) => {
+  const order = await Order.findOneAndUpdate(
+    { razorpayOrderId, status: "PLACED" },
+    {
+      $set: {
+        status: "PAID",
+        paymentId,
+        paidAt: new Date(),
+      },
+      $push: { statusHistory: { status: "PAID", at: new Date() } },
+    },
+    { new: true },
+  );
+
+  if (!order) {
+    return acceptLateOrderPayment(razorpayOrderId, paymentId);
+  }
+
+  // Only the webhook that won the PLACED -> PAID transition reaches here,
+  // so stock is lowered exactly once per order
+  const shortfall = await applyStockForPaidOrder(order);
+  if (shortfall.length > 0) {
+    console.error(
+      `[OrderService] Stock shortfall for paid order ${order.orderNumber}:`,
+      shortfall.map((s) => `${s.name} x${s.requested}`).join(", "),
+    );
+  }
+  await order.save();
+
+  return order;
+};
+
+/**
+ * Mark a shop order as FAILED after payment.failed
+ * @param {string} razorpayOrderId - Razorpay order ID
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object|null>} Updated order or null
+ */
+const markOrderPaymentFailed = async (razorpayOrderId, payment) => {
+  const order = await Order.findOne({ razorpayOrderId });
+
+  if (!order || order.status !== "PLACED") {
+    return null;
+  }
+
+  order.status = "FAILED";
+  order.paymentId = payment.id;
+  order.failureReason =
+    payment.error_description || payment.error_reason || "Payment failed";
+  order.statusHistory.push({ status: "FAILED", note: order.failureReason });
+  await order.save();
+
+  console.log("Order marked FAILED:", order.orderNumber);
+  return order;
+};
+
+/**
+ * Move a paid order along the fulfilment flow (admin action)
+ * Only forward moves are allowed: PAID -> PROCESSING -> DISPATCHED -> DELIVERED.
+ * Steps may be skipped (e.g. PAID -> DISPATCHED) but never reversed.
+ * DISPATCHED requires a courier name and tracking number.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} update - { status, courierName?, trackingNumber?, note? }
+ * @param {string} adminId - User ID of the admin making the change
+ * @returns {Object} { success: true, order } or { success: false, message }
+ */
+const updateFulfilmentStatus = async (order, update, adminId) => {
+  const flow = Order.FULFILMENT_FLOW;
+  const { status, note } = update;
+
+  const currentIndex = flow.indexOf(order.status);
+  const nextIndex = flow.indexOf(status);
+
+  if (currentIndex === -1) {
+    return {
+      success: false,
+      message: `Orders in ${order.status} status cannot be fulfilled`,
+    };
+  }
+  if (nextIndex === -1 || status === "PAID") {
+    return {
+      success: false,
+      message: `Invalid status. Must be one of: ${flow.slice(1).join(", ")}`,
+    };
+  }
+  if (nextIndex <= currentIndex) {
+    return {
+      success: false,
+      message: `Order is already ${order.status} and cannot move back to ${status}`,
+    };
+  }
+
+  const courierName = update.courierName?.trim() || order.shipment?.courierName;
+  const trackingNumber =
+    update.trackingNumber?.trim() || order.shipment?.trackingNumber;
+
+  if (nextIndex >= flow.indexOf("DISPATCHED") && (!courierName || !trackingNumber)) {
+    return {
+      success: false,
+      message: "Courier name and tracking number are required to dispatch",
+    };
+  }
+
+  order.status = status;
+  order.shipment = { courierName: courierName || null, trackingNumber: trackingNumber || null };
+  order.statusHistory.push({
+    status,
+    note: note?.trim() || null,
+    changedBy: adminId,
+  });
+  await order.save();
+
+  return { success: true, order };
+};
+
+/**
+ * Build the public tracking timeline for an order
+ * Returns one milestone per step (placed, paid, processing, dispatched, delivered)
+ * with the timestamp of the history entry that reached it, if any.
+ *
+ * @param {Object} order - Order document or lean object
+ * @returns {Array} [{ status, label, at, completed }]
+ */
+const buildTrackingTimeline = (order) => {
+  const milestones = [
+    { status: "PLACED", label: "Order Placed" },
+    { status: "PAID", label: "Payment Confirmed" },
+    { status: "PROCESSING", label: "Processing" },
+    { status: "DISPATCHED", label: "Dispatched" },
+    { status: "DELIVERED", label: "Delivered" },
+  ];
+
+  const history = order.statusHistory || [];
+  const reachedAt = (status) => history.find((h) => h.status === status)?.at || null;
+
+  // Orders created before history was recorded still show "placed"
+  const placedAt = reachedAt("PLACED") || order.createdAt;
+  const currentIndex = milestones.findIndex((m) => m.status === order.status);
+
+  return milestones.map((milestone, index) => {
+    const at = milestone.status === "PLACED" ? placedAt : reachedAt(milestone.status);
+    return {
+      status: milestone.status.toLowerCase(),
+      label: milestone.label,
+      at,
+      // Every order has at least been placed, even if payment later failed
+      completed: index === 0 || currentIndex >= index,
+    };
+  });
+};
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD,
+  FLAT_SHIPPING_CHARGE,
+  calculateShipping,
+  generateOrderNumber,
+  validateCartItems,
+  deductStockForOrder,
+  finalizeOrderPayment,
+  markOrderPaymentFailed,
+  updateFulfilmentStatus,
+  buildTrackingTimeline,
+};
@@ -0,0 +1,361 @@
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const User = require("../models/User");
+const Donation = require("../models/Donation");
+const RecurringDonation = require("../models/RecurringDonation");
+const Testimonial = require("../models/Testimonial");
+const AnnualCertificate = require("../models/AnnualCertificate");
+const Donor = require("../models/Donor");
+const Campaign = require("../models/Campaign");
+const ErasureRequest = require("../models/ErasureRequest");
+const { formatAddress } = require("./certificate.service");
+const { deleteKycDocuments } = require("./kyc.service");
+const { eraseDonorsOfUser } = require("./donorRegistry.service");
+
+/**
+ * Privacy Service
+ * Donor self-service data export and admin-completed erasure.
+ *
+ * Export covers the personal data held for a user: the account, collector
+ * profile, donor snapshots on donations and monthly mandates, 80G
+ * certificates, donor registry records, testimonials and erasure requests.
+ *
+ * Erasure keeps what must be retained for 80G / Form 10BD - amount, receipt
+ * number and PAN - and removes or anonymises everything else. Issued 80G
+ * certificates also keep the donor name and address: they are part of the
+ * certificate as reported to the Income Tax department (Form 10BD) and must
+ * match it if it is downloaded again. Only mobile and email are removed.
+ */
+
+const ERASED_DONOR_NAME = "Anonymised donor";
+const ERASED_COLLECTOR_NAME = "Former collector";
+
+// Mandates that can still charge - they must be cancelled before erasure
+const OPEN_MANDATE_STATUSES = ["CREATED", "ACTIVE", "PAUSED", "HALTED"];
+
+const formatDonor = (donor = {}) => ({
+  name: donor.name,
+  mobile: donor.mobile,
+  email: donor.email || null,
+  emailOptIn: Boolean(donor.emailOptIn),
+  address: formatAddress(donor) || null,
+  dob: donor.dob || null,
+  idType: donor.idType,
+  idNumber: donor.idNumber,
+  anonymousDisplay: Boolean(donor.anonymousDisplay),
+});
+
+/**
+ * Everything we hold about a user, as plain JSON
+ * @param {string} userId
+ * @returns {Promise<Object|null>} null if the user does not exist
+ */
+const buildDataExport = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [donations, recurringDonations, certificates, testimonials, erasureRequests] = await Promise.all([
+    Donation.find({ user: userId })
+      .select("donor donorId donationHead amount refundedAmount status paymentMethod payment.method receiptNumber collectorName createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    RecurringDonation.find({ user: userId })
+      .select("donor donationHead amount status paidCount totalCollected createdAt cancelledAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    AnnualCertificate.find({ users: userId })
+      .select("financialYear certificateNumber donor totalAmount deductibleAmount issuedAt")
+      .sort({ financialYear: -1 })
+      .lean(),
+    Testimonial.find({ user: userId })
+      .select("name city email message rating isApproved createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+    ErasureRequest.find({ user: userId })
+      .select("status reason resolutionNote resolvedAt createdAt")
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const donorIds = [...new Set(donations.map((d) => d.donorId).filter(Boolean).map(String))];
+  const donorRecords = await Donor.find({ $or: [{ user: userId }, { _id: { $in: donorIds } }] })
+    .select("name names mobiles emails city panLast4 createdAt")
+    .lean();
+
+  const profile = user.collectorProfile;
+
+  return {
+    exportedAt: new Date(),
+    account: {
+      fullName: user.fullName || null,
+      email: user.email || null,
+      emailVerified: Boolean(user.emailVerified),
+      mobile: user.mobile,
+      whatsapp: user.whatsapp || null,
+      address: user.address || null,
+      role: user.role,
+      referralCode: user.referralCode || null,
+      createdAt: user.createdAt,
+    },
+    collectorProfile:
+      profile && profile.status !== "none"
+        ? {
+            fullName: profile.fullName || null,
+            address: profile.address || null,
+            panNumber: profile.panNumber || null,
+            status: profile.status,
+            submittedAt: profile.submittedAt || null,
+            approvedAt: profile.approvedAt || null,
+            rejectedReason: profile.rejectedReason || null,
+            // Aadhaar images are not exported, only when they were uploaded
+            aadharFrontUploadedAt: profile.aadharFront?.uploadedAt || null,
+            aadharBackUploadedAt: profile.aadharBack?.uploadedAt || null,
+          }
+        : null,
+    donations: donations.map((d) => ({
+      receiptNumber: d.receiptNumber || null,
+      date: d.createdAt,
+      cause: d.donationHead?.name,
+      amount: d.amount,
+      refundedAmount: d.refundedAmount || 0,
+      status: d.status,
+      paymentMethod: d.payment?.method || d.paymentMethod || "ONLINE",
+      collectorName: d.collectorName || null,
+      donor: formatDonor(d.donor),
+    })),
+    recurringDonations: recurringDonations.map((r) => ({
+      startedAt: r.createdAt,
+      cause: r.donationHead?.name,
+      monthlyAmount: r.amount,
+      status: r.status,
+      paidCount: r.paidCount,
+      totalCollected: r.totalCollected,
+      cancelledAt: r.cancelledAt || null,
+      donor: formatDonor(r.donor),
+    })),
+    certificates: certificates.map((c) => ({
+      financialYear: c.financialYear,
+      certificateNumber: c.certificateNumber,
+      totalAmount: c.totalAmount,
+      deductibleAmount: c.deductibleAmount,
+      issuedAt: c.issuedAt,
+      donor: {
+        name: c.donor?.name || null,
+        address: c.donor?.address || null,
+        mobile: c.donor?.mobile || null,
+        email: c.donor?.email || null,
+      },
+    })),
+    donorRecords: donorRecords.map((d) => ({
+      name: d.name,
+      otherNames: d.names.filter((name) => name !== d.name).join(", ") || null,
+      mobiles: d.mobiles.join(", ") || null,
+      emails: d.emails.join(", ") || null,
+      city: d.city || null,
+      panLast4: d.panLast4 || null,
+      createdAt: d.createdAt,
+    })),
+    testimonials: testimonials.map((t) => ({
+      name: t.name,
+      city: t.city || null,
+      email: t.email || null,
+      message: t.message,
+      rating: t.rating,
+      approved: Boolean(t.isApproved),
+      createdAt: t.createdAt,
+    })),
+    erasureRequests: erasureRequests.map((r) => ({
+      status: r.status,
+      reason: r.reason || null,
+      resolutionNote: r.resolutionNote || null,
+      requestedAt: r.createdAt,
+      resolvedAt: r.resolvedAt || null,
+    })),
+  };
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "-";
+  if (value instanceof Date) return value.toISOString().split("T")[0];
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value === "object") {
+    return value.en || Object.values(value).filter(Boolean)[0] || "-";
+  }
+  return String(value);
+};
+
+/**
+ * Stream a data export as a readable PDF
+ *
+ * @param {Object} data - From buildDataExport
+ * @param {Writable} stream - e.g. Express response
+ */
+const streamDataExportPdf = (data, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  const heading = (text) => {
+    doc.moveDown(1).font("Helvetica-Bold").fontSize(13).fillColor("#78350f").text(text);
+    doc.moveDown(0.3).font("Helvetica").fontSize(10).fillColor("#111827");
+  };
+  const fields = (obj, indent = 0) => {
+    Object.entries(obj).forEach(([key, value]) => {
+      if (value && typeof value === "object" && !(value instanceof Date) && !value.en) {
+        doc.font("Helvetica-Bold").text(key, 50 + indent);
+        doc.font("Helvetica");
+        fields(value, indent + 15);
+        return;
+      }
+      doc.text(`${key}: ${formatValue(value)}`, 50 + indent);
+    });
+  };
+  const records = (title, items) => {
+    heading(`${title} (${items.length})`);
+    if (items.length === 0) {
+      doc.fillColor("#6b7280").text("None").fillColor("#111827");
+    }
+    items.forEach((item, index) => {
+      if (index > 0) doc.moveDown(0.6);
+      fields(item);
+    });
+  };
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("#78350f").text("Your personal data");
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#6b7280")
+    .text(`Exported on ${formatValue(data.exportedAt)}`);
+
+  heading("Account");
+  fields(data.account);
+
+  if (data.collectorProfile) {
+    heading("Collector profile");
+    fields(data.collectorProfile);
+  }
+
+  records("Donations", data.donations);
+  records("Monthly donations", data.recurringDonations);
+  records("80G certificates", data.certificates);
+  records("Donor records", data.donorRecords);
+  records("Testimonials", data.testimonials);
+  records("Erasure requests", data.erasureRequests);
+
+  doc.end();
+};
+
+/**
+ * Monthly mandates that must be cancelled before a user's data can be erased
+ * @returns {Promise<number>}
+ */
+const countOpenMandates = (userId) =>
+  RecurringDonation.countDocuments({ user: userId, status: { $in: OPEN_MANDATE_STATUSES } });
+
+// Donor snapshot fields removed on erasure - amount, receipt number and PAN stay
+const anonymiseDonorUpdate = (erasedAt) => ({
+  $set: {
+    "donor.name": ERASED_DONOR_NAME,
+    "donor.mobile": "N/A",
+    "donor.emailOptIn": false,
+    "donor.emailVerified": false,
+    "donor.anonymousDisplay": true,
+    "donor.erasedAt": erasedAt,
+  },
+  $unset: {
+    "donor.email": "",
+    "donor.address": "",
+    "donor.addressObj": "",
+    "donor.dob": "",
+  },
+});
+
+/**
+ * Erase a user's personal data
+ * - Donation / RecurringDonation donor snapshots anonymised, stored receipt PDFs deleted
+ *   (receipts are regenerated from the anonymised record on download)
+ * - Donor registry records used only by the user: names, mobiles and emails cleared
+ *   (records shared with other donations lose just the user's details)
+ * - Testimonials deleted
+ * - Issued 80G certificates: mobile and email removed and the user unlinked
+ *   (name and address stay - see the note at the top of this file)
+ * - Collector: KYC documents deleted, campaigns closed, name removed from attributed donations
+ * - Account cleared and locked (erasedAt) - the mobile number can sign up again
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} Counts for ErasureRequest.summary
+ */
+const eraseUserData = async (userId) => {
+  const user = await User.findById(userId).select("collectorProfile").lean();
+  if (!user) throw new Error("User not found");
+
+  const erasedAt = new Date();
+
+  const donationIds = await Donation.find({ user: userId }).distinct("_id");
+  // Before the snapshots are anonymised - donors are found through their donations
+  await eraseDonorsOfUser(userId, erasedAt, ERASED_DONOR_NAME);
+  const [donations, recurringDonations, testimonials, certificates] = await Promise.all([
+    Donation.updateMany({ user: userId, "donor.erasedAt": null }, anonymiseDonorUpdate(erasedAt)),
+    RecurringDonation.updateMany({ user: userId, "donor.erasedAt": null }, anonymiseDonorUpdate(erasedAt)),
+    Testimonial.deleteMany({ user: userId }),
+    AnnualCertificate.updateMany(
+      { users: userId },
+      { $pull: { users: userId }, $unset: { "donor.mobile": "", "donor.email": "" } },
+    ),
+    Donation.updateMany({ collectorId: userId }, { $set: { collectorName: ERASED_COLLECTOR_NAME } }),
+    RecurringDonation.updateMany({ collectorId: userId }, { $set: { collectorName: ERASED_COLLECTOR_NAME } }),
+    Campaign.updateMany(
+      { collector: userId, status: "ACTIVE" },
+      { $set: { status: "CLOSED", closedAt: erasedAt } },
+    ),
+  ]);
+
+  const receiptsDir = path.join(process.cwd(), "receipts");
+  donationIds.forEach((id) => {
+    const filePath = path.join(receiptsDir, `receipt_${id}.pdf`);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  });
+
+  await deleteKycDocuments([
+    user.collectorProfile?.aadharFront?.fileKey,
+    user.collectorProfile?.aadharBack?.fileKey,
+  ]);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        mobile: `erased-${userId}`,
+        role: "USER",
+        collectorDisabled: true,
+        emailVerified: false,
+        erasedAt,
+      },
+      $unset: {
+        fullName: "",
+        email: "",
+        whatsapp: "",
+        address: "",
+        emailVerificationToken: "",
+        emailVerificationExpiry: "",
+        collectorProfile: "",
+      },
+    },
+  );
+
+  return {
+    donations: donations.modifiedCount,
+    recurringDonations: recurringDonations.modifiedCount,
+    testimonials: testimonials.deletedCount,
+    certificates: certificates.modifiedCount,
+  };
+};
+
+module.exports = {
+  OPEN_MANDATE_STATUSES,
+  buildDataExport,
+  streamDataExportPdf,
+  countOpenMandates,
+  eraseUserData,
+};
@@ -1,93 +1,242 @@
 const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
 const fs = require("fs");
 const path = require("path");
+const mongoose = require("mongoose");
+const DonationHead = require("../models/DonationHead");
+const { DEFAULT_LANGUAGE } = require("../config/translatableFields");
+const { RECEIPT_LABELS } = require("../config/receiptLabels");
+const { resolveTranslation } = require("./translation.service");
+const { amountInWords } = require("../utils/amountInWords");
+const {
+  ensureVerificationCode,
+  getVerificationUrl,
+} = require("./receiptVerification.service");
 
 /**
- * Convert filesystem path to public URL path
+ * Stored receiptUrl value for a generated receipt file
+ * Receipts are no longer served statically: the value only marks that a PDF
+ * was generated and names the file. Downloads go through
+ * GET /api/donations/:id/receipt (signed link or login).
  * @param {string} filePath - The full filesystem path or filename
- * @returns {string} Public URL path for the receipt
+ * @returns {string} "/receipts/<file name>"
  */
 const getReceiptPublicUrl = (filePath) => {
   const fileName = require("path").basename(filePath);
   return `/receipts/${fileName}`;
 };
 
+const DEVANAGARI_FONT_PATHS = {
+  regular: path.join(__dirname, "../../assets/fonts/NotoSansDevanagari-Regular.ttf"),
+  bold: path.join(__dirname, "../../assets/fonts/NotoSansDevanagari-Bold.ttf"),
+};
+
 /**
- * Convert number to words (Indian format)
+ * Normalise a requested receipt language
+ * @param {string} lang - e.g. from the donation form
+ * @returns {string} "en" | "hi" | "mr" (English if missing or unsupported)
  */
-const numberToWords = (num) => {
-  const ones = [
-    "",
-    "One",
-    "Two",
-    "Three",
-    "Four",
-    "Five",
-    "Six",
-    "Seven",
-    "Eight",
-    "Nine",
-    "Ten",
-    "Eleven",
-    "Twelve",
-    "Thirteen",
-    "Fourteen",
-    "Fifteen",
-    "Sixteen",
-    "Seventeen",
-    "Eighteen",
-    "Nineteen",
-  ];
-
-  const tens = [
-    "",
-    "",
-    "Twenty",
-    "Thirty",
-    "Forty",
-    "Fifty",
-    "Sixty",
-    "Seventy",
-    "Eighty",
-    "Ninety",
-  ];
+const resolveReceiptLanguage = (lang) => (RECEIPT_LABELS[lang] ? lang : DEFAULT_LANGUAGE);
 
-  if (num === 0) return "Zero";
-
-  const convertLessThanThousand = (n) => {
-    if (n === 0) return "";
-    if (n < 20) return ones[n];
-    if (n < 100)
-      return tens[Math.floor(n / 10)] + (n % 10 ? " " + ones[n % 10] : "");
-    return (
-      ones[Math.floor(n / 100)] +
-      " Hundred" +
-      (n % 100 ? " " + convertLessThanThousand(n % 100) : "")
-    );
-  };
+/**
+ * Fonts for the receipt language
+ * Hindi and Marathi use the embedded Noto Sans Devanagari fonts, which also
+ * cover Latin - names, PAN and numbers typed in English still render.
+ * @param {PDFDocument} doc
+ * @param {string} lang
+ * @returns {{ regular: string, bold: string, italic: string }}
+ */
+const getReceiptFonts = (doc, lang) => {
+  if (lang === DEFAULT_LANGUAGE) {
+    return { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Times-Italic" };
+  }
 
-  let result = "";
+  doc.registerFont("Devanagari", DEVANAGARI_FONT_PATHS.regular);
+  doc.registerFont("Devanagari-Bold", DEVANAGARI_FONT_PATHS.bold);
+  return { regular: "Devanagari", bold: "Devanagari-Bold", italic: "Devanagari" };
+};
 
-  if (num >= 10000000) {
-    result += convertLessThanThousand(Math.floor(num / 10000000)) + " Crore ";
-    num %= 10000000;
-  }
-  if (num >= 100000) {
-    result += convertLessThanThousand(Math.floor(num / 100000)) + " Lakh ";
-    num %= 100000;
+/**
+ * Cause name for the receipt language
+ * English receipts keep the name snapshotted on the donation; other
+ * languages use the DonationHead translation, falling back to the snapshot.
+ */
+const getDonationHeadName = async (donationHead, lang) => {
+  const snapshotName = donationHead?.name || donationHead;
+  if (lang === DEFAULT_LANGUAGE || !mongoose.Types.ObjectId.isValid(donationHead?.id)) {
+    return snapshotName;
   }
-  if (num >= 1000) {
-    result += convertLessThanThousand(Math.floor(num / 1000)) + " Thousand ";
-    num %= 1000;
+
+  const head = await DonationHead.findById(donationHead.id).select("name").lean();
+  return (head && resolveTranslation(head.name, lang)) || snapshotName;
+};
+
+// Fill {{placeholders}} in a receipt label
+const fillLabel = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+
+/**
+ * Draw the trust letterhead (page border, logos, trust name, offices)
+ * shared by donation receipts and annual certificates.
+ * @param {PDFDocument} doc
+ * @returns {number} y position below the letterhead
+ */
+const drawLetterhead = (doc) => {
+  const pageWidth = doc.page.width;
+
+  // ===== PAGE BORDER (ORANGE) =====
+  const borderMargin = 20;
+  doc
+    .strokeColor("#FF6600")
+    .lineWidth(3)
+    .rect(borderMargin, borderMargin, pageWidth - 2 * borderMargin, doc.page.height - 2 * borderMargin)
+    .stroke();
+
+  const imageSize = 100; // Original size
+  const imageRadius = imageSize / 2;
+
+  // ===== LOGO (TOP LEFT - CIRCULAR) =====
+  const logoPath = path.join(__dirname, "../../assets/recieptLogo.jpeg");
+  if (fs.existsSync(logoPath)) {
+    doc.save();
+    doc.circle(50 + imageRadius, 50 + imageRadius, imageRadius).clip();
+    doc.image(logoPath, 50, 50, {
+      width: imageSize,
+      height: imageSize,
+    });
+    doc.restore();
+    
+    // Circular border
+    doc
+      .strokeColor("#E69138")
+      .lineWidth(2.5)
+      .circle(50 + imageRadius, 50 + imageRadius, imageRadius)
+      .stroke();
   }
-  if (num > 0) {
-    result += convertLessThanThousand(num);
+
+  // ===== GURUDEV IMAGE (TOP RIGHT - CIRCULAR) =====
+  const gurudevPath = path.join(__dirname, "../../assets/gurudev.jpeg");
+  if (fs.existsSync(gurudevPath)) {
+    const rightX = pageWidth - 50 - imageSize;
+    doc.save();
+    doc.circle(rightX + imageRadius, 50 + imageRadius, imageRadius).clip();
+    // Shift image slightly left to center face in circle
+    doc.image(gurudevPath, rightX - 8, 50, {
+      width: imageSize,
+      height: imageSize,
+    });
+    doc.restore();
+    
+    // Circular border
+    doc
+      .strokeColor("#E69138")
+      .lineWidth(2.5)
+      .circle(rightX + imageRadius, 50 + imageRadius, imageRadius)
+      .stroke();
+    
+    // Text below gurudev image
+    doc
+      .fillColor("#000000")
+      .font("Helvetica-Bold")
+      .fontSize(8)
+      .text(
+        "Swami Harichaitanyanand",
+        rightX,
+        50 + imageSize + 6,
+        { align: "center", width: imageSize }
+      )
+      .text(
+        "Sarswati Ji Maharaj",
+        rightX,
+        50 + imageSize + 17,
+        { align: "center", width: imageSize }
+      );
   }
 
-  return result.trim();
+  // ===== TRUST NAME (CENTER BETWEEN IMAGES - RED) =====
+  const centerTextX = 50 + imageSize + 10;
+  const centerTextWidth = pageWidth - (50 + imageSize + 10) * 2;
+
+  doc
+    .fillColor("#E69138")
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(
+      "SWAMI HARICHAITNYA SHANTI",
+      centerTextX,
+      70,
+      { align: "center", width: centerTextWidth }
+    );
+
+  doc
+    .fillColor("#E69138")
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(
+      "AASHRAM TRUST",
+      centerTextX,
+      90,
+      { align: "center", width: centerTextWidth }
+    );
+
+  // ===== HEAD OFFICE (BELOW TRUST NAME) =====
+  doc
+    .fillColor("#000000")
+    .font("Helvetica")
+    .fontSize(7.5)
+    .text(
+      "Head office : Datala, Malkapur Dist. Buldhana,Maharashtra - 443101(INDIA)",
+      centerTextX,
+      115,
+      { align: "center", width: centerTextWidth, lineBreak: false }
+    );
+
+  doc
+    .fillColor("#000000")
+    .font("Helvetica")
+    .fontSize(7.5)
+    .text(
+      "Branch office : Palaskhed Sapkal, Chikhali,Dist Buldhana, Maharashtra - 443001",
+      centerTextX,
+      128,
+      { align: "center", width: centerTextWidth, lineBreak: false }
+    );
+
+  doc
+    .fillColor("#000000")
+    .font("Helvetica")
+    .fontSize(8)
+    .text(
+      "Mob.:+91 9834151577 , 9158750007 , 9422881942 , 9422884005",
+      centerTextX,
+      141,
+      { align: "center", width: centerTextWidth }
+    );
+
+  doc
+    .fillColor("#000000")
+    .font("Helvetica")
+    .fontSize(7.5)
+    .text(
+      "E-mail : sevatirthdham@gmail.com | Website : www.sevatirth.com",
+      centerTextX,
+      153,
+      { align: "center", width: centerTextWidth }
+    );
+
+  return 50 + imageSize + 20;
 };
 
-exports.generateDonationReceipt = (donation) => {
+exports.generateDonationReceipt = async (donation) => {
+  // Verification QR - the code is assigned once and reused on every regeneration
+  const verificationCode = await ensureVerificationCode(donation);
+  const verificationUrl = getVerificationUrl(verificationCode);
+  const qrImage = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 240 });
+
+  const lang = resolveReceiptLanguage(donation.receiptLanguage);
+  const labels = RECEIPT_LABELS[lang];
+  const donationHeadName = await getDonationHeadName(donation.donationHead, lang);
+
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ size: "A4", margin: 50 });
@@ -108,156 +257,17 @@ exports.generateDonationReceipt = (donation) => {
 
       const pageWidth = doc.page.width;
       const contentWidth = pageWidth - 100;
-      let y = 50;
-
-      // ===== PAGE BORDER (ORANGE) =====
-      const borderMargin = 20;
-      doc
-        .strokeColor("#FF6600")
-        .lineWidth(3)
-        .rect(borderMargin, borderMargin, pageWidth - 2 * borderMargin, doc.page.height - 2 * borderMargin)
-        .stroke();
-
-      const imageSize = 100; // Original size
-      const imageRadius = imageSize / 2;
-
-      // ===== LOGO (TOP LEFT - CIRCULAR) =====
-      const logoPath = path.join(__dirname, "../../assets/recieptLogo.jpeg");
-      if (fs.existsSync(logoPath)) {
-        doc.save();
-        doc.circle(50 + imageRadius, 50 + imageRadius, imageRadius).clip();
-        doc.image(logoPath, 50, 50, {
-          width: imageSize,
-          height: imageSize,
-        });
-        doc.restore();
-        
-        // Circular border
-        doc
-          .strokeColor("#E69138")
-          .lineWidth(2.5)
-          .circle(50 + imageRadius, 50 + imageRadius, imageRadius)
-          .stroke();
-      }
-
-      // ===== GURUDEV IMAGE (TOP RIGHT - CIRCULAR) =====
-      const gurudevPath = path.join(__dirname, "../../assets/gurudev.jpeg");
-      if (fs.existsSync(gurudevPath)) {
-        const rightX = pageWidth - 50 - imageSize;
-        doc.save();
-        doc.circle(rightX + imageRadius, 50 + imageRadius, imageRadius).clip();
-        // Shift image slightly left to center face in circle
-        doc.image(gurudevPath, rightX - 8, 50, {
-          width: imageSize,
-          height: imageSize,
-        });
-        doc.restore();
-        
-        // Circular border
-        doc
-          .strokeColor("#E69138")
-          .lineWidth(2.5)
-          .circle(rightX + imageRadius, 50 + imageRadius, imageRadius)
-          .stroke();
-        
-        // Text below gurudev image
-        doc
-          .fillColor("#000000")
-          .font("Helvetica-Bold")
-          .fontSize(8)
-          .text(
-            "Swami Harichaitanyanand",
-            rightX,
-            50 + imageSize + 6,
-            { align: "center", width: imageSize }
-          )
-          .text(
-            "Sarswati Ji Maharaj",
-            rightX,
-            50 + imageSize + 17,
-            { align: "center", width: imageSize }
-          );
-      }
-
-      // ===== TRUST NAME (CENTER BETWEEN IMAGES - RED) =====
-      const centerTextX = 50 + imageSize + 10;
-      const centerTextWidth = pageWidth - (50 + imageSize + 10) * 2;
-
-      doc
-        .fillColor("#E69138")
-        .font("Helvetica-Bold")
-        .fontSize(16)
-        .text(
-          "SWAMI HARICHAITNYA SHANTI",
-          centerTextX,
-          70,
-          { align: "center", width: centerTextWidth }
-        );
-
-      doc
-        .fillColor("#E69138")
-        .font("Helvetica-Bold")
-        .fontSize(16)
-        .text(
-          "AASHRAM TRUST",
-          centerTextX,
-          90,
-          { align: "center", width: centerTextWidth }
-        );
-
-      // ===== HEAD OFFICE (BELOW TRUST NAME) =====
-      doc
-        .fillColor("#000000")
-        .font("Helvetica")
-        .fontSize(7.5)
-        .text(
-          "Head office : Datala, Malkapur Dist. Buldhana,Maharashtra - 443101(INDIA)",
-          centerTextX,
-          115,
-          { align: "center", width: centerTextWidth, lineBreak: false }
-        );
 
-      doc
-        .fillColor("#000000")
-        .font("Helvetica")
-        .fontSize(7.5)
-        .text(
-          "Branch office : Palaskhed Sapkal, Chikhali,Dist Buldhana, Maharashtra - 443001",
-          centerTextX,
-          128,
-          { align: "center", width: centerTextWidth, lineBreak: false }
-        );
+      const fonts = getReceiptFonts(doc, lang);
 
-      doc
-        .fillColor("#000000")
-        .font("Helvetica")
-        .fontSize(8)
-        .text(
-          "Mob.:+91 9834151577 , 9158750007 , 9422881942 , 9422884005",
-          centerTextX,
-          141,
-          { align: "center", width: centerTextWidth }
-        );
-
-      doc
-        .fillColor("#000000")
-        .font("Helvetica")
-        .fontSize(7.5)
-        .text(
-          "E-mail : sevatirthdham@gmail.com | Website : www.sevatirth.com",
-          centerTextX,
-          153,
-          { align: "center", width: centerTextWidth }
-        );
-
-y = 50 + imageSize + 20; // Move title up more
+      let y = drawLetterhead(doc);
 
       // ===== TITLE =====
       doc
         .fillColor("#FF6600")
-        .font("Helvetica-Bold")
+        .font(fonts.bold)
         .fontSize(13.5)
-        .text("Donation Receipt", 50, y, {
+        .text(labels.title, 50, y, {
           align: "center",
           width: contentWidth,
         });
@@ -288,9 +298,9 @@ y = 50 + imageSize + 20; // Move title up more
       const tableWidth = 480;
       const tableX = (pageWidth - tableWidth) / 2;
 
-      doc.fillColor("#000000").font("Helvetica-Bold").fontSize(9.5).text(`Receipt No. : ${receiptNo}`, tableX, y);
+      doc.fillColor("#000000").font(fonts.bold).fontSize(9.5).text(`${labels.receiptNo} : ${receiptNo}`, tableX, y);
 
-      doc.font("Helvetica-Bold").text(`Date : ${dateStr}`, tableX, y, {
+      doc.font(fonts.bold).text(`${labels.date} : ${dateStr}`, tableX, y, {
         align: "right",
         width: tableWidth,
       });
@@ -303,18 +313,23 @@ y = 50 + imageSize + 20; // Move title up more
       const rowHeight = 45; // Taller rows for vertical spacing
       const cellPadding = 12; // More padding
 
+      // Amount kept after any partial refund
+      const netAmount = donation.amount - (donation.refundedAmount || 0);
+
+      const paymentMethod = donation.payment?.method || donation.paymentMethod || donation.paymentMode || "CASH";
+
       const tableData = [
         {
-          label: "Donor Name",
-          value: donation.donor.anonymousDisplay ? "Anonymous Donor" : donation.donor.name,
+          label: labels.donorName,
+          value: donation.donor.anonymousDisplay ? labels.anonymousDonor : donation.donor.name,
           valueBold: false
         },
         {
-          label: "Mobile",
+          label: labels.mobile,
           value: donation.donor.mobile
         },
         {
-          label: "Address",
+          label: labels.address,
           value: (() => {
             const addr = donation.donor?.addressObj;
             if (addr && (addr.line || addr.city)) {
@@ -324,29 +339,41 @@ y = 50 + imageSize + 20; // Move title up more
           })()
         },
         {
-          label: "PAN",
+          label: labels.pan,
           value: donation.donor.idNumber || "-"
         },
         {
-          label: "On Account of",
-          value: donation.donationHead.name || donation.donationHead
+          label: labels.onAccountOf,
+          value: donationHeadName
         },
         {
-          label: "Payment Mode",
-          value: donation.payment?.method || donation.paymentMethod || donation.paymentMode || "Cash"
+          label: labels.paymentMode,
+          value: labels.paymentModes[paymentMethod] || paymentMethod
         },
         {
-          label: "Donation Amount",
-          value: `Rs ${donation.amount} (${numberToWords(donation.amount)})`
+          label: labels.donationAmount,
+          value: `${labels.currency} ${netAmount} (${amountInWords(netAmount, lang)})`,
+          highlight: true
         }
       ];
 
+      // Partially refunded donations are receipted for the amount kept
+      if (donation.refundedAmount > 0) {
+        tableData.push({
+          label: labels.refunded,
+          value: fillLabel(labels.refundedValue, {
+            refunded: donation.refundedAmount,
+            amount: donation.amount,
+          })
+        });
+      }
+
       const tableStartY = y;
 
       // Draw table
       tableData.forEach((row, index) => {
         const currentY = tableStartY + (index * rowHeight);
-        const isDonationAmount = row.label === "Donation Amount";
+        const isDonationAmount = Boolean(row.highlight);
 
         // Light orange background for donation amount value cell only (right cell)
         if (isDonationAmount) {
@@ -368,7 +395,7 @@ y = 50 + imageSize + 20; // Move title up more
         // Draw label (black for all rows)
         doc
           .fillColor("#000000")
-          .font("Helvetica-Bold")
+          .font(fonts.bold)
           .fontSize(10)
           .text(
             row.label,
@@ -383,7 +410,7 @@ y = 50 + imageSize + 20; // Move title up more
         // Draw value (orange bold for donation amount, black for others)
         doc
           .fillColor(isDonationAmount ? "#E69138" : "#000000")
-          .font(isDonationAmount || row.valueBold ? "Helvetica-Bold" : "Helvetica")
+          .font(isDonationAmount || row.valueBold ? fonts.bold : fonts.regular)
           .fontSize(10)
           .text(
             row.value || "-",
@@ -439,15 +466,39 @@ y = 50 + imageSize + 20; // Move title up more
           width: 50
         });
 
+      // ===== VERIFICATION QR (LEFT OF THE CIRCLE) =====
+      const qrSize = 76;
+      const qrX = circleX - circleRadius - 20 - qrSize;
+      doc.image(qrImage, qrX, circleY - qrSize / 2, { width: qrSize, height: qrSize });
+
+      doc
+        .fillColor("#333333")
+        .font(fonts.regular)
+        .fontSize(7.5)
+        .text(labels.scanToVerify, qrX - 190, circleY - 22, {
+          align: "right",
+          width: 180,
+        })
+        .text(verificationUrl.replace(/\/[^/]+$/, ""), qrX - 190, circleY - 11, {
+          align: "right",
+          width: 180,
+        })
+        .font(fonts.bold)
+        .fontSize(9)
+        .text(`${labels.code} : ${verificationCode}`, qrX - 190, circleY + 2, {
+          align: "right",
+          width: 180,
+        });
+
       // ===== FOOTER WITH MORE SPACING =====
       y += 60; // Significant whitespace
 
       doc
         .fillColor("#333333")
-        .font("Times-Italic")
+        .font(fonts.italic)
         .fontSize(11)
         .text(
-          "Thank you for your generous contribution. May your seva be blessed.",
+          labels.thankYou,
           50,
           y,
           { align: "center", width: contentWidth }
@@ -456,11 +507,11 @@ y = 50 + imageSize + 20; // Move title up more
       y += 20;
 
       doc
-        .font("Helvetica")
+        .font(fonts.regular)
         .fontSize(7)
         .fillColor("#666666")
         .text(
-          `Transaction ID : ${donation.paymentId || donation.transactionRef || "N/A"}`,
+          `${labels.transactionId} : ${donation.paymentId || donation.transactionRef || "N/A"}`,
           50,
           y,
           { align: "center", width: contentWidth }
@@ -473,4 +524,194 @@ y = 50 + imageSize + 20; // Move title up more
   });
 };
 
-exports.getReceiptPublicUrl = getReceiptPublicUrl;
\ No newline at end of file
+/**
+ * Render a consolidated 80G certificate (Form 10BE style) onto a PDF document
+ * Starts on the current page - callers add a page between certificates.
+ * Long donation lists continue on extra pages.
+ *
+ * @param {PDFDocument} doc
+ * @param {Object} certificate - AnnualCertificate document
+ */
+exports.renderAnnualCertificate = (doc, certificate) => {
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - 100;
+  const formatDate = (date) => {
+    const d = new Date(date);
+    return `${d.getDate().toString().padStart(2, "0")}/${(d.getMonth() + 1)
+      .toString()
+      .padStart(2, "0")}/${d.getFullYear()}`;
+  };
+
+  let y = drawLetterhead(doc);
+
+  // ===== TITLE =====
+  doc
+    .fillColor("#FF6600")
+    .font("Helvetica-Bold")
+    .fontSize(13.5)
+    .text("Certificate of Donations u/s 80G (Form 10BE)", 50, y, {
+      align: "center",
+      width: contentWidth,
+    });
+
+  y += 18;
+
+  doc
+    .fillColor("#000000")
+    .font("Helvetica")
+    .fontSize(9.5)
+    .text(`Financial Year ${certificate.financialYear}`, 50, y, {
+      align: "center",
+      width: contentWidth,
+    });
+
+  y += 16;
+
+  doc
+    .strokeColor("#FF6600")
+    .lineWidth(1.5)
+    .moveTo(50, y)
+    .lineTo(pageWidth - 50, y)
+    .stroke();
+
+  y += 12;
+
+  // ===== CERTIFICATE NO & DATE =====
+  doc
+    .fillColor("#000000")
+    .font("Helvetica-Bold")
+    .fontSize(9.5)
+    .text(`Certificate No. : ${certificate.certificateNumber}`, 50, y);
+  doc.text(`Date : ${formatDate(certificate.issuedAt)}`, 50, y, {
+    align: "right",
+    width: contentWidth,
+  });
+
+  y += 22;
+
+  // ===== DONOR =====
+  const donorRows = [
+    ["Donor Name", certificate.donor?.name || "-"],
+    ["PAN", certificate.pan],
+    ["Address", certificate.donor?.address || "-"],
+  ];
+  donorRows.forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").fontSize(10).text(label, 50, y, { width: 110 });
+    doc.font("Helvetica").text(value, 160, y, { width: contentWidth - 110 });
+    y = Math.max(y + 16, doc.y + 4);
+  });
+
+  y += 8;
+
+  // ===== DONATIONS TABLE =====
+  const columns = [
+    { label: "Date", width: 70 },
+    { label: "Receipt No.", width: 120 },
+    { label: "On Account of", width: 145 },
+    { label: "Mode", width: 65 },
+    { label: "Amount (Rs)", width: contentWidth - 400, align: "right" },
+  ];
+  const rowHeight = 20;
+
+  const drawRow = (values, bold) => {
+    let x = 50;
+    doc
+      .strokeColor("#FF6600")
+      .lineWidth(0.75)
+      .rect(50, y, contentWidth, rowHeight)
+      .stroke();
+    doc.fillColor("#000000").font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    columns.forEach((col, i) => {
+      doc.text(String(values[i] ?? ""), x + 5, y + 6, {
+        width: col.width - 10,
+        align: col.align || "left",
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += col.width;
+    });
+    y += rowHeight;
+  };
+
+  const newPageIfNeeded = () => {
+    if (y + rowHeight > doc.page.height - 160) {
+      doc.addPage();
+      doc
+        .strokeColor("#FF6600")
+        .lineWidth(3)
+        .rect(20, 20, pageWidth - 40, doc.page.height - 40)
+        .stroke();
+      y = 50;
+      drawRow(columns.map((c) => c.label), true);
+    }
+  };
+
+  drawRow(columns.map((c) => c.label), true);
+  certificate.donations.forEach((d) => {
+    newPageIfNeeded();
+    drawRow([
+      formatDate(d.date),
+      d.receiptNumber || "-",
+      d.donationHead || "-",
+      d.paymentMethod || "ONLINE",
+      d.amount,
+    ]);
+  });
+  newPageIfNeeded();
+  drawRow(["", "", "", "Total", certificate.totalAmount], true);
+
+  y += 12;
+
+  doc
+    .fillColor("#E69138")
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .text(
+      `Total: Rs ${certificate.totalAmount} (${amountInWords(certificate.totalAmount)} Only)`,
+      50,
+      y,
+      { width: contentWidth },
+    );
+
+  y = doc.y + 6;
+
+  if (certificate.deductibleAmount !== certificate.totalAmount) {
+    doc
+      .fillColor("#000000")
+      .font("Helvetica")
+      .fontSize(8.5)
+      .text(
+        `Eligible for deduction u/s 80G: Rs ${certificate.deductibleAmount}. Cash donations above Rs 2,000 are not deductible.`,
+        50,
+        y,
+        { width: contentWidth },
+      );
+    y = doc.y + 6;
+  }
+
+  y += 8;
+
+  doc
+    .fillColor("#000000")
+    .font("Helvetica")
+    .fontSize(8.5)
+    .text("Exemption order ref no. AAQTS3485B24PN02", 50, y)
+    .text("Valid upto. 2027-28", 50, doc.y + 2)
+    .text(
+      "This certificate consolidates all donations received from the above PAN during the financial year towards 80G-eligible causes.",
+      50,
+      doc.y + 8,
+      { width: contentWidth },
+    );
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(9.5)
+    .text("Authorised Signatory", 50, doc.y + 30, {
+      align: "right",
+      width: contentWidth,
+    });
+};
+
+exports.getReceiptPublicUrl = getReceiptPublicUrl;
+exports.resolveReceiptLanguage = resolveReceiptLanguage;
\ No newline at end of file
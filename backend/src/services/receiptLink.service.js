@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+
+/**
+ * Receipt Link Service
+ * HMAC-signed, expiring tokens for receipt downloads and status polling, so a
+ * donation ID on its own no longer opens a receipt with the donor's PAN and address.
+ *
+ * Token format: "<expiresAt unix seconds>.<base64url HMAC-SHA256>", signed over
+ * the donation ID and expiry. Tokens are stateless - nothing is stored.
+ */
+
+// Link in the receipt email
+const EMAIL_LINK_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Token returned to the checkout flow for Step5Success
+const CHECKOUT_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+const getSecret = () => {
+  const secret = process.env.RECEIPT_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error("RECEIPT_LINK_SECRET or JWT_SECRET must be set");
+  return secret;
+};
+
+const sign = (donationId, expiresAt) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`receipt:${donationId}:${expiresAt}`)
+    .digest("base64url");
+
+/**
+ * Create a receipt token for a donation
+ * @param {string} donationId
+ * @param {number} [ttlSeconds] - Defaults to the checkout lifetime
+ * @returns {string}
+ */
+const createReceiptToken = (donationId, ttlSeconds = CHECKOUT_LINK_TTL_SECONDS) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expiresAt}.${sign(String(donationId), expiresAt)}`;
+};
+
+/**
+ * Check a receipt token against a donation
+ * @param {string} donationId
+ * @param {string} token
+ * @returns {Object} { valid, expired }
+ */
+const verifyReceiptToken = (donationId, token) => {
+  const [expiresPart, signature] = String(token || "").split(".");
+  const expiresAt = Number(expiresPart);
+  if (!signature || !Number.isInteger(expiresAt)) {
+    return { valid: false, expired: false };
+  }
+
+  const expected = Buffer.from(sign(String(donationId), expiresAt));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, expired: false };
+  }
+
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return { valid: false, expired: true };
+  }
+
+  return { valid: true, expired: false };
+};
+
+/**
+ * Full signed download URL for the receipt email
+ * @param {string} donationId
+ * @param {number} [ttlSeconds] - Defaults to the email lifetime
+ */
+const getSignedReceiptUrl = (donationId, ttlSeconds = EMAIL_LINK_TTL_SECONDS) => {
+  const frontendUrl = process.env.FRONTEND_URL || "https://shrigurudevashram.org";
+  const token = createReceiptToken(donationId, ttlSeconds);
+  return `${frontendUrl}/api/donations/${donationId}/receipt?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  EMAIL_LINK_TTL_SECONDS,
+  CHECKOUT_LINK_TTL_SECONDS,
+  createReceiptToken,
+  verifyReceiptToken,
+  getSignedReceiptUrl,
+};
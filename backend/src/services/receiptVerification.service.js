@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const Donation = require("../models/Donation");
+
+/**
+ * Receipt Verification Service
+ * Short codes printed (with a QR) on every receipt so banks and CA offices can
+ * confirm a receipt is genuine at /verify-receipt without contacting the trust.
+ *
+ * Codes look like "K7QM-4XZP": 8 random characters from an alphabet without
+ * look-alikes (0/O, 1/I/L), so they can be read off paper and typed in.
+ */
+
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const CODE_LENGTH = 8;
+
+const generateVerificationCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Normalise a typed or scanned code to the stored "XXXX-XXXX" form
+ * @param {string} input
+ * @returns {string|null} null if it cannot be a verification code
+ */
+const normalizeVerificationCode = (input) => {
+  const chars = String(input || "").toUpperCase().replace(/[^0-9A-Z]/g, "");
+  if (chars.length !== CODE_LENGTH) return null;
+  if ([...chars].some((c) => !CODE_ALPHABET.includes(c))) return null;
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Public verification page URL for a code (encoded in the receipt QR)
+ */
+const getVerificationUrl = (code) => {
+  const frontendUrl = process.env.FRONTEND_URL || "https://shrigurudevashram.org";
+  return `${frontendUrl}/verify-receipt/${code}`;
+};
+
+/**
+ * Give a donation its verification code if it has none yet
+ * The code never changes once set, so regenerated receipts keep the same QR.
+ * Also sets the code on the passed donation object.
+ *
+ * @param {Object} donation - Donation document or lean object
+ * @returns {Promise<string>} Verification code
+ */
+const ensureVerificationCode = async (donation) => {
+  if (donation.verificationCode) return donation.verificationCode;
+
+  // Retry on the (very unlikely) collision with another donation's code
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateVerificationCode();
+    try {
+      const updated = await Donation.findOneAndUpdate(
+        { _id: donation._id, verificationCode: null },
+        { $set: { verificationCode: code } },
+        { new: true },
+      )
+        .select("verificationCode")
+        .lean();
+
+      // Null means a concurrent receipt run already set one
+      const current =
+        updated || (await Donation.findById(donation._id).select("verificationCode").lean());
+      donation.verificationCode = current.verificationCode;
+      return donation.verificationCode;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  throw new Error("Could not assign a unique receipt verification code");
+};
+
+module.exports = {
+  normalizeVerificationCode,
+  getVerificationUrl,
+  ensureVerificationCode,
+};
@@ -0,0 +1,428 @@
+const razorpay = require("../config/razorpay");
+const Donation = require("../models/Donation");
+const Order = require("../models/Order");
+const EventRegistration = require("../models/EventRegistration");
+const ReconciliationRun = require("../models/ReconciliationRun");
+const PaymentDiscrepancy = require("../models/PaymentDiscrepancy");
+const { finalizeDonationPayment } = require("./webhookEvent.service");
+
+/**
+ * Reconciliation Service
+ * Compares Razorpay payments and settlements for a date range with Donation
+ * records and flags what the webhooks missed:
+ * - captured payments whose donation is still PENDING (fixable in one click)
+ * - captured payments with no donation, shop order or event registration fee
+ * - captured payments for a shop order that never became PAID, or was paid
+ *   too late and needs a refund
+ * - SUCCESS donations without a captured Razorpay payment
+ * - captured amount different from the donation amount
+ *
+ * Runs from the cleanup scheduler (before stale PENDING donations are deleted)
+ * and on demand by a System Admin.
+ */
+
+// Razorpay list APIs return at most 100 items per call
+const PAGE_SIZE = 100;
+
+// Longest range a single run may cover
+const MAX_RANGE_DAYS = 31;
+
+// A run still RUNNING after this long is assumed to have crashed
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+// Payment states that mean money was taken (refunded payments were captured first)
+const CAPTURED_STATES = ["captured", "refunded"];
+
+const toUnix = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Fetch every item of a Razorpay collection for a date range
+ * @param {Function} listFn - e.g. razorpay.payments.all
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array>} All items across pages
+ */
+const fetchAll = async (listFn, from, to) => {
+  const items = [];
+  let skip = 0;
+
+  for (;;) {
+    const page = await listFn({
+      from: toUnix(from),
+      to: toUnix(to),
+      count: PAGE_SIZE,
+      skip,
+    });
+    items.push(...(page.items || []));
+
+    if (!page.items || page.items.length < PAGE_SIZE) break;
+    skip += PAGE_SIZE;
+  }
+
+  return items;
+};
+
+/**
+ * Fetch a single payment, or null if Razorpay does not know it
+ */
+const fetchPayment = async (paymentId) => {
+  try {
+    return await razorpay.payments.fetch(paymentId);
+  } catch (err) {
+    if (err.statusCode === 400 || err.statusCode === 404) return null;
+    throw err;
+  }
+};
+
+/**
+ * Validate a reconciliation date range
+ * @returns {Object} { valid: true, from, to } or { valid: false, message }
+ */
+const parseRange = (fromInput, toInput) => {
+  const from = new Date(fromInput);
+  const to = new Date(toInput);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { valid: false, message: "Valid from and to dates are required" };
+  }
+
+  // Date-only input covers the whole "to" day
+  if (typeof toInput === "string" && /^\d{4}-\d{2}-\d{2}$/.test(toInput)) {
+    to.setHours(23, 59, 59, 999);
+  }
+
+  if (from >= to) {
+    return { valid: false, message: "From date must be before to date" };
+  }
+  if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return {
+      valid: false,
+      message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+    };
+  }
+
+  return { valid: true, from, to };
+};
+
+/**
+ * Record a discrepancy, or refresh it if an earlier run already found it
+ * Resolved discrepancies stay resolved.
+ *
+ * @returns {Promise<boolean>} true if this is a new discrepancy
+ */
+const flagDiscrepancy = async (run, type, data) => {
+  const key = data.razorpayPaymentId || String(data.donation);
+
+  const result = await PaymentDiscrepancy.updateOne(
+    { type, key },
+    {
+      $setOnInsert: { ...data, type, key, status: "OPEN", firstRun: run._id },
+      $set: { lastRun: run._id, lastSeenAt: new Date() },
+    },
+    { upsert: true },
+  );
+
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Compare Razorpay payments with donations and flag mismatches
+ * @returns {Promise<Object>} Summary counts for the run
+ */
+const matchPayments = async (run, payments, from, to) => {
+  const summary = {
+    paymentsFetched: payments.length,
+    capturedCount: 0,
+    capturedAmount: 0,
+    donationsChecked: 0,
+    discrepanciesFound: 0,
+  };
+
+  const flag = async (type, data) => {
+    if (await flagDiscrepancy(run, type, data)) summary.discrepanciesFound++;
+  };
+
+  const captured = payments.filter((p) => CAPTURED_STATES.includes(p.status));
+  const paymentsById = new Map(payments.map((p) => [p.id, p]));
+
+  summary.capturedCount = captured.length;
+  summary.capturedAmount = captured.reduce((sum, p) => sum + p.amount / 100, 0);
+
+  // Donations matching a captured payment by paymentId or order ID
+  const orderIds = captured.map((p) => p.order_id).filter(Boolean);
+  const paymentIds = captured.map((p) => p.id);
+
+  const [matchedDonations, shopOrders, eventRegistrations] = await Promise.all([
+    Donation.find({
+      $or: [
+        { paymentId: { $in: paymentIds } },
+        { razorpayOrderId: { $in: orderIds } },
+      ],
+    })
+      .select("_id amount status paymentId razorpayOrderId")
+      .lean(),
+    Order.find({ razorpayOrderId: { $in: orderIds } })
+      .select("_id razorpayOrderId status totalAmount paidAt paymentIssue")
+      .lean(),
+    EventRegistration.find({ razorpayOrderId: { $in: orderIds } })
+      .select("razorpayOrderId")
+      .lean(),
+  ]);
+
+  // Event registration fees are settled by their own flow; shop orders are
+  // checked below instead of as donations
+  const registrationOrderIds = new Set(eventRegistrations.map((r) => r.razorpayOrderId));
+  const shopOrdersById = new Map(shopOrders.map((o) => [o.razorpayOrderId, o]));
+  const byPaymentId = new Map();
+  const byOrderId = new Map();
+  matchedDonations.forEach((d) => {
+    if (d.paymentId) byPaymentId.set(d.paymentId, d);
+    if (d.razorpayOrderId) byOrderId.set(d.razorpayOrderId, d);
+  });
+
+  for (const payment of captured) {
+    if (payment.order_id && registrationOrderIds.has(payment.order_id)) continue;
+
+    const razorpayAmount = payment.amount / 100;
+    const base = {
+      razorpayOrderId: payment.order_id || null,
+      razorpayPaymentId: payment.id,
+      razorpayStatus: payment.status,
+      razorpayAmount,
+    };
+
+    const shopOrder = payment.order_id && shopOrdersById.get(payment.order_id);
+    if (shopOrder) {
+      // Missed webhook (never marked paid) or a late payment flagged for refund
+      if (!shopOrder.paidAt || shopOrder.paymentIssue) {
+        await flag("ORDER_NOT_PAID", {
+          ...base,
+          order: shopOrder._id,
+          orderStatus: shopOrder.status,
+          orderAmount: shopOrder.totalAmount,
+        });
+      }
+      continue;
+    }
+
+    const donation =
+      byPaymentId.get(payment.id) || byOrderId.get(payment.order_id);
+
+    if (!donation) {
+      await flag("CAPTURED_WITHOUT_DONATION", base);
+      continue;
+    }
+
+    const details = {
+      ...base,
+      donation: donation._id,
+      donationStatus: donation.status,
+      donationAmount: donation.amount,
+    };
+
+    if (donation.status === "PENDING") {
+      await flag("CAPTURED_NOT_CONFIRMED", details);
+    }
+    if (donation.amount !== razorpayAmount) {
+      await flag("AMOUNT_MISMATCH", details);
+    }
+  }
+
+  // Online donations we consider paid must have a captured payment
+  const paidDonations = await Donation.find({
+    status: { $in: [...Donation.COUNTED_STATUSES, "REFUNDED"] },
+    paymentMethod: { $in: ["ONLINE", null] },
+    createdAt: { $gte: from, $lte: to },
+  })
+    .select("_id amount status paymentId razorpayOrderId")
+    .lean();
+
+  summary.donationsChecked = paidDonations.length;
+
+  for (const donation of paidDonations) {
+    let payment = donation.paymentId ? paymentsById.get(donation.paymentId) : null;
+
+    // Payment may fall just outside the range - look it up directly
+    if (!payment && donation.paymentId) {
+      payment = await fetchPayment(donation.paymentId);
+    }
+
+    if (payment && CAPTURED_STATES.includes(payment.status)) {
+      // Captured payments outside the fetched range still get an amount check
+      if (!paymentsById.has(payment.id) && donation.amount !== payment.amount / 100) {
+        await flag("AMOUNT_MISMATCH", {
+          donation: donation._id,
+          donationStatus: donation.status,
+          donationAmount: donation.amount,
+          razorpayOrderId: payment.order_id || null,
+          razorpayPaymentId: payment.id,
+          razorpayStatus: payment.status,
+          razorpayAmount: payment.amount / 100,
+        });
+      }
+      continue;
+    }
+
+    await flag("SUCCESS_WITHOUT_CAPTURE", {
+      donation: donation._id,
+      donationStatus: donation.status,
+      donationAmount: donation.amount,
+      razorpayOrderId: donation.razorpayOrderId || null,
+      razorpayPaymentId: donation.paymentId || null,
+      razorpayStatus: payment ? payment.status : "not_found",
+      razorpayAmount: payment ? payment.amount / 100 : null,
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Run reconciliation for a date range
+ *
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} options - { trigger: "SCHEDULED" | "MANUAL", startedBy }
+ * @returns {Promise<Object>} { success, run } or { success: false, message }
+ */
+const runReconciliation = async (from, to, { trigger = "MANUAL", startedBy = null } = {}) => {
+  const running = await ReconciliationRun.exists({
+    status: "RUNNING",
+    createdAt: { $gt: new Date(Date.now() - STALE_RUN_MS) },
+  });
+  if (running) {
+    return { success: false, message: "A reconciliation run is already in progress" };
+  }
+
+  const run = await ReconciliationRun.create({ from, to, trigger, startedBy });
+
+  try {
+    const [payments, settlements] = await Promise.all([
+      fetchAll((params) => razorpay.payments.all(params), from, to),
+      fetchAll((params) => razorpay.settlements.all(params), from, to),
+    ]);
+
+    const summary = await matchPayments(run, payments, from, to);
+
+    run.summary = {
+      ...summary,
+      settlementsCount: settlements.length,
+      settledAmount: settlements.reduce((sum, s) => sum + s.amount / 100, 0),
+      settlementFees: settlements.reduce((sum, s) => sum + (s.fees || 0) / 100, 0),
+    };
+    run.status = "COMPLETED";
+    run.completedAt = new Date();
+    await run.save();
+
+    console.log(
+      `Reconciliation ${run._id}: ${summary.paymentsFetched} payments, ${summary.discrepanciesFound} new discrepancies`,
+    );
+    return { success: true, run };
+  } catch (err) {
+    console.error("Reconciliation run failed:", err);
+
+    run.status = "FAILED";
+    run.error = err.error?.description || err.message || String(err);
+    run.completedAt = new Date();
+    await run.save();
+
+    return { success: false, message: run.error, run };
+  }
+};
+
+/**
+ * One-click fix for CAPTURED_NOT_CONFIRMED
+ * Re-checks the payment with Razorpay, then finalises the donation and
+ * generates its receipt exactly like payment.captured would have.
+ *
+ * @param {Object} discrepancy - PaymentDiscrepancy document
+ * @param {string} adminId - User ID of the System Admin
+ * @returns {Promise<Object>} { success, donation } or { success: false, status, message }
+ */
+const fixDiscrepancy = async (discrepancy, adminId) => {
+  if (discrepancy.status !== "OPEN") {
+    return { success: false, status: 409, message: "Discrepancy is already resolved" };
+  }
+  if (discrepancy.type !== "CAPTURED_NOT_CONFIRMED") {
+    return {
+      success: false,
+      status: 400,
+      message: "Only captured payments with a pending donation can be fixed automatically",
+    };
+  }
+
+  const payment = await fetchPayment(discrepancy.razorpayPaymentId);
+  if (!payment || payment.status !== "captured") {
+    return {
+      success: false,
+      status: 409,
+      message: `Razorpay payment is ${payment ? payment.status : "not found"}, not captured`,
+    };
+  }
+
+  const donation = await Donation.findById(discrepancy.donation);
+  if (!donation) {
+    return { success: false, status: 404, message: "Donation not found" };
+  }
+  if (donation.amount !== payment.amount / 100) {
+    return {
+      success: false,
+      status: 409,
+      message: `Captured Rs ${payment.amount / 100} does not match donation amount Rs ${donation.amount}`,
+    };
+  }
+
+  const confirmed = await finalizeDonationPayment(payment.order_id, payment.id);
+  if (!confirmed) {
+    return {
+      success: false,
+      status: 409,
+      message: `Donation is ${donation.status}, not PENDING`,
+    };
+  }
+
+  discrepancy.status = "FIXED";
+  discrepancy.resolvedBy = adminId;
+  discrepancy.resolvedAt = new Date();
+  discrepancy.resolutionNote = `Donation confirmed, receipt ${confirmed.receiptNumber}`;
+  await discrepancy.save();
+
+  return { success: true, donation: confirmed };
+};
+
+/**
+ * Donation IDs the cleanup job must keep - deleting them would lose the
+ * record of money Razorpay actually captured.
+ */
+const getProtectedDonationIds = async () =>
+  PaymentDiscrepancy.distinct("donation", {
+    type: "CAPTURED_NOT_CONFIRMED",
+    status: "OPEN",
+  });
+
+/**
+ * Scheduled run over the last `hours` hours
+ * Never throws - failures are recorded on the run.
+ */
+const runScheduledReconciliation = async (hours = 48) => {
+  try {
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+    const result = await runReconciliation(from, to, { trigger: "SCHEDULED" });
+    if (!result.success) {
+      console.log("Scheduled reconciliation skipped/failed:", result.message);
+    }
+    return result;
+  } catch (error) {
+    console.error("Scheduled reconciliation error:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+module.exports = {
+  parseRange,
+  runReconciliation,
+  runScheduledReconciliation,
+  fixDiscrepancy,
+  getProtectedDonationIds,
+};
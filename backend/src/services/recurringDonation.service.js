@@ -0,0 +1,258 @@
+const razorpay = require("../config/razorpay");
+const Donation = require("../models/Donation");
+const RecurringDonation = require("../models/RecurringDonation");
+const { recordDonationTotals } = require("./donationHeadTotals.service");
+const { linkDonationToDonor } = require("./donorRegistry.service");
+const { encryptField, panBlindIndex } = require("../utils/fieldEncryption");
+
+/**
+ * Recurring Donation Service
+ * Razorpay plan/subscription handling for monthly donations.
+ * Shared by the donation controller (donor actions) and the Razorpay webhook.
+ */
+
+// Monthly mandate length when the donor does not choose one (10 years)
+const DEFAULT_TOTAL_COUNT = 120;
+const MAX_TOTAL_COUNT = 120;
+
+// Razorpay subscription webhook event -> RecurringDonation status
+const SUBSCRIPTION_EVENT_STATUS = {
+  "subscription.activated": "ACTIVE",
+  "subscription.resumed": "ACTIVE",
+  "subscription.paused": "PAUSED",
+  "subscription.halted": "HALTED",
+  "subscription.cancelled": "CANCELLED",
+  "subscription.completed": "COMPLETED",
+};
+
+const TERMINAL_STATUSES = ["CANCELLED", "COMPLETED"];
+
+/**
+ * Convert a Razorpay unix timestamp (seconds) to a Date
+ */
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Get a Razorpay plan for a cause + monthly amount
+ * Plans are immutable on Razorpay, so one plan is created per
+ * (donation head, amount) pair and reused by later mandates.
+ *
+ * @param {Object} donationHead - DonationHead document
+ * @param {string} headName - Display name used on the plan
+ * @param {number} amount - Monthly amount in ₹
+ * @returns {Promise<string>} Razorpay plan ID
+ */
+const getOrCreatePlan = async (donationHead, headName, amount) => {
+  const existing = await RecurringDonation.findOne({
+    donationHeadRef: donationHead._id,
+    amount,
+  })
+    .select("razorpayPlanId")
+    .lean();
+
+  if (existing?.razorpayPlanId) return existing.razorpayPlanId;
+
+  const plan = await razorpay.plans.create({
+    period: "monthly",
+    interval: 1,
+    item: {
+      name: `Monthly donation - ${headName}`,
+      amount: Math.round(amount * 100),
+      currency: "INR",
+    },
+    notes: { donationHeadKey: donationHead.key },
+  });
+
+  return plan.id;
+};
+
+/**
+ * Create the Razorpay subscription for a new mandate
+ * @param {Object} recurring - RecurringDonation document (status CREATED)
+ * @returns {Promise<Object>} Razorpay subscription entity
+ */
+const createSubscription = async (recurring) => {
+  const subscription = await razorpay.subscriptions.create({
+    plan_id: recurring.razorpayPlanId,
+    total_count: recurring.totalCount,
+    customer_notify: 1,
+    notes: {
+      type: "recurring_donation",
+      recurringDonationId: recurring._id.toString(),
+    },
+  });
+
+  recurring.razorpaySubscriptionId = subscription.id;
+  await recurring.save();
+
+  return subscription;
+};
+
+/**
+ * Record one monthly charge (subscription.charged webhook)
+ * Creates a SUCCESS Donation copied from the mandate snapshot.
+ * Upserting on paymentId makes duplicate webhooks a no-op; the existing
+ * Donation is returned so a retried event can finish its receipt.
+ *
+ * @param {Object} subscription - Razorpay subscription entity
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object|null>} Donation for this charge, or null if subscription unknown
+ */
+const recordSubscriptionCharge = async (subscription, payment) => {
+  const recurring = await RecurringDonation.findOne({
+    razorpaySubscriptionId: subscription.id,
+  });
+
+  if (!recurring) {
+    console.log("No recurring donation found for subscription:", subscription.id);
+    return null;
+  }
+
+  const snapshot = recurring.toObject();
+  const receiptNumber = `GRD-${new Date().getFullYear()}-${Date.now().toString(36).toUpperCase()}`;
+  const amount = payment.amount ? payment.amount / 100 : recurring.amount;
+  // The upsert skips the encryption pre-save hook (and the snapshot PAN is
+  // already decrypted), so store it encrypted with its blind index here
+  const donor = {
+    ...snapshot.donor,
+    idNumber: encryptField(snapshot.donor.idNumber),
+    idNumberHash: panBlindIndex(snapshot.donor.idNumber),
+  };
+
+  const result = await Donation.findOneAndUpdate(
+    { paymentId: payment.id },
+    {
+      $setOnInsert: {
+        user: recurring.user,
+        collectorId: recurring.collectorId,
+        collectorName: recurring.collectorName,
+        hasCollectorAttribution: recurring.hasCollectorAttribution,
+        campaignId: recurring.campaignId || null,
+        donor,
+        donationHead: snapshot.donationHead,
+        receiptLanguage: recurring.receiptLanguage,
+        amount,
+        paymentMethod: "ONLINE",
+        razorpayOrderId: payment.order_id || null,
+        paymentId: payment.id,
+        transactionRef: payment.id,
+        status: "SUCCESS",
+        receiptNumber,
+        recurringDonation: recurring._id,
+      },
+    },
+    { upsert: true, new: true, includeResultMetadata: true },
+  );
+
+  if (result.lastErrorObject?.updatedExisting) {
+    console.log("Subscription charge already recorded for payment:", payment.id);
+    return result.value;
+  }
+
+  await recordDonationTotals(result.value);
+  await linkDonationToDonor(result.value);
+
+  await RecurringDonation.updateOne(
+    { _id: recurring._id },
+    {
+      $inc: { paidCount: 1, totalCollected: amount },
+      $set: {
+        lastChargedAt: new Date(),
+        nextChargeAt: fromUnix(subscription.charge_at),
+        // A charge means the mandate is live, even if activation arrived late
+        ...(TERMINAL_STATUSES.includes(recurring.status) ? {} : { status: "ACTIVE" }),
+      },
+    },
+  );
+
+  return result.value;
+};
+
+/**
+ * Sync mandate status from a subscription.* webhook
+ * Terminal states (CANCELLED, COMPLETED) are never left.
+ *
+ * @param {string} eventType - Razorpay event name
+ * @param {Object} subscription - Razorpay subscription entity
+ * @returns {Promise<Object|null>} Updated RecurringDonation or null
+ */
+const syncSubscriptionStatus = async (eventType, subscription) => {
+  const status = SUBSCRIPTION_EVENT_STATUS[eventType];
+  if (!status) return null;
+
+  const update = {
+    status,
+    nextChargeAt: fromUnix(subscription.charge_at),
+  };
+  if (status === "PAUSED") update.pausedAt = new Date();
+  if (status === "ACTIVE") update.pausedAt = null;
+  if (status === "CANCELLED") update.cancelledAt = new Date();
+
+  return RecurringDonation.findOneAndUpdate(
+    {
+      razorpaySubscriptionId: subscription.id,
+      status: { $nin: TERMINAL_STATUSES },
+    },
+    { $set: update },
+    { new: true },
+  );
+};
+
+/**
+ * Pause, resume or cancel a mandate on behalf of the donor
+ * Razorpay is called first; the local record is only changed if it succeeds.
+ * The matching webhook later confirms the same status (idempotent).
+ *
+ * @param {Object} recurring - RecurringDonation document
+ * @param {string} action - "pause" | "resume" | "cancel"
+ * @returns {Promise<Object>} { success: true, recurring } or { success: false, message }
+ */
+const applyDonorAction = async (recurring, action) => {
+  const allowedFrom = {
+    pause: ["ACTIVE"],
+    resume: ["PAUSED"],
+    cancel: ["CREATED", "ACTIVE", "PAUSED", "HALTED"],
+  };
+
+  if (!allowedFrom[action]) {
+    return { success: false, message: "Invalid action" };
+  }
+  if (!allowedFrom[action].includes(recurring.status)) {
+    return {
+      success: false,
+      message: `Cannot ${action} a ${recurring.status.toLowerCase()} monthly donation`,
+    };
+  }
+
+  const subscriptionId = recurring.razorpaySubscriptionId;
+
+  if (action === "pause") {
+    await razorpay.subscriptions.pause(subscriptionId, { pause_at: "now" });
+    recurring.status = "PAUSED";
+    recurring.pausedAt = new Date();
+  } else if (action === "resume") {
+    await razorpay.subscriptions.resume(subscriptionId, { resume_at: "now" });
+    recurring.status = "ACTIVE";
+    recurring.pausedAt = null;
+  } else {
+    if (subscriptionId) {
+      await razorpay.subscriptions.cancel(subscriptionId, false);
+    }
+    recurring.status = "CANCELLED";
+    recurring.cancelledAt = new Date();
+  }
+
+  await recurring.save();
+  return { success: true, recurring };
+};
+
+module.exports = {
+  DEFAULT_TOTAL_COUNT,
+  MAX_TOTAL_COUNT,
+  SUBSCRIPTION_EVENT_STATUS,
+  getOrCreatePlan,
+  createSubscription,
+  recordSubscriptionCharge,
+  syncSubscriptionStatus,
+  applyDonorAction,
+};
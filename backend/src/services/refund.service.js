@@ -0,0 +1,350 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const razorpay = require("../config/razorpay");
+const Donation = require("../models/Donation");
+const { recordRefundTotals } = require("./donationHeadTotals.service");
+
+/**
+ * Refund Service
+ * Admin-initiated donation refunds and the Razorpay refund webhooks.
+ *
+ * - ONLINE donations are refunded through the Razorpay refund API. The refund
+ *   entry stays PENDING until Razorpay reports it processed (API response or
+ *   refund.processed webhook, whichever arrives first).
+ * - CASH/UPI/CHEQUE donations are refunded outside the system; the admin
+ *   records the refund and it is applied immediately.
+ *
+ * Applying a processed refund adds to refundedAmount, moves the donation to
+ * PARTIALLY_REFUNDED / REFUNDED, takes the amount off the donation head totals
+ * and, once fully refunded, cancels the receipt.
+ */
+
+/**
+ * Sum of refunds still waiting on Razorpay
+ */
+const getPendingRefundTotal = (donation) =>
+  (donation.refunds || [])
+    .filter((r) => r.status === "PENDING")
+    .reduce((sum, r) => sum + r.amount, 0);
+
+/**
+ * Amount that can still be refunded
+ */
+const getRefundableAmount = (donation) =>
+  donation.amount - (donation.refundedAmount || 0) - getPendingRefundTotal(donation);
+
+/**
+ * Remove the stored receipt PDF of a fully refunded donation
+ * so the old /receipts link stops working.
+ */
+const removeReceiptFile = (donation) => {
+  if (!donation.receiptUrl) return;
+
+  const filePath = path.join(
+    process.cwd(),
+    "receipts",
+    path.basename(donation.receiptUrl),
+  );
+  fs.promises.unlink(filePath).catch((err) => {
+    if (err.code !== "ENOENT") {
+      console.error("Failed to remove cancelled receipt:", err.message);
+    }
+  });
+};
+
+/**
+ * Mark a refund entry PROCESSED and apply it to the donation totals
+ * Idempotent: an entry already PROCESSED is never counted twice.
+ *
+ * @param {string} donationId - Donation _id
+ * @param {string} refundEntryId - _id of the entry in donation.refunds
+ * @param {string} [razorpayRefundId] - Razorpay refund ID (rfnd_...)
+ * @returns {Promise<Object|null>} Updated donation, or null if already applied
+ */
+const applyProcessedRefund = async (donationId, refundEntryId, razorpayRefundId) => {
+  const donation = await Donation.findById(donationId);
+  const entry = donation?.refunds.id(refundEntryId);
+  if (!entry) return null;
+
+  const $set = {
+    "refunds.$.status": "PROCESSED",
+    "refunds.$.processedAt": new Date(),
+  };
+  if (razorpayRefundId) $set["refunds.$.razorpayRefundId"] = razorpayRefundId;
+
+  const claimed = await Donation.findOneAndUpdate(
+    {
+      _id: donationId,
+      refunds: { $elemMatch: { _id: entry._id, status: { $ne: "PROCESSED" } } },
+    },
+    { $set, $inc: { refundedAmount: entry.amount } },
+    { new: true },
+  );
+
+  if (!claimed) return null;
+
+  // Derive status from the stored total so concurrent refunds settle correctly
+  const updated = await Donation.findOneAndUpdate(
+    { _id: donationId },
+    [
+      {
+        $set: {
+          status: {
+            $cond: [
+              { $gte: ["$refundedAmount", "$amount"] },
+              "REFUNDED",
+              "PARTIALLY_REFUNDED",
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          receiptCancelledAt: {
+            $cond: [
+              { $eq: ["$status", "REFUNDED"] },
+              { $ifNull: ["$receiptCancelledAt", "$$NOW"] },
+              null,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, updatePipeline: true },
+  );
+
+  // v2 records carry their own payment.status - keep it in step
+  if (updated.payment?.method) {
+    updated.payment.status = updated.status;
+    await Donation.updateOne(
+      { _id: donationId },
+      { $set: { "payment.status": updated.status } },
+    );
+  }
+
+  // Keep the cause's running totals in step
+  await recordRefundTotals(claimed, entry.amount);
+
+  if (updated.status === "REFUNDED") {
+    removeReceiptFile(updated);
+  }
+
+  console.log(
+    `Refund of Rs ${entry.amount} applied to donation ${donationId} (${updated.status})`,
+  );
+  return updated;
+};
+
+/**
+ * Refund a donation (System Admin)
+ *
+ * @param {Object} donation - Donation document
+ * @param {Object} options - { amount, reason, reference }; amount defaults to the full refundable amount
+ * @param {string} adminId - User ID of the System Admin
+ * @returns {Promise<Object>} { success, donation, refund } or { success: false, message }
+ */
+const refundDonation = async (donation, options, adminId) => {
+  if (!Donation.COUNTED_STATUSES.includes(donation.status)) {
+    return {
+      success: false,
+      message: `Cannot refund a ${donation.status.toLowerCase()} donation`,
+    };
+  }
+
+  const refundable = getRefundableAmount(donation);
+  const amount =
+    options.amount === undefined || options.amount === null || options.amount === ""
+      ? refundable
+      : Number(options.amount);
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { success: false, message: "Refund amount must be a whole number of rupees" };
+  }
+  if (amount > refundable) {
+    return {
+      success: false,
+      message: `Refund amount exceeds the refundable balance of Rs ${refundable}`,
+    };
+  }
+
+  const reason = String(options.reason || "").trim();
+  if (!reason) {
+    return { success: false, message: "Refund reason is required" };
+  }
+
+  const isOnline = donation.getPaymentMethod() === "ONLINE";
+  if (isOnline && !donation.paymentId) {
+    return { success: false, message: "Donation has no Razorpay payment to refund" };
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+
+  // Reserve the refund atomically - a concurrent refund changes refunds.length
+  // (records created before refunds existed have no refunds field at all)
+  const unchangedRefunds =
+    donation.refunds.length === 0
+      ? { $or: [{ refunds: { $size: 0 } }, { refunds: { $exists: false } }] }
+      : { refunds: { $size: donation.refunds.length } };
+
+  const reserved = await Donation.findOneAndUpdate(
+    {
+      _id: donation._id,
+      status: { $in: Donation.COUNTED_STATUSES },
+      ...unchangedRefunds,
+    },
+    {
+      $push: {
+        refunds: {
+          _id: entryId,
+          method: isOnline ? "RAZORPAY" : "MANUAL",
+          amount,
+          reason,
+          reference: isOnline ? undefined : options.reference,
+          status: "PENDING",
+          initiatedBy: adminId,
+        },
+      },
+    },
+    { new: true },
+  );
+
+  if (!reserved) {
+    return {
+      success: false,
+      message: "Donation was updated by another request, please reload and try again",
+    };
+  }
+
+  if (!isOnline) {
+    const updated = await applyProcessedRefund(donation._id, entryId);
+    return { success: true, donation: updated, refund: updated.refunds.id(entryId) };
+  }
+
+  let razorpayRefund;
+  try {
+    razorpayRefund = await razorpay.payments.refund(donation.paymentId, {
+      amount: amount * 100, // paise
+      notes: {
+        donationId: donation._id.toString(),
+        refundEntryId: entryId.toString(),
+        reason: reason.slice(0, 250),
+      },
+    });
+  } catch (err) {
+    const failureReason = err.error?.description || err.message || "Razorpay refund failed";
+    await Donation.updateOne(
+      { _id: donation._id, "refunds._id": entryId },
+      { $set: { "refunds.$.status": "FAILED", "refunds.$.failureReason": failureReason } },
+    );
+    return { success: false, message: failureReason, razorpayError: true };
+  }
+
+  let updated;
+  if (razorpayRefund.status === "processed") {
+    updated = await applyProcessedRefund(donation._id, entryId, razorpayRefund.id);
+  }
+
+  if (!updated) {
+    updated = await Donation.findOneAndUpdate(
+      { _id: donation._id, "refunds._id": entryId },
+      { $set: { "refunds.$.razorpayRefundId": razorpayRefund.id } },
+      { new: true },
+    );
+  }
+
+  return { success: true, donation: updated, refund: updated.refunds.id(entryId) };
+};
+
+/**
+ * Find the donation and refund entry a Razorpay refund entity belongs to
+ * Matches the refund ID first, then the entry ID we put in the refund notes.
+ */
+const findRefundEntry = async (refund) => {
+  let donation = await Donation.findOne({ "refunds.razorpayRefundId": refund.id });
+  if (donation) {
+    return { donation, entry: donation.refunds.find((r) => r.razorpayRefundId === refund.id) };
+  }
+
+  const refundEntryId = refund.notes?.refundEntryId;
+  if (refundEntryId && mongoose.Types.ObjectId.isValid(refundEntryId)) {
+    donation = await Donation.findOne({ "refunds._id": refundEntryId });
+    if (donation) {
+      return { donation, entry: donation.refunds.id(refundEntryId) };
+    }
+  }
+
+  return { donation: null, entry: null };
+};
+
+/**
+ * Handle refund.processed
+ * Refunds made from the Razorpay dashboard have no entry yet - one is added
+ * so the site reflects them too.
+ *
+ * @param {Object} refund - Razorpay refund entity
+ */
+const handleRefundProcessed = async (refund) => {
+  let { donation, entry } = await findRefundEntry(refund);
+
+  if (!donation) {
+    donation = await Donation.findOne({ paymentId: refund.payment_id });
+    if (!donation) {
+      console.log("No donation found for refunded payment:", refund.payment_id);
+      return;
+    }
+
+    const entryId = new mongoose.Types.ObjectId();
+    const added = await Donation.findOneAndUpdate(
+      { _id: donation._id, "refunds.razorpayRefundId": { $ne: refund.id } },
+      {
+        $push: {
+          refunds: {
+            _id: entryId,
+            method: "RAZORPAY",
+            amount: refund.amount / 100,
+            razorpayRefundId: refund.id,
+            reason: "Refunded from Razorpay dashboard",
+            status: "PENDING",
+          },
+        },
+      },
+      { new: true },
+    );
+    entry = added ? added.refunds.id(entryId) : null;
+    if (!entry) return;
+  }
+
+  await applyProcessedRefund(donation._id, entry._id, refund.id);
+};
+
+/**
+ * Handle refund.failed - release the reserved amount
+ * @param {Object} refund - Razorpay refund entity
+ */
+const handleRefundFailed = async (refund) => {
+  const { donation, entry } = await findRefundEntry(refund);
+  if (!donation) {
+    console.log("No donation refund found for failed refund:", refund.id);
+    return;
+  }
+
+  await Donation.updateOne(
+    { _id: donation._id, refunds: { $elemMatch: { _id: entry._id, status: "PENDING" } } },
+    {
+      $set: {
+        "refunds.$.status": "FAILED",
+        "refunds.$.razorpayRefundId": refund.id,
+        "refunds.$.failureReason": "Razorpay reported the refund as failed",
+      },
+    },
+  );
+};
+
+module.exports = {
+  getRefundableAmount,
+  refundDonation,
+  applyProcessedRefund,
+  handleRefundProcessed,
+  handleRefundFailed,
+};
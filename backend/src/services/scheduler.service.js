@@ -0,0 +1,253 @@
+const ScheduledJob = require("../models/ScheduledJob");
+const JobRun = require("../models/JobRun");
+const { runScheduledReconciliation } = require("./reconciliation.service");
+const { rolloverEventStatuses } = require("./event.service");
+const { rebuildDonationHeadTotals } = require("./donationHeadTotals.service");
+const { linkUnregisteredDonations } = require("./donorRegistry.service");
+const { expireStaleRegistrations } = require("./eventRegistration.service");
+const { sendShiftReminders } = require("./seva.service");
+const {
+  cleanupPendingDonations,
+  cancelStaleOrders,
+  expireAnnouncements,
+} = require("../utils/cleanup");
+
+/**
+ * Scheduler Service
+ * In-process runner for maintenance jobs. Jobs are defined below and synced
+ * into ScheduledJob on startup; each server instance checks for due jobs
+ * every minute. A job is claimed atomically (runningSince lock) before it
+ * runs, so with several instances each due run still happens only once.
+ *
+ * Every run is stored in JobRun; the job document keeps the last outcome.
+ */
+
+// Delay before the first tick, to let the DB connection come up
+const STARTUP_DELAY_MS = 10 * 1000;
+// A lock older than this belongs to a crashed run and may be taken over
+const STALE_LOCK_MS = 60 * 60 * 1000;
+
+/**
+ * Job definitions
+ * handler() returns a small result object stored on the run; throwing marks it FAILED.
+ */
+const JOBS = [
+  {
+    name: "pending-donation-cleanup",
+    description:
+      "Flags missed Razorpay captures (last 48h), then deletes PENDING donations older than 24h",
+    intervalMinutes: 6 * 60,
+    handler: async () => {
+      // Reconcile first so captured-but-PENDING donations are protected from deletion
+      const reconciliation = await runScheduledReconciliation(48);
+      const deleted = await cleanupPendingDonations(24);
+      return {
+        reconciliation: reconciliation.success
+          ? { discrepanciesFound: reconciliation.run.summary.discrepanciesFound }
+          : { skipped: reconciliation.message },
+        deleted,
+      };
+    },
+  },
+  {
+    name: "stale-order-cleanup",
+    description: "Cancels unpaid (PLACED) shop orders older than 24h",
+    intervalMinutes: 6 * 60,
+    handler: async () => ({ cancelled: await cancelStaleOrders(24) }),
+  },
+  {
+    name: "event-status-rollover",
+    description: "Moves events to ongoing/past based on their dates",
+    intervalMinutes: 60,
+    handler: rolloverEventStatuses,
+  },
+  {
+    name: "event-registration-expiry",
+    description:
+      "Releases seats of unpaid event registrations whose hold has expired and promotes free-event waitlists",
+    intervalMinutes: 15,
+    handler: expireStaleRegistrations,
+  },
+  {
+    name: "seva-shift-reminders",
+    description: "Emails volunteers a reminder of seva shifts starting within 24h",
+    intervalMinutes: 30,
+    handler: sendShiftReminders,
+  },
+  {
+    name: "announcement-expiry",
+    description: "Deactivates announcements whose end date has passed",
+    intervalMinutes: 60,
+    handler: async () => ({ deactivated: await expireAnnouncements() }),
+  },
+  {
+    name: "donation-head-totals",
+    description: "Recomputes donation head goal totals from donations (fixes any drift)",
+    intervalMinutes: 24 * 60,
+    handler: rebuildDonationHeadTotals,
+  },
+  {
+    name: "donor-registry",
+    description: "Links counted donations missing from the donor registry to their donor",
+    intervalMinutes: 24 * 60,
+    handler: linkUnregisteredDonations,
+  },
+];
+
+const getJobDefinition = (name) => JOBS.find((job) => job.name === name);
+
+/**
+ * Create or update the ScheduledJob document of every defined job
+ * Schedule settings follow the code; enabled and run history are kept.
+ */
+const syncJobRegistry = async () => {
+  await Promise.all(
+    JOBS.map((job) =>
+      ScheduledJob.updateOne(
+        { name: job.name },
+        {
+          $set: { description: job.description, intervalMinutes: job.intervalMinutes },
+          $setOnInsert: { nextRunAt: new Date() },
+        },
+        { upsert: true },
+      ),
+    ),
+  );
+};
+
+/**
+ * Run one job now and record the outcome
+ *
+ * @param {string} name - Job name
+ * @param {Object} [options] - { trigger: "SCHEDULED" | "MANUAL", startedBy }
+ *   Scheduled runs only happen if the job is enabled and due;
+ *   manual runs only need the job not to be running already.
+ * @returns {Promise<Object>} { success, run?, message? } - no run if it was not claimed
+ */
+const runJob = async (name, { trigger = "SCHEDULED", startedBy = null } = {}) => {
+  const definition = getJobDefinition(name);
+  if (!definition) {
+    return { success: false, message: `Unknown job: ${name}` };
+  }
+
+  const now = new Date();
+  const job = await ScheduledJob.findOneAndUpdate(
+    {
+      name,
+      $or: [
+        { runningSince: null },
+        { runningSince: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+      ...(trigger === "SCHEDULED" && { enabled: true, nextRunAt: { $lte: now } }),
+    },
+    { $set: { runningSince: now } },
+    { new: true },
+  );
+
+  if (!job) {
+    return { success: false, message: "Job is already running" };
+  }
+
+  // Whatever fails below (JobRun writes included), the lock must not be left
+  // held until it goes stale
+  let released = false;
+  try {
+    const run = await JobRun.create({ job: name, trigger, startedBy });
+
+    try {
+      run.result = (await definition.handler()) ?? null;
+      run.status = "SUCCESS";
+    } catch (err) {
+      console.error(`Scheduled job ${name} failed:`, err);
+      run.status = "FAILED";
+      run.error = err.message || String(err);
+    }
+
+    run.completedAt = new Date();
+    run.durationMs = run.completedAt - now;
+    await run.save();
+
+    const succeeded = run.status === "SUCCESS";
+    await ScheduledJob.updateOne(
+      { name },
+      {
+        $set: {
+          runningSince: null,
+          nextRunAt: new Date(run.completedAt.getTime() + job.intervalMinutes * 60 * 1000),
+          lastRunAt: now,
+          lastStatus: run.status,
+          lastResult: run.result,
+          lastError: run.error,
+          lastDurationMs: run.durationMs,
+          ...(succeeded && { consecutiveFailures: 0 }),
+        },
+        ...(!succeeded && { $inc: { consecutiveFailures: 1 } }),
+      },
+    );
+    released = true;
+
+    return { success: succeeded, run };
+  } finally {
+    if (!released) {
+      await ScheduledJob.updateOne({ name, runningSince: now }, { $set: { runningSince: null } });
+    }
+  }
+};
+
+let ticking = false;
+
+/**
+ * Run every enabled job that is due, one after another
+ * Skipped if the previous tick is still busy.
+ */
+const runDueJobs = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const due = await ScheduledJob.find({
+      enabled: true,
+      nextRunAt: { $lte: new Date() },
+      name: { $in: JOBS.map((job) => job.name) },
+    })
+      .select("name")
+      .sort({ nextRunAt: 1 })
+      .lean();
+
+    for (const { name } of due) {
+      await runJob(name);
+    }
+  } catch (err) {
+    console.error("Scheduler tick error:", err.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start the scheduler
+ *
+ * @param {number} tickSeconds - How often to check for due jobs (default: 60)
+ */
+const startScheduler = (tickSeconds = 60) => {
+  console.log(`Job scheduler started (${JOBS.length} jobs, checks every ${tickSeconds}s)`);
+
+  setTimeout(async () => {
+    try {
+      await syncJobRegistry();
+    } catch (err) {
+      console.error("Job registry sync failed:", err.message);
+    }
+    runDueJobs();
+    setInterval(runDueJobs, tickSeconds * 1000);
+  }, STARTUP_DELAY_MS);
+};
+
+module.exports = {
+  JOBS,
+  getJobDefinition,
+  syncJobRegistry,
+  runJob,
+  runDueJobs,
+  startScheduler,
+};
@@ -0,0 +1,458 @@
+const mongoose = require("mongoose");
+const Activity = require("../models/Activity");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const SevaShift = require("../models/SevaShift");
+const SevaSignup = require("../models/SevaSignup");
+const { resolveTranslation } = require("./translation.service");
+const { sendSevaShiftEmail } = require("./email.service");
+
+/**
+ * Seva Service
+ * Volunteer (sevadar) shifts: claiming and cancelling slots, reminders,
+ * and hour totals. Shared by the seva controller and the seva-reminders
+ * scheduled job.
+ *
+ * Slots: SevaShift.slotsTaken counts CLAIMED signups. It is only changed
+ * through claimSlot / releaseSlot, whose conditional updates keep it within
+ * slots under concurrent claims.
+ */
+
+// Volunteers are reminded once, this long before their shift starts
+const REMINDER_LEAD_HOURS = 24;
+// Signups handled per reminder run
+const REMINDER_BATCH_SIZE = 200;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getSevaPageUrl = () => `${process.env.FRONTEND_URL || "https://shrigurudevashram.org"}/seva`;
+
+/**
+ * Length of a shift in hours (2 decimals)
+ * @param {Object} shift
+ * @returns {number}
+ */
+const getShiftHours = (shift) =>
+  Math.round(((new Date(shift.endsAt) - new Date(shift.startsAt)) / HOUR_MS) * 100) / 100;
+
+/**
+ * Check the target of an interest or shift
+ * An activity seva must be a visible subitem of a visible activity; an
+ * event must be published.
+ *
+ * @param {Object} params - { activityId, subitemId } or { eventId }
+ * @returns {Promise<Object>} { success: true, target: { activity, subitem, event } }
+ *   or { success: false, status, message }
+ */
+const resolveTarget = async ({ activityId, subitemId, eventId }) => {
+  const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+  if (eventId) {
+    if (activityId || subitemId) {
+      return { success: false, status: 400, message: "Choose either an activity seva or an event" };
+    }
+    const event = isId(eventId)
+      ? await Event.findOne({ _id: eventId, isPublished: true }).select("_id").lean()
+      : null;
+    if (!event) {
+      return { success: false, status: 404, message: "Event not found" };
+    }
+    return { success: true, target: { activity: null, subitem: null, event: event._id } };
+  }
+
+  if (!activityId || !subitemId) {
+    return { success: false, status: 400, message: "Choose an activity seva or an event" };
+  }
+  const activity =
+    isId(activityId) && isId(subitemId)
+      ? await Activity.findOne({ _id: activityId, isVisible: true }).select("subitems").lean()
+      : null;
+  const subitem = activity?.subitems?.find(
+    (item) => String(item._id) === String(subitemId) && item.isVisible !== false,
+  );
+  if (!subitem) {
+    return { success: false, status: 404, message: "Seva not found" };
+  }
+  return { success: true, target: { activity: activity._id, subitem: subitem._id, event: null } };
+};
+
+/**
+ * Attach the multilingual title of their target to interests or shifts
+ * Adds `sevaTitle` (subitem or event title) and `activityTitle` (activity seva only).
+ *
+ * @param {Array} items - Lean SevaInterest or SevaShift documents (target ids not populated)
+ * @returns {Promise<Array>}
+ */
+const withTargetTitles = async (items) => {
+  const activityIds = [...new Set(items.filter((i) => i.activity).map((i) => String(i.activity)))];
+  const eventIds = [...new Set(items.filter((i) => i.event).map((i) => String(i.event)))];
+
+  const [activities, events] = await Promise.all([
+    activityIds.length
+      ? Activity.find({ _id: { $in: activityIds } }).select("title subitems._id subitems.title").lean()
+      : [],
+    eventIds.length
+      ? Event.find({ _id: { $in: eventIds } }).select("title date time").lean()
+      : [],
+  ]);
+  const activityById = new Map(activities.map((a) => [String(a._id), a]));
+  const eventById = new Map(events.map((e) => [String(e._id), e]));
+
+  return items.map((item) => {
+    if (item.event) {
+      const event = eventById.get(String(item.event));
+      return { ...item, sevaTitle: event?.title || null, activityTitle: null };
+    }
+    const activity = activityById.get(String(item.activity));
+    const subitem = activity?.subitems?.find((s) => String(s._id) === String(item.subitem));
+    return {
+      ...item,
+      // A deleted subitem falls back to its activity's title
+      sevaTitle: subitem?.title || activity?.title || null,
+      activityTitle: activity?.title || null,
+    };
+  });
+};
+
+/**
+ * Date and time of a shift in IST, e.g. "Sunday, 3 November 2026, 11:00 am - 2:00 pm"
+ */
+const formatShiftWhen = (shift, lang = "en") => {
+  const locale = `${lang}-IN`;
+  const date = new Date(shift.startsAt).toLocaleDateString(locale, {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "Asia/Kolkata",
+  });
+  const time = (value) =>
+    new Date(value).toLocaleTimeString(locale, {
+      hour: "numeric",
+      minute: "2-digit",
+      timeZone: "Asia/Kolkata",
+    });
+  return `${date}, ${time(shift.startsAt)} - ${time(shift.endsAt)}`;
+};
+
+/**
+ * Take a slot if the shift is open, not started and not full
+ * @param {string} shiftId
+ * @returns {Promise<Object|null>} Updated shift, or null if no slot was taken
+ */
+const claimSlot = (shiftId) =>
+  SevaShift.findOneAndUpdate(
+    {
+      _id: shiftId,
+      status: "OPEN",
+      startsAt: { $gt: new Date() },
+      $expr: { $lt: ["$slotsTaken", "$slots"] },
+    },
+    { $inc: { slotsTaken: 1 } },
+    { new: true },
+  );
+
+/**
+ * Give a slot back
+ * @param {string} shiftId
+ */
+const releaseSlot = async (shiftId) => {
+  await SevaShift.updateOne(
+    { _id: shiftId, slotsTaken: { $gt: 0 } },
+    { $inc: { slotsTaken: -1 } },
+  );
+};
+
+/**
+ * Sign a volunteer up for a shift
+ * A previously cancelled signup is reused, so each volunteer holds at most
+ * one slot per shift (unique shift + user index).
+ *
+ * @param {string} shiftId
+ * @param {string} userId
+ * @param {string} [language] - en | hi | mr, for emails
+ * @returns {Promise<Object>} { success: true, signup, shift } or { success: false, status, message }
+ */
+const claimShift = async (shiftId, userId, language = "en") => {
+  const existing = await SevaSignup.exists({ shift: shiftId, user: userId, status: "CLAIMED" });
+  if (existing) {
+    return { success: false, status: 409, message: "You have already signed up for this shift" };
+  }
+
+  const shift = await claimSlot(shiftId);
+  if (!shift) {
+    const current = await SevaShift.findById(shiftId).lean();
+    if (!current) return { success: false, status: 404, message: "Shift not found" };
+    if (current.status === "CANCELLED") {
+      return { success: false, status: 400, message: "This shift has been cancelled" };
+    }
+    if (current.startsAt <= new Date()) {
+      return { success: false, status: 400, message: "This shift has already started" };
+    }
+    return { success: false, status: 409, message: "This shift is full" };
+  }
+
+  try {
+    const signup = await SevaSignup.findOneAndUpdate(
+      { shift: shiftId, user: userId, status: { $ne: "CLAIMED" } },
+      {
+        $set: {
+          status: "CLAIMED",
+          claimedAt: new Date(),
+          language: ["en", "hi", "mr"].includes(language) ? language : "en",
+          cancelledAt: null,
+          attendance: null,
+          hours: null,
+          markedBy: null,
+          reminderSentAt: null,
+        },
+      },
+      { new: true, upsert: true },
+    );
+    return { success: true, signup, shift };
+  } catch (error) {
+    await releaseSlot(shiftId);
+    // Concurrent claim by the same volunteer - the other request won
+    if (error.code === 11000) {
+      return { success: false, status: 409, message: "You have already signed up for this shift" };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel a volunteer's signup before the shift starts
+ * @param {string} shiftId
+ * @param {string} userId
+ * @returns {Promise<Object>} { success: true, signup } or { success: false, status, message }
+ */
+const cancelSignup = async (shiftId, userId) => {
+  const shift = await SevaShift.findById(shiftId).lean();
+  if (!shift) return { success: false, status: 404, message: "Shift not found" };
+  if (shift.startsAt <= new Date()) {
+    return {
+      success: false,
+      status: 400,
+      message: "This shift has already started - please contact the ashram",
+    };
+  }
+
+  const signup = await SevaSignup.findOneAndUpdate(
+    { shift: shiftId, user: userId, status: "CLAIMED" },
+    { $set: { status: "CANCELLED", cancelledAt: new Date() } },
+    { new: true },
+  );
+  if (!signup) {
+    return { success: false, status: 404, message: "You have not signed up for this shift" };
+  }
+
+  if (shift.status === "OPEN") await releaseSlot(shiftId);
+  return { success: true, signup };
+};
+
+/**
+ * Email a volunteer about a shift
+ * Never throws - a failed email must not undo the change that caused it.
+ *
+ * @param {Object} signup - SevaSignup with `user` populated
+ * @param {Object} shift - Shift with `sevaTitle` (see withTargetTitles)
+ * @param {"reminder"|"cancelled"} kind
+ * @returns {Promise<boolean>} true if sent
+ */
+const sendShiftEmail = async (signup, shift, kind) => {
+  if (!signup.user?.email) return false;
+  try {
+    const lang = signup.language || "en";
+    return await sendSevaShiftEmail({
+      kind,
+      to: signup.user.email,
+      name: signup.user.fullName || "Sevadar",
+      sevaTitle: resolveTranslation(shift.sevaTitle, lang) || "Seva",
+      shiftWhen: formatShiftWhen(shift, lang),
+      location: shift.location,
+      notes: shift.notes,
+      sevaUrl: getSevaPageUrl(),
+    });
+  } catch (error) {
+    console.error("[Seva] Email failed:", signup._id, error.message);
+    return false;
+  }
+};
+
+/**
+ * Cancel a shift and email the volunteers who claimed it
+ * Their signups stay CLAIMED (no hours are credited without attendance)
+ * so the roster still shows who was affected.
+ *
+ * @param {string} shiftId
+ * @param {string} adminId
+ * @returns {Promise<Object>} { success: true, shift, notified } or { success: false, status, message }
+ */
+const cancelShift = async (shiftId, adminId) => {
+  const shift = await SevaShift.findOneAndUpdate(
+    { _id: shiftId, status: "OPEN" },
+    { $set: { status: "CANCELLED", cancelledAt: new Date(), updatedBy: adminId } },
+    { new: true },
+  ).lean();
+
+  if (!shift) {
+    const exists = await SevaShift.exists({ _id: shiftId });
+    return exists
+      ? { success: false, status: 400, message: "Shift is already cancelled" }
+      : { success: false, status: 404, message: "Shift not found" };
+  }
+
+  let notified = 0;
+  if (shift.startsAt > new Date()) {
+    const [titled] = await withTargetTitles([shift]);
+    const signups = await SevaSignup.find({ shift: shift._id, status: "CLAIMED" })
+      .populate("user", "fullName email")
+      .lean();
+    for (const signup of signups) {
+      if (await sendShiftEmail(signup, titled, "cancelled")) notified++;
+    }
+  }
+
+  return { success: true, shift, notified };
+};
+
+/**
+ * Email a reminder to volunteers whose shift starts within REMINDER_LEAD_HOURS
+ * Scheduled job handler.
+ *
+ * @returns {Promise<Object>} { reminded, skipped, failed } - failed ones are retried next run
+ */
+const sendShiftReminders = async () => {
+  const now = new Date();
+  const shifts = await SevaShift.find({
+    status: "OPEN",
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * HOUR_MS) },
+  }).lean();
+  if (shifts.length === 0) return { reminded: 0, skipped: 0, failed: 0 };
+
+  const titled = await withTargetTitles(shifts);
+  const shiftById = new Map(titled.map((s) => [String(s._id), s]));
+
+  const signups = await SevaSignup.find({
+    shift: { $in: shifts.map((s) => s._id) },
+    status: "CLAIMED",
+    reminderSentAt: null,
+  })
+    .populate("user", "fullName email")
+    .limit(REMINDER_BATCH_SIZE)
+    .lean();
+
+  let reminded = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const signup of signups) {
+    // Claim the reminder first so overlapping runs never send it twice
+    const claimedAt = new Date();
+    const claimed = await SevaSignup.updateOne(
+      { _id: signup._id, status: "CLAIMED", reminderSentAt: null },
+      { $set: { reminderSentAt: claimedAt } },
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    // No email address - nothing to retry, the claim stays
+    if (!signup.user?.email) {
+      skipped++;
+      continue;
+    }
+
+    if (await sendShiftEmail(signup, shiftById.get(String(signup.shift)), "reminder")) {
+      reminded++;
+    } else {
+      // Release the claim so the next run tries again
+      await SevaSignup.updateOne(
+        { _id: signup._id, reminderSentAt: claimedAt },
+        { $set: { reminderSentAt: null } },
+      );
+      failed++;
+    }
+  }
+
+  return { reminded, skipped, failed };
+};
+
+/**
+ * Hours served per volunteer (PRESENT signups)
+ * Each signup counts its `hours`, or the length of its shift.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Shifts starting on or after
+ * @param {Date} [options.to] - Shifts starting before
+ * @param {string} [options.userId] - Only this volunteer
+ * @returns {Promise<Array>} [{ user, shifts, hours, absences }], most hours first
+ */
+const getVolunteerHours = async ({ from, to, userId } = {}) => {
+  const shiftMatch = { "shift.status": "OPEN" };
+  if (from || to) {
+    shiftMatch["shift.startsAt"] = {};
+    if (from) shiftMatch["shift.startsAt"].$gte = from;
+    if (to) shiftMatch["shift.startsAt"].$lt = to;
+  }
+
+  const rows = await SevaSignup.aggregate([
+    {
+      $match: {
+        status: "CLAIMED",
+        attendance: { $in: ["PRESENT", "ABSENT"] },
+        ...(userId && { user: new mongoose.Types.ObjectId(String(userId)) }),
+      },
+    },
+    { $lookup: { from: SevaShift.collection.name, localField: "shift", foreignField: "_id", as: "shift" } },
+    { $unwind: "$shift" },
+    { $match: shiftMatch },
+    {
+      $group: {
+        _id: "$user",
+        shifts: { $sum: { $cond: [{ $eq: ["$attendance", "PRESENT"] }, 1, 0] } },
+        absences: { $sum: { $cond: [{ $eq: ["$attendance", "ABSENT"] }, 1, 0] } },
+        hours: {
+          $sum: {
+            $cond: [
+              { $eq: ["$attendance", "PRESENT"] },
+              {
+                $ifNull: [
+                  "$hours",
+                  { $divide: [{ $subtract: ["$shift.endsAt", "$shift.startsAt"] }, HOUR_MS] },
+                ],
+              },
+              0,
+            ],
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        user: "$_id",
+        shifts: 1,
+        absences: 1,
+        hours: { $round: ["$hours", 2] },
+      },
+    },
+    { $sort: { hours: -1, shifts: -1 } },
+  ]);
+
+  const users = await User.find({ _id: { $in: rows.map((row) => row.user) } })
+    .select("fullName mobile email")
+    .lean();
+  const userById = new Map(users.map((u) => [String(u._id), u]));
+
+  return rows.map((row) => ({ ...row, user: userById.get(String(row.user)) || { _id: row.user } }));
+};
+
+module.exports = {
+  getShiftHours,
+  resolveTarget,
+  withTargetTitles,
+  formatShiftWhen,
+  claimShift,
+  cancelSignup,
+  cancelShift,
+  sendShiftReminders,
+  getVolunteerHours,
+};
@@ -62,8 +62,48 @@ function formatArrayWithLanguage(docs, modelName, lang) {
   return docs.map((doc) => formatDocWithLanguage(doc, modelName, lang));
 }
 
+/**
+ * List every { en, hi, mr } value in a document for the given model.
+ * Paths use array indexes so they can be passed to doc.get / doc.set,
+ * e.g. "title", "subitems.0.title", "subitems.0.points.2".
+ * Pre-migration plain strings are skipped.
+ *
+ * @param {Object} doc - Plain object (lean or toObject())
+ * @param {string} modelName
+ * @returns {Array<{ path: string, value: Object }>}
+ */
+function collectTranslatableValues(doc, modelName) {
+  const fields = translatableFields[modelName] || [];
+  const values = [];
+  const add = (path, value) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      values.push({ path, value });
+    }
+  };
+
+  for (const fieldPath of fields) {
+    if (fieldPath.includes(".")) {
+      const [arrayField, nestedField] = fieldPath.split(".");
+      (doc[arrayField] || []).forEach((item, i) => {
+        const nested = item?.[nestedField];
+        if (Array.isArray(nested)) {
+          // e.g. subitems.points - an array of translatable strings
+          nested.forEach((p, j) => add(`${arrayField}.${i}.${nestedField}.${j}`, p));
+        } else {
+          add(`${arrayField}.${i}.${nestedField}`, nested);
+        }
+      });
+    } else {
+      add(fieldPath, doc[fieldPath]);
+    }
+  }
+
+  return values;
+}
+
 module.exports = {
   resolveTranslation,
   formatDocWithLanguage,
   formatArrayWithLanguage,
+  collectTranslatableValues,
 };
@@ -0,0 +1,373 @@
+const fs = require("fs");
+const path = require("path");
+const Donation = require("../models/Donation");
+const Order = require("../models/Order");
+const EventRegistration = require("../models/EventRegistration");
+const WebhookEvent = require("../models/WebhookEvent");
+const {
+  generateDonationReceipt,
+  getReceiptPublicUrl,
+} = require("./receipt.service");
+const { sendDonationReceiptEmail } = require("./email.service");
+const { getSignedReceiptUrl } = require("./receiptLink.service");
+const { recordDonationTotals } = require("./donationHeadTotals.service");
+const { linkDonationToDonor } = require("./donorRegistry.service");
+const {
+  finalizeOrderPayment,
+  markOrderPaymentFailed,
+} = require("./order.service");
+const {
+  finalizeRegistrationPayment,
+  markRegistrationPaymentFailed,
+} = require("./eventRegistration.service");
+const {
+  SUBSCRIPTION_EVENT_STATUS,
+  recordSubscriptionCharge,
+  syncSubscriptionStatus,
+} = require("./recurringDonation.service");
+const {
+  handleRefundProcessed,
+  handleRefundFailed,
+} = require("./refund.service");
+
+/**
+ * Webhook Event Service
+ * Razorpay event handling plus the WebhookEvent ledger.
+ * Used by the webhook controller (live deliveries) and the System Admin
+ * replay endpoint - both run events through processRazorpayEvent.
+ */
+
+/**
+ * Generate the receipt PDF for a confirmed donation and email it
+ * when the donor opted in with a verified address.
+ *
+ * Idempotent: steps already done (receiptUrl set, emailSent true) are skipped,
+ * so a replayed event only finishes what failed before.
+ * Never throws once the payment is recorded: a failure is saved as
+ * donation.receiptError (emailSent stays false) and returned, so the webhook
+ * still answers 2xx and resending is left to a replay or an admin.
+ *
+ * @returns {Promise<string|null>} Error message, or null if nothing failed
+ */
+const issueReceipt = async (donation) => {
+  // Send email ONLY if donor opted in for email AND has verified email
+  const shouldSendEmail =
+    donation.donor?.emailOptIn === true &&
+    donation.donor?.emailVerified === true &&
+    donation.donor?.email;
+
+  if (donation.receiptUrl && (!shouldSendEmail || donation.emailSent)) {
+    return null;
+  }
+
+  try {
+    // Reuse the PDF from an earlier attempt; regenerate only if it is missing
+    let receiptPath = donation.receiptUrl
+      ? path.join(process.cwd(), "receipts", path.basename(donation.receiptUrl))
+      : null;
+
+    if (!receiptPath || !fs.existsSync(receiptPath)) {
+      // Generate receipt PDF (returns full filesystem path)
+      receiptPath = await generateDonationReceipt(donation);
+
+      // Verify the file was actually created before storing
+      if (!receiptPath || !fs.existsSync(receiptPath)) {
+        throw new Error("Receipt generation failed: File not found after generation");
+      }
+
+      // Store the public URL path, not the filesystem path
+      donation.receiptUrl = getReceiptPublicUrl(receiptPath);
+      await donation.save();
+      console.log("Receipt generated successfully:", receiptPath);
+    }
+
+    if (shouldSendEmail && !donation.emailSent) {
+      const emailSent = await sendDonationReceiptEmail({
+        to: donation.donor.email,
+        donorName: donation.donor.name,
+        amount: donation.amount,
+        receiptUrl: receiptPath,
+        downloadUrl: getSignedReceiptUrl(donation._id),
+      });
+
+      if (!emailSent) {
+        throw new Error("Receipt email could not be sent");
+      }
+
+      donation.emailSent = true;
+    }
+
+    donation.receiptError = null;
+    await donation.save();
+    return null;
+  } catch (err) {
+    console.error(`Receipt for donation ${donation._id} failed:`, err.message);
+    donation.receiptError = err.message || String(err);
+    await donation.save();
+    return donation.receiptError;
+  }
+};
+
+/**
+ * Mark the PENDING donation for a captured Razorpay payment SUCCESS and issue its receipt
+ * Used by payment.captured and by the reconciliation fix for missed webhooks.
+ *
+ * Idempotent: an already confirmed donation only gets any missing receipt/email step.
+ * A receipt or email failure does not throw - see donation.receiptError.
+ *
+ * @param {string} orderId - Razorpay order ID
+ * @param {string} paymentId - Razorpay payment ID
+ * @returns {Promise<Object|null>} Confirmed donation, or null if none matches
+ */
+const finalizeDonationPayment = async (orderId, paymentId) => {
+  // Atomic update to prevent race condition on duplicate webhooks
+  const receiptNumber = `GRD-${new Date().getFullYear()}-${Date.now().toString(36).toUpperCase()}`;
+
+  let donation = await Donation.findOneAndUpdate(
+    { razorpayOrderId: orderId, status: "PENDING" },
+    {
+      $set: {
+        status: "SUCCESS",
+        paymentId: paymentId,
+        transactionRef: paymentId,
+        receiptNumber: receiptNumber,
+      },
+    },
+    { new: true },
+  );
+
+  if (donation) {
+    // First confirmation - count it towards the cause's goal
+    await recordDonationTotals(donation);
+    await linkDonationToDonor(donation);
+  } else {
+    // Already confirmed by an earlier run - finish any receipt/email step that failed
+    donation = await Donation.findOne({
+      razorpayOrderId: orderId,
+      status: "SUCCESS",
+    });
+  }
+
+  if (!donation) {
+    console.log("Donation not found or already processed for order:", orderId);
+    return null;
+  }
+
+  await issueReceipt(donation);
+  return donation;
+};
+
+/**
+ * Act on a verified Razorpay event
+ * @param {Object} event - Parsed webhook body
+ * @returns {Promise<Object>} { result: "ok" | "ignored", receiptError? } -
+ *   receiptError when the payment was recorded but its receipt or email failed
+ */
+const processRazorpayEvent = async (event) => {
+  const eventType = event.event;
+
+  /* ---------------- Handle SUCCESS ---------------- */
+
+  if (eventType === "payment.captured") {
+    const payment = event.payload.payment.entity;
+    const orderId = payment.order_id;
+    const paymentId = payment.id;
+
+    // Shop orders share the Razorpay account - route them to the order service
+    if (await Order.exists({ razorpayOrderId: orderId })) {
+      await finalizeOrderPayment(orderId, paymentId);
+      return { result: "ok" };
+    }
+
+    // Paid event registrations likewise
+    if (await EventRegistration.exists({ razorpayOrderId: orderId })) {
+      await finalizeRegistrationPayment(orderId, paymentId);
+      return { result: "ok" };
+    }
+
+    const donation = await finalizeDonationPayment(orderId, paymentId);
+    return { result: "ok", receiptError: donation?.receiptError || null };
+  }
+
+  /* ---------------- Handle FAILURE ---------------- */
+
+  if (eventType === "payment.failed") {
+    const payment = event.payload.payment.entity;
+    const orderId = payment.order_id;
+
+    if (await Order.exists({ razorpayOrderId: orderId })) {
+      await markOrderPaymentFailed(orderId, payment);
+      return { result: "ok" };
+    }
+
+    if (await EventRegistration.exists({ razorpayOrderId: orderId })) {
+      await markRegistrationPaymentFailed(orderId, payment);
+      return { result: "ok" };
+    }
+
+    const donation = await Donation.findOne({
+      razorpayOrderId: orderId,
+    });
+
+    if (!donation) {
+      console.log("No donation found for failed payment:", orderId);
+      return { result: "ok" };
+    }
+
+    // Only a PENDING donation can fail (never regress SUCCESS or refunded ones)
+    if (donation.status !== "PENDING") {
+      return { result: "ok" };
+    }
+
+    donation.status = "FAILED";
+    donation.transactionRef = payment.id;
+
+    // Store failure reason from Razorpay error object
+    if (payment.error_description) {
+      donation.failureReason = payment.error_description;
+    } else if (payment.error_reason) {
+      donation.failureReason = payment.error_reason;
+    } else {
+      donation.failureReason = "Payment failed";
+    }
+
+    await donation.save();
+
+    console.log("Donation marked FAILED:", donation._id);
+    return { result: "ok" };
+  }
+
+  /* ---------------- Handle RECURRING CHARGE ---------------- */
+
+  if (eventType === "subscription.charged") {
+    const subscription = event.payload.subscription.entity;
+    const payment = event.payload.payment.entity;
+
+    // One Donation (and receipt) per monthly charge
+    const donation = await recordSubscriptionCharge(subscription, payment);
+    const receiptError = donation ? await issueReceipt(donation) : null;
+    return { result: "ok", receiptError };
+  }
+
+  /* ---------------- Handle SUBSCRIPTION STATUS ---------------- */
+
+  if (SUBSCRIPTION_EVENT_STATUS[eventType]) {
+    const subscription = event.payload.subscription.entity;
+    await syncSubscriptionStatus(eventType, subscription);
+    return { result: "ok" };
+  }
+
+  /* ---------------- Handle REFUNDS ---------------- */
+
+  if (eventType === "refund.processed") {
+    await handleRefundProcessed(event.payload.refund.entity);
+    return { result: "ok" };
+  }
+
+  if (eventType === "refund.failed") {
+    await handleRefundFailed(event.payload.refund.entity);
+    return { result: "ok" };
+  }
+
+  return { result: "ignored" };
+};
+
+/**
+ * Run a claimed ledger entry through processRazorpayEvent and record the outcome
+ * @param {Object} ledgerEntry - WebhookEvent document in PROCESSING status
+ * @returns {Promise<Object>} { success, result } or { success: false, error }
+ */
+const runLedgerEntry = async (ledgerEntry) => {
+  try {
+    const { result, receiptError = null } = await processRazorpayEvent(ledgerEntry.payload);
+
+    ledgerEntry.status = result === "ignored" ? "IGNORED" : "PROCESSED";
+    ledgerEntry.lastError = null;
+    // Payment is recorded either way; a failed receipt is left for replay
+    ledgerEntry.receiptError = receiptError;
+    ledgerEntry.processedAt = new Date();
+    await ledgerEntry.save();
+
+    return { success: true, result };
+  } catch (err) {
+    console.error(`Webhook ${ledgerEntry.event} (${ledgerEntry.eventId}) failed:`, err);
+
+    ledgerEntry.status = "FAILED";
+    ledgerEntry.lastError = err.message || String(err);
+    await ledgerEntry.save();
+
+    return { success: false, error: ledgerEntry.lastError };
+  }
+};
+
+/**
+ * Record a live delivery in the ledger and claim it for processing
+ * New event IDs are inserted; a FAILED event is re-claimed so Razorpay's
+ * redelivery retries it. Anything else is a duplicate and is skipped.
+ *
+ * @param {string} eventId - x-razorpay-event-id header
+ * @param {Object} event - Parsed webhook body
+ * @returns {Promise<Object|null>} Claimed WebhookEvent, or null for duplicates
+ */
+const claimIncomingEvent = async (eventId, event) => {
+  try {
+    return await WebhookEvent.create({
+      eventId,
+      event: event.event,
+      payload: event,
+      status: "PROCESSING",
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  return WebhookEvent.findOneAndUpdate(
+    { eventId, status: "FAILED" },
+    { $set: { status: "PROCESSING" }, $inc: { attempts: 1 } },
+    { new: true },
+  );
+};
+
+// A run still PROCESSING after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+/**
+ * Claim a FAILED (or stuck PROCESSING) event, or a processed one whose receipt
+ * failed, for an admin replay. Handlers are idempotent, so a replay of a
+ * processed payment only finishes the receipt and email.
+ * @param {string} id - WebhookEvent _id
+ * @param {string} adminId - User ID of the System Admin
+ * @returns {Promise<Object|null>} Claimed WebhookEvent, or null if not replayable
+ */
+const claimEventForReplay = async (id, adminId) =>
+  WebhookEvent.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: "FAILED" },
+        { status: "PROCESSED", receiptError: { $ne: null } },
+        {
+          status: "PROCESSING",
+          updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+        },
+      ],
+    },
+    {
+      $set: {
+        status: "PROCESSING",
+        lastReplayedBy: adminId,
+        lastReplayedAt: new Date(),
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true },
+  );
+
+module.exports = {
+  issueReceipt,
+  finalizeDonationPayment,
+  processRazorpayEvent,
+  runLedgerEntry,
+  claimIncomingEvent,
+  claimEventForReplay,
+};
@@ -0,0 +1,105 @@
+/**
+ * Amount in words (Indian numbering: thousand, lakh, crore)
+ * for receipts and certificates in English, Hindi and Marathi.
+ */
+
+const EN_ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen",
+  "Seventeen", "Eighteen", "Nineteen",
+];
+const EN_TENS = [
+  "", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety",
+];
+
+// Hindi and Marathi numbers below 100 are not formed regularly - listed in full
+const HI_BELOW_HUNDRED = [
+  "", "एक", "दो", "तीन", "चार", "पाँच", "छह", "सात", "आठ", "नौ",
+  "दस", "ग्यारह", "बारह", "तेरह", "चौदह", "पंद्रह", "सोलह", "सत्रह", "अठारह", "उन्नीस",
+  "बीस", "इक्कीस", "बाईस", "तेईस", "चौबीस", "पच्चीस", "छब्बीस", "सत्ताईस", "अट्ठाईस", "उनतीस",
+  "तीस", "इकतीस", "बत्तीस", "तैंतीस", "चौंतीस", "पैंतीस", "छत्तीस", "सैंतीस", "अड़तीस", "उनतालीस",
+  "चालीस", "इकतालीस", "बयालीस", "तैंतालीस", "चवालीस", "पैंतालीस", "छियालीस", "सैंतालीस", "अड़तालीस", "उनचास",
+  "पचास", "इक्यावन", "बावन", "तिरपन", "चौवन", "पचपन", "छप्पन", "सत्तावन", "अट्ठावन", "उनसठ",
+  "साठ", "इकसठ", "बासठ", "तिरसठ", "चौंसठ", "पैंसठ", "छियासठ", "सड़सठ", "अड़सठ", "उनहत्तर",
+  "सत्तर", "इकहत्तर", "बहत्तर", "तिहत्तर", "चौहत्तर", "पचहत्तर", "छिहत्तर", "सतहत्तर", "अठहत्तर", "उन्यासी",
+  "अस्सी", "इक्यासी", "बयासी", "तिरासी", "चौरासी", "पचासी", "छियासी", "सत्तासी", "अट्ठासी", "नवासी",
+  "नब्बे", "इक्यानबे", "बानबे", "तिरानबे", "चौरानबे", "पचानबे", "छियानबे", "सत्तानबे", "अट्ठानबे", "निन्यानबे",
+];
+const MR_BELOW_HUNDRED = [
+  "", "एक", "दोन", "तीन", "चार", "पाच", "सहा", "सात", "आठ", "नऊ",
+  "दहा", "अकरा", "बारा", "तेरा", "चौदा", "पंधरा", "सोळा", "सतरा", "अठरा", "एकोणीस",
+  "वीस", "एकवीस", "बावीस", "तेवीस", "चोवीस", "पंचवीस", "सव्वीस", "सत्तावीस", "अठ्ठावीस", "एकोणतीस",
+  "तीस", "एकतीस", "बत्तीस", "तेहतीस", "चौतीस", "पस्तीस", "छत्तीस", "सदतीस", "अडतीस", "एकोणचाळीस",
+  "चाळीस", "एक्केचाळीस", "बेचाळीस", "त्रेचाळीस", "चव्वेचाळीस", "पंचेचाळीस", "सेहेचाळीस", "सत्तेचाळीस", "अठ्ठेचाळीस", "एकोणपन्नास",
+  "पन्नास", "एक्कावन्न", "बावन्न", "त्रेपन्न", "चोपन्न", "पंचावन्न", "छप्पन्न", "सत्तावन्न", "अठ्ठावन्न", "एकोणसाठ",
+  "साठ", "एकसष्ट", "बासष्ट", "त्रेसष्ट", "चौसष्ट", "पासष्ट", "सहासष्ट", "सदुसष्ट", "अडुसष्ट", "एकोणसत्तर",
+  "सत्तर", "एकाहत्तर", "बाहत्तर", "त्र्याहत्तर", "चौऱ्याहत्तर", "पंच्याहत्तर", "शहात्तर", "सत्त्याहत्तर", "अठ्ठ्याहत्तर", "एकोणऐंशी",
+  "ऐंशी", "एक्क्याऐंशी", "ब्याऐंशी", "त्र्याऐंशी", "चौऱ्याऐंशी", "पंच्याऐंशी", "शहाऐंशी", "सत्त्याऐंशी", "अठ्ठ्याऐंशी", "एकोणनव्वद",
+  "नव्वद", "एक्क्याण्णव", "ब्याण्णव", "त्र्याण्णव", "चौऱ्याण्णव", "पंच्याण्णव", "शहाण्णव", "सत्त्याण्णव", "अठ्ठ्याण्णव", "नव्व्याण्णव",
+];
+
+const LOCALES = {
+  en: {
+    zero: "Zero",
+    belowHundred: (n) =>
+      n < 20 ? EN_ONES[n] : EN_TENS[Math.floor(n / 10)] + (n % 10 ? " " + EN_ONES[n % 10] : ""),
+    hundreds: (h) => `${EN_ONES[h]} Hundred`,
+    scales: { crore: "Crore", lakh: "Lakh", thousand: "Thousand" },
+  },
+  hi: {
+    zero: "शून्य",
+    belowHundred: (n) => HI_BELOW_HUNDRED[n],
+    hundreds: (h) => `${HI_BELOW_HUNDRED[h]} सौ`,
+    scales: { crore: "करोड़", lakh: "लाख", thousand: "हज़ार" },
+  },
+  mr: {
+    zero: "शून्य",
+    belowHundred: (n) => MR_BELOW_HUNDRED[n],
+    // 100 on its own is "शंभर", otherwise एकशे, दोनशे, ...
+    hundreds: (h, rest) => (h === 1 && !rest ? "शंभर" : `${MR_BELOW_HUNDRED[h]}शे`),
+    scales: { crore: "कोटी", lakh: "लाख", thousand: "हजार" },
+  },
+};
+
+/**
+ * Convert a whole rupee amount to words
+ * @param {number} num
+ * @param {string} lang - "en" | "hi" | "mr" (anything else falls back to English)
+ * @returns {string} e.g. "One Lakh Twenty Five Thousand", "एक लाख पच्चीस हज़ार"
+ */
+const amountInWords = (num, lang = "en") => {
+  const locale = LOCALES[lang] || LOCALES.en;
+  num = Math.floor(num);
+
+  if (num === 0) return locale.zero;
+
+  const convertLessThanThousand = (n) => {
+    const h = Math.floor(n / 100);
+    const rest = n % 100;
+    return [h ? locale.hundreds(h, rest) : "", rest ? locale.belowHundred(rest) : ""]
+      .filter(Boolean)
+      .join(" ");
+  };
+
+  const parts = [];
+
+  if (num >= 10000000) {
+    parts.push(`${convertLessThanThousand(Math.floor(num / 10000000))} ${locale.scales.crore}`);
+    num %= 10000000;
+  }
+  if (num >= 100000) {
+    parts.push(`${convertLessThanThousand(Math.floor(num / 100000))} ${locale.scales.lakh}`);
+    num %= 100000;
+  }
+  if (num >= 1000) {
+    parts.push(`${convertLessThanThousand(Math.floor(num / 1000))} ${locale.scales.thousand}`);
+    num %= 1000;
+  }
+  if (num > 0) {
+    parts.push(convertLessThanThousand(num));
+  }
+
+  return parts.join(" ");
+};
+
+module.exports = { amountInWords };
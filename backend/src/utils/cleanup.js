@@ -1,68 +1,91 @@
 const Donation = require("../models/Donation");
+const Order = require("../models/Order");
+const Announcement = require("../models/Announcement");
+const { getProtectedDonationIds } = require("../services/reconciliation.service");
 
 /**
  * Cleanup Tasks for Production
- * Run these periodically via cron job or process scheduler
+ * Run periodically as jobs of the in-process scheduler (services/scheduler.service.js).
+ * Errors are thrown, not swallowed, so the scheduler records the run as FAILED.
  */
 
 /**
  * Delete PENDING donations older than specified hours
  * These are abandoned payment flows that never completed
+ * Donations with an open CAPTURED_NOT_CONFIRMED discrepancy are kept -
+ * Razorpay took the money, so an admin still has to confirm them.
  *
  * @param {number} hoursOld - Delete donations older than this many hours (default: 24)
  * @returns {Promise<number>} - Number of deleted donations
  */
 const cleanupPendingDonations = async (hoursOld = 24) => {
-  try {
-    const cutoffDate = new Date(Date.now() - hoursOld * 60 * 60 * 1000);
+  const cutoffDate = new Date(Date.now() - hoursOld * 60 * 60 * 1000);
 
-    const result = await Donation.deleteMany({
-      status: "PENDING",
-      createdAt: { $lt: cutoffDate },
-    });
+  const protectedIds = await getProtectedDonationIds();
 
-    console.log(
-      `Cleanup: Deleted ${result.deletedCount} old PENDING donations (older than ${hoursOld}h)`,
-    );
-    return result.deletedCount;
-  } catch (error) {
-    console.error("Cleanup error (pending donations):", error.message);
-    return 0;
-  }
+  const result = await Donation.deleteMany({
+    _id: { $nin: protectedIds },
+    status: "PENDING",
+    createdAt: { $lt: cutoffDate },
+  });
+
+  console.log(
+    `Cleanup: Deleted ${result.deletedCount} old PENDING donations (older than ${hoursOld}h)`,
+  );
+  return result.deletedCount;
 };
 
 /**
- * Run all cleanup tasks
- * Call this from a scheduled job (e.g., every 6 hours)
+ * Cancel PLACED shop orders older than specified hours
+ * Orders are kept (not deleted) so abandoned checkouts stay visible to admins.
+ * Stock is never reserved for PLACED orders, so nothing needs to be released.
+ * A payment captured after cancellation is still handled by finalizeOrderPayment.
+ *
+ * @param {number} hoursOld - Cancel orders older than this many hours (default: 24)
+ * @returns {Promise<number>} - Number of cancelled orders
  */
-const runAllCleanupTasks = async () => {
-  console.log("Starting scheduled cleanup tasks...");
+const cancelStaleOrders = async (hoursOld = 24) => {
+  const cutoffDate = new Date(Date.now() - hoursOld * 60 * 60 * 1000);
 
-  await cleanupPendingDonations(24); // Delete PENDING older than 24h
+  const result = await Order.updateMany(
+    { status: "PLACED", createdAt: { $lt: cutoffDate } },
+    {
+      $set: { status: "CANCELLED", failureReason: "Payment not completed" },
+      $push: {
+        statusHistory: {
+          status: "CANCELLED",
+          at: new Date(),
+          note: "Payment not completed",
+        },
+      },
+    },
+  );
 
-  console.log("Cleanup tasks completed");
+  console.log(
+    `Cleanup: Cancelled ${result.modifiedCount} stale PLACED orders (older than ${hoursOld}h)`,
+  );
+  return result.modifiedCount;
 };
 
 /**
- * Start cleanup scheduler
- * Runs cleanup every specified interval
+ * Deactivate announcements whose end date has passed
+ * The public list already hides them by date; this keeps isActive in the
+ * admin list in step with what visitors see.
  *
- * @param {number} intervalHours - Run cleanup every X hours (default: 6)
+ * @returns {Promise<number>} - Number of deactivated announcements
  */
-const startCleanupScheduler = (intervalHours = 6) => {
-  const intervalMs = intervalHours * 60 * 60 * 1000;
-
-  console.log(`Cleanup scheduler started (runs every ${intervalHours}h)`);
-
-  // Run immediately on startup
-  setTimeout(() => runAllCleanupTasks(), 10000); // Wait 10s for DB connection
+const expireAnnouncements = async () => {
+  const result = await Announcement.updateMany(
+    { isActive: true, endDate: { $ne: null, $lt: new Date() } },
+    { $set: { isActive: false } },
+  );
 
-  // Then run periodically
-  setInterval(() => runAllCleanupTasks(), intervalMs);
+  console.log(`Cleanup: Deactivated ${result.modifiedCount} expired announcements`);
+  return result.modifiedCount;
 };
 
 module.exports = {
   cleanupPendingDonations,
-  runAllCleanupTasks,
-  startCleanupScheduler,
+  cancelStaleOrders,
+  expireAnnouncements,
 };
@@ -0,0 +1,28 @@
+/**
+ * CSV helpers for server-side exports
+ */
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Objects are written as JSON
+ * @returns {string}
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Build CSV text from a header row and value rows
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array>} rows - One array of values per line
+ * @returns {string}
+ */
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvValue).join(",")).join("\n");
+
+module.exports = {
+  csvValue,
+  toCsv,
+};
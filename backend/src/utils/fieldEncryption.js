@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+/**
+ * Encryption at rest for PAN numbers and KYC documents.
+ *
+ * - Fields: AES-256-GCM, stored as "enc:v1:<iv>.<tag>.<ciphertext>" (base64url)
+ * - Files: the same cipher, as "ENC1" + iv + tag + ciphertext
+ * - Blind index: HMAC-SHA256 of the normalized PAN, so exact-match lookups
+ *   (certificates, search) work without decrypting every record
+ *
+ * Keys come from the environment:
+ * - PII_ENCRYPTION_KEY: 32 bytes as 64 hex characters (openssl rand -hex 32)
+ * - PII_BLIND_INDEX_KEY: separate random string, min 32 characters
+ *
+ * Values written before encryption was enabled are returned unchanged by the
+ * decrypt helpers until scripts/migrate-encrypt-pii.js has been run.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FIELD_PREFIX = "enc:v1:";
+const FILE_MAGIC = Buffer.from("ENC1");
+
+const getEncryptionKey = () => {
+  const key = process.env.PII_ENCRYPTION_KEY;
+  if (!key || !/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error("PII_ENCRYPTION_KEY must be set to 64 hex characters");
+  }
+  return Buffer.from(key, "hex");
+};
+
+const getBlindIndexKey = () => {
+  const key = process.env.PII_BLIND_INDEX_KEY;
+  if (!key) throw new Error("PII_BLIND_INDEX_KEY must be set");
+  return key;
+};
+
+/**
+ * Whether a stored field value is already encrypted
+ */
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(FIELD_PREFIX);
+
+/**
+ * Encrypt a field value. Empty and already encrypted values are returned as-is.
+ * @param {string} value
+ * @returns {string}
+ */
+const encryptField = (value) => {
+  if (!value || isEncrypted(value)) return value;
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+
+  return `${FIELD_PREFIX}${[iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".")}`;
+};
+
+/**
+ * Decrypt a field value. Plain (not yet migrated) values are returned as-is.
+ * @param {string} value
+ * @returns {string}
+ */
+const decryptField = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, ciphertext] = value
+    .slice(FIELD_PREFIX.length)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Blind index of a PAN for exact-match lookups
+ * @param {string} pan - Plain PAN, any case
+ * @returns {string|null} Hex HMAC, or null for an empty PAN
+ */
+const panBlindIndex = (pan) => {
+  const normalized = String(pan || "").trim().toUpperCase();
+  if (!normalized) return null;
+
+  return crypto
+    .createHmac("sha256", getBlindIndexKey())
+    .update(`pan:${normalized}`)
+    .digest("hex");
+};
+
+/**
+ * Whether a file buffer is already encrypted
+ */
+const isEncryptedBuffer = (buffer) =>
+  buffer.length > FILE_MAGIC.length + IV_LENGTH + TAG_LENGTH &&
+  buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+
+/**
+ * Encrypt file contents
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+const encryptBuffer = (buffer) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  return Buffer.concat([FILE_MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * Decrypt file contents. Plain (not yet migrated) files are returned as-is.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+const decryptBuffer = (buffer) => {
+  if (!isEncryptedBuffer(buffer)) return buffer;
+
+  let offset = FILE_MAGIC.length;
+  const iv = buffer.subarray(offset, (offset += IV_LENGTH));
+  const tag = buffer.subarray(offset, (offset += TAG_LENGTH));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+};
+
+// Nested path helpers for lean (plain object) results
+const getPath = (obj, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split(".");
+  const parent = getPath(obj, keys.slice(0, -1).join("."));
+  if (parent && typeof parent === "object") parent[keys[keys.length - 1]] = value;
+};
+
+// Like setPath, but creates missing intermediate objects
+const setNested = (obj, path, value) => {
+  const keys = path.split(".");
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== "object") target[key] = {};
+    return target[key];
+  }, obj);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Encrypt plain values of a field inside an update document, in place
+ * Handles dotted keys ("donor.idNumber") and nested objects ({ donor: {...} })
+ * in $set, $setOnInsert and top-level (implicit $set) keys, and writes the
+ * blind index next to each value. Already encrypted values are left alone.
+ *
+ * @param {Object} update - Mongo update document (not a pipeline)
+ * @param {Object} field - { path, hashPath }
+ */
+const encryptUpdateField = (update, { path, hashPath }) => {
+  const containers = [update, update.$set, update.$setOnInsert].filter(
+    (container) => container && typeof container === "object",
+  );
+  const parts = path.split(".");
+
+  for (const container of containers) {
+    // Dotted key: { "donor.idNumber": value }
+    if (path in container) {
+      const value = container[path];
+      if (isEncrypted(value)) continue;
+
+      container[hashPath] = panBlindIndex(value);
+      if (value) container[path] = encryptField(value);
+      continue;
+    }
+
+    // Nested object under a prefix: { donor: { idNumber: value } }
+    for (let i = parts.length - 1; i > 0; i--) {
+      const prefix = parts.slice(0, i).join(".");
+      const nested = container[prefix];
+      if (!nested || typeof nested !== "object") continue;
+
+      const rest = parts.slice(i).join(".");
+      const value = getPath(nested, rest);
+      if (value === undefined || isEncrypted(value)) break;
+
+      // The hash shares the prefix for every plugin field, so it goes next to the value
+      const hashRest = hashPath.startsWith(`${prefix}.`)
+        ? hashPath.slice(prefix.length + 1)
+        : null;
+      if (hashRest) setNested(nested, hashRest, panBlindIndex(value));
+      else container[hashPath] = panBlindIndex(value);
+      if (value) setNested(nested, rest, encryptField(value));
+      break;
+    }
+  }
+};
+
+/**
+ * Mongoose plugin: encrypt PAN fields on save and decrypt them on read
+ *
+ * Application code keeps reading and writing plain PANs. On save, each modified
+ * field is encrypted and its blind index written to hashPath; query updates
+ * (updateOne, updateMany, findOneAndUpdate, replaceOne) get the same treatment.
+ * Hydrated and lean query results are decrypted. Writes that skip both hooks
+ * (bulkWrite, insertMany, raw collection calls) must call encryptField /
+ * panBlindIndex themselves.
+ *
+ * @param {Schema} schema
+ * @param {Object} options - { fields: [{ path, hashPath }] }
+ */
+const encryptedFieldsPlugin = (schema, { fields }) => {
+  const decryptDocument = (doc) => {
+    for (const { path } of fields) {
+      const value = doc.get(path);
+      if (isEncrypted(value)) {
+        doc.set(path, decryptField(value));
+        doc.unmarkModified(path);
+      }
+    }
+  };
+
+  schema.pre("save", function () {
+    for (const { path, hashPath } of fields) {
+      if (!this.isModified(path)) continue;
+
+      const value = this.get(path);
+      if (isEncrypted(value)) continue;
+
+      this.set(hashPath, panBlindIndex(value));
+      if (value) this.set(path, encryptField(value));
+    }
+  });
+
+  // Update pipelines are left to the caller: values there are expressions
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+
+    for (const field of fields) encryptUpdateField(update, field);
+  });
+
+  // Callers keep working with the plain value after create() / save()
+  schema.post("save", decryptDocument);
+  schema.post("init", decryptDocument);
+
+  // Lean results skip init, so decrypt them here
+  schema.post(["find", "findOne", "findOneAndUpdate", "findOneAndDelete"], function (result) {
+    const docs = Array.isArray(result) ? result : [result];
+    for (const doc of docs) {
+      if (!doc || doc instanceof mongoose.Document) continue;
+      for (const { path } of fields) {
+        const value = getPath(doc, path);
+        if (isEncrypted(value)) setPath(doc, path, decryptField(value));
+      }
+    }
+  });
+};
+
+module.exports = {
+  isEncrypted,
+  encryptField,
+  decryptField,
+  panBlindIndex,
+  isEncryptedBuffer,
+  encryptBuffer,
+  decryptBuffer,
+  encryptedFieldsPlugin,
+};
@@ -0,0 +1,100 @@
+/**
+ * Indian financial year helpers (1 April - 31 March)
+ * Labels use the "2025-26" form printed on 80G / Form 10BE documents.
+ * Boundaries are IST midnights, since donations are dated in India.
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+/**
+ * Get the financial year label for a date
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} e.g. "2025-26"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear =
+    ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Parse a financial year label into its date range
+ * @param {string} label - e.g. "2025-26"
+ * @returns {Object|null} { label, start, end } (end exclusive), or null if invalid
+ */
+const parseFinancialYear = (label) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(label || ""));
+  if (!match) return null;
+
+  const startYear = parseInt(match[1], 10);
+  if ((startYear + 1) % 100 !== parseInt(match[2], 10)) return null;
+
+  return {
+    label,
+    start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS),
+  };
+};
+
+/**
+ * Whether a financial year has ended (certificates are issued only after 31 March)
+ * @param {string} label - e.g. "2025-26"
+ */
+const isFinancialYearClosed = (label) => {
+  const fy = parseFinancialYear(label);
+  return !!fy && fy.end <= new Date();
+};
+
+/**
+ * Date range of the current month, financial quarter or financial year
+ * Quarters follow the financial year: Apr-Jun, Jul-Sep, Oct-Dec, Jan-Mar.
+ * @param {string} period - "month" | "quarter" | "fy"
+ * @param {Date} [date] - Defaults to now
+ * @returns {Object|null} { start, end } (end exclusive), or null for an unknown period
+ */
+const getPeriodRange = (period, date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const month = ist.getUTCMonth();
+  const istMidnight = (y, m) => new Date(Date.UTC(y, m, 1) - IST_OFFSET_MS);
+
+  switch (period) {
+    case "month":
+      return { start: istMidnight(year, month), end: istMidnight(year, month + 1) };
+    case "quarter": {
+      const startMonth = month - (month % 3);
+      return { start: istMidnight(year, startMonth), end: istMidnight(year, startMonth + 3) };
+    }
+    case "fy": {
+      const { start, end } = parseFinancialYear(getFinancialYear(date));
+      return { start, end };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse a "YYYY-MM-DD" date as IST midnight
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseIstDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+  if (!match) return null;
+
+  const [, y, m, d] = match.map(Number);
+  const utc = Date.UTC(y, m - 1, d);
+  // Reject dates that roll over (e.g. 2025-02-30)
+  if (new Date(utc).getUTCDate() !== d) return null;
+  return new Date(utc - IST_OFFSET_MS);
+};
+
+module.exports = {
+  getFinancialYear,
+  parseFinancialYear,
+  isFinancialYearClosed,
+  getPeriodRange,
+  parseIstDate,
+};
@@ -3,6 +3,8 @@
  * Generates { en: String, hi: String, mr: String } sub-schemas.
  */
 
+const mongoose = require("mongoose");
+
 /**
  * Create a multilingual field definition.
  * @param {Object} options - Options for the English (primary) field
@@ -51,4 +53,47 @@ function multilingualFieldRequired(maxlength, message) {
   });
 }
 
-module.exports = { multilingualField, multilingualFieldRequired };
+/**
+ * Schema plugin: track machine-translated drafts that still need review.
+ *
+ * Adds machineTranslated[] - one entry per drafted value, e.g.
+ * { path: "subitems.0.title.hi", text: "...", provider: "google" }.
+ * An entry only counts while the value at path still equals the drafted
+ * text: editing the translation reviews it, and stale entries are dropped
+ * on save.
+ */
+function machineTranslatedPlugin(schema) {
+  schema.add({
+    machineTranslated: {
+      type: [
+        new mongoose.Schema(
+          {
+            path: { type: String, required: true },
+            text: { type: String, required: true },
+            provider: { type: String, default: null },
+            translatedAt: { type: Date, default: Date.now },
+          },
+          { _id: false },
+        ),
+      ],
+      default: [],
+    },
+  });
+
+  schema.pre("save", function () {
+    if (!this.machineTranslated?.length) return;
+
+    const current = this.machineTranslated.filter(
+      (entry) => this.get(entry.path) === entry.text,
+    );
+    if (current.length !== this.machineTranslated.length) {
+      this.machineTranslated = current;
+    }
+  });
+}
+
+module.exports = {
+  multilingualField,
+  multilingualFieldRequired,
+  machineTranslatedPlugin,
+};
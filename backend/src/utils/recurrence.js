@@ -0,0 +1,282 @@
+/**
+ * Event recurrence helpers
+ * Expands Event.recurrence into session dates and maps it to an iCalendar
+ * RRULE. Pure functions - no database access.
+ *
+ * Event dates are calendar days stored as UTC midnight (from the admin date
+ * picker), so day arithmetic is done on UTC date parts. Every session keeps
+ * the time of day of `date` and the length of `date` -> `endDate`.
+ *
+ * The first session is always `date` itself; the model validates that it
+ * matches the rule so feeds and calendar apps expand the same dates.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Guard against runaway loops on open-ended series
+const MAX_ITERATIONS = 2000;
+const ICAL_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const startOfUtcDay = (date) => {
+  const d = new Date(date);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Calendar day key used to match exceptions
+ * @param {Date|string} date
+ * @returns {string} "YYYY-MM-DD"
+ */
+const dayKey = (date) => new Date(startOfUtcDay(date)).toISOString().slice(0, 10);
+
+/**
+ * Whether an event repeats (rule or extra session dates)
+ * @param {Object} event
+ * @returns {boolean}
+ */
+const isRecurring = (event) => {
+  const recurrence = event?.recurrence;
+  if (!recurrence) return false;
+  return (
+    ["weekly", "monthly"].includes(recurrence.frequency) ||
+    (recurrence.additionalDates || []).length > 0
+  );
+};
+
+/**
+ * Week of the month of a date: 1-4, or -1 for a fifth (last) week
+ */
+const getWeekOfMonth = (date) => {
+  const n = Math.ceil(new Date(date).getUTCDate() / 7);
+  return n > 4 ? -1 : n;
+};
+
+/**
+ * Day of month of the nth weekday (n = -1 for the last), or null if the
+ * month has no such day
+ */
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+  const lastDay = daysInMonth(year, month);
+  if (n === -1) {
+    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  return day <= lastDay ? day : null;
+};
+
+/**
+ * Weekdays of a weekly rule (0 = Sunday), defaulting to the weekday of `date`
+ */
+const getWeekdays = (event) => {
+  const weekdays = event.recurrence?.weekdays || [];
+  return weekdays.length > 0
+    ? [...new Set(weekdays)].sort((a, b) => a - b)
+    : [new Date(event.date).getUTCDay()];
+};
+
+/**
+ * Session days generated by the rule, as UTC-midnight timestamps
+ * @param {Object} event
+ * @param {number} endMs - Last day to generate (inclusive)
+ * @returns {Array<number>}
+ */
+const getRuleDays = (event, endMs) => {
+  const { frequency, interval = 1, monthlyBy, weekOfMonth } = event.recurrence || {};
+  const startDay = startOfUtcDay(event.date);
+  const step = Math.max(1, interval || 1);
+  const days = [];
+
+  if (frequency === "weekly") {
+    // Weeks start on Monday, as RRULE's default WKST=MO
+    const startWeekday = new Date(startDay).getUTCDay();
+    const weekStart = startDay - ((startWeekday + 6) % 7) * DAY_MS;
+    const offsets = getWeekdays(event)
+      .map((weekday) => (weekday + 6) % 7)
+      .sort((a, b) => a - b);
+
+    for (let week = 0; week < MAX_ITERATIONS; week += step) {
+      const monday = weekStart + week * 7 * DAY_MS;
+      if (monday > endMs) break;
+      for (const offset of offsets) {
+        const day = monday + offset * DAY_MS;
+        if (day >= startDay && day <= endMs) days.push(day);
+      }
+    }
+    return days;
+  }
+
+  if (frequency === "monthly") {
+    const start = new Date(startDay);
+    const weekday = start.getUTCDay();
+    const nth = weekOfMonth || getWeekOfMonth(start);
+
+    for (let k = 0; k < MAX_ITERATIONS; k += step) {
+      const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + k) / 12);
+      const month = (start.getUTCMonth() + k) % 12;
+      if (Date.UTC(year, month, 1) > endMs) break;
+
+      // Months without the day (e.g. the 31st) are skipped, as in RRULE
+      const dayOfMonth =
+        monthlyBy === "nthWeekday"
+          ? nthWeekdayOfMonth(year, month, weekday, nth)
+          : start.getUTCDate() <= daysInMonth(year, month)
+            ? start.getUTCDate()
+            : null;
+      if (dayOfMonth === null) continue;
+
+      const day = Date.UTC(year, month, dayOfMonth);
+      if (day >= startDay && day <= endMs) days.push(day);
+    }
+    return days;
+  }
+
+  return startDay <= endMs ? [startDay] : [];
+};
+
+/**
+ * Sessions of an event overlapping a date range
+ * Non-recurring events have a single session (their own dates).
+ *
+ * @param {Object} event - Event document or lean object
+ * @param {Object} options
+ * @param {Date} options.from - Sessions ending before this are skipped
+ * @param {Date} options.to - Sessions starting after this are skipped
+ * @param {number} [options.limit]
+ * @returns {Array<{ start: Date, end: Date|null }>} Sessions, earliest first
+ */
+const getOccurrences = (event, { from, to, limit = Infinity }) => {
+  const startDay = startOfUtcDay(event.date);
+  const timeOffset = new Date(event.date).getTime() - startDay;
+  const duration = event.endDate
+    ? new Date(event.endDate).getTime() - new Date(event.date).getTime()
+    : null;
+
+  const recurrence = event.recurrence || {};
+  let endMs = startOfUtcDay(to);
+  if (recurrence.until) endMs = Math.min(endMs, startOfUtcDay(recurrence.until));
+
+  const exceptions = new Set((recurrence.exceptions || []).map(dayKey));
+  const days = new Set(isRecurring(event) ? getRuleDays(event, endMs) : [startDay]);
+  (recurrence.additionalDates || []).forEach((date) => {
+    const day = startOfUtcDay(date);
+    if (day <= startOfUtcDay(to)) days.add(day);
+  });
+
+  const fromMs = new Date(from).getTime();
+  const occurrences = [];
+  for (const day of [...days].sort((a, b) => a - b)) {
+    if (exceptions.has(dayKey(day))) continue;
+
+    const start = new Date(day + timeOffset);
+    const end = duration !== null ? new Date(start.getTime() + duration) : null;
+    // A session without an end date lasts until the end of its day
+    const endsAt = end ? end.getTime() : day + DAY_MS - 1;
+    if (endsAt < fromMs) continue;
+
+    occurrences.push({ start, end });
+    if (occurrences.length >= limit) break;
+  }
+  return occurrences;
+};
+
+/**
+ * When the last session of an event ends
+ * @param {Object} event
+ * @returns {Date|null} null for a series that repeats indefinitely
+ */
+const getSeriesEnd = (event) => {
+  const recurrence = event.recurrence || {};
+  const duration = event.endDate
+    ? new Date(event.endDate).getTime() - new Date(event.date).getTime()
+    : DAY_MS - 1;
+  const timeOffset = new Date(event.date).getTime() - startOfUtcDay(event.date);
+
+  const hasRule = ["weekly", "monthly"].includes(recurrence.frequency);
+  if (hasRule && !recurrence.until) return null;
+
+  const lastDays = [startOfUtcDay(event.date)];
+  if (hasRule) lastDays.push(startOfUtcDay(recurrence.until));
+  (recurrence.additionalDates || []).forEach((date) => lastDays.push(startOfUtcDay(date)));
+
+  return new Date(Math.max(...lastDays) + timeOffset + duration);
+};
+
+/**
+ * Check that a recurrence is consistent with the event's first date
+ * @param {Object} event
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRecurrence = (event) => {
+  const recurrence = event.recurrence || {};
+  const start = new Date(event.date);
+
+  if (recurrence.until && startOfUtcDay(recurrence.until) < startOfUtcDay(start)) {
+    return "Repeat-until date cannot be before the first session";
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const weekdays = recurrence.weekdays || [];
+    if (weekdays.length > 0 && !weekdays.includes(start.getUTCDay())) {
+      return "The first session must fall on one of the selected weekdays";
+    }
+  }
+
+  if (recurrence.frequency === "monthly" && recurrence.monthlyBy === "nthWeekday") {
+    const nth = recurrence.weekOfMonth || getWeekOfMonth(start);
+    const expected = nthWeekdayOfMonth(
+      start.getUTCFullYear(),
+      start.getUTCMonth(),
+      start.getUTCDay(),
+      nth,
+    );
+    if (expected !== start.getUTCDate()) {
+      return "The first session must fall on the selected week of the month";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * iCalendar RRULE value for an event's rule
+ * @param {Object} event
+ * @param {string} [until] - UNTIL value, formatted like the event's DTSTART
+ * @returns {string|null} e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=SU", or null without a rule
+ */
+const toRRule = (event, until) => {
+  const recurrence = event.recurrence || {};
+  const parts = [];
+
+  if (recurrence.frequency === "weekly") {
+    parts.push("FREQ=WEEKLY", `INTERVAL=${recurrence.interval || 1}`);
+    parts.push(`BYDAY=${getWeekdays(event).map((day) => ICAL_WEEKDAYS[day]).join(",")}`);
+  } else if (recurrence.frequency === "monthly") {
+    const start = new Date(event.date);
+    parts.push("FREQ=MONTHLY", `INTERVAL=${recurrence.interval || 1}`);
+    if (recurrence.monthlyBy === "nthWeekday") {
+      const nth = recurrence.weekOfMonth || getWeekOfMonth(start);
+      parts.push(`BYDAY=${nth}${ICAL_WEEKDAYS[start.getUTCDay()]}`);
+    } else {
+      parts.push(`BYMONTHDAY=${start.getUTCDate()}`);
+    }
+  } else {
+    return null;
+  }
+
+  if (until) parts.push(`UNTIL=${until}`);
+  return parts.join(";");
+};
+
+module.exports = {
+  DAY_MS,
+  startOfUtcDay,
+  dayKey,
+  isRecurring,
+  getOccurrences,
+  getSeriesEnd,
+  validateRecurrence,
+  toRRule,
+};
@@ -10,6 +10,7 @@ import MainLayout from "./layouts/MainLayout";
 import ScrollToTop from "./components/ScrollToTop";
 import ProtectedRoute from "./components/ProtectedRoute";
 import CollectorRoute from "./components/CollectorRoute";
+import VolunteerRoute from "./components/VolunteerRoute";
 import AdminRoute from "./components/AdminRoute";
 import ErrorBoundary from "./components/ErrorBoundary";
 
@@ -24,6 +25,8 @@ import Testimonials from "./pages/Testimonials";
 import Contact from "./pages/Contact";
 import Login from "./pages/Login";
 import ActivityDetail from "./pages/ActivityDetail";
+import EventDetail from "./pages/EventDetail";
+import EventCheckIn from "./pages/EventCheckIn";
 
 // Admin Pages
 import AdminLayout from "./layouts/AdminLayout";
@@ -38,6 +41,9 @@ import BannerSliderManager from "./pages/admin/BannerSliderManager";
 import TestimonialsManager from "./pages/admin/TestimonialsManager";
 import DonationHeadsManager from "./pages/admin/DonationHeadsManager";
 import LiveLinkManager from "./pages/admin/LiveLinkManager";
+import TranslationsManager from "./pages/admin/TranslationsManager";
+import SevaManager from "./pages/admin/SevaManager";
+import OrdersManager from "./pages/admin/OrdersManager";
 import SystemAdmin from "./pages/admin/SystemAdmin";
 import SystemAdminLayout from "./layouts/SystemAdminLayout";
 import SystemOverview from "./pages/admin/SystemOverview";
@@ -45,18 +51,25 @@ import DonationsView from "./pages/admin/DonationsView";
 import DonorsView from "./pages/admin/DonorsView";
 import ReportsView from "./pages/admin/ReportsView";
 import ExportsView from "./pages/admin/ExportsView";
+import AuditLogView from "./pages/admin/AuditLogView";
+import ReconciliationView from "./pages/admin/ReconciliationView";
+import JobsView from "./pages/admin/JobsView";
+import ErasureRequestsView from "./pages/admin/ErasureRequestsView";
 import CashDonationForm from "./pages/admin/CashDonationForm";
 import CollectorsView from "./pages/admin/CollectorsView";
 import CollectorDetailView from "./pages/admin/CollectorDetailView";
 import CollectorApplicationsView from "./pages/admin/CollectorApplicationsView";
+import VolunteersView from "./pages/admin/VolunteersView";
 
 // Donation Module
 import DonationPage from "./modules/donation/DonationPage";
 import MyDonations from "./pages/MyDonations";
+import Seva from "./pages/Seva";
 import CollectorDashboard from "./pages/CollectorDashboard";
 import CollectorApplicationPage from "./pages/CollectorApplicationPage";
 import CollectorReapplyPage from "./pages/CollectorReapplyPage";
 import LeaderboardPage from "./pages/LeaderboardPage";
+import CampaignPage from "./pages/CampaignPage";
 
 // E-commerce Module (disabled)
 import ShopComingSoon from "./pages/ShopComingSoon";
@@ -64,6 +77,9 @@ import ShopComingSoon from "./pages/ShopComingSoon";
 // Email Verification
 import VerifyEmail from "./pages/VerifyEmail";
 
+// Receipt Verification
+import VerifyReceipt from "./pages/VerifyReceipt";
+
 function App() {
   return (
     <ErrorBoundary>
@@ -88,6 +104,11 @@ function App() {
                             element={<ActivityDetail />}
                           />
                           <Route path="events" element={<Events />} />
+                          <Route path="events/:id" element={<EventDetail />} />
+                          <Route
+                            path="events/:id/registration/:registrationNumber"
+                            element={<EventDetail />}
+                          />
                           <Route path="gallery" element={<Gallery />} />
                           <Route
                             path="testimonials"
@@ -102,6 +123,16 @@ function App() {
                             element={<VerifyEmail />}
                           />
 
+                          {/* Receipt Verification - public route (receipt QR links here) */}
+                          <Route
+                            path="verify-receipt"
+                            element={<VerifyReceipt />}
+                          />
+                          <Route
+                            path="verify-receipt/:code"
+                            element={<VerifyReceipt />}
+                          />
+
                           {/* Donation Module */}
                           <Route path="donate" element={<DonationPage />} />
                           <Route
@@ -112,6 +143,14 @@ function App() {
                               </ProtectedRoute>
                             }
                           />
+                          <Route
+                            path="seva"
+                            element={
+                              <ProtectedRoute>
+                                <Seva />
+                              </ProtectedRoute>
+                            }
+                          />
                           <Route
                             path="collector"
                             element={
@@ -137,6 +176,22 @@ function App() {
                             }
                           />
 
+                          {/* Event gate check-in (volunteers) */}
+                          <Route
+                            path="check-in"
+                            element={
+                              <VolunteerRoute>
+                                <EventCheckIn />
+                              </VolunteerRoute>
+                            }
+                          />
+
+                          {/* Public Collector Campaign */}
+                          <Route
+                            path="campaigns/:slug"
+                            element={<CampaignPage />}
+                          />
+
                           {/* Public Leaderboard */}
                           <Route
                             path="leaderboard"
@@ -201,10 +256,19 @@ function App() {
                               path="donation-heads"
                               element={<DonationHeadsManager />}
                             />
+                            <Route
+                              path="orders"
+                              element={<OrdersManager />}
+                            />
                             <Route
                               path="live-link"
                               element={<LiveLinkManager />}
                             />
+                            <Route
+                              path="translations"
+                              element={<TranslationsManager />}
+                            />
+                            <Route path="seva" element={<SevaManager />} />
                           </Route>
                           <Route
                             path="system"
@@ -236,8 +300,25 @@ function App() {
                               path="collector-applications"
                               element={<CollectorApplicationsView />}
                             />
+                            <Route
+                              path="volunteers"
+                              element={<VolunteersView />}
+                            />
                             <Route path="reports" element={<ReportsView />} />
                             <Route path="exports" element={<ExportsView />} />
+                            <Route
+                              path="audit-logs"
+                              element={<AuditLogView />}
+                            />
+                            <Route
+                              path="reconciliation"
+                              element={<ReconciliationView />}
+                            />
+                            <Route path="jobs" element={<JobsView />} />
+                            <Route
+                              path="erasure-requests"
+                              element={<ErasureRequestsView />}
+                            />
                             <Route
                               path="cash-donation"
                               element={<CashDonationForm />}
@@ -0,0 +1,405 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import {
+  getMyCampaigns,
+  createCampaign,
+  updateCampaign,
+} from "../services/collectorApi";
+import { formatCurrency, formatDate } from "../utils/helpers";
+import { API_BASE_URL } from "../utils/api";
+
+const EMPTY_FORM = {
+  title: "",
+  donationHeadId: "",
+  goalAmount: "",
+  deadline: "",
+  story: "",
+};
+
+// <input type="date"> value for a date
+const toDateInput = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * CampaignManager - Collector's fundraising campaigns on the dashboard
+ *
+ * Features:
+ * - Create a campaign for a cause with a goal, deadline and short story
+ * - Edit or close own campaigns
+ * - Progress per campaign and a shareable campaign page link
+ */
+const CampaignManager = () => {
+  const { t, i18n } = useTranslation();
+  const [campaigns, setCampaigns] = useState([]);
+  const [donationHeads, setDonationHeads] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
+  const campaignLink = (campaign) =>
+    `${window.location.origin}/campaigns/${campaign.slug}`;
+
+  const fetchCampaigns = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await getMyCampaigns();
+      setCampaigns(data.data || []);
+    } catch (err) {
+      console.error("Error fetching campaigns:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  // Causes for the campaign form
+  useEffect(() => {
+    const fetchDonationHeads = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/public/donation-heads`);
+        const data = await response.json();
+        if (data.success) {
+          setDonationHeads(data.data);
+        }
+      } catch (err) {
+        console.error("Error fetching donation heads:", err);
+      }
+    };
+
+    fetchDonationHeads();
+  }, []);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+    setError(null);
+  };
+
+  const openEdit = (campaign) => {
+    setEditingId(campaign._id);
+    setForm({
+      title: campaign.title,
+      donationHeadId: campaign.donationHead?._id || "",
+      goalAmount: String(campaign.goalAmount),
+      deadline: toDateInput(campaign.deadline),
+      story: campaign.story || "",
+    });
+    setShowForm(true);
+    setError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: name === "goalAmount" ? value.replace(/\D/g, "") : value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    // Deadline is the end of the chosen day
+    const fields = {
+      title: form.title,
+      story: form.story,
+      goalAmount: Number(form.goalAmount),
+      deadline: new Date(`${form.deadline}T23:59:59`).toISOString(),
+    };
+
+    try {
+      if (editingId) {
+        await updateCampaign(editingId, fields);
+      } else {
+        await createCampaign({ ...fields, donationHeadId: form.donationHeadId });
+      }
+      setShowForm(false);
+      setEditingId(null);
+      await fetchCampaigns();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async (campaign) => {
+    if (!window.confirm(t("collector.campaigns.confirmClose"))) return;
+
+    try {
+      await updateCampaign(campaign._id, { status: "CLOSED" });
+      await fetchCampaigns();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async (campaign) => {
+    try {
+      await navigator.clipboard.writeText(campaignLink(campaign));
+      setCopiedId(campaign._id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error("Failed to copy:", err);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-amber-100 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-amber-900">
+            {t("collector.campaigns.title")}
+          </h3>
+          <p className="text-sm text-gray-500">
+            {t("collector.campaigns.subtitle")}
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={openCreate}
+            className="px-4 py-2 bg-amber-600 text-white rounded-lg text-sm font-medium hover:bg-amber-700 transition-colors"
+          >
+            {t("collector.campaigns.create")}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {/* Create / edit form */}
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg space-y-4"
+        >
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("collector.campaigns.titleLabel")}
+            </label>
+            <input
+              type="text"
+              name="title"
+              value={form.title}
+              onChange={handleChange}
+              maxLength={120}
+              required
+              placeholder={t("collector.campaigns.titlePlaceholder")}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t("collector.campaigns.cause")}
+              </label>
+              <select
+                name="donationHeadId"
+                value={form.donationHeadId}
+                onChange={handleChange}
+                required
+                disabled={Boolean(editingId)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white disabled:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-amber-500"
+              >
+                <option value="">{t("collector.campaigns.selectCause")}</option>
+                {donationHeads.map((head) => (
+                  <option key={head._id} value={head._id}>
+                    {getLocalizedText(head.name)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t("collector.campaigns.goal")}
+              </label>
+              <input
+                type="text"
+                inputMode="numeric"
+                name="goalAmount"
+                value={form.goalAmount}
+                onChange={handleChange}
+                required
+                placeholder="50000"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t("collector.campaigns.deadline")}
+              </label>
+              <input
+                type="date"
+                name="deadline"
+                value={form.deadline}
+                min={toDateInput(new Date())}
+                onChange={handleChange}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("collector.campaigns.story")}
+            </label>
+            <textarea
+              name="story"
+              value={form.story}
+              onChange={handleChange}
+              maxLength={2000}
+              rows={4}
+              placeholder={t("collector.campaigns.storyPlaceholder")}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+          </div>
+
+          <div className="flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+            >
+              {t("collector.campaigns.cancel")}
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-amber-600 text-white rounded-lg text-sm font-medium hover:bg-amber-700 transition-colors disabled:opacity-50"
+            >
+              {saving
+                ? t("collector.campaigns.saving")
+                : editingId
+                  ? t("collector.campaigns.save")
+                  : t("collector.campaigns.create")}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Campaign list */}
+      {isLoading ? (
+        <div className="animate-pulse h-20 bg-gray-100 rounded-lg"></div>
+      ) : campaigns.length === 0 ? (
+        !showForm && (
+          <p className="text-center text-gray-600 py-6">
+            {t("collector.campaigns.empty")}
+          </p>
+        )
+      ) : (
+        <div className="space-y-4">
+          {campaigns.map((campaign) => (
+            <div
+              key={campaign._id}
+              className="p-4 border border-gray-200 rounded-lg"
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <a
+                    href={campaignLink(campaign)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-semibold text-gray-900 hover:text-amber-700"
+                  >
+                    {campaign.title}
+                  </a>
+                  <p className="text-xs text-gray-500">
+                    {getLocalizedText(campaign.donationHead?.name)} ·{" "}
+                    {campaign.isOpen
+                      ? t("collector.campaigns.endsOn", {
+                          date: formatDate(campaign.deadline),
+                        })
+                      : t("collector.campaigns.ended")}
+                  </p>
+                </div>
+                <span
+                  className={`px-2 py-1 text-xs font-medium rounded-full flex-shrink-0 ${
+                    campaign.isOpen
+                      ? "bg-green-100 text-green-800"
+                      : "bg-gray-100 text-gray-600"
+                  }`}
+                >
+                  {campaign.isOpen
+                    ? t("collector.campaigns.active")
+                    : t("collector.campaigns.closed")}
+                </span>
+              </div>
+
+              <div className="mt-3">
+                <div className="w-full h-2 bg-amber-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-amber-600 rounded-full"
+                    style={{ width: `${campaign.progress.percentage}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-600 mt-1">
+                  {t("collector.campaigns.progress", {
+                    raised: formatCurrency(campaign.progress.raisedAmount),
+                    goal: formatCurrency(campaign.progress.goalAmount),
+                    count: campaign.progress.donorCount,
+                  })}
+                </p>
+              </div>
+
+              <div className="flex gap-4 mt-3 text-sm">
+                <button
+                  onClick={() => handleCopy(campaign)}
+                  className="text-amber-700 hover:text-amber-800 font-medium"
+                >
+                  {copiedId === campaign._id
+                    ? t("referral.copied")
+                    : t("collector.campaigns.copyLink")}
+                </button>
+                {campaign.status === "ACTIVE" && (
+                  <>
+                    <button
+                      onClick={() => openEdit(campaign)}
+                      className="text-gray-600 hover:text-gray-800 font-medium"
+                    >
+                      {t("collector.campaigns.edit")}
+                    </button>
+                    <button
+                      onClick={() => handleClose(campaign)}
+                      className="text-red-600 hover:text-red-700 font-medium"
+                    >
+                      {t("collector.campaigns.close")}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignManager;
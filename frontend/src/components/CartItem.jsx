@@ -4,7 +4,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
   return (
     <div className="flex items-center space-x-4 p-4 bg-white rounded-lg shadow-sm border border-amber-100">
       <img
-        src={item.image}
+        src={item.imageUrl}
         alt={item.name}
         className="w-20 h-20 object-cover rounded-lg"
       />
@@ -14,7 +14,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
       </div>
       <div className="flex items-center space-x-2">
         <button
-          onClick={() => onUpdateQuantity(item.id, item.quantity - 1)}
+          onClick={() => onUpdateQuantity(item._id, item.quantity - 1)}
           className="w-8 h-8 rounded-full bg-amber-100 text-amber-700 hover:bg-amber-200 transition-colors"
           disabled={item.quantity <= 1}
         >
@@ -22,7 +22,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
         </button>
         <span className="w-12 text-center font-semibold">{item.quantity}</span>
         <button
-          onClick={() => onUpdateQuantity(item.id, item.quantity + 1)}
+          onClick={() => onUpdateQuantity(item._id, item.quantity + 1)}
           className="w-8 h-8 rounded-full bg-amber-100 text-amber-700 hover:bg-amber-200 transition-colors"
         >
           +
@@ -31,7 +31,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
       <div className="text-right">
         <p className="font-bold text-amber-900">{formatCurrency(item.price * item.quantity)}</p>
         <button
-          onClick={() => onRemove(item.id)}
+          onClick={() => onRemove(item._id)}
           className="text-red-600 hover:text-red-700 text-sm mt-1"
         >
           Remove
@@ -338,6 +338,26 @@ const Navbar = ({ showAnnouncement = false }) => {
                         </svg>
                         {t("nav.myDonations")}
                       </Link>
+                      <Link
+                        to="/seva"
+                        onClick={() => setIsProfileOpen(false)}
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-amber-50 hover:text-amber-700 transition-colors"
+                      >
+                        <svg
+                          className="w-4 h-4 mr-2"
+                          fill="none"
+                          stroke="currentColor"
+                          viewBox="0 0 24 24"
+                        >
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+                          />
+                        </svg>
+                        {t("nav.seva")}
+                      </Link>
                       {/* Collector link - conditional based on role */}
                       {user?.role === "COLLECTOR_APPROVED" ? (
                         <Link
@@ -360,6 +380,27 @@ const Navbar = ({ showAnnouncement = false }) => {
                           </svg>
                           {t("nav.collectorDashboard")}
                         </Link>
+                      ) : user?.role === "EVENT_VOLUNTEER" ? (
+                        <Link
+                          to="/check-in"
+                          onClick={() => setIsProfileOpen(false)}
+                          className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-amber-50 hover:text-amber-700 transition-colors"
+                        >
+                          <svg
+                            className="w-4 h-4 mr-2"
+                            fill="none"
+                            stroke="currentColor"
+                            viewBox="0 0 24 24"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
+                            />
+                          </svg>
+                          {t("nav.eventCheckIn")}
+                        </Link>
                       ) : user?.role === "COLLECTOR_PENDING" ? (
                         <div className="flex items-center px-4 py-2 text-sm text-yellow-700 bg-yellow-50">
                           <svg
@@ -912,6 +953,26 @@ const Navbar = ({ showAnnouncement = false }) => {
                     </svg>
                     {t("nav.myDonations")}
                   </Link>
+                  <Link
+                    to="/seva"
+                    onClick={() => setIsMenuOpen(false)}
+                    className="flex items-center px-4 py-3.5 border border-amber-300 text-amber-700 rounded-md font-semibold hover:bg-amber-100 transition-colors"
+                  >
+                    <svg
+                      className="w-5 h-5 mr-2"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+                      />
+                    </svg>
+                    {t("nav.seva")}
+                  </Link>
                   {/* Collector link - conditional based on role (mobile) */}
                   {user?.role === "COLLECTOR_APPROVED" ? (
                     <Link
@@ -934,6 +995,27 @@ const Navbar = ({ showAnnouncement = false }) => {
                       </svg>
                       {t("nav.collectorDashboard")}
                     </Link>
+                  ) : user?.role === "EVENT_VOLUNTEER" ? (
+                    <Link
+                      to="/check-in"
+                      onClick={() => setIsMenuOpen(false)}
+                      className="flex items-center px-4 py-3.5 border border-amber-300 text-amber-700 rounded-md font-semibold hover:bg-amber-100 transition-colors"
+                    >
+                      <svg
+                        className="w-5 h-5 mr-2"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth={2}
+                          d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
+                        />
+                      </svg>
+                      {t("nav.eventCheckIn")}
+                    </Link>
                   ) : user?.role === "COLLECTOR_PENDING" ? (
                     <div className="flex items-center px-4 py-3.5 border border-yellow-300 text-yellow-700 rounded-md font-semibold bg-yellow-50">
                       <svg
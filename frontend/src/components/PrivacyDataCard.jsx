@@ -0,0 +1,244 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import { API_BASE_URL, parseJsonResponse } from "../utils/api";
+
+/**
+ * PrivacyDataCard - "Your data" section on the My Donations page
+ *
+ * Features:
+ * - Download my data as JSON or PDF
+ * - Request erasure of personal data (reviewed by an admin), withdraw a
+ *   pending request, and see how earlier requests were resolved
+ */
+const PrivacyDataCard = ({ token, className = "" }) => {
+  const { t } = useTranslation();
+  const [requests, setRequests] = useState([]);
+  const [downloading, setDownloading] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [reason, setReason] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const authHeaders = useCallback(
+    () => ({ Authorization: `Bearer ${token}` }),
+    [token],
+  );
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/user/privacy/erasure`, {
+        headers: authHeaders(),
+      });
+      if (response.ok) {
+        const data = await parseJsonResponse(response);
+        setRequests(data.requests || []);
+      }
+    } catch (err) {
+      console.error("Error fetching erasure requests:", err);
+    }
+  }, [authHeaders]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  // Requests are newest first
+  const pending = requests.find((r) => r.status === "PENDING");
+  const rejected = requests[0]?.status === "REJECTED" ? requests[0] : null;
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    setError(null);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/user/privacy/export?format=${format}`,
+        { headers: authHeaders() },
+      );
+
+      if (!response.ok) {
+        throw new Error("Export failed");
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `my-data-${new Date().toISOString().split("T")[0]}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error("Data export error:", err);
+      setError(t("myDonations.privacy.downloadFailed"));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleRequestErasure = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(t("myDonations.privacy.confirmErasure"))) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/user/privacy/erasure`, {
+        method: "POST",
+        headers: { ...authHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: reason.trim() }),
+      });
+      const data = await parseJsonResponse(response);
+
+      if (!response.ok) {
+        throw new Error(data.message);
+      }
+
+      setShowForm(false);
+      setReason("");
+      await fetchRequests();
+    } catch (err) {
+      setError(err.message || t("myDonations.privacy.requestFailed"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/user/privacy/erasure/${pending._id}/cancel`,
+        { method: "POST", headers: authHeaders() },
+      );
+      const data = await parseJsonResponse(response);
+
+      if (!response.ok) {
+        throw new Error(data.message);
+      }
+
+      await fetchRequests();
+    } catch (err) {
+      setError(err.message || t("myDonations.privacy.requestFailed"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const buttonClass =
+    "px-4 py-2 border border-amber-600 text-amber-700 rounded-md text-sm font-medium hover:bg-amber-50 transition-colors disabled:opacity-50";
+
+  return (
+    <div
+      className={`bg-white border border-gray-200 rounded-lg p-6 shadow-sm ${className}`}
+    >
+      <h3 className="text-lg font-semibold text-amber-900 mb-1">
+        {t("myDonations.privacy.title")}
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {t("myDonations.privacy.subtitle")}
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={() => handleDownload("json")}
+          disabled={downloading !== null}
+          className={buttonClass}
+        >
+          {downloading === "json"
+            ? t("myDonations.privacy.preparing")
+            : t("myDonations.privacy.downloadJson")}
+        </button>
+        <button
+          onClick={() => handleDownload("pdf")}
+          disabled={downloading !== null}
+          className={buttonClass}
+        >
+          {downloading === "pdf"
+            ? t("myDonations.privacy.preparing")
+            : t("myDonations.privacy.downloadPdf")}
+        </button>
+      </div>
+
+      <div className="mt-6 pt-4 border-t border-gray-100">
+        <h4 className="font-semibold text-gray-800 mb-1">
+          {t("myDonations.privacy.erasureTitle")}
+        </h4>
+        <p className="text-sm text-gray-600 mb-3">
+          {t("myDonations.privacy.erasureNote")}
+        </p>
+
+        {pending ? (
+          <div className="p-3 rounded-md text-sm bg-amber-50 text-amber-800 border border-amber-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <span>
+              {t("myDonations.privacy.pending", {
+                date: new Date(pending.createdAt).toLocaleDateString("en-IN"),
+              })}
+            </span>
+            <button
+              onClick={handleWithdraw}
+              disabled={submitting}
+              className="text-amber-700 hover:text-amber-800 font-medium disabled:opacity-50"
+            >
+              {t("myDonations.privacy.withdraw")}
+            </button>
+          </div>
+        ) : showForm ? (
+          <form onSubmit={handleRequestErasure} className="space-y-3">
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              placeholder={t("myDonations.privacy.reasonPlaceholder")}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+            <div className="flex gap-3">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 transition-colors disabled:opacity-50"
+              >
+                {submitting
+                  ? t("myDonations.privacy.submitting")
+                  : t("myDonations.privacy.submitRequest")}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md text-sm font-medium hover:bg-gray-200 transition-colors"
+              >
+                {t("myDonations.privacy.cancel")}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            {rejected && (
+              <p className="mb-3 text-sm text-gray-600">
+                {t("myDonations.privacy.rejected", {
+                  note: rejected.resolutionNote,
+                })}
+              </p>
+            )}
+            <button
+              onClick={() => setShowForm(true)}
+              className="text-sm font-medium text-red-700 hover:text-red-800"
+            >
+              {t("myDonations.privacy.requestErasure")}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrivacyDataCard;
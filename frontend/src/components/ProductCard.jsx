@@ -14,11 +14,11 @@ const ProductCard = ({ product }) => {
   };
 
   return (
-    <Link to={`/shop/${product.id}`} className="block">
+    <Link to={`/shop/${product.slug}`} className="block">
       <div className="bg-white rounded-lg shadow-md hover:shadow-xl transition-shadow overflow-hidden border border-amber-100">
         <div className="relative h-64 overflow-hidden">
           <img
-            src={product.image}
+            src={product.imageUrl}
             alt={getLocalizedText(product.name)}
             className="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
           />
@@ -31,14 +31,14 @@ const ProductCard = ({ product }) => {
             {formatCurrency(product.price)}
           </p>
           <p className="text-sm text-gray-600 line-clamp-2">
-            {getLocalizedText(product.description)}
+            {getLocalizedText(product.shortDescription || product.description)}
           </p>
-          {product.stock < 10 && product.stock > 0 && (
+          {product.trackInventory && product.stock < 10 && product.stock > 0 && (
             <p className="text-sm text-orange-600 mt-2">
               Only {product.stock} left!
             </p>
           )}
-          {product.stock === 0 && (
+          {product.trackInventory && product.stock === 0 && (
             <p className="text-sm text-red-600 mt-2">Out of Stock</p>
           )}
         </div>
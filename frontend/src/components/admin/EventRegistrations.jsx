@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, Download } from "lucide-react";
+import { eventsApi } from "../../services/adminApi";
+
+const STATUS_FILTERS = [
+  { value: "", label: "All" },
+  { value: "CONFIRMED", label: "Confirmed" },
+  { value: "WAITLISTED", label: "Waitlist" },
+  { value: "PENDING_PAYMENT", label: "Awaiting payment" },
+  { value: "CANCELLED", label: "Cancelled" },
+  { value: "PAYMENT_FAILED", label: "Payment failed" },
+  { value: "EXPIRED", label: "Expired" },
+];
+
+const STATUS_STYLES = {
+  CONFIRMED: "bg-green-100 text-green-700",
+  WAITLISTED: "bg-amber-100 text-amber-800",
+  PENDING_PAYMENT: "bg-blue-100 text-blue-700",
+  CANCELLED: "bg-gray-100 text-gray-600",
+  PAYMENT_FAILED: "bg-red-100 text-red-700",
+  EXPIRED: "bg-gray-100 text-gray-600",
+};
+
+const formatStatus = (status) =>
+  STATUS_FILTERS.find((s) => s.value === status)?.label || status;
+
+/**
+ * EventRegistrations - Attendee list and waitlist of one event
+ *
+ * Features:
+ * - Status counts and seats left
+ * - Filter by status, search by name / email / mobile / registration number
+ * - Cancel registrations, promote waitlisted attendees
+ * - Gate check-in time of attendees who have arrived
+ * - CSV export of the current status filter
+ *
+ * @param {string} eventId - Event to show
+ * @param {function} onToast - (message, type) => void
+ */
+const EventRegistrations = ({ eventId, onToast }) => {
+  const [registrations, setRegistrations] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [summary, setSummary] = useState(null);
+  const [status, setStatus] = useState("");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const fetchRegistrations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (status) params.status = status;
+      if (search.trim()) params.search = search.trim();
+      const result = await eventsApi.getRegistrations(eventId, params);
+      setRegistrations(result.data.registrations);
+      setCounts(result.data.counts);
+      setSummary(result.data.summary);
+    } catch (err) {
+      console.error("Error fetching registrations:", err);
+      onToast(err.message || "Failed to load registrations", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [eventId, status, search, onToast]);
+
+  useEffect(() => {
+    const timer = setTimeout(fetchRegistrations, 300);
+    return () => clearTimeout(timer);
+  }, [fetchRegistrations]);
+
+  const runAction = async (registration, action, confirmText) => {
+    if (!window.confirm(confirmText)) return;
+    setBusyId(registration._id);
+    try {
+      const result = await action(eventId, registration._id);
+      onToast(result.message);
+      await fetchRegistrations();
+    } catch (err) {
+      onToast(err.message || "Action failed", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await eventsApi.exportRegistrations(
+        eventId,
+        status ? { status } : {},
+      );
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `registrations_${status ? status.toLowerCase() + "_" : ""}${new Date().toISOString().split("T")[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      onToast(err.message || "Export failed", "error");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div className="p-3 rounded-lg bg-green-50 border border-green-200">
+            <div className="text-xs text-green-700">Confirmed</div>
+            <div className="text-xl font-bold text-green-800">
+              {counts.CONFIRMED || 0}
+            </div>
+          </div>
+          <div className="p-3 rounded-lg bg-amber-50 border border-amber-200">
+            <div className="text-xs text-amber-700">Waitlist</div>
+            <div className="text-xl font-bold text-amber-800">
+              {counts.WAITLISTED || 0}
+            </div>
+          </div>
+          <div className="p-3 rounded-lg bg-blue-50 border border-blue-200">
+            <div className="text-xs text-blue-700">Awaiting payment</div>
+            <div className="text-xl font-bold text-blue-800">
+              {counts.PENDING_PAYMENT || 0}
+            </div>
+          </div>
+          <div className="p-3 rounded-lg bg-gray-50 border border-gray-200">
+            <div className="text-xs text-gray-600">Seats left</div>
+            <div className="text-xl font-bold text-gray-800">
+              {summary.spotsLeft === null
+                ? "Unlimited"
+                : `${summary.spotsLeft} / ${summary.capacity}`}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-3 md:items-center md:justify-between">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => setStatus(filter.value)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                status === filter.value
+                  ? "bg-amber-600 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name, email, mobile..."
+            className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+          />
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="inline-flex items-center px-3 py-1.5 text-sm font-medium bg-amber-600 text-white rounded-md hover:bg-amber-700 disabled:opacity-50"
+          >
+            {exporting ? (
+              <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4 mr-1" />
+            )}
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin text-amber-600" />
+          <span className="ml-2 text-gray-600">Loading registrations...</span>
+        </div>
+      ) : registrations.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          No registrations found.
+        </div>
+      ) : (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Attendee
+                </th>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Registration
+                </th>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Answers
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {registrations.map((registration) => (
+                <tr key={registration._id} className="align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-900">
+                      {registration.name}
+                    </div>
+                    <div className="text-gray-600">{registration.email}</div>
+                    {registration.mobile && (
+                      <div className="text-gray-600">{registration.mobile}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="font-mono text-xs text-gray-700">
+                      {registration.registrationNumber}
+                    </div>
+                    <span
+                      className={`inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded-md ${
+                        STATUS_STYLES[registration.status] || ""
+                      }`}
+                    >
+                      {formatStatus(registration.status)}
+                    </span>
+                    {registration.checkedInAt && (
+                      <div className="text-xs text-green-700 mt-1">
+                        Checked in{" "}
+                        {new Date(registration.checkedInAt).toLocaleTimeString(
+                          "en-IN",
+                          { hour: "2-digit", minute: "2-digit" },
+                        )}
+                      </div>
+                    )}
+                    {registration.fee > 0 && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        ₹{registration.fee}
+                        {registration.paidAt ? " paid" : ""}
+                      </div>
+                    )}
+                    {registration.paymentIssue && (
+                      <div className="text-xs text-red-700 mt-1">
+                        {registration.paymentIssue}
+                      </div>
+                    )}
+                    <div className="text-xs text-gray-400 mt-1">
+                      {new Date(registration.createdAt).toLocaleString("en-IN")}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-700">
+                    {registration.answers.length === 0
+                      ? "-"
+                      : registration.answers.map((answer) => (
+                          <div key={answer.key}>
+                            <span className="text-gray-500">
+                              {answer.label || answer.key}:
+                            </span>{" "}
+                            {answer.value || "-"}
+                          </div>
+                        ))}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {registration.status === "WAITLISTED" && (
+                      <button
+                        onClick={() =>
+                          runAction(
+                            registration,
+                            eventsApi.promoteRegistration,
+                            `Give ${registration.name} a seat?`,
+                          )
+                        }
+                        disabled={busyId !== null}
+                        className="px-3 py-1 text-xs font-medium text-amber-600 hover:text-amber-700 hover:bg-amber-50 rounded-md disabled:opacity-50"
+                      >
+                        Promote
+                      </button>
+                    )}
+                    {["CONFIRMED", "WAITLISTED", "PENDING_PAYMENT"].includes(
+                      registration.status,
+                    ) && (
+                      <button
+                        onClick={() =>
+                          runAction(
+                            registration,
+                            eventsApi.cancelRegistration,
+                            `Cancel the registration of ${registration.name}?`,
+                          )
+                        }
+                        disabled={busyId !== null}
+                        className="px-3 py-1 text-xs font-medium text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md disabled:opacity-50"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventRegistrations;
@@ -17,6 +17,8 @@ const LANGUAGES = [
  * @param {number} rows - Textarea rows (default 3)
  * @param {string} placeholder - Placeholder text
  * @param {string} error - Error message
+ * @param {Array} machineTranslated - The item's machineTranslated entries ({ path, text })
+ * @param {string} path - This field's path in the item (e.g. "title"), to match machineTranslated
  */
 const MultilingualInput = ({
   label,
@@ -27,6 +29,8 @@ const MultilingualInput = ({
   rows = 3,
   placeholder = "",
   error,
+  machineTranslated = [],
+  path,
 }) => {
   const [activeLang, setActiveLang] = useState("en");
 
@@ -36,6 +40,13 @@ const MultilingualInput = ({
     mr: value?.mr || "",
   };
 
+  // A machine-translated draft needs review until its text is edited
+  const isDraft = (code) =>
+    Boolean(path) &&
+    (machineTranslated || []).some(
+      (entry) => entry.path === `${path}.${code}` && entry.text === safeValue[code],
+    );
+
   const handleChange = (e) => {
     onChange({
       ...safeValue,
@@ -77,8 +88,13 @@ const MultilingualInput = ({
               }`}
             >
               {lang.label}
-              {hasContent && !isActive && (
-                <span className="ml-1 text-green-500">●</span>
+              {isDraft(lang.code) ? (
+                <span className="ml-1 text-amber-500" title="Machine translated – needs review">
+                  ●
+                </span>
+              ) : (
+                hasContent &&
+                !isActive && <span className="ml-1 text-green-500">●</span>
               )}
             </button>
           );
@@ -113,6 +129,11 @@ const MultilingualInput = ({
       )}
 
       {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+      {isDraft(activeLang) && (
+        <p className="mt-0.5 text-xs text-amber-700">
+          Machine translated – needs review. Editing the text marks it reviewed.
+        </p>
+      )}
       {activeLang !== "en" && (
         <p className="mt-0.5 text-xs text-gray-400">
           Optional — falls back to English if empty
@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2 } from "lucide-react";
+import { sevaApi } from "../../services/adminApi";
+
+const ATTENDANCE_STYLES = {
+  PRESENT: "bg-green-100 text-green-700",
+  ABSENT: "bg-red-100 text-red-700",
+};
+
+/**
+ * SevaRoster - Volunteers of one seva shift
+ *
+ * Features:
+ * - Volunteers who claimed the shift, with contact details
+ * - Once the shift has started: mark present / absent and adjust hours
+ *   (empty hours = the length of the shift)
+ * - Volunteers who cancelled are listed separately
+ *
+ * @param {string} shiftId - Shift to show
+ * @param {function} onToast - (message, type) => void
+ * @param {function} [onChange] - Called after attendance changes
+ */
+const SevaRoster = ({ shiftId, onToast, onChange }) => {
+  const [shift, setShift] = useState(null);
+  const [signups, setSignups] = useState([]);
+  const [hoursInput, setHoursInput] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchRoster = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await sevaApi.getRoster(shiftId);
+      setShift(result.data.shift);
+      setSignups(result.data.signups);
+      setHoursInput(
+        Object.fromEntries(
+          result.data.signups.map((s) => [s._id, s.hours ?? ""]),
+        ),
+      );
+    } catch (err) {
+      console.error("Error fetching roster:", err);
+      onToast(err.message || "Failed to load roster", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [shiftId, onToast]);
+
+  useEffect(() => {
+    fetchRoster();
+  }, [fetchRoster]);
+
+  const handleMark = async (signup, attendance) => {
+    setBusyId(signup._id);
+    try {
+      const result = await sevaApi.markAttendance(shiftId, signup._id, {
+        attendance,
+        hours: attendance === "PRESENT" ? hoursInput[signup._id] : null,
+      });
+      setSignups((prev) =>
+        prev.map((s) => (s._id === signup._id ? result.data : s)),
+      );
+      onChange?.();
+    } catch (err) {
+      onToast(err.message || "Failed to save attendance", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-amber-600" />
+        <span className="ml-2 text-gray-600">Loading roster...</span>
+      </div>
+    );
+  }
+
+  const claimed = signups.filter((s) => s.status === "CLAIMED");
+  const cancelled = signups.filter((s) => s.status === "CANCELLED");
+  const started = shift && new Date(shift.startsAt) <= new Date();
+
+  return (
+    <div className="space-y-3">
+      {claimed.length === 0 ? (
+        <div className="text-center py-6 text-gray-500 text-sm">
+          No volunteers have signed up yet.
+        </div>
+      ) : (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Volunteer
+                </th>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                  Signed up
+                </th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                  Attendance
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {claimed.map((signup) => (
+                <tr key={signup._id} className="align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-900">
+                      {signup.user?.fullName || "No name"}
+                    </div>
+                    <div className="text-gray-600">{signup.user?.mobile}</div>
+                    {signup.user?.email && (
+                      <div className="text-gray-600">{signup.user.email}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-500">
+                    {new Date(signup.claimedAt).toLocaleString("en-IN")}
+                    {signup.reminderSentAt && (
+                      <div className="mt-1">Reminder sent</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {signup.attendance && (
+                      <span
+                        className={`inline-block mr-2 px-2 py-0.5 text-xs font-medium rounded-md ${
+                          ATTENDANCE_STYLES[signup.attendance]
+                        }`}
+                      >
+                        {signup.attendance === "PRESENT"
+                          ? `Present · ${signup.hours ?? shift.hours}h`
+                          : "Absent"}
+                      </span>
+                    )}
+                    {started ? (
+                      <span className="inline-flex items-center gap-1">
+                        <input
+                          type="number"
+                          min="0"
+                          max="24"
+                          step="0.25"
+                          value={hoursInput[signup._id] ?? ""}
+                          onChange={(e) =>
+                            setHoursInput((prev) => ({
+                              ...prev,
+                              [signup._id]: e.target.value,
+                            }))
+                          }
+                          placeholder={`${shift.hours}h`}
+                          title="Hours (empty = length of the shift)"
+                          className="w-16 px-2 py-1 text-xs border border-gray-300 rounded-md"
+                        />
+                        <button
+                          onClick={() => handleMark(signup, "PRESENT")}
+                          disabled={busyId !== null}
+                          className="px-3 py-1 text-xs font-medium text-green-700 hover:bg-green-50 rounded-md disabled:opacity-50"
+                        >
+                          Present
+                        </button>
+                        <button
+                          onClick={() => handleMark(signup, "ABSENT")}
+                          disabled={busyId !== null}
+                          className="px-3 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-md disabled:opacity-50"
+                        >
+                          Absent
+                        </button>
+                      </span>
+                    ) : (
+                      <span className="text-xs text-gray-400">
+                        After the shift starts
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {cancelled.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Cancelled:{" "}
+          {cancelled
+            .map((s) => s.user?.fullName || s.user?.mobile || "Unknown")
+            .join(", ")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SevaRoster;
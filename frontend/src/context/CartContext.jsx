@@ -18,7 +18,11 @@ export const CartProvider = ({ children }) => {
     const savedCart = localStorage.getItem('cart');
     if (savedCart) {
       try {
-        setCartItems(JSON.parse(savedCart));
+        // Carts saved before the shop used real products hold numeric ids
+        // the checkout API cannot resolve, so those lines are dropped
+        setCartItems(
+          JSON.parse(savedCart).filter(item => typeof item._id === 'string')
+        );
       } catch (error) {
         console.error('Error loading cart from localStorage:', error);
       }
@@ -30,17 +34,32 @@ export const CartProvider = ({ children }) => {
     localStorage.setItem('cart', JSON.stringify(cartItems));
   }, [cartItems]);
 
-  const addToCart = (product) => {
+  /**
+   * Add a Product (from /api/public/products) to the cart
+   * Only what the cart and checkout need is kept; the backend re-prices every
+   * line against Product when the order is placed.
+   */
+  const addToCart = (product, quantity = 1) => {
     setCartItems(prev => {
-      const existingItem = prev.find(item => item.id === product.id);
+      const existingItem = prev.find(item => item._id === product._id);
       if (existingItem) {
         return prev.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 }
+          item._id === product._id
+            ? { ...item, quantity: item.quantity + quantity }
             : item
         );
       }
-      return [...prev, { ...product, quantity: 1 }];
+      return [
+        ...prev,
+        {
+          _id: product._id,
+          slug: product.slug,
+          name: product.name,
+          price: product.price,
+          imageUrl: product.imageUrl,
+          quantity,
+        },
+      ];
     });
   };
 
@@ -51,13 +70,13 @@ export const CartProvider = ({ children }) => {
     }
     setCartItems(prev =>
       prev.map(item =>
-        item.id === productId ? { ...item, quantity } : item
+        item._id === productId ? { ...item, quantity } : item
       )
     );
   };
 
   const removeFromCart = (productId) => {
-    setCartItems(prev => prev.filter(item => item.id !== productId));
+    setCartItems(prev => prev.filter(item => item._id !== productId));
   };
 
   const clearCart = () => {
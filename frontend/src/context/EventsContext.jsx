@@ -76,6 +76,9 @@ export const EventsProvider = ({ children }) => {
           location: eventData.location,
           imageUrl: eventData.imageUrl,
           isPublished: eventData.visible !== false,
+          registration: eventData.registration,
+          registrationQuestions: eventData.registrationQuestions,
+          recurrence: eventData.recurrence,
         });
         const newEvent = {
           ...response.data,
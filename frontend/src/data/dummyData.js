@@ -390,68 +390,3 @@ export const topDonors = [
   { id: 7, name: "Anonymous Devotee", totalAmount: 125000, donations: 3 },
   { id: 8, name: "Shri Prakash Jain", totalAmount: 100000, donations: 7 },
 ];
-
-export const products = [
-  {
-    id: 1,
-    name: "Spiritual Book Collection",
-    price: 299,
-    image: "https://images.unsplash.com/photo-1544947950-fa07a98d237f?w=600",
-    category: "books",
-    description: "A collection of spiritual teachings and wisdom from Gurudev",
-    stock: 50,
-  },
-  {
-    id: 2,
-    name: "Rudraksha Mala",
-    price: 599,
-    image: "",
-    category: "accessories",
-    description: "Authentic Rudraksha mala for meditation and prayer",
-    stock: 30,
-  },
-  {
-    id: 3,
-    name: "Incense Sticks Pack",
-    price: 149,
-    image: "https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=600",
-    category: "puja",
-    description: "Premium quality incense sticks for daily worship",
-    stock: 100,
-  },
-  {
-    id: 4,
-    name: "Brass Aarti Lamp",
-    price: 899,
-    image: "https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=600",
-    category: "puja",
-    description: "Beautiful handcrafted brass lamp for aarti",
-    stock: 20,
-  },
-  {
-    id: 5,
-    name: "Yoga Mat",
-    price: 799,
-    image: "https://images.unsplash.com/photo-1601925260368-ae2f83d02f78?w=600",
-    category: "accessories",
-    description: "Premium quality non-slip yoga mat",
-    stock: 40,
-  },
-  {
-    id: 6,
-    name: "Bhajan CD Set",
-    price: 199,
-    image: "https://images.unsplash.com/photo-1493225457124-a3eb161ffa5f?w=600",
-    category: "media",
-    description: "Collection of devotional bhajans and chants",
-    stock: 60,
-  },
-];
-
-export const productCategories = [
-  { id: "all", name: "All Products" },
-  { id: "books", name: "Books" },
-  { id: "accessories", name: "Accessories" },
-  { id: "puja", name: "Puja Items" },
-  { id: "media", name: "Media" },
-];
@@ -11,8 +11,13 @@ const SystemAdminLayout = () => {
     { path: "/admin/system/donors", label: "Donors", active: false, disabled: false },
     { path: "/admin/system/collectors", label: "Collectors", active: false, disabled: false },
     { path: "/admin/system/collector-applications", label: "Collector Applications", active: false, disabled: false, indent: true },
+    { path: "/admin/system/volunteers", label: "Event Volunteers", active: false, disabled: false },
     { path: "/admin/system/reports", label: "Reports", active: false, disabled: false },
     { path: "/admin/system/exports", label: "Exports", active: false, disabled: false },
+    { path: "/admin/system/reconciliation", label: "Reconciliation", active: false, disabled: false },
+    { path: "/admin/system/jobs", label: "Scheduled Jobs", active: false, disabled: false },
+    { path: "/admin/system/erasure-requests", label: "Erasure Requests", active: false, disabled: false },
+    { path: "/admin/system/audit-logs", label: "Audit Log", active: false, disabled: false },
   ];
 
   const isActive = (path) => {
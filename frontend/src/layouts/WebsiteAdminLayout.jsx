@@ -18,6 +18,12 @@ const WebsiteAdminLayout = () => {
       active: false,
       disabled: false,
     },
+    {
+      path: "/admin/website/seva",
+      label: "Seva Shifts",
+      active: false,
+      disabled: false,
+    },
     {
       path: "/admin/website/banners",
       label: "Hero Banners",
@@ -42,12 +48,24 @@ const WebsiteAdminLayout = () => {
       active: false,
       disabled: false,
     },
+    {
+      path: "/admin/website/orders",
+      label: "Shop Orders",
+      active: false,
+      disabled: false,
+    },
     {
       path: "/admin/website/live-link",
       label: "Live Link",
       active: false,
       disabled: false,
     },
+    {
+      path: "/admin/website/translations",
+      label: "Translations",
+      active: false,
+      disabled: false,
+    },
   ];
 
   const isActive = (path) => {
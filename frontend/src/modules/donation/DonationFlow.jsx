@@ -17,7 +17,7 @@ import Step5Success from "./steps/Step5Success";
  *
  * Props:
  * - selectedCause: The donation cause selected by user
- * - referralData: { code, collectorName, isValid } from URL params
+ * - referralData: { code, collectorName, isValid, campaign } from URL params
  * - prefillAmount: Suggested amount from URL params
  */
 const DonationFlow = ({
@@ -59,15 +59,18 @@ const DonationFlow = ({
 
     // Donation specifics
     donationHead: null, // { id, name, description, image } from selected cause
+    subCauseKey: null, // Optional sub-cause of the selected cause
     amount: 0,
     customAmount: "",
 
     // Referral/Collector info (from URL params, immutable during flow)
     referralCode: null, // Code from URL - sent to backend
     collectorName: null, // Resolved collector name - for display only
+    campaignId: null, // Collector campaign from a campaign link - sent to backend
 
     // Backend-generated IDs (set by Step4Payment after API calls)
     donationId: null, // From POST /donations/create
+    receiptToken: null, // From POST /donations/create - signed access to status/receipt
     razorpayOrderId: null, // From POST /donations/create-order
     razorpayOrderAmount: null, // Stored for retry - amount in paise from backend
     razorpayKey: null, // Stored for retry
@@ -87,6 +90,7 @@ const DonationFlow = ({
         ...prev,
         referralCode: referralData.code,
         collectorName: referralData.collectorName,
+        campaignId: referralData.campaign?.id || null,
       }));
     }
   }, [referralData]);
@@ -105,7 +109,11 @@ const DonationFlow = ({
   // When a cause is selected from DonationPage, update state and reset to step 1
   useEffect(() => {
     if (selectedCause) {
-      setDonationData((prev) => ({ ...prev, donationHead: selectedCause }));
+      setDonationData((prev) => ({
+        ...prev,
+        donationHead: selectedCause,
+        subCauseKey: null,
+      }));
       setCurrentStep(1);
     }
   }, [selectedCause]);
@@ -155,12 +163,15 @@ const DonationFlow = ({
       anonymousDisplay: false,
       otpVerified: false,
       donationHead: null,
+      subCauseKey: null,
       amount: prefillAmount || 0,
       customAmount: prefillAmount ? prefillAmount.toString() : "",
       // Preserve referral data - it came from URL and should persist
       referralCode: prev.referralCode,
       collectorName: prev.collectorName,
+      campaignId: prev.campaignId,
       donationId: null,
+      receiptToken: null,
       razorpayOrderId: null,
       razorpayOrderAmount: null,
       razorpayKey: null,
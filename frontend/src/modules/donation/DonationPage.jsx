@@ -5,7 +5,7 @@ import SectionHeading from "../../components/SectionHeading";
 import DonationFlow from "./DonationFlow";
 import DonorList from "./DonorList";
 import { donationIcons } from "../../data/dummyData";
-import { validateReferralCode } from "../../services/collectorApi";
+import { validateReferralCode, getCampaign } from "../../services/collectorApi";
 import { API_BASE_URL } from "../../utils/api";
 
 // Heart Icon for donate button
@@ -46,6 +46,7 @@ const DonationPage = () => {
     isValid: false, // Whether code was validated
     isLoading: false, // Loading state during validation
     error: null, // Soft error for invalid codes
+    campaign: null, // { id, title, donationHeadId } when arriving from a campaign link
   });
 
   // Prefill amount from URL
@@ -76,17 +77,68 @@ const DonationPage = () => {
     fetchDonationHeads();
   }, [i18n.language]);
 
-  // Handle URL parameters: ref, cause, amount
+  // Handle URL parameters: ref, campaign, cause, amount
   useEffect(() => {
     if (loadingHeads) return; // Wait for donation heads to load
 
     const refCode = searchParams.get("ref");
+    const campaignSlug = searchParams.get("campaign");
     const causeName = searchParams.get("cause");
     const amount = searchParams.get("amount");
     const quickDonate = searchParams.get("quick");
 
-    // Handle referral code
-    if (refCode) {
+    // Resolve a campaign link: preselect its cause and attribute to its collector
+    const resolveCampaignLink = async (slug) => {
+      setReferralData((prev) => ({ ...prev, isLoading: true, error: null }));
+
+      try {
+        const { data: campaign } = await getCampaign(slug);
+        const head = donationHeads.find(
+          (h) => h._id === campaign.donationHead?._id,
+        );
+
+        if (!campaign.isOpen || !head) {
+          setReferralData({
+            code: null,
+            collectorName: null,
+            isValid: false,
+            isLoading: false,
+            error: t("donation.campaignClosed"),
+            campaign: null,
+          });
+          return;
+        }
+
+        setSelectedCause(head);
+        setReferralData({
+          code: campaign.referralCode,
+          collectorName: campaign.collectorName,
+          isValid: true,
+          isLoading: false,
+          error: null,
+          campaign: {
+            id: campaign._id,
+            title: campaign.title,
+            donationHeadId: head._id,
+          },
+        });
+      } catch (error) {
+        console.warn("Campaign lookup error:", error);
+        setReferralData({
+          code: null,
+          collectorName: null,
+          isValid: false,
+          isLoading: false,
+          error: t("donation.campaignClosed"),
+          campaign: null,
+        });
+      }
+    };
+
+    // Handle campaign link (sets cause and collector), else referral code
+    if (campaignSlug) {
+      resolveCampaignLink(campaignSlug);
+    } else if (refCode) {
       handleValidateReferralCode(refCode);
     }
 
@@ -117,7 +169,7 @@ const DonationPage = () => {
     }
 
     // Scroll to donation flow if any params present
-    if (refCode || causeName || quickDonate === "true") {
+    if (refCode || campaignSlug || causeName || quickDonate === "true") {
       setTimeout(() => {
         if (donationFlowRef.current) {
           donationFlowRef.current.scrollIntoView({
@@ -127,7 +179,7 @@ const DonationPage = () => {
         }
       }, 300);
     }
-  }, [searchParams, donationHeads, loadingHeads]);
+  }, [searchParams, donationHeads, loadingHeads, t]);
 
   // Validate referral code via backend
   const handleValidateReferralCode = async (code) => {
@@ -148,6 +200,7 @@ const DonationPage = () => {
           isValid: true,
           isLoading: false,
           error: null,
+          campaign: null,
         });
       } else {
         // Invalid code - show soft warning, allow donation to continue
@@ -159,6 +212,7 @@ const DonationPage = () => {
           error:
             data.error ||
             "Referral code not recognized. You can still donate without it.",
+          campaign: null,
         });
       }
     } catch (error) {
@@ -170,6 +224,7 @@ const DonationPage = () => {
         isValid: false,
         isLoading: false,
         error: null, // Don't show error for network issues
+        campaign: null,
       });
     }
   };
@@ -191,6 +246,7 @@ const DonationPage = () => {
           isValid: true,
           isLoading: false,
           error: null,
+          campaign: null,
         });
         setManualReferralInput("");
       } else {
@@ -218,11 +274,16 @@ const DonationPage = () => {
       isValid: false,
       isLoading: false,
       error: null,
+      campaign: null,
     });
     setManualReferralInput("");
   };
 
   const handleCauseSelect = (head) => {
+    // A campaign only covers its own cause - keep the collector, drop the campaign
+    if (referralData.campaign && referralData.campaign.donationHeadId !== head._id) {
+      setReferralData((prev) => ({ ...prev, campaign: null }));
+    }
     setSelectedCause(head);
     // Scroll to donation flow after component renders
     setTimeout(() => {
@@ -318,6 +379,27 @@ const DonationPage = () => {
                         })}
                       </p>
                     )}
+                    {head.progress?.goalAmount && (
+                      <div className="mt-3">
+                        <div className="w-full h-2 bg-amber-100 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-amber-600 rounded-full"
+                            style={{ width: `${head.progress.percentage}%` }}
+                          />
+                        </div>
+                        <div className="flex justify-between text-xs text-gray-600 mt-1">
+                          <span>
+                            {t("donation.goalRaised", {
+                              raised: head.progress.currentAmount.toLocaleString("en-IN"),
+                              goal: head.progress.goalAmount.toLocaleString("en-IN"),
+                            })}
+                          </span>
+                          <span>
+                            {t("donation.goalDonations", { count: head.progress.donationCount })}
+                          </span>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </button>
               ))}
@@ -380,6 +462,13 @@ const DonationPage = () => {
                       {referralData.collectorName}
                     </span>
                   </p>
+                  {referralData.campaign && (
+                    <p className="text-green-700 text-sm">
+                      {t("donation.forCampaign", {
+                        title: referralData.campaign.title,
+                      })}
+                    </p>
+                  )}
                   <p className="text-green-600 text-sm">
                     {t("donation.attributeNote")}
                   </p>
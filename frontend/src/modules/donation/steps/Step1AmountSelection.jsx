@@ -6,7 +6,7 @@ import { formatCurrency } from "../../../utils/helpers";
 import { API_BASE_URL } from "../../../utils/api";
 
 const Step1AmountSelection = ({ data, updateData, nextStep }) => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const [errors, setErrors] = useState({});
 
   // Manual referral code input state (only when no URL referral)
@@ -19,6 +19,19 @@ const Step1AmountSelection = ({ data, updateData, nextStep }) => {
     return data.donationHead?.minAmount || 10;
   }, [data.donationHead]);
 
+  // Active sub-causes of the selected cause (optional choice)
+  const subCauses = useMemo(() => {
+    return (data.donationHead?.subCauses || []).filter((sc) => sc.isActive !== false);
+  }, [data.donationHead]);
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
   // Filter preset amounts to only show those >= minAmount
   const filteredPresetAmounts = useMemo(() => {
     return presetAmounts.filter((amount) => amount >= minAmount);
@@ -82,6 +95,11 @@ const Step1AmountSelection = ({ data, updateData, nextStep }) => {
     }
   };
 
+  const handleSubCause = (e) => {
+    clearDonationIds();
+    updateData({ subCauseKey: e.target.value || null });
+  };
+
   const handleCustomAmount = (e) => {
     const value = e.target.value.replace(/\D/g, "");
     clearDonationIds();
@@ -147,6 +165,27 @@ const Step1AmountSelection = ({ data, updateData, nextStep }) => {
       )}
 
       <div className="space-y-6">
+        {/* Sub-cause Selection */}
+        {subCauses.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t("donation.step1.subCause")}
+            </label>
+            <select
+              value={data.subCauseKey || ""}
+              onChange={handleSubCause}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-amber-500"
+            >
+              <option value="">{t("donation.step1.subCauseAny")}</option>
+              {subCauses.map((sc) => (
+                <option key={sc.key} value={sc.key}>
+                  {getLocalizedText(sc.name)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Amount Selection */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-3">
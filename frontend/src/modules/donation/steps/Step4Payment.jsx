@@ -1,4 +1,5 @@
 import { useState, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
 import PrimaryButton from "../../../components/PrimaryButton";
 import { formatCurrency } from "../../../utils/helpers";
 import { API_BASE_URL, parseJsonResponse } from "../../../utils/api";
@@ -12,6 +13,11 @@ import { useTranslation } from "react-i18next";
  * 2. POST /donations/create-order - Creates Razorpay order, returns razorpayOrderId
  * 3. Opens Razorpay Checkout
  *
+ * Monthly donations (logged-in donors only) skip steps 1-2:
+ * POST /donations/recurring creates a Razorpay subscription, checkout
+ * authorises the mandate and the donor is sent to My Donations.
+ * Each monthly charge is recorded by the webhook (subscription.charged).
+ *
  * SECURITY RULES:
  * - Frontend NEVER marks donation as SUCCESS
  * - Webhook is the only authority for success/failure
@@ -22,7 +28,10 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [paymentStage, setPaymentStage] = useState("idle"); // idle | creating | ordering | checkout
-  const { t } = useTranslation();
+  const [isMonthly, setIsMonthly] = useState(false);
+  const { t, i18n } = useTranslation();
+  const navigate = useNavigate();
+  const isLoggedIn = Boolean(localStorage.getItem("token"));
 
   /**
    * Get JWT token from localStorage
@@ -57,11 +66,10 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
   };
 
   /**
-   * Step 1: Create donation record in backend
-   * Sends full donor snapshot and donationHead object
+   * Build donor snapshot from Step2 details
+   * Shared by one-time and monthly donations
    */
-  const createDonation = async () => {
-    // Build donor object with all details from Step2
+  const buildDonor = () => {
     const addressObj = {
       line: (data.addressLine || "").trim(),
       city: (data.addressCity || "").trim(),
@@ -75,7 +83,7 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
       .filter(Boolean)
       .join(", ");
 
-    const donor = {
+    return {
       name: data.name,
       mobile: data.mobile,
       email: data.email || undefined,
@@ -88,8 +96,12 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
       idType: "PAN",
       idNumber: data.pan,
     };
+  };
 
-    // Validate donationHead exists before proceeding
+  /**
+   * Validate donationHead exists before proceeding
+   */
+  const assertDonationHead = () => {
     if (
       !data.donationHead ||
       (!data.donationHead._id && !data.donationHead.id) ||
@@ -97,23 +109,36 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
     ) {
       throw new Error(t("donation.step4.selectCauseFirst"));
     }
+  };
+
+  /**
+   * Step 1: Create donation record in backend
+   * Sends full donor snapshot and donationHead object
+   */
+  const createDonation = async () => {
+    const donor = buildDonor();
+    assertDonationHead();
 
     // Build donationHead object (not just ID)
     const donationHead = {
       id: String(data.donationHead._id || data.donationHead.id),
       name: data.donationHead.name,
+      ...(data.subCauseKey && { subCauseKey: data.subCauseKey }),
     };
 
     const payload = {
       donor,
       donationHead,
       amount: data.amount,
-      // Include referral code if present (from URL params)
+      // Include referral code / campaign if present (from URL params)
       ...(data.referralCode && { referralCode: data.referralCode }),
+      ...(data.campaignId && { campaignId: data.campaignId }),
+      // Receipt is rendered in the language the donor is using
+      receiptLanguage: i18n.resolvedLanguage,
     };
 
     const result = await localApiRequest("/donations/create", payload);
-    return result.donationId;
+    return result;
   };
 
   /**
@@ -126,8 +151,27 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
     return result;
   };
 
+  /**
+   * Monthly: Create Razorpay subscription for the mandate
+   */
+  const createRecurringDonation = async () => {
+    const donor = buildDonor();
+    assertDonationHead();
+
+    return localApiRequest("/donations/recurring", {
+      donor,
+      donationHeadId: String(data.donationHead._id || data.donationHead.id),
+      ...(data.subCauseKey && { subCauseKey: data.subCauseKey }),
+      amount: data.amount,
+      ...(data.referralCode && { referralCode: data.referralCode }),
+      ...(data.campaignId && { campaignId: data.campaignId }),
+      receiptLanguage: i18n.resolvedLanguage,
+    });
+  };
+
   /**
    * Step 3: Open Razorpay Checkout
+   * Accepts either an order (razorpayOrderId) or a subscription (razorpaySubscriptionId)
    */
   const openRazorpayCheckout = useCallback(
     (orderData) => {
@@ -142,7 +186,9 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
           key: orderData.key,
           amount: orderData.amount, // Backend already provides amount in paise - DO NOT multiply
           currency: orderData.currency,
-          order_id: orderData.razorpayOrderId,
+          ...(orderData.razorpaySubscriptionId
+            ? { subscription_id: orderData.razorpaySubscriptionId }
+            : { order_id: orderData.razorpayOrderId }),
           name: "Shri Gurudev Ashram",
           description: `Donation for ${data.donationHead?.name || "Seva"}`,
           prefill: {
@@ -197,14 +243,25 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
     setError(null);
 
     try {
+      if (isMonthly) {
+        // Monthly: mandate is authorised at checkout, charges arrive via webhook
+        setPaymentStage("creating");
+        const subscriptionData = await createRecurringDonation();
+        setPaymentStage("checkout");
+        await openRazorpayCheckout(subscriptionData);
+        navigate("/my-donations", { state: { monthlyStarted: true } });
+        return;
+      }
+
       // Stage 1: Create donation
       setPaymentStage("creating");
       let donationId = data.donationId;
 
       // Only create donation if we don't have one yet (supports retry)
       if (!donationId) {
-        donationId = await createDonation();
-        updateData({ donationId });
+        const created = await createDonation();
+        donationId = created.donationId;
+        updateData({ donationId, receiptToken: created.receiptToken });
       }
 
       // Stage 2: Create Razorpay order
@@ -314,6 +371,27 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
         </div>
       </div>
 
+      {/* Monthly Option (logged-in donors manage it from My Donations) */}
+      {isLoggedIn && (
+        <label className="flex items-start space-x-3 bg-white border border-amber-200 rounded-lg p-4 mb-6 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={isMonthly}
+            onChange={(e) => setIsMonthly(e.target.checked)}
+            disabled={isProcessing}
+            className="mt-1 h-4 w-4 text-amber-600 border-gray-300 rounded focus:ring-amber-500"
+          />
+          <div>
+            <p className="text-amber-900 font-medium">
+              {t("donation.step4.monthlyLabel")}
+            </p>
+            <p className="text-gray-600 text-sm">
+              {t("donation.step4.monthlyNote")}
+            </p>
+          </div>
+        </label>
+      )}
+
       {/* Error Message */}
       {error && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
@@ -411,9 +489,12 @@ const Step4Payment = ({ data, updateData, nextStep, prevStep }) => {
         >
           {isProcessing
             ? getStageMessage()
-            : t("donation.step4.payAmount", {
-                amount: formatCurrency(data.amount),
-              })}
+            : t(
+                isMonthly
+                  ? "donation.step4.payMonthly"
+                  : "donation.step4.payAmount",
+                { amount: formatCurrency(data.amount) },
+              )}
         </PrimaryButton>
       </div>
 
@@ -25,6 +25,14 @@ const Step5Success = ({ data, resetFlow }) => {
    */
   const getAuthToken = () => localStorage.getItem("token");
 
+  /**
+   * Signed receipt token from /donations/create, sent as ?token=
+   * (guests have no login to prove the donation is theirs)
+   */
+  const tokenQuery = data.receiptToken
+    ? `?token=${encodeURIComponent(data.receiptToken)}`
+    : "";
+
   /**
    * Poll donation status from backend
    */
@@ -34,7 +42,7 @@ const Step5Success = ({ data, resetFlow }) => {
     try {
       const token = getAuthToken();
       const response = await fetch(
-        `${API_BASE_URL}/donations/${data.donationId}/status`,
+        `${API_BASE_URL}/donations/${data.donationId}/status${tokenQuery}`,
         {
           headers: {
             ...(token && { Authorization: `Bearer ${token}` }),
@@ -57,7 +65,7 @@ const Step5Success = ({ data, resetFlow }) => {
     } catch (err) {
       // Silent fail - continue polling
     }
-  }, [data.donationId]);
+  }, [data.donationId, tokenQuery]);
 
   /**
    * Start polling on mount
@@ -124,7 +132,7 @@ const Step5Success = ({ data, resetFlow }) => {
     try {
       const token = getAuthToken();
       const response = await fetch(
-        `${API_BASE_URL}/donations/${data.donationId}/receipt`,
+        `${API_BASE_URL}/donations/${data.donationId}/receipt${tokenQuery}`,
         {
           headers: {
             ...(token && { Authorization: `Bearer ${token}` }),
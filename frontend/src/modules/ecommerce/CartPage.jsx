@@ -36,7 +36,7 @@ const CartPage = () => {
           <div className="md:col-span-2 space-y-4">
             {cartItems.map((item) => (
               <CartItem
-                key={item.id}
+                key={item._id}
                 item={item}
                 onUpdateQuantity={updateQuantity}
                 onRemove={removeFromCart}
@@ -3,7 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { useCart } from '../../context/CartContext';
 import FormInput from '../../components/FormInput';
 import PrimaryButton from '../../components/PrimaryButton';
-import { formatCurrency, validateEmail, validatePhone, generateOrderId } from '../../utils/helpers';
+import { formatCurrency, validateEmail, validatePhone } from '../../utils/helpers';
+import { apiPost } from '../../utils/api';
 
 const CheckoutPage = () => {
   const navigate = useNavigate();
@@ -15,11 +16,12 @@ const CheckoutPage = () => {
     address: '',
     city: '',
     state: '',
-    pincode: '',
-    paymentMethod: ''
+    pincode: ''
   });
   const [errors, setErrors] = useState({});
   const [isProcessing, setIsProcessing] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [lineErrors, setLineErrors] = useState([]);
 
   const subtotal = getCartTotal();
   const shipping = subtotal > 500 ? 0 : 50;
@@ -55,12 +57,51 @@ const CheckoutPage = () => {
     } else if (!/^\d{6}$/.test(formData.pincode)) {
       newErrors.pincode = 'Pincode must be 6 digits';
     }
-    if (!formData.paymentMethod) newErrors.paymentMethod = 'Please select payment method';
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  /**
+   * Open Razorpay Checkout for the order created by the backend
+   * Resolves on the Razorpay success callback - the webhook confirms payment
+   */
+  const openRazorpayCheckout = (order) => {
+    return new Promise((resolve, reject) => {
+      if (typeof window.Razorpay !== 'function') {
+        reject(new Error('Payment gateway failed to load. Please refresh and try again.'));
+        return;
+      }
+
+      const rzp = new window.Razorpay({
+        key: order.key,
+        amount: order.amount, // Backend already provides amount in paise
+        currency: order.currency,
+        order_id: order.razorpayOrderId,
+        name: 'Shri Gurudev Ashram',
+        description: `Order ${order.orderNumber}`,
+        prefill: {
+          name: formData.name,
+          email: formData.email,
+          contact: formData.phone,
+        },
+        theme: { color: '#d97706' },
+        handler: (response) => resolve(response),
+        modal: {
+          ondismiss: () => reject(new Error('Payment was cancelled. Your cart has been kept.')),
+          escape: true,
+          backdropclose: false,
+        },
+      });
+
+      rzp.on('payment.failed', (response) => {
+        reject(new Error(response.error?.description || 'Payment failed. Please try again.'));
+      });
+
+      rzp.open();
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -69,25 +110,56 @@ const CheckoutPage = () => {
     }
 
     setIsProcessing(true);
+    setSubmitError(null);
+    setLineErrors([]);
+
+    try {
+      // Backend re-prices every line against Product and checks stock
+      const order = await apiPost('/orders/checkout', {
+        customer: {
+          name: formData.name.trim(),
+          email: formData.email.trim(),
+          mobile: formData.phone.trim(),
+        },
+        shippingAddress: {
+          line: formData.address.trim(),
+          city: formData.city.trim(),
+          state: formData.state.trim(),
+          country: 'India',
+          pincode: formData.pincode.trim(),
+        },
+        items: cartItems.map((item) => ({
+          productId: item._id,
+          quantity: item.quantity,
+          price: item.price,
+        })),
+      });
 
-    // TODO: Replace with actual API call
-    setTimeout(() => {
-      const orderId = generateOrderId();
+      await openRazorpayCheckout(order);
+
+      // Payment confirmation comes from the webhook; stock is lowered there
       clearCart();
-      setIsProcessing(false);
-      navigate(`/order-confirmation/${orderId}`, {
+      navigate(`/order-confirmation/${order.orderNumber}`, {
         state: {
           orderData: {
             ...formData,
+            paymentMethod: 'Razorpay',
             items: cartItems,
-            subtotal,
-            shipping,
-            total,
-            orderId
+            subtotal: order.subtotal,
+            shipping: order.shippingCharge,
+            total: order.totalAmount,
+            orderId: order.orderNumber
           }
         }
       });
-    }, 1500);
+    } catch (err) {
+      setSubmitError(err.message);
+      if (Array.isArray(err.data?.errors)) {
+        setLineErrors(err.data.errors);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
   };
 
   if (cartItems.length === 0) {
@@ -180,40 +252,12 @@ const CheckoutPage = () => {
                 </div>
               </div>
 
-              {/* Payment Method */}
+              {/* Payment */}
               <div className="bg-white rounded-lg shadow-md p-6">
-                <h2 className="text-2xl font-bold text-amber-900 mb-4">Payment Method</h2>
-                <div className="space-y-3">
-                  {[
-                    { id: 'cod', name: 'Cash on Delivery', icon: '💵' },
-                    { id: 'upi', name: 'UPI', icon: '📱' },
-                    { id: 'card', name: 'Credit/Debit Card', icon: '💳' }
-                  ].map((method) => (
-                    <button
-                      key={method.id}
-                      type="button"
-                      onClick={() => {
-                        setFormData(prev => ({ ...prev, paymentMethod: method.id }));
-                        if (errors.paymentMethod) {
-                          setErrors(prev => ({ ...prev, paymentMethod: '' }));
-                        }
-                      }}
-                      className={`w-full p-4 rounded-lg border-2 text-left transition-all ${
-                        formData.paymentMethod === method.id
-                          ? 'border-amber-600 bg-amber-50'
-                          : 'border-gray-200 hover:border-amber-300 bg-white'
-                      }`}
-                    >
-                      <div className="flex items-center space-x-3">
-                        <span className="text-2xl">{method.icon}</span>
-                        <span className="font-semibold text-amber-900">{method.name}</span>
-                      </div>
-                    </button>
-                  ))}
-                </div>
-                {errors.paymentMethod && (
-                  <p className="mt-2 text-sm text-red-600">{errors.paymentMethod}</p>
-                )}
+                <h2 className="text-2xl font-bold text-amber-900 mb-4">Payment</h2>
+                <p className="text-gray-700">
+                  You will pay securely through Razorpay using UPI, cards or net banking.
+                </p>
               </div>
             </div>
 
@@ -223,7 +267,7 @@ const CheckoutPage = () => {
                 <h2 className="text-2xl font-bold text-amber-900 mb-4">Order Summary</h2>
                 <div className="space-y-2 mb-4">
                   {cartItems.map((item) => (
-                    <div key={item.id} className="flex justify-between text-sm">
+                    <div key={item._id} className="flex justify-between text-sm">
                       <span className="text-gray-700">
                         {item.name} x {item.quantity}
                       </span>
@@ -253,12 +297,27 @@ const CheckoutPage = () => {
                     </div>
                   </div>
                 </div>
+                {submitError && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm">
+                    <p className="text-red-700 font-medium">{submitError}</p>
+                    {lineErrors.length > 0 && (
+                      <ul className="mt-2 list-disc list-inside text-red-600">
+                        {lineErrors.map((lineError, index) => (
+                          <li key={lineError.productId || index}>
+                            {lineError.name ? `${lineError.name}: ` : ''}
+                            {lineError.message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
                 <PrimaryButton
                   type="submit"
                   disabled={isProcessing}
                   className="w-full"
                 >
-                  {isProcessing ? 'Processing...' : `Place Order - ${formatCurrency(total)}`}
+                  {isProcessing ? 'Processing...' : `Pay ${formatCurrency(total)}`}
                 </PrimaryButton>
               </div>
             </div>
@@ -60,7 +60,7 @@ const OrderConfirmationPage = () => {
           <h2 className="text-2xl font-bold text-amber-900 mb-4">Items Ordered</h2>
           <div className="space-y-3">
             {orderData.items.map((item) => (
-              <div key={item.id} className="flex justify-between items-center border-b pb-3">
+              <div key={item._id} className="flex justify-between items-center border-b pb-3">
                 <div>
                   <p className="font-semibold text-amber-900">{item.name}</p>
                   <p className="text-sm text-gray-600">Quantity: {item.quantity}</p>
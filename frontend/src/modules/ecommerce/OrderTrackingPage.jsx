@@ -3,64 +3,50 @@ import { useParams, Link } from 'react-router-dom';
 import FormInput from '../../components/FormInput';
 import PrimaryButton from '../../components/PrimaryButton';
 import { formatDate } from '../../utils/helpers';
+import { apiGet } from '../../utils/api';
 
 const OrderTrackingPage = () => {
   const { orderId: paramOrderId } = useParams();
   const [orderId, setOrderId] = useState(paramOrderId || '');
+  const [contact, setContact] = useState('');
   const [orderStatus, setOrderStatus] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-
-  // Dummy order statuses - in real app, fetch from API
-  const orderStatuses = [
-    { status: 'placed', label: 'Order Placed', date: '2024-03-12', completed: true },
-    { status: 'payment', label: 'Payment Confirmed', date: '2024-03-12', completed: true },
-    { status: 'processing', label: 'Processing', date: '2024-03-13', completed: true },
-    { status: 'dispatched', label: 'Dispatched', date: '2024-03-14', completed: false },
-    { status: 'completed', label: 'Completed', date: null, completed: false }
-  ];
+  const [error, setError] = useState(null);
 
   const handleTrackOrder = async (e) => {
     e?.preventDefault();
-    
-    if (!orderId.trim()) {
-      alert('Please enter an order ID');
+
+    if (!orderId.trim() || !contact.trim()) {
+      setError('Please enter your order ID and the mobile number or email used at checkout');
       return;
     }
 
     setIsLoading(true);
-
-    // TODO: Replace with actual API call
-    setTimeout(() => {
-      // Simulate API response
-      setOrderStatus({
-        orderId,
-        currentStatus: 'processing',
-        statuses: orderStatuses,
-        estimatedDelivery: '2024-03-16'
-      });
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ contact: contact.trim() });
+      const response = await apiGet(
+        `/public/orders/${encodeURIComponent(orderId.trim())}/track?${params}`,
+        { includeAuth: false }
+      );
+      setOrderStatus(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
       setIsLoading(false);
-    }, 1000);
+    }
   };
 
-  // Auto-track if orderId is in URL
+  // Pre-fill orderId from URL - buyer still has to confirm with mobile/email
   useEffect(() => {
     if (paramOrderId) {
       setOrderId(paramOrderId);
-      setIsLoading(true);
-      // Simulate API call
-      setTimeout(() => {
-        setOrderStatus({
-          orderId: paramOrderId,
-          currentStatus: 'processing',
-          statuses: orderStatuses,
-          estimatedDelivery: '2024-03-16'
-        });
-        setIsLoading(false);
-      }, 1000);
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [paramOrderId]);
 
+  const isClosed = ['failed', 'cancelled'].includes(orderStatus?.currentStatus);
+
   return (
     <div className="min-h-screen bg-amber-50 py-16 px-4">
       <div className="max-w-4xl mx-auto">
@@ -78,6 +64,17 @@ const OrderTrackingPage = () => {
                 placeholder="Enter your order ID"
                 required
               />
+              <FormInput
+                label="Mobile Number or Email"
+                name="contact"
+                value={contact}
+                onChange={(e) => setContact(e.target.value)}
+                placeholder="Used when placing the order"
+                required
+              />
+              {error && (
+                <p className="mb-4 text-sm text-red-600">{error}</p>
+              )}
               <PrimaryButton type="submit" disabled={isLoading} className="w-full">
                 {isLoading ? 'Tracking...' : 'Track Order'}
               </PrimaryButton>
@@ -90,13 +87,25 @@ const OrderTrackingPage = () => {
           <div className="bg-white rounded-lg shadow-md p-8">
             <div className="mb-6">
               <h2 className="text-2xl font-bold text-amber-900 mb-2">Order #{orderStatus.orderId}</h2>
-              {orderStatus.estimatedDelivery && (
-                <p className="text-gray-600">
-                  Estimated Delivery: {formatDate(orderStatus.estimatedDelivery)}
+              <p className="text-gray-600">
+                Placed on {formatDate(orderStatus.placedAt)}
+              </p>
+              {orderStatus.shipment && (
+                <p className="text-gray-600 mt-1">
+                  Shipped via <span className="font-semibold">{orderStatus.shipment.courierName}</span>
+                  {' '}· Tracking No. <span className="font-semibold">{orderStatus.shipment.trackingNumber}</span>
                 </p>
               )}
             </div>
 
+            {isClosed && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 text-red-700">
+                {orderStatus.currentStatus === 'failed'
+                  ? 'Payment for this order failed. No amount has been charged.'
+                  : 'This order has been cancelled.'}
+              </div>
+            )}
+
             <div className="relative">
               {/* Timeline Line */}
               <div className="absolute left-5 top-0 bottom-0 w-0.5 bg-gray-200"></div>
@@ -135,9 +144,9 @@ const OrderTrackingPage = () => {
                         }`}>
                           {statusItem.label}
                         </div>
-                        {statusItem.date && (
+                        {statusItem.at && (
                           <div className="text-sm text-gray-600 mt-1">
-                            {formatDate(statusItem.date)}
+                            {formatDate(statusItem.at)}
                           </div>
                         )}
                       </div>
@@ -164,6 +173,7 @@ const OrderTrackingPage = () => {
               onClick={() => {
                 setOrderStatus(null);
                 setOrderId('');
+                setContact('');
               }}
               className="text-amber-700 hover:text-amber-800 font-semibold"
             >
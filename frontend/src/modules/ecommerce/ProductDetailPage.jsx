@@ -1,18 +1,42 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useCart } from '../../context/CartContext';
 import PrimaryButton from '../../components/PrimaryButton';
 import { formatCurrency } from '../../utils/helpers';
-import { products } from '../../data/dummyData';
+import { apiGet } from '../../utils/api';
 
 const ProductDetailPage = () => {
-  const { id } = useParams();
+  const { slug } = useParams();
   const navigate = useNavigate();
   const { addToCart } = useCart();
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(true);
   const [quantity, setQuantity] = useState(1);
   const [selectedImage, setSelectedImage] = useState(0);
 
-  const product = products.find(p => p.id === parseInt(id));
+  useEffect(() => {
+    const fetchProduct = async () => {
+      setLoading(true);
+      try {
+        const result = await apiGet(`/public/products/${slug}`);
+        setProduct(result.data);
+      } catch (err) {
+        console.error('Error fetching product:', err);
+        setProduct(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProduct();
+  }, [slug]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-600"></div>
+      </div>
+    );
+  }
 
   if (!product) {
     return (
@@ -28,14 +52,19 @@ const ProductDetailPage = () => {
   }
 
   const handleAddToCart = () => {
-    for (let i = 0; i < quantity; i++) {
-      addToCart(product);
-    }
+    addToCart(product, quantity);
     // Show success message (could use a toast library)
     alert(`${quantity} item(s) added to cart!`);
   };
 
-  const images = [product.image, product.image, product.image]; // In real app, use product.images
+  // Untracked products have unlimited stock
+  const available = product.trackInventory ? product.stock : Infinity;
+  const images = [
+    product.imageUrl,
+    ...[...(product.images || [])]
+      .sort((a, b) => a.order - b.order)
+      .map((image) => image.url),
+  ].filter(Boolean);
 
   return (
     <div className="min-h-screen bg-white py-16 px-4">
@@ -91,7 +120,7 @@ const ProductDetailPage = () => {
                 </button>
                 <span className="w-16 text-center font-semibold text-lg">{quantity}</span>
                 <button
-                  onClick={() => setQuantity(quantity + 1)}
+                  onClick={() => setQuantity(Math.min(available, quantity + 1))}
                   className="w-10 h-10 rounded-full bg-amber-100 text-amber-700 hover:bg-amber-200 transition-colors font-bold"
                 >
                   +
@@ -99,7 +128,7 @@ const ProductDetailPage = () => {
               </div>
             </div>
 
-            {product.stock > 0 ? (
+            {available > 0 ? (
               <div className="space-y-4 mb-6">
                 <PrimaryButton onClick={handleAddToCart} className="w-full">
                   Add to Cart
@@ -124,13 +153,17 @@ const ProductDetailPage = () => {
               <div className="space-y-2 text-sm">
                 <div className="flex justify-between">
                   <span className="text-gray-700">Stock:</span>
-                  <span className={`font-semibold ${product.stock > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                    {product.stock > 0 ? `${product.stock} available` : 'Out of Stock'}
+                  <span className={`font-semibold ${available > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {!product.trackInventory
+                      ? 'In Stock'
+                      : available > 0
+                        ? `${available} available`
+                        : 'Out of Stock'}
                   </span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-700">Category:</span>
-                  <span className="font-semibold text-amber-900 capitalize">{product.category}</span>
+                  <span className="font-semibold text-amber-900 capitalize">{product.category?.name}</span>
                 </div>
               </div>
             </div>
@@ -1,15 +1,48 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import SectionHeading from "../../components/SectionHeading";
 import ProductCard from "../../components/ProductCard";
-import { products, productCategories } from "../../data/dummyData";
+import { apiGet } from "../../utils/api";
 
 const ShopPage = () => {
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState("all");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchShop = async () => {
+      try {
+        const [productResult, categoryResult] = await Promise.all([
+          apiGet("/public/products?limit=100"),
+          apiGet("/public/products/categories"),
+        ]);
+        setProducts(productResult.data || []);
+        setCategories(
+          (categoryResult.data || []).filter((c) => c.productCount > 0),
+        );
+      } catch (err) {
+        console.error("Error loading shop:", err);
+        setError("Could not load products. Please try again later.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchShop();
+  }, []);
 
   const filteredProducts =
     selectedCategory === "all"
       ? products
-      : products.filter((p) => p.category === selectedCategory);
+      : products.filter((p) => p.category?.slug === selectedCategory);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-600"></div>
+      </div>
+    );
+  }
 
   return (
     <>
@@ -23,32 +56,34 @@ const ShopPage = () => {
 
           {/* Category Filter */}
           <div className="flex flex-wrap gap-2 mb-8 justify-center">
-            {productCategories.map((category) => (
-              <button
-                key={category.id}
-                onClick={() => setSelectedCategory(category.id)}
-                className={`px-6 py-2 rounded-lg transition-colors ${
-                  selectedCategory === category.id
-                    ? "bg-amber-600 text-white"
-                    : "bg-amber-100 text-amber-800 hover:bg-amber-200"
-                }`}
-              >
-                {category.name}
-              </button>
-            ))}
+            {[{ slug: "all", name: "All Products" }, ...categories].map(
+              (category) => (
+                <button
+                  key={category.slug}
+                  onClick={() => setSelectedCategory(category.slug)}
+                  className={`px-6 py-2 rounded-lg transition-colors ${
+                    selectedCategory === category.slug
+                      ? "bg-amber-600 text-white"
+                      : "bg-amber-100 text-amber-800 hover:bg-amber-200"
+                  }`}
+                >
+                  {category.name}
+                </button>
+              ),
+            )}
           </div>
 
           {/* Products Grid */}
           {filteredProducts.length > 0 ? (
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
               {filteredProducts.map((product) => (
-                <ProductCard key={product.id} product={product} />
+                <ProductCard key={product._id} product={product} />
               ))}
             </div>
           ) : (
             <div className="text-center py-12">
               <p className="text-gray-600 text-lg">
-                No products found in this category.
+                {error || "No products found in this category."}
               </p>
             </div>
           )}
@@ -0,0 +1,207 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { getCampaign } from "../services/collectorApi";
+import { formatCurrency, formatDate } from "../utils/helpers";
+
+/**
+ * CampaignPage - Public page of a collector's fundraising campaign
+ * Route: /campaigns/:slug
+ *
+ * Features:
+ * - Title, story, collector and cause
+ * - Live progress bar against the goal, days left
+ * - Latest supporters (anonymous donors stay anonymous)
+ * - Donate button: /donate?campaign=<slug> attributes the donation to the
+ *   campaign and its collector
+ */
+const CampaignPage = () => {
+  const { slug } = useParams();
+  const { t, i18n } = useTranslation();
+  const [campaign, setCampaign] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
+  const fetchCampaign = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await getCampaign(slug);
+      setCampaign(data.data);
+    } catch (err) {
+      console.error("Error fetching campaign:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [slug]);
+
+  useEffect(() => {
+    fetchCampaign();
+  }, [fetchCampaign]);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center bg-amber-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !campaign) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center bg-amber-50 px-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-amber-900 mb-2">
+            {t("campaign.notFound")}
+          </h1>
+          <p className="text-gray-600 mb-6">{error}</p>
+          <Link
+            to="/donate"
+            className="inline-block px-6 py-3 bg-amber-600 text-white rounded-lg font-medium hover:bg-amber-700 transition-colors"
+          >
+            {t("campaign.donateAnyway")}
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { progress } = campaign;
+  const daysLeft = Math.max(
+    0,
+    Math.ceil((new Date(campaign.deadline) - new Date()) / (24 * 60 * 60 * 1000)),
+  );
+
+  return (
+    <section className="py-16 px-4 bg-gradient-to-b from-amber-50 to-white min-h-screen">
+      <div className="max-w-3xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="bg-white rounded-xl shadow-sm border border-amber-100 p-6 md:p-8">
+          <p className="text-sm font-medium text-amber-700 mb-2">
+            {getLocalizedText(campaign.donationHead?.name)}
+          </p>
+          <h1 className="text-3xl font-bold text-amber-900 mb-2">
+            {campaign.title}
+          </h1>
+          <p className="text-gray-600">
+            {t("campaign.by", { name: campaign.collectorName })}
+          </p>
+
+          {/* Progress */}
+          <div className="mt-6">
+            <div className="flex items-end justify-between mb-2">
+              <div>
+                <span className="text-2xl font-bold text-amber-700">
+                  {formatCurrency(progress.raisedAmount)}
+                </span>
+                <span className="text-gray-600 ml-2">
+                  {t("campaign.ofGoal", {
+                    goal: formatCurrency(progress.goalAmount),
+                  })}
+                </span>
+              </div>
+              <span className="text-sm font-semibold text-amber-800">
+                {progress.percentage}%
+              </span>
+            </div>
+            <div className="w-full h-3 bg-amber-100 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-amber-600 rounded-full transition-all"
+                style={{ width: `${progress.percentage}%` }}
+              />
+            </div>
+            <div className="flex justify-between text-sm text-gray-600 mt-2">
+              <span>
+                {t("campaign.supporters", { count: progress.donorCount })}
+              </span>
+              <span>
+                {campaign.isOpen
+                  ? t("campaign.daysLeft", { count: daysLeft })
+                  : t("campaign.ended")}
+              </span>
+            </div>
+          </div>
+
+          {/* Donate */}
+          <div className="mt-6">
+            {campaign.isOpen ? (
+              <Link
+                to={`/donate?campaign=${encodeURIComponent(campaign.slug)}`}
+                className="block w-full text-center px-6 py-3 bg-amber-600 text-white rounded-lg font-semibold hover:bg-amber-700 transition-colors"
+              >
+                {t("campaign.donate")}
+              </Link>
+            ) : (
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-center text-gray-600 text-sm">
+                {t("campaign.closedNote")}{" "}
+                <Link to="/donate" className="text-amber-700 font-medium hover:underline">
+                  {t("campaign.donateAnyway")}
+                </Link>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Story */}
+        {campaign.story && (
+          <div className="bg-white rounded-xl shadow-sm border border-amber-100 p-6 md:p-8">
+            <h2 className="text-lg font-bold text-amber-900 mb-3">
+              {t("campaign.story")}
+            </h2>
+            <p className="text-gray-700 whitespace-pre-line">{campaign.story}</p>
+            <p className="text-xs text-gray-500 mt-4">
+              {t("campaign.deadline", { date: formatDate(campaign.deadline) })}
+            </p>
+          </div>
+        )}
+
+        {/* Supporters */}
+        <div className="bg-white rounded-xl shadow-sm border border-amber-100 p-6 md:p-8">
+          <h2 className="text-lg font-bold text-amber-900 mb-4">
+            {t("campaign.recentSupporters")}
+          </h2>
+          {campaign.supporters.length === 0 ? (
+            <p className="text-gray-600 text-center py-6">
+              {t("campaign.beFirst")}
+            </p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {campaign.supporters.map((supporter, index) => (
+                <div
+                  key={index}
+                  className="flex items-center justify-between py-3"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {supporter.name === "Anonymous"
+                        ? t("campaign.anonymous")
+                        : supporter.name}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {formatDate(supporter.date)}
+                    </p>
+                  </div>
+                  <p className="font-semibold text-amber-700">
+                    {formatCurrency(supporter.amount)}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default CampaignPage;
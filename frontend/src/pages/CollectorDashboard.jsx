@@ -8,6 +8,7 @@ import {
 import { formatCurrency } from "../utils/helpers";
 import SectionHeading from "../components/SectionHeading";
 import ReferralLinkGenerator from "../components/ReferralLinkGenerator";
+import CampaignManager from "../components/CampaignManager";
 import { useTranslation } from "react-i18next";
 
 /**
@@ -19,8 +20,9 @@ import { useTranslation } from "react-i18next";
  * Sections:
  * 1. Welcome Section (name, referral code)
  * 2. Stats Cards (total collected, donation count)
- * 3. Leaderboard (top 5 collectors)
- * 4. Referral Link Generator
+ * 3. Leaderboard (top 5 collectors for a period, plus own rank)
+ * 4. Fundraising Campaigns
+ * 5. Referral Link Generator
  */
 const CollectorDashboard = () => {
   const { t } = useTranslation();
@@ -40,6 +42,8 @@ const CollectorDashboard = () => {
   const [leaderboard, setLeaderboard] = useState([]);
   const [leaderboardLoading, setLeaderboardLoading] = useState(true);
   const [leaderboardError, setLeaderboardError] = useState(null);
+  const [leaderboardPeriod, setLeaderboardPeriod] = useState("month");
+  const [myRank, setMyRank] = useState(null);
 
   // Recent donations state
   const [recentDonations, setRecentDonations] = useState([]);
@@ -60,7 +64,7 @@ const CollectorDashboard = () => {
     setLeaderboardError(null);
 
     try {
-      const data = await getCollectorDashboard();
+      const data = await getCollectorDashboard({ period: leaderboardPeriod });
 
       if (data.success && data.data) {
         setStats({
@@ -71,6 +75,7 @@ const CollectorDashboard = () => {
             data.data.collectorName || user?.fullName || "Collector",
         });
         setLeaderboard(data.data.top5Collectors || []);
+        setMyRank(data.data.myRank || null);
         setRecentDonations(data.data.recentDonations || []);
       }
     } catch (err) {
@@ -81,7 +86,7 @@ const CollectorDashboard = () => {
       setStatsLoading(false);
       setLeaderboardLoading(false);
     }
-  }, [token, user?.fullName]);
+  }, [token, user?.fullName, leaderboardPeriod]);
 
   /**
    * Fetch public leaderboard (fallback if dashboard fails)
@@ -91,7 +96,7 @@ const CollectorDashboard = () => {
     setLeaderboardError(null);
 
     try {
-      const data = await getLeaderboard();
+      const data = await getLeaderboard({ period: leaderboardPeriod });
       setLeaderboard(data.data || []);
     } catch (err) {
       console.error("Error fetching leaderboard:", err);
@@ -99,7 +104,7 @@ const CollectorDashboard = () => {
     } finally {
       setLeaderboardLoading(false);
     }
-  }, []);
+  }, [leaderboardPeriod]);
 
   // Fetch data on mount
   useEffect(() => {
@@ -164,9 +169,17 @@ const CollectorDashboard = () => {
             isLoading={leaderboardLoading}
             error={leaderboardError}
             onRetry={fetchLeaderboard}
+            period={leaderboardPeriod}
+            onPeriodChange={setLeaderboardPeriod}
+            myRank={myRank}
           />
         </div>
 
+        {/* Fundraising Campaigns */}
+        <div className="mt-8">
+          <CampaignManager />
+        </div>
+
         {/* Referral Link Generator */}
         <div className="mt-8">
           <ReferralLinkGenerator
@@ -388,10 +401,19 @@ const StatsCards = ({
 };
 
 /**
- * LeaderboardSection - Displays top 5 collectors
+ * LeaderboardSection - Displays top 5 collectors for a period
  * Privacy-conscious: Shows only names and amounts, no codes or counts
+ * The collector's own rank is shown below, even outside the top 5.
  */
-const LeaderboardSection = ({ leaderboard, isLoading, error, onRetry }) => {
+const LeaderboardSection = ({
+  leaderboard,
+  isLoading,
+  error,
+  onRetry,
+  period,
+  onPeriodChange,
+  myRank,
+}) => {
   const { t } = useTranslation();
   if (error) {
     return (
@@ -418,9 +440,17 @@ const LeaderboardSection = ({ leaderboard, isLoading, error, onRetry }) => {
         <h3 className="text-lg font-bold text-amber-900">
           {t("collector.dashboard.topCollectors")}
         </h3>
-        <span className="text-xs text-gray-500">
-          {t("collector.dashboard.top5")}
-        </span>
+        <select
+          value={period}
+          onChange={(e) => onPeriodChange(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-amber-500"
+        >
+          {["month", "quarter", "fy", "all"].map((key) => (
+            <option key={key} value={key}>
+              {t(`leaderboard.periods.${key}`)}
+            </option>
+          ))}
+        </select>
       </div>
 
       {isLoading ? (
@@ -481,10 +511,24 @@ const LeaderboardSection = ({ leaderboard, isLoading, error, onRetry }) => {
             ))}
           </div>
 
-          {/* Soft message for users not in top 5 */}
-          <p className="text-center text-gray-500 text-xs mt-4">
-            {t("collector.dashboard.climbRanks")}
-          </p>
+          {/* Own rank, also when outside the top 5 */}
+          {myRank?.rank ? (
+            <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-center justify-between text-sm">
+              <span className="font-medium text-amber-900">
+                {t("collector.dashboard.yourRank", {
+                  rank: myRank.rank,
+                  total: myRank.totalCollectors,
+                })}
+              </span>
+              <span className="font-bold text-amber-700">
+                {formatCurrency(myRank.totalAmount)}
+              </span>
+            </div>
+          ) : (
+            <p className="text-center text-gray-500 text-xs mt-4">
+              {t("collector.dashboard.climbRanks")}
+            </p>
+          )}
         </>
       )}
     </div>
@@ -0,0 +1,402 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useTranslation } from "react-i18next";
+import { Camera, CameraOff, Loader2 } from "lucide-react";
+import { apiGet, apiPost } from "../utils/api";
+import { formatDate } from "../utils/helpers";
+
+const ATTENDANCE_POLL_MS = 5000;
+const SCAN_INTERVAL_MS = 400;
+// The same QR held in front of the camera is only submitted once in this window
+const RESCAN_COOLDOWN_MS = 4000;
+const SELECTED_EVENT_KEY = "checkInEventId";
+
+// Native QR scanning (Chrome/Edge on Android, Safari 17+) - typed codes otherwise
+const canScan = () =>
+  typeof window !== "undefined" &&
+  "BarcodeDetector" in window &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+const RESULT_STYLES = {
+  admitted: "bg-green-50 border-green-400 text-green-800",
+  duplicate: "bg-amber-50 border-amber-400 text-amber-800",
+  rejected: "bg-red-50 border-red-400 text-red-800",
+};
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * EventCheckIn - Gate check-in for event volunteers
+ *
+ * Features:
+ * - Pick the event being checked in
+ * - Scan the QR entry pass with the device camera, or type the
+ *   registration number from the confirmation email
+ * - Clear admitted / already checked in / not admitted result per scan
+ * - Live attendance counts and latest check-ins (polled)
+ */
+const EventCheckIn = () => {
+  const { t, i18n } = useTranslation();
+
+  const [events, setEvents] = useState([]);
+  const [eventId, setEventId] = useState(
+    () => sessionStorage.getItem(SELECTED_EVENT_KEY) || "",
+  );
+  const [loadingEvents, setLoadingEvents] = useState(true);
+  const [attendance, setAttendance] = useState(null);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const busyRef = useRef(false);
+  const lastScanRef = useRef({ value: null, at: 0 });
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        const response = await apiGet("/check-in/events");
+        setEvents(response.data);
+        setEventId((current) => {
+          if (response.data.some((event) => event._id === current)) {
+            return current;
+          }
+          return response.data.length === 1 ? response.data[0]._id : "";
+        });
+      } catch (err) {
+        console.error("Error fetching check-in events:", err);
+      } finally {
+        setLoadingEvents(false);
+      }
+    };
+    fetchEvents();
+  }, []);
+
+  useEffect(() => {
+    if (eventId) sessionStorage.setItem(SELECTED_EVENT_KEY, eventId);
+    setResult(null);
+    setAttendance(null);
+  }, [eventId]);
+
+  const fetchAttendance = useCallback(async () => {
+    if (!eventId) return;
+    try {
+      const response = await apiGet(`/check-in/events/${eventId}/attendance`);
+      setAttendance(response.data);
+    } catch (err) {
+      console.error("Error fetching attendance:", err);
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    fetchAttendance();
+    const timer = setInterval(fetchAttendance, ATTENDANCE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [fetchAttendance]);
+
+  const submitCode = useCallback(
+    async (value) => {
+      const trimmed = String(value || "").trim();
+      if (!eventId || !trimmed || busyRef.current) return;
+
+      busyRef.current = true;
+      setBusy(true);
+      try {
+        const response = await apiPost(`/check-in/events/${eventId}`, {
+          code: trimmed,
+        });
+        setResult({ type: "admitted", attendee: response.data.attendee });
+        setAttendance((current) =>
+          current ? { ...current, counts: response.data.counts } : current,
+        );
+        setCode("");
+        fetchAttendance();
+      } catch (err) {
+        setResult({
+          type: err.status === 409 ? "duplicate" : "rejected",
+          message: err.message,
+          attendee: err.data?.data || null,
+        });
+      } finally {
+        busyRef.current = false;
+        setBusy(false);
+      }
+    },
+    [eventId, fetchAttendance],
+  );
+
+  const stopCamera = useCallback(() => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  }, []);
+
+  const startCamera = async () => {
+    setCameraError(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+        audio: false,
+      });
+      streamRef.current = stream;
+      setScanning(true);
+    } catch (err) {
+      console.error("Camera error:", err);
+      setCameraError(t("checkIn.cameraDenied"));
+    }
+  };
+
+  // Attach the stream once the video element is rendered, then poll it for QR codes
+  useEffect(() => {
+    if (!scanning || !videoRef.current || !streamRef.current) return;
+
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play().catch(() => {});
+
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    const timer = setInterval(async () => {
+      if (busyRef.current || video.readyState < 2) return;
+      try {
+        const codes = await detector.detect(video);
+        const value = codes[0]?.rawValue;
+        if (!value) return;
+
+        const last = lastScanRef.current;
+        if (value === last.value && Date.now() - last.at < RESCAN_COOLDOWN_MS) {
+          return;
+        }
+        lastScanRef.current = { value, at: Date.now() };
+        submitCode(value);
+      } catch (err) {
+        console.error("QR detection error:", err);
+      }
+    }, SCAN_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [scanning, submitCode]);
+
+  // Release the camera when leaving the page
+  useEffect(() => stopCamera, [stopCamera]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCode(code);
+  };
+
+  const selectedEvent = events.find((event) => event._id === eventId);
+
+  if (loadingEvents) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-amber-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-amber-50 py-8 px-4">
+      <div className="max-w-xl mx-auto space-y-5">
+        <h1 className="text-2xl font-bold text-gray-900">
+          {t("checkIn.title")}
+        </h1>
+
+        {events.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-6 text-center text-gray-600">
+            {t("checkIn.noEvents")}
+          </div>
+        ) : (
+          <>
+            <div className="bg-white rounded-lg shadow p-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t("checkIn.event")}
+              </label>
+              <select
+                value={eventId}
+                onChange={(e) => setEventId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              >
+                <option value="">{t("checkIn.selectEvent")}</option>
+                {events.map((event) => (
+                  <option key={event._id} value={event._id}>
+                    {getLocalizedText(event.title)} - {formatDate(event.date)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {selectedEvent && (
+              <>
+                {attendance && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="p-4 rounded-lg bg-green-50 border border-green-200 text-center">
+                      <div className="text-sm text-green-700">
+                        {t("checkIn.checkedIn")}
+                      </div>
+                      <div className="text-3xl font-bold text-green-800">
+                        {attendance.counts.checkedIn}
+                      </div>
+                    </div>
+                    <div className="p-4 rounded-lg bg-white border border-gray-200 text-center">
+                      <div className="text-sm text-gray-600">
+                        {t("checkIn.expected")}
+                      </div>
+                      <div className="text-3xl font-bold text-gray-800">
+                        {attendance.counts.confirmed -
+                          attendance.counts.checkedIn}
+                      </div>
+                    </div>
+                  </div>
+                )}
+
+                <div className="bg-white rounded-lg shadow p-4 space-y-4">
+                  {canScan() ? (
+                    <div>
+                      {scanning ? (
+                        <div className="space-y-2">
+                          <video
+                            ref={videoRef}
+                            muted
+                            playsInline
+                            className="w-full rounded-md bg-black aspect-square object-cover"
+                          />
+                          <button
+                            onClick={stopCamera}
+                            className="w-full inline-flex items-center justify-center px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                          >
+                            <CameraOff className="w-4 h-4 mr-2" />
+                            {t("checkIn.stopCamera")}
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={startCamera}
+                          className="w-full inline-flex items-center justify-center px-4 py-3 font-semibold text-white bg-amber-600 rounded-md hover:bg-amber-700"
+                        >
+                          <Camera className="w-5 h-5 mr-2" />
+                          {t("checkIn.scanPass")}
+                        </button>
+                      )}
+                      {cameraError && (
+                        <p className="mt-2 text-sm text-red-600">
+                          {cameraError}
+                        </p>
+                      )}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-600">
+                      {t("checkIn.scannerUnsupported")}
+                    </p>
+                  )}
+
+                  <form onSubmit={handleSubmit} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder={t("checkIn.codePlaceholder")}
+                      autoCapitalize="characters"
+                      autoComplete="off"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-amber-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={busy || !code.trim()}
+                      className="px-4 py-2 font-medium text-white bg-amber-600 rounded-md hover:bg-amber-700 disabled:opacity-50"
+                    >
+                      {busy ? (
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                      ) : (
+                        t("checkIn.checkInButton")
+                      )}
+                    </button>
+                  </form>
+                </div>
+
+                {result && (
+                  <div
+                    className={`p-4 rounded-lg border-2 ${RESULT_STYLES[result.type]}`}
+                  >
+                    <div className="text-lg font-bold">
+                      {result.type === "admitted"
+                        ? t("checkIn.admitted")
+                        : result.type === "duplicate"
+                          ? t("checkIn.alreadyCheckedIn")
+                          : t("checkIn.notAdmitted")}
+                    </div>
+                    {result.attendee && (
+                      <div className="mt-1">
+                        <div className="font-semibold">
+                          {result.attendee.name}
+                        </div>
+                        <div className="font-mono text-xs">
+                          {result.attendee.registrationNumber}
+                        </div>
+                        {result.type === "duplicate" &&
+                          result.attendee.checkedInAt && (
+                            <div className="text-sm">
+                              {t("checkIn.checkedInAt", {
+                                time: formatTime(result.attendee.checkedInAt),
+                              })}
+                            </div>
+                          )}
+                        {result.type === "admitted" &&
+                          result.attendee.answers?.map((answer) => (
+                            <div key={answer.key} className="text-sm">
+                              {answer.label || answer.key}:{" "}
+                              {answer.value || "-"}
+                            </div>
+                          ))}
+                      </div>
+                    )}
+                    {result.type === "rejected" && (
+                      <div className="mt-1 text-sm">{result.message}</div>
+                    )}
+                  </div>
+                )}
+
+                {attendance?.recent.length > 0 && (
+                  <div className="bg-white rounded-lg shadow p-4">
+                    <h2 className="text-sm font-semibold text-gray-700 mb-2">
+                      {t("checkIn.recent")}
+                    </h2>
+                    <ul className="divide-y divide-gray-100 text-sm">
+                      {attendance.recent.map((entry) => (
+                        <li
+                          key={entry.registrationNumber}
+                          className="py-2 flex justify-between gap-2"
+                        >
+                          <span className="text-gray-900">{entry.name}</span>
+                          <span className="text-gray-500 whitespace-nowrap">
+                            {formatTime(entry.checkedInAt)}
+                            {entry.checkedInBy ? ` · ${entry.checkedInBy}` : ""}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventCheckIn;
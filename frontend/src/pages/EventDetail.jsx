@@ -0,0 +1,557 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams, Link, useNavigate, useLocation } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import FormInput from "../components/FormInput";
+import { API_BASE_URL, apiGet, apiPost } from "../utils/api";
+import { formatCurrency, formatDateTime, formatDate } from "../utils/helpers";
+
+// Poll the registration after Razorpay checkout until the webhook confirms it
+const POLL_INTERVAL_MS = 3000;
+const POLL_ATTEMPTS = 20;
+
+/**
+ * EventDetail - Public event page with native registration
+ *
+ * /events/:id - event details and the registration form
+ * /events/:id/registration/:registrationNumber - registration status,
+ *   and payment for registrations awaiting it (linked from emails)
+ */
+const EventDetail = () => {
+  const { id, registrationNumber } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t, i18n } = useTranslation();
+
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [registration, setRegistration] = useState(null);
+  // Set by the registration form when it hands over to the status page
+  const [polling, setPolling] = useState(Boolean(location.state?.paid));
+  const [formData, setFormData] = useState({ name: "", email: "", mobile: "" });
+  const [answers, setAnswers] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(location.state?.error || null);
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
+  // Weekday name in the page language (0 = Sunday; event dates are UTC midnight)
+  const weekdayName = (weekday) =>
+    new Date(Date.UTC(2024, 0, 7 + weekday)).toLocaleDateString(
+      i18n.language,
+      { weekday: "long", timeZone: "UTC" },
+    );
+
+  // e.g. "Every week on Sunday, Wednesday until 31 March 2027"
+  const describeRecurrence = (recurrence, date) => {
+    if (!recurrence || !["weekly", "monthly"].includes(recurrence.frequency)) {
+      return null;
+    }
+    const count = recurrence.interval || 1;
+    const variant = count > 1 ? "Interval" : "";
+    const start = new Date(date);
+    let text;
+    if (recurrence.frequency === "weekly") {
+      const weekdays = recurrence.weekdays?.length
+        ? recurrence.weekdays
+        : [start.getUTCDay()];
+      text = t(`events.repeatsWeekly${variant}`, {
+        count,
+        days: weekdays.map(weekdayName).join(", "),
+      });
+    } else if (recurrence.monthlyBy === "nthWeekday") {
+      const nth =
+        recurrence.weekOfMonth || Math.min(4, Math.ceil(start.getUTCDate() / 7));
+      text = t(`events.repeatsMonthlyWeekday${variant}`, {
+        count,
+        ordinal: t(`events.ordinal.${nth}`),
+        weekday: weekdayName(start.getUTCDay()),
+      });
+    } else {
+      text = t(`events.repeatsMonthlyDay${variant}`, {
+        count,
+        day: start.getUTCDate(),
+      });
+    }
+    return recurrence.until
+      ? `${text} ${t("events.repeatsUntil", { date: formatDate(recurrence.until) })}`
+      : text;
+  };
+
+  useEffect(() => {
+    const fetchEvent = async () => {
+      try {
+        const result = await apiGet(`/public/events/${id}`);
+        setEvent(result.data);
+      } catch (err) {
+        console.error("Error fetching event:", err);
+        setEvent(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchEvent();
+  }, [id]);
+
+  const fetchRegistration = useCallback(async () => {
+    try {
+      const result = await apiGet(
+        `/public/event-registrations/${registrationNumber}`,
+      );
+      setRegistration(result.data);
+      return result.data;
+    } catch (err) {
+      console.error("Error fetching registration:", err);
+      setRegistration({ notFound: true });
+      return null;
+    }
+  }, [registrationNumber]);
+
+  useEffect(() => {
+    if (registrationNumber) fetchRegistration();
+  }, [registrationNumber, fetchRegistration]);
+
+  // After checkout, wait for the webhook to confirm the payment
+  useEffect(() => {
+    if (!polling) return undefined;
+    let attempts = 0;
+    const timer = setInterval(async () => {
+      attempts++;
+      const current = await fetchRegistration();
+      if (current?.status !== "PENDING_PAYMENT" || attempts >= POLL_ATTEMPTS) {
+        setPolling(false);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [polling, fetchRegistration]);
+
+  /**
+   * Open Razorpay Checkout for the registration fee
+   * Resolves on the Razorpay success callback - the webhook confirms payment
+   */
+  const openRazorpayCheckout = (payment, number) => {
+    return new Promise((resolve, reject) => {
+      if (typeof window.Razorpay !== "function") {
+        reject(new Error(t("events.gatewayFailed")));
+        return;
+      }
+
+      const rzp = new window.Razorpay({
+        key: payment.key,
+        amount: payment.amount, // Backend already provides amount in paise
+        currency: payment.currency,
+        order_id: payment.razorpayOrderId,
+        name: "Shri Gurudev Ashram",
+        description: `${getLocalizedText(event.title)} - ${number}`,
+        prefill: {
+          name: formData.name,
+          email: formData.email,
+          contact: formData.mobile,
+        },
+        theme: { color: "#d97706" },
+        handler: (response) => resolve(response),
+        modal: {
+          ondismiss: () => reject(new Error(t("events.paymentCancelled"))),
+          escape: true,
+          backdropclose: false,
+        },
+      });
+
+      rzp.on("payment.failed", (response) => {
+        reject(
+          new Error(response.error?.description || t("events.paymentFailed")),
+        );
+      });
+
+      rzp.open();
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setSubmitError(null);
+
+    let result;
+    try {
+      result = await apiPost(`/public/events/${id}/register`, {
+        name: formData.name.trim(),
+        email: formData.email.trim(),
+        mobile: formData.mobile.trim(),
+        answers,
+      });
+    } catch (err) {
+      setSubmitError(err.message);
+      setSubmitting(false);
+      return;
+    }
+
+    const number = result.data.registrationNumber;
+    const handover = {};
+    if (result.data.payment) {
+      try {
+        await openRazorpayCheckout(result.data.payment, number);
+        handover.paid = true;
+      } catch (err) {
+        // The seat stays held - payment can be retried from the status page
+        handover.error = err.message;
+      }
+    }
+
+    setSubmitting(false);
+    navigate(`/events/${id}/registration/${number}`, { state: handover });
+    // The status page may reuse this instance rather than remount
+    setSubmitError(handover.error || null);
+    setPolling(Boolean(handover.paid));
+  };
+
+  const handlePay = async () => {
+    setSubmitting(true);
+    setSubmitError(null);
+    try {
+      const result = await apiPost(
+        `/public/event-registrations/${registrationNumber}/pay`,
+        {},
+      );
+      await openRazorpayCheckout(result.data.payment, registrationNumber);
+      setPolling(true);
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <section className="py-24 px-4">
+        <div className="flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+        </div>
+      </section>
+    );
+  }
+
+  if (!event) {
+    return (
+      <section className="py-24 px-4">
+        <div className="max-w-4xl mx-auto text-center">
+          <h2 className="text-2xl font-bold mb-4">{t("events.eventNotFound")}</h2>
+          <Link
+            to="/events"
+            className="px-4 py-2 bg-amber-600 text-white rounded"
+          >
+            {t("events.backToEvents")}
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
+  const summary = event.registration || {};
+  const isFull = summary.spotsLeft === 0;
+  const questions = event.registrationQuestions || [];
+
+  const renderQuestion = (question) => {
+    const label = getLocalizedText(question.label);
+    const value = answers[question.key] ?? "";
+    const setValue = (val) =>
+      setAnswers((prev) => ({ ...prev, [question.key]: val }));
+    const inputClass =
+      "w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500";
+
+    if (question.type === "checkbox") {
+      return (
+        <label key={question.key} className="flex items-start gap-2 mb-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={value === true}
+            onChange={(e) => setValue(e.target.checked)}
+            required={question.required}
+            className="mt-0.5 w-4 h-4 text-amber-600 border-gray-300 rounded focus:ring-amber-500"
+          />
+          <span>
+            {label}
+            {question.required && <span className="text-red-500 ml-1">*</span>}
+          </span>
+        </label>
+      );
+    }
+
+    return (
+      <div key={question.key} className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          {label}
+          {question.required && <span className="text-red-500 ml-1">*</span>}
+        </label>
+        {question.type === "textarea" ? (
+          <textarea
+            rows={3}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            required={question.required}
+            className={inputClass}
+          />
+        ) : question.type === "select" ? (
+          <select
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            required={question.required}
+            className={inputClass}
+          >
+            <option value="">{t("events.selectOption")}</option>
+            {question.options.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type={question.type === "number" ? "number" : "text"}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            required={question.required}
+            className={inputClass}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderRegistrationStatus = () => {
+    if (!registration) {
+      return (
+        <div className="flex items-center justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-amber-600"></div>
+        </div>
+      );
+    }
+    if (registration.notFound) {
+      return <p className="text-gray-700">{t("events.registrationNotFound")}</p>;
+    }
+
+    const awaitingPayment =
+      registration.status === "PENDING_PAYMENT" &&
+      registration.holdExpiresAt &&
+      new Date(registration.holdExpiresAt) > new Date();
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          {t("events.registrationNumber")}:{" "}
+          <span className="font-mono font-semibold text-gray-900">
+            {registration.registrationNumber}
+          </span>
+        </p>
+        <p
+          className={`p-4 rounded-lg ${
+            registration.status === "CONFIRMED"
+              ? "bg-green-50 text-green-800 border border-green-200"
+              : "bg-amber-50 text-amber-900 border border-amber-200"
+          }`}
+        >
+          {polling
+            ? t("events.confirmingPayment")
+            : t(`events.status.${registration.status}`)}
+        </p>
+        {registration.paymentIssue && (
+          <p className="text-sm text-red-700">{t("events.paymentIssue")}</p>
+        )}
+        {awaitingPayment && !polling && (
+          <button
+            onClick={handlePay}
+            disabled={submitting}
+            className="w-full px-4 py-3 bg-amber-600 text-white font-semibold rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50"
+          >
+            {submitting
+              ? t("events.submitting")
+              : t("events.payNow", { amount: formatCurrency(registration.fee) })}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderRegistrationForm = () => {
+    if (!summary.open) {
+      return <p className="text-gray-700">{t("events.registrationClosed")}</p>;
+    }
+    if (isFull && !summary.waitlistEnabled) {
+      return <p className="text-gray-700">{t("events.eventFull")}</p>;
+    }
+
+    let submitLabel = t("events.register");
+    if (isFull) submitLabel = t("events.joinWaitlist");
+    else if (summary.fee > 0) {
+      submitLabel = t("events.payAndRegister", {
+        amount: formatCurrency(summary.fee),
+      });
+    }
+
+    return (
+      <form onSubmit={handleSubmit}>
+        <FormInput
+          label={t("events.name")}
+          name="name"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          required
+        />
+        <FormInput
+          label={t("events.email")}
+          type="email"
+          name="email"
+          value={formData.email}
+          onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+          required
+        />
+        <FormInput
+          label={t("events.mobile")}
+          type="tel"
+          name="mobile"
+          value={formData.mobile}
+          onChange={(e) => setFormData({ ...formData, mobile: e.target.value })}
+        />
+        {questions.map(renderQuestion)}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-4 py-3 bg-amber-600 text-white font-semibold rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50"
+        >
+          {submitting ? t("events.submitting") : submitLabel}
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <section className="py-12 px-4 bg-white">
+      <div className="max-w-5xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2">
+          {event.imageUrl && (
+            <img
+              src={event.imageUrl}
+              alt={getLocalizedText(event.title)}
+              className="w-full h-72 object-cover rounded-lg mb-6"
+            />
+          )}
+          <h1 className="text-3xl font-bold text-amber-900 mb-3">
+            {getLocalizedText(event.title)}
+          </h1>
+          <div className="space-y-1 text-gray-600 mb-6">
+            <p>
+              {event.time
+                ? formatDateTime(event.date, event.time)
+                : formatDate(event.date)}
+            </p>
+            {describeRecurrence(event.recurrence, event.date) && (
+              <p>{describeRecurrence(event.recurrence, event.date)}</p>
+            )}
+            {getLocalizedText(event.location) && (
+              <p>{getLocalizedText(event.location)}</p>
+            )}
+            <a
+              href={`${API_BASE_URL}/public/events/${event._id}/calendar.ics?lang=${i18n.language}`}
+              className="inline-block text-sm text-amber-700 hover:text-amber-800 font-medium"
+            >
+              {t("events.addToCalendar")}
+            </a>
+          </div>
+          {event.upcomingSessions?.length > 0 && (
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold text-amber-900 mb-2">
+                {t("events.upcomingSessions")}
+              </h2>
+              <ul className="text-gray-700 space-y-1">
+                {event.upcomingSessions.map((session) => (
+                  <li key={session.date}>
+                    {event.time
+                      ? formatDateTime(session.date, event.time)
+                      : formatDate(session.date)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <p className="text-gray-700 whitespace-pre-line">
+            {getLocalizedText(event.description)}
+          </p>
+          <Link
+            to="/events"
+            className="inline-block mt-8 text-amber-700 hover:text-amber-800 font-medium"
+          >
+            ← {t("events.backToEvents")}
+          </Link>
+        </div>
+
+        {(summary.enabled || event.registrationUrl) && (
+          <aside className="bg-amber-50 border border-amber-100 rounded-lg p-6 h-fit">
+            <h2 className="text-xl font-bold text-amber-900 mb-4">
+              {t("events.registerTitle")}
+            </h2>
+
+            {summary.enabled ? (
+              <>
+                {!registrationNumber && (
+                  <div className="text-sm text-gray-700 space-y-1 mb-4">
+                    <p>
+                      {t("events.fee")}:{" "}
+                      <strong>
+                        {summary.fee > 0
+                          ? formatCurrency(summary.fee)
+                          : t("events.free")}
+                      </strong>
+                    </p>
+                    {summary.spotsLeft !== null && summary.spotsLeft > 0 && (
+                      <p>{t("events.spotsLeft", { count: summary.spotsLeft })}</p>
+                    )}
+                    {isFull && summary.waitlistEnabled && (
+                      <p>{t("events.fullWaitlist")}</p>
+                    )}
+                    {summary.open && summary.closesAt && (
+                      <p>
+                        {t("events.closesAt", {
+                          date: new Date(summary.closesAt).toLocaleString(
+                            `${i18n.language}-IN`,
+                            { dateStyle: "medium", timeStyle: "short" },
+                          ),
+                        })}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {submitError && (
+                  <div className="mb-4 p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+                    {submitError}
+                  </div>
+                )}
+
+                {registrationNumber
+                  ? renderRegistrationStatus()
+                  : renderRegistrationForm()}
+              </>
+            ) : (
+              <a
+                href={event.registrationUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block text-center px-4 py-3 bg-amber-600 text-white font-semibold rounded-lg hover:bg-amber-700 transition-colors"
+              >
+                {t("events.register")}
+              </a>
+            )}
+          </aside>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default EventDetail;
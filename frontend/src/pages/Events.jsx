@@ -1,9 +1,12 @@
 import { useState } from "react";
+import { useTranslation } from "react-i18next";
 import SectionHeading from "../components/SectionHeading";
 import EventCard from "../components/EventCard";
 import { useEvents } from "../context/EventsContext";
+import { API_BASE_URL } from "../utils/api";
 
 const Events = () => {
+  const { t, i18n } = useTranslation();
   const { getVisibleEvents } = useEvents();
   const allEvents = getVisibleEvents();
   const [filter, setFilter] = useState("all");
@@ -42,6 +45,17 @@ const Events = () => {
             ))}
           </div>
 
+          {/* Calendar feed - calendar apps keep it in sync */}
+          <p className="text-center text-sm text-gray-600 mb-8">
+            <a
+              href={`${API_BASE_URL}/public/events.ics?lang=${i18n.language}`}
+              className="text-amber-700 hover:text-amber-800 font-medium"
+            >
+              {t("events.subscribeCalendar")}
+            </a>{" "}
+            {t("events.subscribeHint")}
+          </p>
+
           {/* Events Grid */}
           {displayEvents.length > 0 ? (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -3,42 +3,88 @@ import { Link } from "react-router-dom";
 import { useTranslation } from "react-i18next";
 import { getLeaderboard } from "../services/collectorApi";
 import { formatCurrency } from "../utils/helpers";
+import { API_BASE_URL } from "../utils/api";
 import SectionHeading from "../components/SectionHeading";
 
+// Period tabs, in display order
+const LEADERBOARD_PERIODS = ["month", "quarter", "fy", "all", "custom"];
+
 /**
  * LeaderboardPage - Public page showing top 5 collectors
  *
  * Features:
  * - Fetches from GET /api/leaderboard/top
+ * - Period tabs (this month / quarter / financial year / all time / custom range)
+ *   and an optional cause filter, so newer collectors can rank too
  * - Shows rank, collector name, total amount
  * - No PII exposed (only name and amount)
  * - Encourages visitors to become collectors
  */
 const LeaderboardPage = () => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const [leaderboard, setLeaderboard] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  const [period, setPeriod] = useState("month");
+  const [customRange, setCustomRange] = useState({ from: "", to: "" });
+  const [donationHeadId, setDonationHeadId] = useState("");
+  const [donationHeads, setDonationHeads] = useState([]);
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
+  // Custom range waits until both dates are picked
+  const customIncomplete =
+    period === "custom" && (!customRange.from || !customRange.to);
+
   const fetchLeaderboard = useCallback(async () => {
+    if (customIncomplete) return;
+
     setIsLoading(true);
     setError(null);
 
     try {
-      const data = await getLeaderboard();
+      const data = await getLeaderboard({
+        period,
+        donationHeadId,
+        ...(period === "custom" && customRange),
+      });
       setLeaderboard(data.data || []);
     } catch (err) {
       console.error("Error fetching leaderboard:", err);
-      setError("Unable to load leaderboard. Please try again.");
+      setError(err.message || "Unable to load leaderboard. Please try again.");
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [period, customRange, donationHeadId, customIncomplete]);
 
   useEffect(() => {
     fetchLeaderboard();
   }, [fetchLeaderboard]);
 
+  // Causes for the filter
+  useEffect(() => {
+    const fetchDonationHeads = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/public/donation-heads`);
+        const data = await response.json();
+        if (data.success) {
+          setDonationHeads(data.data);
+        }
+      } catch (err) {
+        console.error("Error fetching donation heads:", err);
+      }
+    };
+
+    fetchDonationHeads();
+  }, []);
+
   return (
     <section className="py-16 px-4 bg-gradient-to-b from-amber-50 to-white min-h-screen">
       <div className="max-w-3xl mx-auto">
@@ -57,6 +103,80 @@ const LeaderboardPage = () => {
           <p className="text-amber-100">{t("leaderboard.description")}</p>
         </div>
 
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-sm border border-amber-100 p-4 mb-6 space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {LEADERBOARD_PERIODS.map((key) => (
+              <button
+                key={key}
+                onClick={() => setPeriod(key)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  period === key
+                    ? "bg-amber-600 text-white"
+                    : "bg-amber-50 text-amber-800 hover:bg-amber-100"
+                }`}
+              >
+                {t(`leaderboard.periods.${key}`)}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-3">
+            {period === "custom" && (
+              <>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  {t("leaderboard.from")}
+                  <input
+                    type="date"
+                    value={customRange.from}
+                    max={customRange.to || undefined}
+                    onChange={(e) =>
+                      setCustomRange((prev) => ({
+                        ...prev,
+                        from: e.target.value,
+                      }))
+                    }
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                  />
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  {t("leaderboard.to")}
+                  <input
+                    type="date"
+                    value={customRange.to}
+                    min={customRange.from || undefined}
+                    onChange={(e) =>
+                      setCustomRange((prev) => ({
+                        ...prev,
+                        to: e.target.value,
+                      }))
+                    }
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+                  />
+                </label>
+              </>
+            )}
+            <select
+              value={donationHeadId}
+              onChange={(e) => setDonationHeadId(e.target.value)}
+              className="sm:ml-auto px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-amber-500"
+            >
+              <option value="">{t("leaderboard.allCauses")}</option>
+              {donationHeads.map((head) => (
+                <option key={head._id} value={head._id}>
+                  {getLocalizedText(head.name)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {customIncomplete && (
+            <p className="text-sm text-gray-500">
+              {t("leaderboard.pickDates")}
+            </p>
+          )}
+        </div>
+
         {/* Error State */}
         {error && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center mb-8">
@@ -114,65 +234,70 @@ const LeaderboardPage = () => {
         {!isLoading && !error && leaderboard.length > 0 && (
           <div className="bg-white rounded-xl shadow-sm border border-amber-100 overflow-hidden">
             <div className="divide-y divide-gray-100">
-              {leaderboard.map((collector, index) => (
-                <div
-                  key={collector.collectorId || index}
-                  className={`flex items-center gap-4 p-5 ${
-                    index === 0 ? "bg-amber-50" : ""
-                  }`}
-                >
-                  {/* Rank Badge */}
+              {leaderboard.map((collector, index) => {
+                const rank = collector.rank || index + 1;
+                return (
                   <div
-                    className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center font-bold text-lg ${
-                      index === 0
-                        ? "bg-amber-400 text-amber-900 shadow-lg"
-                        : index === 1
-                          ? "bg-gray-300 text-gray-700"
-                          : index === 2
-                            ? "bg-amber-200 text-amber-800"
-                            : "bg-gray-100 text-gray-600"
+                    key={collector.collectorId || index}
+                    className={`flex items-center gap-4 p-5 ${
+                      rank === 1 ? "bg-amber-50" : ""
                     }`}
                   >
-                    {index === 0
-                      ? "🥇"
-                      : index === 1
-                        ? "🥈"
-                        : index === 2
-                          ? "🥉"
-                          : collector.rank || index + 1}
-                  </div>
-
-                  {/* Collector Info */}
-                  <div className="flex-1 min-w-0">
-                    <p
-                      className={`font-semibold truncate ${
-                        index === 0 ? "text-amber-900 text-lg" : "text-gray-900"
+                    {/* Rank Badge - equal totals share a rank */}
+                    <div
+                      className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center font-bold text-lg ${
+                        rank === 1
+                          ? "bg-amber-400 text-amber-900 shadow-lg"
+                          : rank === 2
+                            ? "bg-gray-300 text-gray-700"
+                            : rank === 3
+                              ? "bg-amber-200 text-amber-800"
+                              : "bg-gray-100 text-gray-600"
                       }`}
                     >
-                      {collector.collectorName ||
-                        t("leaderboard.anonymousCollector")}
-                    </p>
-                    <p className="text-sm text-gray-500">
-                      {t("leaderboard.donationsCollected", {
-                        count: collector.donationCount,
-                      })}
-                    </p>
-                  </div>
+                      {rank === 1
+                        ? "🥇"
+                        : rank === 2
+                          ? "🥈"
+                          : rank === 3
+                            ? "🥉"
+                            : rank}
+                    </div>
 
-                  {/* Total Amount */}
-                  <div className="text-right">
-                    <p
-                      className={`font-bold ${
-                        index === 0
-                          ? "text-amber-700 text-xl"
-                          : "text-amber-600 text-lg"
-                      }`}
-                    >
-                      {formatCurrency(collector.totalAmount)}
-                    </p>
+                    {/* Collector Info */}
+                    <div className="flex-1 min-w-0">
+                      <p
+                        className={`font-semibold truncate ${
+                          rank === 1
+                            ? "text-amber-900 text-lg"
+                            : "text-gray-900"
+                        }`}
+                      >
+                        {collector.collectorName ||
+                          t("leaderboard.anonymousCollector")}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {t("leaderboard.donationsCollected", {
+                          count: collector.donationCount,
+                        })}
+                      </p>
+                    </div>
+
+                    {/* Total Amount */}
+                    <div className="text-right">
+                      <p
+                        className={`font-bold ${
+                          rank === 1
+                            ? "text-amber-700 text-xl"
+                            : "text-amber-600 text-lg"
+                        }`}
+                      >
+                        {formatCurrency(collector.totalAmount)}
+                      </p>
+                    </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </div>
         )}
@@ -1,8 +1,9 @@
 import { useState, useEffect, useCallback } from "react";
-import { Link } from "react-router-dom";
+import { Link, useLocation } from "react-router-dom";
 import SectionHeading from "../components/SectionHeading";
 import PrimaryButton from "../components/PrimaryButton";
 import CollectorStatusCard from "../components/CollectorStatusCard";
+import PrivacyDataCard from "../components/PrivacyDataCard";
 import { formatCurrency } from "../utils/helpers";
 import { useAuth } from "../context/AuthContext";
 import { API_BASE_URL, parseJsonResponse } from "../utils/api";
@@ -11,6 +12,11 @@ import { useTranslation } from "react-i18next";
 const MyDonations = () => {
   const { user, token, isAuthenticated, isLoading: authLoading } = useAuth();
   const [donations, setDonations] = useState([]);
+  const [monthlyDonations, setMonthlyDonations] = useState([]);
+  const [monthlyActionId, setMonthlyActionId] = useState(null);
+  const [certificates, setCertificates] = useState([]);
+  const [certificateDownloading, setCertificateDownloading] = useState(null);
+  const location = useLocation();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const { t, i18n } = useTranslation();
@@ -54,6 +60,24 @@ const MyDonations = () => {
 
       const data = await parseJsonResponse(response);
       setDonations(data);
+
+      // Monthly mandates are secondary - a failure here should not hide history
+      const monthlyResponse = await fetch(
+        `${API_BASE_URL}/donations/recurring/my`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      if (monthlyResponse.ok) {
+        setMonthlyDonations(await parseJsonResponse(monthlyResponse));
+      }
+
+      const certificatesResponse = await fetch(
+        `${API_BASE_URL}/user/certificates`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      if (certificatesResponse.ok) {
+        const certificateData = await parseJsonResponse(certificatesResponse);
+        setCertificates(certificateData.certificates || []);
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -104,6 +128,83 @@ const MyDonations = () => {
     }
   };
 
+  /**
+   * Download the consolidated 80G certificate for a financial year and PAN
+   */
+  const handleDownloadCertificate = async (certificate) => {
+    const key = `${certificate.financialYear}-${certificate.panLast4}`;
+    setCertificateDownloading(key);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/user/certificates/${certificate.financialYear}/download?panLast4=${certificate.panLast4}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw new Error("Certificate download failed");
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `80G-certificate-${certificate.financialYear}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error("Certificate download error:", err);
+      alert(t("myDonations.certificates.downloadFailed"));
+    } finally {
+      setCertificateDownloading(null);
+    }
+  };
+
+  /**
+   * Pause, resume or cancel a monthly donation
+   */
+  const handleMonthlyAction = async (recurringId, action) => {
+    if (
+      action === "cancel" &&
+      !window.confirm(t("myDonations.monthly.confirmCancel"))
+    ) {
+      return;
+    }
+
+    setMonthlyActionId(recurringId);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/donations/recurring/${recurringId}/${action}`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+      const result = await parseJsonResponse(response);
+
+      if (!response.ok) {
+        throw new Error(result.message);
+      }
+
+      setMonthlyDonations((prev) =>
+        prev.map((m) =>
+          m._id === recurringId ? { ...m, status: result.status } : m,
+        ),
+      );
+    } catch (err) {
+      alert(err.message || t("myDonations.monthly.actionFailed"));
+    } finally {
+      setMonthlyActionId(null);
+    }
+  };
+
   /**
    * Render status badge
    */
@@ -265,6 +366,32 @@ const MyDonations = () => {
           />
         </div>
 
+        {location.state?.monthlyStarted && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-700">
+            {t("myDonations.monthly.started")}
+          </div>
+        )}
+
+        {/* Monthly donations */}
+        {monthlyDonations.length > 0 && (
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-amber-900 mb-3">
+              {t("myDonations.monthly.title")}
+            </h3>
+            <div className="space-y-3">
+              {monthlyDonations.map((monthly) => (
+                <MonthlyDonationCard
+                  key={monthly._id}
+                  monthly={monthly}
+                  busy={monthlyActionId === monthly._id}
+                  onAction={handleMonthlyAction}
+                  getLocalizedText={getLocalizedText}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Empty state */}
         {donations.length === 0 ? (
           <div className="text-center py-12 bg-amber-50 rounded-lg border border-amber-200">
@@ -327,6 +454,61 @@ const MyDonations = () => {
               </div>
             </div>
 
+            {/* 80G certificates */}
+            {certificates.length > 0 && (
+              <div className="mb-8">
+                <h3 className="text-lg font-semibold text-amber-900 mb-1">
+                  {t("myDonations.certificates.title")}
+                </h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  {t("myDonations.certificates.subtitle")}
+                </p>
+                <div className="space-y-3">
+                  {certificates.map((certificate) => {
+                    const key = `${certificate.financialYear}-${certificate.panLast4}`;
+                    return (
+                      <div
+                        key={key}
+                        className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3"
+                      >
+                        <div>
+                          <p className="font-semibold text-gray-800">
+                            {t("myDonations.certificates.financialYear", {
+                              year: certificate.financialYear,
+                            })}
+                            <span className="ml-2 text-xs font-normal text-gray-500">
+                              PAN {certificate.pan}
+                            </span>
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            {t("myDonations.certificates.summary", {
+                              count: certificate.donationCount,
+                              total: formatCurrency(certificate.totalAmount),
+                            })}
+                          </p>
+                        </div>
+                        {certificate.available ? (
+                          <button
+                            onClick={() => handleDownloadCertificate(certificate)}
+                            disabled={certificateDownloading === key}
+                            className="px-4 py-2 border border-amber-600 text-amber-700 rounded-md text-sm font-medium hover:bg-amber-50 transition-colors disabled:opacity-50"
+                          >
+                            {certificateDownloading === key
+                              ? t("myDonations.certificates.downloading")
+                              : t("myDonations.certificates.download")}
+                          </button>
+                        ) : (
+                          <span className="text-sm text-gray-500">
+                            {t("myDonations.certificates.availableAfter")}
+                          </span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             {/* Collector Status Card */}
             <CollectorStatusCard
               role={user?.role}
@@ -420,6 +602,9 @@ const MyDonations = () => {
           </>
         )}
 
+        {/* Download my data / erasure request */}
+        <PrivacyDataCard token={token} className="mt-8" />
+
         {/* Footer actions */}
         <div className="mt-8 flex flex-col sm:flex-row justify-center items-center gap-4">
           <Link to="/donate">
@@ -437,4 +622,103 @@ const MyDonations = () => {
   );
 };
 
+/**
+ * Monthly donation card with pause / resume / cancel controls
+ */
+const MonthlyDonationCard = ({ monthly, busy, onAction, getLocalizedText }) => {
+  const { t } = useTranslation();
+
+  const statusStyles = {
+    CREATED: "bg-gray-100 text-gray-700",
+    ACTIVE: "bg-green-100 text-green-800",
+    PAUSED: "bg-amber-100 text-amber-800",
+    HALTED: "bg-red-100 text-red-800",
+    CANCELLED: "bg-gray-100 text-gray-500",
+    COMPLETED: "bg-blue-100 text-blue-800",
+  };
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString("en-IN", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+
+  const buttonClass =
+    "px-3 py-1.5 text-sm font-medium rounded-lg border transition-colors disabled:opacity-50";
+
+  return (
+    <div className="bg-white border border-amber-200 rounded-lg p-5 shadow-sm">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex-1">
+          <div className="flex items-center gap-3 mb-1">
+            <h4 className="font-semibold text-amber-900">
+              {getLocalizedText(monthly.donationHead?.name)}
+            </h4>
+            <span
+              className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                statusStyles[monthly.status] || statusStyles.CREATED
+              }`}
+            >
+              {t(`myDonations.monthly.status.${monthly.status}`)}
+            </span>
+          </div>
+          <p className="text-xl font-bold text-amber-700">
+            {t("myDonations.monthly.perMonth", {
+              amount: formatCurrency(monthly.amount),
+            })}
+          </p>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500 mt-1">
+            <span>
+              {t("myDonations.monthly.paidCount", {
+                count: monthly.paidCount,
+                total: formatCurrency(monthly.totalCollected),
+              })}
+            </span>
+            {monthly.status === "ACTIVE" && monthly.nextChargeAt && (
+              <>
+                <span>•</span>
+                <span>
+                  {t("myDonations.monthly.nextCharge", {
+                    date: formatDate(monthly.nextChargeAt),
+                  })}
+                </span>
+              </>
+            )}
+          </div>
+        </div>
+        <div className="flex-shrink-0 flex gap-2">
+          {monthly.status === "ACTIVE" && (
+            <button
+              onClick={() => onAction(monthly._id, "pause")}
+              disabled={busy}
+              className={`${buttonClass} text-amber-700 bg-amber-50 border-amber-200 hover:bg-amber-100`}
+            >
+              {t("myDonations.monthly.pause")}
+            </button>
+          )}
+          {monthly.status === "PAUSED" && (
+            <button
+              onClick={() => onAction(monthly._id, "resume")}
+              disabled={busy}
+              className={`${buttonClass} text-green-700 bg-green-50 border-green-200 hover:bg-green-100`}
+            >
+              {t("myDonations.monthly.resume")}
+            </button>
+          )}
+          {["CREATED", "ACTIVE", "PAUSED", "HALTED"].includes(monthly.status) && (
+            <button
+              onClick={() => onAction(monthly._id, "cancel")}
+              disabled={busy}
+              className={`${buttonClass} text-red-700 bg-red-50 border-red-200 hover:bg-red-100`}
+            >
+              {t("myDonations.monthly.cancel")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 export default MyDonations;
@@ -0,0 +1,436 @@
+import { useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import SectionHeading from "../components/SectionHeading";
+import { useAuth } from "../context/AuthContext";
+import { apiGet, apiPost, apiDelete } from "../utils/api";
+
+/**
+ * Seva - Volunteer page for logged-in users
+ *
+ * - Hours served and the user's own shifts (cancel before they start)
+ * - Open seva shifts to sign up for, highlighting sevas the user offered to help with
+ * - Offer to help with activity sevas (Activity subitems) and upcoming events
+ * Reminders are emailed a day before a shift, so an email on the profile is needed.
+ */
+const Seva = () => {
+  const { user } = useAuth();
+  const { t, i18n } = useTranslation();
+
+  const [activities, setActivities] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [interests, setInterests] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [myShifts, setMyShifts] = useState({ shifts: [], totals: { shifts: 0, hours: 0 } });
+  const [shiftFilter, setShiftFilter] = useState("all");
+  const [note, setNote] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const getLocalizedText = (value) => {
+    if (typeof value === "string") return value;
+    if (value && typeof value === "object") {
+      return value[i18n.language] || value.en || value.hi || value.mr || "";
+    }
+    return "";
+  };
+
+  const formatShiftWhen = (shift) => {
+    const locale = `${i18n.language}-IN`;
+    const date = new Date(shift.startsAt).toLocaleDateString(locale, {
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+    });
+    const time = (value) =>
+      new Date(value).toLocaleTimeString(locale, {
+        hour: "numeric",
+        minute: "2-digit",
+      });
+    return `${date}, ${time(shift.startsAt)} - ${time(shift.endsAt)}`;
+  };
+
+  const fetchShifts = useCallback(async () => {
+    const [open, mine] = await Promise.all([
+      apiGet("/user/seva/shifts"),
+      apiGet("/user/seva/my-shifts"),
+    ]);
+    setShifts(open.data || []);
+    setMyShifts(mine.data);
+  }, []);
+
+  const fetchAll = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [activityResult, eventResult, interestResult] = await Promise.all([
+        apiGet("/public/activities"),
+        apiGet("/public/events/upcoming?limit=20"),
+        apiGet("/user/seva/interests"),
+        fetchShifts(),
+      ]);
+      setActivities(activityResult.data || []);
+      setEvents(eventResult.data || []);
+      setInterests(interestResult.data || []);
+    } catch (err) {
+      console.error("Error loading seva page:", err);
+      setMessage({ type: "error", text: t("seva.loadFailed") });
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchShifts, t]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll, i18n.language]);
+
+  const findInterest = (target) =>
+    interests.find((interest) =>
+      target.eventId
+        ? interest.event === target.eventId
+        : interest.activity === target.activityId &&
+          interest.subitem === target.subitemId,
+    );
+
+  const toggleInterest = async (target) => {
+    const key = target.eventId || target.subitemId;
+    const existing = findInterest(target);
+    setBusyKey(key);
+    setMessage(null);
+    try {
+      if (existing) {
+        await apiDelete(`/user/seva/interests/${existing._id}`);
+        setInterests((prev) => prev.filter((i) => i._id !== existing._id));
+      } else {
+        const result = await apiPost("/user/seva/interests", {
+          ...target,
+          note: note.trim(),
+        });
+        setInterests((prev) => [result.data, ...prev]);
+        setMessage({ type: "success", text: t("seva.interestSaved") });
+      }
+      await fetchShifts();
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleClaim = async (shift) => {
+    setBusyKey(shift._id);
+    setMessage(null);
+    try {
+      await apiPost(`/user/seva/shifts/${shift._id}/claim`, {
+        language: i18n.language,
+      });
+      setMessage({ type: "success", text: t("seva.claimed") });
+      await fetchShifts();
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+      await fetchShifts();
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleCancel = async (shift) => {
+    if (!window.confirm(t("seva.confirmCancel"))) return;
+    setBusyKey(shift._id);
+    setMessage(null);
+    try {
+      await apiPost(`/user/seva/shifts/${shift._id}/cancel`, {});
+      setMessage({ type: "success", text: t("seva.cancelled") });
+      await fetchShifts();
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const now = new Date();
+  const upcomingMine = myShifts.shifts.filter((s) => new Date(s.endsAt) >= now);
+  const pastMine = myShifts.shifts.filter((s) => new Date(s.endsAt) < now).reverse();
+  const visibleShifts =
+    shiftFilter === "mine" ? shifts.filter((s) => s.interested) : shifts;
+  const sevaTitle = (shift) =>
+    shift.activityTitle &&
+    getLocalizedText(shift.activityTitle) !== getLocalizedText(shift.sevaTitle)
+      ? `${getLocalizedText(shift.sevaTitle)} (${getLocalizedText(shift.activityTitle)})`
+      : getLocalizedText(shift.sevaTitle);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <section className="py-16 px-4 bg-white">
+      <div className="max-w-5xl mx-auto space-y-12">
+        <SectionHeading
+          title={t("seva.title")}
+          subtitle={t("seva.subtitle")}
+          center={true}
+        />
+
+        {message && (
+          <div
+            className={`p-4 rounded-lg text-sm ${
+              message.type === "error"
+                ? "bg-red-50 text-red-700 border border-red-200"
+                : "bg-green-50 text-green-700 border border-green-200"
+            }`}
+          >
+            {message.text}
+          </div>
+        )}
+
+        {!user?.email && (
+          <div className="p-4 rounded-lg text-sm bg-amber-50 text-amber-800 border border-amber-200">
+            {t("seva.addEmail")}
+          </div>
+        )}
+
+        {/* Hours and own shifts */}
+        <div>
+          <div className="grid grid-cols-2 gap-4 mb-6">
+            <div className="p-4 rounded-lg bg-amber-50 border border-amber-100 text-center">
+              <div className="text-3xl font-bold text-amber-900">
+                {myShifts.totals.hours}
+              </div>
+              <div className="text-sm text-amber-800">{t("seva.hoursServed")}</div>
+            </div>
+            <div className="p-4 rounded-lg bg-amber-50 border border-amber-100 text-center">
+              <div className="text-3xl font-bold text-amber-900">
+                {myShifts.totals.shifts}
+              </div>
+              <div className="text-sm text-amber-800">{t("seva.shiftsServed")}</div>
+            </div>
+          </div>
+
+          <h2 className="text-2xl font-bold text-amber-900 mb-4">
+            {t("seva.myShifts")}
+          </h2>
+          {upcomingMine.length === 0 && pastMine.length === 0 ? (
+            <p className="text-gray-600">{t("seva.noMyShifts")}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {[...upcomingMine, ...pastMine].map((shift) => {
+                const isPast = new Date(shift.endsAt) < now;
+                return (
+                  <li
+                    key={shift._id}
+                    className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-2"
+                  >
+                    <div>
+                      <div className="font-semibold text-gray-900">
+                        {sevaTitle(shift)}
+                      </div>
+                      <div className="text-sm text-gray-600">
+                        {formatShiftWhen(shift)}
+                        {shift.location ? ` · ${shift.location}` : ""}
+                      </div>
+                      {shift.status === "CANCELLED" && (
+                        <div className="text-sm text-red-700">
+                          {t("seva.shiftCancelled")}
+                        </div>
+                      )}
+                    </div>
+                    {isPast ? (
+                      <span className="text-sm text-gray-600">
+                        {shift.attendance === "PRESENT"
+                          ? t("seva.hoursCredited", { hours: shift.hoursCredited })
+                          : shift.attendance === "ABSENT"
+                            ? t("seva.markedAbsent")
+                            : t("seva.awaitingAttendance")}
+                      </span>
+                    ) : (
+                      shift.status === "OPEN" &&
+                      new Date(shift.startsAt) > now && (
+                        <button
+                          onClick={() => handleCancel(shift)}
+                          disabled={busyKey !== null}
+                          className="px-4 py-2 text-sm font-medium text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                        >
+                          {t("seva.cancelSignup")}
+                        </button>
+                      )
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        {/* Open shifts */}
+        <div>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+            <h2 className="text-2xl font-bold text-amber-900">
+              {t("seva.openShifts")}
+            </h2>
+            <div className="flex gap-2">
+              {["all", "mine"].map((value) => (
+                <button
+                  key={value}
+                  onClick={() => setShiftFilter(value)}
+                  className={`px-4 py-1.5 text-sm rounded-lg transition-colors ${
+                    shiftFilter === value
+                      ? "bg-amber-600 text-white"
+                      : "bg-amber-100 text-amber-800 hover:bg-amber-200"
+                  }`}
+                >
+                  {value === "all" ? t("seva.allShifts") : t("seva.mySevasOnly")}
+                </button>
+              ))}
+            </div>
+          </div>
+          {visibleShifts.length === 0 ? (
+            <p className="text-gray-600">{t("seva.noOpenShifts")}</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {visibleShifts.map((shift) => (
+                <div
+                  key={shift._id}
+                  className={`p-4 rounded-lg border ${
+                    shift.interested
+                      ? "border-amber-300 bg-amber-50"
+                      : "border-gray-200 bg-white"
+                  }`}
+                >
+                  <div className="font-semibold text-gray-900">
+                    {sevaTitle(shift)}
+                  </div>
+                  <div className="text-sm text-gray-600 mt-1">
+                    {formatShiftWhen(shift)}
+                  </div>
+                  {shift.location && (
+                    <div className="text-sm text-gray-600">{shift.location}</div>
+                  )}
+                  {shift.notes && (
+                    <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">
+                      {shift.notes}
+                    </p>
+                  )}
+                  <div className="flex items-center justify-between mt-3">
+                    <span className="text-sm text-amber-800">
+                      {t("seva.slotsLeft", {
+                        count: shift.slotsLeft,
+                        total: shift.slots,
+                      })}
+                    </span>
+                    {shift.claimed ? (
+                      <span className="text-sm font-semibold text-green-700">
+                        {t("seva.signedUp")}
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => handleClaim(shift)}
+                        disabled={busyKey !== null || shift.slotsLeft === 0}
+                        className="px-4 py-2 text-sm font-semibold bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50"
+                      >
+                        {shift.slotsLeft === 0 ? t("seva.full") : t("seva.signUp")}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Offer to help */}
+        <div>
+          <h2 className="text-2xl font-bold text-amber-900 mb-2">
+            {t("seva.offerTitle")}
+          </h2>
+          <p className="text-gray-600 mb-4">{t("seva.offerHint")}</p>
+          <textarea
+            rows={2}
+            maxLength={500}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={t("seva.notePlaceholder")}
+            className="w-full px-3 py-2 mb-6 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500"
+          />
+
+          <div className="space-y-6">
+            {activities
+              .filter((activity) => activity.subitems?.length > 0)
+              .map((activity) => (
+                <div key={activity._id}>
+                  <h3 className="font-semibold text-gray-900 mb-2">
+                    {getLocalizedText(activity.title)}
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                    {activity.subitems.map((subitem) => {
+                      const target = {
+                        activityId: activity._id,
+                        subitemId: subitem._id,
+                      };
+                      const offered = Boolean(findInterest(target));
+                      return (
+                        <button
+                          key={subitem._id}
+                          onClick={() => toggleInterest(target)}
+                          disabled={busyKey !== null}
+                          className={`px-4 py-2 text-sm rounded-lg border transition-colors disabled:opacity-50 ${
+                            offered
+                              ? "bg-amber-600 text-white border-amber-600"
+                              : "bg-white text-amber-800 border-amber-300 hover:bg-amber-50"
+                          }`}
+                        >
+                          {offered ? "✓ " : ""}
+                          {getLocalizedText(subitem.title)}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+
+            {events.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-2">
+                  {t("seva.upcomingEvents")}
+                </h3>
+                <div className="flex flex-wrap gap-2">
+                  {events
+                    // Recurring series are listed once per session
+                    .filter(
+                      (event, index, list) =>
+                        list.findIndex((e) => e._id === event._id) === index,
+                    )
+                    .map((event) => {
+                      const target = { eventId: event._id };
+                      const offered = Boolean(findInterest(target));
+                      return (
+                        <button
+                          key={event._id}
+                          onClick={() => toggleInterest(target)}
+                          disabled={busyKey !== null}
+                          className={`px-4 py-2 text-sm rounded-lg border transition-colors disabled:opacity-50 ${
+                            offered
+                              ? "bg-amber-600 text-white border-amber-600"
+                              : "bg-white text-amber-800 border-amber-300 hover:bg-amber-50"
+                          }`}
+                        >
+                          {offered ? "✓ " : ""}
+                          {getLocalizedText(event.title)}
+                        </button>
+                      );
+                    })}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default Seva;
@@ -0,0 +1,135 @@
+import { useEffect, useState } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import PrimaryButton from "../components/PrimaryButton";
+import { formatCurrency, formatDate } from "../utils/helpers";
+import { API_BASE_URL, parseJsonResponse } from "../utils/api";
+
+// Banner colours and texts per receipt status
+const STATUS_STYLES = {
+  VALID: { box: "bg-green-50 border-green-200", title: "text-green-800", key: "valid" },
+  PARTIALLY_REFUNDED: { box: "bg-amber-50 border-amber-200", title: "text-amber-800", key: "partiallyRefunded" },
+  CANCELLED: { box: "bg-red-50 border-red-200", title: "text-red-800", key: "cancelled" },
+};
+
+/**
+ * Receipt Verification Page
+ *
+ * Confirms a donation receipt from the code printed on it.
+ * Route: /verify-receipt (type the code) or /verify-receipt/:code (opened from the receipt QR)
+ */
+const VerifyReceipt = () => {
+  const { code: codeParam } = useParams();
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+
+  const [code, setCode] = useState(codeParam || "");
+  const [status, setStatus] = useState("idle"); // 'idle' | 'verifying' | 'found' | 'error'
+  const [receipt, setReceipt] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    if (!codeParam) return;
+
+    const verify = async () => {
+      try {
+        setStatus("verifying");
+        setReceipt(null);
+        const response = await fetch(
+          `${API_BASE_URL}/public/receipts/verify/${encodeURIComponent(codeParam)}`,
+        );
+        const result = await parseJsonResponse(response);
+
+        if (response.ok && result.valid) {
+          setReceipt(result.receipt);
+          setStatus("found");
+        } else {
+          setStatus("error");
+          setErrorMessage(response.status === 404 ? t("verifyReceipt.notFound") : result.message);
+        }
+      } catch (err) {
+        console.error("Receipt verification error:", err);
+        setStatus("error");
+        setErrorMessage(t("verifyReceipt.networkError"));
+      }
+    };
+
+    verify();
+  }, [codeParam, t]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = code.trim().toUpperCase();
+    if (!trimmed) return;
+    navigate(`/verify-receipt/${encodeURIComponent(trimmed)}`);
+  };
+
+  const style = receipt ? STATUS_STYLES[receipt.status] || STATUS_STYLES.VALID : null;
+
+  return (
+    <div className="min-h-[70vh] bg-amber-50 flex items-center justify-center px-4 py-16">
+      <div className="max-w-md w-full bg-white border border-amber-100 rounded-2xl shadow-lg p-8">
+        <h1 className="text-2xl font-bold text-amber-900 mb-2 text-center">
+          {t("verifyReceipt.title")}
+        </h1>
+        <p className="text-gray-600 text-sm text-center mb-6">{t("verifyReceipt.subtitle")}</p>
+
+        <form onSubmit={handleSubmit} className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("verifyReceipt.codeLabel")}
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder={t("verifyReceipt.codePlaceholder")}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md uppercase tracking-wider focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+            <PrimaryButton type="submit" disabled={status === "verifying" || !code.trim()}>
+              {status === "verifying" ? t("verifyReceipt.verifying") : t("verifyReceipt.verify")}
+            </PrimaryButton>
+          </div>
+        </form>
+
+        {status === "error" && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {errorMessage}
+          </div>
+        )}
+
+        {status === "found" && receipt && (
+          <div className={`p-4 border rounded-lg ${style.box}`}>
+            <h2 className={`text-lg font-semibold ${style.title}`}>
+              {t(`verifyReceipt.${style.key}`)}
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">{t(`verifyReceipt.${style.key}Note`)}</p>
+
+            <dl className="grid grid-cols-2 gap-y-2 text-sm">
+              <dt className="text-gray-500">{t("verifyReceipt.receiptNumber")}</dt>
+              <dd className="font-medium text-gray-900">{receipt.receiptNumber}</dd>
+              <dt className="text-gray-500">{t("verifyReceipt.date")}</dt>
+              <dd className="font-medium text-gray-900">{formatDate(receipt.date)}</dd>
+              <dt className="text-gray-500">{t("verifyReceipt.amount")}</dt>
+              <dd className="font-medium text-gray-900">{formatCurrency(receipt.amount)}</dd>
+              {receipt.refundedAmount > 0 && (
+                <>
+                  <dt className="text-gray-500">{t("verifyReceipt.refunded")}</dt>
+                  <dd className="font-medium text-gray-900">{formatCurrency(receipt.refundedAmount)}</dd>
+                </>
+              )}
+              <dt className="text-gray-500">{t("verifyReceipt.pan")}</dt>
+              <dd className="font-medium text-gray-900">{receipt.pan}</dd>
+              <dt className="text-gray-500">{t("verifyReceipt.cause")}</dt>
+              <dd className="font-medium text-gray-900">{receipt.cause}</dd>
+            </dl>
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500 text-center mt-6">{t("verifyReceipt.privacyNote")}</p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyReceipt;
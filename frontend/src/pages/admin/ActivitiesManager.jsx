@@ -313,6 +313,8 @@ const ActivitiesManager = () => {
               <MultilingualInput
                 label="Title"
                 value={formData.title}
+                machineTranslated={editingItem?.machineTranslated}
+                path="title"
                 onChange={(val) => setFormData({ ...formData, title: val })}
                 required
                 type="text"
@@ -321,6 +323,8 @@ const ActivitiesManager = () => {
               <MultilingualInput
                 label="Short Description"
                 value={formData.shortDescription}
+                machineTranslated={editingItem?.machineTranslated}
+                path="description"
                 onChange={(val) =>
                   setFormData({ ...formData, shortDescription: val })
                 }
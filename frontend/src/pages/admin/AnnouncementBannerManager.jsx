@@ -286,6 +286,8 @@ const AnnouncementBannerManager = () => {
               <MultilingualInput
                 label="Announcement Text"
                 value={formData.text}
+                machineTranslated={editingItem?.machineTranslated}
+                path="text"
                 onChange={(val) => setFormData({ ...formData, text: val })}
                 required
                 type="text"
@@ -294,6 +296,8 @@ const AnnouncementBannerManager = () => {
               <MultilingualInput
                 label="Link Text"
                 value={formData.linkText}
+                machineTranslated={editingItem?.machineTranslated}
+                path="linkText"
                 onChange={(val) => setFormData({ ...formData, linkText: val })}
                 type="text"
               />
@@ -0,0 +1,389 @@
+import { useState, useEffect, useCallback } from "react";
+import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
+
+/**
+ * AuditLogView - System Admin browser for the persistent audit trail
+ *
+ * Features:
+ * - Filter by action, actor (name / email / mobile / user ID) and date range
+ * - Paginated table with expandable details
+ * - CSV export of all matching entries (server-side, up to 10,000 rows)
+ */
+const EMPTY_FILTERS = { action: "", actor: "", from: "", to: "" };
+
+const SEVERITY_STYLES = {
+  INFO: "bg-gray-100 text-gray-700",
+  WARN: "bg-amber-100 text-amber-800",
+  HIGH: "bg-red-100 text-red-800",
+};
+
+const buildQuery = (filters, extra = {}) => {
+  const params = new URLSearchParams();
+  Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+    if (value !== "" && value !== undefined && value !== null) {
+      params.set(key, value);
+    }
+  });
+  return params.toString();
+};
+
+const AuditLogView = () => {
+  const [logs, setLogs] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 50,
+    total: 0,
+    totalPages: 0,
+  });
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch one page of audit logs for the applied filters
+   */
+  const fetchLogs = useCallback(
+    async (page = 1) => {
+      try {
+        setLoading(true);
+        setError(null);
+        const token = localStorage.getItem("token");
+
+        if (!token) {
+          setError("Authentication required");
+          return;
+        }
+
+        const response = await fetch(
+          `${API_BASE_URL}/admin/system/audit-logs?${buildQuery(appliedFilters, { page, limit: 50 })}`,
+          { headers: { Authorization: `Bearer ${token}` } },
+        );
+
+        const data = await parseJsonResponse(response);
+        if (!response.ok) {
+          throw new Error(data.message || "Failed to fetch audit logs");
+        }
+
+        setLogs(data.logs || []);
+        setPagination(
+          data.pagination || { page: 1, limit: 50, total: 0, totalPages: 0 },
+        );
+      } catch (err) {
+        console.error("Error fetching audit logs:", err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [appliedFilters],
+  );
+
+  /**
+   * Fetch distinct actions for the filter dropdown
+   */
+  const fetchActions = useCallback(async () => {
+    try {
+      const token = localStorage.getItem("token");
+      if (!token) return;
+
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/audit-logs/actions`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      if (response.ok) {
+        const data = await parseJsonResponse(response);
+        setActions(data.actions || []);
+      }
+    } catch (err) {
+      console.error("Error fetching audit actions:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLogs(1);
+  }, [fetchLogs]);
+
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  /**
+   * Download all matching entries as CSV
+   */
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const token = localStorage.getItem("token");
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/audit-logs?${buildQuery(appliedFilters, { format: "csv" })}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to export audit log");
+      }
+
+      const blob = await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `audit_log_${new Date().toISOString().split("T")[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatDateTime = (date) =>
+    new Date(date).toLocaleString("en-IN", {
+      day: "2-digit",
+      month: "short",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600 text-sm mt-1">
+            Approvals, KYC views, offline donations and other sensitive actions
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting || pagination.total === 0}
+          className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {exporting ? "Exporting..." : "Export CSV"}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={handleSearch}
+        className="bg-white rounded-lg shadow-md border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-5 gap-3"
+      >
+        <select
+          value={filters.action}
+          onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        >
+          <option value="">All actions</option>
+          {actions.map((action) => (
+            <option key={action} value={action}>
+              {action}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.actor}
+          onChange={(e) => setFilters({ ...filters, actor: e.target.value })}
+          placeholder="Actor name, email or ID"
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          title="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          title="To date"
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm"
+          >
+            Search
+          </button>
+          <button
+            type="button"
+            onClick={handleReset}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Reset
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {/* Log Table */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        {loading && logs.length === 0 ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Loading audit log...</span>
+          </div>
+        ) : logs.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">
+            No audit entries match these filters
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Time
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Action
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actor
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Target
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    IP
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {logs.map((log) => (
+                  <AuditRow
+                    key={log._id}
+                    log={log}
+                    expanded={expandedId === log._id}
+                    onToggle={() =>
+                      setExpandedId(expandedId === log._id ? null : log._id)
+                    }
+                    formatDateTime={formatDateTime}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+            <p className="text-sm text-gray-500">{pagination.total} entries</p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => fetchLogs(pagination.page - 1)}
+                disabled={pagination.page <= 1}
+                className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Previous
+              </button>
+              <span className="px-3 py-1 text-sm text-gray-600">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => fetchLogs(pagination.page + 1)}
+                disabled={pagination.page >= pagination.totalPages}
+                className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Audit Row Component - click to show message and details
+ */
+const AuditRow = ({ log, expanded, onToggle, formatDateTime }) => {
+  const actor = log.actor?.id;
+  const hasDetails = log.details && Object.keys(log.details).length > 0;
+
+  return (
+    <>
+      <tr className="hover:bg-gray-50 cursor-pointer" onClick={onToggle}>
+        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+          {formatDateTime(log.createdAt)}
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap">
+          <span
+            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+              SEVERITY_STYLES[log.severity] || SEVERITY_STYLES.INFO
+            }`}
+          >
+            {log.action}
+          </span>
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+          {actor ? (
+            <>
+              <div>{actor.fullName}</div>
+              <div className="text-xs text-gray-500">{actor.email}</div>
+            </>
+          ) : (
+            <span className="text-gray-400">System</span>
+          )}
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+          {log.target?.type ? (
+            <>
+              <div>{log.target.label || log.target.id}</div>
+              <div className="text-xs text-gray-500">{log.target.type}</div>
+            </>
+          ) : (
+            "-"
+          )}
+        </td>
+        <td className="px-4 py-3 whitespace-nowrap text-xs font-mono text-gray-500">
+          {log.ip || "-"}
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="bg-gray-50">
+          <td colSpan={5} className="px-4 py-3 text-sm text-gray-700">
+            {log.message && <p className="mb-2">{log.message}</p>}
+            {log.target?.id && (
+              <p className="text-xs text-gray-500 mb-2 font-mono">
+                {log.target.type} ID: {log.target.id}
+              </p>
+            )}
+            {hasDetails && (
+              <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto">
+                {JSON.stringify(log.details, null, 2)}
+              </pre>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export default AuditLogView;
@@ -449,6 +449,8 @@ const BannerSliderManager = () => {
               <MultilingualInput
                 label="Title"
                 value={formData.title}
+                machineTranslated={editingItem?.machineTranslated}
+                path="title"
                 onChange={(val) => setFormData({ ...formData, title: val })}
                 required
                 placeholder="Banner headline..."
@@ -458,6 +460,8 @@ const BannerSliderManager = () => {
               <MultilingualInput
                 label="Subtitle"
                 value={formData.subtitle}
+                machineTranslated={editingItem?.machineTranslated}
+                path="subtitle"
                 onChange={(val) => setFormData({ ...formData, subtitle: val })}
                 placeholder="Optional subheading..."
               />
@@ -466,6 +470,8 @@ const BannerSliderManager = () => {
               <MultilingualInput
                 label="Description"
                 value={formData.description}
+                machineTranslated={editingItem?.machineTranslated}
+                path="description"
                 onChange={(val) =>
                   setFormData({ ...formData, description: val })
                 }
@@ -478,6 +484,8 @@ const BannerSliderManager = () => {
               <MultilingualInput
                 label="CTA Button Text"
                 value={formData.ctaText}
+                machineTranslated={editingItem?.machineTranslated}
+                path="ctaText"
                 onChange={(val) => setFormData({ ...formData, ctaText: val })}
                 placeholder="e.g., Donate Now"
               />
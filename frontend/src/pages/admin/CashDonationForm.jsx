@@ -12,6 +12,12 @@ const PAYMENT_METHODS = [
   { value: "CHEQUE", label: "Cheque" },
 ];
 
+const RECEIPT_LANGUAGES = [
+  { value: "en", label: "English" },
+  { value: "hi", label: "हिन्दी (Hindi)" },
+  { value: "mr", label: "मराठी (Marathi)" },
+];
+
 const INDIAN_STATES = [
   "Andhra Pradesh", "Arunachal Pradesh", "Assam", "Bihar", "Chhattisgarh",
   "Goa", "Gujarat", "Haryana", "Himachal Pradesh", "Jharkhand",
@@ -45,6 +51,7 @@ const CashDonationForm = () => {
     paymentDate: new Date().toISOString().split("T")[0],
     // Payment method
     paymentMethod: "CASH",
+    receiptLanguage: "en",
     // Payment detail fields (conditionally required)
     utrNumber: "",
     chequeNumber: "",
@@ -212,6 +219,7 @@ const CashDonationForm = () => {
         amount: parseInt(formData.amount),
         paymentDate: formData.paymentDate,
         paymentMethod: formData.paymentMethod,
+        receiptLanguage: formData.receiptLanguage,
       };
 
       // Add payment-specific details
@@ -244,7 +252,7 @@ const CashDonationForm = () => {
       setSuccess({
         donationId: data.donationId,
         receiptNumber: data.receiptNumber,
-        receiptUrl: data.receiptUrl,
+        receiptGenerated: data.receiptGenerated,
         transactionRef: data.transactionRef,
         paymentMethod: data.paymentMethod || formData.paymentMethod,
         amount: parseInt(formData.amount),
@@ -258,10 +266,36 @@ const CashDonationForm = () => {
     }
   };
 
-  const handleDownloadReceipt = () => {
-    if (success?.receiptUrl) {
-      // Use relative path for receipts served from same origin
-      window.open(success.receiptUrl, "_blank");
+  const handleDownloadReceipt = async () => {
+    if (!success?.receiptGenerated) return;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/donations/${success.donationId}/receipt`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      );
+
+      if (!response.ok) {
+        const data = await parseJsonResponse(response);
+        throw new Error(data.message || "Receipt not available");
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `receipt-${success.receiptNumber || success.donationId}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error("Receipt download error:", err);
+      alert(err.message || "Failed to download receipt.");
     }
   };
 
@@ -283,6 +317,7 @@ const CashDonationForm = () => {
       amount: "",
       paymentDate: new Date().toISOString().split("T")[0],
       paymentMethod: "CASH",
+      receiptLanguage: "en",
       utrNumber: "",
       chequeNumber: "",
       bankName: "",
@@ -334,7 +369,7 @@ const CashDonationForm = () => {
           </div>
 
           <div className="mt-8 flex flex-col sm:flex-row gap-4 justify-center">
-            {success.receiptUrl && (
+            {success.receiptGenerated && (
               <button
                 onClick={handleDownloadReceipt}
                 className="inline-flex items-center justify-center px-6 py-3 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors"
@@ -715,6 +750,25 @@ const CashDonationForm = () => {
               </select>
             </div>
 
+            {/* Receipt Language */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Receipt Language
+              </label>
+              <select
+                name="receiptLanguage"
+                value={formData.receiptLanguage}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              >
+                {RECEIPT_LANGUAGES.map((lang) => (
+                  <option key={lang.value} value={lang.value}>
+                    {lang.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* UPI-specific: UTR Number */}
             {formData.paymentMethod === "UPI" && (
               <div className="md:col-span-2">
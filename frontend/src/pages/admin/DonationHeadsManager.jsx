@@ -354,6 +354,8 @@ const DonationHeadsManager = () => {
                   <MultilingualInput
                     label="Display Name"
                     value={formData.name}
+                    machineTranslated={editingHead?.machineTranslated}
+                    path="name"
                     onChange={(val) => setFormData({ ...formData, name: val })}
                     placeholder="Annadan Seva, Education Support"
                     required
@@ -364,6 +366,8 @@ const DonationHeadsManager = () => {
                 <MultilingualInput
                   label="Short Description"
                   value={formData.description}
+                  machineTranslated={editingHead?.machineTranslated}
+                  path="description"
                   onChange={(val) =>
                     setFormData({ ...formData, description: val })
                   }
@@ -377,6 +381,8 @@ const DonationHeadsManager = () => {
                 <MultilingualInput
                   label="Long Description (Optional)"
                   value={formData.longDescription}
+                  machineTranslated={editingHead?.machineTranslated}
+                  path="longDescription"
                   onChange={(val) =>
                     setFormData({ ...formData, longDescription: val })
                   }
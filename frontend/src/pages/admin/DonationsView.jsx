@@ -1,95 +1,149 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../context/AuthContext";
 import { formatCurrency, formatDate } from "../../utils/helpers";
-import { Plus, Download, RefreshCw } from "lucide-react";
+import { Plus, Download, RefreshCw, Undo2 } from "lucide-react";
 import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
 
+// Statuses with a valid receipt (partial refunds keep the remainder)
+const RECEIPT_STATUSES = ["SUCCESS", "PARTIALLY_REFUNDED"];
+
+const PAGE_SIZE = 50;
+
 const DonationsView = () => {
   const navigate = useNavigate();
   const { token } = useAuth();
   
   const [donations, setDonations] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState("");
-  
+
+  // Filter options
+  const [causes, setCauses] = useState([]);
+  const [collectors, setCollectors] = useState([]);
+
   // Filters
   const [dateFrom, setDateFrom] = useState("");
   const [dateTo, setDateTo] = useState("");
   const [causeFilter, setCauseFilter] = useState("all");
   const [paymentMethodFilter, setPaymentMethodFilter] = useState("all");
   const [statusFilter, setStatusFilter] = useState("all");
+  const [collectorFilter, setCollectorFilter] = useState("all");
   const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+
+  // Refund modal
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [refundAmount, setRefundAmount] = useState("");
+  const [refundReason, setRefundReason] = useState("");
+  const [refundReference, setRefundReference] = useState("");
+  const [refundLoading, setRefundLoading] = useState(false);
 
-  // Fetch donations from API
-  // Fetch donations from API
-  const fetchDonations = async () => {
-    setIsLoading(true);
+  // Same filters go to the list and the summary (getReports)
+  const buildFilterParams = () => {
+    const params = new URLSearchParams();
+    if (paymentMethodFilter !== "all") params.append("paymentMethod", paymentMethodFilter);
+    if (statusFilter !== "all") params.append("status", statusFilter);
+    if (causeFilter !== "all") params.append("donationHead", causeFilter);
+    if (collectorFilter !== "all") params.append("collector", collectorFilter);
+    if (dateFrom) params.append("startDate", dateFrom);
+    if (dateTo) params.append("endDate", dateTo);
+    if (debouncedSearch) params.append("search", debouncedSearch);
+    return params;
+  };
+
+  /**
+   * Fetch the first page (or the next one with loadMore) plus the filtered summary
+   */
+  const fetchDonations = async ({ loadMore = false } = {}) => {
+    if (loadMore) {
+      setIsLoadingMore(true);
+    } else {
+      setIsLoading(true);
+    }
     setError("");
-    
+
     try {
-      const params = new URLSearchParams();
-      if (paymentMethodFilter !== "all") params.append("paymentMethod", paymentMethodFilter);
-      if (statusFilter !== "all") params.append("status", statusFilter);
-      if (dateFrom) params.append("startDate", dateFrom);
-      if (dateTo) params.append("endDate", dateTo);
+      const params = buildFilterParams();
+      const headers = { Authorization: `Bearer ${token}` };
 
-      const response = await fetch(
-        `${API_BASE_URL}/admin/system/donations?${params.toString()}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
+      const listParams = new URLSearchParams(params);
+      listParams.append("limit", PAGE_SIZE);
+      if (loadMore && nextCursor) listParams.append("cursor", nextCursor);
 
-      if (!response.ok) {
+      const [listRes, summaryRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/admin/system/donations?${listParams.toString()}`, { headers }),
+        loadMore
+          ? null
+          : fetch(`${API_BASE_URL}/admin/system/reports?${params.toString()}`, { headers }),
+      ]);
+
+      if (!listRes.ok || (summaryRes && !summaryRes.ok)) {
         throw new Error("Failed to fetch donations");
       }
 
-      const data = await parseJsonResponse(response);
-      setDonations(data);
+      const data = await parseJsonResponse(listRes);
+      setDonations((prev) => (loadMore ? [...prev, ...data.donations] : data.donations));
+      setNextCursor(data.nextCursor);
+      if (!loadMore) {
+        setTotal(data.total);
+        setSummary(await parseJsonResponse(summaryRes));
+      }
     } catch (err) {
       setError(err.message || "Failed to load donations");
       console.error("Fetch donations error:", err);
     } finally {
       setIsLoading(false);
+      setIsLoadingMore(false);
     }
   };
 
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
   useEffect(() => {
     if (token) {
       fetchDonations();
     }
-  }, [token, paymentMethodFilter, statusFilter, dateFrom, dateTo]);
-
-  // Get unique causes from donations
-  const causes = useMemo(() => {
-    const uniqueCauses = new Set(donations.map(d => d.donationHead?.name).filter(Boolean));
-    return Array.from(uniqueCauses).sort();
-  }, [donations]);
-
-  // Filter donations (client-side for cause and search)
-  const filteredDonations = useMemo(() => {
-    return donations.filter(donation => {
-      // Cause filter
-      if (causeFilter !== "all" && donation.donationHead?.name !== causeFilter) return false;
-
-      // Search filter
-      if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        const donorName = donation.donor?.anonymousDisplay 
-          ? "Anonymous" 
-          : donation.donor?.name || "";
-        return donorName.toLowerCase().includes(query);
+  }, [token, paymentMethodFilter, statusFilter, causeFilter, collectorFilter, dateFrom, dateTo, debouncedSearch]);
+
+  // Cause and collector options for the filters
+  useEffect(() => {
+    if (!token) return;
+
+    const fetchFilterOptions = async () => {
+      try {
+        const headers = { Authorization: `Bearer ${token}` };
+        const [reportsRes, collectorsRes] = await Promise.all([
+          fetch(`${API_BASE_URL}/admin/system/reports`, { headers }),
+          fetch(`${API_BASE_URL}/admin/system/collectors?limit=100`, { headers }),
+        ]);
+
+        if (reportsRes.ok) {
+          const reports = await parseJsonResponse(reportsRes);
+          setCauses(reports.byDonationHead.map((item) => item._id).filter(Boolean).sort());
+        }
+        if (collectorsRes.ok) {
+          const data = await parseJsonResponse(collectorsRes);
+          setCollectors(data.collectors || []);
+        }
+      } catch (err) {
+        console.error("Fetch filter options error:", err);
       }
+    };
 
-      return true;
-    });
-  }, [donations, causeFilter, searchQuery]);
+    fetchFilterOptions();
+  }, [token]);
 
   const handleDownloadReceipt = async (donation) => {
-    if (!donation._id || donation.status !== "SUCCESS") return;
+    if (!donation._id || !RECEIPT_STATUSES.includes(donation.status)) return;
 
     try {
       const response = await fetch(
@@ -120,17 +174,81 @@ const DonationsView = () => {
     }
   };
 
+  /**
+   * Amount still refundable (excludes refunds waiting on Razorpay)
+   */
+  const getRefundable = (donation) => {
+    const pending = (donation.refunds || [])
+      .filter((r) => r.status === "PENDING")
+      .reduce((sum, r) => sum + r.amount, 0);
+    return donation.amount - (donation.refundedAmount || 0) - pending;
+  };
+
+  const openRefundModal = (donation) => {
+    setRefundTarget(donation);
+    setRefundAmount(String(getRefundable(donation)));
+    setRefundReason("");
+    setRefundReference("");
+  };
+
+  const closeRefundModal = () => {
+    setRefundTarget(null);
+    setRefundAmount("");
+    setRefundReason("");
+    setRefundReference("");
+  };
+
+  const handleRefund = async () => {
+    if (!refundTarget || !refundReason.trim()) return;
+
+    try {
+      setRefundLoading(true);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/donations/${refundTarget._id}/refund`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            amount: Number(refundAmount),
+            reason: refundReason.trim(),
+            reference: refundReference.trim() || undefined,
+          }),
+        }
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to refund donation");
+      }
+
+      alert(data.message);
+      closeRefundModal();
+      await fetchDonations();
+    } catch (err) {
+      console.error("Refund error:", err);
+      alert(err.message);
+    } finally {
+      setRefundLoading(false);
+    }
+  };
+
   const clearFilters = () => {
     setDateFrom("");
     setDateTo("");
     setCauseFilter("all");
     setPaymentMethodFilter("all");
     setStatusFilter("all");
+    setCollectorFilter("all");
     setSearchQuery("");
   };
 
   const hasActiveFilters = dateFrom || dateTo || causeFilter !== "all" || 
-    paymentMethodFilter !== "all" || statusFilter !== "all" || searchQuery;
+    paymentMethodFilter !== "all" || statusFilter !== "all" || collectorFilter !== "all" || searchQuery;
+
+  const methodTotal = (method) => summary?.byPaymentMethod?.[method]?.amount || 0;
 
   return (
     <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6 overflow-hidden">
@@ -155,7 +273,7 @@ const DonationsView = () => {
         <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-md text-red-700 flex items-center justify-between">
           <span>{error}</span>
           <button
-            onClick={fetchDonations}
+            onClick={() => fetchDonations()}
             className="text-red-700 hover:text-red-800 font-medium"
           >
             Retry
@@ -165,7 +283,7 @@ const DonationsView = () => {
 
       {/* Filters */}
       <div className="mb-6 space-y-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
-        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-7 gap-4">
           {/* Date From */}
           <div>
             <label className="block text-xs font-semibold text-gray-700 mb-1">
@@ -224,6 +342,8 @@ const DonationsView = () => {
               <option value="SUCCESS">Success</option>
               <option value="PENDING">Pending</option>
               <option value="FAILED">Failed</option>
+              <option value="PARTIALLY_REFUNDED">Partially Refunded</option>
+              <option value="REFUNDED">Refunded</option>
             </select>
           </div>
 
@@ -244,6 +364,25 @@ const DonationsView = () => {
             </select>
           </div>
 
+          {/* Collector Filter */}
+          <div>
+            <label className="block text-xs font-semibold text-gray-700 mb-1">
+              Collector
+            </label>
+            <select
+              value={collectorFilter}
+              onChange={(e) => setCollectorFilter(e.target.value)}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+            >
+              <option value="all">All Collectors</option>
+              {collectors.map(collector => (
+                <option key={collector.collectorId} value={collector.collectorId}>
+                  {collector.collectorName}
+                </option>
+              ))}
+            </select>
+          </div>
+
           {/* Search */}
           <div>
             <label className="block text-xs font-semibold text-gray-700 mb-1">
@@ -253,7 +392,7 @@ const DonationsView = () => {
               type="text"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Search by name..."
+              placeholder="Name, mobile or receipt no..."
               className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
             />
           </div>
@@ -270,7 +409,7 @@ const DonationsView = () => {
             </button>
           )}
           <button
-            onClick={fetchDonations}
+            onClick={() => fetchDonations()}
             disabled={isLoading}
             className="text-sm text-gray-600 hover:text-gray-700 font-medium inline-flex items-center disabled:opacity-50"
           >
@@ -316,17 +455,20 @@ const DonationsView = () => {
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
                     Receipt
                   </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
+                    Actions
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {filteredDonations.length === 0 ? (
+                {donations.length === 0 ? (
                   <tr>
-                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
+                    <td colSpan={8} className="px-4 py-8 text-center text-gray-500">
                       No donations found
                     </td>
                   </tr>
                 ) : (
-                  filteredDonations.map((donation) => (
+                  donations.map((donation) => (
                     <tr key={donation._id} className="hover:bg-gray-50">
                       <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
                         {formatDate(donation.createdAt)}
@@ -338,6 +480,11 @@ const DonationsView = () => {
                       </td>
                       <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">
                         {formatCurrency(donation.amount)}
+                        {donation.refundedAmount > 0 && (
+                          <div className="text-xs font-normal text-red-600">
+                            -{formatCurrency(donation.refundedAmount)} refunded
+                          </div>
+                        )}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-700 max-w-[160px] truncate" title={donation.donationHead?.name}>
                         {donation.donationHead?.name || donation.cause || "General Seva"}
@@ -364,14 +511,16 @@ const DonationsView = () => {
                             ? "bg-green-100 text-green-800"
                             : donation.status === "PENDING"
                             ? "bg-yellow-100 text-yellow-800"
+                            : donation.status === "PARTIALLY_REFUNDED" || donation.status === "REFUNDED"
+                            ? "bg-gray-100 text-gray-800"
                             : "bg-red-100 text-red-800"
                         }`}
                       >
-                        {donation.status}
+                        {donation.status.replace("_", " ")}
                       </span>
                     </td>
                     <td className="px-4 py-3 whitespace-nowrap text-sm">
-                      {donation.status === "SUCCESS" ? (
+                      {RECEIPT_STATUSES.includes(donation.status) ? (
                         <button
                           type="button"
                           onClick={() => handleDownloadReceipt(donation)}
@@ -380,10 +529,26 @@ const DonationsView = () => {
                           <Download className="w-4 h-4 mr-1" />
                           Download
                         </button>
+                      ) : donation.status === "REFUNDED" ? (
+                        <span className="text-gray-400">Cancelled</span>
                       ) : (
                         <span className="text-gray-400">N/A</span>
                       )}
                     </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      {RECEIPT_STATUSES.includes(donation.status) && getRefundable(donation) > 0 ? (
+                        <button
+                          type="button"
+                          onClick={() => openRefundModal(donation)}
+                          className="text-red-600 hover:text-red-700 hover:underline font-medium inline-flex items-center cursor-pointer"
+                        >
+                          <Undo2 className="w-4 h-4 mr-1" />
+                          Refund
+                        </button>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
                   </tr>
                 ))
               )}
@@ -393,53 +558,113 @@ const DonationsView = () => {
         </div>
       )}
 
-      {/* Summary */}
-      {!isLoading && filteredDonations.length > 0 && (
+      {/* Load More */}
+      {!isLoading && nextCursor && (
+        <div className="mt-4 text-center">
+          <button
+            onClick={() => fetchDonations({ loadMore: true })}
+            disabled={isLoadingMore}
+            className="px-4 py-2 text-sm font-medium text-amber-700 border border-amber-600 rounded-md hover:bg-amber-50 disabled:opacity-50"
+          >
+            {isLoadingMore ? "Loading..." : `Load more (${donations.length} of ${total})`}
+          </button>
+        </div>
+      )}
+
+      {/* Summary - from getReports, covers every matching donation (not just loaded pages) */}
+      {!isLoading && donations.length > 0 && summary && (
         <div className="mt-6 p-4 bg-amber-50 rounded-lg border border-amber-200">
           <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2">
             <span className="text-sm font-medium text-gray-700">
-              Total Records: {filteredDonations.length}
+              Total Records: {total}
             </span>
             <div className="flex flex-wrap gap-4">
               <span className="text-sm text-gray-700">
-                Online: {formatCurrency(
-                  filteredDonations
-                    .filter(d => d.paymentMethod === "ONLINE" && d.status === "SUCCESS")
-                    .reduce((sum, d) => sum + d.amount, 0)
-                )}
+                Online: {formatCurrency(methodTotal("ONLINE"))}
               </span>
               <span className="text-sm text-gray-700">
-                Cash: {formatCurrency(
-                  filteredDonations
-                    .filter(d => d.paymentMethod === "CASH" && d.status === "SUCCESS")
-                    .reduce((sum, d) => sum + d.amount, 0)
-                )}
+                Cash: {formatCurrency(methodTotal("CASH"))}
               </span>
               <span className="text-sm text-gray-700">
-                UPI: {formatCurrency(
-                  filteredDonations
-                    .filter(d => d.paymentMethod === "UPI" && d.status === "SUCCESS")
-                    .reduce((sum, d) => sum + d.amount, 0)
-                )}
+                UPI: {formatCurrency(methodTotal("UPI"))}
               </span>
               <span className="text-sm text-gray-700">
-                Cheque: {formatCurrency(
-                  filteredDonations
-                    .filter(d => d.paymentMethod === "CHEQUE" && d.status === "SUCCESS")
-                    .reduce((sum, d) => sum + d.amount, 0)
-                )}
+                Cheque: {formatCurrency(methodTotal("CHEQUE"))}
               </span>
               <span className="text-sm font-semibold text-amber-900">
-                Total: {formatCurrency(
-                  filteredDonations
-                    .filter(d => d.status === "SUCCESS")
-                    .reduce((sum, d) => sum + d.amount, 0)
-                )}
+                Total: {formatCurrency(summary.totalAmount)}
               </span>
             </div>
           </div>
         </div>
       )}
+
+      {/* Refund Modal */}
+      {refundTarget && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md">
+            <h3 className="text-lg font-bold text-gray-900 mb-2">Refund Donation</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {refundTarget.paymentMethod === "ONLINE" || !refundTarget.paymentMethod
+                ? "The refund will be sent to the donor through Razorpay."
+                : `Record a refund already paid back by ${refundTarget.paymentMethod}.`}{" "}
+              Refundable: {formatCurrency(getRefundable(refundTarget))}
+            </p>
+
+            <label className="block text-xs font-semibold text-gray-700 mb-1">
+              Amount (Rs)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max={getRefundable(refundTarget)}
+              value={refundAmount}
+              onChange={(e) => setRefundAmount(e.target.value)}
+              className="w-full mb-3 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+            />
+
+            {refundTarget.paymentMethod && refundTarget.paymentMethod !== "ONLINE" && (
+              <>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">
+                  Reference (UTR / cheque number)
+                </label>
+                <input
+                  type="text"
+                  value={refundReference}
+                  onChange={(e) => setRefundReference(e.target.value)}
+                  className="w-full mb-3 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                />
+              </>
+            )}
+
+            <label className="block text-xs font-semibold text-gray-700 mb-1">
+              Reason
+            </label>
+            <textarea
+              value={refundReason}
+              onChange={(e) => setRefundReason(e.target.value)}
+              placeholder="e.g. Duplicate payment"
+              className="w-full h-20 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500 resize-none"
+            />
+
+            <div className="flex gap-3 mt-4">
+              <button
+                onClick={closeRefundModal}
+                className="flex-1 py-2 bg-gray-200 text-gray-800 rounded-md font-medium hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRefund}
+                disabled={refundLoading || !refundReason.trim() || !(Number(refundAmount) > 0)}
+                className="flex-1 py-2 bg-red-600 text-white rounded-md font-medium hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {refundLoading ? "Refunding..." : "Confirm Refund"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
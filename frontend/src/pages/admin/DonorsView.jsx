@@ -1,147 +1,225 @@
-import { useState, useEffect, useMemo } from "react";
-import { useAuth } from "../../context/AuthContext";
-import { formatCurrency } from "../../utils/helpers";
+import { useState, useEffect, useCallback } from "react";
+import { formatCurrency, formatDate } from "../../utils/helpers";
 import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
 
+/**
+ * DonorsView - System Admin donor registry
+ *
+ * Features:
+ * - One record per donor, de-duplicated by PAN and mobile on the server
+ * - Lifetime giving, first / last gift, causes supported and linked account
+ * - Possible duplicates (similar names sharing a mobile, email or account)
+ *   with merge / "not the same person"
+ * - Manual merge of donors selected in the list
+ */
+const PAGE_SIZE = 50;
+
+const REASON_LABELS = {
+  SAME_MOBILE: "Same mobile",
+  SAME_EMAIL: "Same email",
+  SAME_ACCOUNT: "Same account",
+  SIMILAR_NAME: "Similar name",
+};
+
+const STATUS_COLORS = {
+  SUCCESS: "text-green-600",
+  PARTIALLY_REFUNDED: "text-orange-600",
+  PENDING: "text-yellow-600",
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem("token")}`,
+});
+
+const maskedPan = (donor) => (donor.panLast4 ? `******${donor.panLast4}` : "N/A");
+
 const DonorsView = () => {
-  const { user } = useAuth();
+  const [tab, setTab] = useState("donors");
   const [donors, setDonors] = useState([]);
-  const [donations, setDonations] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, totalPages: 1 });
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState("");
-  const [selectedDonor, setSelectedDonor] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busy, setBusy] = useState(false);
 
-  // Fetch donors and donations from API
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const token = localStorage.getItem("token");
-        if (!token) {
-          setError("Authentication required");
-          return;
-        }
-
-        // Fetch donations to get donor info
-        const donationsRes = await fetch(`${API_BASE_URL}/admin/system/donations`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-
-        if (!donationsRes.ok) {
-          throw new Error("Failed to fetch donations");
-        }
-
-        const donationsData = await parseJsonResponse(donationsRes);
-        setDonations(donationsData);
-
-        // Build donors list from donations (unique by donor name + ID)
-        const donorMap = new Map();
-        donationsData.forEach((donation) => {
-          if (donation.donor && donation.donor.name) {
-            const key = `${donation.donor.name}-${donation.donor.idNumber || ""}`;
-            if (!donorMap.has(key)) {
-              donorMap.set(key, {
-                id: donation._id,
-                name: donation.donor.name,
-                mobile: donation.donor.mobile || "N/A",
-                email: donation.donor.email || "",
-                address: donation.donor.address || "",
-                governmentIdType: donation.donor.idType || "N/A",
-                governmentIdMasked: donation.donor.idNumber || "****",
-                totalDonated: 0,
-                donationCount: 0,
-                lastDonation: donation.createdAt,
-              });
-            }
-            if (donation.status === "SUCCESS") {
-              const donor = donorMap.get(key);
-              donor.totalDonated += donation.amount;
-              donor.donationCount += 1;
-              if (new Date(donation.createdAt) > new Date(donor.lastDonation)) {
-                donor.lastDonation = donation.createdAt;
-              }
-            }
-          }
-        });
-
-        setDonors(Array.from(donorMap.values()));
-      } catch (err) {
-        console.error("Error fetching data:", err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeCandidates, setMergeCandidates] = useState(null);
+  const [mergeTargetId, setMergeTargetId] = useState(null);
+
+  const [profile, setProfile] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(false);
+
+  const fetchDonors = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (searchQuery) params.set("search", searchQuery);
+
+      const response = await fetch(`${API_BASE_URL}/admin/system/donors?${params}`, {
+        headers: authHeaders(),
+      });
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch donors");
       }
-    };
 
-    fetchData();
+      setDonors(data.donors || []);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Error fetching donors:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, searchQuery]);
+
+  const fetchSuggestions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`${API_BASE_URL}/admin/system/donors/merge-suggestions`, {
+        headers: authHeaders(),
+      });
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to find duplicate donors");
+      }
+
+      setSuggestions(data.suggestions || []);
+    } catch (err) {
+      console.error("Error fetching merge suggestions:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
-  // Filter donors
-  const filteredDonors = useMemo(() => {
-    if (!searchQuery) return donors;
+  useEffect(() => {
+    if (tab === "donors") fetchDonors();
+    else fetchSuggestions();
+  }, [tab, fetchDonors, fetchSuggestions]);
 
-    const query = searchQuery.toLowerCase();
-    return donors.filter(
-      (donor) =>
-        donor.name.toLowerCase().includes(query) ||
-        donor.mobile.includes(query) ||
-        (donor.email && donor.email.toLowerCase().includes(query))
-    );
-  }, [donors, searchQuery]);
-
-  // Get donor's donation history
-  const getDonorDonations = (donorName, donorIdNumber) => {
-    return donations.filter(
-      (d) =>
-        d.donor &&
-        d.donor.name === donorName &&
-        (donorIdNumber ? d.donor.idNumber === donorIdNumber : true)
-    );
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearchQuery(searchInput.trim());
   };
 
-  const handleDonorClick = (donor) => {
-    setSelectedDonor(donor);
+  const openProfile = async (donorId) => {
+    try {
+      setProfileLoading(true);
+      setProfile({ _id: donorId });
+      const response = await fetch(`${API_BASE_URL}/admin/system/donors/${donorId}`, {
+        headers: authHeaders(),
+      });
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch donor");
+      }
+      setProfile(data.donor);
+    } catch (err) {
+      setProfile(null);
+      setError(err.message);
+    } finally {
+      setProfileLoading(false);
+    }
   };
 
-  const closeModal = () => {
-    setSelectedDonor(null);
+  const mergeDonors = async (targetId, sourceIds) => {
+    try {
+      setBusy(true);
+      setError(null);
+      setNotice(null);
+      const response = await fetch(`${API_BASE_URL}/admin/system/donors/merge`, {
+        method: "POST",
+        headers: { ...authHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify({ targetId, sourceIds }),
+      });
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to merge donors");
+      }
+
+      setNotice(
+        `${data.message} - ${data.donationsMoved} donations moved` +
+          (data.conflictingUsers
+            ? ". The donors were linked to different accounts; the kept donor's account stays linked."
+            : ""),
+      );
+      setSelectedIds([]);
+      setMergeCandidates(null);
+      if (tab === "donors") await fetchDonors();
+      else await fetchSuggestions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
   };
 
-  const donorDonations = selectedDonor
-    ? getDonorDonations(selectedDonor.name, selectedDonor.governmentIdMasked)
-    : [];
+  const dismissSuggestion = async (suggestion) => {
+    const [a, b] = suggestion.donors;
+    try {
+      setBusy(true);
+      setError(null);
+      setNotice(null);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/donors/merge-suggestions/dismiss`,
+        {
+          method: "POST",
+          headers: { ...authHeaders(), "Content-Type": "application/json" },
+          body: JSON.stringify({ donorId: a._id, otherId: b._id }),
+        },
+      );
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to dismiss suggestion");
+      }
+      setSuggestions((prev) => prev.filter((s) => s !== suggestion));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
 
-  if (loading) {
-    return (
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
-        <div className="flex items-center justify-center h-64">
-          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
-          <span className="ml-3 text-gray-600">Loading donors...</span>
-        </div>
-      </div>
+  const toggleSelected = (donorId) => {
+    setSelectedIds((prev) =>
+      prev.includes(donorId) ? prev.filter((id) => id !== donorId) : [...prev, donorId],
     );
-  }
+  };
 
-  if (error) {
-    return (
-      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
-        <div className="text-center py-8">
-          <p className="text-red-600 mb-4">{error}</p>
-          <button
-            onClick={() => window.location.reload()}
-            className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700"
-          >
-            Retry
-          </button>
-        </div>
-      </div>
+  const openManualMerge = () => {
+    const candidates = donors.filter((d) => selectedIds.includes(d._id));
+    setMergeCandidates(candidates);
+    // Keep the donor with the most giving by default
+    setMergeTargetId(
+      [...candidates].sort((x, y) => y.lifetimeAmount - x.lifetimeAmount)[0]?._id || null,
     );
-  }
+  };
+
+  const confirmManualMerge = () => {
+    const sourceIds = mergeCandidates.map((d) => d._id).filter((id) => id !== mergeTargetId);
+    mergeDonors(mergeTargetId, sourceIds);
+  };
+
+  const mergeSuggestion = (keep, merge) => {
+    if (
+      !window.confirm(
+        `Merge "${merge.name}" into "${keep.name}"? Their donations will move to ${keep.name}.`,
+      )
+    ) {
+      return;
+    }
+    mergeDonors(keep._id, [merge._id]);
+  };
 
   return (
     <>
@@ -149,115 +227,333 @@ const DonorsView = () => {
         <div className="mb-6">
           <h1 className="text-2xl font-bold text-gray-900">Donors</h1>
           <p className="text-gray-600 text-sm mt-1">
-            View and manage all donor records from database
+            One record per donor, matched across donations by PAN and mobile
           </p>
         </div>
 
-        {/* Search */}
-        <div className="mb-6">
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            placeholder="Search by name, mobile, or email..."
-            className="w-full max-w-md px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
-          />
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6 border-b border-gray-200">
+          {[
+            { key: "donors", label: "All Donors" },
+            { key: "duplicates", label: "Possible Duplicates" },
+          ].map((t) => (
+            <button
+              key={t.key}
+              onClick={() => setTab(t.key)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                tab === t.key
+                  ? "border-amber-600 text-amber-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
         </div>
 
-        {/* Table */}
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Donor Name
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Mobile
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Email
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Govt ID
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Total Donated
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  # Donations
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {filteredDonors.length === 0 ? (
-                <tr>
-                  <td colSpan={7} className="px-6 py-8 text-center text-gray-500">
-                    No donors found
-                  </td>
-                </tr>
-              ) : (
-                filteredDonors.map((donor, index) => (
-                  <tr key={`${donor.id}-${index}`} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      {donor.name}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {donor.mobile || "N/A"}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {donor.email || "N/A"}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      PAN: {donor.governmentIdMasked}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-amber-900">
-                      {formatCurrency(donor.totalDonated)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
-                      {donor.donationCount}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm">
-                      <button
-                        onClick={() => handleDonorClick(donor)}
-                        className="text-amber-600 hover:text-amber-700 font-medium"
-                      >
-                        View Details
-                      </button>
-                    </td>
-                  </tr>
-                ))
+        {error && (
+          <div className="mb-4 p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+            {error}
+          </div>
+        )}
+        {notice && (
+          <div className="mb-4 p-3 rounded-md text-sm bg-green-50 text-green-700 border border-green-200">
+            {notice}
+          </div>
+        )}
+
+        {tab === "donors" ? (
+          <>
+            {/* Search & merge */}
+            <div className="mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <form onSubmit={handleSearch} className="flex gap-2 w-full max-w-md">
+                <input
+                  type="text"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search by name, mobile, email or PAN..."
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm font-medium"
+                >
+                  Search
+                </button>
+              </form>
+              {selectedIds.length >= 2 && (
+                <button
+                  onClick={openManualMerge}
+                  disabled={busy}
+                  className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm font-medium disabled:opacity-50"
+                >
+                  Merge selected ({selectedIds.length})
+                </button>
               )}
-            </tbody>
-          </table>
-        </div>
+            </div>
 
-        {/* Summary */}
-        <div className="mt-6 p-4 bg-amber-50 rounded-lg border border-amber-200">
-          <div className="flex justify-between items-center">
-            <span className="text-sm font-medium text-gray-700">
-              Total Donors: {filteredDonors.length}
-            </span>
-            <span className="text-sm font-semibold text-amber-900">
-              Total Donated: {formatCurrency(
-                filteredDonors.reduce((sum, d) => sum + d.totalDonated, 0)
+            {/* Table */}
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-3"></th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Donor Name
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Mobile
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      PAN
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Lifetime Giving
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      # Donations
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Last Gift
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading && donors.length === 0 ? (
+                    <tr>
+                      <td colSpan={8} className="px-6 py-8 text-center text-gray-500">
+                        Loading donors...
+                      </td>
+                    </tr>
+                  ) : donors.length === 0 ? (
+                    <tr>
+                      <td colSpan={8} className="px-6 py-8 text-center text-gray-500">
+                        No donors found
+                      </td>
+                    </tr>
+                  ) : (
+                    donors.map((donor) => (
+                      <tr key={donor._id} className="hover:bg-gray-50">
+                        <td className="px-3 py-4">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(donor._id)}
+                            onChange={() => toggleSelected(donor._id)}
+                            className="h-4 w-4 text-amber-600 border-gray-300 rounded"
+                            aria-label={`Select ${donor.name}`}
+                          />
+                        </td>
+                        <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                          {donor.name}
+                          {donor.names.length > 1 && (
+                            <div className="text-xs font-normal text-gray-500">
+                              also {donor.names.filter((n) => n !== donor.name).join(", ")}
+                            </div>
+                          )}
+                          {donor.user && (
+                            <div className="text-xs font-normal text-amber-700">Registered user</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {donor.mobiles.join(", ") || "N/A"}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700 font-mono">
+                          {maskedPan(donor)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-amber-900">
+                          {formatCurrency(donor.lifetimeAmount)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {donor.donationCount}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {donor.lastGiftAt ? formatDate(donor.lastGiftAt) : "-"}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <button
+                            onClick={() => openProfile(donor._id)}
+                            className="text-amber-600 hover:text-amber-700 font-medium"
+                          >
+                            View Details
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="mt-6 p-4 bg-amber-50 rounded-lg border border-amber-200 flex justify-between items-center">
+              <span className="text-sm font-medium text-gray-700">
+                Total Donors: {pagination.total}
+              </span>
+              {pagination.totalPages > 1 && (
+                <div className="flex items-center gap-3 text-sm">
+                  <button
+                    onClick={() => setPage((p) => p - 1)}
+                    disabled={page <= 1 || loading}
+                    className="px-3 py-1 border border-gray-300 rounded-md bg-white disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-gray-700">
+                    Page {pagination.page} of {pagination.totalPages}
+                  </span>
+                  <button
+                    onClick={() => setPage((p) => p + 1)}
+                    disabled={page >= pagination.totalPages || loading}
+                    className="px-3 py-1 border border-gray-300 rounded-md bg-white disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
               )}
-            </span>
+            </div>
+          </>
+        ) : loading ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Looking for duplicates...</span>
           </div>
-        </div>
+        ) : suggestions.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No likely duplicates found</div>
+        ) : (
+          <div className="space-y-4">
+            {suggestions.map((suggestion) => {
+              const [a, b] = suggestion.donors;
+              return (
+                <div
+                  key={`${a._id}-${b._id}`}
+                  className="border border-gray-200 rounded-lg p-4"
+                >
+                  <div className="flex flex-wrap items-center gap-2 mb-3">
+                    <span className="text-sm font-semibold text-gray-900">
+                      {Math.round(suggestion.score * 100)}% match
+                    </span>
+                    {suggestion.reasons.map((reason) => (
+                      <span
+                        key={reason}
+                        className="px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800"
+                      >
+                        {REASON_LABELS[reason] || reason}
+                      </span>
+                    ))}
+                  </div>
+
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {[
+                      [a, b],
+                      [b, a],
+                    ].map(([donor, other]) => (
+                      <div key={donor._id} className="bg-gray-50 rounded p-3 text-sm">
+                        <button
+                          onClick={() => openProfile(donor._id)}
+                          className="font-medium text-gray-900 hover:text-amber-700 text-left"
+                        >
+                          {donor.name}
+                        </button>
+                        <div className="text-xs text-gray-600 mt-1 space-y-0.5">
+                          <div>Mobile: {donor.mobiles.join(", ") || "N/A"}</div>
+                          {donor.emails.length > 0 && <div>Email: {donor.emails.join(", ")}</div>}
+                          <div>PAN: {maskedPan(donor)}</div>
+                          {donor.city && <div>City: {donor.city}</div>}
+                          <div>
+                            {formatCurrency(donor.lifetimeAmount)} over {donor.donationCount}{" "}
+                            donations
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => mergeSuggestion(donor, other)}
+                          disabled={busy}
+                          className="mt-3 text-amber-700 hover:text-amber-800 font-medium text-xs disabled:opacity-50"
+                        >
+                          Keep this, merge the other in
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+
+                  <button
+                    onClick={() => dismissSuggestion(suggestion)}
+                    disabled={busy}
+                    className="mt-3 text-sm text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+                  >
+                    Not the same person
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
       </div>
 
-      {/* Donor Details Modal */}
-      {selectedDonor && (
+      {/* Manual Merge Modal */}
+      {mergeCandidates && (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6">
+            <h2 className="text-xl font-bold text-gray-900 mb-2">Merge Donors</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Choose the donor record to keep. The others are merged into it and their
+              donations move to it.
+            </p>
+            <div className="space-y-2 mb-6">
+              {mergeCandidates.map((donor) => (
+                <label
+                  key={donor._id}
+                  className={`flex items-start gap-3 p-3 rounded border cursor-pointer ${
+                    mergeTargetId === donor._id ? "border-amber-500 bg-amber-50" : "border-gray-200"
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="mergeTarget"
+                    checked={mergeTargetId === donor._id}
+                    onChange={() => setMergeTargetId(donor._id)}
+                    className="mt-1 text-amber-600"
+                  />
+                  <span className="text-sm">
+                    <span className="font-medium text-gray-900">{donor.name}</span>
+                    <span className="block text-xs text-gray-500">
+                      {donor.mobiles.join(", ") || "No mobile"} · PAN {maskedPan(donor)} ·{" "}
+                      {formatCurrency(donor.lifetimeAmount)}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end gap-3">
+              <button
+                onClick={() => setMergeCandidates(null)}
+                disabled={busy}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={confirmManualMerge}
+                disabled={busy || !mergeTargetId}
+                className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm font-medium disabled:opacity-50"
+              >
+                {busy ? "Merging..." : "Merge"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Donor Profile Modal */}
+      {profile && (
         <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
           <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-6 max-h-[90vh] overflow-y-auto">
             <div className="flex items-center justify-between mb-4">
-              <h2 className="text-xl font-bold text-gray-900">Donor Summary</h2>
+              <h2 className="text-xl font-bold text-gray-900">Donor Profile</h2>
               <button
-                onClick={closeModal}
+                onClick={() => setProfile(null)}
                 className="text-gray-400 hover:text-gray-600"
               >
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -266,65 +562,126 @@ const DonorsView = () => {
               </button>
             </div>
 
-            <div className="space-y-4">
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <label className="text-xs font-semibold text-gray-500 uppercase">Name</label>
-                  <p className="text-sm font-medium text-gray-900">{selectedDonor.name}</p>
-                </div>
-                <div>
-                  <label className="text-xs font-semibold text-gray-500 uppercase">Mobile</label>
-                  <p className="text-sm text-gray-700">{selectedDonor.mobile || "N/A"}</p>
-                </div>
-                <div>
-                  <label className="text-xs font-semibold text-gray-500 uppercase">Email</label>
-                  <p className="text-sm text-gray-700">{selectedDonor.email || "N/A"}</p>
-                </div>
-                <div>
-                  <label className="text-xs font-semibold text-gray-500 uppercase">Address</label>
-                  <p className="text-sm text-gray-700">{selectedDonor.address || "N/A"}</p>
+            {profileLoading ? (
+              <div className="flex items-center justify-center h-40">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="text-xs font-semibold text-gray-500 uppercase">Name</label>
+                    <p className="text-sm font-medium text-gray-900">{profile.name}</p>
+                    {profile.names?.length > 1 && (
+                      <p className="text-xs text-gray-500">
+                        Also: {profile.names.filter((n) => n !== profile.name).join(", ")}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="text-xs font-semibold text-gray-500 uppercase">Mobile</label>
+                    <p className="text-sm text-gray-700">{profile.mobiles?.join(", ") || "N/A"}</p>
+                  </div>
+                  <div>
+                    <label className="text-xs font-semibold text-gray-500 uppercase">Email</label>
+                    <p className="text-sm text-gray-700">{profile.emails?.join(", ") || "N/A"}</p>
+                  </div>
+                  <div>
+                    <label className="text-xs font-semibold text-gray-500 uppercase">PAN Number</label>
+                    <p className="text-sm text-gray-700 font-mono">{maskedPan(profile)}</p>
+                  </div>
+                  <div>
+                    <label className="text-xs font-semibold text-gray-500 uppercase">City</label>
+                    <p className="text-sm text-gray-700">{profile.city || "N/A"}</p>
+                  </div>
+                  <div>
+                    <label className="text-xs font-semibold text-gray-500 uppercase">Linked Account</label>
+                    <p className="text-sm text-gray-700">
+                      {profile.user
+                        ? `${profile.user.fullName || "No name"} (${profile.user.mobile})`
+                        : "Not registered"}
+                    </p>
+                  </div>
                 </div>
-                <div>
-                  <label className="text-xs font-semibold text-gray-500 uppercase">PAN Number</label>
-                  <p className="text-sm text-gray-700 font-mono">
-                    {selectedDonor.governmentIdMasked}
-                  </p>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  <div className="p-3 bg-amber-50 rounded border border-amber-200">
+                    <p className="text-xs text-gray-500">Lifetime Giving</p>
+                    <p className="text-sm font-semibold text-amber-900">
+                      {formatCurrency(profile.lifetimeAmount)}
+                    </p>
+                  </div>
+                  <div className="p-3 bg-gray-50 rounded border border-gray-200">
+                    <p className="text-xs text-gray-500">Donations</p>
+                    <p className="text-sm font-semibold text-gray-900">{profile.donationCount}</p>
+                  </div>
+                  <div className="p-3 bg-gray-50 rounded border border-gray-200">
+                    <p className="text-xs text-gray-500">First Gift</p>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {profile.firstGiftAt ? formatDate(profile.firstGiftAt) : "-"}
+                    </p>
+                  </div>
+                  <div className="p-3 bg-gray-50 rounded border border-gray-200">
+                    <p className="text-xs text-gray-500">Last Gift</p>
+                    <p className="text-sm font-semibold text-gray-900">
+                      {profile.lastGiftAt ? formatDate(profile.lastGiftAt) : "-"}
+                    </p>
+                  </div>
                 </div>
-                <div>
-                  <label className="text-xs font-semibold text-gray-500 uppercase">Total Donated</label>
-                  <p className="text-sm font-semibold text-amber-900">
-                    {formatCurrency(selectedDonor.totalDonated)}
+
+                {profile.causes?.length > 0 && (
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">Causes Supported</h3>
+                    <div className="flex flex-wrap gap-2">
+                      {profile.causes.map((cause) => (
+                        <span
+                          key={cause.name}
+                          className="px-2 py-1 text-xs rounded-full bg-amber-100 text-amber-800"
+                        >
+                          {cause.name} · {formatCurrency(cause.amount)}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {profile.mergedFrom?.length > 0 && (
+                  <p className="text-xs text-gray-500">
+                    Merged from: {profile.mergedFrom.map((m) => m.name).join(", ")}
                   </p>
-                </div>
-              </div>
+                )}
 
-              <div className="mt-6">
-                <h3 className="text-sm font-semibold text-gray-700 mb-3">Donation History</h3>
-                {donorDonations.length === 0 ? (
-                  <p className="text-sm text-gray-500">No donations found</p>
-                ) : (
-                  <div className="space-y-2">
-                    {donorDonations.map((donation) => (
-                      <div key={donation._id} className="flex justify-between items-center p-3 bg-gray-50 rounded">
-                        <div>
-                          <p className="text-sm font-medium text-gray-900">{donation.donationHead?.name || "General"}</p>
-                          <p className="text-xs text-gray-500">
-                            {new Date(donation.createdAt).toLocaleDateString()} • 
-                            <span className={`ml-1 font-medium ${donation.status === "SUCCESS" ? "text-green-600" : donation.status === "PENDING" ? "text-yellow-600" : "text-red-600"}`}>
-                              {donation.status}
-                            </span> • 
-                            <span className="ml-1 text-blue-600">{donation.paymentMethod || "ONLINE"}</span>
+                <div className="mt-6">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-3">Donation History</h3>
+                  {!profile.donations?.length ? (
+                    <p className="text-sm text-gray-500">No donations found</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {profile.donations.map((donation) => (
+                        <div key={donation._id} className="flex justify-between items-center p-3 bg-gray-50 rounded">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{donation.donationHead?.name || "General"}</p>
+                            <p className="text-xs text-gray-500">
+                              {formatDate(donation.createdAt)} •
+                              <span className={`ml-1 font-medium ${STATUS_COLORS[donation.status] || "text-red-600"}`}>
+                                {donation.status}
+                              </span> •
+                              <span className="ml-1 text-blue-600">{donation.paymentMethod || "ONLINE"}</span>
+                              {donation.donor?.name !== profile.name && (
+                                <span className="ml-1">• as {donation.donor?.name}</span>
+                              )}
+                            </p>
+                          </div>
+                          <p className="text-sm font-semibold text-gray-900">
+                            {formatCurrency(donation.amount)}
                           </p>
                         </div>
-                        <p className="text-sm font-semibold text-gray-900">
-                          {formatCurrency(donation.amount)}
-                        </p>
-                      </div>
-                    ))}
-                  </div>
-                )}
+                      ))}
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
       )}
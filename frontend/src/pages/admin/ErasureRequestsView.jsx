@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback } from "react";
+import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
+
+/**
+ * ErasureRequestsView - System Admin queue of donor data erasure requests
+ *
+ * Features:
+ * - Pending requests first, filter by status
+ * - Complete: anonymises the donor's donation snapshots, deletes testimonials
+ *   and KYC documents, and clears the account (amount, receipt no. and PAN are kept)
+ * - Reject with a note shown to the donor
+ */
+const STATUS_STYLES = {
+  PENDING: "bg-yellow-100 text-yellow-800",
+  PROCESSING: "bg-blue-100 text-blue-800",
+  COMPLETED: "bg-green-100 text-green-800",
+  REJECTED: "bg-red-100 text-red-800",
+  CANCELLED: "bg-gray-100 text-gray-700",
+};
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const ErasureRequestsView = () => {
+  const [requests, setRequests] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [statusFilter, setStatusFilter] = useState("PENDING");
+  const [loading, setLoading] = useState(true);
+  const [actionId, setActionId] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const authHeaders = () => ({
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  });
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/privacy/erasure-requests?status=${statusFilter}&limit=100`,
+        { headers: authHeaders() },
+      );
+      const data = await parseJsonResponse(response);
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch erasure requests");
+      }
+
+      setRequests(data.requests || []);
+      setPendingCount(data.pendingCount || 0);
+    } catch (err) {
+      console.error("Error fetching erasure requests:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleComplete = async (request) => {
+    if (
+      !window.confirm(
+        `Erase the personal data of ${request.userName || request.userMobile}? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionId(request._id);
+      setError(null);
+      setNotice(null);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/privacy/erasure-requests/${request._id}/complete`,
+        { method: "POST", headers: authHeaders() },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to complete erasure request");
+      }
+
+      const { summary } = data.request;
+      setNotice(
+        `${data.message}: ${summary.donations} donations and ${summary.recurringDonations} monthly donations anonymised, ${summary.testimonials} testimonials deleted`,
+      );
+      await fetchRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const handleReject = async (request) => {
+    const note = window.prompt("Why is this request being rejected? The donor will see this note.");
+    if (!note || !note.trim()) return;
+
+    try {
+      setActionId(request._id);
+      setError(null);
+      setNotice(null);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/privacy/erasure-requests/${request._id}/reject`,
+        {
+          method: "POST",
+          headers: { ...authHeaders(), "Content-Type": "application/json" },
+          body: JSON.stringify({ note: note.trim() }),
+        },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to reject erasure request");
+      }
+
+      await fetchRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Erasure Requests</h1>
+        <p className="text-gray-600 text-sm mt-1">
+          Donor requests to remove their personal data. Amount, receipt number and PAN
+          are kept for 80G and Form 10BD.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="p-3 rounded-md text-sm bg-green-50 text-green-700 border border-green-200">
+          {notice}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Requests
+            {pendingCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                {pendingCount} pending
+              </span>
+            )}
+          </h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="PENDING">Pending</option>
+            <option value="PROCESSING">Processing</option>
+            <option value="COMPLETED">Completed</option>
+            <option value="REJECTED">Rejected</option>
+            <option value="CANCELLED">Cancelled</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        {loading && requests.length === 0 ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Loading...</span>
+          </div>
+        ) : requests.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No erasure requests</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Requested
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Donor
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Reason
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {requests.map((r) => (
+                  <tr key={r._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {formatDateTime(r.createdAt)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      <div className="font-medium">{r.userName || "No name"}</div>
+                      <div className="text-xs text-gray-500">{r.userMobile}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 max-w-[280px]">
+                      {r.reason || <span className="text-gray-400">None given</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[r.status]}`}
+                      >
+                        {r.status}
+                      </span>
+                      {r.status === "COMPLETED" && r.summary && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {r.summary.donations} donations · {r.summary.testimonials} testimonials
+                        </div>
+                      )}
+                      {r.resolutionNote && (
+                        <div className="text-xs text-gray-500 mt-1 max-w-[220px]">
+                          {r.resolutionNote}
+                          {r.resolvedBy?.fullName && ` - ${r.resolvedBy.fullName}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      {r.status === "PENDING" && (
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => handleComplete(r)}
+                            disabled={actionId === r._id}
+                            className="text-red-700 hover:text-red-800 font-medium disabled:opacity-50"
+                          >
+                            {actionId === r._id ? "Erasing..." : "Erase data"}
+                          </button>
+                          <button
+                            onClick={() => handleReject(r)}
+                            disabled={actionId === r._id}
+                            className="text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ErasureRequestsView;
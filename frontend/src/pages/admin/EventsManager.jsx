@@ -1,9 +1,116 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { useEvents } from "../../context/EventsContext";
 import { eventsApi } from "../../services/adminApi";
 import { formatDate } from "../../utils/helpers";
 import { Loader2, Upload, Trash2 } from "lucide-react";
 import MultilingualInput from "../../components/admin/MultilingualInput";
+import EventRegistrations from "../../components/admin/EventRegistrations";
+
+const QUESTION_TYPES = [
+  { value: "text", label: "Short text" },
+  { value: "textarea", label: "Long text" },
+  { value: "select", label: "Dropdown" },
+  { value: "checkbox", label: "Checkbox" },
+  { value: "number", label: "Number" },
+];
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", "-1": "last" };
+
+const emptyRecurrence = () => ({
+  frequency: "none",
+  interval: 1,
+  weekdays: [],
+  monthlyBy: "dayOfMonth",
+  weekOfMonth: "",
+  until: "",
+  exceptions: [],
+  additionalDates: [],
+});
+
+// ISO date -> value for <input type="date"> (event dates are UTC midnight)
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : "");
+
+// Weekday (0 = Sunday) and week of month of a "YYYY-MM-DD" value
+const getDatePosition = (value) => {
+  if (!value) return null;
+  const date = new Date(`${value.slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  return {
+    weekday: date.getUTCDay(),
+    dayOfMonth: date.getUTCDate(),
+    week: Math.min(4, Math.ceil(date.getUTCDate() / 7)),
+    isLastWeek: date.getUTCDate() + 7 > lastDay,
+  };
+};
+
+// Form recurrence -> request body; null makes it a single event
+const toRecurrencePayload = (recurrence) => {
+  const additionalDates = recurrence.additionalDates.filter(Boolean);
+  if (recurrence.frequency === "none" && additionalDates.length === 0) {
+    return null;
+  }
+  return {
+    ...recurrence,
+    interval: Number(recurrence.interval) || 1,
+    weekOfMonth:
+      recurrence.monthlyBy === "nthWeekday" && recurrence.weekOfMonth !== ""
+        ? Number(recurrence.weekOfMonth)
+        : null,
+    until: recurrence.until || null,
+    exceptions: recurrence.exceptions.filter(Boolean),
+    additionalDates,
+  };
+};
+
+const emptyForm = () => ({
+  title: { en: "", hi: "", mr: "" },
+  description: { en: "", hi: "", mr: "" },
+  date: "",
+  imageUrl: "",
+  visible: true,
+  time: "",
+  location: { en: "", hi: "", mr: "" },
+  registration: {
+    enabled: false,
+    capacity: "",
+    deadline: "",
+    fee: "",
+    waitlistEnabled: true,
+  },
+  registrationQuestions: [],
+  recurrence: emptyRecurrence(),
+});
+
+// ISO date -> value for <input type="datetime-local"> in local time
+const toDateTimeLocal = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Question keys identify answers - derived from the English label, kept on edit
+const withQuestionKeys = (questions) => {
+  const used = new Set();
+  return questions.map((question, index) => {
+    const base =
+      question.key ||
+      question.label.en
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+        .replace(/^_+|_+$/g, "")
+        .slice(0, 30) ||
+      `question_${index + 1}`;
+    let key = base;
+    for (let n = 2; used.has(key); n++) key = `${base}_${n}`;
+    used.add(key);
+    return { ...question, key };
+  });
+};
 
 const toDisplayText = (val) => {
   if (typeof val === "string") return val;
@@ -31,25 +138,28 @@ const EventsManager = () => {
   const [submitting, setSubmitting] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [toast, setToast] = useState(null);
+  const [activeTab, setActiveTab] = useState("events");
+  const [registrationsEventId, setRegistrationsEventId] = useState("");
   const imageInputRef = useRef(null);
-  const [formData, setFormData] = useState({
-    title: { en: "", hi: "", mr: "" },
-    description: { en: "", hi: "", mr: "" },
-    date: "",
-    imageUrl: "",
-    visible: true,
-    time: "",
-    location: { en: "", hi: "", mr: "" },
-  });
+  const [formData, setFormData] = useState(emptyForm);
 
   // Fetch events on mount
   useEffect(() => {
     fetchEvents();
   }, [fetchEvents]);
 
-  const showToast = (message, type = "success") => {
+  const showToast = useCallback((message, type = "success") => {
     setToast({ message, type });
     setTimeout(() => setToast(null), 3000);
+  }, []);
+
+  const registrationEvents = eventsItems.filter(
+    (item) => item.registration?.enabled,
+  );
+
+  const openRegistrations = (item) => {
+    setRegistrationsEventId(item.id || item._id);
+    setActiveTab("registrations");
   };
 
   const sortedItems = [...eventsItems].sort(
@@ -58,15 +168,7 @@ const EventsManager = () => {
 
   const handleAdd = () => {
     setEditingItem(null);
-    setFormData({
-      title: { en: "", hi: "", mr: "" },
-      description: { en: "", hi: "", mr: "" },
-      date: "",
-      imageUrl: "",
-      visible: true,
-      time: "",
-      location: { en: "", hi: "", mr: "" },
-    });
+    setFormData(emptyForm());
     setShowAddForm(true);
   };
 
@@ -79,11 +181,38 @@ const EventsManager = () => {
     setFormData({
       title: toMultilingual(item.title),
       description: toMultilingual(item.description),
-      date: item.date,
+      date: toDateInput(item.date),
       imageUrl: item.imageUrl,
       visible: item.visible,
       time: item.time || "",
       location: toMultilingual(item.location),
+      registration: {
+        enabled: item.registration?.enabled === true,
+        capacity: item.registration?.capacity ?? "",
+        deadline: toDateTimeLocal(item.registration?.deadline),
+        fee: item.registration?.fee || "",
+        waitlistEnabled: item.registration?.waitlistEnabled !== false,
+      },
+      registrationQuestions: (item.registrationQuestions || []).map((q) => ({
+        ...q,
+        label: toMultilingual(q.label),
+        options: q.options || [],
+      })),
+      recurrence: item.recurrence
+        ? {
+            ...emptyRecurrence(),
+            frequency: item.recurrence.frequency || "none",
+            interval: item.recurrence.interval || 1,
+            weekdays: item.recurrence.weekdays || [],
+            monthlyBy: item.recurrence.monthlyBy || "dayOfMonth",
+            weekOfMonth: item.recurrence.weekOfMonth ?? "",
+            until: toDateInput(item.recurrence.until),
+            exceptions: (item.recurrence.exceptions || []).map(toDateInput),
+            additionalDates: (item.recurrence.additionalDates || []).map(
+              toDateInput,
+            ),
+          }
+        : emptyRecurrence(),
     });
     setShowAddForm(true);
   };
@@ -92,27 +221,39 @@ const EventsManager = () => {
     e.preventDefault();
     setSubmitting(true);
     try {
+      const payload = {
+        ...formData,
+        registration: {
+          ...formData.registration,
+          capacity:
+            formData.registration.capacity === ""
+              ? null
+              : Number(formData.registration.capacity),
+          deadline: formData.registration.deadline
+            ? new Date(formData.registration.deadline).toISOString()
+            : null,
+          fee: Number(formData.registration.fee) || 0,
+        },
+        registrationQuestions: withQuestionKeys(
+          formData.registrationQuestions,
+        ),
+        recurrence: toRecurrencePayload(formData.recurrence),
+      };
       if (editingItem) {
-        await updateEvent(editingItem.id || editingItem._id, formData);
+        await updateEvent(editingItem.id || editingItem._id, payload);
         showToast("Event updated successfully");
       } else {
-        await addEvent(formData);
+        await addEvent(payload);
         showToast("Event added successfully");
       }
+      // Reload so registration settings and seat counts are current
+      fetchEvents();
       setShowAddForm(false);
       setEditingItem(null);
-      setFormData({
-        title: { en: "", hi: "", mr: "" },
-        description: { en: "", hi: "", mr: "" },
-        date: "",
-        imageUrl: "",
-        visible: true,
-        time: "",
-        location: { en: "", hi: "", mr: "" },
-      });
+      setFormData(emptyForm());
     } catch (err) {
       console.error("Error saving event:", err);
-      showToast("Failed to save event", "error");
+      showToast(err.message || "Failed to save event", "error");
     } finally {
       setSubmitting(false);
     }
@@ -125,7 +266,7 @@ const EventsManager = () => {
         showToast("Event deleted successfully");
       } catch (err) {
         console.error("Error deleting event:", err);
-        showToast("Failed to delete event", "error");
+        showToast(err.message || "Failed to delete event", "error");
       }
     }
   };
@@ -143,17 +284,129 @@ const EventsManager = () => {
   const handleCancel = () => {
     setShowAddForm(false);
     setEditingItem(null);
-    setFormData({
-      title: { en: "", hi: "", mr: "" },
-      description: { en: "", hi: "", mr: "" },
-      date: "",
-      imageUrl: "",
-      visible: true,
-      time: "",
-      location: { en: "", hi: "", mr: "" },
-    });
+    setFormData(emptyForm());
   };
 
+  const setRegistrationField = (field, value) =>
+    setFormData((prev) => ({
+      ...prev,
+      registration: { ...prev.registration, [field]: value },
+    }));
+
+  const setRecurrenceField = (field, value) =>
+    setFormData((prev) => ({
+      ...prev,
+      recurrence: { ...prev.recurrence, [field]: value },
+    }));
+
+  // Switching to weekly starts from the weekday of the first session
+  const handleFrequencyChange = (frequency) =>
+    setFormData((prev) => {
+      const position = getDatePosition(prev.date);
+      return {
+        ...prev,
+        recurrence: {
+          ...prev.recurrence,
+          frequency,
+          weekdays:
+            frequency === "weekly" &&
+            prev.recurrence.weekdays.length === 0 &&
+            position
+              ? [position.weekday]
+              : prev.recurrence.weekdays,
+        },
+      };
+    });
+
+  const toggleWeekday = (weekday) =>
+    setFormData((prev) => {
+      const weekdays = prev.recurrence.weekdays.includes(weekday)
+        ? prev.recurrence.weekdays.filter((d) => d !== weekday)
+        : [...prev.recurrence.weekdays, weekday].sort((a, b) => a - b);
+      return { ...prev, recurrence: { ...prev.recurrence, weekdays } };
+    });
+
+  // Monthly rule select: "dayOfMonth", "nth" (e.g. 2nd Sunday) or "last"
+  const monthlyChoice =
+    formData.recurrence.monthlyBy !== "nthWeekday"
+      ? "dayOfMonth"
+      : Number(formData.recurrence.weekOfMonth) === -1
+        ? "last"
+        : "nth";
+
+  const handleMonthlyChoice = (choice, position) =>
+    setFormData((prev) => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        monthlyBy: choice === "dayOfMonth" ? "dayOfMonth" : "nthWeekday",
+        weekOfMonth:
+          choice === "last" ? -1 : choice === "nth" ? position.week : "",
+      },
+    }));
+
+  const updateDateList = (field, index, value) =>
+    setFormData((prev) => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        [field]: prev.recurrence[field].map((d, i) =>
+          i === index ? value : d,
+        ),
+      },
+    }));
+
+  const addDateToList = (field) =>
+    setFormData((prev) => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        [field]: [...prev.recurrence[field], ""],
+      },
+    }));
+
+  const removeDateFromList = (field, index) =>
+    setFormData((prev) => ({
+      ...prev,
+      recurrence: {
+        ...prev.recurrence,
+        [field]: prev.recurrence[field].filter((_, i) => i !== index),
+      },
+    }));
+
+  const datePosition = getDatePosition(formData.date);
+
+  const updateQuestion = (index, changes) =>
+    setFormData((prev) => ({
+      ...prev,
+      registrationQuestions: prev.registrationQuestions.map((q, i) =>
+        i === index ? { ...q, ...changes } : q,
+      ),
+    }));
+
+  const addQuestion = () =>
+    setFormData((prev) => ({
+      ...prev,
+      registrationQuestions: [
+        ...prev.registrationQuestions,
+        {
+          key: "",
+          label: { en: "", hi: "", mr: "" },
+          type: "text",
+          options: [],
+          required: false,
+        },
+      ],
+    }));
+
+  const removeQuestion = (index) =>
+    setFormData((prev) => ({
+      ...prev,
+      registrationQuestions: prev.registrationQuestions.filter(
+        (_, i) => i !== index,
+      ),
+    }));
+
   const handleImageChange = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -196,133 +449,228 @@ const EventsManager = () => {
             Manage events for the public website
           </p>
         </div>
-        <button
-          onClick={handleAdd}
-          className="px-4 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors"
-        >
-          + Add Event
-        </button>
+        {activeTab === "events" && (
+          <button
+            onClick={handleAdd}
+            className="px-4 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors"
+          >
+            + Add Event
+          </button>
+        )}
       </div>
 
-      {/* Events List */}
-      <div className="space-y-4">
-        {loading ? (
-          <div className="flex items-center justify-center py-12">
-            <Loader2 className="w-8 h-8 animate-spin text-amber-600" />
-            <span className="ml-2 text-gray-600">Loading events...</span>
-          </div>
-        ) : sortedItems.length === 0 ? (
-          <div className="text-center py-12 text-gray-500">
-            No events yet. Click "Add Event" to get started.
-          </div>
-        ) : (
-          sortedItems.map((item, index) => (
-            <div
-              key={item.id || item._id}
-              className="flex items-center gap-4 p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow"
-            >
-              {/* Event Info */}
-              <div className="flex-1 min-w-0">
-                <div className="flex items-center gap-3 mb-2">
-                  <h3 className="font-semibold text-gray-900 truncate">
+      {/* Tabs */}
+      <div className="flex gap-6 border-b border-gray-200 mb-6">
+        {[
+          { key: "events", label: "Events" },
+          { key: "registrations", label: "Registrations" },
+        ].map((tab) => (
+          <button
+            key={tab.key}
+            onClick={() => setActiveTab(tab.key)}
+            className={`pb-2 text-sm font-semibold border-b-2 transition-colors ${
+              activeTab === tab.key
+                ? "border-amber-600 text-amber-700"
+                : "border-transparent text-gray-500 hover:text-gray-700"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Registrations */}
+      {activeTab === "registrations" && (
+        <div className="space-y-4">
+          {registrationEvents.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              No event has registration enabled. Edit an event and turn on
+              registration to collect attendees.
+            </div>
+          ) : (
+            <>
+              <select
+                value={registrationsEventId}
+                onChange={(e) => setRegistrationsEventId(e.target.value)}
+                className="w-full md:w-96 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              >
+                <option value="">Select an event...</option>
+                {registrationEvents.map((item) => (
+                  <option key={item.id || item._id} value={item.id || item._id}>
                     {toDisplayText(item.title)}
-                  </h3>
-                  <span
-                    className={`px-2 py-1 text-xs font-medium rounded-md ${
+                    {item.date ? ` - ${formatDate(item.date)}` : ""}
+                  </option>
+                ))}
+              </select>
+              {registrationsEventId && (
+                <EventRegistrations
+                  key={registrationsEventId}
+                  eventId={registrationsEventId}
+                  onToast={showToast}
+                />
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Events List */}
+      {activeTab === "events" && (
+        <div className="space-y-4">
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="w-8 h-8 animate-spin text-amber-600" />
+              <span className="ml-2 text-gray-600">Loading events...</span>
+            </div>
+          ) : sortedItems.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              No events yet. Click "Add Event" to get started.
+            </div>
+          ) : (
+            sortedItems.map((item, index) => (
+              <div
+                key={item.id || item._id}
+                className="flex items-center gap-4 p-4 border border-gray-200 rounded-lg hover:shadow-md transition-shadow"
+              >
+                {/* Event Info */}
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-3 mb-2">
+                    <h3 className="font-semibold text-gray-900 truncate">
+                      {toDisplayText(item.title)}
+                    </h3>
+                    <span
+                      className={`px-2 py-1 text-xs font-medium rounded-md ${
+                        item.visible
+                          ? "bg-green-100 text-green-700"
+                          : "bg-gray-100 text-gray-600"
+                      }`}
+                    >
+                      {item.visible ? "Live" : "Hidden"}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {item.date ? formatDate(item.date) : "No date set"}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Order: {item.order || 0}
+                  </p>
+                  {(item.recurrence?.frequency === "weekly" ||
+                    item.recurrence?.frequency === "monthly" ||
+                    item.recurrence?.additionalDates?.length > 0) && (
+                    <p className="text-xs text-blue-700 mt-1">
+                      {item.recurrence.frequency === "weekly"
+                        ? "Repeats weekly"
+                        : item.recurrence.frequency === "monthly"
+                          ? "Repeats monthly"
+                          : `${item.recurrence.additionalDates.length + 1} sessions`}
+                      {item.recurrence.until
+                        ? ` until ${formatDate(item.recurrence.until)}`
+                        : ""}
+                    </p>
+                  )}
+                  {item.registration?.enabled && (
+                    <p className="text-xs text-amber-700 mt-1">
+                      Registration: {item.registration.seatsTaken || 0}
+                      {item.registration.capacity
+                        ? ` / ${item.registration.capacity}`
+                        : ""}{" "}
+                      seats taken
+                      {item.registration.fee > 0
+                        ? ` · ₹${item.registration.fee}`
+                        : " · Free"}
+                    </p>
+                  )}
+                </div>
+
+                {/* Actions */}
+                <div className="flex items-center gap-2">
+                  {/* Visibility Toggle */}
+                  <button
+                    onClick={() => handleToggle(item.id || item._id)}
+                    className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
                       item.visible
-                        ? "bg-green-100 text-green-700"
-                        : "bg-gray-100 text-gray-600"
+                        ? "bg-green-100 text-green-700 hover:bg-green-200"
+                        : "bg-gray-100 text-gray-700 hover:bg-gray-200"
                     }`}
                   >
-                    {item.visible ? "Live" : "Hidden"}
-                  </span>
-                </div>
-                <p className="text-sm text-gray-600">
-                  {item.date ? formatDate(item.date) : "No date set"}
-                </p>
-                <p className="text-xs text-gray-500">
-                  Order: {item.order || 0}
-                </p>
-              </div>
-
-              {/* Actions */}
-              <div className="flex items-center gap-2">
-                {/* Visibility Toggle */}
-                <button
-                  onClick={() => handleToggle(item.id || item._id)}
-                  className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
-                    item.visible
-                      ? "bg-green-100 text-green-700 hover:bg-green-200"
-                      : "bg-gray-100 text-gray-700 hover:bg-gray-200"
-                  }`}
-                >
-                  {item.visible ? "Hide" : "Show"}
-                </button>
+                    {item.visible ? "Hide" : "Show"}
+                  </button>
 
-                {/* Move Up */}
-                <button
-                  onClick={() => moveEvent(item.id || item._id, "up")}
-                  disabled={index === 0}
-                  className="p-2 text-gray-600 hover:text-amber-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
-                  title="Move Up"
-                >
-                  <svg
-                    className="w-5 h-5"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
+                  {/* Move Up */}
+                  <button
+                    onClick={() => moveEvent(item.id || item._id, "up")}
+                    disabled={index === 0}
+                    className="p-2 text-gray-600 hover:text-amber-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+                    title="Move Up"
                   >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M5 15l7-7 7 7"
-                    />
-                  </svg>
-                </button>
+                    <svg
+                      className="w-5 h-5"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M5 15l7-7 7 7"
+                      />
+                    </svg>
+                  </button>
 
-                {/* Move Down */}
-                <button
-                  onClick={() => moveEvent(item.id || item._id, "down")}
-                  disabled={index === sortedItems.length - 1}
-                  className="p-2 text-gray-600 hover:text-amber-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
-                  title="Move Down"
-                >
-                  <svg
-                    className="w-5 h-5"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
+                  {/* Move Down */}
+                  <button
+                    onClick={() => moveEvent(item.id || item._id, "down")}
+                    disabled={index === sortedItems.length - 1}
+                    className="p-2 text-gray-600 hover:text-amber-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
+                    title="Move Down"
                   >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth={2}
-                      d="M19 9l-7 7-7-7"
-                    />
-                  </svg>
-                </button>
+                    <svg
+                      className="w-5 h-5"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M19 9l-7 7-7-7"
+                      />
+                    </svg>
+                  </button>
 
-                {/* Edit */}
-                <button
-                  onClick={() => handleEdit(item)}
-                  className="px-3 py-1 text-xs font-medium text-amber-600 hover:text-amber-700 hover:bg-amber-50 rounded-md transition-colors"
-                >
-                  Edit
-                </button>
+                  {/* Registrations */}
+                  {item.registration?.enabled && (
+                    <button
+                      onClick={() => openRegistrations(item)}
+                      className="px-3 py-1 text-xs font-medium text-amber-600 hover:text-amber-700 hover:bg-amber-50 rounded-md transition-colors"
+                    >
+                      Registrations
+                    </button>
+                  )}
 
-                {/* Delete */}
-                <button
-                  onClick={() => handleDelete(item)}
-                  className="px-3 py-1 text-xs font-medium text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors"
-                >
-                  Delete
-                </button>
+                  {/* Edit */}
+                  <button
+                    onClick={() => handleEdit(item)}
+                    className="px-3 py-1 text-xs font-medium text-amber-600 hover:text-amber-700 hover:bg-amber-50 rounded-md transition-colors"
+                  >
+                    Edit
+                  </button>
+
+                  {/* Delete */}
+                  <button
+                    onClick={() => handleDelete(item)}
+                    className="px-3 py-1 text-xs font-medium text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
               </div>
-            </div>
-          ))
-        )}
-      </div>
+            ))
+          )}
+        </div>
+      )}
 
       {/* Add/Edit Form Modal */}
       {showAddForm && (
@@ -335,6 +683,8 @@ const EventsManager = () => {
               <MultilingualInput
                 label="Title"
                 value={formData.title}
+                machineTranslated={editingItem?.machineTranslated}
+                path="title"
                 onChange={(val) => setFormData({ ...formData, title: val })}
                 required
                 type="text"
@@ -342,6 +692,8 @@ const EventsManager = () => {
               <MultilingualInput
                 label="Description"
                 value={formData.description}
+                machineTranslated={editingItem?.machineTranslated}
+                path="description"
                 onChange={(val) =>
                   setFormData({ ...formData, description: val })
                 }
@@ -379,9 +731,190 @@ const EventsManager = () => {
                   />
                 </div>
               </div>
+
+              {/* Repeat */}
+              <div className="border border-gray-200 rounded-md p-3 space-y-3">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-800 mb-1">
+                      Repeats
+                    </label>
+                    <select
+                      value={formData.recurrence.frequency}
+                      onChange={(e) => handleFrequencyChange(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                    >
+                      <option value="none">Does not repeat</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="monthly">Monthly</option>
+                    </select>
+                  </div>
+                  {formData.recurrence.frequency !== "none" && (
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-800 mb-1">
+                        Every
+                      </label>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          min="1"
+                          max="12"
+                          value={formData.recurrence.interval}
+                          onChange={(e) =>
+                            setRecurrenceField("interval", e.target.value)
+                          }
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        />
+                        <span className="text-sm text-gray-600">
+                          {formData.recurrence.frequency === "weekly"
+                            ? "week(s)"
+                            : "month(s)"}
+                        </span>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {formData.recurrence.frequency === "weekly" && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-800 mb-1">
+                      On
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {WEEKDAY_LABELS.map((label, weekday) => (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => toggleWeekday(weekday)}
+                          className={`px-3 py-1 text-xs font-medium rounded-md border transition-colors ${
+                            formData.recurrence.weekdays.includes(weekday)
+                              ? "bg-amber-600 text-white border-amber-600"
+                              : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {formData.recurrence.frequency === "monthly" && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-800 mb-1">
+                      On
+                    </label>
+                    {datePosition ? (
+                      <select
+                        value={monthlyChoice}
+                        onChange={(e) =>
+                          handleMonthlyChoice(e.target.value, datePosition)
+                        }
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                      >
+                        <option value="dayOfMonth">
+                          Day {datePosition.dayOfMonth} of the month
+                        </option>
+                        <option value="nth">
+                          The {ORDINALS[datePosition.week]}{" "}
+                          {WEEKDAY_LABELS[datePosition.weekday]}
+                        </option>
+                        {datePosition.isLastWeek && (
+                          <option value="last">
+                            The last {WEEKDAY_LABELS[datePosition.weekday]}
+                          </option>
+                        )}
+                      </select>
+                    ) : (
+                      <p className="text-xs text-gray-500">
+                        Pick the date of the first session first.
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {formData.recurrence.frequency !== "none" && (
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-800 mb-1">
+                      Until
+                    </label>
+                    <input
+                      type="date"
+                      value={formData.recurrence.until}
+                      min={formData.date || undefined}
+                      onChange={(e) =>
+                        setRecurrenceField("until", e.target.value)
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Leave empty to repeat indefinitely.
+                    </p>
+                  </div>
+                )}
+
+                {[
+                  formData.recurrence.frequency !== "none" && {
+                    field: "exceptions",
+                    label: "Skip dates",
+                    add: "+ Skip a date",
+                  },
+                  {
+                    field: "additionalDates",
+                    label: "Extra sessions",
+                    add: "+ Add a session date",
+                  },
+                ]
+                  .filter(Boolean)
+                  .map(({ field, label, add }) => (
+                    <div key={field}>
+                      <label className="block text-sm font-semibold text-gray-800 mb-1">
+                        {label}
+                      </label>
+                      <div className="space-y-2">
+                        {formData.recurrence[field].map((value, index) => (
+                          <div key={index} className="flex items-center gap-2">
+                            <input
+                              type="date"
+                              value={value}
+                              onChange={(e) =>
+                                updateDateList(field, index, e.target.value)
+                              }
+                              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                            />
+                            <button
+                              type="button"
+                              onClick={() => removeDateFromList(field, index)}
+                              className="p-2 text-gray-500 hover:text-red-600"
+                              title="Remove"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        ))}
+                        <button
+                          type="button"
+                          onClick={() => addDateToList(field)}
+                          className="text-sm text-amber-700 hover:text-amber-800 font-medium"
+                        >
+                          {add}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+
+                {toRecurrencePayload(formData.recurrence) && (
+                  <p className="text-xs text-gray-500">
+                    Every session uses the time and location above.
+                    Registration is only available for single events.
+                  </p>
+                )}
+              </div>
               <MultilingualInput
                 label="Location"
                 value={formData.location}
+                machineTranslated={editingItem?.machineTranslated}
+                path="location"
                 onChange={(val) => setFormData({ ...formData, location: val })}
                 type="text"
               />
@@ -451,6 +984,195 @@ const EventsManager = () => {
                   Visible on public website (Live)
                 </label>
               </div>
+
+              {/* Registration */}
+              <div className="border-t border-gray-200 pt-4 space-y-4">
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="registrationEnabled"
+                    checked={formData.registration.enabled}
+                    onChange={(e) =>
+                      setRegistrationField("enabled", e.target.checked)
+                    }
+                    className="w-4 h-4 text-amber-600 border-gray-300 rounded focus:ring-amber-500"
+                  />
+                  <label
+                    htmlFor="registrationEnabled"
+                    className="ml-2 text-sm font-semibold text-gray-800"
+                  >
+                    Accept registrations on the website
+                  </label>
+                </div>
+
+                {formData.registration.enabled && (
+                  <>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-800 mb-1">
+                          Capacity
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.registration.capacity}
+                          onChange={(e) =>
+                            setRegistrationField("capacity", e.target.value)
+                          }
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                          placeholder="Unlimited"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-800 mb-1">
+                          Fee (₹)
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.registration.fee}
+                          onChange={(e) =>
+                            setRegistrationField("fee", e.target.value)
+                          }
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                          placeholder="Free"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-800 mb-1">
+                          Registration deadline
+                        </label>
+                        <input
+                          type="datetime-local"
+                          value={formData.registration.deadline}
+                          onChange={(e) =>
+                            setRegistrationField("deadline", e.target.value)
+                          }
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Defaults to the end of the event day
+                        </p>
+                      </div>
+                      <div className="flex items-center pt-6">
+                        <input
+                          type="checkbox"
+                          id="waitlistEnabled"
+                          checked={formData.registration.waitlistEnabled}
+                          onChange={(e) =>
+                            setRegistrationField(
+                              "waitlistEnabled",
+                              e.target.checked,
+                            )
+                          }
+                          className="w-4 h-4 text-amber-600 border-gray-300 rounded focus:ring-amber-500"
+                        />
+                        <label
+                          htmlFor="waitlistEnabled"
+                          className="ml-2 text-sm text-gray-700"
+                        >
+                          Waitlist when full
+                        </label>
+                      </div>
+                    </div>
+
+                    {/* Custom questions */}
+                    <div className="space-y-3">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-semibold text-gray-800">
+                          Registration questions
+                        </span>
+                        <button
+                          type="button"
+                          onClick={addQuestion}
+                          className="text-sm font-medium text-amber-600 hover:text-amber-700"
+                        >
+                          + Add question
+                        </button>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        Name, email and mobile are always asked.
+                      </p>
+                      {formData.registrationQuestions.map((question, index) => (
+                        <div
+                          key={index}
+                          className="p-3 border border-gray-200 rounded-lg space-y-3"
+                        >
+                          <MultilingualInput
+                            label={`Question ${index + 1}`}
+                            value={question.label}
+                            machineTranslated={editingItem?.machineTranslated}
+                            path={`registrationQuestions.${index}.label`}
+                            onChange={(val) =>
+                              updateQuestion(index, { label: val })
+                            }
+                            required
+                            type="text"
+                          />
+                          <div className="flex flex-wrap items-center gap-4">
+                            <select
+                              value={question.type}
+                              onChange={(e) =>
+                                updateQuestion(index, { type: e.target.value })
+                              }
+                              className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                            >
+                              {QUESTION_TYPES.map((type) => (
+                                <option key={type.value} value={type.value}>
+                                  {type.label}
+                                </option>
+                              ))}
+                            </select>
+                            <label className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={question.required}
+                                onChange={(e) =>
+                                  updateQuestion(index, {
+                                    required: e.target.checked,
+                                  })
+                                }
+                                className="w-4 h-4 mr-2 text-amber-600 border-gray-300 rounded focus:ring-amber-500"
+                              />
+                              Required
+                            </label>
+                            <button
+                              type="button"
+                              onClick={() => removeQuestion(index)}
+                              className="ml-auto text-xs font-medium text-red-600 hover:text-red-700"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                          {question.type === "select" && (
+                            <input
+                              type="text"
+                              required
+                              value={question.options.join(", ")}
+                              onChange={(e) =>
+                                updateQuestion(index, {
+                                  options: e.target.value
+                                    .split(",")
+                                    .map((option) => option.trimStart()),
+                                })
+                              }
+                              onBlur={() =>
+                                updateQuestion(index, {
+                                  options: question.options
+                                    .map((option) => option.trim())
+                                    .filter(Boolean),
+                                })
+                              }
+                              className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+                              placeholder="Options, comma separated (e.g. S, M, L)"
+                            />
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
               <div className="flex gap-3 pt-4">
                 <button
                   type="submit"
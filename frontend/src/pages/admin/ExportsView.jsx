@@ -1,9 +1,27 @@
 import { useState, useEffect } from "react";
 import { formatCurrency } from "../../utils/helpers";
-import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
+import { API_BASE_URL, parseJsonResponse, fetchAllDonations } from "../../utils/api";
+
+/**
+ * Closed financial years (April-March), most recent first, e.g. "2025-26"
+ */
+const getClosedFinancialYears = (count = 5) => {
+  const now = new Date();
+  const currentStart = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  return Array.from({ length: count }, (_, i) => {
+    const start = currentStart - 1 - i;
+    return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+  });
+};
 
 const ExportsView = () => {
-  const [donations, setDonations] = useState([]);
+  const [reports, setReports] = useState(null);
+  const [exporting, setExporting] = useState(null); // "donations" | "donors" | "receipts"
+  const [certificateYear, setCertificateYear] = useState(getClosedFinancialYears()[0]);
+  const [certificateBusy, setCertificateBusy] = useState(null); // "issue" | "download"
+  const [form10bdYear, setForm10bdYear] = useState(getClosedFinancialYears()[0]);
+  const [form10bdBusy, setForm10bdBusy] = useState(null); // "check" | "download"
+  const [form10bdPreview, setForm10bdPreview] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [toast, setToast] = useState(null);
@@ -18,7 +36,7 @@ const ExportsView = () => {
           return;
         }
 
-        const response = await fetch(`${API_BASE_URL}/admin/system/donations`, {
+        const response = await fetch(`${API_BASE_URL}/admin/system/reports`, {
           headers: { Authorization: `Bearer ${token}` },
         });
 
@@ -26,8 +44,7 @@ const ExportsView = () => {
           throw new Error("Failed to fetch donations");
         }
 
-        const data = await parseJsonResponse(response);
-        setDonations(data);
+        setReports(await parseJsonResponse(response));
       } catch (err) {
         console.error("Error fetching data:", err);
         setError(err.message);
@@ -64,7 +81,10 @@ const ExportsView = () => {
 
   // Download CSV file
   const downloadCSV = (csvContent, filename) => {
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+    const blob =
+      csvContent instanceof Blob
+        ? csvContent
+        : new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
     const link = document.createElement("a");
     link.href = URL.createObjectURL(blob);
     link.download = filename;
@@ -72,105 +92,240 @@ const ExportsView = () => {
     URL.revokeObjectURL(link.href);
   };
 
-  const handleExportDonations = () => {
-    if (donations.length === 0) {
-      showToast("No donations to export", true);
-      return;
+  /**
+   * Page through every matching donation, then build the export from them
+   */
+  const runExport = async (kind, filters, buildExport) => {
+    try {
+      setExporting(kind);
+      buildExport(await fetchAllDonations(filters));
+    } catch (err) {
+      showToast(err.message, true);
+    } finally {
+      setExporting(null);
     }
-
-    const headers = [
-      { label: "Date", getValue: (d) => new Date(d.createdAt).toLocaleDateString() },
-      { label: "Receipt No", getValue: (d) => d.receiptNumber || "N/A" },
-      { label: "Donor Name", getValue: (d) => d.donor?.anonymousDisplay ? "Anonymous" : (d.donor?.name || "N/A") },
-      { label: "Mobile", getValue: (d) => d.donor?.mobile || "N/A" },
-      { label: "Email", getValue: (d) => d.donor?.email || "N/A" },
-      { label: "Amount", getValue: (d) => d.amount },
-      { label: "Cause", getValue: (d) => d.donationHead?.name || "General" },
-      { label: "Payment Method", getValue: (d) => d.paymentMethod || "ONLINE" },
-      { label: "Status", getValue: (d) => d.status },
-      { label: "Transaction Ref", getValue: (d) => d.transactionRef || d.razorpayPaymentId || "N/A" },
-    ];
-
-    const csv = convertToCSV(donations, headers);
-    downloadCSV(csv, `donations_export_${new Date().toISOString().split("T")[0]}.csv`);
-    showToast("Donations exported successfully!");
   };
 
-  const handleExportDonors = () => {
-    // Build unique donors from donations
-    const donorMap = new Map();
-    donations.forEach((donation) => {
-      if (donation.donor && donation.donor.name) {
-        const key = `${donation.donor.name}-${donation.donor.idNumber || ""}`;
-        if (!donorMap.has(key)) {
-          donorMap.set(key, {
-            name: donation.donor.name,
-            mobile: donation.donor.mobile || "N/A",
-            email: donation.donor.email || "N/A",
-            address: donation.donor.address || "N/A",
-            idType: donation.donor.idType || "N/A",
-            idNumber: donation.donor.idNumber || "N/A",
-            totalDonated: 0,
-            donationCount: 0,
-          });
-        }
-        if (donation.status === "SUCCESS") {
-          const donor = donorMap.get(key);
-          donor.totalDonated += donation.amount;
-          donor.donationCount += 1;
+  const handleExportDonations = () =>
+    runExport("donations", {}, (donations) => {
+      if (donations.length === 0) {
+        showToast("No donations to export", true);
+        return;
+      }
+
+      const headers = [
+        { label: "Date", getValue: (d) => new Date(d.createdAt).toLocaleDateString() },
+        { label: "Receipt No", getValue: (d) => d.receiptNumber || "N/A" },
+        { label: "Donor Name", getValue: (d) => d.donor?.anonymousDisplay ? "Anonymous" : (d.donor?.name || "N/A") },
+        { label: "Mobile", getValue: (d) => d.donor?.mobile || "N/A" },
+        { label: "Email", getValue: (d) => d.donor?.email || "N/A" },
+        { label: "Amount", getValue: (d) => d.amount },
+        { label: "Cause", getValue: (d) => d.donationHead?.name || "General" },
+        { label: "Payment Method", getValue: (d) => d.paymentMethod || "ONLINE" },
+        { label: "Status", getValue: (d) => d.status },
+        { label: "Transaction Ref", getValue: (d) => d.transactionRef || d.razorpayPaymentId || "N/A" },
+      ];
+
+      const csv = convertToCSV(donations, headers);
+      downloadCSV(csv, `donations_export_${new Date().toISOString().split("T")[0]}.csv`);
+      showToast("Donations exported successfully!");
+    });
+
+  const handleExportDonors = () =>
+    runExport("donors", {}, (donations) => {
+      // Build unique donors from donations
+      const donorMap = new Map();
+      donations.forEach((donation) => {
+        if (donation.donor && donation.donor.name) {
+          const key = `${donation.donor.name}-${donation.donor.idNumber || ""}`;
+          if (!donorMap.has(key)) {
+            donorMap.set(key, {
+              name: donation.donor.name,
+              mobile: donation.donor.mobile || "N/A",
+              email: donation.donor.email || "N/A",
+              address: donation.donor.address || "N/A",
+              idType: donation.donor.idType || "N/A",
+              idNumber: donation.donor.idNumber || "N/A",
+              totalDonated: 0,
+              donationCount: 0,
+            });
+          }
+          if (donation.status === "SUCCESS") {
+            const donor = donorMap.get(key);
+            donor.totalDonated += donation.amount;
+            donor.donationCount += 1;
+          }
         }
+      });
+
+      const donors = Array.from(donorMap.values());
+
+      if (donors.length === 0) {
+        showToast("No donors to export", true);
+        return;
       }
+
+      const headers = [
+        { label: "Name", getValue: (d) => d.name },
+        { label: "Mobile", getValue: (d) => d.mobile },
+        { label: "Email", getValue: (d) => d.email },
+        { label: "Address", getValue: (d) => d.address },
+        { label: "PAN Number", getValue: (d) => d.idNumber },
+        { label: "Total Donated", getValue: (d) => d.totalDonated },
+        { label: "Donation Count", getValue: (d) => d.donationCount },
+      ];
+
+      const csv = convertToCSV(donors, headers);
+      downloadCSV(csv, `donors_export_${new Date().toISOString().split("T")[0]}.csv`);
+      showToast("Donors exported successfully!");
     });
 
-    const donors = Array.from(donorMap.values());
+  const handleExportReceipts = () =>
+    runExport("receipts", { status: "SUCCESS,PARTIALLY_REFUNDED" }, (donations) => {
+      const donationsWithReceipts = donations.filter(d => d.receiptUrl);
+    
+      if (donationsWithReceipts.length === 0) {
+        showToast("No receipts available to export", true);
+        return;
+      }
+
+      // Export receipt list as CSV (actual PDF bulk download would need backend support)
+      const headers = [
+        { label: "Receipt No", getValue: (d) => d.receiptNumber || "N/A" },
+        { label: "Date", getValue: (d) => new Date(d.createdAt).toLocaleDateString() },
+        { label: "Donor Name", getValue: (d) => d.donor?.name || "N/A" },
+        { label: "Amount", getValue: (d) => d.amount },
+        { label: "Cause", getValue: (d) => d.donationHead?.name || "General" },
+        { label: "Verification Code", getValue: (d) => d.verificationCode || "N/A" },
+      ];
 
-    if (donors.length === 0) {
-      showToast("No donors to export", true);
-      return;
+      const csv = convertToCSV(donationsWithReceipts, headers);
+      downloadCSV(csv, `receipts_list_${new Date().toISOString().split("T")[0]}.csv`);
+      showToast("Receipts list exported successfully!");
+    });
+
+  /**
+   * Issue 80G certificates for every eligible PAN in the selected year
+   */
+  const handleIssueCertificates = async () => {
+    try {
+      setCertificateBusy("issue");
+      const token = localStorage.getItem("token");
+      const response = await fetch(`${API_BASE_URL}/admin/system/certificates/80g/batch`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ financialYear: certificateYear }),
+      });
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to issue certificates");
+      }
+
+      showToast(data.failed ? `${data.message} (${data.failed} failed)` : data.message, data.failed > 0);
+    } catch (err) {
+      showToast(err.message, true);
+    } finally {
+      setCertificateBusy(null);
     }
+  };
+
+  /**
+   * Download all issued certificates of the selected year as one PDF
+   */
+  const handleDownloadCertificates = async () => {
+    try {
+      setCertificateBusy("download");
+      const token = localStorage.getItem("token");
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/certificates/80g/download?financialYear=${certificateYear}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      if (!response.ok) {
+        const data = await parseJsonResponse(response);
+        throw new Error(data.message || "Failed to download certificates");
+      }
 
-    const headers = [
-      { label: "Name", getValue: (d) => d.name },
-      { label: "Mobile", getValue: (d) => d.mobile },
-      { label: "Email", getValue: (d) => d.email },
-      { label: "Address", getValue: (d) => d.address },
-      { label: "PAN Number", getValue: (d) => d.idNumber },
-      { label: "Total Donated", getValue: (d) => d.totalDonated },
-      { label: "Donation Count", getValue: (d) => d.donationCount },
-    ];
-
-    const csv = convertToCSV(donors, headers);
-    downloadCSV(csv, `donors_export_${new Date().toISOString().split("T")[0]}.csv`);
-    showToast("Donors exported successfully!");
+      const blob = await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `80G-certificates-${certificateYear}.pdf`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      showToast(err.message, true);
+    } finally {
+      setCertificateBusy(null);
+    }
   };
 
-  const handleExportReceipts = () => {
-    const donationsWithReceipts = donations.filter(d => d.receiptUrl);
-    
-    if (donationsWithReceipts.length === 0) {
-      showToast("No receipts available to export", true);
-      return;
+  /**
+   * Preview the Form 10BD statement and list donations with bad PAN/name/address
+   */
+  const handleCheckForm10BD = async () => {
+    try {
+      setForm10bdBusy("check");
+      const token = localStorage.getItem("token");
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/exports/10bd?fy=${form10bdYear}&format=json`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to check Form 10BD");
+      }
+
+      setForm10bdPreview(data);
+    } catch (err) {
+      showToast(err.message, true);
+    } finally {
+      setForm10bdBusy(null);
     }
+  };
 
-    // Export receipt list as CSV (actual PDF bulk download would need backend support)
-    const headers = [
-      { label: "Receipt No", getValue: (d) => d.receiptNumber || "N/A" },
-      { label: "Date", getValue: (d) => new Date(d.createdAt).toLocaleDateString() },
-      { label: "Donor Name", getValue: (d) => d.donor?.name || "N/A" },
-      { label: "Amount", getValue: (d) => d.amount },
-      { label: "Cause", getValue: (d) => d.donationHead?.name || "General" },
-      { label: "Receipt URL", getValue: (d) => d.receiptUrl || "N/A" },
-    ];
-
-    const csv = convertToCSV(donationsWithReceipts, headers);
-    downloadCSV(csv, `receipts_list_${new Date().toISOString().split("T")[0]}.csv`);
-    showToast("Receipts list exported successfully!");
+  /**
+   * Download the Form 10BD CSV for upload to the e-filing portal
+   */
+  const handleDownloadForm10BD = async () => {
+    try {
+      setForm10bdBusy("download");
+      const token = localStorage.getItem("token");
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/exports/10bd?fy=${form10bdYear}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      if (!response.ok) {
+        const data = await parseJsonResponse(response);
+        throw new Error(data.message || "Failed to download Form 10BD");
+      }
+
+      const errorCount = parseInt(response.headers.get("X-Validation-Errors")) || 0;
+      const blob = await response.blob();
+      downloadCSV(blob, `form10bd_${form10bdYear}.csv`);
+
+      if (errorCount > 0) {
+        showToast(`Downloaded - ${errorCount} validation errors left out, click Check to review`, true);
+      } else {
+        showToast("Form 10BD downloaded successfully!");
+      }
+    } catch (err) {
+      showToast(err.message, true);
+    } finally {
+      setForm10bdBusy(null);
+    }
   };
 
   // Calculate stats
-  const totalDonations = donations.length;
-  const uniqueDonors = new Set(donations.map(d => d.donor?.name).filter(Boolean)).size;
-  const receiptsCount = donations.filter(d => d.receiptUrl).length;
+  const byStatus = reports?.byStatus || {};
+  const totalDonations = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  const uniqueDonors = reports?.donorCount || 0;
+  const receiptsCount = (byStatus.SUCCESS || 0) + (byStatus.PARTIALLY_REFUNDED || 0);
 
   if (loading) {
     return (
@@ -219,14 +374,15 @@ const ExportsView = () => {
                   Export all donation records to CSV format
                 </p>
                 <p className="text-xs text-gray-500 mt-1">
-                  Total records: {donations.length}
+                  Total records: {totalDonations}
                 </p>
               </div>
               <button
                 onClick={handleExportDonations}
-                className="px-6 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors"
+                disabled={exporting !== null}
+                className="px-6 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors disabled:opacity-50"
               >
-                Export CSV
+                {exporting === "donations" ? "Exporting..." : "Export CSV"}
               </button>
             </div>
             <div className="text-xs text-gray-500">
@@ -248,9 +404,10 @@ const ExportsView = () => {
               </div>
               <button
                 onClick={handleExportDonors}
-                className="px-6 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors"
+                disabled={exporting !== null}
+                className="px-6 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors disabled:opacity-50"
               >
-                Export CSV
+                {exporting === "donors" ? "Exporting..." : "Export CSV"}
               </button>
             </div>
             <div className="text-xs text-gray-500">
@@ -272,15 +429,145 @@ const ExportsView = () => {
               </div>
               <button
                 onClick={handleExportReceipts}
-                className="px-6 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors"
+                disabled={exporting !== null}
+                className="px-6 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors disabled:opacity-50"
               >
-                Export CSV
+                {exporting === "receipts" ? "Exporting..." : "Export CSV"}
               </button>
             </div>
             <div className="text-xs text-gray-500">
               Exports receipt details including receipt numbers and download URLs
             </div>
           </div>
+
+          {/* 80G Annual Certificates */}
+          <div className="p-6 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">80G Annual Certificates</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  One consolidated certificate (Form 10BE) per donor PAN for a financial year
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <select
+                  value={certificateYear}
+                  onChange={(e) => setCertificateYear(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {getClosedFinancialYears().map((year) => (
+                    <option key={year} value={year}>
+                      FY {year}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleIssueCertificates}
+                  disabled={certificateBusy !== null}
+                  className="px-4 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors disabled:opacity-50"
+                >
+                  {certificateBusy === "issue" ? "Issuing..." : "Issue Batch"}
+                </button>
+                <button
+                  onClick={handleDownloadCertificates}
+                  disabled={certificateBusy !== null}
+                  className="px-4 py-2 border border-amber-600 text-amber-700 font-semibold rounded-md hover:bg-amber-50 transition-colors disabled:opacity-50"
+                >
+                  {certificateBusy === "download" ? "Preparing..." : "Download PDF"}
+                </button>
+              </div>
+            </div>
+            <div className="text-xs text-gray-500">
+              Covers SUCCESS donations to 80G-eligible causes, net of refunds. Re-issuing refreshes totals and keeps certificate numbers.
+            </div>
+          </div>
+
+          {/* Form 10BD */}
+          <div className="p-6 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Form 10BD Statement</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  Statement of 80G donations per donor PAN for the income-tax e-filing portal
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <select
+                  value={form10bdYear}
+                  onChange={(e) => {
+                    setForm10bdYear(e.target.value);
+                    setForm10bdPreview(null);
+                  }}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  {getClosedFinancialYears().map((year) => (
+                    <option key={year} value={year}>
+                      FY {year}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleCheckForm10BD}
+                  disabled={form10bdBusy !== null}
+                  className="px-4 py-2 border border-amber-600 text-amber-700 font-semibold rounded-md hover:bg-amber-50 transition-colors disabled:opacity-50"
+                >
+                  {form10bdBusy === "check" ? "Checking..." : "Check"}
+                </button>
+                <button
+                  onClick={handleDownloadForm10BD}
+                  disabled={form10bdBusy !== null}
+                  className="px-4 py-2 bg-amber-600 text-white font-semibold rounded-md hover:bg-amber-700 transition-colors disabled:opacity-50"
+                >
+                  {form10bdBusy === "download" ? "Preparing..." : "Download CSV"}
+                </button>
+              </div>
+            </div>
+
+            {form10bdPreview && (
+              <div className="mb-4">
+                <p className="text-sm text-gray-700">
+                  {form10bdPreview.summary.rowCount} rows for {form10bdPreview.summary.donorCount} donors,{" "}
+                  {formatCurrency(form10bdPreview.summary.totalAmount)} from{" "}
+                  {form10bdPreview.summary.donationsIncluded} donations
+                </p>
+                {form10bdPreview.errors.length === 0 ? (
+                  <p className="text-sm text-green-700 mt-1">No validation errors</p>
+                ) : (
+                  <div className="mt-3 overflow-x-auto">
+                    <p className="text-sm text-red-600 mb-2">
+                      {form10bdPreview.summary.donationsExcluded} donations left out - correct them and check again
+                    </p>
+                    <table className="min-w-full text-sm border border-gray-200 bg-white">
+                      <thead className="bg-gray-100">
+                        <tr>
+                          <th className="px-3 py-2 text-left font-medium text-gray-700">Receipt No</th>
+                          <th className="px-3 py-2 text-left font-medium text-gray-700">Date</th>
+                          <th className="px-3 py-2 text-left font-medium text-gray-700">Donor</th>
+                          <th className="px-3 py-2 text-left font-medium text-gray-700">Amount</th>
+                          <th className="px-3 py-2 text-left font-medium text-gray-700">Problem</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {form10bdPreview.errors.map((e, index) => (
+                          <tr key={`${e.donation}-${e.field}-${index}`} className="border-t border-gray-200">
+                            <td className="px-3 py-2">{e.receiptNumber || "N/A"}</td>
+                            <td className="px-3 py-2">{new Date(e.date).toLocaleDateString()}</td>
+                            <td className="px-3 py-2">{e.donorName || "N/A"}</td>
+                            <td className="px-3 py-2">{formatCurrency(e.amount)}</td>
+                            <td className="px-3 py-2 text-red-600">{e.message}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="text-xs text-gray-500">
+              Covers SUCCESS donations to 80G-eligible causes, net of refunds, grouped by PAN and mode of receipt. Donations with an invalid PAN, name or address are left out of the CSV.
+            </div>
+          </div>
         </div>
       </div>
 
@@ -494,6 +494,8 @@ const GalleryManager = () => {
               <MultilingualInput
                 label="Name"
                 value={categoryForm.name}
+                machineTranslated={editingCategory?.machineTranslated}
+                path="name"
                 onChange={(val) =>
                   setCategoryForm({ ...categoryForm, name: val })
                 }
@@ -503,6 +505,8 @@ const GalleryManager = () => {
               <MultilingualInput
                 label="Description"
                 value={categoryForm.description}
+                machineTranslated={editingCategory?.machineTranslated}
+                path="description"
                 onChange={(val) =>
                   setCategoryForm({ ...categoryForm, description: val })
                 }
@@ -0,0 +1,342 @@
+import { useState, useEffect, useCallback } from "react";
+import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
+
+/**
+ * JobsView - System Admin scheduled maintenance jobs
+ *
+ * Features:
+ * - Job list with schedule, last outcome and consecutive failures
+ * - Run a job now, pause/resume its schedule
+ * - Run history, filterable by job
+ */
+const STATUS_STYLES = {
+  RUNNING: "bg-yellow-100 text-yellow-800",
+  SUCCESS: "bg-green-100 text-green-800",
+  FAILED: "bg-red-100 text-red-800",
+};
+
+const formatDateTime = (date) =>
+  date
+    ? new Date(date).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+const formatInterval = (minutes) =>
+  minutes % 60 === 0 ? `Every ${minutes / 60}h` : `Every ${minutes} min`;
+
+// Job result objects are small - show them as "key: value" pairs
+const formatResult = (result) => {
+  if (!result || typeof result !== "object") return "-";
+  return Object.entries(result)
+    .map(([key, value]) =>
+      `${key}: ${value && typeof value === "object" ? formatResult(value) : value}`,
+    )
+    .join(", ");
+};
+
+const JobsView = () => {
+  const [jobs, setJobs] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [jobFilter, setJobFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [actionJob, setActionJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const authHeaders = () => ({
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  });
+
+  /**
+   * Fetch jobs and run history for the selected job
+   */
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams({ limit: "50" });
+      if (jobFilter) params.set("job", jobFilter);
+
+      const [jobsRes, runsRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/admin/system/jobs`, { headers: authHeaders() }),
+        fetch(`${API_BASE_URL}/admin/system/jobs/runs?${params}`, {
+          headers: authHeaders(),
+        }),
+      ]);
+
+      const jobsData = await parseJsonResponse(jobsRes);
+      const runsData = await parseJsonResponse(runsRes);
+
+      if (!jobsRes.ok || !runsRes.ok) {
+        throw new Error(jobsData.message || runsData.message || "Failed to fetch jobs");
+      }
+
+      setJobs(jobsData.jobs || []);
+      setRuns(runsData.runs || []);
+    } catch (err) {
+      console.error("Error fetching jobs:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [jobFilter]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRun = async (job) => {
+    try {
+      setActionJob(job.name);
+      setError(null);
+      setNotice(null);
+
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/jobs/${encodeURIComponent(job.name)}/run`,
+        { method: "POST", headers: authHeaders() },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Job failed");
+      }
+
+      setNotice(`${job.name}: ${formatResult(data.run.result)}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionJob(null);
+      await fetchData();
+    }
+  };
+
+  const handleToggle = async (job) => {
+    try {
+      setActionJob(job.name);
+      setError(null);
+
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/jobs/${encodeURIComponent(job.name)}`,
+        {
+          method: "PATCH",
+          headers: { ...authHeaders(), "Content-Type": "application/json" },
+          body: JSON.stringify({ enabled: !job.enabled }),
+        },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to update job");
+      }
+
+      await fetchData();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionJob(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Scheduled Jobs</h1>
+        <p className="text-gray-600 text-sm mt-1">
+          Maintenance tasks run automatically by the server
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="p-3 rounded-md text-sm bg-green-50 text-green-700 border border-green-200">
+          {notice}
+        </div>
+      )}
+
+      {/* Jobs */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        {loading && jobs.length === 0 ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Loading...</span>
+          </div>
+        ) : jobs.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">
+            No jobs registered yet - they appear shortly after the server starts
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Job
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Schedule
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Last Run
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {jobs.map((job) => (
+                  <tr key={job.name} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      <div className="font-mono font-medium">{job.name}</div>
+                      <div className="text-xs text-gray-500 max-w-sm">{job.description}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <div>{formatInterval(job.intervalMinutes)}</div>
+                      <div className="text-xs text-gray-500">
+                        {job.enabled ? `Next: ${formatDateTime(job.nextRunAt)}` : "Paused"}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {job.runningSince ? (
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES.RUNNING}`}>
+                          RUNNING
+                        </span>
+                      ) : job.lastStatus ? (
+                        <span
+                          className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[job.lastStatus]}`}
+                        >
+                          {job.lastStatus}
+                        </span>
+                      ) : (
+                        <span className="text-gray-400">Never run</span>
+                      )}
+                      <div className="text-xs text-gray-500 mt-1">
+                        {formatDateTime(job.lastRunAt)}
+                        {job.lastDurationMs !== null && ` · ${job.lastDurationMs} ms`}
+                      </div>
+                      {job.lastStatus === "FAILED" && (
+                        <div className="text-xs text-red-700 mt-1 max-w-[260px]">
+                          {job.lastError}
+                          {job.consecutiveFailures > 1 &&
+                            ` (failed ${job.consecutiveFailures} times in a row)`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => handleRun(job)}
+                          disabled={actionJob === job.name || Boolean(job.runningSince)}
+                          className="text-amber-700 hover:text-amber-800 font-medium disabled:opacity-50"
+                        >
+                          {actionJob === job.name ? "Running..." : "Run now"}
+                        </button>
+                        <button
+                          onClick={() => handleToggle(job)}
+                          disabled={actionJob === job.name}
+                          className="text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+                        >
+                          {job.enabled ? "Pause" : "Resume"}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Run history */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Run History</h2>
+          <select
+            value={jobFilter}
+            onChange={(e) => setJobFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All jobs</option>
+            {jobs.map((job) => (
+              <option key={job.name} value={job.name}>
+                {job.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        {runs.length === 0 ? (
+          <div className="text-center py-8 text-gray-600">No runs yet</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Started
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Job
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Trigger
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Result
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {formatDateTime(run.createdAt)}
+                      {run.durationMs !== null && (
+                        <div className="text-xs text-gray-500">{run.durationMs} ms</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm font-mono text-gray-900">{run.job}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {run.trigger === "MANUAL"
+                        ? `Manual${run.startedBy?.fullName ? ` - ${run.startedBy.fullName}` : ""}`
+                        : "Scheduled"}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[run.status]}`}
+                      >
+                        {run.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 max-w-md">
+                      {run.status === "FAILED" ? (
+                        <span className="text-red-700">{run.error}</span>
+                      ) : (
+                        formatResult(run.result)
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobsView;
@@ -0,0 +1,469 @@
+import { useState, useEffect, useCallback } from "react";
+import { ordersApi } from "../../services/adminApi";
+import { formatCurrency } from "../../utils/helpers";
+
+/**
+ * OrdersManager - Shop order fulfilment for website admins
+ *
+ * Features:
+ * - Filter orders by status and search by order number / mobile / name
+ * - View items, shipping address and status history
+ * - Move paid orders through PROCESSING -> DISPATCHED -> DELIVERED
+ * - Record courier name and tracking number on dispatch
+ */
+const STATUS_FILTERS = [
+  "",
+  "PLACED",
+  "PAID",
+  "PROCESSING",
+  "DISPATCHED",
+  "DELIVERED",
+  "FAILED",
+  "CANCELLED",
+];
+
+// Fulfilment flow after payment - mirrors Order.FULFILMENT_FLOW on the backend
+const FULFILMENT_FLOW = ["PAID", "PROCESSING", "DISPATCHED", "DELIVERED"];
+
+const STATUS_COLORS = {
+  PLACED: "bg-gray-100 text-gray-700",
+  PAID: "bg-blue-100 text-blue-800",
+  PROCESSING: "bg-amber-100 text-amber-800",
+  DISPATCHED: "bg-indigo-100 text-indigo-800",
+  DELIVERED: "bg-green-100 text-green-800",
+  FAILED: "bg-red-100 text-red-800",
+  CANCELLED: "bg-red-50 text-red-600",
+};
+
+const formatDateTime = (date) =>
+  date
+    ? new Date(date).toLocaleString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+const OrdersManager = () => {
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 0, total: 0 });
+  const [statusFilter, setStatusFilter] = useState("");
+  // Search is applied on submit, not on every keystroke
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+
+  const fetchOrders = useCallback(
+    async (page = 1) => {
+      try {
+        setLoading(true);
+        const result = await ordersApi.getAll({
+          status: statusFilter,
+          search,
+          page,
+          limit: 20,
+        });
+        setOrders(result.data || []);
+        setPagination(result.pagination || { page: 1, pages: 0, total: 0 });
+      } catch (error) {
+        console.error("Error fetching orders:", error);
+        setMessage({ type: "error", text: "Failed to load orders" });
+      } finally {
+        setLoading(false);
+      }
+    },
+    [statusFilter, search],
+  );
+
+  useEffect(() => {
+    fetchOrders(1);
+  }, [fetchOrders]);
+
+  const openOrder = async (id) => {
+    try {
+      const result = await ordersApi.getById(id);
+      setSelectedOrder(result.data);
+    } catch (error) {
+      setMessage({ type: "error", text: error.message });
+    }
+  };
+
+  const handleStatusUpdated = (updated) => {
+    setSelectedOrder((prev) => ({ ...prev, ...updated }));
+    setOrders((prev) =>
+      prev.map((o) => (o._id === updated._id ? { ...o, status: updated.status } : o)),
+    );
+    setMessage({ type: "success", text: `Order marked ${updated.status}` });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Shop Orders</h1>
+        <p className="text-gray-600 text-sm mt-1">
+          Track payments and move orders through fulfilment
+        </p>
+      </div>
+
+      {message && (
+        <div
+          className={`p-3 rounded-md text-sm ${
+            message.type === "error"
+              ? "bg-red-50 text-red-700 border border-red-200"
+              : "bg-green-50 text-green-700 border border-green-200"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {/* Filters */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          const term = searchInput.trim();
+          // An unchanged term does not re-run the effect, so reload here
+          if (term === search) fetchOrders(1);
+          else setSearch(term);
+        }}
+        className="bg-white rounded-lg shadow-md border border-gray-200 p-4 flex flex-wrap gap-3"
+      >
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        >
+          {STATUS_FILTERS.map((status) => (
+            <option key={status || "all"} value={status}>
+              {status || "All statuses"}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Order number, mobile or name"
+          className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm"
+        >
+          Search
+        </button>
+      </form>
+
+      {/* Orders Table */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Loading orders...</span>
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No orders found</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Order
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Customer
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Total
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Placed
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {orders.map((order) => (
+                  <tr
+                    key={order._id}
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => openOrder(order._id)}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {order.orderNumber}
+                      {order.stockShortfall?.length > 0 && (
+                        <span className="ml-2 text-xs text-red-600">Stock shortfall</span>
+                      )}
+                      {order.paymentIssue && (
+                        <span className="ml-2 text-xs text-red-600">Refund required</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      <div>{order.customer?.name}</div>
+                      <div className="text-xs text-gray-500">{order.customer?.mobile}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <StatusBadge status={order.status} />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-amber-700">
+                      {formatCurrency(order.totalAmount)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDateTime(order.createdAt)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+            <p className="text-sm text-gray-500">{pagination.total} orders</p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => fetchOrders(pagination.page - 1)}
+                disabled={pagination.page <= 1}
+                className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Previous
+              </button>
+              <span className="px-3 py-1 text-sm text-gray-600">
+                Page {pagination.page} of {pagination.pages}
+              </span>
+              <button
+                onClick={() => fetchOrders(pagination.page + 1)}
+                disabled={pagination.page >= pagination.pages}
+                className="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {selectedOrder && (
+        <OrderDetailModal
+          order={selectedOrder}
+          onClose={() => setSelectedOrder(null)}
+          onUpdated={handleStatusUpdated}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Order detail modal with fulfilment controls
+ */
+const OrderDetailModal = ({ order, onClose, onUpdated }) => {
+  const currentIndex = FULFILMENT_FLOW.indexOf(order.status);
+  const nextStatuses = currentIndex === -1 ? [] : FULFILMENT_FLOW.slice(currentIndex + 1);
+
+  const [form, setForm] = useState({
+    status: nextStatuses[0] || "",
+    courierName: order.shipment?.courierName || "",
+    trackingNumber: order.shipment?.trackingNumber || "",
+    note: "",
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const needsShipment =
+    FULFILMENT_FLOW.indexOf(form.status) >= FULFILMENT_FLOW.indexOf("DISPATCHED");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const result = await ordersApi.updateStatus(order._id, form);
+      onUpdated(result.data);
+      const nextIndex = FULFILMENT_FLOW.indexOf(result.data.status);
+      setForm((prev) => ({
+        ...prev,
+        status: FULFILMENT_FLOW[nextIndex + 1] || "",
+        note: "",
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const address = order.shippingAddress || {};
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">{order.orderNumber}</h2>
+            <StatusBadge status={order.status} />
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl">
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Customer & Address */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">Customer</h3>
+              <p>{order.customer?.name}</p>
+              <p className="text-gray-600">{order.customer?.mobile}</p>
+              <p className="text-gray-600">{order.customer?.email}</p>
+            </div>
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">Ship To</h3>
+              <p className="text-gray-700">
+                {[address.line, address.city, address.state, address.country, address.pincode]
+                  .filter(Boolean)
+                  .join(", ")}
+              </p>
+            </div>
+          </div>
+
+          {/* Items */}
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-2">Items</h3>
+            <div className="border border-gray-200 rounded-md divide-y divide-gray-200 text-sm">
+              {order.items.map((item) => (
+                <div key={item.product} className="flex justify-between px-3 py-2">
+                  <span>
+                    {item.name} × {item.quantity}
+                  </span>
+                  <span className="font-medium">{formatCurrency(item.lineTotal)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between px-3 py-2 text-gray-600">
+                <span>Shipping</span>
+                <span>{formatCurrency(order.shippingCharge)}</span>
+              </div>
+              <div className="flex justify-between px-3 py-2 font-semibold">
+                <span>Total</span>
+                <span className="text-amber-700">{formatCurrency(order.totalAmount)}</span>
+              </div>
+            </div>
+            {order.stockShortfall?.length > 0 && (
+              <p className="mt-2 text-sm text-red-600">
+                Stock could not be lowered after payment for:{" "}
+                {order.stockShortfall.map((s) => `${s.name} × ${s.requested}`).join(", ")}
+              </p>
+            )}
+            {order.paymentIssue && (
+              <p className="mt-2 text-sm text-red-600">{order.paymentIssue}</p>
+            )}
+          </div>
+
+          {/* History */}
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-2">Status History</h3>
+            <ul className="space-y-2 text-sm">
+              {(order.statusHistory || []).map((entry, index) => (
+                <li key={index} className="flex items-start gap-3">
+                  <StatusBadge status={entry.status} />
+                  <div>
+                    <div className="text-gray-700">{formatDateTime(entry.at)}</div>
+                    {entry.note && <div className="text-gray-500">{entry.note}</div>}
+                    {entry.changedBy?.fullName && (
+                      <div className="text-xs text-gray-400">by {entry.changedBy.fullName}</div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Fulfilment */}
+          {nextStatuses.length > 0 || form.status ? (
+            <form onSubmit={handleSubmit} className="border-t border-gray-200 pt-4 space-y-3">
+              <h3 className="font-semibold text-gray-900">Update Status</h3>
+              <select
+                value={form.status}
+                onChange={(e) => setForm({ ...form, status: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                {FULFILMENT_FLOW.slice(FULFILMENT_FLOW.indexOf(order.status) + 1).map(
+                  (status) => (
+                    <option key={status} value={status}>
+                      {status}
+                    </option>
+                  ),
+                )}
+              </select>
+              {needsShipment && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    value={form.courierName}
+                    onChange={(e) => setForm({ ...form, courierName: e.target.value })}
+                    placeholder="Courier name"
+                    required
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="text"
+                    value={form.trackingNumber}
+                    onChange={(e) => setForm({ ...form, trackingNumber: e.target.value })}
+                    placeholder="Tracking number"
+                    required
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                </div>
+              )}
+              <input
+                type="text"
+                value={form.note}
+                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                placeholder="Note (optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              {error && <p className="text-sm text-red-600">{error}</p>}
+              <button
+                type="submit"
+                disabled={saving || !form.status}
+                className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm disabled:opacity-50"
+              >
+                {saving ? "Saving..." : `Mark ${form.status}`}
+              </button>
+            </form>
+          ) : (
+            <p className="border-t border-gray-200 pt-4 text-sm text-gray-500">
+              {order.status === "DELIVERED"
+                ? "This order has been delivered."
+                : "Only paid orders can be moved through fulfilment."}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Status Badge Component
+ */
+const StatusBadge = ({ status }) => (
+  <span
+    className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+      STATUS_COLORS[status] || "bg-gray-100 text-gray-700"
+    }`}
+  >
+    {status}
+  </span>
+);
+
+export default OrdersManager;
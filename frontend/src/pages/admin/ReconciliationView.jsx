@@ -0,0 +1,467 @@
+import { useState, useEffect, useCallback } from "react";
+import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
+import { formatCurrency } from "../../utils/helpers";
+
+/**
+ * ReconciliationView - System Admin payment reconciliation against Razorpay
+ *
+ * Features:
+ * - Run reconciliation for a date range (payments + settlements, max 31 days)
+ * - Recent runs with settlement totals
+ * - Discrepancy list with one-click fix for captured-but-PENDING donations
+ *   and dismiss (with note) for everything else
+ */
+const TYPE_LABELS = {
+  CAPTURED_NOT_CONFIRMED: "Captured, donation pending",
+  CAPTURED_WITHOUT_DONATION: "Captured, no donation",
+  SUCCESS_WITHOUT_CAPTURE: "Success without capture",
+  AMOUNT_MISMATCH: "Amount mismatch",
+  ORDER_NOT_PAID: "Captured, shop order not paid",
+};
+
+const STATUS_STYLES = {
+  OPEN: "bg-red-100 text-red-800",
+  FIXED: "bg-green-100 text-green-800",
+  DISMISSED: "bg-gray-100 text-gray-700",
+  RUNNING: "bg-yellow-100 text-yellow-800",
+  COMPLETED: "bg-green-100 text-green-800",
+  FAILED: "bg-red-100 text-red-800",
+};
+
+const todayISO = () => new Date().toISOString().split("T")[0];
+const daysAgoISO = (days) =>
+  new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const ReconciliationView = () => {
+  const [range, setRange] = useState({ from: daysAgoISO(7), to: todayISO() });
+  const [runs, setRuns] = useState([]);
+  const [discrepancies, setDiscrepancies] = useState([]);
+  const [openByType, setOpenByType] = useState({});
+  const [statusFilter, setStatusFilter] = useState("OPEN");
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [actionId, setActionId] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const authHeaders = () => ({
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  });
+
+  /**
+   * Fetch recent runs and discrepancies for the selected status
+   */
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [runsRes, discrepanciesRes] = await Promise.all([
+        fetch(`${API_BASE_URL}/admin/system/reconciliation/runs?limit=10`, {
+          headers: authHeaders(),
+        }),
+        fetch(
+          `${API_BASE_URL}/admin/system/reconciliation/discrepancies?status=${statusFilter}&limit=100`,
+          { headers: authHeaders() },
+        ),
+      ]);
+
+      const runsData = await parseJsonResponse(runsRes);
+      const discrepanciesData = await parseJsonResponse(discrepanciesRes);
+
+      if (!runsRes.ok || !discrepanciesRes.ok) {
+        throw new Error(
+          runsData.message || discrepanciesData.message || "Failed to fetch reconciliation data",
+        );
+      }
+
+      setRuns(runsData.runs || []);
+      setDiscrepancies(discrepanciesData.discrepancies || []);
+      setOpenByType(discrepanciesData.openByType || {});
+    } catch (err) {
+      console.error("Error fetching reconciliation data:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    try {
+      setRunning(true);
+      setError(null);
+      setNotice(null);
+
+      const response = await fetch(`${API_BASE_URL}/admin/system/reconciliation/runs`, {
+        method: "POST",
+        headers: { ...authHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify(range),
+      });
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Reconciliation failed");
+      }
+
+      setNotice(
+        `Checked ${data.run.summary.paymentsFetched} payments - ${data.run.summary.discrepanciesFound} new discrepancies`,
+      );
+      await fetchData();
+    } catch (err) {
+      setError(err.message);
+      await fetchData();
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleFix = async (discrepancy) => {
+    if (!window.confirm("Mark this donation SUCCESS and generate its receipt?")) return;
+
+    try {
+      setActionId(discrepancy._id);
+      setError(null);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/reconciliation/discrepancies/${discrepancy._id}/fix`,
+        { method: "POST", headers: authHeaders() },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fix discrepancy");
+      }
+
+      setNotice(`${data.message} (${data.receiptNumber})`);
+      await fetchData();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  const handleDismiss = async (discrepancy) => {
+    const note = window.prompt("Why is this discrepancy being dismissed?");
+    if (!note || !note.trim()) return;
+
+    try {
+      setActionId(discrepancy._id);
+      setError(null);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/reconciliation/discrepancies/${discrepancy._id}/dismiss`,
+        {
+          method: "POST",
+          headers: { ...authHeaders(), "Content-Type": "application/json" },
+          body: JSON.stringify({ note: note.trim() }),
+        },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to dismiss discrepancy");
+      }
+
+      await fetchData();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Payment Reconciliation</h1>
+        <p className="text-gray-600 text-sm mt-1">
+          Compare Razorpay payments and settlements with donation records
+        </p>
+      </div>
+
+      {/* Run form */}
+      <form
+        onSubmit={handleRun}
+        className="bg-white rounded-lg shadow-md border border-gray-200 p-4 flex flex-col md:flex-row md:items-end gap-3"
+      >
+        <div>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => setRange({ ...range, from: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-semibold text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={range.to}
+            max={todayISO()}
+            onChange={(e) => setRange({ ...range, to: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={running}
+          className="px-4 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {running ? "Reconciling..." : "Run Reconciliation"}
+        </button>
+        <p className="text-xs text-gray-500 md:ml-auto">
+          Runs automatically every 6 hours for the last 48 hours
+        </p>
+      </form>
+
+      {error && (
+        <div className="p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="p-3 rounded-md text-sm bg-green-50 text-green-700 border border-green-200">
+          {notice}
+        </div>
+      )}
+
+      {/* Open discrepancy counts */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {Object.entries(TYPE_LABELS).map(([type, label]) => (
+          <div key={type} className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
+            <div className="text-sm font-medium text-gray-500 mb-1">{label}</div>
+            <div
+              className={`text-2xl font-bold ${openByType[type] ? "text-red-700" : "text-gray-900"}`}
+            >
+              {openByType[type] || 0}
+            </div>
+            <div className="text-xs text-gray-600">Open</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Discrepancies */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Discrepancies</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="OPEN">Open</option>
+            <option value="FIXED">Fixed</option>
+            <option value="DISMISSED">Dismissed</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        {loading && discrepancies.length === 0 ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Loading...</span>
+          </div>
+        ) : discrepancies.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No discrepancies</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Razorpay
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Record
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {discrepancies.map((d) => (
+                  <tr key={d._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      <div className="font-medium">{TYPE_LABELS[d.type] || d.type}</div>
+                      <div className="text-xs text-gray-500">
+                        Last seen {formatDateTime(d.lastSeenAt)}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      <div className="font-mono text-xs">{d.razorpayPaymentId || "-"}</div>
+                      <div className="text-xs text-gray-500">
+                        {d.razorpayStatus || "-"}
+                        {d.razorpayAmount !== null && ` · ${formatCurrency(d.razorpayAmount)}`}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {d.donation ? (
+                        <>
+                          <div>{d.donation.donor?.name || "Unknown"}</div>
+                          <div className="text-xs text-gray-500">
+                            {d.donation.status} · {formatCurrency(d.donation.amount)}
+                            {d.donation.receiptNumber && ` · ${d.donation.receiptNumber}`}
+                          </div>
+                        </>
+                      ) : d.order ? (
+                        <>
+                          <div>Order {d.order.orderNumber}</div>
+                          <div className="text-xs text-gray-500">
+                            {d.order.status} · {formatCurrency(d.order.totalAmount)}
+                          </div>
+                          {d.order.paymentIssue && (
+                            <div className="text-xs text-red-600 mt-1 max-w-[220px]">
+                              {d.order.paymentIssue}
+                            </div>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-400">None</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[d.status]}`}
+                      >
+                        {d.status}
+                      </span>
+                      {d.resolutionNote && (
+                        <div className="text-xs text-gray-500 mt-1 max-w-[220px]">
+                          {d.resolutionNote}
+                          {d.resolvedBy?.fullName && ` - ${d.resolvedBy.fullName}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      {d.status === "OPEN" && (
+                        <div className="flex gap-3">
+                          {d.type === "CAPTURED_NOT_CONFIRMED" && (
+                            <button
+                              onClick={() => handleFix(d)}
+                              disabled={actionId === d._id}
+                              className="text-green-700 hover:text-green-800 font-medium disabled:opacity-50"
+                            >
+                              {actionId === d._id ? "Fixing..." : "Fix"}
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleDismiss(d)}
+                            disabled={actionId === d._id}
+                            className="text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+                          >
+                            Dismiss
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Recent runs */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        <div className="px-4 py-3 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Recent Runs</h2>
+        </div>
+        {runs.length === 0 ? (
+          <div className="text-center py-8 text-gray-600">No runs yet</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Started
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Range
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Captured
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Settled
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    New Issues
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run._id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      <div>{formatDateTime(run.createdAt)}</div>
+                      <div className="text-xs text-gray-500">
+                        {run.trigger === "SCHEDULED" ? "Scheduled" : run.startedBy?.fullName || "Manual"}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {new Date(run.from).toLocaleDateString("en-IN")} -{" "}
+                      {new Date(run.to).toLocaleDateString("en-IN")}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {run.summary.capturedCount} · {formatCurrency(run.summary.capturedAmount)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                      {run.summary.settlementsCount} · {formatCurrency(run.summary.settledAmount)}
+                      {run.summary.settlementFees > 0 && (
+                        <div className="text-xs text-gray-500">
+                          Fees {formatCurrency(run.summary.settlementFees)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {run.summary.discrepanciesFound}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[run.status]}`}
+                      >
+                        {run.status}
+                      </span>
+                      {run.error && (
+                        <div className="text-xs text-red-600 mt-1 max-w-[220px]">{run.error}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReconciliationView;
@@ -1,9 +1,16 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect } from "react";
 import { formatCurrency } from "../../utils/helpers";
 import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
 
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// "2026-03" -> "Mar 2026"
+const formatMonth = (key) => {
+  const [year, month] = key.split("-");
+  return `${MONTH_NAMES[parseInt(month, 10) - 1]} ${year}`;
+};
+
 const ReportsView = () => {
-  const [donations, setDonations] = useState([]);
   const [reports, setReports] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -18,24 +25,15 @@ const ReportsView = () => {
           return;
         }
 
-        const [donationsRes, reportsRes] = await Promise.all([
-          fetch(`${API_BASE_URL}/admin/system/donations`, {
-            headers: { Authorization: `Bearer ${token}` },
-          }),
-          fetch(`${API_BASE_URL}/admin/system/reports`, {
-            headers: { Authorization: `Bearer ${token}` },
-          }),
-        ]);
+        const reportsRes = await fetch(`${API_BASE_URL}/admin/system/reports`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
 
-        if (!donationsRes.ok || !reportsRes.ok) {
+        if (!reportsRes.ok) {
           throw new Error("Failed to fetch data");
         }
 
-        const donationsData = await parseJsonResponse(donationsRes);
-        const reportsData = await parseJsonResponse(reportsRes);
-
-        setDonations(donationsData);
-        setReports(reportsData);
+        setReports(await parseJsonResponse(reportsRes));
       } catch (err) {
         console.error("Error fetching data:", err);
         setError(err.message);
@@ -47,26 +45,19 @@ const ReportsView = () => {
     fetchData();
   }, []);
 
-  // Get current month donations
-  const currentMonth = new Date().getMonth();
-  const currentYear = new Date().getFullYear();
-  const currentMonthDonations = useMemo(() => {
-    return donations.filter(donation => {
-      const donationDate = new Date(donation.createdAt);
-      return donationDate.getMonth() === currentMonth && donationDate.getFullYear() === currentYear;
-    });
-  }, [donations, currentMonth, currentYear]);
+  // Current month from the monthly summary (months keyed "YYYY-MM")
+  const now = new Date();
+  const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+  const currentMonth = reports?.byMonth?.find((m) => m.month === currentMonthKey);
 
   // Calculate summary metrics
-  const totalDonationsLifetime = donations.length;
+  const totalDonationsLifetime = Object.values(reports?.byStatus || {}).reduce((sum, count) => sum + count, 0);
   const totalAmountLifetime = reports?.totalAmount || 0;
-  const totalDonationsCurrentMonth = currentMonthDonations.length;
-  const totalAmountCurrentMonth = currentMonthDonations
-    .filter(d => d.status === "SUCCESS")
-    .reduce((sum, d) => sum + d.amount, 0);
+  const totalDonationsCurrentMonth = currentMonth?.count || 0;
+  const totalAmountCurrentMonth = currentMonth?.amount || 0;
   
   // Unique donors count
-  const totalDonors = new Set(donations.map(d => d.donor?.name).filter(Boolean)).size;
+  const totalDonors = reports?.donorCount || 0;
 
   // Top donation cause from reports
   const topCause = reports?.byDonationHead?.[0] || null;
@@ -79,37 +70,17 @@ const ReportsView = () => {
   })) || [];
 
   // Monthly donation summary (last 12 months)
-  const monthlySummary = useMemo(() => {
-    const monthStats = {};
-    const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-    
-    donations.filter(d => d.status === "SUCCESS").forEach(donation => {
-      const date = new Date(donation.createdAt);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth()).padStart(2, '0')}`;
-      const monthLabel = `${monthNames[date.getMonth()]} ${date.getFullYear()}`;
-      
-      if (!monthStats[monthKey]) {
-        monthStats[monthKey] = { month: monthLabel, count: 0, amount: 0, dateKey: date };
-      }
-      monthStats[monthKey].count += 1;
-      monthStats[monthKey].amount += donation.amount;
-    });
-
-    return Object.values(monthStats)
-      .sort((a, b) => b.dateKey - a.dateKey)
-      .slice(0, 12)
-      .map(({ month, count, amount }) => ({ month, count, amount }));
-  }, [donations]);
+  const monthlySummary = (reports?.byMonth || []).map((item) => ({
+    month: formatMonth(item.month),
+    count: item.count,
+    amount: item.amount,
+  }));
 
   // Anonymous vs Named donations
-  const anonymousCount = donations.filter(d => d.donor?.anonymousDisplay === true && d.status === "SUCCESS").length;
-  const namedCount = donations.filter(d => d.donor?.anonymousDisplay !== true && d.status === "SUCCESS").length;
-  const anonymousAmount = donations
-    .filter(d => d.donor?.anonymousDisplay === true && d.status === "SUCCESS")
-    .reduce((sum, d) => sum + d.amount, 0);
-  const namedAmount = donations
-    .filter(d => d.donor?.anonymousDisplay !== true && d.status === "SUCCESS")
-    .reduce((sum, d) => sum + d.amount, 0);
+  const anonymousCount = reports?.anonymous?.count || 0;
+  const namedCount = reports?.named?.count || 0;
+  const anonymousAmount = reports?.anonymous?.amount || 0;
+  const namedAmount = reports?.named?.amount || 0;
 
   // Payment method breakdown
   const onlineStats = reports?.byPaymentMethod?.ONLINE || { amount: 0, count: 0 };
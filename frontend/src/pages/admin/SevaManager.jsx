@@ -0,0 +1,706 @@
+import { useState, useEffect, useCallback } from "react";
+import { Loader2, Download } from "lucide-react";
+import { sevaApi, activitiesApi, eventsApi } from "../../services/adminApi";
+import SevaRoster from "../../components/admin/SevaRoster";
+
+/**
+ * SevaManager - Volunteer (sevadar) shifts for website admins
+ *
+ * Features:
+ * - Schedule shifts with slots for an activity seva (Activity subitem) or an event
+ * - Edit time / slots / notes, cancel shifts (volunteers are emailed)
+ * - Roster of each shift with attendance
+ * - Volunteers who offered to help, per seva
+ * - Hours served per volunteer, with CSV export
+ */
+const TABS = [
+  { value: "shifts", label: "Shifts" },
+  { value: "interests", label: "Interested volunteers" },
+  { value: "hours", label: "Hours" },
+];
+
+const emptyForm = () => ({
+  target: "",
+  date: "",
+  startTime: "",
+  endTime: "",
+  slots: "",
+  location: "",
+  notes: "",
+});
+
+const toDisplayText = (val) => {
+  if (typeof val === "string") return val;
+  if (val && typeof val === "object") {
+    return val.en || val.hi || val.mr || "";
+  }
+  return "";
+};
+
+// Shift target <-> select value ("activity:<id>:<subitemId>" or "event:<id>")
+const toTargetValue = (item) =>
+  item.event ? `event:${item.event}` : `activity:${item.activity}:${item.subitem}`;
+
+const fromTargetValue = (value) => {
+  const [type, id, subitemId] = value.split(":");
+  return type === "event"
+    ? { eventId: id }
+    : { activityId: id, subitemId };
+};
+
+const formatShiftDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+const formatShiftTime = (date) =>
+  new Date(date).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Date -> "YYYY-MM-DD" / "HH:MM" in local time, for the form inputs
+const toLocalParts = (value) => {
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  const local = new Date(date.getTime() - offset).toISOString();
+  return { date: local.slice(0, 10), time: local.slice(11, 16) };
+};
+
+const sevaLabel = (item) =>
+  item.activityTitle && toDisplayText(item.activityTitle) !== toDisplayText(item.sevaTitle)
+    ? `${toDisplayText(item.activityTitle)} - ${toDisplayText(item.sevaTitle)}`
+    : toDisplayText(item.sevaTitle) || "Removed seva";
+
+const SevaManager = () => {
+  const [tab, setTab] = useState("shifts");
+  const [shifts, setShifts] = useState([]);
+  const [targets, setTargets] = useState([]);
+  const [interests, setInterests] = useState([]);
+  const [hours, setHours] = useState([]);
+  const [hoursRange, setHoursRange] = useState({ from: "", to: "" });
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingShift, setEditingShift] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [rosterShiftId, setRosterShiftId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [toast, setToast] = useState(null);
+
+  const showToast = useCallback((message, type = "success") => {
+    setToast({ message, type });
+    setTimeout(() => setToast(null), 3000);
+  }, []);
+
+  const fetchShifts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await sevaApi.getShifts();
+      setShifts(result.data || []);
+    } catch (err) {
+      console.error("Error fetching shifts:", err);
+      showToast(err.message || "Failed to load shifts", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  // Visible activity sevas and current events a shift can be for
+  const fetchTargets = useCallback(async () => {
+    try {
+      const [activities, events] = await Promise.all([
+        activitiesApi.getAll(),
+        eventsApi.getAll(),
+      ]);
+      const activityOptions = (activities.data || [])
+        .filter((activity) => activity.isVisible !== false)
+        .flatMap((activity) =>
+          (activity.subitems || [])
+            .filter((subitem) => subitem.isVisible !== false)
+            .map((subitem) => ({
+              value: `activity:${activity._id}:${subitem._id}`,
+              label: `${toDisplayText(activity.title)} - ${toDisplayText(subitem.title)}`,
+              group: "Activity sevas",
+            })),
+        );
+      const eventOptions = (events.data || [])
+        .filter(
+          (event) =>
+            event.isPublished !== false &&
+            ["upcoming", "ongoing"].includes(event.status),
+        )
+        .map((event) => ({
+          value: `event:${event._id}`,
+          label: toDisplayText(event.title),
+          group: "Events",
+        }));
+      setTargets([...activityOptions, ...eventOptions]);
+    } catch (err) {
+      console.error("Error fetching sevas:", err);
+    }
+  }, []);
+
+  const fetchInterests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await sevaApi.getInterests();
+      setInterests(result.data || []);
+    } catch (err) {
+      showToast(err.message || "Failed to load volunteers", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  const fetchHours = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {};
+      if (hoursRange.from) params.from = hoursRange.from;
+      if (hoursRange.to) params.to = hoursRange.to;
+      const result = await sevaApi.getHours(params);
+      setHours(result.data || []);
+    } catch (err) {
+      showToast(err.message || "Failed to load hours", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [hoursRange, showToast]);
+
+  useEffect(() => {
+    fetchTargets();
+  }, [fetchTargets]);
+
+  useEffect(() => {
+    if (tab === "shifts") fetchShifts();
+    if (tab === "interests") fetchInterests();
+    if (tab === "hours") fetchHours();
+  }, [tab, fetchShifts, fetchInterests, fetchHours]);
+
+  const handleAdd = () => {
+    setEditingShift(null);
+    setFormData(emptyForm());
+    setShowForm(true);
+  };
+
+  const handleEdit = (shift) => {
+    const start = toLocalParts(shift.startsAt);
+    setEditingShift(shift);
+    setFormData({
+      target: toTargetValue(shift),
+      date: start.date,
+      startTime: start.time,
+      endTime: toLocalParts(shift.endsAt).time,
+      slots: shift.slots,
+      location: shift.location || "",
+      notes: shift.notes || "",
+    });
+    setShowForm(true);
+  };
+
+  const handleCancelForm = () => {
+    setShowForm(false);
+    setEditingShift(null);
+    setFormData(emptyForm());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const startsAt = new Date(`${formData.date}T${formData.startTime}`);
+      const endsAt = new Date(`${formData.date}T${formData.endTime}`);
+      // A shift ending at or before its start time runs past midnight
+      if (endsAt <= startsAt) endsAt.setDate(endsAt.getDate() + 1);
+
+      const payload = {
+        startsAt: startsAt.toISOString(),
+        endsAt: endsAt.toISOString(),
+        slots: Number(formData.slots),
+        location: formData.location,
+        notes: formData.notes,
+      };
+
+      if (editingShift) {
+        await sevaApi.updateShift(editingShift._id, payload);
+        showToast("Shift updated");
+      } else {
+        await sevaApi.createShift({
+          ...payload,
+          ...fromTargetValue(formData.target),
+        });
+        showToast("Shift created");
+      }
+      handleCancelForm();
+      fetchShifts();
+    } catch (err) {
+      showToast(err.message || "Failed to save shift", "error");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancelShift = async (shift) => {
+    const volunteers = shift.slotsTaken
+      ? ` ${shift.slotsTaken} volunteer(s) will be emailed.`
+      : "";
+    if (!window.confirm(`Cancel this shift?${volunteers}`)) return;
+
+    setBusyId(shift._id);
+    try {
+      const result = await sevaApi.cancelShift(shift._id);
+      showToast(result.message);
+      fetchShifts();
+    } catch (err) {
+      showToast(err.message || "Failed to cancel shift", "error");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleExportHours = async () => {
+    setExporting(true);
+    try {
+      const params = {};
+      if (hoursRange.from) params.from = hoursRange.from;
+      if (hoursRange.to) params.to = hoursRange.to;
+      const blob = await sevaApi.exportHours(params);
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `seva_hours_${new Date().toISOString().split("T")[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      showToast(err.message || "Export failed", "error");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const now = new Date();
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Seva Shifts</h1>
+          <p className="text-gray-600 text-sm mt-1">
+            Volunteers sign up for shifts on the Seva page and get an email
+            reminder a day before.
+          </p>
+        </div>
+        {tab === "shifts" && !showForm && (
+          <button
+            onClick={handleAdd}
+            className="px-4 py-2 bg-amber-600 text-white text-sm font-medium rounded-md hover:bg-amber-700"
+          >
+            + New shift
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {TABS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setTab(option.value)}
+            className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
+              tab === option.value
+                ? "bg-amber-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === "shifts" && showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white rounded-lg shadow-md border border-gray-200 p-6 space-y-4"
+        >
+          <h2 className="text-lg font-semibold text-gray-900">
+            {editingShift ? "Edit shift" : "New shift"}
+          </h2>
+          <div>
+            <label className="block text-sm font-semibold text-gray-800 mb-1">
+              Seva *
+            </label>
+            <select
+              required
+              value={formData.target}
+              disabled={Boolean(editingShift)}
+              onChange={(e) =>
+                setFormData({ ...formData, target: e.target.value })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500 disabled:bg-gray-100"
+            >
+              <option value="">Select an activity seva or event...</option>
+              {editingShift &&
+                !targets.some((t) => t.value === toTargetValue(editingShift)) && (
+                <option value={toTargetValue(editingShift)}>
+                  {sevaLabel(editingShift)}
+                </option>
+              )}
+              {["Activity sevas", "Events"].map((group) => (
+                <optgroup key={group} label={group}>
+                  {targets
+                    .filter((target) => target.group === group)
+                    .map((target) => (
+                      <option key={target.value} value={target.value}>
+                        {target.label}
+                      </option>
+                    ))}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-800 mb-1">
+                Date *
+              </label>
+              <input
+                type="date"
+                required
+                value={formData.date}
+                onChange={(e) =>
+                  setFormData({ ...formData, date: e.target.value })
+                }
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-800 mb-1">
+                From *
+              </label>
+              <input
+                type="time"
+                required
+                value={formData.startTime}
+                onChange={(e) =>
+                  setFormData({ ...formData, startTime: e.target.value })
+                }
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-800 mb-1">
+                To *
+              </label>
+              <input
+                type="time"
+                required
+                value={formData.endTime}
+                onChange={(e) =>
+                  setFormData({ ...formData, endTime: e.target.value })
+                }
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-800 mb-1">
+                Volunteers needed *
+              </label>
+              <input
+                type="number"
+                required
+                min={editingShift?.slotsTaken || 1}
+                max="500"
+                value={formData.slots}
+                onChange={(e) =>
+                  setFormData({ ...formData, slots: e.target.value })
+                }
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-800 mb-1">
+              Reporting place
+            </label>
+            <input
+              type="text"
+              value={formData.location}
+              onChange={(e) =>
+                setFormData({ ...formData, location: e.target.value })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              placeholder="e.g., Annadan kitchen"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-800 mb-1">
+              Notes for volunteers
+            </label>
+            <textarea
+              rows={3}
+              value={formData.notes}
+              onChange={(e) =>
+                setFormData({ ...formData, notes: e.target.value })
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+              placeholder="What to bring, whom to report to..."
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleCancelForm}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium bg-amber-600 text-white rounded-md hover:bg-amber-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {editingShift ? "Save shift" : "Create shift"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-40">
+          <Loader2 className="w-8 h-8 animate-spin text-amber-600" />
+          <span className="ml-3 text-gray-600">Loading...</span>
+        </div>
+      ) : tab === "shifts" ? (
+        shifts.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md border border-gray-200 text-center py-12 text-gray-600">
+            No shifts scheduled. Create one to start recruiting sevadars.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {shifts.map((shift) => {
+              const isPast = new Date(shift.endsAt) < now;
+              const isCancelled = shift.status === "CANCELLED";
+              return (
+                <div
+                  key={shift._id}
+                  className={`bg-white rounded-lg shadow-md border border-gray-200 p-4 ${
+                    isPast || isCancelled ? "opacity-75" : ""
+                  }`}
+                >
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <h3 className="font-semibold text-gray-900">
+                          {sevaLabel(shift)}
+                        </h3>
+                        {isCancelled && (
+                          <span className="px-2 py-0.5 text-xs font-medium rounded-md bg-red-100 text-red-700">
+                            Cancelled
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        {formatShiftDate(shift.startsAt)},{" "}
+                        {formatShiftTime(shift.startsAt)} -{" "}
+                        {formatShiftTime(shift.endsAt)} ({shift.hours}h)
+                        {shift.location ? ` · ${shift.location}` : ""}
+                      </p>
+                      <p
+                        className={`text-xs mt-1 ${
+                          shift.slotsTaken >= shift.slots
+                            ? "text-green-700"
+                            : "text-amber-700"
+                        }`}
+                      >
+                        {shift.slotsTaken} / {shift.slots} volunteers
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() =>
+                          setRosterShiftId(
+                            rosterShiftId === shift._id ? null : shift._id,
+                          )
+                        }
+                        className="px-3 py-1 text-xs font-medium text-amber-700 bg-amber-50 hover:bg-amber-100 rounded-md"
+                      >
+                        {rosterShiftId === shift._id ? "Hide roster" : "Roster"}
+                      </button>
+                      {!isCancelled && !isPast && (
+                        <>
+                          <button
+                            onClick={() => handleEdit(shift)}
+                            className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleCancelShift(shift)}
+                            disabled={busyId === shift._id}
+                            className="px-3 py-1 text-xs font-medium text-red-600 hover:bg-red-50 rounded-md disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {rosterShiftId === shift._id && (
+                    <div className="mt-4 border-t border-gray-200 pt-4">
+                      <SevaRoster shiftId={shift._id} onToast={showToast} />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )
+      ) : tab === "interests" ? (
+        interests.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md border border-gray-200 text-center py-12 text-gray-600">
+            No volunteers have offered to help yet.
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {interests.map((group) => (
+              <div
+                key={toTargetValue(group)}
+                className="bg-white rounded-lg shadow-md border border-gray-200 p-4"
+              >
+                <h3 className="font-semibold text-gray-900 mb-2">
+                  {sevaLabel(group)}{" "}
+                  <span className="text-sm font-normal text-gray-500">
+                    ({group.volunteers.length})
+                  </span>
+                </h3>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {group.volunteers.map((volunteer) => (
+                    <li key={volunteer._id} className="py-2">
+                      <span className="font-medium text-gray-900">
+                        {volunteer.user?.fullName || "No name"}
+                      </span>
+                      <span className="text-gray-600">
+                        {" "}
+                        · {volunteer.user?.mobile}
+                        {volunteer.user?.email ? ` · ${volunteer.user.email}` : ""}
+                      </span>
+                      {volunteer.note && (
+                        <p className="text-gray-600 text-xs mt-1">
+                          {volunteer.note}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )
+      ) : (
+        <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4 space-y-4">
+          <div className="flex flex-col md:flex-row md:items-end gap-3">
+            <div>
+              <label className="block text-xs font-semibold text-gray-700 mb-1">
+                Shifts from
+              </label>
+              <input
+                type="date"
+                value={hoursRange.from}
+                onChange={(e) =>
+                  setHoursRange({ ...hoursRange, from: e.target.value })
+                }
+                className="px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-700 mb-1">
+                Before
+              </label>
+              <input
+                type="date"
+                value={hoursRange.to}
+                onChange={(e) =>
+                  setHoursRange({ ...hoursRange, to: e.target.value })
+                }
+                className="px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+              />
+            </div>
+            <button
+              onClick={handleExportHours}
+              disabled={exporting}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium bg-amber-600 text-white rounded-md hover:bg-amber-700 disabled:opacity-50 md:ml-auto"
+            >
+              {exporting ? (
+                <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+              ) : (
+                <Download className="w-4 h-4 mr-1" />
+              )}
+              Export CSV
+            </button>
+          </div>
+          {hours.length === 0 ? (
+            <div className="text-center py-8 text-gray-500 text-sm">
+              No attendance marked in this period.
+            </div>
+          ) : (
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">
+                      Volunteer
+                    </th>
+                    <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                      Shifts
+                    </th>
+                    <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                      Absences
+                    </th>
+                    <th className="px-3 py-2 text-right font-semibold text-gray-700">
+                      Hours
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {hours.map((row) => (
+                    <tr key={row.user._id}>
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-gray-900">
+                          {row.user.fullName || "No name"}
+                        </div>
+                        <div className="text-gray-600">{row.user.mobile}</div>
+                      </td>
+                      <td className="px-3 py-2 text-right">{row.shifts}</td>
+                      <td className="px-3 py-2 text-right">{row.absences}</td>
+                      <td className="px-3 py-2 text-right font-semibold">
+                        {row.hours}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {toast && (
+        <div className="fixed bottom-4 right-4 z-50 animate-in fade-in slide-in-from-bottom-5">
+          <div
+            className={`${
+              toast.type === "error" ? "bg-red-600" : "bg-green-600"
+            } text-white px-6 py-3 rounded-lg shadow-lg`}
+          >
+            <span className="font-medium">{toast.message}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SevaManager;
@@ -3,7 +3,6 @@ import { formatCurrency } from "../../utils/helpers";
 import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
 
 const SystemOverview = () => {
-  const [donations, setDonations] = useState([]);
   const [reports, setReports] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -18,25 +17,15 @@ const SystemOverview = () => {
           return;
         }
 
-        // Fetch donations and reports
-        const [donationsRes, reportsRes] = await Promise.all([
-          fetch(`${API_BASE_URL}/admin/system/donations`, {
-            headers: { Authorization: `Bearer ${token}` },
-          }),
-          fetch(`${API_BASE_URL}/admin/system/reports`, {
-            headers: { Authorization: `Bearer ${token}` },
-          }),
-        ]);
-
-        if (!donationsRes.ok || !reportsRes.ok) {
+        const reportsRes = await fetch(`${API_BASE_URL}/admin/system/reports`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+
+        if (!reportsRes.ok) {
           throw new Error("Failed to fetch data");
         }
 
-        const donationsData = await parseJsonResponse(donationsRes);
-        const reportsData = await parseJsonResponse(reportsRes);
-
-        setDonations(donationsData);
-        setReports(reportsData);
+        setReports(await parseJsonResponse(reportsRes));
       } catch (err) {
         console.error("Error fetching data:", err);
         setError(err.message);
@@ -71,15 +60,16 @@ const SystemOverview = () => {
     );
   }
 
-  const totalDonations = donations.length;
+  const byStatus = reports?.byStatus || {};
+  const totalDonations = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
   const totalAmount = reports?.totalAmount || 0;
-  const successfulDonations = donations.filter(d => d.status === "SUCCESS").length;
-  const pendingDonations = donations.filter(d => d.status === "PENDING").length;
-  const failedDonations = donations.filter(d => d.status === "FAILED").length;
+  const successfulDonations = byStatus.SUCCESS || 0;
+  const pendingDonations = byStatus.PENDING || 0;
+  const failedDonations = byStatus.FAILED || 0;
   
   // Get unique donors count
-  const uniqueDonors = new Set(donations.map(d => d.donor?.name).filter(Boolean)).size;
-  const anonymousDonations = donations.filter(d => d.donor?.anonymousDisplay === true).length;
+  const uniqueDonors = reports?.donorCount || 0;
+  const anonymousDonations = reports?.anonymous?.count || 0;
 
   // Payment method stats
   const onlineStats = reports?.byPaymentMethod?.ONLINE || { amount: 0, count: 0 };
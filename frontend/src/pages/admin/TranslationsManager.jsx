@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback } from "react";
+import { translationsApi } from "../../services/adminApi";
+
+/**
+ * TranslationsManager - Missing and machine-translated content report
+ *
+ * Features:
+ * - Per content type: items with empty Hindi / Marathi values and
+ *   machine-translated drafts that still need review
+ * - Draft translations for one item or a whole content type
+ * - Mark an item's drafts as reviewed (editing a draft also reviews it)
+ */
+const MODEL_LABELS = {
+  Event: "Events",
+  Activity: "Activities",
+  DonationHead: "Donation Causes",
+  GalleryCategory: "Gallery",
+  Announcement: "Announcement Banner",
+  Banner: "Hero Banners",
+};
+
+// "subitems.0.title.hi" -> "subitems 1 › title (hi)"
+const formatPath = (path) => {
+  const parts = path.split(".");
+  const lang = parts.pop();
+  const field = parts
+    .map((part) => (/^\d+$/.test(part) ? String(Number(part) + 1) : part))
+    .join(" › ");
+  return `${field} (${lang})`;
+};
+
+const TranslationsManager = () => {
+  const [report, setReport] = useState([]);
+  const [provider, setProvider] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      const result = await translationsApi.getReport();
+      setReport(result.data.models || []);
+      setProvider(result.data.provider);
+    } catch (error) {
+      console.error("Error fetching translation report:", error);
+      setMessage({ type: "error", text: "Failed to load translation report" });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const runAction = async (key, action) => {
+    setBusyKey(key);
+    setMessage(null);
+    try {
+      const result = await action();
+      setMessage({ type: "success", text: result.message });
+      await fetchReport();
+    } catch (error) {
+      setMessage({ type: "error", text: error.message || "Action failed" });
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-8">
+        <div className="flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+          <span className="ml-3 text-gray-600">Loading translations...</span>
+        </div>
+      </div>
+    );
+  }
+
+  const incompleteCount = report.reduce((sum, m) => sum + m.items.length, 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <h2 className="text-xl font-bold text-gray-900">Translations</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Content with missing Hindi / Marathi text or machine-translated drafts
+          that need review. Drafts are shown on the website until edited or
+          marked reviewed.
+        </p>
+        {!provider && (
+          <p className="mt-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md p-3">
+            Machine translation is not configured - set TRANSLATION_PROVIDER on
+            the server to draft translations.
+          </p>
+        )}
+        {incompleteCount === 0 && (
+          <p className="mt-3 text-sm text-green-700">
+            All content is fully translated and reviewed.
+          </p>
+        )}
+      </div>
+
+      {message && (
+        <div
+          className={`p-3 rounded-md text-sm ${
+            message.type === "success"
+              ? "bg-green-50 text-green-700 border border-green-200"
+              : "bg-red-50 text-red-700 border border-red-200"
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {report
+        .filter((m) => m.items.length > 0)
+        .map((m) => {
+          const hasMissing = m.items.some((item) => item.missing.length > 0);
+          return (
+            <div
+              key={m.model}
+              className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden"
+            >
+              <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {MODEL_LABELS[m.model] || m.model}
+                  <span className="ml-2 text-sm font-normal text-gray-500">
+                    {m.items.length} of {m.total} need attention
+                  </span>
+                </h3>
+                {provider && hasMissing && (
+                  <button
+                    onClick={() =>
+                      runAction(m.model, () => translationsApi.draftModel(m.model))
+                    }
+                    disabled={busyKey !== null}
+                    className="px-3 py-1.5 bg-amber-600 text-white rounded-md text-sm font-medium hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    {busyKey === m.model ? "Drafting..." : "Draft all missing"}
+                  </button>
+                )}
+              </div>
+
+              <ul className="divide-y divide-gray-200">
+                {m.items.map((item) => {
+                  const key = `${m.model}:${item._id}`;
+                  return (
+                    <li
+                      key={item._id}
+                      className="px-4 py-3 flex flex-col md:flex-row md:items-start md:justify-between gap-3"
+                    >
+                      <div className="text-sm">
+                        <div className="font-medium text-gray-900">
+                          {item.label || "(untitled)"}
+                        </div>
+                        {item.missing.length > 0 && (
+                          <div className="text-xs text-red-700 mt-1">
+                            Missing: {item.missing.map(formatPath).join(", ")}
+                          </div>
+                        )}
+                        {item.machineTranslated.length > 0 && (
+                          <div className="text-xs text-amber-700 mt-1">
+                            Machine translated – needs review:{" "}
+                            {item.machineTranslated.map(formatPath).join(", ")}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex gap-3 flex-shrink-0 text-sm">
+                        {provider && item.missing.length > 0 && (
+                          <button
+                            onClick={() =>
+                              runAction(key, () =>
+                                translationsApi.draftItem(m.model, item._id),
+                              )
+                            }
+                            disabled={busyKey !== null}
+                            className="text-amber-700 hover:text-amber-800 font-medium disabled:opacity-50"
+                          >
+                            {busyKey === key ? "Working..." : "Draft translations"}
+                          </button>
+                        )}
+                        {item.machineTranslated.length > 0 && (
+                          <button
+                            onClick={() =>
+                              runAction(key, () =>
+                                translationsApi.markReviewed(m.model, item._id),
+                              )
+                            }
+                            disabled={busyKey !== null}
+                            className="text-gray-600 hover:text-gray-800 font-medium disabled:opacity-50"
+                          >
+                            Mark reviewed
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+    </div>
+  );
+};
+
+export default TranslationsManager;
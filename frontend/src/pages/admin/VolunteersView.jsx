@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback } from "react";
+import { API_BASE_URL, parseJsonResponse } from "../../utils/api";
+
+/**
+ * VolunteersView - System Admin list of event volunteers
+ *
+ * Features:
+ * - Grant the EVENT_VOLUNTEER role to a registered user by mobile or email
+ * - Remove volunteers (back to a regular user)
+ * Volunteers only get the event check-in page (/check-in).
+ */
+const VolunteersView = () => {
+  const [volunteers, setVolunteers] = useState([]);
+  const [identifier, setIdentifier] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [actionId, setActionId] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const authHeaders = () => ({
+    Authorization: `Bearer ${localStorage.getItem("token")}`,
+  });
+
+  const fetchVolunteers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`${API_BASE_URL}/admin/system/volunteers`, {
+        headers: authHeaders(),
+      });
+      const data = await parseJsonResponse(response);
+
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to fetch volunteers");
+      }
+
+      setVolunteers(data.data || []);
+    } catch (err) {
+      console.error("Error fetching volunteers:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVolunteers();
+  }, [fetchVolunteers]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!identifier.trim()) return;
+
+    try {
+      setAdding(true);
+      setError(null);
+      setNotice(null);
+      const response = await fetch(`${API_BASE_URL}/admin/system/volunteers`, {
+        method: "POST",
+        headers: { ...authHeaders(), "Content-Type": "application/json" },
+        body: JSON.stringify({ identifier: identifier.trim() }),
+      });
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to add volunteer");
+      }
+
+      setNotice(data.message);
+      setIdentifier("");
+      await fetchVolunteers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleRemove = async (volunteer) => {
+    if (
+      !window.confirm(
+        `Remove ${volunteer.fullName || volunteer.mobile} as an event volunteer?`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionId(volunteer._id);
+      setError(null);
+      setNotice(null);
+      const response = await fetch(
+        `${API_BASE_URL}/admin/system/volunteers/${volunteer._id}`,
+        { method: "DELETE", headers: authHeaders() },
+      );
+
+      const data = await parseJsonResponse(response);
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to remove volunteer");
+      }
+
+      setNotice(data.message);
+      await fetchVolunteers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setActionId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Event Volunteers</h1>
+        <p className="text-gray-600 text-sm mt-1">
+          Volunteers can check attendees in at the event gate and nothing else.
+          A role change applies straight away.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md text-sm bg-red-50 text-red-700 border border-red-200">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="p-3 rounded-md text-sm bg-green-50 text-green-700 border border-green-200">
+          {notice}
+        </div>
+      )}
+
+      <form
+        onSubmit={handleAdd}
+        className="bg-white rounded-lg shadow-md border border-gray-200 p-4 flex flex-col md:flex-row gap-3"
+      >
+        <input
+          type="text"
+          value={identifier}
+          onChange={(e) => setIdentifier(e.target.value)}
+          placeholder="Registered mobile number or email"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        <button
+          type="submit"
+          disabled={adding || !identifier.trim()}
+          className="px-4 py-2 bg-amber-600 text-white text-sm font-medium rounded-md hover:bg-amber-700 disabled:opacity-50"
+        >
+          {adding ? "Adding..." : "Add volunteer"}
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 overflow-hidden">
+        {loading && volunteers.length === 0 ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-600"></div>
+            <span className="ml-3 text-gray-600">Loading...</span>
+          </div>
+        ) : volunteers.length === 0 ? (
+          <div className="text-center py-12 text-gray-600">No event volunteers yet</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Mobile
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Email
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {volunteers.map((v) => (
+                  <tr key={v._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                      {v.fullName || "No name"}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{v.mobile}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{v.email || "-"}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <button
+                        onClick={() => handleRemove(v)}
+                        disabled={actionId === v._id}
+                        className="text-red-700 hover:text-red-800 font-medium disabled:opacity-50"
+                      >
+                        {actionId === v._id ? "Removing..." : "Remove"}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VolunteersView;
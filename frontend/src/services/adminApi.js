@@ -226,6 +226,47 @@ export const eventsApi = {
 
   // Get published events (public)
   getPublished: () => apiRequest("/public/events"),
+
+  // Attendee list and waitlist of an event
+  getRegistrations: (id, params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return apiRequest(
+      `/admin/website/events/${id}/registrations${query ? `?${query}` : ""}`,
+    );
+  },
+
+  // Download attendee list as CSV (returns a Blob)
+  exportRegistrations: async (id, params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(
+      `${API_BASE_URL}/admin/website/events/${id}/registrations/export${query ? `?${query}` : ""}`,
+      {
+        headers: {
+          Authorization: `Bearer ${getAuthToken()}`,
+        },
+      },
+    );
+
+    if (!response.ok) {
+      const data = await parseJsonResponse(response);
+      throw new Error(data.message || "Export failed");
+    }
+    return response.blob();
+  },
+
+  // Cancel a registration
+  cancelRegistration: (id, registrationId) =>
+    apiRequest(
+      `/admin/website/events/${id}/registrations/${registrationId}/cancel`,
+      { method: "POST" },
+    ),
+
+  // Give a waitlisted attendee a seat
+  promoteRegistration: (id, registrationId) =>
+    apiRequest(
+      `/admin/website/events/${id}/registrations/${registrationId}/promote`,
+      { method: "POST" },
+    ),
 };
 
 // ==================== TESTIMONIALS ====================
@@ -517,6 +558,28 @@ export const donationHeadsApi = {
   getActive: () => apiRequest("/public/donation-heads"),
 };
 
+// ==================== ORDERS (Shop) ====================
+
+export const ordersApi = {
+  // Get orders (admin) - params: { status, search, page, limit }
+  getAll: (params = {}) => {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== "" && value != null),
+    ).toString();
+    return apiRequest(`/admin/website/orders${query ? `?${query}` : ""}`);
+  },
+
+  // Get single order with status history
+  getById: (id) => apiRequest(`/admin/website/orders/${id}`),
+
+  // Move order along fulfilment flow
+  updateStatus: (id, data) =>
+    apiRequest(`/admin/website/orders/${id}/status`, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+    }),
+};
+
 // ==================== SITE CONFIG ====================
 
 export const siteConfigApi = {
@@ -531,6 +594,98 @@ export const siteConfigApi = {
     }),
 };
 
+// ==================== TRANSLATIONS ====================
+
+export const translationsApi = {
+  // Content with missing or unreviewed machine translations, per model
+  getReport: () => apiRequest("/admin/website/translations/report"),
+
+  // Draft missing translations for every item of a model (e.g. "Event")
+  draftModel: (model) =>
+    apiRequest(`/admin/website/translations/${model}/draft`, {
+      method: "POST",
+    }),
+
+  // Draft missing translations for one item
+  draftItem: (model, id) =>
+    apiRequest(`/admin/website/translations/${model}/${id}/draft`, {
+      method: "POST",
+    }),
+
+  // Mark machine translations reviewed - all of the item's if paths is omitted
+  markReviewed: (model, id, paths) =>
+    apiRequest(`/admin/website/translations/${model}/${id}/review`, {
+      method: "POST",
+      body: JSON.stringify(paths ? { paths } : {}),
+    }),
+};
+
+// ==================== SEVA (Volunteer shifts) ====================
+
+export const sevaApi = {
+  // Shifts starting in a date range (params: from, to)
+  getShifts: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/website/seva/shifts${query ? `?${query}` : ""}`);
+  },
+
+  // Schedule a shift
+  createShift: (data) =>
+    apiRequest("/admin/website/seva/shifts", {
+      method: "POST",
+      body: JSON.stringify(data),
+    }),
+
+  // Update time, slots, location or notes
+  updateShift: (id, data) =>
+    apiRequest(`/admin/website/seva/shifts/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    }),
+
+  // Cancel a shift (volunteers are emailed)
+  cancelShift: (id) =>
+    apiRequest(`/admin/website/seva/shifts/${id}/cancel`, { method: "POST" }),
+
+  // Volunteers of a shift
+  getRoster: (id) => apiRequest(`/admin/website/seva/shifts/${id}/roster`),
+
+  // Mark attendance: { attendance: "PRESENT" | "ABSENT" | null, hours? }
+  markAttendance: (id, signupId, data) =>
+    apiRequest(`/admin/website/seva/shifts/${id}/roster/${signupId}`, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+    }),
+
+  // Volunteers who offered to help, grouped by seva / event
+  getInterests: () => apiRequest("/admin/website/seva/interests"),
+
+  // Hours served per volunteer (params: from, to)
+  getHours: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return apiRequest(`/admin/website/seva/hours${query ? `?${query}` : ""}`);
+  },
+
+  // Download hour totals as CSV (returns a Blob)
+  exportHours: async (params = {}) => {
+    const query = new URLSearchParams({ ...params, format: "csv" }).toString();
+    const response = await fetch(
+      `${API_BASE_URL}/admin/website/seva/hours?${query}`,
+      {
+        headers: {
+          Authorization: `Bearer ${getAuthToken()}`,
+        },
+      },
+    );
+
+    if (!response.ok) {
+      const data = await parseJsonResponse(response);
+      throw new Error(data.message || "Export failed");
+    }
+    return response.blob();
+  },
+};
+
 export default {
   announcements: announcementsApi,
   activities: activitiesApi,
@@ -538,5 +693,8 @@ export default {
   testimonials: testimonialsApi,
   gallery: galleryApi,
   donationHeads: donationHeadsApi,
+  orders: ordersApi,
   siteConfig: siteConfigApi,
+  translations: translationsApi,
+  seva: sevaApi,
 };
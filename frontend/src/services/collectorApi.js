@@ -80,14 +80,27 @@ export const reapplyForCollector = async (formData) => {
   return data;
 };
 
+/**
+ * Build a query string from leaderboard window params, skipping empty values
+ * @param {Object} params - { period, from, to, donationHeadId }
+ */
+const toLeaderboardQuery = (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value),
+  ).toString();
+  return query ? `?${query}` : "";
+};
+
 /**
  * Get collector dashboard data (approved collectors only)
+ * @param {Object} [params] - Leaderboard window { period, from, to, donationHeadId }
  * @returns {Promise<{success: boolean, data: object}>}
  */
-export const getCollectorDashboard = async () => {
-  const response = await fetch(`${API_BASE_URL}/collector/dashboard`, {
-    headers: getAuthHeaders(),
-  });
+export const getCollectorDashboard = async (params) => {
+  const response = await fetch(
+    `${API_BASE_URL}/collector/dashboard${toLeaderboardQuery(params)}`,
+    { headers: getAuthHeaders() },
+  );
 
   const data = await parseJsonResponse(response);
 
@@ -111,10 +124,11 @@ export const validateReferralCode = async (code) => {
 
 /**
  * Get public leaderboard
- * @returns {Promise<{success: boolean, data: Array}>}
+ * @param {Object} [params] - { period: "all" | "month" | "quarter" | "fy" | "custom", from, to, donationHeadId }
+ * @returns {Promise<{success: boolean, period: object, data: Array}>}
  */
-export const getLeaderboard = async () => {
-  const response = await fetch(`${API_BASE_URL}/leaderboard/top`);
+export const getLeaderboard = async (params) => {
+  const response = await fetch(`${API_BASE_URL}/leaderboard/top${toLeaderboardQuery(params)}`);
   const data = await parseJsonResponse(response);
 
   if (!response.ok) {
@@ -124,6 +138,82 @@ export const getLeaderboard = async () => {
   return data;
 };
 
+/**
+ * Get the current collector's campaigns
+ * @returns {Promise<{success: boolean, data: Array}>}
+ */
+export const getMyCampaigns = async () => {
+  const response = await fetch(`${API_BASE_URL}/collector/campaigns`, {
+    headers: getAuthHeaders(),
+  });
+  const data = await parseJsonResponse(response);
+
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to fetch campaigns");
+  }
+
+  return data;
+};
+
+/**
+ * Create a campaign
+ * @param {Object} campaign - { title, story, donationHeadId, goalAmount, deadline }
+ * @returns {Promise<{success: boolean, data: object}>}
+ */
+export const createCampaign = async (campaign) => {
+  const response = await fetch(`${API_BASE_URL}/collector/campaigns`, {
+    method: "POST",
+    headers: getAuthHeaders(),
+    body: JSON.stringify(campaign),
+  });
+  const data = await parseJsonResponse(response);
+
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to create campaign");
+  }
+
+  return data;
+};
+
+/**
+ * Update or close a campaign
+ * @param {string} id - Campaign ID
+ * @param {Object} updates - { title?, story?, goalAmount?, deadline?, status?: "CLOSED" }
+ * @returns {Promise<{success: boolean, data: object}>}
+ */
+export const updateCampaign = async (id, updates) => {
+  const response = await fetch(`${API_BASE_URL}/collector/campaigns/${id}`, {
+    method: "PATCH",
+    headers: getAuthHeaders(),
+    body: JSON.stringify(updates),
+  });
+  const data = await parseJsonResponse(response);
+
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to update campaign");
+  }
+
+  return data;
+};
+
+/**
+ * Get a public campaign page
+ * @param {string} slug - Campaign slug from the link
+ * @returns {Promise<{success: boolean, data: object}>}
+ */
+export const getCampaign = async (slug) => {
+  const response = await fetch(
+    `${API_BASE_URL}/public/campaigns/${encodeURIComponent(slug)}`,
+  );
+  const data = await parseJsonResponse(response);
+
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to fetch campaign");
+  }
+
+  return data;
+};
+
 export default {
   getCollectorStatus,
   applyForCollector,
@@ -131,4 +221,8 @@ export default {
   getCollectorDashboard,
   validateReferralCode,
   getLeaderboard,
+  getMyCampaigns,
+  createCampaign,
+  updateCampaign,
+  getCampaign,
 };
@@ -163,6 +163,29 @@ export const apiDelete = (endpoint, options = {}) => {
   return apiRequest(endpoint, { ...options, method: "DELETE" });
 };
 
+/**
+ * Fetch every admin donation matching the filters by following the list cursor
+ * For exports only - screens should show one page of /admin/system/donations at a time.
+ *
+ * @param {object} filters - Query params accepted by GET /admin/system/donations
+ * @returns {Promise<Array>} All matching donations, newest first
+ */
+export const fetchAllDonations = async (filters = {}) => {
+  const donations = [];
+  let cursor = null;
+
+  do {
+    const params = new URLSearchParams({ ...filters, limit: 200 });
+    if (cursor) params.append("cursor", cursor);
+
+    const data = await apiGet(`/admin/system/donations?${params.toString()}`);
+    donations.push(...data.donations);
+    cursor = data.nextCursor;
+  } while (cursor);
+
+  return donations;
+};
+
 export default {
   API_BASE_URL,
   getAuthToken,
@@ -173,4 +196,5 @@ export default {
   apiPut,
   apiPatch,
   apiDelete,
+  fetchAllDonations,
 };
@@ -21,11 +21,6 @@ export default defineConfig(({ mode }) => {
           changeOrigin: true,
           secure: false,
         },
-        "/receipts": {
-          target: backendUrl,
-          changeOrigin: true,
-          secure: false,
-        },
       },
     },
   };